@@ -1,10 +1,8 @@
-import { OpenAI } from 'openai';
+import { getLLMClient } from './llm/index.js';
 
 export class ContentGenerator {
   constructor() {
-    this.openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY
-    });
+    this.llm = getLLMClient();
   }
 
   async generateReelScript(topic, style = 'professional') {
@@ -31,8 +29,9 @@ export class ContentGenerator {
     `;
 
     try {
-      const completion = await this.openai.chat.completions.create({
-        model: "gpt-4",
+      const completion = await this.llm.chat({
+        tier: 'quality',
+        purpose: 'reel_script',
         messages: [
           {
             role: "system",
@@ -43,14 +42,14 @@ export class ContentGenerator {
             content: prompt
           }
         ],
-        max_tokens: 1500,
+        maxTokens: 1500,
         temperature: 0.8
       });
 
       return {
         topic,
         style,
-        script: completion.choices[0].message.content.trim(),
+        script: completion.content.trim(),
         hashtags: this.generateHashtags(topic),
         created: new Date(),
         type: 'reel'
@@ -112,8 +111,9 @@ export class ContentGenerator {
     `;
 
     try {
-      const completion = await this.openai.chat.completions.create({
-        model: "gpt-4",
+      const completion = await this.llm.chat({
+        tier: 'quality',
+        purpose: 'blog_post',
         messages: [
           {
             role: "system",
@@ -124,15 +124,15 @@ export class ContentGenerator {
             content: prompt
           }
         ],
-        max_tokens: 2000,
+        maxTokens: 2000,
         temperature: 0.7
       });
 
       return {
         topic,
         type: 'blog',
-        content: completion.choices[0].message.content.trim(),
-        wordCount: completion.choices[0].message.content.split(' ').length,
+        content: completion.content.trim(),
+        wordCount: completion.content.split(' ').length,
         created: new Date(),
         seoKeywords: this.extractKeywords(topic)
       };
@@ -161,8 +161,9 @@ export class ContentGenerator {
     `;
 
     try {
-      const completion = await this.openai.chat.completions.create({
-        model: "gpt-4",
+      const completion = await this.llm.chat({
+        tier: 'quality',
+        purpose: 'email_newsletter',
         messages: [
           {
             role: "system",
@@ -173,16 +174,16 @@ export class ContentGenerator {
             content: prompt
           }
         ],
-        max_tokens: 1200,
+        maxTokens: 1200,
         temperature: 0.6
       });
 
       return {
         theme,
         type: 'email',
-        content: completion.choices[0].message.content.trim(),
+        content: completion.content.trim(),
         created: new Date(),
-        subject: this.extractSubjectLine(completion.choices[0].message.content)
+        subject: this.extractSubjectLine(completion.content)
       };
     } catch (error) {
       console.error('Email newsletter generation error:', error);
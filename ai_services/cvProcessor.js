@@ -1,12 +1,10 @@
-import { OpenAI } from 'openai';
+import { getLLMClient } from './llm/index.js';
 import PDFParser from 'pdf-parse';
 import mammoth from 'mammoth';
 
 export class CVProcessor {
   constructor() {
-    this.openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY
-    });
+    this.llm = getLLMClient();
   }
 
   async extractTextFromPDF(pdfBuffer) {
@@ -59,8 +57,9 @@ export class CVProcessor {
     `;
 
     try {
-      const completion = await this.openai.chat.completions.create({
-        model: "gpt-4",
+      const completion = await this.llm.chat({
+        tier: 'quality',
+        purpose: 'cv_rewrite',
         messages: [
           {
             role: "system",
@@ -71,11 +70,11 @@ export class CVProcessor {
             content: prompt
           }
         ],
-        max_tokens: 2000,
+        maxTokens: 2000,
         temperature: 0.7
       });
 
-      return completion.choices[0].message.content.trim();
+      return completion.content.trim();
     } catch (error) {
       console.error('CV rewriting error:', error);
       throw new Error('Failed to rewrite CV: ' + error.message);
@@ -105,8 +104,9 @@ export class CVProcessor {
     `;
 
     try {
-      const completion = await this.openai.chat.completions.create({
-        model: "gpt-4",
+      const completion = await this.llm.chat({
+        tier: 'quality',
+        purpose: 'cover_letter',
         messages: [
           {
             role: "system",
@@ -117,11 +117,11 @@ export class CVProcessor {
             content: prompt
           }
         ],
-        max_tokens: 1500,
+        maxTokens: 1500,
         temperature: 0.7
       });
 
-      return completion.choices[0].message.content.trim();
+      return completion.content.trim();
     } catch (error) {
       console.error('Cover letter generation error:', error);
       throw new Error('Failed to generate cover letter: ' + error.message);
@@ -143,8 +143,9 @@ export class CVProcessor {
     `;
 
     try {
-      const completion = await this.openai.chat.completions.create({
-        model: "gpt-4",
+      const completion = await this.llm.chat({
+        tier: 'quality',
+        purpose: 'cv_strengths',
         messages: [
           {
             role: "system",
@@ -155,11 +156,11 @@ export class CVProcessor {
             content: prompt
           }
         ],
-        max_tokens: 1000,
+        maxTokens: 1000,
         temperature: 0.5
       });
 
-      return completion.choices[0].message.content.trim();
+      return completion.content.trim();
     } catch (error) {
       console.error('CV analysis error:', error);
       throw new Error('Failed to analyze CV: ' + error.message);
@@ -174,8 +175,9 @@ export class CVProcessor {
     `;
 
     try {
-      const completion = await this.openai.chat.completions.create({
-        model: "gpt-4",
+      const completion = await this.llm.chat({
+        tier: 'quality',
+        purpose: 'ats_keywords',
         messages: [
           {
             role: "system",
@@ -186,11 +188,11 @@ export class CVProcessor {
             content: prompt
           }
         ],
-        max_tokens: 500,
+        maxTokens: 500,
         temperature: 0.3
       });
 
-      return completion.choices[0].message.content.trim().split(',').map(kw => kw.trim());
+      return completion.content.trim().split(',').map(kw => kw.trim());
     } catch (error) {
       console.error('ATS keywords generation error:', error);
       return []; // Return empty array rather than failing
@@ -0,0 +1,172 @@
+import { OpenAIProvider } from './providers/openaiProvider.js';
+import { AzureOpenAIProvider } from './providers/azureOpenAIProvider.js';
+import { LocalProvider } from './providers/localProvider.js';
+import { FixtureProvider } from './providers/fixtureProvider.js';
+
+export const providers = {
+  openai: OpenAIProvider,
+  azure: AzureOpenAIProvider,
+  local: LocalProvider,
+  fixture: FixtureProvider
+};
+
+// Unset, empty or unparseable values fall back to the default; an explicit 0 is kept
+function numberFrom(value, fallback) {
+  const number = parseInt(value, 10);
+  return Number.isFinite(number) ? number : fallback;
+}
+
+export function loadLLMConfig(env = process.env) {
+  return {
+    provider: (env.LLM_PROVIDER || 'openai').toLowerCase(),
+    apiKey: env.LLM_API_KEY,
+    baseURL: env.LLM_BASE_URL,
+    timeout: numberFrom(env.LLM_TIMEOUT_MS, 30000),
+    maxRetries: numberFrom(env.LLM_MAX_RETRIES, 3),
+    retryDelay: numberFrom(env.LLM_RETRY_DELAY_MS, 1000),
+    // Optional per-tier overrides, e.g. LLM_MODEL_QUALITY=gpt-4o
+    models: {
+      ...(env.LLM_MODEL_FAST && { fast: env.LLM_MODEL_FAST }),
+      ...(env.LLM_MODEL_QUALITY && { quality: env.LLM_MODEL_QUALITY }),
+      ...(env.LLM_MODEL_LATEST && { latest: env.LLM_MODEL_LATEST }),
+      ...(env.LLM_MODEL_EMBEDDING && { embedding: env.LLM_MODEL_EMBEDDING })
+    }
+  };
+}
+
+export class LLMClient {
+  constructor(config = loadLLMConfig()) {
+    const Provider = providers[config.provider];
+    if (!Provider) {
+      throw new Error(`Unknown LLM provider: ${config.provider}`);
+    }
+
+    this.config = config;
+    this.provider = config.providerInstance || new Provider({
+      apiKey: config.apiKey,
+      baseURL: config.baseURL,
+      timeout: config.timeout
+    });
+    this.models = {
+      ...this.provider.defaultModels,
+      ...config.models
+    };
+  }
+
+  get providerName() {
+    return this.provider.name;
+  }
+
+  // Tier names ('fast', 'quality', 'latest') map to provider models; anything else passes through
+  resolveModel(tier = 'quality') {
+    return this.models[tier] || tier;
+  }
+
+  async chat({ tier = 'quality', messages, maxTokens = 1000, temperature = 0.7, json = false, purpose }) {
+    const model = this.resolveModel(tier);
+
+    return this.withRetry(() => this.provider.chat({
+      model,
+      messages,
+      maxTokens,
+      temperature,
+      json,
+      purpose,
+      timeout: this.config.timeout
+    }), purpose || tier);
+  }
+
+  // Returns one vector per input string, in input order
+  async embed({ input, tier = 'embedding', purpose }) {
+    const model = this.resolveModel(tier);
+    const inputs = Array.isArray(input) ? input : [input];
+
+    return this.withRetry(() => this.provider.embed({
+      model,
+      input: inputs,
+      purpose,
+      timeout: this.config.timeout
+    }), purpose || tier);
+  }
+
+  async withRetry(operation, label) {
+    let lastError;
+
+    for (let attempt = 0; attempt <= this.config.maxRetries; attempt++) {
+      try {
+        return await operation();
+      } catch (error) {
+        lastError = error;
+
+        if (!this.isRetryable(error) || attempt === this.config.maxRetries) {
+          break;
+        }
+
+        const delay = this.config.retryDelay * Math.pow(2, attempt);
+        console.warn(`LLM ${this.providerName} call (${label}) failed, retrying in ${delay}ms:`, error.message);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+
+    throw lastError;
+  }
+
+  isRetryable(error) {
+    if (error.status) {
+      return error.status === 408 || error.status === 429 || error.status >= 500;
+    }
+
+    // Network failures and SDK timeouts carry no HTTP status
+    return ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT'].includes(error.code) ||
+      error.name === 'APIConnectionError' ||
+      error.name === 'APIConnectionTimeoutError';
+  }
+}
+
+let sharedClient = null;
+let sharedEmbeddingClient = null;
+
+export function getLLMClient() {
+  if (!sharedClient) {
+    sharedClient = new LLMClient();
+  }
+  return sharedClient;
+}
+
+// Lets tests and scripts swap the process-wide client (e.g. for the fixture provider)
+export function setLLMClient(client) {
+  sharedClient = client;
+  return sharedClient;
+}
+
+// Embeddings use their own provider so CVs and jobs can be embedded by a local
+// model while chat completions still go to a hosted one (or vice versa)
+export function loadEmbeddingConfig(env = process.env) {
+  const config = loadLLMConfig(env);
+  const provider = (env.EMBEDDING_PROVIDER || 'local').toLowerCase();
+
+  return {
+    ...config,
+    provider,
+    // Chat overrides only apply when both share a provider
+    ...(provider !== config.provider && { apiKey: env.EMBEDDING_API_KEY, baseURL: env.EMBEDDING_BASE_URL }),
+    models: {
+      ...(provider === config.provider && config.models),
+      ...(env.EMBEDDING_MODEL && { embedding: env.EMBEDDING_MODEL })
+    }
+  };
+}
+
+export function getEmbeddingClient() {
+  if (!sharedEmbeddingClient) {
+    sharedEmbeddingClient = new LLMClient(loadEmbeddingConfig());
+  }
+  return sharedEmbeddingClient;
+}
+
+export function setEmbeddingClient(client) {
+  sharedEmbeddingClient = client;
+  return sharedEmbeddingClient;
+}
+
+export default getLLMClient;
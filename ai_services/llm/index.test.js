@@ -0,0 +1,180 @@
+import { jest } from '@jest/globals';
+import { LLMClient, loadLLMConfig, loadEmbeddingConfig } from './index.js';
+import { FixtureProvider } from './providers/fixtureProvider.js';
+
+const failure = (fields) => Object.assign(new Error(fields.message || 'LLM call failed'), fields);
+
+describe('loadLLMConfig', () => {
+  test('defaults to OpenAI with three retries', () => {
+    expect(loadLLMConfig({})).toMatchObject({
+      provider: 'openai',
+      timeout: 30000,
+      maxRetries: 3,
+      retryDelay: 1000,
+      models: {}
+    });
+  });
+
+  test('reads the provider, limits and per-tier models', () => {
+    expect(loadLLMConfig({
+      LLM_PROVIDER: 'Local',
+      LLM_TIMEOUT_MS: '5000',
+      LLM_MAX_RETRIES: '1',
+      LLM_MODEL_QUALITY: 'llama3:70b'
+    })).toMatchObject({ provider: 'local', timeout: 5000, maxRetries: 1, models: { quality: 'llama3:70b' } });
+  });
+
+  test('empty or unreadable limits fall back to the defaults', () => {
+    expect(loadLLMConfig({ LLM_TIMEOUT_MS: '', LLM_MAX_RETRIES: '', LLM_RETRY_DELAY_MS: 'soon' })).toMatchObject({
+      timeout: 30000,
+      maxRetries: 3,
+      retryDelay: 1000
+    });
+  });
+
+  test('an explicit 0 is kept', () => {
+    expect(loadLLMConfig({ LLM_MAX_RETRIES: '0', LLM_RETRY_DELAY_MS: '0' })).toMatchObject({ maxRetries: 0, retryDelay: 0 });
+  });
+
+  test('embeddings use their own provider and only share chat settings with the same one', () => {
+    const env = { LLM_PROVIDER: 'openai', LLM_API_KEY: 'sk-chat', LLM_MODEL_QUALITY: 'gpt-4o', EMBEDDING_MODEL: 'nomic-embed-text' };
+
+    expect(loadEmbeddingConfig(env)).toMatchObject({ provider: 'local', apiKey: undefined, models: { embedding: 'nomic-embed-text' } });
+    expect(loadEmbeddingConfig(env).models.quality).toBeUndefined();
+    expect(loadEmbeddingConfig({ ...env, EMBEDDING_PROVIDER: 'openai' })).toMatchObject({
+      apiKey: 'sk-chat',
+      models: { quality: 'gpt-4o', embedding: 'nomic-embed-text' }
+    });
+  });
+});
+
+describe('LLMClient', () => {
+  let provider;
+  let client;
+
+  beforeEach(() => {
+    provider = { name: 'stub', defaultModels: { fast: 'small', quality: 'large', embedding: 'embed' }, chat: jest.fn(), embed: jest.fn() };
+    client = new LLMClient({ ...loadLLMConfig({}), retryDelay: 10, providerInstance: provider, models: { fast: 'tiny' } });
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('refuses an unknown provider', () => {
+    expect(() => new LLMClient(loadLLMConfig({ LLM_PROVIDER: 'bard' }))).toThrow('Unknown LLM provider: bard');
+  });
+
+  test('resolveModel maps tiers to models, overrides first, and passes model names through', () => {
+    expect(client.resolveModel()).toBe('large');
+    expect(client.resolveModel('fast')).toBe('tiny');
+    expect(client.resolveModel('embedding')).toBe('embed');
+    expect(client.resolveModel('gpt-4o-mini')).toBe('gpt-4o-mini');
+  });
+
+  test('chat and embed send the resolved model and the configured timeout', async () => {
+    provider.chat.mockResolvedValue({ content: 'ok' });
+    provider.embed.mockResolvedValue({ embeddings: [[1]] });
+
+    await client.chat({ tier: 'fast', messages: [], purpose: 'health_check' });
+    await client.embed({ input: 'text' });
+
+    expect(provider.chat).toHaveBeenCalledWith(expect.objectContaining({ model: 'tiny', purpose: 'health_check', timeout: 30000 }));
+    expect(provider.embed).toHaveBeenCalledWith(expect.objectContaining({ model: 'embed', input: ['text'] }));
+  });
+
+  test.each([
+    ['a timeout', { status: 408 }],
+    ['rate limiting', { status: 429 }],
+    ['a server error', { status: 503 }],
+    ['a reset connection', { code: 'ECONNRESET' }],
+    ['a refused connection', { code: 'ECONNREFUSED' }],
+    ['a socket timeout', { code: 'ETIMEDOUT' }],
+    ['an SDK connection error', { name: 'APIConnectionError' }],
+    ['an SDK timeout', { name: 'APIConnectionTimeoutError' }]
+  ])('%s is retried', (_, fields) => {
+    expect(client.isRetryable(failure(fields))).toBe(true);
+  });
+
+  test.each([
+    ['a bad request', { status: 400 }],
+    ['a bad key', { status: 401 }],
+    ['an unknown model', { status: 404 }],
+    ['a bug', { name: 'TypeError' }]
+  ])('%s is not retried', (_, fields) => {
+    expect(client.isRetryable(failure(fields))).toBe(false);
+  });
+
+  test('withRetry backs off exponentially until the call succeeds', async () => {
+    const wait = jest.spyOn(global, 'setTimeout');
+    const operation = jest.fn()
+      .mockRejectedValueOnce(failure({ status: 429 }))
+      .mockRejectedValueOnce(failure({ code: 'ECONNRESET' }))
+      .mockResolvedValue('done');
+
+    await expect(client.withRetry(operation, 'cv_analysis')).resolves.toBe('done');
+    expect(operation).toHaveBeenCalledTimes(3);
+    expect(wait.mock.calls.map(([, delay]) => delay)).toEqual([10, 20]);
+  });
+
+  test('withRetry gives up after maxRetries and throws the last error', async () => {
+    const operation = jest.fn().mockRejectedValue(failure({ status: 500, message: 'overloaded' }));
+
+    await expect(client.withRetry(operation, 'cv_analysis')).rejects.toThrow('overloaded');
+    expect(operation).toHaveBeenCalledTimes(4);
+  });
+
+  test('withRetry does not retry errors that will not go away', async () => {
+    const operation = jest.fn().mockRejectedValue(failure({ status: 401 }));
+
+    await expect(client.withRetry(operation, 'cv_analysis')).rejects.toMatchObject({ status: 401 });
+    expect(operation).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('fixture provider', () => {
+  const client = new LLMClient(loadLLMConfig({ LLM_PROVIDER: 'fixture' }));
+  const messages = [{ role: 'user', content: 'Summarise this CV' }];
+
+  test('answers from the fixture named after the purpose', async () => {
+    await expect(client.chat({ messages, purpose: 'health_check' })).resolves.toMatchObject({ content: 'OK', model: 'fixture' });
+
+    const { content } = await client.chat({ messages, json: true, purpose: 'cv_analysis' });
+    expect(JSON.parse(content)).toHaveProperty('STRENGTHS_ANALYSIS');
+  });
+
+  test('falls back to a placeholder that is stable for the same prompt', async () => {
+    const first = await client.chat({ messages, purpose: 'interview_prep' });
+    const again = await client.chat({ messages, purpose: 'interview_prep' });
+    const other = await client.chat({ messages: [{ role: 'user', content: 'Something else' }], purpose: 'interview_prep' });
+
+    expect(first.content).toMatch(/^\[fixture:interview_prep:[a-f0-9]{12}\]$/);
+    expect(again.content).toBe(first.content);
+    expect(other.content).not.toBe(first.content);
+  });
+
+  test('falls back to JSON when JSON was asked for', async () => {
+    const { content } = await client.chat({ messages, json: true, purpose: 'interview_prep' });
+    expect(JSON.parse(content)).toEqual({ fixture: 'interview_prep', digest: expect.stringMatching(/^[a-f0-9]{12}$/) });
+  });
+
+  test('a missing fixtures directory only means placeholders', async () => {
+    const provider = new FixtureProvider({ fixturesDir: '/nonexistent' });
+    await expect(provider.chat({ messages, purpose: 'health_check' })).resolves.toMatchObject({
+      content: expect.stringMatching(/^\[fixture:health_check:/)
+    });
+  });
+
+  test('embeddings are deterministic and closer for texts that share words', async () => {
+    const { embeddings } = await client.embed({
+      input: ['Senior React developer', 'React developer, senior', 'Registered nurse in ICU']
+    });
+    const [react, reordered, nurse] = embeddings;
+    const dot = (a, b) => a.reduce((sum, value, i) => sum + value * b[i], 0);
+
+    expect(react).toHaveLength(256);
+    expect(reordered).toEqual(react);
+    expect(dot(react, reordered)).toBeGreaterThan(dot(react, nurse));
+  });
+});
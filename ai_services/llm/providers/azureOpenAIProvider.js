@@ -0,0 +1,28 @@
+import { AzureOpenAI } from 'openai';
+import { OpenAIProvider } from './openaiProvider.js';
+
+// Azure routes requests by deployment name, so the model map holds deployments
+export class AzureOpenAIProvider extends OpenAIProvider {
+  constructor(options = {}) {
+    super(options);
+    this.name = 'azure';
+    this.defaultModels = {
+      fast: process.env.AZURE_OPENAI_DEPLOYMENT_FAST || 'gpt-35-turbo',
+      quality: process.env.AZURE_OPENAI_DEPLOYMENT_QUALITY || 'gpt-4',
+      latest: process.env.AZURE_OPENAI_DEPLOYMENT_LATEST || 'gpt-4-turbo',
+      embedding: process.env.AZURE_OPENAI_DEPLOYMENT_EMBEDDING || 'text-embedding-3-small'
+    };
+  }
+
+  createClient(options) {
+    return new AzureOpenAI({
+      apiKey: options.apiKey || process.env.AZURE_OPENAI_API_KEY,
+      endpoint: options.baseURL || process.env.AZURE_OPENAI_ENDPOINT,
+      apiVersion: process.env.AZURE_OPENAI_API_VERSION || '2024-02-01',
+      timeout: options.timeout,
+      maxRetries: 0
+    });
+  }
+}
+
+export default AzureOpenAIProvider;
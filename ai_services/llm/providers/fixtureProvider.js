@@ -0,0 +1,101 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Deterministic provider for CI and offline development. Responses are read from
+// <fixturesDir>/<purpose>.json or <purpose>.txt; anything without a fixture gets a
+// stable placeholder derived from the prompt so repeated runs match exactly.
+export class FixtureProvider {
+  constructor(options = {}) {
+    this.name = 'fixture';
+    this.fixturesDir = options.fixturesDir ||
+      process.env.LLM_FIXTURES_DIR ||
+      path.join(__dirname, '..', 'fixtures');
+    this.defaultModels = {
+      fast: 'fixture',
+      quality: 'fixture',
+      latest: 'fixture',
+      embedding: 'fixture-embedding'
+    };
+    this.embeddingDimensions = 256;
+    this.cache = new Map();
+    this.calls = [];
+  }
+
+  loadFixture(purpose) {
+    if (!purpose) return null;
+    if (this.cache.has(purpose)) return this.cache.get(purpose);
+
+    let fixture = null;
+    for (const extension of ['.json', '.txt']) {
+      const file = path.join(this.fixturesDir, `${purpose}${extension}`);
+      if (fs.existsSync(file)) {
+        fixture = fs.readFileSync(file, 'utf8').trim();
+        break;
+      }
+    }
+
+    this.cache.set(purpose, fixture);
+    return fixture;
+  }
+
+  hashMessages(messages) {
+    return crypto.createHash('sha256')
+      .update(JSON.stringify(messages))
+      .digest('hex');
+  }
+
+  async chat({ model, messages, json, purpose }) {
+    this.calls.push({ purpose, model, messages });
+
+    const fixture = this.loadFixture(purpose);
+    const digest = this.hashMessages(messages).substring(0, 12);
+    let content = fixture;
+
+    if (content === null) {
+      content = json
+        ? JSON.stringify({ fixture: purpose || 'chat', digest })
+        : `[fixture:${purpose || 'chat'}:${digest}]`;
+    }
+
+    return {
+      content,
+      model,
+      usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 }
+    };
+  }
+
+  // Feature-hashed bag of words: stable across runs, and texts sharing
+  // vocabulary land close together, which is enough to exercise ranking
+  async embed({ model, input, purpose }) {
+    this.calls.push({ purpose, model, input });
+
+    const embeddings = input.map(text => {
+      const vector = new Array(this.embeddingDimensions).fill(0);
+      const tokens = String(text).toLowerCase().match(/[a-z0-9#+.]+/g) || [];
+
+      for (const token of tokens) {
+        const hash = crypto.createHash('md5').update(token).digest();
+        const index = hash.readUInt32BE(0) % this.embeddingDimensions;
+        vector[index] += hash[4] & 1 ? 1 : -1;
+      }
+      return vector;
+    });
+
+    return {
+      embeddings,
+      model,
+      usage: { prompt_tokens: 0, total_tokens: 0 }
+    };
+  }
+
+  reset() {
+    this.calls = [];
+    this.cache.clear();
+  }
+}
+
+export default FixtureProvider;
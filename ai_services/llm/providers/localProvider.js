@@ -0,0 +1,41 @@
+import { OpenAI } from 'openai';
+import { OpenAIProvider } from './openaiProvider.js';
+
+// Any server exposing the OpenAI chat API (llama.cpp server, Ollama, vLLM, LM Studio)
+export class LocalProvider extends OpenAIProvider {
+  constructor(options = {}) {
+    super(options);
+    this.name = 'local';
+    const model = process.env.LLM_LOCAL_MODEL || 'llama3';
+    this.defaultModels = {
+      fast: model,
+      quality: model,
+      latest: model,
+      embedding: process.env.LLM_LOCAL_EMBEDDING_MODEL || 'nomic-embed-text'
+    };
+  }
+
+  createClient(options) {
+    return new OpenAI({
+      baseURL: options.baseURL || process.env.LLM_BASE_URL || 'http://localhost:11434/v1',
+      // Local servers ignore the key but the SDK refuses to start without one
+      apiKey: options.apiKey || 'local',
+      timeout: options.timeout,
+      maxRetries: 0
+    });
+  }
+
+  async chat(request) {
+    try {
+      return await super.chat(request);
+    } catch (error) {
+      // Older llama.cpp builds reject response_format; retry as plain text
+      if (request.json && error.status === 400) {
+        return super.chat({ ...request, json: false });
+      }
+      throw error;
+    }
+  }
+}
+
+export default LocalProvider;
@@ -0,0 +1,53 @@
+import { OpenAI } from 'openai';
+
+export class OpenAIProvider {
+  constructor(options = {}) {
+    this.name = 'openai';
+    this.defaultModels = {
+      fast: 'gpt-3.5-turbo',
+      quality: 'gpt-4',
+      latest: 'gpt-4-turbo-preview',
+      embedding: 'text-embedding-3-small'
+    };
+    this.client = options.client || this.createClient(options);
+  }
+
+  createClient(options) {
+    return new OpenAI({
+      apiKey: options.apiKey || process.env.OPENAI_API_KEY,
+      timeout: options.timeout,
+      // Retries are handled by LLMClient so every provider behaves the same
+      maxRetries: 0
+    });
+  }
+
+  async chat({ model, messages, maxTokens, temperature, json, timeout }) {
+    const completion = await this.client.chat.completions.create({
+      model,
+      messages,
+      max_tokens: maxTokens,
+      temperature,
+      ...(json && { response_format: { type: 'json_object' } })
+    }, { timeout });
+
+    return {
+      content: completion.choices[0].message.content,
+      model: completion.model || model,
+      usage: completion.usage
+    };
+  }
+
+  async embed({ model, input, timeout }) {
+    const response = await this.client.embeddings.create({ model, input }, { timeout });
+
+    return {
+      embeddings: response.data
+        .sort((a, b) => a.index - b.index)
+        .map(item => item.embedding),
+      model: response.model || model,
+      usage: response.usage
+    };
+  }
+}
+
+export default OpenAIProvider;
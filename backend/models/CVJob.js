@@ -0,0 +1,177 @@
+import mongoose from 'mongoose';
+
+export const CV_JOB_STAGES = ['extract', 'parse', 'analyze', 'enhance', 'ats_optimize', 'cover_letter'];
+
+const stageSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    enum: CV_JOB_STAGES,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'running', 'completed', 'failed'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  startedAt: Date,
+  completedAt: Date,
+  error: String
+}, { _id: false });
+
+const cvJobSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    index: true
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'processing', 'completed', 'failed'],
+    default: 'queued',
+    index: true
+  },
+  targetIndustry: {
+    type: String,
+    required: [true, 'Target industry is required'],
+    trim: true
+  },
+  file: {
+    originalName: String,
+    mimeType: String,
+    size: Number,
+    // Raw upload, cleared once text extraction has succeeded
+    buffer: {
+      type: Buffer,
+      select: false
+    }
+  },
+  stages: {
+    type: [stageSchema],
+    default: () => CV_JOB_STAGES.map(name => ({ name }))
+  },
+  progress: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: 0
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 3
+  },
+  nextRunAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedBy: String,
+  lockedUntil: Date,
+  // Intermediate stage output so a retry resumes from the failed stage
+  results: {
+    originalText: {
+      type: mongoose.Schema.Types.Mixed, // Encrypted data
+      select: false
+    },
+    structured: {
+      type: mongoose.Schema.Types.Mixed,
+      select: false
+    },
+    // How the text was obtained; OCR results carry a 0-100 confidence
+    extraction: {
+      method: {
+        type: String,
+        enum: ['text', 'ocr']
+      },
+      confidence: Number,
+      lowConfidence: Boolean,
+      pages: Number,
+      words: Number,
+      engine: String,
+      languages: String
+    },
+    analysis: mongoose.Schema.Types.Mixed,
+    enhancedCV: String,
+    atsOptimizedCV: String,
+    // Rule-based ATS scores either side of optimizeForATS
+    atsReport: mongoose.Schema.Types.Mixed,
+    coverLetter: String
+  },
+  error: String,
+  startedAt: Date,
+  completedAt: Date,
+  metadata: mongoose.Schema.Types.Mixed
+}, {
+  timestamps: true
+});
+
+cvJobSchema.index({ status: 1, nextRunAt: 1 });
+cvJobSchema.index({ userId: 1, createdAt: -1 });
+
+// Finished jobs are only kept for a week
+cvJobSchema.index({ completedAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+cvJobSchema.virtual('currentStage').get(function() {
+  const stage = this.stages.find(s => s.status !== 'completed');
+  return stage ? stage.name : null;
+});
+
+cvJobSchema.methods.getStage = function(name) {
+  return this.stages.find(stage => stage.name === name);
+};
+
+cvJobSchema.methods.updateProgress = function() {
+  const completed = this.stages.filter(stage => stage.status === 'completed').length;
+  this.progress = Math.round((completed / this.stages.length) * 100);
+  return this.progress;
+};
+
+// Lets the user know when the text came from OCR and should be double-checked
+cvJobSchema.methods.toExtractionSummary = function() {
+  const extraction = this.results?.extraction;
+  if (!extraction?.method) return undefined;
+  if (extraction.method === 'text') return { method: 'text' };
+
+  return {
+    method: 'ocr',
+    confidence: extraction.confidence,
+    lowConfidence: extraction.lowConfidence,
+    pages: extraction.pages,
+    message: extraction.lowConfidence
+      ? `Your CV was read from a scanned image with low confidence (${extraction.confidence}%). Please check the extracted text carefully before applying.`
+      : `Your CV was read from a scanned image (confidence ${extraction.confidence}%). Please double-check the extracted text.`
+  };
+};
+
+// Shape returned to API clients and SSE subscribers
+cvJobSchema.methods.toProgress = function() {
+  return {
+    id: this._id,
+    status: this.status,
+    progress: this.progress,
+    currentStage: this.currentStage,
+    stages: this.stages.map(stage => ({
+      name: stage.name,
+      status: stage.status,
+      attempts: stage.attempts,
+      startedAt: stage.startedAt,
+      completedAt: stage.completedAt,
+      error: stage.error
+    })),
+    attempts: this.attempts,
+    maxAttempts: this.maxAttempts,
+    nextRunAt: this.status === 'queued' ? this.nextRunAt : undefined,
+    extraction: this.toExtractionSummary(),
+    error: this.error,
+    createdAt: this.createdAt,
+    completedAt: this.completedAt
+  };
+};
+
+export default mongoose.model('CVJob', cvJobSchema);
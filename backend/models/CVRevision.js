@@ -0,0 +1,130 @@
+import mongoose from 'mongoose';
+
+const cvRevisionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  revisionNumber: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  kind: {
+    type: String,
+    enum: ['upload', 'enhanced', 'tailored'],
+    required: true
+  },
+  parentRevision: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CVRevision'
+  },
+  // Uploads hold the encrypted original text, AI rewrites hold plain text
+  content: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true,
+    select: false
+  },
+  coverLetter: {
+    type: String,
+    select: false
+  },
+  // JSON Resume representation of an uploaded CV
+  structured: {
+    type: mongoose.Schema.Types.Mixed,
+    select: false
+  },
+  industry: {
+    type: String,
+    trim: true
+  },
+  analysis: mongoose.Schema.Types.Mixed,
+  atsReport: mongoose.Schema.Types.Mixed,
+  aiModel: {
+    name: String,
+    provider: String
+  },
+  source: {
+    cvJobId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CVJob'
+    },
+    fileName: String,
+    mimeType: String,
+    extractionMethod: String,
+    ocrConfidence: Number
+  },
+  restoredAt: [Date],
+  // Tailored variants are written for one job and linked to the application
+  // they were sent with
+  jobId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job'
+  },
+  applicationId: mongoose.Schema.Types.ObjectId,
+  tailoring: {
+    jobAnalysis: mongoose.Schema.Types.Mixed,
+    keywords: {
+      required: [String],
+      preferred: [String]
+    },
+    highlights: [{
+      keyword: String,
+      importance: {
+        type: String,
+        enum: ['required', 'preferred']
+      },
+      lines: [String],
+      _id: false
+    }],
+    gaps: [{
+      keyword: String,
+      importance: {
+        type: String,
+        enum: ['required', 'preferred']
+      },
+      _id: false
+    }],
+    atsBefore: Number
+  }
+}, {
+  timestamps: true
+});
+
+cvRevisionSchema.index({ userId: 1, revisionNumber: -1 }, { unique: true });
+cvRevisionSchema.index({ userId: 1, jobId: 1 }, { sparse: true });
+
+cvRevisionSchema.virtual('isEncrypted').get(function() {
+  return Boolean(this.content && this.content.encrypted);
+});
+
+// Summary without the CV body, used for revision lists
+cvRevisionSchema.methods.toSummary = function() {
+  return {
+    id: this._id,
+    revisionNumber: this.revisionNumber,
+    kind: this.kind,
+    parentRevision: this.parentRevision,
+    industry: this.industry,
+    aiModel: this.aiModel,
+    atsScore: this.atsReport?.score ?? this.analysis?.ATS_COMPATIBILITY,
+    restoredAt: this.restoredAt,
+    ...(this.kind === 'tailored' && {
+      jobId: this.jobId,
+      applicationId: this.applicationId,
+      gaps: this.tailoring?.gaps
+    }),
+    createdAt: this.createdAt
+  };
+};
+
+cvRevisionSchema.statics.nextRevisionNumber = async function(userId) {
+  const latest = await this.findOne({ userId })
+    .sort({ revisionNumber: -1 })
+    .select('revisionNumber');
+  return (latest?.revisionNumber || 0) + 1;
+};
+
+export default mongoose.model('CVRevision', cvRevisionSchema);
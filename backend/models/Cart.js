@@ -0,0 +1,38 @@
+import mongoose from 'mongoose';
+import { PRODUCT_IDS } from '../services/billing/catalogue.js';
+
+// A user's cart between visits. Only product ids and quantities are kept;
+// prices always come from the catalogue when the cart is priced.
+const cartSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  items: [{
+    product: {
+      type: String,
+      enum: PRODUCT_IDS,
+      required: true
+    },
+    quantity: {
+      type: Number,
+      default: 1,
+      min: 1
+    },
+    _id: false
+  }],
+  couponCode: {
+    type: String,
+    uppercase: true,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+// Abandoned carts are cleared after 90 days without changes
+cartSchema.index({ updatedAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+export default mongoose.model('Cart', cartSchema);
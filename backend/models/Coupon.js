@@ -0,0 +1,77 @@
+import mongoose from 'mongoose';
+import { PRODUCT_IDS } from '../services/billing/catalogue.js';
+
+// Discount codes, either a percentage or a rand amount off the subtotal
+// (before VAT). A redemption is taken when an order is placed and given back
+// if the order lapses or is cancelled unpaid.
+const couponSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Coupon code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z0-9_-]{3,30}$/, 'Coupon codes are 3-30 letters, digits, dashes or underscores']
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  percentOff: {
+    type: Number,
+    min: 1,
+    max: 100
+  },
+  amountOff: {
+    type: Number,
+    min: 1
+  },
+  // Only these products are discounted; empty means the whole cart
+  products: [{
+    type: String,
+    enum: PRODUCT_IDS
+  }],
+  minimumSubtotal: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  validFrom: Date,
+  validUntil: Date,
+  maxRedemptions: {
+    type: Number,
+    min: 1
+  },
+  redemptions: {
+    type: Number,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+couponSchema.pre('validate', function(next) {
+  if (Boolean(this.percentOff) === Boolean(this.amountOff)) {
+    this.invalidate('percentOff', 'Set either percentOff or amountOff');
+  }
+  next();
+});
+
+// Why a coupon cannot be used right now, or null if it can
+couponSchema.methods.unavailableReason = function(now = new Date()) {
+  if (!this.isActive) return 'This coupon is no longer active';
+  if (this.validFrom && this.validFrom > now) return 'This coupon is not valid yet';
+  if (this.validUntil && this.validUntil < now) return 'This coupon has expired';
+  if (this.maxRedemptions && this.redemptions >= this.maxRedemptions) return 'This coupon has been fully redeemed';
+  return null;
+};
+
+export default mongoose.model('Coupon', couponSchema);
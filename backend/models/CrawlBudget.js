@@ -0,0 +1,77 @@
+import mongoose from 'mongoose';
+
+// One document per job site per day (South African date) counting the
+// requests spent against that site's crawl budget
+const crawlBudgetSchema = new mongoose.Schema({
+  site: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  date: {
+    type: String,
+    required: true,
+    match: /^\d{4}-\d{2}-\d{2}$/
+  },
+  limit: Number,
+  requests: {
+    type: Number,
+    default: 0
+  },
+  // Refused because robots.txt disallows the URL
+  denied: {
+    type: Number,
+    default: 0
+  },
+  // Refused because the day's budget was used up
+  blocked: {
+    type: Number,
+    default: 0
+  },
+  // 429/503 responses that slowed the site down
+  rateLimited: {
+    type: Number,
+    default: 0
+  },
+  failures: {
+    type: Number,
+    default: 0
+  },
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + 30 * 24 * 60 * 60 * 1000)
+  }
+}, {
+  timestamps: true
+});
+
+crawlBudgetSchema.index({ site: 1, date: 1 }, { unique: true });
+crawlBudgetSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Takes one request from today's budget; false once the limit is reached
+crawlBudgetSchema.statics.consume = async function(site, date, limit) {
+  try {
+    const budget = await this.findOneAndUpdate(
+      { site, date, requests: { $lt: limit } },
+      { $inc: { requests: 1 }, $set: { limit } },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+    return { allowed: true, used: budget.requests, limit };
+  } catch (error) {
+    // The filter missed because the limit is reached, so the upsert collided with today's document
+    if (error.code === 11000) {
+      return { allowed: false, used: limit, limit };
+    }
+    throw error;
+  }
+};
+
+crawlBudgetSchema.statics.record = function(site, date, counter) {
+  return this.updateOne(
+    { site, date },
+    { $inc: { [counter]: 1 } },
+    { upsert: true, setDefaultsOnInsert: true }
+  );
+};
+
+export default mongoose.model('CrawlBudget', crawlBudgetSchema);
@@ -38,6 +38,22 @@ const jobSchema = new mongoose.Schema({
     latitude: Number,
     longitude: Number
   },
+  // Gazetteer match for the location, see services/geo/gazetteer.js
+  place: {
+    name: String,
+    type: { type: String, enum: ['suburb', 'town', 'city', 'province'] },
+    city: String,
+    province: String,
+    provinceCode: String,
+    // Location text as the board wrote it
+    raw: String
+  },
+  // GeoJSON point ([longitude, latitude]) for radius search; province-only
+  // locations are too coarse and get none
+  geo: {
+    type: { type: String, enum: ['Point'] },
+    coordinates: { type: [Number], default: undefined }
+  },
   salaryRange: {
     min: {
       type: Number,
@@ -61,8 +77,27 @@ const jobSchema = new mongoose.Schema({
     isDisclosed: {
       type: Boolean,
       default: false
+    },
+    // Cost to company rather than basic salary
+    isCtc: {
+      type: Boolean,
+      default: false
+    },
+    isNegotiable: {
+      type: Boolean,
+      default: false
     }
   },
+  // Monthly ZAR pay of similar disclosed jobs, for 'Market Related' ads
+  // (see services/salaryBenchmarks.js)
+  salaryEstimate: {
+    min: Number,
+    median: Number,
+    max: Number,
+    sampleSize: Number,
+    basis: [String],
+    estimatedAt: Date
+  },
   jobType: {
     type: String,
     enum: ['full-time', 'part-time', 'contract', 'temporary', 'internship', 'remote', 'hybrid'],
@@ -118,7 +153,47 @@ const jobSchema = new mongoose.Schema({
       trim: true
     },
     scrapedId: String,
-    postedBy: String
+    postedBy: String,
+    // Site adapter and selector version that produced the listing
+    adapter: String,
+    selectorVersion: String
+  },
+  // Every board the vacancy was found on; source above is the first of them
+  sources: [{
+    _id: false,
+    website: {
+      type: String,
+      trim: true
+    },
+    url: {
+      type: String,
+      trim: true
+    },
+    scrapedId: String,
+    adapter: String,
+    selectorVersion: String,
+    firstSeenAt: Date,
+    lastSeenAt: Date
+  }],
+  // Near-duplicate clustering keys, see services/scraping/jobDeduplicator.js
+  dedupe: {
+    companyKey: String,
+    titleKey: String,
+    locationKey: String,
+    minhash: {
+      type: [Number],
+      select: false
+    },
+    clusterSize: {
+      type: Number,
+      default: 1
+    },
+    // Set on postings folded into another job
+    duplicateOf: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Job'
+    },
+    clusteredAt: Date
   },
   contact: {
     email: {
@@ -165,6 +240,63 @@ const jobSchema = new mongoose.Schema({
     index: true
   },
   filledAt: Date,
+  // Set while the ad cannot be confirmed live; cleared when a check succeeds
+  staleSince: Date,
+  // Periodic re-check of the source pages, see services/jobLivenessVerifier.js
+  liveness: {
+    status: {
+      type: String,
+      enum: ['unchecked', 'live', 'stale', 'closed'],
+      default: 'unchecked'
+    },
+    checks: {
+      type: Number,
+      default: 0
+    },
+    consecutiveFailures: {
+      type: Number,
+      default: 0
+    },
+    lastCheckedAt: Date,
+    // New jobs were just scraped, so their first check can wait a day
+    nextCheckAt: {
+      type: Date,
+      default: () => new Date(Date.now() + 24 * 60 * 60 * 1000)
+    },
+    lockedBy: String,
+    lockedUntil: Date,
+    httpStatus: Number,
+    // Why the job was closed: removed, filled-marker, closing-date, stale or manual
+    closedReason: String,
+    error: String
+  },
+  closingDate: Date,
+  referenceNumber: {
+    type: String,
+    trim: true
+  },
+  // Second-stage crawl of the job's own page, see services/jobEnricher.js
+  enrichment: {
+    status: {
+      type: String,
+      enum: ['pending', 'processing', 'completed', 'failed', 'skipped'],
+      default: 'pending'
+    },
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    nextRunAt: {
+      type: Date,
+      default: Date.now
+    },
+    lockedBy: String,
+    lockedUntil: Date,
+    completedAt: Date,
+    selectorVersion: String,
+    fields: [String],
+    error: String
+  },
   expiresAt: {
     type: Date,
     index: true,
@@ -233,6 +365,17 @@ const jobSchema = new mongoose.Schema({
     yearsOfExperience: Number,
     technologies: [String],
     certifications: [String]
+  },
+  // Semantic matching vector, see services/jobMatcher.js
+  embedding: {
+    vector: {
+      type: [Number],
+      select: false
+    },
+    model: String,
+    dimensions: Number,
+    textHash: String,
+    updatedAt: Date
   }
 }, {
   timestamps: true,
@@ -241,6 +384,8 @@ const jobSchema = new mongoose.Schema({
     transform: function(doc, ret) {
       // Remove internal fields when converting to JSON
       delete ret.metadata.scrapedAccuracy;
+      delete ret.embedding;
+      if (ret.dedupe) delete ret.dedupe.minhash;
       return ret;
     }
   }
@@ -254,9 +399,19 @@ jobSchema.index({ isActive: 1, experienceLevel: 1 });
 jobSchema.index({ isActive: 1, 'salaryRange.min': 1 });
 jobSchema.index({ isActive: 1, categories: 1 });
 jobSchema.index({ isActive: 1, isRemote: 1 });
+jobSchema.index({ geo: '2dsphere' });
+jobSchema.index({ isActive: 1, 'place.city': 1 });
+jobSchema.index({ isActive: 1, 'place.provinceCode': 1 });
 jobSchema.index({ 'metadata.qualityScore': -1 });
 jobSchema.index({ postedDate: -1 });
-jobSchema.index({ company: 1, title: 1 }, { unique: true });
+// Duplicate postings are clustered by company key rather than rejected by a
+// unique {company, title} index (scripts/dedupeJobs.js drops the old one)
+jobSchema.index({ 'dedupe.companyKey': 1, isActive: 1 });
+jobSchema.index({ 'sources.url': 1 });
+jobSchema.index({ isActive: 1, 'embedding.model': 1, 'embedding.updatedAt': 1 });
+jobSchema.index({ 'enrichment.status': 1, 'enrichment.nextRunAt': 1 });
+jobSchema.index({ isActive: 1, 'liveness.nextCheckAt': 1 });
+jobSchema.index({ isActive: 1, closingDate: 1 });
 
 // TTL index for automatic removal of expired jobs (90 days)
 jobSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
@@ -304,9 +459,13 @@ jobSchema.virtual('applicationRate').get(function() {
 });
 
 // Method to mark job as filled
-jobSchema.methods.markAsFilled = function() {
+jobSchema.methods.markAsFilled = function(reason = 'manual') {
   this.isActive = false;
   this.filledAt = new Date();
+  this.liveness.status = 'closed';
+  this.liveness.closedReason = reason;
+  this.liveness.lockedBy = undefined;
+  this.liveness.lockedUntil = undefined;
   return this.save();
 };
 
@@ -338,6 +497,12 @@ jobSchema.methods.incrementSaves = function() {
 
 // Method to calculate quality score
 jobSchema.methods.calculateQualityScore = function() {
+  this.computeQualityScore();
+  return this.save();
+};
+
+// Sets the quality score without saving, so pre-save can use it
+jobSchema.methods.computeQualityScore = function() {
   let score = 0;
   
   // Base score for required fields
@@ -355,7 +520,7 @@ jobSchema.methods.calculateQualityScore = function() {
   if (this.contact.email || this.contact.phone) score += 10;
   
   this.metadata.qualityScore = Math.min(score, 100);
-  return this.save();
+  return this.metadata.qualityScore;
 };
 
 // Static method to find active jobs
@@ -563,9 +728,9 @@ jobSchema.pre('save', function(next) {
   }
 
   // Calculate quality score for new jobs or when relevant fields change
-  const qualityFields = ['title', 'description', 'requirements', 'responsibilities', 'benefits', 'salaryRange'];
+  const qualityFields = ['title', 'description', 'requirements', 'responsibilities', 'benefits', 'salaryRange', 'contact'];
   if (this.isNew || qualityFields.some(field => this.isModified(field))) {
-    this.calculateQualityScore();
+    this.computeQualityScore();
   }
 
   next();
@@ -0,0 +1,43 @@
+import mongoose from 'mongoose';
+
+// In-app notices (follow-up and interview reminders, application updates,
+// subscription billing); the ones the user's preferences allow are emailed
+// as well
+const notificationSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['follow_up', 'interview_reminder', 'application_update', 'renewal_reminder', 'payment_failed', 'subscription_update'],
+    required: true
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  message: {
+    type: String,
+    required: true
+  },
+  // applicationId, jobId, interviewId or subscriptionId of what the notice is about
+  data: mongoose.Schema.Types.Mixed,
+  channels: [{
+    type: String,
+    enum: ['in_app', 'email']
+  }],
+  emailedAt: Date,
+  readAt: Date
+}, {
+  timestamps: true
+});
+
+notificationSchema.index({ userId: 1, readAt: 1, createdAt: -1 });
+
+// Old notices are of no use; drop them after 180 days
+notificationSchema.index({ createdAt: 1 }, { expireAfterSeconds: 180 * 24 * 60 * 60 });
+
+export default mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,155 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import { PRODUCT_IDS, VAT_RATE, CURRENCY } from '../services/billing/catalogue.js';
+
+// A priced snapshot of a cart. Totals are computed on the server at checkout
+// and payments are initiated for an order, never for an amount the browser
+// sends. Amounts are in rand; vat is charged on the discounted subtotal.
+const orderSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  orderNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  items: [{
+    product: {
+      type: String,
+      enum: PRODUCT_IDS,
+      required: true
+    },
+    name: {
+      type: String,
+      required: true
+    },
+    unitPrice: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1
+    },
+    discount: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    lineTotal: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    _id: false
+  }],
+  subtotal: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  discount: {
+    code: String,
+    description: String,
+    amount: {
+      type: Number,
+      default: 0,
+      min: 0
+    }
+  },
+  vatRate: {
+    type: Number,
+    default: VAT_RATE
+  },
+  vat: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  total: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  currency: {
+    type: String,
+    default: CURRENCY
+  },
+  status: {
+    type: String,
+    enum: ['pending_payment', 'paid', 'cancelled', 'expired', 'refunded'],
+    default: 'pending_payment',
+    index: true
+  },
+  customer: {
+    email: {
+      type: String,
+      required: true,
+      lowercase: true
+    },
+    firstName: String,
+    lastName: String,
+    phone: String
+  },
+  payments: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  }],
+  paymentMethod: String,
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  // Whether the coupon in discount.code holds one of its redemptions. It is
+  // taken at checkout and given back if the order lapses or is cancelled.
+  couponReserved: {
+    type: Boolean,
+    default: false
+  },
+  // Payments that arrived after the order was cancelled. Nothing is
+  // activated for them; each waits for an admin to refund it.
+  latePayments: [{
+    payment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payment'
+    },
+    amount: Number,
+    receivedAt: Date,
+    refundedAt: Date,
+    _id: false
+  }],
+  paidAt: Date,
+  fulfilledAt: Date,
+  cancelledAt: Date
+}, {
+  timestamps: true
+});
+
+orderSchema.index({ userId: 1, createdAt: -1 });
+orderSchema.index({ status: 1, expiresAt: 1 });
+
+orderSchema.virtual('isPayable').get(function() {
+  return this.status === 'pending_payment' && this.expiresAt > new Date();
+});
+
+orderSchema.virtual('formattedTotal').get(function() {
+  return `R ${this.total.toLocaleString('en-ZA', { minimumFractionDigits: 2 })}`;
+});
+
+// Short, unambiguous reference customers can type into a bank EFT
+orderSchema.statics.generateOrderNumber = function() {
+  const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+  let suffix = '';
+  for (let i = 0; i < 6; i++) {
+    suffix += alphabet[crypto.randomInt(alphabet.length)];
+  }
+  return `CB${suffix}`;
+};
+
+export default mongoose.model('Order', orderSchema);
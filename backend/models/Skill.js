@@ -0,0 +1,58 @@
+import mongoose from 'mongoose';
+
+// Admin changes to the skills taxonomy shipped in services/skills/data. A
+// document with the skillId of a built-in skill extends it (extra synonyms
+// and related skills, a new name or parent) or hides it when disabled; any
+// other skillId adds a new skill.
+const skillSchema = new mongoose.Schema({
+  skillId: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: /^[a-z0-9]+(-[a-z0-9]+)*$/
+  },
+  name: {
+    type: String,
+    trim: true
+  },
+  // Job category the skill points to ('IT', 'Finance', ...); empty for
+  // skills every kind of job asks for
+  category: {
+    type: String,
+    trim: true
+  },
+  group: {
+    type: String,
+    trim: true
+  },
+  parent: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  synonyms: [{
+    type: String,
+    trim: true
+  }],
+  // Forms only matched with this exact casing ("Excel", "React")
+  caseSensitive: [{
+    type: String,
+    trim: true
+  }],
+  related: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
+  disabled: {
+    type: Boolean,
+    default: false
+  },
+  updatedBy: String
+}, {
+  timestamps: true
+});
+
+export default mongoose.model('Skill', skillSchema);
@@ -0,0 +1,48 @@
+import mongoose from 'mongoose';
+
+// One uploaded bank statement and what reconciling it did. The file hash
+// stops the same export being imported twice; overlapping exports are
+// handled per line by StatementLine.fingerprint. An import stays processing
+// until every line is stored, so one that was cut short can be uploaded
+// again and picks up where it stopped.
+const statementImportSchema = new mongoose.Schema({
+  fileName: {
+    type: String,
+    required: true
+  },
+  fileHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  format: {
+    type: String,
+    enum: ['csv', 'ofx'],
+    required: true
+  },
+  period: {
+    from: Date,
+    to: Date
+  },
+  importedBy: String,
+  status: {
+    type: String,
+    enum: ['processing', 'completed'],
+    default: 'processing'
+  },
+  completedAt: Date,
+  counts: {
+    transactions: { type: Number, default: 0 },
+    credits: { type: Number, default: 0 },
+    // Lines already imported from an earlier, overlapping statement
+    alreadyImported: { type: Number, default: 0 },
+    matched: { type: Number, default: 0 },
+    review: { type: Number, default: 0 }
+  }
+}, {
+  timestamps: true
+});
+
+statementImportSchema.index({ createdAt: -1 });
+
+export default mongoose.model('StatementImport', statementImportSchema);
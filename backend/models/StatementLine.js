@@ -0,0 +1,75 @@
+import mongoose from 'mongoose';
+
+// A credit on an imported bank statement. Lines matched to a pending EFT
+// payment complete it; the rest wait in the review queue for an admin to
+// match by hand or dismiss (bank interest, refunds, unrelated deposits).
+const statementLineSchema = new mongoose.Schema({
+  importId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StatementImport',
+    required: true,
+    index: true
+  },
+  fingerprint: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  postedAt: {
+    type: Date,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  bankReference: String,
+  status: {
+    type: String,
+    enum: ['matched', 'review', 'dismissed'],
+    required: true,
+    index: true
+  },
+  paymentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+  match: {
+    method: {
+      type: String,
+      enum: ['exact', 'fuzzy', 'manual']
+    },
+    // How close the reference and amount were, 0-1
+    score: Number,
+    matchedAt: Date,
+    matchedBy: String
+  },
+  // Why the line needs review, and the payments it most resembles
+  reviewReason: {
+    type: String,
+    enum: ['no_reference', 'amount_mismatch', 'ambiguous', 'payment_already_settled']
+  },
+  candidates: [{
+    paymentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payment'
+    },
+    reference: String,
+    amount: Number,
+    score: Number,
+    _id: false
+  }],
+  note: String,
+  dismissedAt: Date,
+  dismissedBy: String
+}, {
+  timestamps: true
+});
+
+statementLineSchema.index({ status: 1, postedAt: -1 });
+
+export default mongoose.model('StatementLine', statementLineSchema);
@@ -0,0 +1,106 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import { PLAN_IDS } from '../services/billing/plans.js';
+import { CURRENCY } from '../services/billing/catalogue.js';
+
+// A user's recurring plan. The first payment sets up a gateway token (a
+// PayFast subscription token) that later periods are charged against. A
+// failed renewal makes it past_due: the service stays on until graceUntil
+// while the charge is retried, then the subscription expires.
+//
+//   pending -> active <-> past_due -> expired
+//   active -> cancelled (at the end of the paid period, on request)
+const subscriptionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  plan: {
+    type: String,
+    enum: PLAN_IDS,
+    required: true
+  },
+  // Payment references are this plus the payment's number, e.g. SBK7Q2MX-3
+  reference: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'active', 'past_due', 'cancelled', 'expired'],
+    default: 'pending',
+    index: true
+  },
+  gateway: {
+    type: String,
+    required: true
+  },
+  token: String,
+  // Per period, VAT included
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  currency: {
+    type: String,
+    default: CURRENCY
+  },
+  currentPeriodStart: Date,
+  currentPeriodEnd: Date,
+  nextBillingAt: Date,
+  // The user services[] entry this subscription keeps active
+  serviceId: mongoose.Schema.Types.ObjectId,
+  payments: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  }],
+  // A renewal charge waiting on the gateway's callback
+  pendingPaymentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+  dunning: {
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    nextRetryAt: Date,
+    lastError: String,
+    lastAttemptAt: Date
+  },
+  graceUntil: Date,
+  cancelAtPeriodEnd: {
+    type: Boolean,
+    default: false
+  },
+  cancelledAt: Date,
+  endedAt: Date,
+  endedReason: {
+    type: String,
+    enum: ['cancelled', 'payment_failed', 'first_payment_failed']
+  }
+}, {
+  timestamps: true
+});
+
+subscriptionSchema.index({ status: 1, nextBillingAt: 1 });
+subscriptionSchema.index({ status: 1, 'dunning.nextRetryAt': 1 });
+
+subscriptionSchema.virtual('renews').get(function() {
+  return this.status === 'active' && !this.cancelAtPeriodEnd;
+});
+
+subscriptionSchema.statics.generateReference = function() {
+  const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+  let suffix = '';
+  for (let i = 0; i < 6; i++) {
+    suffix += alphabet[crypto.randomInt(alphabet.length)];
+  }
+  return `SB${suffix}`;
+};
+
+export default mongoose.model('Subscription', subscriptionSchema);
@@ -87,6 +87,11 @@ const userSchema = new mongoose.Schema({
       type: String,
       select: false
     },
+    // Parsed CV in JSON Resume format
+    structured: {
+      type: mongoose.Schema.Types.Mixed,
+      select: false
+    },
     lastUpdated: {
       type: Date,
       default: Date.now
@@ -94,6 +99,21 @@ const userSchema = new mongoose.Schema({
     version: {
       type: Number,
       default: 1
+    },
+    currentRevision: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CVRevision'
+    },
+    // Semantic matching vector of the current CV
+    embedding: {
+      vector: {
+        type: [Number],
+        select: false
+      },
+      model: String,
+      dimensions: Number,
+      textHash: String,
+      updatedAt: Date
     }
   },
   jobPreferences: {
@@ -151,19 +171,136 @@ const userSchema = new mongoose.Schema({
     },
     status: {
       type: String,
-      enum: ['applied', 'viewed', 'interview', 'rejected', 'offered', 'accepted'],
+      // pending: queued by the application engine and not sent yet
+      enum: ['pending', 'applied', 'viewed', 'interview', 'rejected', 'offered', 'accepted', 'failed', 'withdrawn'],
       default: 'applied'
     },
     coverLetterUsed: String,
-    cvVersion: String,
+    cvVersion: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CVRevision'
+    },
+    // Every status the application has had, oldest first
+    statusHistory: [{
+      status: {
+        type: String,
+        required: true
+      },
+      at: {
+        type: Date,
+        default: Date.now
+      },
+      note: String,
+      source: {
+        type: String,
+        enum: ['user', 'engine', 'system'],
+        default: 'user'
+      }
+    }],
+    interviews: [{
+      scheduledAt: {
+        type: Date,
+        required: true
+      },
+      durationMinutes: Number,
+      type: {
+        type: String,
+        enum: ['phone', 'video', 'in-person', 'assessment', 'other'],
+        default: 'video'
+      },
+      // Address or meeting link
+      location: String,
+      contact: String,
+      notes: String,
+      outcome: {
+        type: String,
+        enum: ['pending', 'passed', 'unsuccessful', 'cancelled'],
+        default: 'pending'
+      },
+      reminderSentAt: Date
+    }],
     notes: String,
     followUpDate: Date,
+    followUpReminderSentAt: Date,
     applicationMethod: {
       type: String,
       enum: ['auto', 'manual', 'assisted'],
       default: 'auto'
+    },
+    matchScore: Number,
+    // Delivery of an automatic application and every attempt at it
+    submission: {
+      status: {
+        type: String,
+        enum: ['awaiting_approval', 'approved', 'submitting', 'submitted', 'dry_run', 'failed', 'declined']
+      },
+      channel: {
+        type: String,
+        enum: ['email', 'form']
+      },
+      adapter: String,
+      approvedAt: Date,
+      submittedAt: Date,
+      attempts: {
+        type: Number,
+        default: 0
+      },
+      lastError: String,
+      receipt: {
+        recipient: String,
+        messageId: String,
+        url: String,
+        reference: String,
+        confirmation: String,
+        screenshot: String,
+        dryRun: Boolean
+      },
+      log: [{
+        at: {
+          type: Date,
+          default: Date.now
+        },
+        channel: String,
+        outcome: {
+          type: String,
+          enum: ['submitted', 'dry_run', 'failed']
+        },
+        error: String,
+        screenshot: String
+      }]
     }
   }],
+  // Settings for the application engine (needs the auto_apply feature)
+  autoApply: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    minScore: {
+      type: Number,
+      default: 75,
+      min: 0,
+      max: 100
+    },
+    dailyLimit: {
+      type: Number,
+      default: 5,
+      min: 1
+    },
+    // Matches wait for the user to approve them before anything is sent
+    requireApproval: {
+      type: Boolean,
+      default: true
+    },
+    excludeCompanies: [{
+      type: String,
+      trim: true
+    }],
+    lastRunAt: Date,
+    nextRunAt: Date,
+    lockedBy: String,
+    lockedUntil: Date
+  },
   services: [{
     type: {
       type: String,
@@ -185,7 +322,13 @@ const userSchema = new mongoose.Schema({
     features: [{
       type: String,
       enum: ['cv_rewrite', 'cover_letter', 'job_matching', 'auto_apply', 'priority_support']
-    }]
+    }],
+    // Set for services kept active by a subscription rather than bought once
+    subscriptionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Subscription'
+    },
+    renewalReminderSentAt: Date
   }],
   popiaConsent: {
     accepted: {
@@ -323,6 +466,7 @@ userSchema.index({ 'services.isActive': 1 });
 userSchema.index({ 'services.expiresAt': 1 });
 userSchema.index({ 'statistics.lastActivity': 1 });
 userSchema.index({ isDeleted: 1 });
+userSchema.index({ 'autoApply.enabled': 1, 'autoApply.nextRunAt': 1 });
 
 // POPIA compliance: Automatic data expiration after 2 years of inactivity
 userSchema.index({ 'statistics.lastActivity': 1 }, { 
@@ -356,10 +500,13 @@ userSchema.methods.getActiveService = function() {
   );
 };
 
-// Method to check if user has specific feature
+// Method to check if user has specific feature; features can come from
+// several services, e.g. one per order
 userSchema.methods.hasFeature = function(feature) {
-  const activeService = this.getActiveService();
-  return activeService ? activeService.features.includes(feature) : false;
+  const now = new Date();
+  return this.services.some(service =>
+    service.isActive && service.expiresAt > now && service.features.includes(feature)
+  );
 };
 
 // Method to update last activity
@@ -415,14 +562,15 @@ userSchema.statics.findByIndustry = function(industry) {
   });
 };
 
-// Static method to find users with expiring services
-userSchema.statics.findWithExpiringServices = function(days = 7) {
-  const expirationDate = new Date();
+// Static method to find users with a service running out in the next `days`
+userSchema.statics.findWithExpiringServices = function(days = 7, now = new Date()) {
+  const expirationDate = new Date(now);
   expirationDate.setDate(expirationDate.getDate() + days);
   
   return this.find({
-    'services.isActive': true,
-    'services.expiresAt': { $lte: expirationDate },
+    services: {
+      $elemMatch: { isActive: true, expiresAt: { $gt: now, $lte: expirationDate } }
+    },
     isActive: true,
     isDeleted: false
   });
@@ -0,0 +1,83 @@
+// Exercises the application engine's email and form channels against a
+// local mock job board, without a database or sending anything:
+// `npm run apply:dry-run`. Add `-- --submit` to post the form to the mock
+// board as well, which checks the adapter's success and reference selectors.
+import { MockJobBoard } from '../services/applying/mockBoard.js';
+import { SiteAdapter } from '../services/scraping/siteAdapter.js';
+import applicationEngine from '../services/applying/applicationEngine.js';
+import scrapingService from '../services/scrapingService.js';
+
+const submitForm = process.argv.includes('--submit');
+
+const sampleUser = {
+  email: 'thandi.mokoena@example.co.za',
+  profile: {
+    firstName: 'Thandi',
+    lastName: 'Mokoena',
+    phone: '0821234567',
+    currentPosition: 'Junior Developer',
+    location: { city: 'Johannesburg', province: 'Gauteng' }
+  },
+  cv: {
+    enhanced: [
+      'PROFESSIONAL SUMMARY',
+      'Junior developer with two years of JavaScript, Node.js and SQL experience.',
+      '',
+      'EXPERIENCE',
+      'Junior Developer - Example Digital (2023 - Present)',
+      '- Built REST APIs in Node.js and Express',
+      '- Maintained PostgreSQL reports for the finance team',
+      '',
+      'EDUCATION',
+      'BSc Computer Science - University of Johannesburg (2022)'
+    ].join('\n')
+  }
+};
+
+const board = new MockJobBoard();
+let failed = false;
+
+try {
+  await board.start();
+  const adapter = new SiteAdapter(board.adapter);
+  console.log(`Mock job board at ${board.baseUrl}`);
+
+  const applicant = applicationEngine.applicantFor(sampleUser);
+  const cv = await applicationEngine.renderCV(sampleUser, applicant);
+  console.log(`Rendered ${cv.fileName} (${cv.buffer.length} bytes)`);
+
+  // Email channel: the ad's address gets the letter and the CV
+  const emailJob = { ...board.jobRecord('1002'), applicationEmail: 'careers@example.co.za', referenceNumber: 'BK-22' };
+  const emailLetter = await applicationEngine.writer.generateTailoredCoverLetter(sampleUser.cv.enhanced, emailJob, applicant.name);
+  const emailReceipt = await applicationEngine.submitters.email.submit(
+    { job: emailJob, applicant, coverLetter: emailLetter, attachments: [cv] },
+    { dryRun: true }
+  );
+  console.log(`\nEmail to ${emailReceipt.recipient}: "${emailReceipt.message.subject}"`);
+  console.log(`  reply-to ${emailReceipt.message.replyTo[0].address}, attachments: ${emailReceipt.message.attachments.map(attachment => attachment.filename).join(', ')}`);
+
+  // Form channel: the board's adapter fills in its application form
+  const formJob = board.jobRecord('1001');
+  const formLetter = await applicationEngine.writer.generateTailoredCoverLetter(sampleUser.cv.enhanced, formJob, applicant.name);
+  const formReceipt = await applicationEngine.submitters.form.submit(
+    { job: formJob, adapter, applicant, coverLetter: formLetter, attachments: [cv], reference: `dry-run-${Date.now()}` },
+    { dryRun: !submitForm }
+  );
+  console.log(`\nForm at ${formReceipt.url}: ${formReceipt.confirmation}`);
+  if (formReceipt.reference) console.log(`  reference ${formReceipt.reference}`);
+  console.log(`  screenshot ${formReceipt.screenshot}`);
+
+  if (submitForm) {
+    const received = board.submissions[0];
+    failed = !received || received.fields.email !== applicant.email || !received.files.cv?.size;
+    console.log(`  mock board received ${board.submissions.length} submission(s)${failed ? ' - NOT as expected' : ''}`);
+  }
+} catch (error) {
+  console.error('Auto-apply dry run failed:', error.message);
+  failed = true;
+} finally {
+  await scrapingService.close();
+  await board.stop();
+}
+
+process.exit(failed ? 1 : 0);
@@ -0,0 +1,86 @@
+// Migrates stored jobs to near-duplicate clustering and can be re-run at any
+// time to fold in duplicates the scraper missed:
+//   1. drops the old unique {company, title} index, which rejected the same
+//      title at another branch, and builds the current Job indexes
+//   2. backfills sources[] and the dedupe.* keys on jobs stored before them
+//   3. merges active postings of the same vacancy into the oldest one
+// `npm run jobs:dedupe -- --dry-run` reports what would change without writing.
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Job from '../models/Job.js';
+import jobDeduplicator from '../services/scraping/jobDeduplicator.js';
+
+dotenv.config();
+
+const dryRun = process.argv.includes('--dry-run');
+const BATCH_SIZE = 500;
+
+async function fixIndexes() {
+  const indexes = await Job.collection.indexes();
+  const legacy = indexes.find(index =>
+    index.unique && Object.keys(index.key).join(',') === 'company,title'
+  );
+
+  if (legacy) {
+    console.log(`${dryRun ? 'Would drop' : 'Dropping'} unique index ${legacy.name}`);
+    if (!dryRun) await Job.collection.dropIndex(legacy.name);
+  } else {
+    console.log('No unique {company, title} index found');
+  }
+
+  if (!dryRun) await Job.createIndexes();
+}
+
+async function backfill() {
+  const cursor = Job.find({
+    $or: [{ 'dedupe.companyKey': { $exists: false } }, { sources: { $size: 0 } }]
+  }).lean().cursor();
+
+  let operations = [];
+  let updated = 0;
+
+  for await (const job of cursor) {
+    const sources = jobDeduplicator.sourcesOf(job);
+    operations.push({
+      updateOne: {
+        filter: { _id: job._id },
+        update: {
+          $set: {
+            sources,
+            dedupe: { ...jobDeduplicator.fingerprint(job), clusterSize: Math.max(sources.length, 1) }
+          }
+        },
+        timestamps: false
+      }
+    });
+
+    if (operations.length === BATCH_SIZE) {
+      if (!dryRun) await Job.bulkWrite(operations);
+      updated += operations.length;
+      operations = [];
+    }
+  }
+
+  if (operations.length > 0 && !dryRun) await Job.bulkWrite(operations);
+  updated += operations.length;
+
+  console.log(`${dryRun ? 'Would backfill' : 'Backfilled'} dedupe keys on ${updated} jobs`);
+}
+
+try {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  await fixIndexes();
+  await backfill();
+
+  // On a first dry run the keys are not stored yet, so only jobs that already
+  // have them are clustered
+  const stats = await jobDeduplicator.recluster({ dryRun });
+  console.log(`${dryRun ? 'Would merge' : 'Merged'} ${stats.merged} duplicate postings into ${stats.clusters} jobs across ${stats.companies} companies`);
+
+  await mongoose.disconnect();
+  process.exit(0);
+} catch (error) {
+  console.error('Job deduplication migration failed:', error.message);
+  process.exit(1);
+}
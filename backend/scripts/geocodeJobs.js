@@ -0,0 +1,104 @@
+// Runs stored jobs and user preferences through the SA gazetteer:
+//   1. builds the Job indexes, including the 2dsphere index on geo
+//   2. gives jobs without a place (or every job with --all) the canonical
+//      location text, place, coordinates and dedupe location key
+//   3. rewrites users' preferred locations in the gazetteer's spelling
+// `npm run jobs:geocode -- --dry-run` reports what would change without writing.
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Job from '../models/Job.js';
+import User from '../models/User.js';
+import gazetteer from '../services/geo/gazetteer.js';
+import { normalizeLocation } from '../services/scraping/jobDeduplicator.js';
+
+dotenv.config();
+
+const dryRun = process.argv.includes('--dry-run');
+const all = process.argv.includes('--all');
+const BATCH_SIZE = 500;
+
+async function flush(model, operations) {
+  if (operations.length > 0 && !dryRun) await model.bulkWrite(operations);
+  return operations.length;
+}
+
+async function geocodeJobs() {
+  const cursor = Job.find(all ? {} : { 'place.name': { $exists: false } })
+    .select('location place')
+    .lean()
+    .cursor();
+
+  let operations = [];
+  let updated = 0;
+  let unresolved = 0;
+
+  for await (const job of cursor) {
+    // Re-runs start from what the board wrote, not our earlier rewrite
+    const fields = gazetteer.geocode(job.place?.raw || job.location);
+    if (!fields) {
+      unresolved += 1;
+      continue;
+    }
+
+    operations.push({
+      updateOne: {
+        filter: { _id: job._id },
+        update: { $set: { ...fields, 'dedupe.locationKey': normalizeLocation(fields.location) } },
+        timestamps: false
+      }
+    });
+
+    if (operations.length === BATCH_SIZE) {
+      updated += await flush(Job, operations);
+      operations = [];
+    }
+  }
+  updated += await flush(Job, operations);
+
+  console.log(`${dryRun ? 'Would geocode' : 'Geocoded'} ${updated} jobs; ${unresolved} locations not in the gazetteer`);
+}
+
+async function normalizePreferences() {
+  const cursor = User.find({ 'jobPreferences.locations.0': { $exists: true } })
+    .select('jobPreferences.locations')
+    .lean()
+    .cursor();
+
+  let operations = [];
+  let updated = 0;
+
+  for await (const user of cursor) {
+    const locations = gazetteer.normalizeList(user.jobPreferences.locations);
+    if (locations.join('|') === user.jobPreferences.locations.join('|')) continue;
+
+    operations.push({
+      updateOne: {
+        filter: { _id: user._id },
+        update: { $set: { 'jobPreferences.locations': locations } },
+        timestamps: false
+      }
+    });
+
+    if (operations.length === BATCH_SIZE) {
+      updated += await flush(User, operations);
+      operations = [];
+    }
+  }
+  updated += await flush(User, operations);
+
+  console.log(`${dryRun ? 'Would normalize' : 'Normalized'} preferred locations of ${updated} users`);
+}
+
+try {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  if (!dryRun) await Job.createIndexes();
+  await geocodeJobs();
+  await normalizePreferences();
+
+  await mongoose.disconnect();
+  process.exit(0);
+} catch (error) {
+  console.error('Geocoding migration failed:', error.message);
+  process.exit(1);
+}
@@ -0,0 +1,47 @@
+// Imports an FNB statement export and completes the EFT payments it pays:
+// `npm run payments:reconcile -- statement.csv` (CSV or OFX). Credits that
+// cannot be matched are queued for review under /api/admin/reconciliation.
+// `-- --dry-run` prints the matches without storing or completing anything.
+import fs from 'fs/promises';
+import path from 'path';
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import eftReconciliation from '../services/billing/eftReconciliation.js';
+
+dotenv.config();
+
+const dryRun = process.argv.includes('--dry-run');
+const file = process.argv.slice(2).find(arg => !arg.startsWith('--'));
+
+const formatRand = (amount) => `R ${amount.toFixed(2)}`;
+
+try {
+  if (!file) {
+    throw new Error('Usage: npm run payments:reconcile -- <statement.csv|statement.ofx> [--dry-run]');
+  }
+
+  const text = await fs.readFile(file, 'utf8');
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const { statementImport, lines } = await eftReconciliation.importStatement(text, {
+    fileName: path.basename(file),
+    importedBy: 'cli',
+    dryRun
+  });
+
+  for (const line of lines) {
+    const outcome = line.status === 'matched'
+      ? `${dryRun ? 'would match' : 'matched'} (${line.match.method})`
+      : `review: ${line.reviewReason}`;
+    console.log(`${line.postedAt.toISOString().slice(0, 10)}  ${formatRand(line.amount).padStart(12)}  ${line.description}  -> ${outcome}`);
+  }
+
+  const { counts } = statementImport;
+  console.log(`\n${counts.credits} credits in ${counts.transactions} transactions: ${counts.matched} matched, ${counts.review} for review, ${counts.alreadyImported} already imported`);
+
+  await mongoose.disconnect();
+  process.exit(0);
+} catch (error) {
+  console.error('EFT reconciliation failed:', error.message);
+  process.exit(1);
+}
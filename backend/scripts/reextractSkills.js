@@ -0,0 +1,58 @@
+// Re-reads active jobs through the skills taxonomy so their skills and
+// categories use the current canonical names; run after the data files or
+// the admins' custom skills change.
+// `npm run jobs:skills -- --dry-run` reports what would change without writing.
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Job from '../models/Job.js';
+import skillTaxonomy from '../services/skills/skillTaxonomy.js';
+
+dotenv.config();
+
+const dryRun = process.argv.includes('--dry-run');
+const BATCH_SIZE = 500;
+
+const sameList = (a = [], b = []) => a.length === b.length && a.every((item, index) => item === b[index]);
+
+try {
+  await mongoose.connect(process.env.MONGODB_URI);
+  await skillTaxonomy.loadCustom();
+
+  const cursor = Job.find({ isActive: true }).select('title description skills categories').lean().cursor();
+
+  let operations = [];
+  let checked = 0;
+  let updated = 0;
+
+  for await (const job of cursor) {
+    checked += 1;
+    const skills = skillTaxonomy.extractNames(`${job.title} ${job.description}`);
+    const categories = skillTaxonomy.categoriesFor(job);
+    if (sameList(skills, job.skills) && sameList(categories, job.categories)) continue;
+
+    operations.push({
+      updateOne: {
+        filter: { _id: job._id },
+        update: { $set: { skills, categories } },
+        timestamps: false
+      }
+    });
+
+    if (operations.length === BATCH_SIZE) {
+      if (!dryRun) await Job.bulkWrite(operations);
+      updated += operations.length;
+      operations = [];
+    }
+  }
+
+  if (operations.length > 0 && !dryRun) await Job.bulkWrite(operations);
+  updated += operations.length;
+
+  console.log(`${dryRun ? 'Would update' : 'Updated'} skills and categories on ${updated} of ${checked} active jobs`);
+
+  await mongoose.disconnect();
+  process.exit(0);
+} catch (error) {
+  console.error('Skill re-extraction failed:', error.message);
+  process.exit(1);
+}
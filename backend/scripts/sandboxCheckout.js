@@ -0,0 +1,118 @@
+// Runs checkout end to end without a payment provider or network:
+// `npm run payments:sandbox` against a local MongoDB. A throwaway customer
+// buys a product and pays through the sandbox gateway with each outcome,
+// then through PayFast against the local PayFast simulator (ITN, validate
+// post-back and a repeated ITN), and the sandbox payment is refunded. The
+// customer and their orders and payments are deleted afterwards.
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import User from '../models/User.js';
+import Cart from '../models/Cart.js';
+import Order from '../models/Order.js';
+import Payment from '../models/Payment.js';
+import orderService from '../services/billing/orderService.js';
+import paymentService, { PaymentService } from '../services/billing/paymentService.js';
+import { PayFastGateway } from '../services/billing/gateways/payfast.js';
+import { PayFastSimulator } from '../services/billing/payfastSimulator.js';
+
+dotenv.config();
+// The sandbox gateway is opt-in
+process.env.PAYMENT_SANDBOX = 'true';
+
+const EXPECTED = {
+  success: ['completed', 'paid'],
+  failure: ['failed', 'pending_payment'],
+  cancel: ['cancelled', 'pending_payment']
+};
+
+const simulator = new PayFastSimulator({ merchantId: '10000100', passphrase: 'sandbox-passphrase' });
+let user;
+let failed = false;
+
+const check = (label, ok, detail) => {
+  console.log(`${ok ? 'ok  ' : 'FAIL'} ${label}: ${detail}`);
+  if (!ok) failed = true;
+};
+
+async function placeOrder(product) {
+  await orderService.addItem(user._id, product);
+  return orderService.checkout(user._id);
+}
+
+// The sandbox answers after a delay; wait until the payment leaves pending
+async function settled(paymentId) {
+  for (let attempt = 0; attempt < 50; attempt++) {
+    const payment = await Payment.findById(paymentId);
+    if (payment.status !== 'pending') return payment;
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  return Payment.findById(paymentId);
+}
+
+try {
+  await mongoose.connect(process.env.MONGODB_URI);
+  user = await User.create({
+    email: `sandbox-${Date.now()}@example.co.za`,
+    password: `Sandbox-${Date.now()}`,
+    profile: { firstName: 'Sandbox', lastName: 'Customer' }
+  });
+
+  let refundable;
+  for (const [outcome, [paymentStatus, orderStatus]] of Object.entries(EXPECTED)) {
+    const order = await placeOrder('cover_letter');
+    const { payment } = await paymentService.start(user._id, order._id, 'sandbox', { outcome, delayMs: 50 });
+    const result = await settled(payment._id);
+    const after = await Order.findById(order._id);
+    check(`sandbox ${outcome}`, result.status === paymentStatus && after.status === orderStatus,
+      `payment ${result.status}, order ${after.status}`);
+    if (outcome === 'success') refundable = result;
+  }
+
+  // PayFast, with the simulator standing in for PayFast's servers
+  await simulator.start();
+  const payfast = new PaymentService({
+    gateways: [new PayFastGateway({
+      merchantId: simulator.merchantId,
+      merchantKey: 'sandbox-key',
+      passphrase: simulator.passphrase,
+      validateUrl: simulator.validateUrl,
+      validHosts: [],
+      allowedIps: ['127.0.0.1']
+    })]
+  });
+
+  const order = await placeOrder('job_matching');
+  const { payment, action } = await payfast.start(user._id, order._id, 'payfast', { baseUrl: 'http://localhost:5000' });
+  check('payfast redirect', action.type === 'redirect' && action.fields.amount === order.total.toFixed(2),
+    `${action.fields.amount} to ${action.url}`);
+
+  const itn = simulator.itn(payment);
+  const first = await payfast.handleCallback('payfast', itn, { ip: '127.0.0.1' });
+  const repeat = await payfast.handleCallback('payfast', itn, { ip: '127.0.0.1' });
+  const tampered = await payfast.handleCallback('payfast', { ...itn, amount_gross: '1.00' }, { ip: '127.0.0.1' });
+  const paidOrder = await Order.findById(order._id);
+  check('payfast ITN', first.accepted && !first.duplicate && paidOrder.status === 'paid', `order ${paidOrder.status}`);
+  check('payfast repeated ITN', repeat.accepted && repeat.duplicate, 'acknowledged without applying again');
+  check('payfast tampered ITN', !tampered.accepted, tampered.reason);
+
+  const { payment: refunded } = await paymentService.refund(refundable._id, { reason: 'Sandbox refund' });
+  const refundedOrder = await Order.findById(refunded.orderId);
+  check('sandbox refund', refunded.status === 'refunded' && refundedOrder.status === 'refunded',
+    `payment ${refunded.status}, order ${refundedOrder.status}`);
+} catch (error) {
+  console.error('Sandbox checkout failed:', error.message);
+  failed = true;
+} finally {
+  await simulator.stop();
+  if (user) {
+    await Promise.all([
+      Payment.deleteMany({ userId: user._id }),
+      Order.deleteMany({ userId: user._id }),
+      Cart.deleteMany({ userId: user._id }),
+      User.deleteOne({ _id: user._id })
+    ]);
+  }
+  await mongoose.disconnect();
+}
+
+process.exit(failed ? 1 : 0);
@@ -0,0 +1,30 @@
+// Checks every site adapter (or one: `npm run scrapers:validate -- indeed`)
+// against its saved HTML fixtures. Exits non-zero when any fixture fails.
+import adapterValidator from '../services/scraping/adapterValidator.js';
+
+const adapterId = process.argv[2];
+
+try {
+  const result = await adapterValidator.validate({ adapterId });
+
+  for (const report of result.adapters) {
+    console.log(`${report.passed ? 'PASS' : 'FAIL'} ${report.adapter}`);
+    report.warnings.forEach(warning => console.log(`  warning: ${warning}`));
+
+    for (const fixture of report.fixtures) {
+      const summary = fixture.kind === 'listing'
+        ? `${fixture.jobs}/${fixture.cards} jobs`
+        : `${fixture.fields?.length || 0} fields`;
+      console.log(`  ${fixture.passed ? 'ok  ' : 'fail'} ${fixture.file} (${fixture.kind}, selectors v${fixture.selectorVersion}, ${summary})`);
+      fixture.errors.forEach(error => console.log(`       error: ${error}`));
+      fixture.warnings.forEach(warning => console.log(`       warning: ${warning}`));
+    }
+  }
+
+  result.loadErrors.forEach(({ source, error }) => console.log(`FAIL ${source}: ${error}`));
+
+  process.exit(result.passed ? 0 : 1);
+} catch (error) {
+  console.error('Adapter validation failed:', error.message);
+  process.exit(1);
+}
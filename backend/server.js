@@ -18,6 +18,11 @@ import authRoutes from './routes/auth.js';
 import cvRoutes from './routes/cvProcessing.js';
 import jobRoutes from './routes/jobScraping.js';
 import paymentRoutes from './routes/payments.js';
+import catalogueRoutes from './routes/catalogue.js';
+import paymentNotificationRoutes from './routes/paymentNotifications.js';
+import cartRoutes from './routes/cart.js';
+import orderRoutes from './routes/orders.js';
+import subscriptionRoutes from './routes/subscriptions.js';
 import userRoutes from './routes/users.js';
 import adminRoutes from './routes/admin.js';
 import popiaRoutes from './routes/popia.js';
@@ -25,6 +30,16 @@ import popiaRoutes from './routes/popia.js';
 // Import services
 import aiService from './services/aiServices.js';
 import scrapingService from './services/scrapingService.js';
+import cvJobQueue from './services/cvJobQueue.js';
+import jobMatcher from './services/jobMatcher.js';
+import jobEnricher from './services/jobEnricher.js';
+import jobLivenessVerifier from './services/jobLivenessVerifier.js';
+import salaryBenchmarks from './services/salaryBenchmarks.js';
+import skillTaxonomy from './services/skills/skillTaxonomy.js';
+import applicationEngine from './services/applying/applicationEngine.js';
+import applicationTracker from './services/applicationTracker.js';
+import subscriptionService from './services/billing/subscriptionService.js';
+import orderService from './services/billing/orderService.js';
 import database from './database/connection.js';
 import AuditLogger from './security/auditLogger.js';
 
@@ -60,6 +75,32 @@ class CareerBoostServer {
       const scrapingHealth = await scrapingService.healthCheck();
       console.log(`✅ Scraping Service: ${scrapingHealth.status}`);
 
+      // Apply admin additions to the skills taxonomy
+      try {
+        const skills = await skillTaxonomy.loadCustom();
+        console.log(`✅ Skills taxonomy: ${skills.skills} skills (${skills.custom} custom)`);
+      } catch (error) {
+        console.error('Loading custom skills failed:', error);
+      }
+
+      // Start CV processing workers
+      cvJobQueue.start();
+
+      // Start the job detail-page crawler
+      if (process.env.JOB_ENRICHMENT_ENABLED !== 'false') {
+        jobEnricher.start();
+      }
+
+      // Re-check active jobs' source pages and close dead ads
+      if (process.env.JOB_LIVENESS_ENABLED !== 'false') {
+        jobLivenessVerifier.start();
+      }
+
+      // Apply to matched jobs for users with auto_apply; off unless switched on
+      if (process.env.AUTO_APPLY_ENABLED === 'true') {
+        applicationEngine.start();
+      }
+
       // Schedule periodic tasks
       this.schedulePeriodicTasks();
 
@@ -109,7 +150,11 @@ class CareerBoostServer {
     }));
     this.app.use(express.urlencoded({ 
       extended: true, 
-      limit: '10mb' 
+      limit: '10mb',
+      // Payment notifications are signed over the fields exactly as sent
+      verify: (req, res, buf) => {
+        req.rawBody = buf;
+      }
     }));
 
     // Global rate limiting
@@ -172,12 +217,17 @@ class CareerBoostServer {
     // Public routes
     this.app.use('/api/auth', authRoutes);
     this.app.use('/api/popia', popiaRoutes);
+    this.app.use('/api/catalogue', catalogueRoutes);
+    this.app.use('/api/payments', paymentNotificationRoutes);
 
     // Protected routes (require authentication)
     this.app.use('/api/cv', authenticateToken, popiaConsent, logDataAccess('cv'), cvRoutes);
     this.app.use('/api/jobs', authenticateToken, popiaConsent, rateLimitByUser(60000, 50), jobRoutes);
     this.app.use('/api/users', authenticateToken, popiaConsent, userRoutes);
+    this.app.use('/api/cart', authenticateToken, popiaConsent, cartRoutes);
+    this.app.use('/api/orders', authenticateToken, popiaConsent, orderRoutes);
     this.app.use('/api/payments', authenticateToken, popiaConsent, paymentRoutes);
+    this.app.use('/api/subscriptions', authenticateToken, popiaConsent, subscriptionRoutes);
 
     // Admin routes (require admin privileges)
     this.app.use('/api/admin', authenticateToken, authorize(['admin', 'moderator']), adminRoutes);
@@ -321,6 +371,68 @@ class CareerBoostServer {
       }
     }, 6 * 60 * 60 * 1000); // Every 6 hours
 
+    // Embed new and changed jobs for semantic matching (every 15 minutes)
+    setInterval(async () => {
+      try {
+        const result = await jobMatcher.embedPendingJobs();
+        if (result.embedded > 0) {
+          console.log(`Embedded ${result.embedded} jobs for matching`);
+        }
+        await jobMatcher.syncIndex();
+      } catch (error) {
+        console.error('Job embedding error:', error);
+      }
+    }, 15 * 60 * 1000); // Every 15 minutes
+
+    // Estimate pay for 'Market Related' jobs from similar disclosed salaries (hourly)
+    setInterval(async () => {
+      try {
+        const result = await salaryBenchmarks.estimateUndisclosed();
+        if (result.estimated > 0) {
+          console.log(`Estimated salaries for ${result.estimated} jobs`);
+        }
+      } catch (error) {
+        console.error('Salary estimate error:', error);
+      }
+    }, 60 * 60 * 1000); // Every hour
+
+    // Follow-up and interview reminders (hourly)
+    setInterval(async () => {
+      try {
+        const result = await applicationTracker.sendDueReminders();
+        if (result.followUps + result.interviews > 0) {
+          console.log(`Sent ${result.followUps} follow-up and ${result.interviews} interview reminders`);
+        }
+      } catch (error) {
+        console.error('Application reminder error:', error);
+      }
+    }, 60 * 60 * 1000); // Every hour
+
+    // Subscription renewals, dunning retries, expired services and renewal reminders (hourly)
+    setInterval(async () => {
+      try {
+        const result = await subscriptionService.runBillingCycle();
+        if (result.charged + result.ended + result.deactivated + result.reminders > 0) {
+          console.log(`Billing: ${result.renewed}/${result.charged} renewals paid, ${result.ended} subscriptions ended, ` +
+            `${result.deactivated} users' services expired, ${result.reminders} renewal reminders sent`);
+        }
+      } catch (error) {
+        console.error('Subscription billing error:', error);
+      }
+    }, 60 * 60 * 1000); // Every hour
+
+    // Lapse unpaid orders and give back the coupon redemptions they hold (hourly)
+    setInterval(async () => {
+      try {
+        const expired = await orderService.expireLapsed();
+        if (expired > 0) {
+          console.log(`Expired ${expired} unpaid orders`);
+        }
+      } catch (error) {
+        console.error('Order expiry error:', error);
+      }
+    }, 60 * 60 * 1000); // Every hour
+
     // AI service health monitoring (every 5 minutes)
     setInterval(async () => {
       try {
@@ -377,6 +489,19 @@ class CareerBoostServer {
           console.log('✅ HTTP server closed');
         });
 
+        // Stop picking up new CV jobs
+        await cvJobQueue.stop();
+        console.log('✅ CV job queue stopped');
+
+        await jobEnricher.stop();
+        console.log('✅ Job enricher stopped');
+
+        await jobLivenessVerifier.stop();
+        console.log('✅ Job liveness verifier stopped');
+
+        await applicationEngine.stop();
+        console.log('✅ Application engine stopped');
+
         // Close database connection
         await database.gracefulShutdown();
         console.log('✅ Database connection closed');
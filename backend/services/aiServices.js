@@ -1,28 +1,38 @@
-import { OpenAI } from 'openai';
 import PDFParser from 'pdf-parse';
 import mammoth from 'mammoth';
+import WordExtractor from 'word-extractor';
+import { extractTextFromRTF } from './extraction/rtfExtractor.js';
+import { extractTextFromODT } from './extraction/odtExtractor.js';
+import { extractTextFromTXT } from './extraction/textExtractor.js';
+import ocrExtractor from './extraction/ocrExtractor.js';
 import { SecurityManager } from '../security/encryption.js';
+import { getLLMClient } from '../ai_services/llm/index.js';
+import atsScorer from './atsScorer.js';
+import jobMatcher from './jobMatcher.js';
+
+// PDFs with less text than this are treated as scans and sent to OCR
+const MIN_PDF_TEXT_LENGTH = 50;
+
+// Adds context to an error message while keeping the flags callers act on,
+// e.g. retryable: false for a scan that OCR cannot read
+const wrapError = (message, error) => Object.assign(new Error(`${message}: ${error.message}`), {
+  ...(error.retryable !== undefined && { retryable: error.retryable }),
+  ...(error.code !== undefined && { code: error.code })
+});
 
 export class AIService {
   constructor() {
-    this.openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY,
-      timeout: 30000,
-      maxRetries: 3
-    });
-    this.availableModels = {
-      fast: 'gpt-3.5-turbo',
-      quality: 'gpt-4',
-      latest: 'gpt-4-turbo-preview'
-    };
+    // Provider, timeouts, retries and model names come from the LLM_* environment
+    this.llm = getLLMClient();
   }
 
   async processCV(cvBuffer, fileType, targetIndustry, userId) {
     try {
       console.log(`Processing CV for user ${userId}, industry: ${targetIndustry}`);
       
-      // Extract text from file
-      const extractedText = await this.extractTextFromFile(cvBuffer, fileType);
+      // Extract text from file, falling back to OCR for scans
+      const extraction = await this.extractDocument(cvBuffer, fileType);
+      const extractedText = extraction.text;
       
       if (!extractedText || extractedText.trim().length < 50) {
         throw new Error('CV text extraction failed or content too short');
@@ -34,8 +44,10 @@ export class AIService {
       // Enhance CV with AI
       const enhancedCV = await this.enhanceCV(extractedText, targetIndustry, analysis);
       
-      // Generate ATS-optimized version
+      // Generate ATS-optimized version, scoring it on either side of the rewrite
+      const atsBefore = atsScorer.score(enhancedCV, { industry: targetIndustry });
       const atsOptimizedCV = await this.optimizeForATS(enhancedCV, targetIndustry);
+      const atsAfter = atsScorer.score(atsOptimizedCV, { industry: targetIndustry });
       
       // Generate cover letter template
       const coverLetter = await this.generateCoverLetterTemplate(extractedText, targetIndustry);
@@ -46,16 +58,59 @@ export class AIService {
         enhancedCV: atsOptimizedCV,
         coverLetter: coverLetter,
         analysis: analysis,
+        atsReport: {
+          sourceLayout: atsScorer.scoreLayout(extractedText),
+          before: atsBefore,
+          after: atsAfter,
+          comparison: atsScorer.compare(atsBefore, atsAfter)
+        },
         metadata: {
           originalLength: extractedText.length,
+          extractionMethod: extraction.method,
+          ocrConfidence: extraction.ocr?.confidence,
           enhancedLength: atsOptimizedCV.length,
           processingTime: new Date(),
-          modelUsed: this.availableModels.quality
+          modelUsed: this.llm.resolveModel('quality'),
+          provider: this.llm.providerName
         }
       };
     } catch (error) {
       console.error('CV processing error:', error);
-      throw new Error(`CV processing failed: ${error.message}`);
+      throw wrapError('CV processing failed', error);
+    }
+  }
+
+  // Extracts text and reports how it was obtained. Image uploads and PDFs
+  // without a usable text layer go through local OCR.
+  async extractDocument(buffer, fileType) {
+    if (fileType === 'image/jpeg' || fileType === 'image/png') {
+      return this.extractWithOCR(buffer, fileType);
+    }
+
+    const text = await this.extractTextFromFile(buffer, fileType);
+
+    if (fileType === 'application/pdf' && (!text || text.trim().length < MIN_PDF_TEXT_LENGTH)) {
+      return this.extractWithOCR(buffer, fileType);
+    }
+
+    return { text, method: 'text' };
+  }
+
+  async extractWithOCR(buffer, fileType) {
+    if (!(await ocrExtractor.isAvailable())) {
+      const error = new Error('This CV appears to be a scanned image and OCR is not available. Please upload a text-based PDF or Word document.');
+      error.retryable = false;
+      throw error;
+    }
+
+    try {
+      const { text, ...ocr } = fileType === 'application/pdf'
+        ? await ocrExtractor.recognizePDF(buffer)
+        : await ocrExtractor.recognizeImage(buffer, fileType === 'image/png' ? 'png' : 'jpg');
+
+      return { text, method: 'ocr', ocr };
+    } catch (error) {
+      throw new Error(`OCR failed: ${error.message}`);
     }
   }
 
@@ -68,12 +123,21 @@ export class AIService {
           return await this.extractTextFromDOCX(buffer);
         case 'application/msword':
           return await this.extractTextFromDOC(buffer);
+        case 'application/rtf':
+          return this.extractTextFromRTF(buffer);
+        case 'application/vnd.oasis.opendocument.text':
+          return await this.extractTextFromODT(buffer);
+        case 'text/plain':
+          return extractTextFromTXT(buffer);
+        case 'image/jpeg':
+        case 'image/png':
+          return (await this.extractWithOCR(buffer, fileType)).text;
         default:
           throw new Error(`Unsupported file type: ${fileType}`);
       }
     } catch (error) {
       console.error('Text extraction error:', error);
-      throw new Error(`Failed to extract text from file: ${error.message}`);
+      throw wrapError('Failed to extract text from file', error);
     }
   }
 
@@ -96,9 +160,28 @@ export class AIService {
   }
 
   async extractTextFromDOC(buffer) {
-    // For .doc files, we might need a different approach
-    // This is a simplified version - in production you might use a different library
-    throw new Error('DOC file format not supported. Please use PDF or DOCX.');
+    try {
+      const document = await new WordExtractor().extract(buffer);
+      return document.getBody();
+    } catch (error) {
+      throw new Error(`DOC extraction failed: ${error.message}`);
+    }
+  }
+
+  extractTextFromRTF(buffer) {
+    try {
+      return extractTextFromRTF(buffer);
+    } catch (error) {
+      throw new Error(`RTF extraction failed: ${error.message}`);
+    }
+  }
+
+  async extractTextFromODT(buffer) {
+    try {
+      return await extractTextFromODT(buffer);
+    } catch (error) {
+      throw new Error(`ODT extraction failed: ${error.message}`);
+    }
   }
 
   async analyzeCVContent(cvText, targetIndustry) {
@@ -114,15 +197,17 @@ export class AIService {
       2. IMPROVEMENT_AREAS: Identify areas that need improvement
       3. SKILLS_GAP: Compare current skills with ${targetIndustry} requirements
       4. KEYWORD_ANALYSIS: Identify relevant keywords for ${targetIndustry}
-      5. ATS_COMPATIBILITY: Assess ATS compatibility score (1-100)
-      6. CAREER_RECOMMENDATIONS: Specific recommendations for ${targetIndustry}
+      5. CAREER_RECOMMENDATIONS: Specific recommendations for ${targetIndustry}
       
       Format the response as a JSON object with these exact keys.
     `;
 
+    let analysis;
+
     try {
-      const completion = await this.openai.chat.completions.create({
-        model: this.availableModels.quality,
+      const completion = await this.llm.chat({
+        tier: 'quality',
+        purpose: 'cv_analysis',
         messages: [
           {
             role: "system",
@@ -133,26 +218,28 @@ export class AIService {
             content: prompt
           }
         ],
-        max_tokens: 2000,
+        maxTokens: 2000,
         temperature: 0.3,
-        response_format: { type: "json_object" }
+        json: true
       });
 
-      const analysis = JSON.parse(completion.choices[0].message.content);
+      analysis = JSON.parse(completion.content);
       
       // Validate analysis structure
-      const requiredKeys = ['STRENGTHS_ANALYSIS', 'IMPROVEMENT_AREAS', 'SKILLS_GAP', 'KEYWORD_ANALYSIS', 'ATS_COMPATIBILITY', 'CAREER_RECOMMENDATIONS'];
+      const requiredKeys = ['STRENGTHS_ANALYSIS', 'IMPROVEMENT_AREAS', 'SKILLS_GAP', 'KEYWORD_ANALYSIS', 'CAREER_RECOMMENDATIONS'];
       for (const key of requiredKeys) {
         if (!analysis[key]) {
           analysis[key] = 'Analysis not available';
         }
       }
-
-      return analysis;
     } catch (error) {
       console.error('CV analysis error:', error);
-      return this.getDefaultAnalysis(targetIndustry);
+      analysis = this.getDefaultAnalysis(targetIndustry);
     }
+
+    // The ATS score comes from the rule-based scorer so it is reproducible
+    analysis.ATS_COMPATIBILITY = atsScorer.score(cvText, { industry: targetIndustry }).score;
+    return analysis;
   }
 
   async enhanceCV(originalText, targetIndustry, analysis) {
@@ -181,8 +268,9 @@ export class AIService {
     `;
 
     try {
-      const completion = await this.openai.chat.completions.create({
-        model: this.availableModels.quality,
+      const completion = await this.llm.chat({
+        tier: 'quality',
+        purpose: 'cv_enhance',
         messages: [
           {
             role: "system",
@@ -193,17 +281,68 @@ export class AIService {
             content: prompt
           }
         ],
-        max_tokens: 3000,
+        maxTokens: 3000,
         temperature: 0.7
       });
 
-      return completion.choices[0].message.content.trim();
+      return completion.content.trim();
     } catch (error) {
       console.error('CV enhancement error:', error);
       throw new Error('Failed to enhance CV');
     }
   }
 
+  // A variant of the CV for one job: reorders and rewords what is already
+  // there so the requirements the candidate meets come first
+  async tailorCVForJob(cvText, job, { matched = [], missing = [] } = {}) {
+    const prompt = `
+      Tailor the following CV for the ${job.title} position at ${job.company}.
+
+      Job advert:
+      ${(job.description || '').substring(0, 2000)}
+
+      Requirements the CV already shows: ${matched.join(', ') || 'none identified'}
+      Requirements the CV does not show: ${missing.join(', ') || 'none'}
+
+      CV:
+      ${cvText.substring(0, 3000)}
+
+      Requirements:
+      1. Maintain all factual information; never add skills, employers, dates or qualifications that are not in the CV
+      2. Do not claim the requirements the CV does not show
+      3. Open with a short professional summary aimed at this role
+      4. Move the most relevant experience and skills to the top of their sections
+      5. Use the advert's wording for skills the candidate has, so ATS keyword matching finds them
+      6. Keep the standard section headings (Experience, Education, Skills)
+
+      Return only the tailored CV text without any additional explanations.
+    `;
+
+    try {
+      const completion = await this.llm.chat({
+        tier: 'quality',
+        purpose: 'cv_tailor',
+        messages: [
+          {
+            role: "system",
+            content: "You are a professional CV writer who tailors CVs to specific job adverts without inventing experience."
+          },
+          {
+            role: "user",
+            content: prompt
+          }
+        ],
+        maxTokens: 3000,
+        temperature: 0.4
+      });
+
+      return completion.content.trim();
+    } catch (error) {
+      console.error('CV tailoring error:', error);
+      return cvText; // Return original if tailoring fails
+    }
+  }
+
   async optimizeForATS(cvText, targetIndustry) {
     const prompt = `
       Optimize the following CV for Applicant Tracking Systems (ATS) targeting ${targetIndustry} roles.
@@ -226,8 +365,9 @@ export class AIService {
     `;
 
     try {
-      const completion = await this.openai.chat.completions.create({
-        model: this.availableModels.quality,
+      const completion = await this.llm.chat({
+        tier: 'quality',
+        purpose: 'ats_optimize',
         messages: [
           {
             role: "system",
@@ -238,11 +378,11 @@ export class AIService {
             content: prompt
           }
         ],
-        max_tokens: 2500,
+        maxTokens: 2500,
         temperature: 0.3
       });
 
-      return completion.choices[0].message.content.trim();
+      return completion.content.trim();
     } catch (error) {
       console.error('ATS optimization error:', error);
       return cvText; // Return original if optimization fails
@@ -273,8 +413,9 @@ export class AIService {
     `;
 
     try {
-      const completion = await this.openai.chat.completions.create({
-        model: this.availableModels.quality,
+      const completion = await this.llm.chat({
+        tier: 'quality',
+        purpose: 'cover_letter',
         messages: [
           {
             role: "system",
@@ -285,69 +426,76 @@ export class AIService {
             content: prompt
           }
         ],
-        max_tokens: 1500,
+        maxTokens: 1500,
         temperature: 0.6
       });
 
-      return completion.choices[0].message.content.trim();
+      return completion.content.trim();
     } catch (error) {
       console.error('Cover letter generation error:', error);
       return this.getDefaultCoverLetterTemplate(targetIndustry);
     }
   }
 
-  async matchJobsToCV(cvText, jobs, maxMatches = 10) {
+  // A finished letter for one job (no placeholders), as sent by the application engine
+  async generateTailoredCoverLetter(cvText, job, applicantName, { highlights = [] } = {}) {
+    const focus = highlights.length > 0
+      ? `\n      Requirements of the advert the CV shows: ${highlights.join(', ')}\n`
+      : '';
+
+    const prompt = `
+      Write a cover letter from ${applicantName} applying for the ${job.title} position at ${job.company}.
+
+      Job advert:
+      ${(job.description || '').substring(0, 2000)}
+${focus}
+      Candidate CV:
+      ${cvText.substring(0, 2500)}
+
+      Requirements:
+      1. Only claim experience and skills that appear in the CV
+      2. Refer to two or three requirements of the advert the candidate meets
+      3. Three short paragraphs, 200-300 words, professional South African English
+      4. Start with "Dear Hiring Manager," and end with "Kind regards," and the candidate's name
+      5. No placeholders or brackets; the letter is sent as is
+
+      Return only the letter.
+    `;
+
     try {
-      const prompt = `
-        Analyze the following CV and match it to the most suitable jobs from the list provided.
-        
-        CV Content:
-        ${cvText.substring(0, 2000)}
-        
-        Available Jobs (format: Title | Company | Description):
-        ${jobs.slice(0, 50).map(job => 
-          `${job.title} | ${job.company} | ${job.description?.substring(0, 200) || 'No description'}`
-        ).join('\n')}
-        
-        Return a JSON array of job matches with this structure:
-        [
-          {
-            "jobId": "identifier",
-            "matchScore": 85,
-            "reasoning": "Key matching factors",
-            "recommendations": "How to improve application"
-          }
-        ]
-        
-        Consider:
-        - Skills alignment
-        - Experience level match
-        - Industry relevance
-        - Location preferences
-        - Salary expectations
-        
-        Return only the JSON array, no additional text.
-      `;
-
-      const completion = await this.openai.chat.completions.create({
-        model: this.availableModels.quality,
+      const completion = await this.llm.chat({
+        tier: 'quality',
+        purpose: 'cover_letter',
         messages: [
           {
             role: "system",
-            content: "You are a job matching expert who accurately matches candidate profiles to suitable job opportunities based on skills, experience, and preferences."
+            content: "You are an expert cover letter writer. You write truthful, specific letters that are ready to send."
           },
           {
             role: "user",
             content: prompt
           }
         ],
-        max_tokens: 2000,
-        temperature: 0.4,
-        response_format: { type: "json_object" }
+        maxTokens: 1000,
+        temperature: 0.5
       });
 
-      const matches = JSON.parse(completion.choices[0].message.content);
-      return Array.isArray(matches) ? matches.slice(0, maxMatches) : [];
+      const letter = completion.content.trim();
+      if (/\[[^\]]+\]/.test(letter)) {
+        throw new Error('Generated cover letter still contains placeholders');
+      }
+      return letter;
+    } catch (error) {
+      console.error('Tailored cover letter generation error:', error);
+      return this.getDefaultTailoredCoverLetter(job, applicantName);
+    }
+  }
+
+  // Ranks jobs by embedding similarity, so any number of jobs can be compared
+  // without running into prompt size limits
+  async matchJobsToCV(cvText, jobs, maxMatches = 10) {
+    try {
+      return await jobMatcher.rankJobsForText(cvText, jobs, maxMatches);
     } catch (error) {
       console.error('Job matching error:', error);
       return [];
@@ -375,8 +523,9 @@ export class AIService {
     `;
 
     try {
-      const completion = await this.openai.chat.completions.create({
-        model: this.availableModels.quality,
+      const completion = await this.llm.chat({
+        tier: 'quality',
+        purpose: 'interview_questions',
         messages: [
           {
             role: "system",
@@ -387,12 +536,12 @@ export class AIService {
             content: prompt
           }
         ],
-        max_tokens: 1500,
+        maxTokens: 1500,
         temperature: 0.5,
-        response_format: { type: "json_object" }
+        json: true
       });
 
-      const questions = JSON.parse(completion.choices[0].message.content);
+      const questions = JSON.parse(completion.content);
       return questions.questions || questions.interviewQuestions || [];
     } catch (error) {
       console.error('Interview questions generation error:', error);
@@ -422,8 +571,9 @@ export class AIService {
     `;
 
     try {
-      const completion = await this.openai.chat.completions.create({
-        model: this.availableModels.fast,
+      const completion = await this.llm.chat({
+        tier: 'fast',
+        purpose: 'job_analysis',
         messages: [
           {
             role: "system",
@@ -434,12 +584,12 @@ export class AIService {
             content: prompt
           }
         ],
-        max_tokens: 1000,
+        maxTokens: 1000,
         temperature: 0.3,
-        response_format: { type: "json_object" }
+        json: true
       });
 
-      return JSON.parse(completion.choices[0].message.content);
+      return JSON.parse(completion.content);
     } catch (error) {
       console.error('Job description analysis error:', error);
       return this.getDefaultJobAnalysis();
@@ -453,7 +603,6 @@ export class AIService {
       IMPROVEMENT_AREAS: "Consider adding more industry-specific keywords",
       SKILLS_GAP: `Review current ${industry} requirements and identify skill gaps`,
       KEYWORD_ANALYSIS: "Include more relevant industry terminology",
-      ATS_COMPATIBILITY: 70,
       CAREER_RECOMMENDATIONS: `Focus on developing ${industry}-specific expertise and networking`
     };
   }
@@ -475,6 +624,21 @@ Sincerely,
     `.trim();
   }
 
+  getDefaultTailoredCoverLetter(job, applicantName) {
+    return `
+Dear Hiring Manager,
+
+I would like to apply for the ${job.title} position at ${job.company}. Having read the advert, I believe my experience is a good fit for the role and its requirements.
+
+My CV is attached and sets out my work history, skills and qualifications in more detail. I would welcome the opportunity to contribute to ${job.company} and to grow with your team.
+
+Thank you for considering my application. I am available for an interview at your convenience.
+
+Kind regards,
+${applicantName}
+    `.trim();
+  }
+
   getDefaultInterviewQuestions() {
     return [
       "Tell me about yourself and your background.",
@@ -505,20 +669,22 @@ Sincerely,
   // Health check for AI service
   async healthCheck() {
     try {
-      const completion = await this.openai.chat.completions.create({
-        model: this.availableModels.fast,
+      const completion = await this.llm.chat({
+        tier: 'fast',
+        purpose: 'health_check',
         messages: [
           {
             role: "user",
             content: "Hello, please respond with 'OK' if you're working."
           }
         ],
-        max_tokens: 10
+        maxTokens: 10
       });
 
       return {
         status: 'healthy',
-        response: completion.choices[0].message.content,
+        provider: this.llm.providerName,
+        response: completion.content,
         timestamp: new Date()
       };
     } catch (error) {
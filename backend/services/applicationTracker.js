@@ -0,0 +1,276 @@
+import User from '../models/User.js';
+import Job from '../models/Job.js';
+import notificationService from './notifications/notificationService.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Pipeline stages in order; an application counts towards every stage up to
+// the furthest one it reached, even if it was rejected later
+export const PIPELINE = ['applied', 'viewed', 'interview', 'offered', 'accepted'];
+export const CLOSED_STATUSES = ['rejected', 'withdrawn', 'failed'];
+export const APPLICATION_STATUSES = ['pending', ...PIPELINE, ...CLOSED_STATUSES];
+
+// Dashboard Kanban columns
+export const BOARD_COLUMNS = [
+  { id: 'to_send', title: 'To send', statuses: ['pending'] },
+  { id: 'applied', title: 'Applied', statuses: ['applied', 'viewed'] },
+  { id: 'interviewing', title: 'Interviewing', statuses: ['interview'] },
+  { id: 'offer', title: 'Offer', statuses: ['offered', 'accepted'] },
+  { id: 'closed', title: 'Closed', statuses: CLOSED_STATUSES }
+];
+
+// Moves allowed from each status. Closed applications can be reopened when
+// an employer comes back after all.
+const TRANSITIONS = {
+  pending: ['applied', 'withdrawn', 'failed'],
+  applied: ['viewed', 'interview', 'offered', 'rejected', 'withdrawn'],
+  viewed: ['interview', 'offered', 'rejected', 'withdrawn'],
+  interview: ['offered', 'rejected', 'withdrawn'],
+  offered: ['accepted', 'rejected', 'withdrawn'],
+  accepted: ['withdrawn'],
+  rejected: ['viewed', 'interview', 'offered'],
+  withdrawn: ['applied'],
+  failed: ['pending', 'applied']
+};
+
+function trackerError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Status history, Kanban board, funnel statistics and reminders for the
+// applications embedded on a user. Follow-up dates are set when an
+// application goes out and reminders become notifications.
+export class ApplicationTracker {
+  constructor(options = {}) {
+    this.followUpDays = options.followUpDays || parseInt(process.env.APPLICATION_FOLLOW_UP_DAYS) || 7;
+    this.interviewReminderHours = options.interviewReminderHours || 24;
+    this.notifications = options.notifications || notificationService;
+  }
+
+  canTransition(from, to) {
+    return (TRANSITIONS[from] || []).includes(to);
+  }
+
+  historyEntry(status, { note, source = 'user', at = new Date() } = {}) {
+    return { status, at, note, source };
+  }
+
+  followUpFrom(date = new Date()) {
+    return new Date(date.getTime() + this.followUpDays * DAY);
+  }
+
+  // Moves an application to a new status and records it; the caller saves
+  transition(application, status, { note, source = 'user', at = new Date() } = {}) {
+    if (!APPLICATION_STATUSES.includes(status)) {
+      throw trackerError(`status must be one of ${APPLICATION_STATUSES.join(', ')}`, 400);
+    }
+    if (status === application.status) {
+      throw trackerError(`Application is already ${status}`, 409);
+    }
+    if (!this.canTransition(application.status, status)) {
+      throw trackerError(`Cannot move an application from ${application.status} to ${status}`, 409);
+    }
+
+    // Applications stored before history existed start with their current status
+    if (application.statusHistory.length === 0) {
+      application.statusHistory.push(this.historyEntry(application.status, { at: application.appliedAt, source: 'system' }));
+    }
+
+    application.statusHistory.push(this.historyEntry(status, { note, source, at }));
+    application.status = status;
+
+    if (status === 'applied') {
+      application.appliedAt = at;
+      if (!application.followUpDate) application.followUpDate = this.followUpFrom(at);
+    }
+    // Nothing left to chase once the outcome is known
+    if (CLOSED_STATUSES.includes(status) || status === 'accepted') {
+      application.followUpDate = undefined;
+    }
+    return application;
+  }
+
+  history(application) {
+    return application.statusHistory?.length
+      ? application.statusHistory
+      : [this.historyEntry(application.status, { at: application.appliedAt, source: 'system' })];
+  }
+
+  // Furthest pipeline stage an application reached, -1 if it never went out
+  furthestStage(application) {
+    return Math.max(-1, ...this.history(application).map(entry => PIPELINE.indexOf(entry.status)));
+  }
+
+  isOpen(application) {
+    return !CLOSED_STATUSES.includes(application.status) && application.status !== 'accepted';
+  }
+
+  nextInterview(application, now = new Date()) {
+    return (application.interviews || [])
+      .filter(interview => interview.outcome === 'pending' && interview.scheduledAt >= now)
+      .sort((a, b) => a.scheduledAt - b.scheduledAt)[0] || null;
+  }
+
+  // Applied -> interview -> offer counts with conversion rates between stages
+  funnel(applications, now = new Date()) {
+    const reached = PIPELINE.map(() => 0);
+    const closed = Object.fromEntries(CLOSED_STATUSES.map(status => [status, 0]));
+    let pending = 0;
+    let responded = 0;
+    const daysToInterview = [];
+
+    for (const application of applications) {
+      if (application.status === 'pending') pending += 1;
+      if (closed[application.status] !== undefined) closed[application.status] += 1;
+
+      const furthest = this.furthestStage(application);
+      for (let stage = 0; stage <= furthest; stage++) reached[stage] += 1;
+
+      if (furthest > 0 || (furthest === 0 && application.status === 'rejected')) {
+        responded += 1;
+      }
+
+      const history = this.history(application);
+      const applied = history.find(entry => entry.status === 'applied')?.at || application.appliedAt;
+      const interview = history.find(entry => entry.status === 'interview')?.at;
+      if (applied && interview) {
+        daysToInterview.push((new Date(interview) - new Date(applied)) / DAY);
+      }
+    }
+
+    const rate = (part, whole) => whole > 0 ? Math.round((part / whole) * 1000) / 10 : null;
+    const [applied, , interview, offered, accepted] = reached;
+
+    return {
+      total: applications.length,
+      pending,
+      stages: PIPELINE.map((stage, position) => ({
+        stage,
+        count: reached[position],
+        rateFromApplied: rate(reached[position], applied)
+      })),
+      closed,
+      conversion: {
+        appliedToInterview: rate(interview, applied),
+        interviewToOffer: rate(offered, interview),
+        offerToAccepted: rate(accepted, offered)
+      },
+      responseRate: rate(responded, applied),
+      averageDaysToInterview: daysToInterview.length
+        ? Math.round((daysToInterview.reduce((sum, days) => sum + days, 0) / daysToInterview.length) * 10) / 10
+        : null,
+      upcomingInterviews: applications.filter(application => this.nextInterview(application, now)).length
+    };
+  }
+
+  card(application, job, now = new Date()) {
+    const history = this.history(application);
+    return {
+      id: application._id,
+      status: application.status,
+      job: job
+        ? { id: job._id, title: job.title, company: job.company, location: job.location, isActive: job.isActive }
+        : { id: application.jobId },
+      appliedAt: application.appliedAt,
+      updatedAt: history[history.length - 1].at,
+      matchScore: application.matchScore,
+      applicationMethod: application.applicationMethod,
+      submissionStatus: application.submission?.status,
+      followUpDate: application.followUpDate,
+      followUpDue: Boolean(application.followUpDate && application.followUpDate <= now && this.isOpen(application)),
+      nextInterview: this.nextInterview(application, now)
+    };
+  }
+
+  // Applications grouped into the dashboard columns, most recently moved first
+  async board(user, now = new Date()) {
+    const jobIds = user.applications.map(application => application.jobId);
+    const jobs = await Job.find({ _id: { $in: jobIds } }).select('title company location isActive').lean();
+    const jobsById = new Map(jobs.map(job => [job._id.toString(), job]));
+
+    return BOARD_COLUMNS.map(column => {
+      const cards = user.applications
+        .filter(application => column.statuses.includes(application.status))
+        .map(application => this.card(application, jobsById.get(application.jobId.toString()), now))
+        .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+
+      return { id: column.id, title: column.title, statuses: column.statuses, count: cards.length, cards };
+    });
+  }
+
+  // Follow-ups that fell due and interviews starting within the reminder
+  // window become notifications, once each
+  async sendDueReminders(now = new Date()) {
+    const interviewWindow = new Date(now.getTime() + this.interviewReminderHours * 60 * 60 * 1000);
+    const open = { $nin: [...CLOSED_STATUSES, 'accepted', 'pending'] };
+    const result = { followUps: 0, interviews: 0 };
+
+    const users = User.find({
+      isActive: true,
+      isDeleted: false,
+      applications: {
+        $elemMatch: {
+          $or: [
+            { status: open, followUpDate: { $lte: now }, followUpReminderSentAt: { $exists: false } },
+            { interviews: { $elemMatch: { outcome: 'pending', scheduledAt: { $gt: now, $lte: interviewWindow }, reminderSentAt: { $exists: false } } } }
+          ]
+        }
+      }
+    }).select('email profile preferences applications').cursor();
+
+    for await (const user of users) {
+      const jobs = await Job.find({ _id: { $in: user.applications.map(application => application.jobId) } })
+        .select('title company')
+        .lean();
+      const jobsById = new Map(jobs.map(job => [job._id.toString(), job]));
+      const describe = (application) => {
+        const job = jobsById.get(application.jobId.toString());
+        return job ? `${job.title} at ${job.company}` : 'your application';
+      };
+
+      for (const application of user.applications) {
+        if (open.$nin.includes(application.status)) continue;
+
+        if (application.followUpDate && application.followUpDate <= now && !application.followUpReminderSentAt) {
+          await this.notifications.notify(user, {
+            type: 'follow_up',
+            title: `Time to follow up: ${describe(application)}`,
+            message: `You applied for ${describe(application)} on ${application.appliedAt.toDateString()}. A short, polite email to the recruiter asking about the progress of your application can help it stand out.`,
+            data: { applicationId: application._id, jobId: application.jobId }
+          });
+          await User.updateOne(
+            { _id: user._id, 'applications._id': application._id },
+            { $set: { 'applications.$.followUpReminderSentAt': now } }
+          );
+          result.followUps += 1;
+        }
+
+        for (const interview of application.interviews) {
+          if (interview.outcome !== 'pending' || interview.reminderSentAt) continue;
+          if (interview.scheduledAt <= now || interview.scheduledAt > interviewWindow) continue;
+
+          const when = interview.scheduledAt.toLocaleString('en-ZA', { timeZone: 'Africa/Johannesburg', dateStyle: 'full', timeStyle: 'short' });
+          await this.notifications.notify(user, {
+            type: 'interview_reminder',
+            title: `Interview reminder: ${describe(application)}`,
+            message: `Your ${interview.type} interview for ${describe(application)} is on ${when}${interview.location ? ` (${interview.location})` : ''}.`,
+            data: { applicationId: application._id, jobId: application.jobId, interviewId: interview._id }
+          });
+          await User.updateOne(
+            { _id: user._id },
+            { $set: { 'applications.$[application].interviews.$[interview].reminderSentAt': now } },
+            { arrayFilters: [{ 'application._id': application._id }, { 'interview._id': interview._id }] }
+          );
+          result.interviews += 1;
+        }
+      }
+    }
+
+    return result;
+  }
+}
+
+const applicationTracker = new ApplicationTracker();
+export default applicationTracker;
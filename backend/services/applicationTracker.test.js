@@ -0,0 +1,164 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import Job from '../models/Job.js';
+import { ApplicationTracker } from './applicationTracker.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = new Date('2026-03-10T08:00:00Z');
+const daysAgo = (days) => new Date(NOW.getTime() - days * DAY);
+
+describe('ApplicationTracker', () => {
+  const notifications = { notify: jest.fn() };
+  const tracker = new ApplicationTracker({ followUpDays: 7, notifications });
+  let user;
+
+  // Embedded applications, so history and interviews behave as they do when stored
+  const application = (fields) => {
+    user.applications.push({ jobId: new mongoose.Types.ObjectId(), appliedAt: daysAgo(10), ...fields });
+    return user.applications[user.applications.length - 1];
+  };
+
+  beforeEach(() => {
+    notifications.notify.mockReset().mockResolvedValue({});
+    user = new User({ email: 'thandi@example.co.za', profile: { firstName: 'Thandi', lastName: 'Nkosi' } });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('transition', () => {
+    test('a move is recorded with its time and note', () => {
+      const pending = application({ status: 'pending', statusHistory: [{ status: 'pending', at: daysAgo(2), source: 'engine' }] });
+
+      tracker.transition(pending, 'applied', { note: 'Sent from the careers page', at: daysAgo(1) });
+
+      expect(pending.status).toBe('applied');
+      expect(pending.appliedAt).toEqual(daysAgo(1));
+      expect(pending.followUpDate).toEqual(new Date(daysAgo(1).getTime() + 7 * DAY));
+      expect(pending.statusHistory.map(entry => [entry.status, entry.source, entry.note])).toEqual([
+        ['pending', 'engine', undefined],
+        ['applied', 'user', 'Sent from the careers page']
+      ]);
+    });
+
+    test('an application stored before history existed starts from its current status', () => {
+      const old = application({ status: 'applied' });
+
+      tracker.transition(old, 'interview', { at: NOW });
+
+      expect(old.statusHistory.map(entry => [entry.status, entry.source])).toEqual([['applied', 'system'], ['interview', 'user']]);
+      expect(old.statusHistory[0].at).toEqual(daysAgo(10));
+    });
+
+    test.each([
+      ['an unknown status', 'applied', 'ghosted', 400, 'status must be one of'],
+      ['the status it already has', 'applied', 'applied', 409, 'Application is already applied'],
+      ['a move the pipeline does not allow', 'pending', 'offered', 409, 'Cannot move an application from pending to offered']
+    ])('refuses %s', (_, from, to, status, message) => {
+      const current = application({ status: from });
+
+      expect(() => tracker.transition(current, to)).toThrow(expect.objectContaining({ status, message: expect.stringContaining(message) }));
+      expect(current.status).toBe(from);
+    });
+
+    test('an outcome clears the follow-up and a closed application can be reopened', () => {
+      const applied = application({ status: 'applied', followUpDate: daysAgo(-3) });
+
+      tracker.transition(applied, 'rejected');
+      expect(applied.followUpDate).toBeUndefined();
+      expect(tracker.isOpen(applied)).toBe(false);
+
+      tracker.transition(applied, 'interview', { note: 'They came back after all' });
+      expect(applied.status).toBe('interview');
+    });
+  });
+
+  test('the funnel counts every stage an application reached and the rates between them', () => {
+    const history = (...entries) => entries.map(([status, days]) => ({ status, at: daysAgo(days) }));
+    const applications = [
+      application({ status: 'pending' }),
+      application({ status: 'applied', statusHistory: history(['applied', 10]) }),
+      application({ status: 'rejected', statusHistory: history(['applied', 10], ['rejected', 8]) }),
+      application({ status: 'rejected', statusHistory: history(['applied', 10], ['interview', 6], ['rejected', 2]) }),
+      application({
+        status: 'offered',
+        statusHistory: history(['applied', 10], ['viewed', 9], ['interview', 8], ['offered', 1]),
+        interviews: [{ scheduledAt: daysAgo(-2) }]
+      })
+    ];
+
+    const funnel = tracker.funnel(applications, NOW);
+
+    expect(funnel).toMatchObject({
+      total: 5,
+      pending: 1,
+      closed: { rejected: 2, withdrawn: 0, failed: 0 },
+      conversion: { appliedToInterview: 50, interviewToOffer: 50, offerToAccepted: 0 },
+      responseRate: 75,
+      averageDaysToInterview: 3,
+      upcomingInterviews: 1
+    });
+    expect(funnel.stages.map(stage => stage.count)).toEqual([4, 2, 2, 1, 0]);
+  });
+
+  test('the board groups applications into columns, most recently moved first', async () => {
+    const job = { _id: new mongoose.Types.ObjectId(), title: 'Developer', company: 'Acme', isActive: true };
+    application({ status: 'pending', submission: { status: 'awaiting_approval' } });
+    application({ status: 'viewed', statusHistory: [{ status: 'viewed', at: daysAgo(5) }], followUpDate: daysAgo(1) });
+    application({ jobId: job._id, status: 'applied', statusHistory: [{ status: 'applied', at: daysAgo(1) }] });
+    jest.spyOn(Job, 'find').mockReturnValue({ select: () => ({ lean: async () => [job] }) });
+
+    const board = await tracker.board(user, NOW);
+
+    expect(board.map(column => [column.id, column.count])).toEqual([
+      ['to_send', 1], ['applied', 2], ['interviewing', 0], ['offer', 0], ['closed', 0]
+    ]);
+    const [recent, older] = board[1].cards;
+    expect(recent.job).toMatchObject({ title: 'Developer', company: 'Acme' });
+    expect(older).toMatchObject({ status: 'viewed', followUpDue: true });
+    expect(board[0].cards[0].submissionStatus).toBe('awaiting_approval');
+  });
+
+  test('due follow-ups and interviews starting soon are reminded once', async () => {
+    const job = { _id: new mongoose.Types.ObjectId(), title: 'Developer', company: 'Acme' };
+    const due = application({ jobId: job._id, status: 'applied', followUpDate: daysAgo(1) });
+    application({ status: 'applied', followUpDate: daysAgo(1), followUpReminderSentAt: daysAgo(1) });
+    application({ status: 'rejected', followUpDate: daysAgo(1) });
+    const interviewing = application({
+      jobId: job._id,
+      status: 'interview',
+      interviews: [
+        { scheduledAt: new Date(NOW.getTime() + 3 * 60 * 60 * 1000), type: 'video', location: 'Teams' },
+        { scheduledAt: daysAgo(-3) }
+      ]
+    });
+    jest.spyOn(User, 'find').mockReturnValue({
+      select: () => ({
+        cursor: async function* () {
+          yield user;
+        }
+      })
+    });
+    jest.spyOn(Job, 'find').mockReturnValue({ select: () => ({ lean: async () => [job] }) });
+    jest.spyOn(User, 'updateOne').mockResolvedValue({});
+
+    await expect(tracker.sendDueReminders(NOW)).resolves.toEqual({ followUps: 1, interviews: 1 });
+
+    expect(notifications.notify).toHaveBeenCalledWith(user, expect.objectContaining({
+      type: 'follow_up',
+      title: 'Time to follow up: Developer at Acme',
+      data: { applicationId: due._id, jobId: job._id }
+    }));
+    expect(notifications.notify).toHaveBeenCalledWith(user, expect.objectContaining({
+      type: 'interview_reminder',
+      message: expect.stringContaining('video interview for Developer at Acme'),
+      data: expect.objectContaining({ interviewId: interviewing.interviews[0]._id })
+    }));
+    expect(User.updateOne).toHaveBeenCalledWith(
+      { _id: user._id, 'applications._id': due._id },
+      { $set: { 'applications.$.followUpReminderSentAt': NOW } }
+    );
+  });
+});
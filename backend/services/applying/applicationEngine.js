@@ -0,0 +1,513 @@
+import os from 'os';
+import User from '../../models/User.js';
+import Job from '../../models/Job.js';
+import CVRevision from '../../models/CVRevision.js';
+import jobMatcher from '../jobMatcher.js';
+import aiService from '../aiServices.js';
+import documentRenderer from '../documentRenderer.js';
+import adapterRegistry from '../scraping/adapterRegistry.js';
+import { crawlDate } from '../scraping/crawlScheduler.js';
+import applicationTracker from '../applicationTracker.js';
+import cvTailor from '../cvTailor.js';
+import emailSubmitter from './emailSubmitter.js';
+import formSubmitter from './formSubmitter.js';
+
+// Applies to matched jobs for users whose service includes auto_apply. Each
+// run takes the user's best matches above their minimum score, writes a
+// cover letter for each and either queues them for the user's approval or
+// sends them straight away, by email to the ad's applicationEmail or through
+// the board's form adapter. Every attempt, receipt and failure is kept on the
+// application's submission record. Users are claimed with a lease like the
+// CV queue, so two servers never apply for the same user at once.
+export class ApplicationEngine {
+  constructor(options = {}) {
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.pollInterval = options.pollInterval || 60 * 1000;
+    this.lockDuration = options.lockDuration || 15 * 60 * 1000;
+    this.runInterval = options.runInterval || (parseFloat(process.env.AUTO_APPLY_INTERVAL_HOURS) || 6) * 60 * 60 * 1000;
+    // Ceiling on any user's dailyLimit
+    this.maxDaily = options.maxDaily || parseInt(process.env.AUTO_APPLY_MAX_DAILY) || 20;
+    this.maxAttempts = options.maxAttempts || 3;
+    this.candidatePool = options.candidatePool || 50;
+    this.dryRun = options.dryRun ?? process.env.AUTO_APPLY_DRY_RUN === 'true';
+    this.matcher = options.matcher || jobMatcher;
+    this.writer = options.writer || aiService;
+    this.renderer = options.renderer || documentRenderer;
+    this.adapters = options.adapters || adapterRegistry;
+    this.submitters = options.submitters || { email: emailSubmitter, form: formSubmitter };
+    this.isRunning = false;
+    this.busy = false;
+    this.timer = null;
+    this.stats = { runs: 0, proposed: 0, submitted: 0, dryRuns: 0, failed: 0 };
+  }
+
+  start() {
+    if (this.isRunning) return;
+
+    this.isRunning = true;
+    this.timer = setInterval(() => this.poll(), this.pollInterval);
+    console.log(`Application engine started (worker ${this.workerId}${this.dryRun ? ', dry run' : ''})`);
+  }
+
+  async stop() {
+    this.isRunning = false;
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // One user at a time: form submissions share the scraping browser
+  async poll() {
+    if (!this.isRunning || this.busy) return;
+    this.busy = true;
+
+    try {
+      while (this.isRunning) {
+        const user = await this.claimNext();
+        if (!user) return;
+
+        await this.runForUser(user)
+          .catch(error => console.error(`Auto-apply run for user ${user._id} crashed:`, error));
+      }
+    } catch (error) {
+      console.error('Auto-apply claim error:', error);
+    } finally {
+      this.busy = false;
+    }
+  }
+
+  eligibleFilter(now) {
+    return {
+      'autoApply.enabled': true,
+      isActive: true,
+      isDeleted: false,
+      services: { $elemMatch: { isActive: true, expiresAt: { $gt: now }, features: 'auto_apply' } },
+      $or: [
+        { 'autoApply.lockedUntil': { $exists: false } },
+        { 'autoApply.lockedUntil': null },
+        { 'autoApply.lockedUntil': { $lt: now } }
+      ]
+    };
+  }
+
+  async claimNext({ userId } = {}) {
+    const now = new Date();
+    const filter = this.eligibleFilter(now);
+
+    if (userId) {
+      filter._id = userId;
+    } else {
+      filter.$and = [{
+        $or: [
+          { 'autoApply.nextRunAt': { $lte: now } },
+          { 'autoApply.nextRunAt': { $exists: false } },
+          { 'autoApply.nextRunAt': null }
+        ]
+      }];
+    }
+
+    return User.findOneAndUpdate(
+      filter,
+      {
+        $set: {
+          'autoApply.lockedBy': this.workerId,
+          'autoApply.lockedUntil': new Date(now.getTime() + this.lockDuration),
+          'autoApply.nextRunAt': new Date(now.getTime() + this.runInterval)
+        }
+      },
+      { new: true, sort: { 'autoApply.nextRunAt': 1 } }
+    ).select('+cv.enhanced +cv.structured');
+  }
+
+  // Runs one user now instead of waiting for their turn; null when the user
+  // is not eligible or another worker holds them
+  async runUserNow(userId, { dryRun = this.dryRun } = {}) {
+    const user = await this.claimNext({ userId });
+    return user ? this.runForUser(user, { dryRun }) : null;
+  }
+
+  async runForUser(user, { dryRun = this.dryRun } = {}) {
+    const summary = { userId: user._id, dryRun, submitted: 0, failed: 0, proposed: 0, skipped: null, ...(dryRun && { previews: [] }) };
+    this.stats.runs += 1;
+
+    try {
+      if (!user.hasFeature('auto_apply')) {
+        summary.skipped = 'No active service with auto_apply';
+        return summary;
+      }
+      if (!user.cv?.enhanced) {
+        summary.skipped = 'No processed CV to send';
+        return summary;
+      }
+
+      await this.adapters.load();
+      await this.failInterrupted(user);
+
+      let remaining = this.remainingToday(user);
+      summary.remainingToday = remaining;
+
+      // Applications the user approved go first so new matches cannot crowd them out
+      const approved = user.applications.filter(application => application.submission?.status === 'approved');
+      for (const application of approved) {
+        if (remaining <= 0) break;
+        const outcome = await this.submit(user, application, { dryRun });
+        if (dryRun) summary.previews.push(this.preview(application));
+        if (outcome === 'failed') {
+          summary.failed += 1;
+        } else {
+          summary.submitted += 1;
+          remaining -= 1;
+        }
+      }
+
+      // With approval on, no more matches are queued than a day's worth
+      const { requireApproval } = user.autoApply;
+      const awaiting = user.applications.filter(application => application.submission?.status === 'awaiting_approval').length;
+      const wanted = requireApproval ? this.dailyLimit(user) - awaiting : remaining;
+      if (wanted <= 0) return summary;
+
+      const candidates = await this.findCandidates(user, wanted);
+      for (const candidate of candidates) {
+        const application = await this.propose(user, candidate, { approved: !requireApproval, dryRun });
+        summary.proposed += 1;
+        if (requireApproval && !dryRun) continue;
+
+        const outcome = await this.submit(user, application, { dryRun });
+        if (dryRun) summary.previews.push(this.preview(application));
+        summary[outcome === 'failed' ? 'failed' : 'submitted'] += 1;
+      }
+
+      return summary;
+    } finally {
+      await User.updateOne(
+        { _id: user._id, 'autoApply.lockedBy': this.workerId },
+        {
+          $set: { 'autoApply.lastRunAt': new Date() },
+          $unset: { 'autoApply.lockedBy': '', 'autoApply.lockedUntil': '' }
+        }
+      );
+    }
+  }
+
+  dailyLimit(user) {
+    return Math.min(user.autoApply?.dailyLimit || 5, this.maxDaily);
+  }
+
+  // Sends left today; the day starts at midnight South African time. Dry
+  // runs recorded by older versions did not send anything and do not count.
+  remainingToday(user, now = new Date()) {
+    const dayStart = new Date(`${crawlDate(now)}T00:00:00+02:00`);
+    const sentToday = user.applications.filter(application =>
+      application.submission?.status !== 'dry_run' && application.submission?.submittedAt >= dayStart
+    ).length;
+    return Math.max(0, this.dailyLimit(user) - sentToday);
+  }
+
+  // A run that died mid-send may or may not have reached the employer, so
+  // it is not retried automatically
+  async failInterrupted(user) {
+    for (const application of user.applications) {
+      if (application.submission?.status !== 'submitting') continue;
+      const reason = 'Interrupted while submitting; check with the employer before retrying';
+      await this.updateApplication(user, application, {
+        status: 'failed',
+        'submission.status': 'failed',
+        'submission.lastError': reason
+      }, {
+        history: applicationTracker.historyEntry('failed', { note: reason, source: 'engine' })
+      });
+    }
+  }
+
+  // How a job can be applied to: the address in the ad, else the board's form
+  channelFor(job) {
+    if (job.applicationEmail) {
+      return { channel: 'email' };
+    }
+
+    const adapter = job.source && this.adapters.forSource(job.source);
+    if (adapter?.apply && (job.applicationUrl || job.source.url)) {
+      return { channel: 'form', adapter: adapter.id };
+    }
+    return null;
+  }
+
+  async findCandidates(user, limit) {
+    const result = await this.matcher.matchJobsForUser(user._id, { page: 1, limit: this.candidatePool });
+    if (!result) return [];
+
+    const seen = new Set(user.applications
+      .filter(application => application.submission?.status !== 'dry_run')
+      .map(application => application.jobId.toString()));
+    const excluded = (user.autoApply.excludeCompanies || []).map(company => company.toLowerCase());
+    const now = new Date();
+    const candidates = [];
+
+    for (const { job, score } of result.matches) {
+      if (candidates.length >= limit || score < user.autoApply.minScore) break;
+      if (seen.has(job._id.toString())) continue;
+      if (excluded.some(company => (job.company || '').toLowerCase().includes(company))) continue;
+      if (job.closingDate && new Date(job.closingDate) < now) continue;
+
+      const channel = this.channelFor(job);
+      if (!channel) continue;
+
+      candidates.push({ job, score, ...channel });
+    }
+
+    return candidates;
+  }
+
+  // Records a matched job as a pending application with its cover letter,
+  // so the user can read what will be sent before approving it. A CV and
+  // letter the user already tailored for the job are used as they are. A
+  // dry run builds the application without recording it.
+  async propose(user, { job, score, channel, adapter }, { approved, dryRun = false }) {
+    const tailored = await cvTailor.latestForJob(user._id, job._id);
+    const coverLetter = tailored?.coverLetter || await this.writer.generateTailoredCoverLetter(
+      user.cv.enhanced,
+      job,
+      this.applicantFor(user).name
+    );
+
+    const fields = {
+      jobId: job._id,
+      status: 'pending',
+      applicationMethod: 'auto',
+      matchScore: score,
+      coverLetterUsed: coverLetter,
+      cvVersion: tailored?._id || user.cv.currentRevision,
+      statusHistory: [applicationTracker.historyEntry('pending', { note: `Matched at ${score}%`, source: 'engine' })],
+      submission: {
+        status: approved ? 'approved' : 'awaiting_approval',
+        channel,
+        adapter,
+        ...(approved && { approvedAt: new Date() })
+      }
+    };
+    if (dryRun) {
+      return user.applications.create(fields);
+    }
+
+    user.applications.push(fields);
+    const application = user.applications[user.applications.length - 1];
+    await User.updateOne({ _id: user._id }, { $push: { applications: application.toObject() } });
+    if (tailored && !tailored.applicationId) {
+      await CVRevision.updateOne({ _id: tailored._id }, { $set: { applicationId: application._id } });
+    }
+    this.stats.proposed += 1;
+    return application;
+  }
+
+  async submit(user, application, { dryRun = this.dryRun } = {}) {
+    const { channel } = application.submission;
+    const job = await Job.findById(application.jobId).lean();
+
+    // A dry run only changes the application in memory, so it neither uses
+    // up the daily cap nor keeps the job from being applied to for real
+    const record = (fields, options = {}) =>
+      this.updateApplication(user, application, fields, { ...options, persist: !dryRun });
+
+    if (!job?.isActive) {
+      await record({
+        status: 'failed',
+        'submission.status': 'failed',
+        'submission.lastError': 'Job is no longer active'
+      }, {
+        history: applicationTracker.historyEntry('failed', { note: 'Job is no longer active', source: 'engine' })
+      });
+      this.stats.failed += 1;
+      return 'failed';
+    }
+
+    const attempts = (application.submission.attempts || 0) + 1;
+    await record({
+      'submission.status': 'submitting',
+      'submission.attempts': attempts
+    });
+
+    try {
+      const applicant = this.applicantFor(user);
+      const payload = {
+        job,
+        applicant,
+        coverLetter: application.coverLetterUsed,
+        attachments: [await this.renderCV(user, applicant, await this.cvContentFor(user, application))],
+        reference: application._id.toString()
+      };
+
+      let receipt;
+      if (channel === 'form') {
+        const adapter = this.adapters.get(application.submission.adapter);
+        receipt = await this.submitters.form.submit({ ...payload, adapter }, { dryRun });
+      } else {
+        receipt = await this.submitters.email.submit(payload, { dryRun });
+      }
+
+      const now = new Date();
+      const outcome = dryRun ? 'dry_run' : 'submitted';
+      await record({
+        status: dryRun ? 'pending' : 'applied',
+        appliedAt: now,
+        ...(!dryRun && !application.followUpDate && { followUpDate: applicationTracker.followUpFrom(now) }),
+        'submission.status': outcome,
+        'submission.submittedAt': now,
+        'submission.lastError': null,
+        'submission.receipt': {
+          recipient: receipt.recipient,
+          messageId: receipt.messageId,
+          url: receipt.url,
+          reference: receipt.reference,
+          confirmation: receipt.confirmation,
+          screenshot: receipt.screenshot,
+          dryRun
+        }
+      }, {
+        log: { at: now, channel, outcome, screenshot: receipt.screenshot },
+        ...(!dryRun && {
+          history: applicationTracker.historyEntry('applied', { at: now, note: `Sent by ${channel}`, source: 'engine' }),
+          $inc: { 'statistics.applicationCount': 1 }
+        })
+      });
+
+      this.stats[dryRun ? 'dryRuns' : 'submitted'] += 1;
+      return outcome;
+    } catch (error) {
+      const retry = error.retryable !== false && attempts < this.maxAttempts;
+      console.error(`Auto-apply ${application._id} for user ${user._id} failed at attempt ${attempts}${retry ? ', will retry' : ''}:`, error.message);
+
+      await record({
+        status: retry ? 'pending' : 'failed',
+        'submission.status': retry ? 'approved' : 'failed',
+        'submission.lastError': error.message
+      }, {
+        log: { at: new Date(), channel, outcome: 'failed', error: error.message, screenshot: error.screenshot },
+        ...(!retry && { history: applicationTracker.historyEntry('failed', { note: error.message, source: 'engine' }) })
+      });
+
+      if (!retry) this.stats.failed += 1;
+      return 'failed';
+    }
+  }
+
+  // Sets fields on one embedded application, in the database and in memory,
+  // without rewriting the rest of the user document
+  async updateApplication(user, application, fields, { log, history, $inc, persist = true } = {}) {
+    const $set = {};
+    for (const [field, value] of Object.entries(fields)) {
+      $set[`applications.$.${field}`] = value;
+      application.set(field, value);
+    }
+
+    const update = { $set };
+    const $push = {};
+    if (log) {
+      $push['applications.$.submission.log'] = log;
+      application.submission.log.push(log);
+    }
+    if (history) {
+      $push['applications.$.statusHistory'] = history;
+      application.statusHistory.push(history);
+    }
+    if (Object.keys($push).length > 0) update.$push = $push;
+    if ($inc) update.$inc = $inc;
+
+    if (!persist) return;
+    await User.updateOne({ _id: user._id, 'applications._id': application._id }, update);
+  }
+
+  // What a dry run would have sent for an application
+  preview(application) {
+    const { channel, status, receipt, lastError } = application.submission;
+    return {
+      jobId: application.jobId,
+      channel,
+      outcome: status,
+      recipient: receipt?.recipient,
+      url: receipt?.url,
+      confirmation: receipt?.confirmation,
+      error: lastError || undefined
+    };
+  }
+
+  applicantFor(user) {
+    const basics = user.cv?.structured?.basics || {};
+    return {
+      name: basics.name || `${user.profile.firstName} ${user.profile.lastName}`,
+      firstName: user.profile.firstName,
+      lastName: user.profile.lastName,
+      email: user.email,
+      phone: user.profile.phone || basics.phone,
+      location: [user.profile.location?.city, user.profile.location?.province].filter(Boolean).join(', '),
+      label: basics.label || user.profile.currentPosition,
+      profiles: basics.profiles
+    };
+  }
+
+  // The tailored CV the application is linked to, else the user's current one
+  async cvContentFor(user, application) {
+    if (!application.cvVersion) return user.cv.enhanced;
+
+    const revision = await CVRevision.findOne({ _id: application.cvVersion, userId: user._id, kind: 'tailored' })
+      .select('+content');
+    return revision ? revision.content : user.cv.enhanced;
+  }
+
+  renderCV(user, applicant, content = user.cv.enhanced) {
+    return this.renderer.render({
+      content,
+      basics: {
+        name: applicant.name,
+        label: applicant.label,
+        email: applicant.email,
+        phone: applicant.phone,
+        location: { city: user.profile.location?.city },
+        profiles: applicant.profiles
+      },
+      document: 'cv',
+      format: 'pdf'
+    });
+  }
+
+  // The user's decision on an application waiting for approval. Approving
+  // brings the user's next run forward so it is sent within a poll or two.
+  async review(userId, applicationId, approve) {
+    const now = new Date();
+    const update = approve
+      ? {
+        $set: {
+          'applications.$.submission.status': 'approved',
+          'applications.$.submission.approvedAt': now,
+          'autoApply.nextRunAt': now
+        }
+      }
+      : {
+        $set: { 'applications.$.submission.status': 'declined', 'applications.$.status': 'withdrawn' },
+        $push: { 'applications.$.statusHistory': applicationTracker.historyEntry('withdrawn', { at: now, note: 'Declined before sending' }) }
+      };
+
+    const result = await User.updateOne(
+      {
+        _id: userId,
+        applications: { $elemMatch: { _id: applicationId, 'submission.status': 'awaiting_approval' } }
+      },
+      update
+    );
+    return result.modifiedCount > 0;
+  }
+
+  getStatistics() {
+    return {
+      running: this.isRunning,
+      busy: this.busy,
+      dryRun: this.dryRun,
+      workerId: this.workerId,
+      maxDaily: this.maxDaily,
+      ...this.stats
+    };
+  }
+}
+
+const applicationEngine = new ApplicationEngine();
+export default applicationEngine;
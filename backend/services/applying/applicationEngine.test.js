@@ -0,0 +1,281 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import User from '../../models/User.js';
+import Job from '../../models/Job.js';
+import CVRevision from '../../models/CVRevision.js';
+
+const cvTailor = { latestForJob: jest.fn() };
+jest.unstable_mockModule('../aiServices.js', () => ({ default: {} }));
+jest.unstable_mockModule('../cvTailor.js', () => ({ default: cvTailor }));
+jest.unstable_mockModule('../scrapingService.js', () => ({ default: {} }));
+
+const { ApplicationEngine } = await import('./applicationEngine.js');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const makeJob = (fields = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  title: 'Software Developer',
+  company: 'Acme',
+  applicationEmail: 'jobs@acme.co.za',
+  isActive: true,
+  ...fields
+});
+
+describe('ApplicationEngine', () => {
+  let jobs;
+  let matches;
+  let engine;
+  let user;
+
+  const match = (job, score) => {
+    jobs.set(String(job._id), job);
+    matches.push({ job, score });
+    return job;
+  };
+
+  const application = (job, submission, fields = {}) => {
+    jobs.set(String(job._id), job);
+    user.applications.push({ jobId: job._id, status: 'pending', coverLetterUsed: 'Dear Hiring Manager', submission, ...fields });
+    return user.applications[user.applications.length - 1];
+  };
+
+  // Updates written to one application, as opposed to claiming or releasing the user
+  const applicationUpdates = () => User.updateOne.mock.calls.filter(([filter]) => filter['applications._id']);
+
+  beforeEach(() => {
+    jobs = new Map();
+    matches = [];
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(User, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(Job, 'findById').mockImplementation(id => ({ lean: async () => jobs.get(String(id)) || null }));
+    jest.spyOn(CVRevision, 'updateOne').mockResolvedValue({});
+    jest.spyOn(CVRevision, 'findOne').mockReturnValue({ select: async () => null });
+    cvTailor.latestForJob.mockReset().mockResolvedValue(null);
+
+    engine = new ApplicationEngine({
+      dryRun: false,
+      matcher: { matchJobsForUser: jest.fn(async () => ({ matches })) },
+      writer: { generateTailoredCoverLetter: jest.fn().mockResolvedValue('Dear Acme') },
+      renderer: { render: jest.fn().mockResolvedValue({ fileName: 'thandi-nkosi-cv.pdf', buffer: Buffer.from('%PDF-'), mimeType: 'application/pdf' }) },
+      adapters: {
+        load: jest.fn(),
+        forSource: (source) => source.site === 'mock-board' ? { id: 'mock-board', apply: {} } : { id: source.site },
+        get: (id) => ({ id })
+      },
+      submitters: {
+        email: { submit: jest.fn(async ({ job }) => ({ recipient: job.applicationEmail, messageId: '<1@acme>', confirmation: '250 OK' })) },
+        form: { submit: jest.fn(async () => ({ url: 'http://localhost/done', reference: 'APP-1', confirmation: 'Received' })) }
+      }
+    });
+
+    user = new User({
+      email: 'thandi@example.co.za',
+      profile: { firstName: 'Thandi', lastName: 'Nkosi', phone: '082 555 0101', location: { city: 'Johannesburg', province: 'Gauteng' } },
+      cv: { enhanced: 'Thandi Nkosi\nSoftware Developer' },
+      services: [{ type: 'premium', expiresAt: new Date(Date.now() + 30 * DAY), features: ['auto_apply'] }],
+      autoApply: { enabled: true, minScore: 70, dailyLimit: 2, requireApproval: true }
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('a user without the feature or a processed CV is skipped', async () => {
+    user.services[0].features = ['job_matching'];
+    await expect(engine.runForUser(user)).resolves.toMatchObject({ skipped: 'No active service with auto_apply' });
+
+    user.services[0].features = ['auto_apply'];
+    user.cv.enhanced = undefined;
+    await expect(engine.runForUser(user)).resolves.toMatchObject({ skipped: 'No processed CV to send' });
+    expect(engine.matcher.matchJobsForUser).not.toHaveBeenCalled();
+  });
+
+  test('the user\'s lease is released however the run ends', async () => {
+    engine.matcher.matchJobsForUser.mockRejectedValue(new Error('index offline'));
+
+    await expect(engine.runForUser(user)).rejects.toThrow('index offline');
+    expect(User.updateOne).toHaveBeenLastCalledWith(
+      { _id: user._id, 'autoApply.lockedBy': engine.workerId },
+      expect.objectContaining({ $unset: { 'autoApply.lockedBy': '', 'autoApply.lockedUntil': '' } })
+    );
+  });
+
+  test('candidates are the best new matches that can be applied to', async () => {
+    user.autoApply.excludeCompanies = ['Recruit'];
+    const applied = makeJob();
+    application(applied, { status: 'submitted' });
+
+    match(applied, 95);
+    const email = match(makeJob(), 92);
+    match(makeJob({ company: 'Best Recruiters' }), 91);
+    match(makeJob({ closingDate: new Date(Date.now() - DAY) }), 90);
+    match(makeJob({ applicationEmail: undefined, source: { site: 'pnet', url: 'https://pnet.co.za/1' } }), 89);
+    const form = match(makeJob({ applicationEmail: undefined, source: { site: 'mock-board', url: 'http://localhost/jobs/1' } }), 88);
+    match(makeJob(), 60);
+
+    await expect(engine.findCandidates(user, 10)).resolves.toEqual([
+      { job: email, score: 92, channel: 'email' },
+      { job: form, score: 88, channel: 'form', adapter: 'mock-board' }
+    ]);
+    await expect(engine.findCandidates(user, 1)).resolves.toHaveLength(1);
+  });
+
+  test('with approval on, matches wait for the user and nothing is sent', async () => {
+    application(makeJob(), { status: 'awaiting_approval' });
+    match(makeJob(), 90);
+    match(makeJob(), 80);
+
+    const summary = await engine.runForUser(user);
+
+    expect(summary).toMatchObject({ proposed: 1, submitted: 0, failed: 0 });
+    expect(user.applications[1]).toMatchObject({
+      status: 'pending',
+      applicationMethod: 'auto',
+      matchScore: 90,
+      coverLetterUsed: 'Dear Acme',
+      submission: { status: 'awaiting_approval', channel: 'email' }
+    });
+    expect(User.updateOne).toHaveBeenCalledWith({ _id: user._id }, { $push: { applications: expect.objectContaining({ matchScore: 90 }) } });
+    expect(engine.submitters.email.submit).not.toHaveBeenCalled();
+  });
+
+  test('approved applications are sent first and count towards the day', async () => {
+    user.autoApply.requireApproval = false;
+    const approved = application(makeJob(), { status: 'approved', channel: 'email' });
+    match(makeJob(), 90);
+    match(makeJob(), 85);
+
+    const summary = await engine.runForUser(user);
+
+    expect(summary).toMatchObject({ remainingToday: 2, submitted: 2, proposed: 1 });
+    expect(engine.submitters.email.submit.mock.calls[0][0].job._id).toEqual(approved.jobId);
+    expect(user.applications.map(entry => entry.matchScore)).toEqual([undefined, 90]);
+  });
+
+  test('a sent application is recorded with its receipt', async () => {
+    const approved = application(makeJob(), { status: 'approved', channel: 'email' });
+
+    await expect(engine.submit(user, approved)).resolves.toBe('submitted');
+
+    expect(approved).toMatchObject({
+      status: 'applied',
+      submission: { status: 'submitted', attempts: 1, receipt: { recipient: 'jobs@acme.co.za', messageId: '<1@acme>', dryRun: false } }
+    });
+    expect(approved.followUpDate.getTime()).toBeGreaterThan(Date.now());
+    expect(approved.statusHistory.at(-1)).toMatchObject({ status: 'applied', note: 'Sent by email', source: 'engine' });
+    expect(approved.submission.log).toHaveLength(1);
+
+    const [payload] = engine.submitters.email.submit.mock.calls[0];
+    expect(payload).toMatchObject({
+      applicant: { name: 'Thandi Nkosi', email: 'thandi@example.co.za', location: 'Johannesburg, Gauteng' },
+      coverLetter: 'Dear Hiring Manager',
+      reference: approved._id.toString()
+    });
+    expect(payload.attachments[0].fileName).toBe('thandi-nkosi-cv.pdf');
+    expect(applicationUpdates().at(-1)[1]).toMatchObject({ $inc: { 'statistics.applicationCount': 1 } });
+  });
+
+  test('form applications go through the board\'s adapter', async () => {
+    const approved = application(makeJob({ applicationEmail: undefined }), { status: 'approved', channel: 'form', adapter: 'mock-board' });
+
+    await engine.submit(user, approved);
+
+    expect(engine.submitters.form.submit).toHaveBeenCalledWith(expect.objectContaining({ adapter: { id: 'mock-board' } }), { dryRun: false });
+    expect(approved.submission.receipt).toMatchObject({ url: 'http://localhost/done', reference: 'APP-1' });
+  });
+
+  test('a failure is retried until the attempts run out', async () => {
+    engine.submitters.email.submit.mockRejectedValue(new Error('connection reset'));
+    const approved = application(makeJob(), { status: 'approved', channel: 'email', attempts: 1 });
+
+    await expect(engine.submit(user, approved)).resolves.toBe('failed');
+    expect(approved).toMatchObject({ status: 'pending', submission: { status: 'approved', attempts: 2, lastError: 'connection reset' } });
+
+    await engine.submit(user, approved);
+    expect(approved).toMatchObject({ status: 'failed', submission: { status: 'failed', attempts: 3 } });
+    expect(approved.statusHistory.at(-1)).toMatchObject({ status: 'failed', note: 'connection reset' });
+  });
+
+  test('an error marked not retryable fails at once', async () => {
+    engine.submitters.email.submit.mockRejectedValue(Object.assign(new Error('mailbox unknown'), { retryable: false }));
+    const approved = application(makeJob(), { status: 'approved', channel: 'email' });
+
+    await engine.submit(user, approved);
+    expect(approved.submission).toMatchObject({ status: 'failed', attempts: 1 });
+  });
+
+  test('a job that closed is not applied to', async () => {
+    const approved = application(makeJob({ isActive: false }), { status: 'approved', channel: 'email' });
+
+    await expect(engine.submit(user, approved)).resolves.toBe('failed');
+    expect(approved.submission).toMatchObject({ status: 'failed', lastError: 'Job is no longer active' });
+    expect(engine.submitters.email.submit).not.toHaveBeenCalled();
+  });
+
+  test('an application interrupted mid-send is failed rather than sent again', async () => {
+    const interrupted = application(makeJob(), { status: 'submitting', channel: 'email', attempts: 1 });
+
+    await engine.runForUser(user);
+
+    expect(interrupted).toMatchObject({ status: 'failed', submission: { status: 'failed' } });
+    expect(interrupted.submission.lastError).toMatch(/check with the employer/);
+    expect(engine.submitters.email.submit).not.toHaveBeenCalled();
+  });
+
+  test('a dry run previews what would be sent without recording it', async () => {
+    user.autoApply.requireApproval = false;
+    match(makeJob(), 90);
+
+    const summary = await engine.runForUser(user, { dryRun: true });
+
+    expect(summary).toMatchObject({ dryRun: true, proposed: 1, submitted: 1 });
+    expect(summary.previews).toEqual([expect.objectContaining({ channel: 'email', outcome: 'dry_run', recipient: 'jobs@acme.co.za' })]);
+    expect(engine.submitters.email.submit).toHaveBeenCalledWith(expect.anything(), { dryRun: true });
+    expect(user.applications).toHaveLength(0);
+    expect(User.updateOne).toHaveBeenCalledTimes(1);
+  });
+
+  test('the day\'s sends are counted from midnight South African time, ignoring dry runs', () => {
+    const now = new Date('2026-03-10T08:00:00Z');
+    application(makeJob(), { status: 'submitted', submittedAt: new Date('2026-03-09T22:30:00Z') });
+    application(makeJob(), { status: 'dry_run', submittedAt: new Date('2026-03-10T07:00:00Z') });
+    application(makeJob(), { status: 'submitted', submittedAt: new Date('2026-03-09T21:30:00Z') });
+
+    expect(engine.remainingToday(user, now)).toBe(1);
+  });
+
+  test('the daily limit is capped for every user', () => {
+    user.autoApply.dailyLimit = 100;
+    expect(engine.dailyLimit(user)).toBe(20);
+  });
+
+  test('a CV tailored for the job is sent with its own cover letter', async () => {
+    const revisionId = new mongoose.Types.ObjectId();
+    cvTailor.latestForJob.mockResolvedValue({ _id: revisionId, coverLetter: 'Dear Acme, tailored' });
+    CVRevision.findOne.mockReturnValue({ select: async () => ({ content: 'Tailored CV' }) });
+    const job = match(makeJob(), 90);
+
+    const proposed = await engine.propose(user, { job, score: 90, channel: 'email' }, { approved: true });
+    expect(proposed).toMatchObject({ coverLetterUsed: 'Dear Acme, tailored', cvVersion: revisionId, submission: { status: 'approved' } });
+    expect(engine.writer.generateTailoredCoverLetter).not.toHaveBeenCalled();
+    expect(CVRevision.updateOne).toHaveBeenCalledWith({ _id: revisionId }, { $set: { applicationId: proposed._id } });
+
+    await engine.submit(user, proposed);
+    expect(engine.renderer.render).toHaveBeenCalledWith(expect.objectContaining({ content: 'Tailored CV' }));
+  });
+
+  test.each([
+    ['approving', true, { 'applications.$.submission.status': 'approved', 'autoApply.nextRunAt': expect.any(Date) }],
+    ['declining', false, { 'applications.$.submission.status': 'declined', 'applications.$.status': 'withdrawn' }]
+  ])('%s only changes an application that is waiting', async (_, approve, $set) => {
+    const applicationId = new mongoose.Types.ObjectId();
+
+    await expect(engine.review(user._id, applicationId, approve)).resolves.toBe(true);
+
+    const [filter, update] = User.updateOne.mock.calls[0];
+    expect(filter.applications.$elemMatch).toEqual({ _id: applicationId, 'submission.status': 'awaiting_approval' });
+    expect(update.$set).toMatchObject($set);
+  });
+});
@@ -0,0 +1,62 @@
+import nodemailer from 'nodemailer';
+import mailer from '../notifications/mailer.js';
+
+// Sends an application to the address in the ad: the tailored cover letter as
+// the message body and the rendered CV attached. Replies go to the applicant.
+// In dry-run mode the message is built with nodemailer's JSON transport and
+// returned instead of sent.
+export class EmailSubmitter {
+  constructor(options = {}) {
+    this.from = options.from || process.env.AUTO_APPLY_FROM || process.env.SMTP_USER;
+    this.mailer = options.mailer || mailer;
+    this.dryRunTransport = nodemailer.createTransport({ jsonTransport: true });
+  }
+
+  buildMessage({ job, applicant, coverLetter, attachments = [] }) {
+    const reference = job.referenceNumber ? ` (Ref: ${job.referenceNumber})` : '';
+
+    return {
+      from: { name: applicant.name, address: this.from || applicant.email },
+      replyTo: { name: applicant.name, address: applicant.email },
+      to: job.applicationEmail,
+      subject: `Application for ${job.title}${reference} - ${applicant.name}`,
+      text: coverLetter,
+      attachments: attachments.map(attachment => ({
+        filename: attachment.fileName,
+        content: attachment.buffer,
+        contentType: attachment.mimeType
+      }))
+    };
+  }
+
+  async submit(application, { dryRun = false } = {}) {
+    if (!application.job.applicationEmail) {
+      const error = new Error('Job has no application email address');
+      error.retryable = false;
+      throw error;
+    }
+
+    const message = this.buildMessage(application);
+    const transport = dryRun ? this.dryRunTransport : this.mailer.getTransport();
+
+    let info;
+    try {
+      info = await transport.sendMail(message);
+    } catch (error) {
+      // 5xx replies (unknown mailbox, rejected message) will not succeed on a retry
+      if (error.responseCode >= 500) error.retryable = false;
+      throw error;
+    }
+
+    return {
+      recipient: message.to,
+      messageId: info.messageId,
+      confirmation: dryRun ? 'Message built but not sent (dry run)' : info.response,
+      dryRun,
+      ...(dryRun && { message: JSON.parse(info.message) })
+    };
+  }
+}
+
+const emailSubmitter = new EmailSubmitter();
+export default emailSubmitter;
@@ -0,0 +1,49 @@
+import { jest } from '@jest/globals';
+import { EmailSubmitter } from './emailSubmitter.js';
+
+const application = {
+  job: { title: 'Software Developer', referenceNumber: 'DEV-12', applicationEmail: 'jobs@acme.co.za' },
+  applicant: { name: 'Thandi Nkosi', email: 'thandi@example.co.za' },
+  coverLetter: 'Dear Hiring Manager',
+  attachments: [{ fileName: 'thandi-nkosi-cv.pdf', buffer: Buffer.from('%PDF-'), mimeType: 'application/pdf' }]
+};
+
+describe('EmailSubmitter', () => {
+  test('the letter is the body, the CV is attached and replies go to the applicant', () => {
+    const message = new EmailSubmitter({ from: 'apply@careerboost.co.za' }).buildMessage(application);
+
+    expect(message).toMatchObject({
+      from: { name: 'Thandi Nkosi', address: 'apply@careerboost.co.za' },
+      replyTo: { name: 'Thandi Nkosi', address: 'thandi@example.co.za' },
+      to: 'jobs@acme.co.za',
+      subject: 'Application for Software Developer (Ref: DEV-12) - Thandi Nkosi',
+      text: 'Dear Hiring Manager',
+      attachments: [{ filename: 'thandi-nkosi-cv.pdf', contentType: 'application/pdf' }]
+    });
+  });
+
+  test('a dry run builds the message without sending it', async () => {
+    const mailer = { getTransport: jest.fn() };
+
+    const receipt = await new EmailSubmitter({ from: 'apply@careerboost.co.za', mailer }).submit(application, { dryRun: true });
+
+    expect(receipt).toMatchObject({ recipient: 'jobs@acme.co.za', dryRun: true, message: { subject: expect.stringContaining('DEV-12') } });
+    expect(mailer.getTransport).not.toHaveBeenCalled();
+  });
+
+  test('a job without an address fails for good', async () => {
+    await expect(new EmailSubmitter().submit({ ...application, job: { title: 'Developer' } }))
+      .rejects.toMatchObject({ message: 'Job has no application email address', retryable: false });
+  });
+
+  test.each([
+    ['a rejected message is not retried', 550, false],
+    ['a temporary failure may be', 451, undefined]
+  ])('%s', async (_, responseCode, retryable) => {
+    const sendMail = jest.fn().mockRejectedValue(Object.assign(new Error('refused'), { responseCode }));
+    const submitter = new EmailSubmitter({ mailer: { getTransport: () => ({ sendMail }) } });
+
+    const error = await submitter.submit(application).catch(failure => failure);
+    expect(error.retryable).toBe(retryable);
+  });
+});
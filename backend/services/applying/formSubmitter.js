@@ -0,0 +1,152 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import scrapingService from '../scrapingService.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const DEFAULT_RECEIPTS_DIR = path.join(__dirname, '..', '..', 'storage', 'application-receipts');
+
+function formError(message, extra = {}) {
+  const error = new Error(message);
+  error.retryable = false;
+  return Object.assign(error, extra);
+}
+
+// Fills in a job board's own application form in the scraping service's
+// browser, following the apply section of the board's site adapter. A
+// screenshot of the filled form and of the confirmation page is kept as the
+// receipt. In dry-run mode the form is filled and photographed but never
+// submitted.
+export class FormSubmitter {
+  constructor(options = {}) {
+    this.browserSource = options.browserSource || scrapingService;
+    this.receiptsDir = options.receiptsDir || process.env.AUTO_APPLY_RECEIPTS_DIR || DEFAULT_RECEIPTS_DIR;
+    this.timeout = options.timeout || 30000;
+  }
+
+  async submit({ job, adapter, applicant, coverLetter, attachments = [], reference }, { dryRun = false } = {}) {
+    const apply = adapter?.apply;
+    if (!apply) {
+      throw formError(`Site adapter ${adapter?.id} has no application form definition`);
+    }
+
+    const url = job.applicationUrl || job.source?.url;
+    if (!url) {
+      throw formError('Job has no application or source URL');
+    }
+
+    const browser = await this.browserSource.initialize();
+    const page = await browser.newPage();
+    const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'careerboost-apply-'));
+    let submitted = false;
+
+    try {
+      const response = await page.goto(url, { waitUntil: 'networkidle2', timeout: this.timeout });
+      if (response && response.status() >= 400) {
+        const error = new Error(`${url} returned HTTP ${response.status()}`);
+        error.status = response.status();
+        error.retryable = response.status() >= 500;
+        throw error;
+      }
+
+      if (apply.open) {
+        await page.click(apply.open).catch(() => {
+          throw formError(`Apply button ${apply.open} not found on ${url}`, { code: 'FORM_CHANGED' });
+        });
+      }
+      await page.waitForSelector(apply.form, { timeout: this.timeout }).catch(() => {
+        throw formError(`Application form ${apply.form} not found on ${url}`, { code: 'FORM_CHANGED' });
+      });
+
+      await this.fillForm(page, apply, this.formValues(applicant, coverLetter), attachments, workDir);
+      const filled = await this.screenshot(page, reference, 'filled');
+
+      if (dryRun) {
+        return { url, confirmation: 'Form filled but not submitted (dry run)', screenshot: filled, dryRun: true };
+      }
+
+      submitted = true;
+      await Promise.all([
+        page.waitForSelector(apply.success, { timeout: this.timeout }),
+        page.click(apply.submit)
+      ]);
+
+      const confirmation = await page.$eval(apply.success, element => element.textContent).catch(() => '');
+      const receiptReference = apply.reference
+        ? await page.$eval(apply.reference, element => element.textContent).catch(() => null)
+        : null;
+
+      return {
+        url: page.url(),
+        reference: receiptReference?.trim() || undefined,
+        confirmation: confirmation.replace(/\s+/g, ' ').trim().substring(0, 500),
+        screenshot: await this.screenshot(page, reference, 'confirmation'),
+        dryRun: false
+      };
+    } catch (error) {
+      // Once the form was sent a retry could apply twice, so an unconfirmed
+      // submission is left for someone to check
+      if (submitted && error.name === 'TimeoutError') {
+        error.message = `Form submitted but no confirmation (${apply.success}) appeared`;
+        error.code = 'UNCONFIRMED';
+        error.retryable = false;
+      }
+      error.screenshot = await this.screenshot(page, reference, 'error').catch(() => undefined);
+      throw error;
+    } finally {
+      await page.close().catch(() => null);
+      await fs.rm(workDir, { recursive: true, force: true });
+    }
+  }
+
+  formValues(applicant, coverLetter) {
+    return {
+      fullName: applicant.name,
+      firstName: applicant.firstName,
+      lastName: applicant.lastName,
+      email: applicant.email,
+      phone: applicant.phone,
+      location: applicant.location,
+      coverLetter
+    };
+  }
+
+  async fillForm(page, apply, values, attachments, workDir) {
+    for (const [field, selector] of Object.entries(apply.fields)) {
+      const input = await page.$(selector);
+      if (!input) {
+        throw formError(`Application form field ${field} (${selector}) not found`, { code: 'FORM_CHANGED' });
+      }
+
+      if (field === 'cv') {
+        const cv = attachments[0];
+        if (!cv) throw formError('The form needs a CV file and none was rendered');
+        const file = path.join(workDir, cv.fileName);
+        await fs.writeFile(file, cv.buffer);
+        await input.uploadFile(file);
+        continue;
+      }
+
+      if (!values[field]) continue;
+
+      // Setting the value directly is much faster than typing a whole letter
+      await input.evaluate((element, value) => {
+        element.value = value;
+        element.dispatchEvent(new Event('input', { bubbles: true }));
+        element.dispatchEvent(new Event('change', { bubbles: true }));
+      }, values[field]);
+    }
+  }
+
+  async screenshot(page, reference, stage) {
+    await fs.mkdir(this.receiptsDir, { recursive: true });
+    const file = path.join(this.receiptsDir, `${reference || Date.now()}-${stage}.png`);
+    await page.screenshot({ path: file, fullPage: true });
+    return file;
+  }
+}
+
+const formSubmitter = new FormSubmitter();
+export default formSubmitter;
@@ -0,0 +1,209 @@
+import http from 'http';
+
+export const MOCK_BOARD_ID = 'mock-board';
+
+const SAMPLE_JOBS = [
+  {
+    id: '1001',
+    title: 'Junior Software Developer',
+    company: 'Mock Systems (Pty) Ltd',
+    location: 'Sandton, Johannesburg',
+    description: 'We are looking for a junior developer with JavaScript, Node.js and SQL experience to join our Sandton team.'
+  },
+  {
+    id: '1002',
+    title: 'Bookkeeper',
+    company: 'Example Accounting',
+    location: 'Cape Town',
+    description: 'Bookkeeper to manage debtors, creditors and month-end reconciliations on Sage and Excel.'
+  }
+];
+
+const escapeHtml = (text) => String(text).replace(/[&<>"]/g, (char) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[char]);
+
+// Site adapter for a board served at baseUrl, with an apply section for its form
+export function mockBoardAdapter(baseUrl) {
+  return {
+    id: MOCK_BOARD_ID,
+    name: 'Local mock job board',
+    baseUrl,
+    fetch: 'http',
+    enabled: false,
+    search: { path: '/jobs', params: { q: '{keywords}' } },
+    politeness: { respectRobots: false, minInterval: 1 },
+    selectors: [
+      {
+        version: '1',
+        listing: {
+          card: '.job',
+          fields: {
+            title: '.title a',
+            company: '.company',
+            location: '.location',
+            link: '.title a@href'
+          }
+        },
+        detail: {
+          fields: {
+            description: { selector: '.description', format: 'multiline' }
+          }
+        }
+      }
+    ],
+    apply: {
+      open: 'a.apply-now',
+      form: 'form#application',
+      fields: {
+        firstName: 'input[name="first_name"]',
+        lastName: 'input[name="last_name"]',
+        email: 'input[name="email"]',
+        phone: 'input[name="phone"]',
+        coverLetter: 'textarea[name="cover_letter"]',
+        cv: 'input[name="cv"]'
+      },
+      submit: 'form#application button[type="submit"]',
+      success: '.application-received',
+      reference: '.application-received .reference'
+    }
+  };
+}
+
+// Field names and uploaded file names/sizes of a multipart form body
+function parseMultipart(body, contentType) {
+  const boundary = /boundary=(?:"([^"]+)"|([^;]+))/.exec(contentType || '');
+  if (!boundary) return { fields: {}, files: {} };
+
+  const fields = {};
+  const files = {};
+  for (const part of body.toString('latin1').split(`--${boundary[1] || boundary[2]}`)) {
+    const split = part.indexOf('\r\n\r\n');
+    if (split === -1) continue;
+
+    const headers = part.substring(0, split);
+    const value = part.substring(split + 4).replace(/\r\n$/, '');
+    const name = /name="([^"]*)"/.exec(headers)?.[1];
+    if (!name) continue;
+
+    const fileName = /filename="([^"]*)"/.exec(headers)?.[1];
+    if (fileName !== undefined) {
+      files[name] = { fileName, size: Buffer.byteLength(value, 'latin1') };
+    } else {
+      fields[name] = Buffer.from(value, 'latin1').toString('utf8');
+    }
+  }
+  return { fields, files };
+}
+
+// A small job board on localhost for dry runs and for developing form
+// adapters: /jobs lists the ads, /jobs/:id shows one with an "Apply now"
+// button that reveals the application form, and posting the form answers
+// with a reference number. Submissions are kept in memory for inspection.
+export class MockJobBoard {
+  constructor(options = {}) {
+    this.port = options.port || 0;
+    this.jobs = options.jobs || SAMPLE_JOBS;
+    this.submissions = [];
+    this.server = null;
+    this.baseUrl = null;
+  }
+
+  async start() {
+    this.server = http.createServer((req, res) => this.handle(req, res));
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, '127.0.0.1', resolve);
+    });
+    this.baseUrl = `http://127.0.0.1:${this.server.address().port}`;
+    return this.baseUrl;
+  }
+
+  async stop() {
+    if (!this.server) return;
+    await new Promise(resolve => this.server.close(resolve));
+    this.server = null;
+  }
+
+  get adapter() {
+    return mockBoardAdapter(this.baseUrl);
+  }
+
+  // A job record as the scraper would have stored it
+  jobRecord(id) {
+    const job = this.jobs.find(candidate => candidate.id === id);
+    return job && {
+      ...job,
+      isActive: true,
+      source: { website: 'Local mock job board', url: `${this.baseUrl}/jobs/${job.id}`, adapter: MOCK_BOARD_ID, scrapedId: job.id }
+    };
+  }
+
+  page(title, body) {
+    return `<!DOCTYPE html><html><head><title>${escapeHtml(title)}</title></head><body>${body}</body></html>`;
+  }
+
+  send(res, status, html) {
+    res.writeHead(status, { 'Content-Type': 'text/html; charset=utf-8' });
+    res.end(html);
+  }
+
+  handle(req, res) {
+    const { pathname } = new URL(req.url, this.baseUrl);
+
+    if (req.method === 'GET' && pathname === '/jobs') {
+      const cards = this.jobs.map(job => `
+        <div class="job">
+          <h2 class="title"><a href="/jobs/${job.id}">${escapeHtml(job.title)}</a></h2>
+          <span class="company">${escapeHtml(job.company)}</span>
+          <span class="location">${escapeHtml(job.location)}</span>
+        </div>`).join('');
+      return this.send(res, 200, this.page('Jobs', cards));
+    }
+
+    const match = /^\/jobs\/([\w-]+)(\/apply)?$/.exec(pathname);
+    const job = match && this.jobs.find(candidate => candidate.id === match[1]);
+    if (!job) {
+      return this.send(res, 404, this.page('Not found', '<p>Job not found</p>'));
+    }
+
+    if (req.method === 'GET' && !match[2]) {
+      return this.send(res, 200, this.page(job.title, `
+        <h1>${escapeHtml(job.title)}</h1>
+        <p class="company">${escapeHtml(job.company)}</p>
+        <div class="description">${escapeHtml(job.description)}</div>
+        <a href="#" class="apply-now" onclick="document.getElementById('application').hidden = false; return false;">Apply now</a>
+        <form id="application" method="post" action="/jobs/${job.id}/apply" enctype="multipart/form-data" hidden>
+          <input name="first_name" required>
+          <input name="last_name" required>
+          <input name="email" type="email" required>
+          <input name="phone">
+          <textarea name="cover_letter"></textarea>
+          <input name="cv" type="file" required>
+          <button type="submit">Submit application</button>
+        </form>`));
+    }
+
+    if (req.method === 'POST' && match[2]) {
+      const chunks = [];
+      req.on('data', chunk => chunks.push(chunk));
+      req.on('end', () => {
+        const { fields, files } = parseMultipart(Buffer.concat(chunks), req.headers['content-type']);
+        if (!fields.email || !files.cv?.size) {
+          return this.send(res, 400, this.page('Incomplete', '<p class="error">Email and CV are required</p>'));
+        }
+
+        const reference = `MB-${job.id}-${String(this.submissions.length + 1).padStart(4, '0')}`;
+        this.submissions.push({ reference, jobId: job.id, fields, files, receivedAt: new Date() });
+        this.send(res, 200, this.page('Application received', `
+          <div class="application-received">
+            <p>Thank you, ${escapeHtml(fields.first_name || '')}. Your application for ${escapeHtml(job.title)} has been received.</p>
+            <p>Reference: <span class="reference">${reference}</span></p>
+          </div>`));
+      });
+      return;
+    }
+
+    this.send(res, 405, this.page('Not allowed', '<p>Method not allowed</p>'));
+  }
+}
+
+export default MockJobBoard;
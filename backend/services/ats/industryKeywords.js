@@ -0,0 +1,70 @@
+// Keyword sets used for ATS keyword coverage when no target job is given.
+// Keys are lower-case industry names; aliases map the free-text industries
+// users type on upload onto one of these sets.
+export const industryKeywords = {
+  'information technology': [
+    'software development', 'javascript', 'python', 'java', 'sql', 'cloud', 'aws', 'azure',
+    'agile', 'scrum', 'api', 'git', 'testing', 'devops', 'databases', 'security',
+    'troubleshooting', 'system design', 'ci/cd', 'stakeholder'
+  ],
+  finance: [
+    'financial reporting', 'ifrs', 'budgeting', 'forecasting', 'reconciliation', 'audit',
+    'tax', 'accounts payable', 'accounts receivable', 'general ledger', 'excel', 'sage',
+    'pastel', 'variance analysis', 'compliance', 'month-end', 'saica', 'cash flow'
+  ],
+  marketing: [
+    'digital marketing', 'seo', 'social media', 'content', 'campaign', 'brand', 'google analytics',
+    'email marketing', 'copywriting', 'market research', 'crm', 'lead generation',
+    'roi', 'paid media', 'stakeholder'
+  ],
+  sales: [
+    'business development', 'account management', 'pipeline', 'negotiation', 'crm',
+    'targets', 'quota', 'client relationships', 'cold calling', 'closing', 'revenue',
+    'forecasting', 'key accounts', 'presentations'
+  ],
+  healthcare: [
+    'patient care', 'clinical', 'hpcsa', 'sanc', 'medication', 'infection control',
+    'patient records', 'triage', 'emergency', 'health and safety', 'multidisciplinary',
+    'bls', 'ward', 'compliance'
+  ],
+  education: [
+    'curriculum', 'caps', 'lesson planning', 'assessment', 'classroom management',
+    'sace', 'learner', 'teaching', 'moderation', 'extracurricular', 'differentiated',
+    'parent communication', 'ieb'
+  ],
+  engineering: [
+    'autocad', 'design', 'project management', 'ecsa', 'maintenance', 'health and safety',
+    'quality control', 'commissioning', 'technical drawings', 'root cause analysis',
+    'plc', 'lean', 'six sigma', 'specifications', 'budget'
+  ],
+  general: [
+    'communication', 'teamwork', 'problem solving', 'leadership', 'time management',
+    'customer service', 'microsoft office', 'reporting', 'attention to detail', 'planning'
+  ]
+};
+
+const industryAliases = {
+  it: 'information technology',
+  tech: 'information technology',
+  technology: 'information technology',
+  software: 'information technology',
+  accounting: 'finance',
+  banking: 'finance',
+  'financial services': 'finance',
+  'digital marketing': 'marketing',
+  'business development': 'sales',
+  health: 'healthcare',
+  medical: 'healthcare',
+  nursing: 'healthcare',
+  teaching: 'education',
+  mining: 'engineering',
+  manufacturing: 'engineering'
+};
+
+export function getIndustryKeywords(industry) {
+  const key = (industry || '').toLowerCase().trim();
+  const resolved = industryKeywords[key] ? key : industryAliases[key];
+  return resolved ? industryKeywords[resolved] : industryKeywords.general;
+}
+
+export default industryKeywords;
@@ -0,0 +1,473 @@
+import cvParser from './cvParser.js';
+import { industryKeywords, getIndustryKeywords } from './ats/industryKeywords.js';
+
+const SEVERITY_ORDER = { error: 0, warning: 1, info: 2 };
+
+// Rule-based ATS compatibility scoring. Unlike the LLM analysis it is fully
+// deterministic: the same text and keyword set always produce the same score,
+// so results can be compared before and after optimisation.
+export class ATSScorer {
+  constructor() {
+    this.version = '1.0';
+
+    // Category weights add up to 100
+    this.weights = {
+      keywords: 30,
+      sections: 20,
+      contact: 15,
+      dates: 15,
+      bullets: 10,
+      layout: 10
+    };
+
+    this.requiredSections = ['work', 'education', 'skills'];
+    this.sectionLabels = {
+      work: 'Work Experience',
+      education: 'Education',
+      skills: 'Skills',
+      summary: 'Professional Summary'
+    };
+
+    this.unsupportedBulletPattern = /^[\u2794\u27A2\u27A4\u2713\u2714\u2756\u25C6\u25A0\u25A1\u25CF\u25CB\u25E6\u2751\u2192\uF0B7\uF0A7\uF0D8]\s*/;
+    this.unreadablePattern = /[\uFFFD\uE000-\uF8FF]/;
+    this.pageMarkerPattern = /^(?:page\s*\d+(?:\s*(?:of|\/)\s*\d+)?|\d+\s*(?:of|\/)\s*\d+|-\s*\d+\s*-)$/i;
+    this.columnGapPattern = /\S(?:\t| {3,})\S/;
+  }
+
+  // options: { industry, job, keywords } - job may be a Job document, a plain
+  // object with the same fields or a job description string
+  score(text, options = {}) {
+    const raw = text || '';
+    const { sections, unknown } = cvParser.splitSections(raw);
+    const context = { raw, sections, unknown, lines: cvParser.splitLines(raw) };
+
+    const keywordResult = this.checkKeywords(context, this.resolveKeywords(options));
+    const results = {
+      keywords: keywordResult,
+      sections: this.checkSections(context),
+      contact: this.checkContact(context),
+      dates: this.checkDates(context),
+      bullets: this.checkBullets(context),
+      layout: this.checkLayout(context)
+    };
+
+    const breakdown = {};
+    const findings = [];
+    let total = 0;
+
+    for (const [category, result] of Object.entries(results)) {
+      const score = Math.max(0, Math.min(100, Math.round(result.score)));
+      breakdown[category] = { score, weight: this.weights[category] };
+      total += score * this.weights[category];
+      findings.push(...result.findings.map(finding => ({ category, ...finding })));
+    }
+
+    findings.sort((a, b) => SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity]);
+
+    return {
+      score: Math.round(total / 100),
+      breakdown,
+      findings,
+      keywords: keywordResult.summary,
+      scorer: { version: this.version }
+    };
+  }
+
+  // Tables, columns and running headers are properties of the uploaded
+  // document and vanish once an LLM rewrites the text, so the layout of the
+  // source is scored on its own, from the text extracted from the upload
+  scoreLayout(text) {
+    const { score, findings } = this.checkLayout({ raw: text || '' });
+    return {
+      score: Math.max(0, Math.min(100, Math.round(score))),
+      findings: findings.map(finding => ({ category: 'layout', ...finding }))
+    };
+  }
+
+  // Summarises what changed between two reports, e.g. around optimizeForATS
+  compare(before, after) {
+    const codes = (report) => new Set(report.findings.map(finding => `${finding.category}:${finding.code}`));
+    const beforeCodes = codes(before);
+    const afterCodes = codes(after);
+
+    const categories = {};
+    for (const category of Object.keys(this.weights)) {
+      categories[category] = after.breakdown[category].score - before.breakdown[category].score;
+    }
+
+    return {
+      before: before.score,
+      after: after.score,
+      improvement: after.score - before.score,
+      categories,
+      resolved: [...beforeCodes].filter(code => !afterCodes.has(code)),
+      introduced: [...afterCodes].filter(code => !beforeCodes.has(code))
+    };
+  }
+
+  resolveKeywords({ industry, job, keywords }) {
+    if (Array.isArray(keywords) && keywords.length > 0) {
+      return { source: 'custom', keywords: this.uniqueKeywords(keywords) };
+    }
+
+    if (job) {
+      const jobKeywords = this.extractJobKeywords(job);
+      if (jobKeywords.length > 0) {
+        return { source: 'job', keywords: jobKeywords };
+      }
+    }
+
+    return { source: 'industry', keywords: this.uniqueKeywords(getIndustryKeywords(industry)) };
+  }
+
+  // Explicit job skills plus any known keyword that appears in the description
+  extractJobKeywords(job) {
+    const details = typeof job === 'string' ? { description: job } : job;
+    const explicit = [
+      ...(details.skills || []),
+      ...(details.requirementsAnalysis?.technologies || []),
+      ...(details.requirementsAnalysis?.certifications || [])
+    ];
+
+    const text = [details.title, details.description, ...(details.requirements || [])]
+      .filter(Boolean)
+      .join(' ')
+      .toLowerCase();
+
+    const vocabulary = Object.values(industryKeywords).flat();
+    const mentioned = vocabulary.filter(keyword => this.containsKeyword(text, keyword));
+
+    return this.uniqueKeywords([...explicit, ...mentioned]);
+  }
+
+  uniqueKeywords(keywords) {
+    return [...new Set(keywords.map(keyword => String(keyword).toLowerCase().trim()).filter(Boolean))];
+  }
+
+  // Word-boundary match that also works for terms such as "c#", "node.js" or "ci/cd"
+  containsKeyword(text, keyword) {
+    const escaped = keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '[\\s-]+');
+    return new RegExp(`(?<![a-z0-9])${escaped}(?![a-z0-9])`, 'i').test(text);
+  }
+
+  checkKeywords(context, { source, keywords }) {
+    const text = context.lines.join(' ').toLowerCase();
+    const matched = keywords.filter(keyword => this.containsKeyword(text, keyword));
+    const missing = keywords.filter(keyword => !matched.includes(keyword));
+    const coverage = keywords.length > 0 ? matched.length / keywords.length : 1;
+    const findings = [];
+
+    if (keywords.length === 0) {
+      findings.push({ severity: 'info', code: 'no_keywords', message: 'No target keywords available, keyword coverage not assessed' });
+    } else if (coverage < 0.4) {
+      findings.push({
+        severity: 'error',
+        code: 'low_keyword_coverage',
+        message: `Only ${matched.length} of ${keywords.length} target keywords found`,
+        details: { missing: missing.slice(0, 10) }
+      });
+    } else if (coverage < 0.7) {
+      findings.push({
+        severity: 'warning',
+        code: 'partial_keyword_coverage',
+        message: `${matched.length} of ${keywords.length} target keywords found`,
+        details: { missing: missing.slice(0, 10) }
+      });
+    }
+
+    return {
+      score: coverage * 100,
+      findings,
+      summary: {
+        source,
+        total: keywords.length,
+        matched,
+        missing,
+        coverage: Math.round(coverage * 100) / 100
+      }
+    };
+  }
+
+  checkSections({ sections, unknown }) {
+    const findings = [];
+    let score = 100;
+
+    for (const key of this.requiredSections) {
+      if (!sections[key] || sections[key].length === 0) {
+        score -= 25;
+        findings.push({
+          severity: 'error',
+          code: 'missing_section',
+          message: `No "${this.sectionLabels[key]}" section found under a standard heading`,
+          details: { section: key }
+        });
+      }
+    }
+
+    if (!sections.summary || sections.summary.length === 0) {
+      score -= 10;
+      findings.push({ severity: 'warning', code: 'missing_summary', message: 'Add a short professional summary near the top' });
+    }
+
+    if (unknown.length > 0) {
+      score -= Math.min(20, unknown.length * 5);
+      findings.push({
+        severity: 'warning',
+        code: 'non_standard_heading',
+        message: 'Some headings are not recognised by most ATS parsers',
+        details: { headings: unknown }
+      });
+    }
+
+    return { score, findings };
+  }
+
+  checkContact({ raw, sections, lines }) {
+    const basics = cvParser.parseBasics(raw, sections);
+    const findings = [];
+    let score = 0;
+
+    const checks = [
+      { field: 'email', value: basics.email, points: 35, severity: 'error', label: 'email address' },
+      { field: 'phone', value: basics.phone, points: 30, severity: 'error', label: 'phone number' },
+      { field: 'name', value: basics.name, points: 20, severity: 'warning', label: 'name' },
+      { field: 'location', value: basics.location?.city, points: 15, severity: 'warning', label: 'location' }
+    ];
+
+    for (const check of checks) {
+      if (check.value) {
+        score += check.points;
+      } else {
+        findings.push({
+          severity: check.severity,
+          code: `missing_${check.field}`,
+          message: `No ${check.label} found`
+        });
+      }
+    }
+
+    // Contact details hidden at the bottom (or in a footer) are often dropped
+    if (basics.email) {
+      const emailLine = lines.findIndex(line => line.includes(basics.email));
+      if (emailLine > 10) {
+        score -= 10;
+        findings.push({
+          severity: 'warning',
+          code: 'contact_not_in_header',
+          message: 'Contact details should appear at the top of the CV'
+        });
+      }
+    }
+
+    return { score, findings };
+  }
+
+  classifyDate(token) {
+    const value = token.toLowerCase().trim();
+    if (/^(present|current|now|date|to date)$/.test(value)) return null;
+    if (/^[a-z]+\.?\s+\d{4}$/.test(value)) return 'month_name';
+    if (/^\d{1,2}[/.-]\d{4}$|^\d{4}[/.-]\d{1,2}$/.test(value)) return 'numeric';
+    if (/^\d{4}$/.test(value)) return 'year';
+    return null;
+  }
+
+  checkDates({ sections }) {
+    const findings = [];
+    const workLines = sections.work || [];
+    const datedLines = [...workLines, ...(sections.education || [])];
+    const formats = new Set();
+    let yearOnly = 0;
+    let ranges = 0;
+
+    for (const line of datedLines) {
+      const range = line.match(cvParser.dateRangePattern);
+      if (!range) continue;
+
+      ranges++;
+      const types = [range[1], range[2]].map(token => this.classifyDate(token)).filter(Boolean);
+      types.forEach(type => type !== 'year' && formats.add(type));
+      if (types.length > 0 && types.every(type => type === 'year')) yearOnly++;
+    }
+
+    const workRanges = workLines.filter(line => cvParser.dateRangePattern.test(line)).length;
+    let score = 100;
+
+    if (workLines.length > 0 && workRanges === 0) {
+      score = 40;
+      findings.push({
+        severity: 'error',
+        code: 'missing_dates',
+        message: 'Work experience entries have no recognisable start and end dates'
+      });
+    }
+
+    if (formats.size > 1) {
+      score -= 25;
+      findings.push({
+        severity: 'warning',
+        code: 'inconsistent_date_formats',
+        message: 'Dates mix written and numeric month formats; use one style such as "Jan 2020 - Mar 2022"'
+      });
+    }
+
+    if (ranges > 0 && yearOnly / ranges > 0.5) {
+      score -= 15;
+      findings.push({
+        severity: 'info',
+        code: 'year_only_dates',
+        message: 'Most date ranges only give years; adding months helps ATS calculate experience'
+      });
+    }
+
+    const ambiguous = datedLines.filter(line => /['’]\d{2}\b|\b\d{4}\s*[-–]\s*\d{2}\b(?![/.-]?\d)/.test(line));
+    if (ambiguous.length > 0) {
+      score -= 15;
+      findings.push({
+        severity: 'warning',
+        code: 'ambiguous_dates',
+        message: 'Abbreviated years (e.g. \'19 or 2019-21) may not be parsed',
+        details: { lines: ambiguous.slice(0, 5) }
+      });
+    }
+
+    return { score, findings };
+  }
+
+  checkBullets({ sections }) {
+    const findings = [];
+    const workLines = sections.work || [];
+    let score = 100;
+
+    if (workLines.length === 0) {
+      return { score: 50, findings };
+    }
+
+    const bullets = workLines.filter(line => cvParser.isBullet(line));
+    const unsupported = workLines.filter(line => this.unsupportedBulletPattern.test(line));
+
+    if (bullets.length === 0 && unsupported.length === 0 && workLines.length > 4) {
+      score -= 40;
+      findings.push({
+        severity: 'warning',
+        code: 'no_bullets',
+        message: 'Describe achievements as bullet points rather than long paragraphs'
+      });
+    }
+
+    if (unsupported.length > 0) {
+      score -= 30;
+      findings.push({
+        severity: 'warning',
+        code: 'unsupported_bullet_glyph',
+        message: 'Decorative bullet symbols may be unreadable; use standard "•" or "-" bullets',
+        details: { count: unsupported.length }
+      });
+    }
+
+    const longBullets = bullets.filter(line => cvParser.stripBullet(line).split(/\s+/).length > 35);
+    if (longBullets.length > 0) {
+      score -= Math.min(20, longBullets.length * 5);
+      findings.push({
+        severity: 'info',
+        code: 'long_bullets',
+        message: 'Some bullet points are longer than 35 words',
+        details: { count: longBullets.length }
+      });
+    }
+
+    return { score, findings };
+  }
+
+  // Extraction artifacts left behind by tables, multi-column layouts and
+  // running page headers/footers in the source document
+  checkLayout({ raw }) {
+    const findings = [];
+    const rawLines = raw.split(/\r?\n/).filter(line => line.trim().length > 0);
+    const lines = rawLines.map(line => line.replace(/\s+/g, ' ').trim());
+    let score = 100;
+
+    const tableRows = rawLines.filter(line =>
+      (line.match(/\t/g) || []).length >= 2 ||
+      ((line.match(/\|/g) || []).length >= 2 && !cvParser.isContactLine(line.trim()))
+    );
+    if (tableRows.length >= 2) {
+      score -= 30;
+      findings.push({
+        severity: 'warning',
+        code: 'table_layout',
+        message: 'Content appears to be laid out in a table, which many ATS parsers read out of order',
+        details: { lines: tableRows.length }
+      });
+    }
+
+    const columnRows = rawLines.filter(line =>
+      this.columnGapPattern.test(line.trim()) && !tableRows.includes(line)
+    );
+    if (columnRows.length >= 3) {
+      score -= 30;
+      findings.push({
+        severity: 'warning',
+        code: 'multi_column_layout',
+        message: 'Text appears to come from a multi-column layout; use a single column',
+        details: { lines: columnRows.length }
+      });
+    }
+
+    const pageMarkers = lines.filter(line => this.pageMarkerPattern.test(line));
+    // A running header or footer is the same line at the top or bottom of
+    // more than one page; a line repeated inside the body is just content
+    const pagesByLine = new Map();
+    this.splitPages(raw).forEach((page, pageIndex) => {
+      const edges = [...page.slice(0, 2), ...page.slice(-2)];
+      for (const line of edges) {
+        if (line.length < 4 || line.length > 60 || cvParser.isBullet(line) || cvParser.isSectionHeading(line)) continue;
+        pagesByLine.set(line, (pagesByLine.get(line) || new Set()).add(pageIndex));
+      }
+    });
+    const repeated = [...pagesByLine.entries()].filter(([, pages]) => pages.size >= 2).map(([line]) => line);
+
+    if (pageMarkers.length > 0 || repeated.length > 0) {
+      score -= 20;
+      findings.push({
+        severity: 'warning',
+        code: 'header_footer_content',
+        message: 'Page numbers or repeated header/footer text were found; keep important details in the body',
+        details: { pageMarkers: pageMarkers.length, repeatedLines: repeated.slice(0, 5) }
+      });
+    }
+
+    if (this.unreadablePattern.test(raw)) {
+      score -= 20;
+      findings.push({
+        severity: 'error',
+        code: 'unreadable_characters',
+        message: 'The text contains characters that could not be decoded, often from icon fonts or symbols'
+      });
+    }
+
+    return { score, findings };
+  }
+
+  // Non-empty lines of each page. Extracted text only shows where a page
+  // ends by a form feed or a page number, so without either it is one page.
+  splitPages(raw) {
+    const pages = [[]];
+    for (const rawLine of raw.split(/\r?\n/)) {
+      rawLine.split('\f').forEach((segment, index) => {
+        if (index > 0) pages.push([]);
+
+        const line = segment.replace(/\s+/g, ' ').trim();
+        if (!line) return;
+        if (this.pageMarkerPattern.test(line)) {
+          pages.push([]);
+        } else {
+          pages[pages.length - 1].push(line);
+        }
+      });
+    }
+    return pages.filter(page => page.length > 0);
+  }
+}
+
+const atsScorer = new ATSScorer();
+export default atsScorer;
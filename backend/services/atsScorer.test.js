@@ -0,0 +1,167 @@
+import atsScorer from './atsScorer.js';
+
+const page = (...lines) => lines.join('\n');
+
+const PAGE_ONE = page(
+  'Thandi Nkosi',
+  'thandi@example.co.za | 082 555 0101 | Johannesburg',
+  'Professional Summary',
+  'Software developer with six years of React and Node.js experience.',
+  'Work Experience',
+  'Software Developer, Acme (Jan 2019 - Present)',
+  '- Built React and Node.js services used by 40 000 customers'
+);
+
+const PAGE_TWO = page(
+  'Junior Developer, Acme (Feb 2017 - Dec 2018)',
+  '- Maintained the Node.js billing service',
+  'Education',
+  'BSc Computer Science, Wits (2016)',
+  'Skills',
+  'React, Node.js, MongoDB'
+);
+
+const layoutCodes = (text) => atsScorer.scoreLayout(text).findings.map(finding => finding.code);
+
+describe('ATSScorer layout', () => {
+  test('a clean single-column CV has no layout findings', () => {
+    expect(atsScorer.scoreLayout(`${PAGE_ONE}\n${PAGE_TWO}`)).toEqual({ score: 100, findings: [] });
+  });
+
+  test('a line repeated at the top of each page is a running header', () => {
+    const text = page('Thandi Nkosi - Curriculum Vitae', PAGE_ONE, 'Page 1 of 2', 'Thandi Nkosi - Curriculum Vitae', PAGE_TWO, 'Page 2 of 2');
+
+    expect(atsScorer.scoreLayout(text)).toMatchObject({
+      score: 80,
+      findings: [{
+        category: 'layout',
+        code: 'header_footer_content',
+        details: { pageMarkers: 2, repeatedLines: ['Thandi Nkosi - Curriculum Vitae'] }
+      }]
+    });
+  });
+
+  test('form feeds mark pages too', () => {
+    const footer = 'Confidential - Thandi Nkosi';
+    expect(atsScorer.scoreLayout(page(PAGE_ONE, footer) + '\f' + page(PAGE_TWO, footer)).findings[0]).toMatchObject({
+      code: 'header_footer_content',
+      details: { pageMarkers: 0, repeatedLines: [footer] }
+    });
+  });
+
+  test('a line repeated inside the body is content, not a header', () => {
+    const text = page(
+      PAGE_ONE,
+      'Software Developer, Acme',
+      '- Migrated the payments service to Node.js',
+      'Software Developer, Acme',
+      '- Added end-to-end tests',
+      PAGE_TWO
+    );
+    expect(layoutCodes(text)).toEqual([]);
+  });
+
+  test('a repeat in the middle of one page and the edge of another is not a header', () => {
+    const text = page(
+      PAGE_ONE, 'Team lead, Acme', PAGE_TWO, 'Page 1 of 2',
+      'Team lead, Acme', '- Ran the sprint reviews', 'References available on request', 'Page 2 of 2'
+    );
+    expect(atsScorer.scoreLayout(text).findings[0].details).toEqual({ pageMarkers: 2, repeatedLines: [] });
+  });
+
+  test('tables and columns', () => {
+    const table = page(PAGE_ONE, 'Skill\tYears\tLevel', 'React\t6\tExpert', 'Node.js\t5\tExpert');
+    expect(layoutCodes(table)).toEqual(['table_layout']);
+
+    const columns = page(
+      PAGE_ONE,
+      'Skills        Education',
+      'React         BSc Computer Science',
+      'Node.js       Wits University'
+    );
+    expect(layoutCodes(columns)).toEqual(['multi_column_layout']);
+  });
+
+  test('undecodable characters, such as a Symbol font bullet', () => {
+    expect(layoutCodes(`${PAGE_ONE}\n\uF0B7 React`)).toContain('unreadable_characters');
+  });
+});
+
+describe('ATSScorer checks', () => {
+  const codes = (text, category) => atsScorer.score(text).findings
+    .filter(finding => finding.category === category)
+    .map(finding => finding.code);
+
+  test('contact details that are missing or buried at the bottom', () => {
+    const noContact = PAGE_ONE.replace('thandi@example.co.za | 082 555 0101 | Johannesburg', 'thandi@example.co.za');
+    expect(codes(noContact, 'contact')).toEqual(expect.arrayContaining(['missing_phone', 'missing_location']));
+
+    const buried = page(
+      'Thandi Nkosi',
+      ...PAGE_ONE.split('\n').slice(2),
+      PAGE_TWO,
+      'Contact',
+      'thandi@example.co.za | 082 555 0101 | Johannesburg'
+    );
+    expect(codes(buried, 'contact')).toContain('contact_not_in_header');
+  });
+
+  test.each([
+    ['written and numeric months mixed', 'Jan 2019 - Present', '02/2017 - 12/2018', 'inconsistent_date_formats'],
+    ['only years', '2019 - Present', '2017 - 2018', 'year_only_dates'],
+    ['abbreviated years', 'Jan 2019 - Present', 'Feb \'17 - Dec \'18', 'ambiguous_dates']
+  ])('dates with %s', (_, current, previous, code) => {
+    const text = page(
+      PAGE_ONE.replace('Jan 2019 - Present', current),
+      PAGE_TWO.replace('Feb 2017 - Dec 2018', previous)
+    );
+    expect(codes(text, 'dates')).toContain(code);
+  });
+
+  test('work experience without dates', () => {
+    const text = page(
+      PAGE_ONE.replace(' (Jan 2019 - Present)', ''),
+      PAGE_TWO.replace(' (Feb 2017 - Dec 2018)', '')
+    );
+    expect(codes(text, 'dates')).toEqual(['missing_dates']);
+  });
+
+  test('paragraphs instead of bullets, and decorative bullets', () => {
+    const paragraphs = page(
+      PAGE_ONE.replace('- Built', 'Built'),
+      'Worked on the billing service.',
+      'Ran the sprint reviews.',
+      PAGE_TWO.replace('- Maintained', 'Maintained')
+    );
+    expect(codes(paragraphs, 'bullets')).toEqual(['no_bullets']);
+
+    expect(codes(PAGE_ONE.replace('- Built', '➢ Built'), 'bullets')).toEqual(['unsupported_bullet_glyph']);
+  });
+});
+
+describe('ATSScorer.score', () => {
+  test('scores a complete CV highly and reports the categories', () => {
+    const report = atsScorer.score(`${PAGE_ONE}\n${PAGE_TWO}`, { keywords: ['React', 'Node.js', 'Kubernetes'] });
+
+    expect(Object.keys(report.breakdown)).toEqual(['keywords', 'sections', 'contact', 'dates', 'bullets', 'layout']);
+    expect(report.breakdown.layout.score).toBe(100);
+    expect(report.keywords).toMatchObject({ source: 'custom', missing: ['kubernetes'] });
+    expect(report.score).toBeGreaterThan(70);
+  });
+
+  test('missing sections are errors', () => {
+    const report = atsScorer.score(PAGE_ONE, { industry: 'technology' });
+    expect(report.findings).toEqual(expect.arrayContaining([
+      expect.objectContaining({ category: 'sections', code: 'missing_section', details: { section: 'education' } })
+    ]));
+  });
+
+  test('compare lists what was resolved and introduced', () => {
+    const before = atsScorer.score(PAGE_ONE, { industry: 'technology' });
+    const after = atsScorer.score(`${PAGE_ONE}\n${PAGE_TWO}`, { industry: 'technology' });
+
+    const comparison = atsScorer.compare(before, after);
+    expect(comparison.improvement).toBe(after.score - before.score);
+    expect(comparison.resolved).toContain('sections:missing_section');
+  });
+});
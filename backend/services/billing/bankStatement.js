@@ -0,0 +1,173 @@
+import crypto from 'crypto';
+
+// Parses FNB statement exports into transactions of
+// { postedAt, amount, description, bankReference, fingerprint }, with credits
+// positive. Online banking offers a CSV download and an OFX (Money/Quicken)
+// download; both are read here so either can be imported.
+
+const MONTHS = { jan: 0, feb: 1, mar: 2, apr: 3, may: 4, jun: 5, jul: 6, aug: 7, sep: 8, oct: 9, nov: 10, dec: 11 };
+
+function statementError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+// 2024/01/15, 2024-01-15, 15/01/2024 or 15 Jan 2024; statements are SAST dates
+export function parseStatementDate(text) {
+  const value = (text || '').trim();
+  let match = /^(\d{4})[/-](\d{1,2})[/-](\d{1,2})$/.exec(value);
+  if (match) return new Date(Date.UTC(+match[1], +match[2] - 1, +match[3]));
+
+  match = /^(\d{1,2})[/-](\d{1,2})[/-](\d{4})$/.exec(value);
+  if (match) return new Date(Date.UTC(+match[3], +match[2] - 1, +match[1]));
+
+  match = /^(\d{1,2})\s+([A-Za-z]{3})[a-z]*\s+(\d{4})$/.exec(value);
+  if (match && MONTHS[match[2].toLowerCase()] !== undefined) {
+    return new Date(Date.UTC(+match[3], MONTHS[match[2].toLowerCase()], +match[1]));
+  }
+  return null;
+}
+
+// "1 150.00", "1,150.00", "-200.00" or "200.00 Cr"/"200.00 Dr"
+export function parseStatementAmount(text) {
+  const value = (text || '').trim();
+  if (!value) return null;
+
+  const debit = /dr$/i.test(value) || /^-/.test(value) || /^\(.*\)$/.test(value);
+  const amount = parseFloat(value.replace(/cr$|dr$/i, '').replace(/[^\d.]/g, ''));
+  if (Number.isNaN(amount)) return null;
+  return debit ? -amount : amount;
+}
+
+// Same bank line, same fingerprint: overlapping statements import once
+function fingerprint({ postedAt, amount, description, bankReference }, occurrence) {
+  return crypto.createHash('sha256')
+    .update([postedAt.toISOString().slice(0, 10), amount.toFixed(2), description, bankReference || '', occurrence].join('|'))
+    .digest('hex');
+}
+
+function withFingerprints(transactions) {
+  const seen = new Map();
+  return transactions.map(transaction => {
+    // Two identical payments on one day are two transactions, not a repeat
+    const key = fingerprint(transaction, 0);
+    const occurrence = seen.get(key) || 0;
+    seen.set(key, occurrence + 1);
+    return { ...transaction, fingerprint: occurrence ? fingerprint(transaction, occurrence) : key };
+  });
+}
+
+function splitCsvLine(line) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field.trim());
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field.trim());
+  return fields;
+}
+
+// FNB's CSV starts with account and balance rows; the transactions follow a
+// "Date, Amount, Balance, Description" header. Exports with separate debit
+// and credit columns, or a reference column, are read too.
+export function parseCsvStatement(text) {
+  const rows = text.split(/\r?\n/).map(splitCsvLine);
+  const headerIndex = rows.findIndex(row => {
+    const names = row.map(name => name.toLowerCase());
+    return names.includes('date') && names.includes('description') &&
+      (names.includes('amount') || names.includes('credit'));
+  });
+  if (headerIndex === -1) {
+    throw statementError('No "Date, Amount, Description" header found in the CSV statement');
+  }
+
+  const columns = rows[headerIndex].map(name => name.toLowerCase());
+  const column = (name) => columns.indexOf(name);
+  const transactions = [];
+
+  for (const row of rows.slice(headerIndex + 1)) {
+    const postedAt = parseStatementDate(row[column('date')]);
+    if (!postedAt) continue;
+
+    let amount;
+    if (column('amount') !== -1) {
+      amount = parseStatementAmount(row[column('amount')]);
+    } else {
+      const credit = parseStatementAmount(row[column('credit')]);
+      const debit = column('debit') !== -1 ? parseStatementAmount(row[column('debit')]) : null;
+      amount = credit || (debit ? -Math.abs(debit) : null);
+    }
+    if (amount === null) continue;
+
+    transactions.push({
+      postedAt,
+      amount,
+      description: row[column('description')] || '',
+      bankReference: column('reference') !== -1 ? row[column('reference')] || undefined : undefined
+    });
+  }
+
+  return withFingerprints(transactions);
+}
+
+// OFX 1.x is SGML with optional closing tags, so fields are read per
+// <STMTTRN> block rather than with an XML parser
+export function parseOfxStatement(text) {
+  const blocks = text.split(/<STMTTRN>/i).slice(1).map(block => block.split(/<\/STMTTRN>/i)[0]);
+  if (blocks.length === 0 && !/<OFX>/i.test(text)) {
+    throw statementError('Not an OFX statement');
+  }
+
+  const field = (block, tag) => new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i').exec(block)?.[1].trim();
+  const transactions = [];
+
+  for (const block of blocks) {
+    const posted = /^(\d{4})(\d{2})(\d{2})/.exec(field(block, 'DTPOSTED') || '');
+    const amount = parseFloat(field(block, 'TRNAMT'));
+    if (!posted || Number.isNaN(amount)) continue;
+
+    transactions.push({
+      postedAt: new Date(Date.UTC(+posted[1], +posted[2] - 1, +posted[3])),
+      amount,
+      description: [field(block, 'NAME'), field(block, 'MEMO')].filter(Boolean).join(' '),
+      bankReference: field(block, 'FITID')
+    });
+  }
+
+  return withFingerprints(transactions);
+}
+
+export function detectStatementFormat(fileName = '', text = '') {
+  if (/\.(ofx|qfx)$/i.test(fileName) || /<OFX>|OFXHEADER/i.test(text.slice(0, 2000))) {
+    return 'ofx';
+  }
+  return 'csv';
+}
+
+export function parseStatement(text, fileName) {
+  const format = detectStatementFormat(fileName, text);
+  return {
+    format,
+    transactions: format === 'ofx' ? parseOfxStatement(text) : parseCsvStatement(text)
+  };
+}
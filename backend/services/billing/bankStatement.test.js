@@ -0,0 +1,124 @@
+import {
+  parseStatementDate,
+  parseStatementAmount,
+  parseCsvStatement,
+  parseOfxStatement,
+  parseStatement
+} from './bankStatement.js';
+
+const CSV = [
+  'ACC-NO,62012345678,,',
+  'Opening Balance,1000.00,,',
+  'Date,Amount,Balance,Description',
+  '2024/01/15,"1,150.00",2150.00,"FNB APP PAYMENT FROM CB7K3D9Q T NKOSI"',
+  '2024/01/15,1150.00,3300.00,"FNB APP PAYMENT FROM CB7K3D9Q T NKOSI"',
+  '2024/01/16,-200.00,3100.00,MONTHLY ACCOUNT FEE',
+  '',
+  'Closing Balance,3100.00,,'
+].join('\r\n');
+
+const OFX = `OFXHEADER:100
+<OFX><BANKMSGSRSV1><STMTTRNRS><STMTRS><BANKTRANLIST>
+<STMTTRN>
+<TRNTYPE>CREDIT
+<DTPOSTED>20240115120000
+<TRNAMT>574.25
+<FITID>202401150001
+<NAME>CB7K3D9Q
+<MEMO>Payment from S Dlamini
+</STMTTRN>
+<STMTTRN>
+<TRNTYPE>DEBIT
+<DTPOSTED>20240116
+<TRNAMT>-35.00
+<FITID>202401160002
+<NAME>Service fee
+</STMTTRN>
+</BANKTRANLIST></STMTRS></STMTTRNRS></BANKMSGSRSV1></OFX>`;
+
+describe('statement fields', () => {
+  test.each([
+    ['2024/01/15', '2024-01-15'],
+    ['2024-1-5', '2024-01-05'],
+    ['15/01/2024', '2024-01-15'],
+    ['15 Jan 2024', '2024-01-15'],
+    ['15 January 2024', '2024-01-15']
+  ])('date %s', (text, iso) => {
+    expect(parseStatementDate(text).toISOString().slice(0, 10)).toBe(iso);
+  });
+
+  test('unreadable dates', () => {
+    expect(parseStatementDate('Opening Balance')).toBeNull();
+    expect(parseStatementDate('')).toBeNull();
+  });
+
+  test.each([
+    ['1 150.00', 1150],
+    ['1,150.00', 1150],
+    ['-200.00', -200],
+    ['(200.00)', -200],
+    ['200.00 Cr', 200],
+    ['200.00 Dr', -200],
+    ['', null],
+    ['n/a', null]
+  ])('amount %s', (text, amount) => {
+    expect(parseStatementAmount(text)).toBe(amount);
+  });
+});
+
+describe('parseCsvStatement', () => {
+  const transactions = parseCsvStatement(CSV);
+
+  test('reads the rows under the header, credits positive', () => {
+    expect(transactions).toHaveLength(3);
+    expect(transactions[0]).toMatchObject({
+      amount: 1150,
+      description: 'FNB APP PAYMENT FROM CB7K3D9Q T NKOSI'
+    });
+    expect(transactions[2].amount).toBe(-200);
+  });
+
+  test('two identical lines get different fingerprints, the same ones on every import', () => {
+    expect(transactions[0].fingerprint).not.toBe(transactions[1].fingerprint);
+    expect(parseCsvStatement(CSV).map(line => line.fingerprint)).toEqual(transactions.map(line => line.fingerprint));
+  });
+
+  test('separate debit and credit columns and a reference column', () => {
+    const [credit, debit] = parseCsvStatement([
+      'Date,Description,Reference,Debit,Credit',
+      '15/01/2024,Payment,CB7K3D9Q,,499.00',
+      '16/01/2024,Fee,,35.00,'
+    ].join('\n'));
+
+    expect(credit).toMatchObject({ amount: 499, bankReference: 'CB7K3D9Q' });
+    expect(debit).toMatchObject({ amount: -35, bankReference: undefined });
+  });
+
+  test('a CSV without a transaction header is rejected', () => {
+    expect(() => parseCsvStatement('a,b,c\n1,2,3')).toThrow(expect.objectContaining({ status: 400 }));
+  });
+});
+
+describe('parseOfxStatement', () => {
+  test('reads each STMTTRN block', () => {
+    const [credit, debit] = parseOfxStatement(OFX);
+
+    expect(credit).toMatchObject({
+      amount: 574.25,
+      description: 'CB7K3D9Q Payment from S Dlamini',
+      bankReference: '202401150001'
+    });
+    expect(credit.postedAt.toISOString().slice(0, 10)).toBe('2024-01-15');
+    expect(debit.amount).toBe(-35);
+  });
+
+  test('text that is not OFX is rejected', () => {
+    expect(() => parseOfxStatement('hello')).toThrow('Not an OFX statement');
+  });
+});
+
+test('parseStatement detects the format from the name or the content', () => {
+  expect(parseStatement(OFX, 'statement.csv').format).toBe('ofx');
+  expect(parseStatement(CSV, 'statement.csv').format).toBe('csv');
+  expect(parseStatement('<OFX></OFX>', 'export.qfx')).toEqual({ format: 'ofx', transactions: [] });
+});
@@ -0,0 +1,62 @@
+// What CareerBoost sells. Ids match the Payment items.type enum; prices are
+// in rand excluding VAT, which is added when an order is priced. Buying a
+// product activates a user service with its features for durationDays per
+// unit, so two months of Job Matching is a quantity of 2.
+export const VAT_RATE = 0.15;
+export const CURRENCY = 'ZAR';
+
+export const PRODUCTS = [
+  {
+    id: 'cv_rewrite',
+    name: 'CV Rewrite & Optimization',
+    description: 'AI-powered rewrite with ATS optimization and industry keywords',
+    price: 499,
+    maxQuantity: 1,
+    service: { type: 'basic', features: ['cv_rewrite'], durationDays: 30 }
+  },
+  {
+    id: 'cover_letter',
+    name: 'Professional Cover Letter',
+    description: 'Cover letters tailored to each company and role',
+    price: 199,
+    maxQuantity: 1,
+    service: { type: 'basic', features: ['cover_letter'], durationDays: 30 }
+  },
+  {
+    id: 'job_matching',
+    name: 'Smart Job Matching',
+    description: 'Real-time job scanning, personalised matches and application tracking',
+    price: 299,
+    maxQuantity: 12,
+    service: { type: 'basic', features: ['job_matching'], durationDays: 30 }
+  },
+  {
+    id: 'premium_package',
+    name: 'Premium Package',
+    description: 'CV rewrite, cover letters, job matching and automatic applications',
+    price: 799,
+    maxQuantity: 12,
+    service: {
+      type: 'premium',
+      features: ['cv_rewrite', 'cover_letter', 'job_matching', 'auto_apply', 'priority_support'],
+      durationDays: 30
+    }
+  }
+];
+
+export const PRODUCT_IDS = PRODUCTS.map(product => product.id);
+
+const productsById = new Map(PRODUCTS.map(product => [product.id, product]));
+
+export function getProduct(id) {
+  return productsById.get(id) || null;
+}
+
+// Rand amounts are summed in cents so 15% VAT never leaves a stray fraction
+export function toCents(amount) {
+  return Math.round(amount * 100);
+}
+
+export function fromCents(cents) {
+  return cents / 100;
+}
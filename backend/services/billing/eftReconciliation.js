@@ -0,0 +1,370 @@
+import crypto from 'crypto';
+import Payment from '../../models/Payment.js';
+import StatementImport from '../../models/StatementImport.js';
+import StatementLine from '../../models/StatementLine.js';
+import orderService from './orderService.js';
+import { parseStatement } from './bankStatement.js';
+import AuditLogger from '../../security/auditLogger.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Payments an EFT on the statement can settle
+const OPEN_STATUSES = ['pending', 'processing'];
+const EFT_METHODS = ['fnb_eft', 'bank_transfer'];
+
+// Order numbers as customers type them into their banking app
+const ORDER_NUMBER_PATTERN = /CB[A-HJ-NP-Z2-9]{6}/g;
+
+function reconciliationError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+const normalise = (text) => (text || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// Fewest typing mistakes between a reference and any part of the statement
+// description, so "CB7K3D9Q", "cb 7k3d9q" and "CB7K3D9" all find CB7K3D9Q
+function referenceDistance(description, reference) {
+  if (description.includes(reference)) return 0;
+
+  let best = Infinity;
+  for (let length = reference.length - 1; length <= reference.length + 1; length++) {
+    for (let start = 0; start + length <= description.length; start++) {
+      best = Math.min(best, editDistance(description.substr(start, length), reference));
+    }
+  }
+  return best;
+}
+
+// Matches credits on FNB statement exports to pending EFT payments. A line
+// is matched when it carries the payment's reference (or its order number)
+// with at most maxTypos mistakes and the amount is within amountTolerance;
+// the payment is then completed and its order marked paid. Everything else,
+// including a right reference with the wrong amount, is queued for review.
+export class EftReconciliation {
+  constructor(options = {}) {
+    this.amountTolerance = options.amountTolerance ?? (parseFloat(process.env.EFT_AMOUNT_TOLERANCE) || 1);
+    this.maxTypos = options.maxTypos ?? 1;
+    this.maxCandidates = options.maxCandidates || 5;
+    this.orders = options.orders || orderService;
+  }
+
+  async openPayments() {
+    return Payment.find({ paymentMethod: { $in: EFT_METHODS }, status: { $in: OPEN_STATUSES } })
+      .sort({ createdAt: -1 });
+  }
+
+  // How well a statement line fits a payment: typos in the reference and
+  // rand difference in the amount, combined into a 0-1 score
+  score(line, payment) {
+    const description = normalise(`${line.description} ${line.bankReference || ''}`);
+    const reference = normalise(payment.reference);
+    const orderNumber = normalise(payment.reference.split('-')[0]);
+    // Without the CB prefix the six characters after it still identify the order
+    const typos = Math.min(
+      referenceDistance(description, reference),
+      referenceDistance(description, orderNumber),
+      description.includes(orderNumber.slice(2)) ? 1 : Infinity
+    );
+    const amountDifference = Math.abs(line.amount - payment.amount);
+
+    return {
+      payment,
+      typos,
+      amountDifference,
+      score: Math.max(0, 1 - typos / orderNumber.length) * Math.max(0, 1 - amountDifference / payment.amount)
+    };
+  }
+
+  candidatesFor(line, payments) {
+    return payments
+      // The money cannot arrive before the payment was started
+      .filter(payment => payment.createdAt.getTime() <= line.postedAt.getTime() + DAY)
+      .map(payment => this.score(line, payment))
+      .sort((a, b) => b.score - a.score);
+  }
+
+  suggestions(scored) {
+    return scored
+      .filter(candidate => candidate.score > 0)
+      .slice(0, this.maxCandidates)
+      .map(({ payment, score }) => ({
+        paymentId: payment._id,
+        reference: payment.reference,
+        amount: payment.amount,
+        score: Math.round(score * 100) / 100
+      }));
+  }
+
+  // { status: 'matched', payment, method, score } or { status: 'review', reviewReason, candidates }
+  async decide(line, payments, settledReferences) {
+    const scored = this.candidatesFor(line, payments);
+    const referenced = scored.filter(candidate => candidate.typos <= this.maxTypos);
+
+    if (referenced.length === 0) {
+      // A reference we know, on a payment that is no longer open: paid twice
+      const mentioned = normalise(line.description).match(ORDER_NUMBER_PATTERN) || [];
+      const settled = mentioned.length > 0 && (
+        mentioned.some(orderNumber => settledReferences.has(orderNumber)) ||
+        await Payment.exists({
+          reference: { $in: mentioned.map(orderNumber => new RegExp(`^${orderNumber}(-\\d+)?$`)) },
+          status: { $nin: OPEN_STATUSES }
+        })
+      );
+      return {
+        status: 'review',
+        reviewReason: settled ? 'payment_already_settled' : 'no_reference',
+        // Amount-only likenesses are suggestions, never matches
+        candidates: this.suggestions(scored.filter(candidate => candidate.amountDifference <= this.amountTolerance))
+      };
+    }
+
+    // Fewest typos first; attempts at the same order go to the latest one
+    const fewest = Math.min(...referenced.map(candidate => candidate.typos));
+    const best = referenced.filter(candidate => candidate.typos === fewest);
+    const orders = new Set(best.map(({ payment }) => String(payment.orderId || payment._id)));
+    if (orders.size > 1) {
+      return { status: 'review', reviewReason: 'ambiguous', candidates: this.suggestions(best) };
+    }
+
+    const pick = best.sort((a, b) => a.amountDifference - b.amountDifference || b.payment.createdAt - a.payment.createdAt)[0];
+    if (pick.amountDifference > this.amountTolerance) {
+      return { status: 'review', reviewReason: 'amount_mismatch', candidates: this.suggestions([pick]) };
+    }
+
+    return {
+      status: 'matched',
+      payment: pick.payment,
+      method: pick.typos === 0 && pick.amountDifference <= 0.01 ? 'exact' : 'fuzzy',
+      score: Math.round(pick.score * 100) / 100
+    };
+  }
+
+  // Completes the payment the line pays for and activates the order
+  async settle(payment, line, { method, matchedBy = 'reconciliation' }) {
+    await payment.completePayment(line.bankReference || `EFT-${line.fingerprint.slice(0, 16)}`, {
+      source: 'bank_statement',
+      statementLineId: line._id,
+      postedAt: line.postedAt,
+      amount: line.amount,
+      description: line.description
+    });
+
+    if (payment.orderId) {
+      await this.orders.markPaid(payment.orderId, payment);
+    }
+
+    await AuditLogger.log('EFT_PAYMENT_RECONCILED', {
+      resource: 'payment',
+      resourceId: payment._id.toString(),
+      userId: payment.userId,
+      metadata: {
+        method,
+        matchedBy,
+        statementLineId: line._id?.toString(),
+        amount: line.amount,
+        expected: payment.amount,
+        postedAt: line.postedAt
+      }
+    });
+  }
+
+  // Reads a statement export and reconciles its credits. With dryRun nothing
+  // is stored and no payment changes; the lines show what would happen.
+  // Uploading a statement whose import did not finish resumes it: lines
+  // already stored are skipped and the rest reconciled.
+  async importStatement(text, { fileName = 'statement.csv', importedBy, dryRun = false } = {}) {
+    const fileHash = crypto.createHash('sha256').update(text).digest('hex');
+    const previous = await StatementImport.findOne({ fileHash });
+    if (previous?.status === 'completed') {
+      throw reconciliationError('This statement has already been imported', 409);
+    }
+
+    const { format, transactions } = parseStatement(text, fileName);
+    if (transactions.length === 0) {
+      throw reconciliationError('No transactions found in the statement', 400);
+    }
+
+    const credits = transactions.filter(transaction => transaction.amount > 0);
+    const stored = await StatementLine.find({
+      fingerprint: { $in: credits.map(credit => credit.fingerprint) }
+    }).select('fingerprint importId');
+    const known = new Set(stored.map(line => line.fingerprint));
+    const fresh = credits.filter(credit => !known.has(credit.fingerprint));
+
+    const dates = transactions.map(transaction => transaction.postedAt.getTime());
+    const statementImport = previous || new StatementImport({
+      fileName,
+      fileHash,
+      format,
+      period: { from: new Date(Math.min(...dates)), to: new Date(Math.max(...dates)) },
+      importedBy
+    });
+    statementImport.counts.transactions = transactions.length;
+    statementImport.counts.credits = credits.length;
+    // Lines from this statement's own earlier attempt are not "already imported"
+    statementImport.counts.alreadyImported = stored.filter(line => !line.importId.equals(statementImport._id)).length;
+
+    if (!dryRun) {
+      try {
+        await statementImport.save();
+      } catch (error) {
+        if (error.code === 11000) {
+          throw reconciliationError('This statement is already being imported', 409);
+        }
+        throw error;
+      }
+      if (previous) await this.settleInterrupted(statementImport);
+    }
+
+    let payments = await this.openPayments();
+    const settledReferences = new Set();
+    const lines = [];
+
+    for (const credit of fresh) {
+      const decision = await this.decide(credit, payments, settledReferences);
+      const line = new StatementLine({
+        importId: statementImport._id,
+        ...credit,
+        status: decision.status,
+        ...(decision.status === 'matched'
+          ? {
+            paymentId: decision.payment._id,
+            match: { method: decision.method, score: decision.score, matchedAt: new Date(), matchedBy: 'reconciliation' }
+          }
+          : { reviewReason: decision.reviewReason, candidates: decision.candidates })
+      });
+
+      // The line is stored before its payment is settled, so an import cut
+      // short in between is finished by settleInterrupted on the next upload
+      if (!dryRun) await line.save();
+      if (decision.status === 'matched') {
+        // One credit per payment; a second one for it is a double payment
+        payments = payments.filter(payment => !payment._id.equals(decision.payment._id));
+        settledReferences.add(normalise(decision.payment.reference.split('-')[0]));
+        if (!dryRun) await this.settle(decision.payment, line, { method: decision.method });
+      }
+      lines.push(line);
+    }
+
+    if (dryRun) {
+      statementImport.counts.matched = lines.filter(line => line.status === 'matched').length;
+      statementImport.counts.review = lines.filter(line => line.status === 'review').length;
+      return { statementImport, lines };
+    }
+
+    // Counted from what is stored, which includes lines of an earlier attempt
+    const [matched, review] = await Promise.all([
+      StatementLine.countDocuments({ importId: statementImport._id, status: 'matched' }),
+      StatementLine.countDocuments({ importId: statementImport._id, status: 'review' })
+    ]);
+    statementImport.counts.matched = matched;
+    statementImport.counts.review = review;
+    statementImport.status = 'completed';
+    statementImport.completedAt = new Date();
+    await statementImport.save();
+
+    return { statementImport, lines };
+  }
+
+  // Matched lines of an interrupted import whose payment was never settled
+  async settleInterrupted(statementImport) {
+    const lines = await StatementLine.find({ importId: statementImport._id, status: 'matched', paymentId: { $exists: true } });
+    for (const line of lines) {
+      const payment = await Payment.findById(line.paymentId);
+      if (payment && OPEN_STATUSES.includes(payment.status)) {
+        await this.settle(payment, line, { method: line.match.method, matchedBy: line.match.matchedBy });
+      }
+    }
+  }
+
+  async findReviewLine(lineId) {
+    const line = await StatementLine.findById(lineId);
+    if (!line) {
+      throw reconciliationError('Statement line not found', 404);
+    }
+    if (line.status !== 'review') {
+      throw reconciliationError(`Statement line is already ${line.status}`, 409);
+    }
+    return line;
+  }
+
+  // An admin matches a queued line to the payment it pays for
+  async matchManually(lineId, paymentId, { matchedBy } = {}) {
+    const line = await this.findReviewLine(lineId);
+    const payment = await Payment.findById(paymentId);
+    if (!payment) {
+      throw reconciliationError('Payment not found', 404);
+    }
+    if (!OPEN_STATUSES.includes(payment.status)) {
+      throw reconciliationError(`Payment is already ${payment.status}`, 409);
+    }
+
+    line.status = 'matched';
+    line.paymentId = payment._id;
+    line.match = { method: 'manual', score: Math.round(this.score(line, payment).score * 100) / 100, matchedAt: new Date(), matchedBy };
+    await this.settle(payment, line, { method: 'manual', matchedBy });
+    await line.save();
+
+    await StatementImport.updateOne({ _id: line.importId }, { $inc: { 'counts.matched': 1, 'counts.review': -1 } });
+    return { line, payment };
+  }
+
+  // Takes a line that is not a customer payment out of the queue
+  async dismiss(lineId, { note, dismissedBy } = {}) {
+    const line = await this.findReviewLine(lineId);
+    line.status = 'dismissed';
+    line.note = note;
+    line.dismissedAt = new Date();
+    line.dismissedBy = dismissedBy;
+    await line.save();
+
+    await StatementImport.updateOne({ _id: line.importId }, { $inc: { 'counts.review': -1 } });
+    return line;
+  }
+
+  async reviewQueue({ page = 1, limit = 20 } = {}) {
+    const query = { status: 'review' };
+    const [lines, total] = await Promise.all([
+      StatementLine.find(query)
+        .sort({ postedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(parseInt(limit))
+        .lean(),
+      StatementLine.countDocuments(query)
+    ]);
+    return { lines, total };
+  }
+
+  async listImports({ page = 1, limit = 20 } = {}) {
+    const [imports, total] = await Promise.all([
+      StatementImport.find()
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(parseInt(limit))
+        .lean(),
+      StatementImport.countDocuments()
+    ]);
+    return { imports, total };
+  }
+}
+
+const eftReconciliation = new EftReconciliation();
+export default eftReconciliation;
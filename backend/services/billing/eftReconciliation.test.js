@@ -0,0 +1,125 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import Payment from '../../models/Payment.js';
+
+// security/ is outside backend/ in the repository, so the audit logger is a
+// virtual mock; jest 29 only finds virtual ES module mocks that are also
+// registered with jest.mock
+const AuditLogger = { log: jest.fn() };
+jest.mock('../../security/auditLogger.js', () => AuditLogger, { virtual: true });
+jest.unstable_mockModule('../../security/auditLogger.js', () => ({ default: AuditLogger, AuditLogger }), { virtual: true });
+const { EftReconciliation } = await import('./eftReconciliation.js');
+
+const DAY = 24 * 60 * 60 * 1000;
+const postedAt = new Date('2024-01-15T00:00:00Z');
+
+const payment = (reference, amount, extra = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  orderId: new mongoose.Types.ObjectId(),
+  reference,
+  amount,
+  createdAt: new Date(postedAt.getTime() - DAY),
+  ...extra
+});
+
+const line = (description, amount, extra = {}) => ({ description, amount, postedAt, ...extra });
+
+describe('EftReconciliation.decide', () => {
+  const reconciliation = new EftReconciliation({ amountTolerance: 1, orders: {} });
+  const order = payment('CB7K3D9Q', 574.25);
+  const other = payment('CBHM4P2X', 229.85);
+  const open = [order, other];
+
+  beforeEach(() => {
+    jest.spyOn(Payment, 'exists').mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('an exact reference and amount is an exact match', async () => {
+    await expect(reconciliation.decide(line('FNB APP PAYMENT CB7K3D9Q', 574.25), open, new Set())).resolves.toMatchObject({
+      status: 'matched',
+      payment: order,
+      method: 'exact',
+      score: 1
+    });
+  });
+
+  test.each([
+    ['lower case with spaces', 'cb 7k3d9q t nkosi'],
+    ['one typo', 'PAYMENT CB7K3D9O'],
+    ['one character missing', 'PAYMENT CB7K3D9'],
+    ['without the CB prefix', 'PAYMENT 7K3D9Q']
+  ])('a reference typed %s still matches', async (_, description) => {
+    await expect(reconciliation.decide(line(description, 574.25), open, new Set())).resolves.toMatchObject({
+      status: 'matched',
+      payment: order
+    });
+  });
+
+  test('the reference can come from the bank reference column', async () => {
+    const decision = await reconciliation.decide(line('INTERNET TRF', 574.25, { bankReference: 'CB7K3D9Q' }), open, new Set());
+    expect(decision.payment).toBe(order);
+  });
+
+  test('an amount within the tolerance is a fuzzy match', async () => {
+    await expect(reconciliation.decide(line('CB7K3D9Q', 574), open, new Set())).resolves.toMatchObject({
+      status: 'matched',
+      method: 'fuzzy'
+    });
+  });
+
+  test('the right reference with the wrong amount goes to review', async () => {
+    await expect(reconciliation.decide(line('CB7K3D9Q', 500), open, new Set())).resolves.toMatchObject({
+      status: 'review',
+      reviewReason: 'amount_mismatch',
+      candidates: [expect.objectContaining({ reference: 'CB7K3D9Q' })]
+    });
+  });
+
+  test('two typos are too many', async () => {
+    const decision = await reconciliation.decide(line('CB7K3XXQ', 574.25), open, new Set());
+    expect(decision).toMatchObject({ status: 'review', reviewReason: 'no_reference' });
+  });
+
+  test('an amount alone is only a suggestion', async () => {
+    const decision = await reconciliation.decide(line('PAYMENT THANKS', 229.85), open, new Set());
+    expect(decision).toMatchObject({
+      status: 'review',
+      reviewReason: 'no_reference',
+      candidates: [expect.objectContaining({ reference: 'CBHM4P2X' })]
+    });
+  });
+
+  test('references of two different orders are ambiguous', async () => {
+    const lookalike = payment('CB7K3D9R', 574.25);
+    const decision = await reconciliation.decide(line('CB7K3D9X', 574.25), [order, lookalike], new Set());
+    expect(decision).toMatchObject({ status: 'review', reviewReason: 'ambiguous' });
+    expect(decision.candidates).toHaveLength(2);
+  });
+
+  test('attempts at the same order go to the latest one', async () => {
+    const retry = payment('CB7K3D9Q-2', 574.25, { orderId: order.orderId, createdAt: postedAt });
+    const decision = await reconciliation.decide(line('CB7K3D9Q', 574.25), [order, retry], new Set());
+    expect(decision).toMatchObject({ status: 'matched', payment: retry });
+  });
+
+  test('a payment started after the money arrived is not a candidate', async () => {
+    const later = payment('CB7K3D9Q', 574.25, { createdAt: new Date(postedAt.getTime() + 3 * DAY) });
+    const decision = await reconciliation.decide(line('CB7K3D9Q', 574.25), [later], new Set());
+    expect(decision.status).toBe('review');
+  });
+
+  test('a reference that was already settled is flagged as paid twice', async () => {
+    await expect(reconciliation.decide(line('CB9W8V7U', 574.25), open, new Set(['CB9W8V7U']))).resolves.toMatchObject({
+      reviewReason: 'payment_already_settled'
+    });
+
+    Payment.exists.mockResolvedValue({ _id: new mongoose.Types.ObjectId() });
+    await expect(reconciliation.decide(line('CB9W8V7U', 574.25), open, new Set())).resolves.toMatchObject({
+      reviewReason: 'payment_already_settled'
+    });
+  });
+});
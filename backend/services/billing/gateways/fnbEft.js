@@ -0,0 +1,48 @@
+import { PaymentGateway } from './paymentGateway.js';
+
+// Direct EFT into the FNB business account. There is no payment page and no
+// callback: the customer pays from their own banking app with the reference
+// shown, and the payment is completed when the bank statement is reconciled
+// (eftReconciliation.js). Refunds are paid back from online banking.
+export class FnbEftGateway extends PaymentGateway {
+  constructor(options = {}) {
+    super({ id: 'fnb_eft', name: 'FNB Direct EFT', description: 'Pay by EFT from any South African bank' });
+    this.bankDetails = {
+      bank: 'First National Bank',
+      accountName: options.accountName || process.env.FNB_ACCOUNT_NAME,
+      accountNumber: options.accountNumber || process.env.FNB_ACCOUNT_NUMBER,
+      accountType: options.accountType || process.env.FNB_ACCOUNT_TYPE || 'Business Cheque',
+      // FNB's universal branch code
+      branchCode: options.branchCode || process.env.FNB_BRANCH_CODE || '250655'
+    };
+  }
+
+  get enabled() {
+    return Boolean(this.bankDetails.accountNumber);
+  }
+
+  async initiate(order, payment) {
+    return {
+      action: {
+        type: 'instructions',
+        bankDetails: this.bankDetails,
+        reference: payment.reference,
+        amount: payment.amount,
+        message: `Pay ${payment.amount.toFixed(2)} into the account below with reference ${payment.reference}. Your order is activated once the payment reflects, usually within one to two business days.`
+      },
+      paymentData: {
+        amount: payment.amount.toFixed(2),
+        reference: payment.reference
+      }
+    };
+  }
+
+  async refund() {
+    return {
+      status: 'manual',
+      message: 'Pay the refund to the customer from online banking'
+    };
+  }
+}
+
+export default FnbEftGateway;
@@ -0,0 +1,282 @@
+import crypto from 'crypto';
+import dns from 'dns/promises';
+import net from 'net';
+import axios from 'axios';
+import { PaymentGateway, gatewayError } from './paymentGateway.js';
+
+export const PAYFAST_HOSTS = ['www.payfast.co.za', 'sandbox.payfast.co.za', 'w1w.payfast.co.za', 'w2w.payfast.co.za'];
+
+const URLS = {
+  live: {
+    process: 'https://www.payfast.co.za/eng/process',
+    validate: 'https://www.payfast.co.za/eng/query/validate'
+  },
+  sandbox: {
+    process: 'https://sandbox.payfast.co.za/eng/process',
+    validate: 'https://sandbox.payfast.co.za/eng/query/validate'
+  }
+};
+const API_URL = 'https://api.payfast.co.za';
+
+// payment_status values and the Payment status each one settles on
+const PAYMENT_STATUSES = {
+  COMPLETE: 'completed',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled',
+  PENDING: 'processing'
+};
+
+// PHP's urlencode, which PayFast signs with: spaces as '+' and !'()* escaped
+export function payfastEncode(value) {
+  return encodeURIComponent(String(value).trim())
+    .replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`)
+    .replace(/%20/g, '+');
+}
+
+// Fields in the order they were posted, without the signature
+export function parameterString(data) {
+  return Object.entries(data)
+    .filter(([key]) => key !== 'signature')
+    .map(([key, value]) => `${key}=${payfastEncode(value ?? '')}`)
+    .join('&');
+}
+
+export function payfastSignature(data, passphrase) {
+  const payload = passphrase
+    ? `${parameterString(data)}&passphrase=${payfastEncode(passphrase)}`
+    : parameterString(data);
+  return crypto.createHash('md5').update(payload).digest('hex');
+}
+
+// Checkout by redirect to PayFast's payment page, confirmed by ITN (Instant
+// Transaction Notification). An ITN is only trusted after the checks PayFast
+// documents: the signature, that it came from a PayFast host, the merchant
+// id, and PayFast's validate endpoint confirming the data. validateUrl can
+// point at a local simulator (payfastSimulator.js) for offline testing.
+//
+// Subscriptions use PayFast tokenization (subscription_type 2): the first
+// payment goes through the payment page and its ITN carries a token, and
+// each later period is an ad hoc charge against the token through the API.
+// We decide when to charge, so retries and grace periods stay ours.
+export class PayFastGateway extends PaymentGateway {
+  constructor(options = {}) {
+    super({ id: 'payfast', name: 'PayFast', description: 'Credit card, Instant EFT and other PayFast methods' });
+    this.merchantId = options.merchantId || process.env.PAYFAST_MERCHANT_ID;
+    this.merchantKey = options.merchantKey || process.env.PAYFAST_MERCHANT_KEY;
+    this.passphrase = options.passphrase ?? process.env.PAYFAST_PASSPHRASE;
+    this.sandbox = options.sandbox ?? process.env.PAYFAST_SANDBOX === 'true';
+    const urls = this.sandbox ? URLS.sandbox : URLS.live;
+    this.processUrl = options.processUrl || process.env.PAYFAST_PROCESS_URL || urls.process;
+    this.validateUrl = options.validateUrl || process.env.PAYFAST_VALIDATE_URL || urls.validate;
+    this.apiUrl = options.apiUrl || API_URL;
+    this.validHosts = options.validHosts ||
+      (process.env.PAYFAST_VALID_HOSTS ? process.env.PAYFAST_VALID_HOSTS.split(',').map(host => host.trim()) : PAYFAST_HOSTS);
+    // Extra source addresses, e.g. 127.0.0.1 for a local PayFast simulator
+    this.allowedIps = options.allowedIps ||
+      (process.env.PAYFAST_ITN_ALLOWED_IPS || '').split(',').map(ip => ip.trim()).filter(Boolean);
+    this.hostCacheTtl = options.hostCacheTtl || 10 * 60 * 1000;
+    this.timeout = options.timeout || 15000;
+    this.http = options.http || axios;
+    this.resolver = options.resolver || dns;
+    this.hostCache = null;
+  }
+
+  get enabled() {
+    return Boolean(this.merchantId && this.merchantKey);
+  }
+
+  get supportsRecurring() {
+    return true;
+  }
+
+  // Pays an order, or with context.subscription the first period of a
+  // subscription. Fields are signed in the order PayFast documents them.
+  async initiate(order, payment, { baseUrl = process.env.BASE_URL, subscription } = {}) {
+    const fields = {
+      merchant_id: this.merchantId,
+      merchant_key: this.merchantKey,
+      return_url: `${baseUrl}/payment/success`,
+      cancel_url: `${baseUrl}/payment/cancel`,
+      notify_url: `${baseUrl}/api/payments/${this.id}/notify`,
+      email_address: payment.customer.email,
+      m_payment_id: payment.reference,
+      amount: payment.amount.toFixed(2),
+      item_name: subscription ? `CareerBoost ${subscription.planName}` : `CareerBoost order ${order.orderNumber}`,
+      item_description: subscription
+        ? `Subscription ${subscription.reference}`
+        : order.items.map(item => item.name).join(', ').substring(0, 255),
+      custom_str1: payment.userId.toString(),
+      custom_str2: (subscription?._id || order._id).toString(),
+      ...(subscription && { subscription_type: '2' })
+    };
+    fields.signature = payfastSignature(fields, this.passphrase);
+
+    return {
+      action: { type: 'redirect', method: 'POST', url: this.processUrl, fields },
+      paymentData: {
+        merchantId: fields.merchant_id,
+        amount: fields.amount,
+        reference: fields.m_payment_id,
+        signature: fields.signature
+      }
+    };
+  }
+
+  normaliseIp(ip) {
+    return (ip || '').replace(/^::ffff:/, '');
+  }
+
+  // Addresses of the PayFast hosts, looked up again every hostCacheTtl
+  async validIps() {
+    if (this.hostCache && this.hostCache.expiresAt > Date.now()) {
+      return this.hostCache.ips;
+    }
+
+    const lookups = await Promise.allSettled(
+      this.validHosts.map(host => net.isIP(host) ? [{ address: host }] : this.resolver.lookup(host, { all: true }))
+    );
+    const ips = new Set(this.allowedIps);
+    for (const lookup of lookups) {
+      if (lookup.status === 'fulfilled') {
+        lookup.value.forEach(({ address }) => ips.add(address));
+      } else {
+        console.warn('PayFast host lookup failed:', lookup.reason.message);
+      }
+    }
+
+    // A failed lookup is retried on the next ITN rather than cached
+    if (lookups.every(lookup => lookup.status === 'fulfilled')) {
+      this.hostCache = { ips, expiresAt: Date.now() + this.hostCacheTtl };
+    }
+    return ips;
+  }
+
+  async isValidSource(ip) {
+    return (await this.validIps()).has(this.normaliseIp(ip));
+  }
+
+  // PayFast answers VALID or INVALID for the data it sent
+  async confirmWithServer(data) {
+    const response = await this.http.post(this.validateUrl, parameterString(data), {
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      timeout: this.timeout,
+      responseType: 'text'
+    });
+    return String(response.data).trim() === 'VALID';
+  }
+
+  async verifyCallback(data, { ip } = {}) {
+    if (!data.signature || payfastSignature(data, this.passphrase) !== data.signature) {
+      return { valid: false, reason: 'invalid_signature', httpStatus: 400 };
+    }
+    if (!await this.isValidSource(ip)) {
+      return { valid: false, reason: 'invalid_source', httpStatus: 403 };
+    }
+    if (this.merchantId && data.merchant_id !== this.merchantId) {
+      return { valid: false, reason: 'merchant_mismatch', httpStatus: 400 };
+    }
+
+    const paymentStatus = PAYMENT_STATUSES[data.payment_status];
+    if (!paymentStatus) {
+      return { valid: false, reason: 'unknown_payment_status', httpStatus: 400 };
+    }
+
+    let confirmed;
+    try {
+      confirmed = await this.confirmWithServer(data);
+    } catch (error) {
+      // Answering with an error makes PayFast send the ITN again later
+      console.error('PayFast validate request failed:', error.message);
+      return { valid: false, reason: 'confirmation_unavailable', httpStatus: 503 };
+    }
+    if (!confirmed) {
+      return { valid: false, reason: 'not_confirmed', httpStatus: 400 };
+    }
+
+    return {
+      valid: true,
+      reference: data.m_payment_id,
+      paymentStatus,
+      transactionId: data.pf_payment_id,
+      amount: parseFloat(data.amount_gross),
+      token: data.token
+    };
+  }
+
+  // PayFast API calls are signed over the headers and body, sorted by name
+  apiHeaders(body = {}) {
+    const headers = {
+      'merchant-id': this.merchantId,
+      version: 'v1',
+      timestamp: new Date().toISOString().slice(0, 19)
+    };
+    const values = { ...headers, ...body, ...(this.passphrase && { passphrase: this.passphrase }) };
+    const payload = Object.keys(values)
+      .sort()
+      .map(key => `${key}=${payfastEncode(values[key])}`)
+      .join('&');
+
+    return { ...headers, signature: crypto.createHash('md5').update(payload).digest('hex') };
+  }
+
+  apiUrlFor(path) {
+    return `${this.apiUrl}${path}${this.sandbox ? '?testing=true' : ''}`;
+  }
+
+  async refund(payment, amount, reason) {
+    if (!payment.transactionId) {
+      throw gatewayError('PayFast has not confirmed this payment', 409);
+    }
+
+    // The refunds API takes cents
+    const body = { amount: Math.round(amount * 100), reason: reason.substring(0, 255), notify_buyer: 1 };
+    const response = await this.http.post(this.apiUrlFor(`/refunds/${payment.transactionId}`), body, {
+      headers: this.apiHeaders(body),
+      timeout: this.timeout
+    });
+
+    return { status: 'refunded', refundId: response.data?.data?.response?.refund_id, raw: response.data };
+  }
+
+  // An ad hoc charge against a subscription token. PayFast answers with the
+  // outcome straight away, and sends an ITN for it as well.
+  async charge(token, payment) {
+    const body = {
+      amount: Math.round(payment.amount * 100),
+      item_name: payment.items[0]?.name || `Payment ${payment.reference}`,
+      m_payment_id: payment.reference
+    };
+    const response = await this.http.post(this.apiUrlFor(`/subscriptions/${token}/adhoc`), body, {
+      headers: this.apiHeaders(body),
+      timeout: this.timeout
+    });
+
+    const result = response.data?.data;
+    if (result?.response === true) {
+      return { paymentStatus: 'completed', transactionId: result.pf_payment_id && String(result.pf_payment_id), raw: response.data };
+    }
+    return { paymentStatus: 'failed', reason: result?.message || 'Charge declined', raw: response.data };
+  }
+
+  async cancelToken(token) {
+    await this.http.put(this.apiUrlFor(`/subscriptions/${token}/cancel`), {}, {
+      headers: this.apiHeaders(),
+      timeout: this.timeout
+    });
+  }
+
+  async queryStatus(payment) {
+    if (!payment.transactionId) {
+      return { status: payment.status };
+    }
+
+    const response = await this.http.get(this.apiUrlFor(`/process/query/${payment.transactionId}`), {
+      headers: this.apiHeaders(),
+      timeout: this.timeout
+    });
+    const status = response.data?.data?.response?.status;
+    return { status: PAYMENT_STATUSES[status] || payment.status, raw: response.data };
+  }
+}
+
+export default PayFastGateway;
@@ -0,0 +1,149 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import { PayFastGateway, payfastEncode, parameterString, payfastSignature } from './payfast.js';
+import { PayFastSimulator } from '../payfastSimulator.js';
+
+const MERCHANT_ID = '10000100';
+const PASSPHRASE = 'jt7NOE43FZPn';
+
+const payment = {
+  reference: 'CB7K3D9Q',
+  amount: 574.25,
+  userId: new mongoose.Types.ObjectId(),
+  orderId: new mongoose.Types.ObjectId(),
+  customer: { firstName: 'Thandi', lastName: 'Nkosi', email: 'thandi@example.co.za' }
+};
+
+describe('PayFast signatures', () => {
+  test('encodes like PHP urlencode', () => {
+    expect(payfastEncode(' R100 (incl. VAT)! ')).toBe('R100+%28incl.+VAT%29%21');
+    expect(payfastEncode("O'Brien*")).toBe('O%27Brien%2A');
+  });
+
+  test('signs the fields in posted order, without the signature, with the passphrase', () => {
+    const fields = { merchant_id: MERCHANT_ID, amount: '574.25', item_name: 'CareerBoost order', signature: 'ignored' };
+    expect(parameterString(fields)).toBe('merchant_id=10000100&amount=574.25&item_name=CareerBoost+order');
+    expect(payfastSignature(fields, PASSPHRASE)).toMatch(/^[a-f0-9]{32}$/);
+    expect(payfastSignature(fields, PASSPHRASE)).not.toBe(payfastSignature(fields));
+    expect(payfastSignature({ ...fields, signature: 'other' }, PASSPHRASE)).toBe(payfastSignature(fields, PASSPHRASE));
+  });
+});
+
+describe('PayFastGateway.verifyCallback', () => {
+  const simulator = new PayFastSimulator({ merchantId: MERCHANT_ID, passphrase: PASSPHRASE });
+  let gateway;
+
+  beforeAll(async () => {
+    await simulator.start();
+  });
+
+  afterAll(async () => {
+    await simulator.stop();
+  });
+
+  beforeEach(() => {
+    gateway = new PayFastGateway({
+      merchantId: MERCHANT_ID,
+      merchantKey: '46f0cd694581a',
+      passphrase: PASSPHRASE,
+      validateUrl: simulator.validateUrl,
+      validHosts: ['www.payfast.co.za'],
+      allowedIps: [],
+      resolver: { lookup: jest.fn().mockResolvedValue([{ address: '197.97.145.144' }]) }
+    });
+  });
+
+  test('accepts a signed ITN from a PayFast address that the server confirms', async () => {
+    const itn = simulator.itn(payment, { pfPaymentId: '1089250' });
+
+    await expect(gateway.verifyCallback(itn, { ip: '::ffff:197.97.145.144' })).resolves.toEqual({
+      valid: true,
+      reference: 'CB7K3D9Q',
+      paymentStatus: 'completed',
+      transactionId: '1089250',
+      amount: 574.25,
+      token: undefined
+    });
+  });
+
+  test.each([
+    ['FAILED', 'failed'],
+    ['CANCELLED', 'cancelled'],
+    ['PENDING', 'processing']
+  ])('maps payment_status %s', async (status, paymentStatus) => {
+    const itn = simulator.itn(payment, { status });
+    await expect(gateway.verifyCallback(itn, { ip: '197.97.145.144' })).resolves.toMatchObject({ valid: true, paymentStatus });
+  });
+
+  test('rejects a missing or wrong signature', async () => {
+    const { signature, ...unsigned } = simulator.itn(payment);
+    await expect(gateway.verifyCallback(unsigned, { ip: '197.97.145.144' })).resolves.toEqual({
+      valid: false,
+      reason: 'invalid_signature',
+      httpStatus: 400
+    });
+
+    const tampered = { ...simulator.itn(payment), amount_gross: '1.00' };
+    await expect(gateway.verifyCallback(tampered, { ip: '197.97.145.144' })).resolves.toMatchObject({ reason: 'invalid_signature' });
+  });
+
+  test('rejects ITNs from addresses that are not PayFast hosts', async () => {
+    await expect(gateway.verifyCallback(simulator.itn(payment), { ip: '203.0.113.9' })).resolves.toEqual({
+      valid: false,
+      reason: 'invalid_source',
+      httpStatus: 403
+    });
+  });
+
+  test('allowed IPs are accepted as well as the resolved hosts', async () => {
+    gateway.allowedIps = ['127.0.0.1'];
+    await expect(gateway.verifyCallback(simulator.itn(payment), { ip: '127.0.0.1' })).resolves.toMatchObject({ valid: true });
+  });
+
+  test('host lookups are cached, failed ones are not', async () => {
+    await gateway.verifyCallback(simulator.itn(payment), { ip: '197.97.145.144' });
+    await gateway.verifyCallback(simulator.itn(payment), { ip: '197.97.145.144' });
+    expect(gateway.resolver.lookup).toHaveBeenCalledTimes(1);
+
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    gateway.hostCache = null;
+    gateway.resolver.lookup.mockRejectedValue(new Error('ENOTFOUND'));
+    await expect(gateway.verifyCallback(simulator.itn(payment), { ip: '197.97.145.144' })).resolves.toMatchObject({ reason: 'invalid_source' });
+    expect(gateway.hostCache).toBeNull();
+    warn.mockRestore();
+  });
+
+  test('rejects another merchant\'s ITN and unknown statuses', async () => {
+    const ip = '197.97.145.144';
+    await expect(gateway.verifyCallback(simulator.itn(payment, { merchant_id: '10000999' }), { ip })).resolves.toMatchObject({
+      reason: 'merchant_mismatch'
+    });
+    await expect(gateway.verifyCallback(simulator.itn(payment, { status: 'REVERSED' }), { ip })).resolves.toMatchObject({
+      reason: 'unknown_payment_status'
+    });
+  });
+
+  test('rejects data the validate endpoint does not confirm', async () => {
+    // Correctly signed, but never sent by PayFast
+    const forged = { ...simulator.itn(payment), amount_fee: '0.00' };
+    forged.signature = payfastSignature(forged, PASSPHRASE);
+
+    await expect(gateway.verifyCallback(forged, { ip: '197.97.145.144' })).resolves.toEqual({
+      valid: false,
+      reason: 'not_confirmed',
+      httpStatus: 400
+    });
+  });
+
+  test('an unreachable validate endpoint is answered with a retryable error', async () => {
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+    gateway.http = { post: jest.fn().mockRejectedValue(new Error('ECONNREFUSED')) };
+
+    await expect(gateway.verifyCallback(simulator.itn(payment), { ip: '197.97.145.144' })).resolves.toEqual({
+      valid: false,
+      reason: 'confirmation_unavailable',
+      httpStatus: 503
+    });
+    error.mockRestore();
+  });
+});
@@ -0,0 +1,74 @@
+export function gatewayError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// What a payment gateway does for paymentService. A gateway only speaks its
+// provider's protocol; payment records, amounts, duplicate callbacks and
+// order fulfilment are handled once, in paymentService. To add Ozow, Yoco,
+// SnapScan and the like, extend this class, add the id to the Payment
+// paymentMethod enum and register an instance with paymentService.
+//
+//   initiate(order, payment, context)  -> { action, paymentData }
+//     action tells the browser what to do next:
+//       { type: 'redirect', url, method, fields }  post a form to the gateway
+//       { type: 'instructions', ... }              e.g. bank details for an EFT
+//     paymentData is kept on the Payment (signature, merchant reference, ...)
+//   verifyCallback(fields, context)   -> { valid: true, reference, paymentStatus, transactionId, amount }
+//                                      or { valid: false, reason, httpStatus }
+//     paymentStatus is a Payment status: completed, failed, cancelled or processing
+//   refund(payment, amount, reason)   -> { status, refundId? }
+//   queryStatus(payment)              -> { status, raw? }
+//
+// Gateways that can bill a saved card set supportsRecurring. A payment
+// started with context.subscription also sets up a token, returned as
+// `token` by verifyCallback, that later periods are charged against:
+//   charge(token, payment, context)   -> { paymentStatus, transactionId?, reason?, raw? }
+//     paymentStatus is processing when the outcome arrives by callback
+//   cancelToken(token)                 stops the token being charged again
+export class PaymentGateway {
+  constructor({ id, name, description = '' }) {
+    this.id = id;
+    this.name = name;
+    this.description = description;
+  }
+
+  // Gateways without credentials configured stay out of checkout
+  get enabled() {
+    return true;
+  }
+
+  get supportsRecurring() {
+    return false;
+  }
+
+  describe() {
+    return { id: this.id, name: this.name, description: this.description, recurring: this.supportsRecurring };
+  }
+
+  async initiate() {
+    throw gatewayError(`${this.name} cannot start payments`, 501);
+  }
+
+  async verifyCallback() {
+    return { valid: false, reason: 'callbacks_not_supported', httpStatus: 404 };
+  }
+
+  async refund() {
+    throw gatewayError(`${this.name} cannot refund payments`, 501);
+  }
+
+  async charge() {
+    throw gatewayError(`${this.name} cannot charge a saved card`, 501);
+  }
+
+  async cancelToken() {}
+
+  // Without a status API the stored status is all there is to go on
+  async queryStatus(payment) {
+    return { status: payment.status };
+  }
+}
+
+export default PaymentGateway;
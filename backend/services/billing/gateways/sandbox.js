@@ -0,0 +1,130 @@
+import crypto from 'crypto';
+import { PaymentGateway } from './paymentGateway.js';
+
+export const SANDBOX_OUTCOMES = ['success', 'failure', 'cancel', 'pending'];
+
+const OUTCOME_STATUSES = {
+  success: 'completed',
+  failure: 'failed',
+  cancel: 'cancelled',
+  pending: 'processing'
+};
+
+// A gateway that runs inside the server so checkout can be exercised end to
+// end without a provider or network. Starting a payment schedules a signed
+// callback after delayMs with the requested outcome: success, failure,
+// cancel, or pending (no callback, like a customer who never finishes).
+// Callbacks go through paymentService like any gateway's and can also be
+// posted to /api/payments/sandbox/notify. Subscriptions get a token, and
+// renewal charges against it end with renewalOutcome at once. Only on when
+// PAYMENT_SANDBOX=true, and never in production.
+export class SandboxGateway extends PaymentGateway {
+  constructor(options = {}) {
+    super({ id: 'sandbox', name: 'Sandbox', description: 'Simulated payments for development and testing' });
+    this.outcome = options.outcome || process.env.SANDBOX_PAYMENT_OUTCOME || 'success';
+    this.renewalOutcome = options.renewalOutcome || process.env.SANDBOX_RENEWAL_OUTCOME || 'success';
+    this.delayMs = options.delayMs ?? (parseInt(process.env.SANDBOX_PAYMENT_DELAY_MS) || 1000);
+    // Callbacks are signed so only this process's payments are accepted
+    this.secret = options.secret || crypto.randomBytes(32).toString('hex');
+    this.deliver = options.deliver || null;
+    this.transactions = new Map();
+
+    if (process.env.PAYMENT_SANDBOX === 'true' && process.env.NODE_ENV === 'production') {
+      console.warn('PAYMENT_SANDBOX is ignored in production; the sandbox gateway stays off');
+    }
+  }
+
+  // Anyone could pay for an order with a simulated payment, so it has to be
+  // switched on, and a production server refuses however it is configured
+  get enabled() {
+    return process.env.PAYMENT_SANDBOX === 'true' && process.env.NODE_ENV !== 'production';
+  }
+
+  get supportsRecurring() {
+    return true;
+  }
+
+  sign(fields) {
+    const payload = ['reference', 'transaction_id', 'status', 'amount', 'token'].map(key => fields[key] || '').join('|');
+    return crypto.createHmac('sha256', this.secret).update(payload).digest('hex');
+  }
+
+  transactionId() {
+    return `SBX-${crypto.randomBytes(6).toString('hex').toUpperCase()}`;
+  }
+
+  callbackFor(payment, outcome, { subscription } = {}) {
+    const fields = {
+      reference: payment.reference,
+      transaction_id: this.transactionId(),
+      status: OUTCOME_STATUSES[outcome],
+      amount: payment.amount.toFixed(2),
+      ...(subscription && outcome === 'success' && { token: `SBXT-${crypto.randomBytes(8).toString('hex')}` })
+    };
+    fields.signature = this.sign(fields);
+    return fields;
+  }
+
+  async initiate(order, payment, { outcome = this.outcome, delayMs = this.delayMs, subscription } = {}) {
+    if (!SANDBOX_OUTCOMES.includes(outcome)) {
+      outcome = this.outcome;
+    }
+    this.transactions.set(payment.reference, { status: 'pending' });
+
+    if (outcome !== 'pending') {
+      const fields = this.callbackFor(payment, outcome, { subscription });
+      setTimeout(async () => {
+        this.transactions.set(payment.reference, { status: fields.status, transactionId: fields.transaction_id });
+        try {
+          await this.deliver?.(fields);
+        } catch (error) {
+          console.error('Sandbox callback failed:', error.message);
+        }
+      }, delayMs);
+    }
+
+    return {
+      action: { type: 'sandbox', outcome, settlesInMs: outcome === 'pending' ? null : delayMs },
+      paymentData: { amount: payment.amount.toFixed(2), reference: payment.reference }
+    };
+  }
+
+  async verifyCallback(fields) {
+    const expected = Buffer.from(this.sign(fields));
+    const signature = Buffer.from(String(fields.signature || ''));
+    if (signature.length !== expected.length || !crypto.timingSafeEqual(signature, expected)) {
+      return { valid: false, reason: 'invalid_signature', httpStatus: 400 };
+    }
+
+    return {
+      valid: true,
+      reference: fields.reference,
+      paymentStatus: fields.status,
+      transactionId: fields.transaction_id,
+      amount: parseFloat(fields.amount),
+      token: fields.token
+    };
+  }
+
+  async refund(payment, amount) {
+    this.transactions.set(payment.reference, { status: 'refunded', refundedAmount: amount });
+    return { status: 'refunded', refundId: `SBX-R-${crypto.randomBytes(4).toString('hex').toUpperCase()}` };
+  }
+
+  async charge(token, payment, { outcome = this.renewalOutcome } = {}) {
+    const paymentStatus = OUTCOME_STATUSES[outcome] || OUTCOME_STATUSES[this.renewalOutcome];
+    const transactionId = this.transactionId();
+    this.transactions.set(payment.reference, { status: paymentStatus, transactionId, token });
+    return {
+      paymentStatus,
+      transactionId,
+      ...(paymentStatus === 'failed' && { reason: 'Sandbox card declined' })
+    };
+  }
+
+  async queryStatus(payment) {
+    return { status: this.transactions.get(payment.reference)?.status || payment.status };
+  }
+}
+
+export default SandboxGateway;
@@ -0,0 +1,75 @@
+import { jest } from '@jest/globals';
+import { SandboxGateway } from './sandbox.js';
+
+const payment = { reference: 'CB7K3D9Q', amount: 574.25 };
+
+describe('SandboxGateway.enabled', () => {
+  const env = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...env };
+    jest.restoreAllMocks();
+  });
+
+  test.each([
+    ['unset in development', { NODE_ENV: 'development' }, false],
+    ['unset in test', { NODE_ENV: 'test' }, false],
+    ['switched on in development', { NODE_ENV: 'development', PAYMENT_SANDBOX: 'true' }, true],
+    ['set to anything but true', { NODE_ENV: 'development', PAYMENT_SANDBOX: '1' }, false],
+    ['unset in production', { NODE_ENV: 'production' }, false],
+    ['switched on in production', { NODE_ENV: 'production', PAYMENT_SANDBOX: 'true' }, false]
+  ])('%s', (_, settings, enabled) => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    delete process.env.PAYMENT_SANDBOX;
+    Object.assign(process.env, settings);
+
+    expect(new SandboxGateway().enabled).toBe(enabled);
+  });
+
+  test('switching it on in production is called out', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    Object.assign(process.env, { NODE_ENV: 'production', PAYMENT_SANDBOX: 'true' });
+
+    new SandboxGateway();
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining('PAYMENT_SANDBOX is ignored in production'));
+  });
+});
+
+describe('SandboxGateway callbacks', () => {
+  const gateway = new SandboxGateway({ delayMs: 0 });
+
+  test('delivers a signed callback with the requested outcome', async () => {
+    const deliver = jest.fn();
+    const sandbox = new SandboxGateway({ delayMs: 0, deliver });
+
+    await expect(sandbox.initiate({}, payment, { outcome: 'failure' })).resolves.toMatchObject({
+      action: { type: 'sandbox', outcome: 'failure', settlesInMs: 0 }
+    });
+    await new Promise(resolve => setTimeout(resolve, 10));
+
+    const [fields] = deliver.mock.calls[0];
+    await expect(sandbox.verifyCallback(fields)).resolves.toMatchObject({
+      valid: true,
+      reference: 'CB7K3D9Q',
+      paymentStatus: 'failed',
+      amount: 574.25
+    });
+  });
+
+  test('a pending payment never calls back', async () => {
+    const deliver = jest.fn();
+    const sandbox = new SandboxGateway({ delayMs: 0, deliver });
+
+    await expect(sandbox.initiate({}, payment, { outcome: 'pending' })).resolves.toMatchObject({ action: { settlesInMs: null } });
+    await new Promise(resolve => setTimeout(resolve, 10));
+    expect(deliver).not.toHaveBeenCalled();
+  });
+
+  test('callbacks signed by another process or altered are refused', async () => {
+    const forged = new SandboxGateway().callbackFor(payment, 'success');
+    await expect(gateway.verifyCallback(forged)).resolves.toMatchObject({ valid: false, reason: 'invalid_signature' });
+
+    const altered = { ...gateway.callbackFor(payment, 'success'), amount: '1.00' };
+    await expect(gateway.verifyCallback(altered)).resolves.toMatchObject({ valid: false, reason: 'invalid_signature' });
+  });
+});
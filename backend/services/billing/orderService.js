@@ -0,0 +1,451 @@
+import Cart from '../../models/Cart.js';
+import Order from '../../models/Order.js';
+import Coupon from '../../models/Coupon.js';
+import User from '../../models/User.js';
+import { PRODUCTS, VAT_RATE, CURRENCY, getProduct, toCents, fromCents } from './catalogue.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function orderError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Carts, pricing and orders. Everything is priced here from the catalogue:
+// line totals, the coupon discount, 15% VAT on the discounted subtotal and
+// the total a payment gateway is asked to collect.
+export class OrderService {
+  constructor(options = {}) {
+    this.vatRate = options.vatRate ?? VAT_RATE;
+    // Unpaid orders lapse so old prices and coupons are not honoured forever
+    this.orderTtlHours = options.orderTtlHours || parseInt(process.env.ORDER_EXPIRY_HOURS) || 72;
+  }
+
+  catalogue() {
+    return PRODUCTS.map(({ service, ...product }) => ({
+      ...product,
+      priceInclVat: fromCents(toCents(product.price) + Math.round(toCents(product.price) * this.vatRate)),
+      currency: CURRENCY,
+      features: service.features,
+      durationDays: service.durationDays
+    }));
+  }
+
+  async getCart(userId) {
+    return (await Cart.findOne({ userId })) || new Cart({ userId, items: [] });
+  }
+
+  // A coupon that looks fully redeemed may be held by orders that lapsed
+  // unpaid without anyone noticing; those give their redemptions back first
+  async findCoupon(code) {
+    if (!code) return null;
+
+    const coupon = await Coupon.findOne({ code: code.toUpperCase() });
+    if (coupon?.maxRedemptions && coupon.redemptions >= coupon.maxRedemptions &&
+        await this.expireLapsed({ 'discount.code': coupon.code }) > 0) {
+      return Coupon.findById(coupon._id);
+    }
+    return coupon;
+  }
+
+  // Lines and totals for a list of { product, quantity }. A coupon that does
+  // not apply is ignored and the reason returned as couponError. Products
+  // taken out of the catalogue since they were added are left out.
+  price(items, coupon = null, now = new Date()) {
+    const lines = items.filter(item => getProduct(item.product)).map(item => {
+      const product = getProduct(item.product);
+      return {
+        product: product.id,
+        name: product.name,
+        unitCents: toCents(product.price),
+        quantity: item.quantity,
+        discountCents: 0
+      };
+    });
+
+    const subtotalCents = lines.reduce((sum, line) => sum + line.unitCents * line.quantity, 0);
+    let discountCents = 0;
+    let couponError = null;
+
+    if (coupon) {
+      const eligible = lines.filter(line => coupon.products.length === 0 || coupon.products.includes(line.product));
+      const eligibleCents = eligible.reduce((sum, line) => sum + line.unitCents * line.quantity, 0);
+
+      couponError = coupon.unavailableReason(now);
+      if (!couponError && subtotalCents < toCents(coupon.minimumSubtotal)) {
+        couponError = `This coupon needs a subtotal of at least R${coupon.minimumSubtotal}`;
+      }
+      if (!couponError && eligibleCents === 0) {
+        couponError = 'This coupon does not apply to anything in your cart';
+      }
+
+      if (!couponError) {
+        discountCents = coupon.percentOff
+          ? Math.round(eligibleCents * coupon.percentOff / 100)
+          : Math.min(toCents(coupon.amountOff), eligibleCents);
+
+        // Spread the discount over the lines it applies to; the last line takes the rounding
+        let remaining = discountCents;
+        eligible.forEach((line, index) => {
+          const share = index === eligible.length - 1
+            ? remaining
+            : Math.round(discountCents * (line.unitCents * line.quantity) / eligibleCents);
+          line.discountCents = share;
+          remaining -= share;
+        });
+      }
+    }
+
+    const taxableCents = subtotalCents - discountCents;
+    const vatCents = Math.round(taxableCents * this.vatRate);
+
+    return {
+      items: lines.map(line => ({
+        product: line.product,
+        name: line.name,
+        unitPrice: fromCents(line.unitCents),
+        quantity: line.quantity,
+        discount: fromCents(line.discountCents),
+        lineTotal: fromCents(line.unitCents * line.quantity - line.discountCents)
+      })),
+      subtotal: fromCents(subtotalCents),
+      discount: {
+        code: discountCents > 0 ? coupon.code : undefined,
+        description: discountCents > 0 ? coupon.description : undefined,
+        amount: fromCents(discountCents)
+      },
+      vatRate: this.vatRate,
+      vat: fromCents(vatCents),
+      total: fromCents(taxableCents + vatCents),
+      currency: CURRENCY,
+      couponError
+    };
+  }
+
+  async summary(cart) {
+    const coupon = await this.findCoupon(cart.couponCode);
+    return {
+      couponCode: cart.couponCode || null,
+      ...this.price(cart.items, coupon),
+      updatedAt: cart.updatedAt
+    };
+  }
+
+  validateQuantity(productId, quantity) {
+    const product = getProduct(productId);
+    if (!product) {
+      throw orderError(`Unknown product: ${productId}`, 400);
+    }
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      throw orderError('quantity must be a whole number of at least 1', 400);
+    }
+    if (quantity > product.maxQuantity) {
+      throw orderError(`${product.name} can be bought at most ${product.maxQuantity} at a time`, 400);
+    }
+  }
+
+  async addItem(userId, productId, quantity = 1) {
+    const cart = await this.getCart(userId);
+    const existing = cart.items.find(item => item.product === productId);
+
+    this.validateQuantity(productId, (existing?.quantity || 0) + quantity);
+    if (existing) {
+      existing.quantity += quantity;
+    } else {
+      cart.items.push({ product: productId, quantity });
+    }
+
+    return cart.save();
+  }
+
+  async setQuantity(userId, productId, quantity) {
+    const cart = await this.getCart(userId);
+    const item = cart.items.find(candidate => candidate.product === productId);
+    if (!item) {
+      throw orderError('Product is not in the cart', 404);
+    }
+
+    this.validateQuantity(productId, quantity);
+    item.quantity = quantity;
+    return cart.save();
+  }
+
+  async removeItem(userId, productId) {
+    const cart = await this.getCart(userId);
+    cart.items = cart.items.filter(item => item.product !== productId);
+    return cart.save();
+  }
+
+  async applyCoupon(userId, code) {
+    const coupon = await this.findCoupon(code);
+    if (!coupon) {
+      throw orderError('Coupon not found', 404);
+    }
+
+    const reason = coupon.unavailableReason();
+    if (reason) {
+      throw orderError(reason, 409);
+    }
+
+    const cart = await this.getCart(userId);
+    cart.couponCode = coupon.code;
+    return cart.save();
+  }
+
+  async removeCoupon(userId) {
+    const cart = await this.getCart(userId);
+    cart.couponCode = undefined;
+    return cart.save();
+  }
+
+  // Turns the cart into an order priced on the server and empties the cart
+  async checkout(userId, attempt = 1) {
+    const [user, cart] = await Promise.all([
+      User.findById(userId).select('email profile'),
+      Cart.findOne({ userId })
+    ]);
+
+    if (!user) throw orderError('User not found', 404);
+    if (!cart || cart.items.length === 0) throw orderError('Your cart is empty', 400);
+
+    const retired = cart.items.filter(item => !getProduct(item.product)).map(item => item.product);
+    if (retired.length > 0) {
+      throw orderError(`No longer available, remove from your cart: ${retired.join(', ')}`, 409);
+    }
+
+    const coupon = await this.findCoupon(cart.couponCode);
+    const priced = this.price(cart.items, coupon);
+    if (cart.couponCode && priced.couponError) {
+      throw orderError(priced.couponError, 409);
+    }
+
+    const { couponError, ...totals } = priced;
+    const reserved = Boolean(totals.discount.code) && await this.reserveCoupon(coupon);
+    if (totals.discount.code && !reserved) {
+      throw orderError('This coupon has been fully redeemed', 409);
+    }
+
+    const order = new Order({
+      userId: user._id,
+      orderNumber: Order.generateOrderNumber(),
+      ...totals,
+      customer: {
+        email: user.email,
+        firstName: user.profile.firstName,
+        lastName: user.profile.lastName,
+        phone: user.profile.phone
+      },
+      couponReserved: reserved,
+      expiresAt: new Date(Date.now() + this.orderTtlHours * 60 * 60 * 1000)
+    });
+
+    try {
+      await order.save();
+    } catch (error) {
+      if (reserved) {
+        await Coupon.updateOne({ _id: coupon._id }, { $inc: { redemptions: -1 } });
+      }
+      // Two orders drew the same number
+      if (error.code === 11000 && attempt < 3) {
+        return this.checkout(userId, attempt + 1);
+      }
+      throw error;
+    }
+
+    await Cart.deleteOne({ _id: cart._id });
+
+    // A coupon can bring the total to nothing; there is no payment to wait for
+    if (order.total === 0) {
+      return (await this.markPaid(order._id, { paymentMethod: 'coupon' })) || order;
+    }
+    return order;
+  }
+
+  // An order of the user's that a payment can still be started for
+  async findPayable(userId, orderId) {
+    const order = await Order.findOne({ _id: orderId, userId });
+    if (!order) {
+      throw orderError('Order not found', 404);
+    }
+
+    if (order.status === 'pending_payment' && order.expiresAt <= new Date()) {
+      order.status = 'expired';
+      await order.save();
+      await this.releaseCoupon(order);
+    }
+    if (order.status !== 'pending_payment') {
+      throw orderError(`Order is ${order.status.replace('_', ' ')}; check out again to pay`, 409);
+    }
+    return order;
+  }
+
+  // Payment references: the order number, then -2, -3 for later attempts
+  paymentReference(order) {
+    return order.payments.length === 0
+      ? order.orderNumber
+      : `${order.orderNumber}-${order.payments.length + 1}`;
+  }
+
+  async recordPayment(order, payment) {
+    order.payments.push(payment._id);
+    order.paymentMethod = payment.paymentMethod;
+    return order.save();
+  }
+
+  // Takes one redemption of a coupon if any are left. The check and the
+  // count are one update, so two checkouts cannot both take the last one.
+  async reserveCoupon(coupon) {
+    const { modifiedCount } = await Coupon.updateOne(
+      {
+        _id: coupon._id,
+        $or: [
+          { maxRedemptions: null },
+          { $expr: { $lt: ['$redemptions', '$maxRedemptions'] } }
+        ]
+      },
+      { $inc: { redemptions: 1 } }
+    );
+    return modifiedCount === 1;
+  }
+
+  // Gives back the redemption an order holds; safe to call more than once
+  async releaseCoupon(order) {
+    if (!order.discount?.code) return false;
+
+    const { modifiedCount } = await Order.updateOne(
+      { _id: order._id, couponReserved: true },
+      { $set: { couponReserved: false } }
+    );
+    if (modifiedCount === 1) {
+      await Coupon.updateOne({ code: order.discount.code }, { $inc: { redemptions: -1 } });
+    }
+    order.couponReserved = false;
+    return modifiedCount === 1;
+  }
+
+  // Marks unpaid orders past their expiry expired and releases their coupons
+  async expireLapsed(filter = {}) {
+    const lapsed = await Order.find({
+      ...filter,
+      status: 'pending_payment',
+      expiresAt: { $lte: new Date() }
+    }).select('_id');
+
+    let expired = 0;
+    for (const { _id } of lapsed) {
+      const order = await Order.findOneAndUpdate(
+        { _id, status: 'pending_payment' },
+        { $set: { status: 'expired' } },
+        { new: true }
+      );
+      if (order) {
+        await this.releaseCoupon(order);
+        expired++;
+      }
+    }
+    return expired;
+  }
+
+  // Marks an order paid, once, and activates what was bought. A payment can
+  // arrive after the order lapsed, so expired orders are accepted too; one
+  // for a cancelled order is recorded for a refund instead.
+  async markPaid(orderId, payment) {
+    const order = await Order.findOneAndUpdate(
+      { _id: orderId, status: { $in: ['pending_payment', 'expired'] } },
+      { $set: { status: 'paid', paidAt: new Date(), paymentMethod: payment.paymentMethod } },
+      { new: true }
+    );
+    if (!order) {
+      await this.recordLatePayment(orderId, payment);
+      return null;
+    }
+
+    await this.fulfil(order);
+
+    // A lapsed order gave its redemption back; the paid order is honoured anyway
+    if (order.discount?.code && !order.couponReserved) {
+      const { modifiedCount } = await Order.updateOne(
+        { _id: order._id, couponReserved: { $ne: true } },
+        { $set: { couponReserved: true } }
+      );
+      if (modifiedCount === 1) {
+        await Coupon.updateOne({ code: order.discount.code }, { $inc: { redemptions: 1 } });
+      }
+    }
+    return order;
+  }
+
+  // Money received for a cancelled order stays on the order for an admin to refund
+  async recordLatePayment(orderId, payment) {
+    if (!payment._id) return null;
+
+    const order = await Order.findOneAndUpdate(
+      { _id: orderId, status: 'cancelled', 'latePayments.payment': { $ne: payment._id } },
+      { $push: { latePayments: { payment: payment._id, amount: payment.amount, receivedAt: new Date() } } },
+      { new: true }
+    );
+    if (order) {
+      console.warn(`Order ${order.orderNumber} was cancelled before payment ${payment.reference} of R${payment.amount} arrived; it needs a refund`);
+    }
+    return order;
+  }
+
+  // One service for the whole order: premium if a premium product was
+  // bought, with every feature bought, for the longest duration bought
+  async fulfil(order) {
+    const products = order.items.map(item => ({ product: getProduct(item.product), quantity: item.quantity }));
+    const now = new Date();
+    const durationDays = Math.max(...products.map(({ product, quantity }) => product.service.durationDays * quantity));
+
+    await User.findByIdAndUpdate(order.userId, {
+      $push: {
+        services: {
+          type: products.some(({ product }) => product.service.type === 'premium') ? 'premium' : 'basic',
+          activatedAt: now,
+          expiresAt: new Date(now.getTime() + durationDays * DAY),
+          isActive: true,
+          features: [...new Set(products.flatMap(({ product }) => product.service.features))]
+        }
+      }
+    });
+
+    order.fulfilledAt = now;
+    return order.save();
+  }
+
+  async cancel(userId, orderId) {
+    const order = await Order.findOneAndUpdate(
+      { _id: orderId, userId, status: 'pending_payment' },
+      { $set: { status: 'cancelled', cancelledAt: new Date() } },
+      { new: true }
+    );
+    if (order) {
+      await this.releaseCoupon(order);
+      return order;
+    }
+
+    const existing = await Order.findOne({ _id: orderId, userId }).select('status');
+    throw existing
+      ? orderError(`Order is ${existing.status.replace('_', ' ')} and cannot be cancelled`, 409)
+      : orderError('Order not found', 404);
+  }
+
+  async list(userId, { status, page = 1, limit = 10 } = {}) {
+    const query = { userId, ...(status && { status }) };
+
+    const [orders, total] = await Promise.all([
+      Order.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(parseInt(limit))
+        .lean(),
+      Order.countDocuments(query)
+    ]);
+
+    return { orders, total };
+  }
+}
+
+const orderService = new OrderService();
+export default orderService;
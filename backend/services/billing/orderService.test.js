@@ -0,0 +1,248 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import Cart from '../../models/Cart.js';
+import Order from '../../models/Order.js';
+import Coupon from '../../models/Coupon.js';
+import User from '../../models/User.js';
+import { OrderService } from './orderService.js';
+
+const coupon = (fields) => new Coupon({ code: 'WELCOME', ...fields });
+
+describe('OrderService.price', () => {
+  const service = new OrderService();
+
+  test('adds 15% VAT to the subtotal', () => {
+    expect(service.price([{ product: 'cv_rewrite', quantity: 1 }, { product: 'job_matching', quantity: 2 }])).toMatchObject({
+      items: [
+        { product: 'cv_rewrite', unitPrice: 499, quantity: 1, discount: 0, lineTotal: 499 },
+        { product: 'job_matching', unitPrice: 299, quantity: 2, discount: 0, lineTotal: 598 }
+      ],
+      subtotal: 1097,
+      discount: { amount: 0 },
+      vat: 164.55,
+      total: 1261.55,
+      currency: 'ZAR',
+      couponError: null
+    });
+  });
+
+  test('sums in cents so VAT leaves no stray fractions', () => {
+    const priced = service.price([{ product: 'cover_letter', quantity: 1 }]);
+    expect(priced.vat).toBe(29.85);
+    expect(priced.total).toBe(228.85);
+  });
+
+  test('a percentage coupon is taken off before VAT', () => {
+    expect(service.price([{ product: 'cv_rewrite', quantity: 1 }], coupon({ percentOff: 20 }))).toMatchObject({
+      subtotal: 499,
+      discount: { code: 'WELCOME', amount: 99.8 },
+      vat: 59.88,
+      total: 459.08
+    });
+  });
+
+  test('a rand coupon is capped at what it applies to', () => {
+    const priced = service.price([{ product: 'cover_letter', quantity: 1 }], coupon({ amountOff: 500 }));
+    expect(priced).toMatchObject({ discount: { amount: 199 }, vat: 0, total: 0 });
+  });
+
+  test('a product coupon only discounts its products', () => {
+    const priced = service.price(
+      [{ product: 'cv_rewrite', quantity: 1 }, { product: 'cover_letter', quantity: 1 }],
+      coupon({ percentOff: 50, products: ['cover_letter'] })
+    );
+    expect(priced.items.map(item => item.discount)).toEqual([0, 99.5]);
+    expect(priced.discount.amount).toBe(99.5);
+  });
+
+  test('the discount is spread over the lines and adds up exactly', () => {
+    const priced = service.price(
+      [{ product: 'cv_rewrite', quantity: 1 }, { product: 'cover_letter', quantity: 1 }, { product: 'job_matching', quantity: 3 }],
+      coupon({ amountOff: 100 })
+    );
+    const spread = priced.items.reduce((sum, item) => sum + Math.round(item.discount * 100), 0);
+    expect(spread).toBe(10000);
+  });
+
+  test('leaves out products that are no longer sold', () => {
+    expect(service.price([{ product: 'cv_rewrite', quantity: 1 }, { product: 'fax_service', quantity: 1 }])).toMatchObject({
+      items: [{ product: 'cv_rewrite' }],
+      subtotal: 499
+    });
+  });
+
+  test.each([
+    ['inactive', { percentOff: 10, isActive: false }, 'This coupon is no longer active'],
+    ['not valid yet', { percentOff: 10, validFrom: new Date(Date.now() + 60000) }, 'This coupon is not valid yet'],
+    ['expired', { percentOff: 10, validUntil: new Date(Date.now() - 60000) }, 'This coupon has expired'],
+    ['fully redeemed', { percentOff: 10, maxRedemptions: 5, redemptions: 5 }, 'This coupon has been fully redeemed'],
+    ['under the minimum', { percentOff: 10, minimumSubtotal: 1000 }, 'This coupon needs a subtotal of at least R1000'],
+    ['for other products', { percentOff: 10, products: ['premium_package'] }, 'This coupon does not apply to anything in your cart']
+  ])('a coupon that is %s is ignored with the reason', (_, fields, reason) => {
+    const priced = service.price([{ product: 'cv_rewrite', quantity: 1 }], coupon(fields));
+    expect(priced).toMatchObject({ couponError: reason, discount: { amount: 0 }, total: 573.85 });
+  });
+});
+
+describe('OrderService coupon redemptions', () => {
+  const service = new OrderService();
+  const userId = new mongoose.Types.ObjectId();
+  let orders;
+  let limited;
+
+  // Just enough of MongoDB's matching for the filters orderService uses
+  const matches = (doc, filter) => Object.entries(filter).every(([key, condition]) => {
+    if (key === 'latePayments.payment') return !doc.latePayments.some(late => late.payment.equals(condition.$ne));
+    const value = key.split('.').reduce((object, part) => object?.[part], doc);
+    if (condition?.$in) return condition.$in.includes(value);
+    if (condition?.$ne !== undefined) return value !== condition.$ne;
+    if (condition?.$lte) return value <= condition.$lte;
+    return String(value) === String(condition);
+  });
+  const find = (filter) => [...orders.values()].find(order => matches(order, filter)) || null;
+  const update = (order, { $set = {}, $push = {} }) => {
+    Object.assign(order, $set);
+    Object.entries($push).forEach(([key, value]) => order[key].push(value));
+  };
+
+  beforeEach(() => {
+    orders = new Map();
+    limited = coupon({ code: 'LAUNCH', percentOff: 100, maxRedemptions: 1 });
+
+    jest.spyOn(User, 'findById').mockReturnValue({ select: async () => ({ _id: userId, email: 'thandi@example.co.za', profile: {} }) });
+    jest.spyOn(User, 'findByIdAndUpdate').mockResolvedValue({});
+    jest.spyOn(Cart, 'findOne').mockImplementation(async () => new Cart({
+      userId,
+      items: [{ product: 'cv_rewrite', quantity: 1 }],
+      couponCode: 'LAUNCH'
+    }));
+    jest.spyOn(Cart, 'deleteOne').mockResolvedValue({});
+
+    jest.spyOn(Coupon, 'findOne').mockImplementation(async () => limited);
+    jest.spyOn(Coupon, 'findById').mockImplementation(async () => limited);
+    jest.spyOn(Coupon, 'updateOne').mockImplementation(async (filter, { $inc }) => {
+      if (filter.$or && limited.maxRedemptions && limited.redemptions >= limited.maxRedemptions) {
+        return { modifiedCount: 0 };
+      }
+      limited.redemptions += $inc.redemptions;
+      return { modifiedCount: 1 };
+    });
+
+    jest.spyOn(Order.prototype, 'save').mockImplementation(async function() {
+      orders.set(String(this._id), this);
+      return this;
+    });
+    jest.spyOn(Order, 'findOne').mockImplementation(async (filter) => find(filter));
+    jest.spyOn(Order, 'find').mockImplementation((filter) => ({
+      select: async () => [...orders.values()].filter(order => matches(order, filter))
+    }));
+    jest.spyOn(Order, 'findOneAndUpdate').mockImplementation(async (filter, changes) => {
+      const order = find(filter);
+      if (order) update(order, changes);
+      return order;
+    });
+    jest.spyOn(Order, 'updateOne').mockImplementation(async (filter, changes) => {
+      const order = find(filter);
+      if (order) update(order, changes);
+      return { modifiedCount: order ? 1 : 0 };
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  // A 50% coupon leaves something to pay, so the order waits for a payment
+  const halfOff = () => {
+    limited.percentOff = 50;
+  };
+
+  test('checkout takes a redemption and refuses the coupon once none are left', async () => {
+    halfOff();
+    const order = await service.checkout(userId);
+
+    expect(order).toMatchObject({ status: 'pending_payment', couponReserved: true, discount: { code: 'LAUNCH' } });
+    expect(limited.redemptions).toBe(1);
+    await expect(service.checkout(userId)).rejects.toMatchObject({ status: 409, message: 'This coupon has been fully redeemed' });
+    expect(limited.redemptions).toBe(1);
+  });
+
+  test('of two checkouts that both saw the last redemption only one gets it', async () => {
+    halfOff();
+    // Each checkout read the coupon before the other took it
+    Coupon.findOne.mockImplementation(async () => coupon({ code: 'LAUNCH', percentOff: 50, maxRedemptions: 1 }));
+
+    await expect(service.checkout(userId)).resolves.toMatchObject({ couponReserved: true });
+    await expect(service.checkout(userId)).rejects.toMatchObject({ status: 409 });
+    expect(limited.redemptions).toBe(1);
+    expect(orders.size).toBe(1);
+  });
+
+  test('a cancelled order gives its redemption back, once', async () => {
+    halfOff();
+    const order = await service.checkout(userId);
+    await service.cancel(userId, order._id);
+    await service.releaseCoupon(order);
+
+    expect(order.couponReserved).toBe(false);
+    expect(limited.redemptions).toBe(0);
+    await expect(service.checkout(userId)).resolves.toMatchObject({ couponReserved: true });
+  });
+
+  test('a lapsed order gives its redemption back when the coupon next looks used up', async () => {
+    halfOff();
+    const lapsed = await service.checkout(userId);
+    lapsed.expiresAt = new Date(Date.now() - 1000);
+
+    const order = await service.checkout(userId);
+    expect(lapsed.status).toBe('expired');
+    expect(order.couponReserved).toBe(true);
+    expect(limited.redemptions).toBe(1);
+  });
+
+  test('paying a lapsed order takes its redemption again', async () => {
+    halfOff();
+    const order = await service.checkout(userId);
+    order.expiresAt = new Date(Date.now() - 1000);
+    await service.expireLapsed();
+    expect(limited.redemptions).toBe(0);
+
+    await expect(service.markPaid(order._id, { paymentMethod: 'fnb_eft' })).resolves.toMatchObject({ status: 'paid', couponReserved: true });
+    expect(limited.redemptions).toBe(1);
+  });
+
+  test('a cart holding a product that is no longer sold cannot be checked out', async () => {
+    Cart.findOne.mockImplementation(async () => new Cart({
+      userId,
+      items: [{ product: 'cv_rewrite', quantity: 1 }, { product: 'fax_service', quantity: 1 }]
+    }));
+
+    await expect(service.checkout(userId)).rejects.toMatchObject({
+      status: 409,
+      message: 'No longer available, remove from your cart: fax_service'
+    });
+    expect(orders.size).toBe(0);
+  });
+
+  test('a free order is paid at checkout and keeps its redemption', async () => {
+    await expect(service.checkout(userId)).resolves.toMatchObject({ status: 'paid', total: 0, paymentMethod: 'coupon' });
+    expect(limited.redemptions).toBe(1);
+    expect(User.findByIdAndUpdate).toHaveBeenCalledTimes(1);
+  });
+
+  test('money for a cancelled order is recorded for a refund instead of activating anything', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    halfOff();
+    const order = await service.checkout(userId);
+    await service.cancel(userId, order._id);
+
+    const payment = { _id: new mongoose.Types.ObjectId(), amount: 286.93, reference: order.orderNumber, paymentMethod: 'fnb_eft' };
+    await expect(service.markPaid(order._id, payment)).resolves.toBeNull();
+    await service.markPaid(order._id, payment);
+
+    expect(order.status).toBe('cancelled');
+    expect(order.latePayments).toHaveLength(1);
+    expect(order.latePayments[0]).toMatchObject({ payment: payment._id, amount: 286.93 });
+    expect(User.findByIdAndUpdate).not.toHaveBeenCalled();
+  });
+});
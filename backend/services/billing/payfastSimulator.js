@@ -0,0 +1,101 @@
+import http from 'http';
+import crypto from 'crypto';
+import axios from 'axios';
+import { parameterString, payfastSignature } from './gateways/payfast.js';
+
+// Stands in for PayFast on localhost: it sends signed ITNs for a payment to
+// a notify URL and answers the validate post-back with VALID for the ITNs it
+// sent and INVALID for anything else. Point PAYFAST_VALIDATE_URL at
+// validateUrl and add 127.0.0.1 to PAYFAST_ITN_ALLOWED_IPS to use it.
+export class PayFastSimulator {
+  constructor(options = {}) {
+    this.port = options.port || 0;
+    this.merchantId = options.merchantId || process.env.PAYFAST_MERCHANT_ID || '10000100';
+    this.passphrase = options.passphrase ?? process.env.PAYFAST_PASSPHRASE;
+    this.issued = new Set();
+    this.validations = [];
+    this.server = null;
+    this.baseUrl = null;
+  }
+
+  async start() {
+    this.server = http.createServer((req, res) => this.handle(req, res));
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, '127.0.0.1', resolve);
+    });
+    this.baseUrl = `http://127.0.0.1:${this.server.address().port}`;
+    return this.baseUrl;
+  }
+
+  async stop() {
+    if (!this.server) return;
+    await new Promise(resolve => this.server.close(resolve));
+    this.server = null;
+  }
+
+  get validateUrl() {
+    return `${this.baseUrl}/eng/query/validate`;
+  }
+
+  // The fields PayFast posts for a payment, signed. Override any of them to
+  // send a tampered or mismatched notification.
+  itn(payment, { status = 'COMPLETE', pfPaymentId, ...overrides } = {}) {
+    const amount = Number(payment.amount);
+    const fee = -Math.round(amount * 3.5) / 100;
+    const data = {
+      m_payment_id: payment.reference,
+      pf_payment_id: pfPaymentId || String(crypto.randomInt(1000000, 9999999)),
+      payment_status: status,
+      item_name: payment.paymentData?.itemName || `Payment ${payment.reference}`,
+      item_description: '',
+      amount_gross: amount.toFixed(2),
+      amount_fee: fee.toFixed(2),
+      amount_net: (amount + fee).toFixed(2),
+      custom_str1: payment.userId?.toString() || '',
+      custom_str2: payment.orderId?.toString() || '',
+      name_first: payment.customer?.firstName || '',
+      name_last: payment.customer?.lastName || '',
+      email_address: payment.customer?.email || '',
+      merchant_id: this.merchantId,
+      ...overrides
+    };
+    data.signature = payfastSignature(data, this.passphrase);
+    this.issued.add(parameterString(data));
+    return data;
+  }
+
+  // Posts an ITN the way PayFast does and returns what the notify URL answered
+  async notify(notifyUrl, data) {
+    const body = new URLSearchParams(data).toString();
+    const response = await axios.post(notifyUrl, body, {
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      responseType: 'text',
+      validateStatus: () => true
+    });
+    return { status: response.status, body: response.data };
+  }
+
+  send(res, status, text) {
+    res.writeHead(status, { 'Content-Type': 'text/plain' });
+    res.end(text);
+  }
+
+  handle(req, res) {
+    const { pathname } = new URL(req.url, this.baseUrl);
+    if (req.method !== 'POST' || pathname !== '/eng/query/validate') {
+      return this.send(res, 404, 'Not found');
+    }
+
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const body = Buffer.concat(chunks).toString('utf8');
+      const valid = this.issued.has(body);
+      this.validations.push({ body, valid, receivedAt: new Date() });
+      this.send(res, 200, valid ? 'VALID' : 'INVALID');
+    });
+  }
+}
+
+export default PayFastSimulator;
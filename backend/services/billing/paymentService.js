@@ -0,0 +1,291 @@
+import Payment from '../../models/Payment.js';
+import Order from '../../models/Order.js';
+import orderService from './orderService.js';
+import { PayFastGateway } from './gateways/payfast.js';
+import { FnbEftGateway } from './gateways/fnbEft.js';
+import { SandboxGateway } from './gateways/sandbox.js';
+import AuditLogger from '../../security/auditLogger.js';
+
+// Statuses a callback may still move a payment out of
+const OPEN_STATUSES = ['pending', 'processing'];
+// Statuses a payment ends in; onSettled listeners hear of these
+const FINAL_STATUSES = ['completed', 'failed', 'cancelled'];
+
+function paymentError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Payments for orders, through whichever gateway the customer picks. The
+// gateways speak their provider's protocol (see gateways/paymentGateway.js);
+// this keeps the Payment records, checks each callback against the stored
+// amount, applies it once however often it is delivered, and marks the
+// order paid. Rejected callbacks are written to the audit log. Payments
+// that are not for an order (subscriptions) are left to onSettled listeners.
+export class PaymentService {
+  constructor(options = {}) {
+    this.orders = options.orders || orderService;
+    this.amountTolerance = 0.01;
+    this.gateways = new Map();
+    this.listeners = [];
+
+    const gateways = options.gateways || [
+      new PayFastGateway(),
+      new FnbEftGateway(),
+      new SandboxGateway({ deliver: fields => this.handleCallback('sandbox', fields, { ip: 'sandbox' }) })
+    ];
+    gateways.forEach(gateway => this.register(gateway));
+  }
+
+  register(gateway) {
+    this.gateways.set(gateway.id, gateway);
+    return gateway;
+  }
+
+  gateway(id) {
+    const gateway = this.gateways.get(id);
+    if (!gateway || !gateway.enabled) {
+      throw paymentError(`Unknown payment gateway: ${id}`, 400);
+    }
+    return gateway;
+  }
+
+  listGateways() {
+    return [...this.gateways.values()]
+      .filter(gateway => gateway.enabled)
+      .map(gateway => gateway.describe());
+  }
+
+  // listener(payment, notification) is called once a payment completes,
+  // fails or is cancelled, however the outcome arrived
+  onSettled(listener) {
+    this.listeners.push(listener);
+  }
+
+  // Starts paying an order of the user's. Returns the payment and the
+  // gateway's action for the browser (a redirect, bank details, ...).
+  async start(userId, orderId, gatewayId, context = {}) {
+    const gateway = this.gateway(gatewayId);
+    const order = await this.orders.findPayable(userId, orderId);
+
+    const payment = new Payment({
+      userId: order.userId,
+      orderId: order._id,
+      amount: order.total,
+      currency: order.currency,
+      paymentMethod: gateway.id,
+      status: 'pending',
+      reference: this.orders.paymentReference(order),
+      items: order.items.map(item => ({
+        name: item.name,
+        quantity: item.quantity,
+        price: item.unitPrice,
+        type: item.product
+      })),
+      customer: order.customer,
+      metadata: {
+        gateway: gateway.id,
+        ipAddress: context.ipAddress,
+        userAgent: context.userAgent
+      }
+    });
+
+    // Stored before the gateway hears of it, so an early callback finds it
+    await payment.save();
+    await this.orders.recordPayment(order, payment);
+
+    const { action, paymentData = {} } = await gateway.initiate(order, payment, context);
+    payment.paymentData = { ...payment.paymentData, ...paymentData };
+    await payment.save();
+
+    return { payment, order, action };
+  }
+
+  async reject(gatewayId, reason, { fields, notification, ip, payment, status = 400 }) {
+    await AuditLogger.log('PAYMENT_CALLBACK_REJECTED', {
+      resource: 'payment',
+      resourceId: payment?._id.toString() || notification?.reference,
+      userId: payment?.userId,
+      ipAddress: (ip || '').replace(/^::ffff:/, ''),
+      method: 'POST',
+      url: `/api/payments/${gatewayId}/notify`,
+      requestBody: fields,
+      responseStatus: status,
+      metadata: {
+        gateway: gatewayId,
+        reason,
+        reference: notification?.reference,
+        transactionId: notification?.transactionId,
+        paymentStatus: notification?.paymentStatus,
+        amount: notification?.amount
+      }
+    });
+    console.warn(`${gatewayId} callback for ${notification?.reference || 'unknown payment'} rejected: ${reason}`);
+    return { accepted: false, reason, status };
+  }
+
+  // A gateway telling us how a payment went. Returns { accepted, duplicate,
+  // status, reason } for the route to answer the gateway with.
+  async handleCallback(gatewayId, fields, { ip } = {}) {
+    const gateway = this.gateways.get(gatewayId);
+    if (!gateway || !gateway.enabled) {
+      return this.reject(gatewayId, 'unknown_gateway', { fields, ip, status: 404 });
+    }
+
+    const notification = await gateway.verifyCallback(fields, { ip });
+    if (!notification.valid) {
+      return this.reject(gatewayId, notification.reason, { fields, ip, status: notification.httpStatus });
+    }
+
+    const payment = await Payment.findOne({ reference: notification.reference, paymentMethod: gateway.id });
+    if (!payment) {
+      return this.reject(gatewayId, 'unknown_payment', { fields, notification, ip, status: 404 });
+    }
+
+    if (Number.isNaN(notification.amount) || Math.abs(notification.amount - payment.amount) > this.amountTolerance) {
+      return this.reject(gatewayId, 'amount_mismatch', { fields, notification, ip, payment });
+    }
+
+    // Gateways repeat a callback until they get a 200; a settled payment is only acknowledged
+    if (!OPEN_STATUSES.includes(payment.status)) {
+      if (payment.transactionId === notification.transactionId) {
+        return { accepted: true, duplicate: true, status: 200 };
+      }
+      // A charge settled from the gateway's API answer may have had no
+      // transaction id; its callback confirms the same outcome and fills it in
+      if (!payment.transactionId && notification.transactionId && notification.paymentStatus === payment.status) {
+        await Payment.updateOne(
+          { _id: payment._id, transactionId: { $in: [null, ''] } },
+          { $set: { transactionId: notification.transactionId } }
+        );
+        return { accepted: true, duplicate: true, status: 200 };
+      }
+      return this.reject(gatewayId, 'already_settled', { fields, notification, ip, payment, status: 409 });
+    }
+
+    const updated = await this.settle(payment, notification, fields);
+    if (!updated) {
+      return { accepted: true, duplicate: true, status: 200 };
+    }
+    return { accepted: true, duplicate: false, status: 200, payment: updated };
+  }
+
+  // Moves an open payment to the status the gateway reported and acts on
+  // it. Only one of two simultaneous deliveries gets through; the other
+  // gets null.
+  async settle(payment, notification, gatewayResponse) {
+    const { paymentStatus } = notification;
+    const updated = await Payment.findOneAndUpdate(
+      { _id: payment._id, status: { $in: OPEN_STATUSES } },
+      {
+        $set: {
+          status: paymentStatus,
+          ...(notification.transactionId && { transactionId: notification.transactionId }),
+          ...(paymentStatus !== 'processing' && { processedAt: new Date() }),
+          'paymentData.gatewayResponse': gatewayResponse
+        }
+      },
+      { new: true }
+    );
+    if (!updated) return null;
+
+    if (updated.status === 'completed' && updated.orderId) {
+      await this.orders.markPaid(updated.orderId, updated);
+    }
+
+    if (FINAL_STATUSES.includes(updated.status)) {
+      for (const listener of this.listeners) {
+        try {
+          await listener(updated, notification);
+        } catch (error) {
+          console.error(`Payment ${updated.reference} listener failed:`, error);
+        }
+      }
+    }
+    return updated;
+  }
+
+  // Charges a stored payment against a token from an earlier payment. A
+  // gateway that cannot be reached counts as a failed charge.
+  async charge(payment, token, context = {}) {
+    const gateway = this.gateway(payment.paymentMethod);
+    if (!gateway.supportsRecurring) {
+      throw paymentError(`${gateway.name} cannot charge a saved card`, 400);
+    }
+
+    let result;
+    try {
+      result = await gateway.charge(token, payment, context);
+    } catch (error) {
+      console.error(`${gateway.id} charge for ${payment.reference} failed:`, error.message);
+      result = { paymentStatus: 'failed', reason: error.message };
+    }
+
+    const updated = await this.settle(payment, result, result.raw || { reason: result.reason });
+    return { payment: updated || await Payment.findById(payment._id), reason: result.reason };
+  }
+
+  async findPayment(paymentId, userId) {
+    const payment = await Payment.findOne({ _id: paymentId, ...(userId && { userId }) });
+    if (!payment) {
+      throw paymentError('Payment not found', 404);
+    }
+    return payment;
+  }
+
+  // Asks the gateway where a payment stands, for when a callback is late.
+  // Only the payment's owner may ask.
+  async queryStatus(paymentId, userId) {
+    if (!userId) {
+      throw paymentError('userId is required', 400);
+    }
+    const payment = await this.findPayment(paymentId, userId);
+    const gateway = this.gateways.get(payment.paymentMethod);
+    const gatewayStatus = gateway ? await gateway.queryStatus(payment) : { status: payment.status };
+    return { payment, gatewayStatus };
+  }
+
+  // Refunds a completed payment through its gateway; a full refund also
+  // marks the order refunded
+  async refund(paymentId, { amount, reason = 'Customer request', refundedBy } = {}) {
+    const payment = await this.findPayment(paymentId);
+    if (!payment.isRefundable) {
+      throw paymentError('Only completed payments from the last 14 days can be refunded', 409);
+    }
+
+    const refundAmount = amount ?? payment.amount;
+    if (!(refundAmount > 0) || refundAmount > payment.amount) {
+      throw paymentError(`amount must be more than 0 and at most ${payment.amount}`, 400);
+    }
+
+    const gateway = this.gateways.get(payment.paymentMethod);
+    if (!gateway) {
+      throw paymentError(`No gateway for ${payment.paymentMethod} payments`, 409);
+    }
+
+    const result = await gateway.refund(payment, refundAmount, reason);
+    await payment.processRefund(refundAmount, reason);
+
+    if (payment.orderId && refundAmount === payment.amount) {
+      await Order.updateOne({ _id: payment.orderId, status: 'paid' }, { $set: { status: 'refunded' } });
+      // Or settles a payment that arrived after the order was cancelled
+      await Order.updateOne(
+        { _id: payment.orderId, 'latePayments.payment': payment._id },
+        { $set: { 'latePayments.$.refundedAt': new Date() } }
+      );
+    }
+
+    await AuditLogger.log('PAYMENT_REFUNDED', {
+      resource: 'payment',
+      resourceId: payment._id.toString(),
+      userId: payment.userId,
+      metadata: { gateway: gateway.id, amount: refundAmount, reason, refundedBy, result: result.status, refundId: result.refundId }
+    });
+
+    return { payment, refund: result };
+  }
+}
+
+const paymentService = new PaymentService();
+export default paymentService;
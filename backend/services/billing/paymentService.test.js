@@ -0,0 +1,197 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import Payment from '../../models/Payment.js';
+import { PayFastGateway } from './gateways/payfast.js';
+import { PayFastSimulator } from './payfastSimulator.js';
+
+// security/ is outside backend/ in the repository, so the audit logger is a
+// virtual mock; jest 29 only finds virtual ES module mocks that are also
+// registered with jest.mock
+const AuditLogger = { log: jest.fn() };
+jest.mock('../../security/auditLogger.js', () => AuditLogger, { virtual: true });
+jest.unstable_mockModule('../../security/auditLogger.js', () => ({ default: AuditLogger, AuditLogger }), { virtual: true });
+const { PaymentService } = await import('./paymentService.js');
+
+const MERCHANT_ID = '10000100';
+const PASSPHRASE = 'jt7NOE43FZPn';
+const IP = '127.0.0.1';
+
+describe('PaymentService.handleCallback with PayFast ITNs', () => {
+  const simulator = new PayFastSimulator({ merchantId: MERCHANT_ID, passphrase: PASSPHRASE });
+  let orders;
+  let service;
+  let payment;
+
+  beforeAll(async () => {
+    await simulator.start();
+  });
+
+  afterAll(async () => {
+    await simulator.stop();
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    AuditLogger.log.mockReset();
+
+    orders = { markPaid: jest.fn().mockResolvedValue({}) };
+    service = new PaymentService({
+      orders,
+      gateways: [new PayFastGateway({
+        merchantId: MERCHANT_ID,
+        merchantKey: '46f0cd694581a',
+        passphrase: PASSPHRASE,
+        validateUrl: simulator.validateUrl,
+        validHosts: [],
+        allowedIps: [IP]
+      })]
+    });
+
+    payment = new Payment({
+      userId: new mongoose.Types.ObjectId(),
+      orderId: new mongoose.Types.ObjectId(),
+      amount: 574.25,
+      paymentMethod: 'payfast',
+      reference: 'CB7K3D9Q',
+      status: 'pending',
+      customer: { email: 'thandi@example.co.za' }
+    });
+
+    jest.spyOn(Payment, 'findOne').mockImplementation(async ({ reference }) => reference === payment.reference ? payment : null);
+    jest.spyOn(Payment, 'findOneAndUpdate').mockImplementation(async (filter, { $set }) => {
+      if (!filter.status.$in.includes(payment.status)) return null;
+      Object.assign(payment, $set);
+      return payment;
+    });
+    jest.spyOn(Payment, 'updateOne').mockImplementation(async (filter, { $set }) => {
+      Object.assign(payment, $set);
+      return { modifiedCount: 1 };
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const rejection = () => AuditLogger.log.mock.calls.find(([action]) => action === 'PAYMENT_CALLBACK_REJECTED')?.[1];
+
+  test('a confirmed ITN completes the payment and marks the order paid', async () => {
+    const result = await service.handleCallback('payfast', simulator.itn(payment, { pfPaymentId: '1089250' }), { ip: IP });
+
+    expect(result).toMatchObject({ accepted: true, duplicate: false, status: 200 });
+    expect(payment).toMatchObject({ status: 'completed', transactionId: '1089250' });
+    expect(orders.markPaid).toHaveBeenCalledWith(payment.orderId, payment);
+    expect(AuditLogger.log).not.toHaveBeenCalled();
+  });
+
+  test('a failed payment does not touch the order', async () => {
+    await service.handleCallback('payfast', simulator.itn(payment, { status: 'FAILED' }), { ip: IP });
+
+    expect(payment.status).toBe('failed');
+    expect(orders.markPaid).not.toHaveBeenCalled();
+  });
+
+  test('a repeated ITN is acknowledged once and applied once', async () => {
+    const itn = simulator.itn(payment, { pfPaymentId: '1089250' });
+    await service.handleCallback('payfast', itn, { ip: IP });
+
+    await expect(service.handleCallback('payfast', itn, { ip: IP })).resolves.toEqual({ accepted: true, duplicate: true, status: 200 });
+    expect(orders.markPaid).toHaveBeenCalledTimes(1);
+  });
+
+  test('of two simultaneous deliveries only one settles the payment', async () => {
+    const itn = simulator.itn(payment, { pfPaymentId: '1089250' });
+    const results = await Promise.all([
+      service.handleCallback('payfast', itn, { ip: IP }),
+      service.handleCallback('payfast', itn, { ip: IP })
+    ]);
+
+    expect(results.map(result => result.duplicate).sort()).toEqual([false, true]);
+    expect(orders.markPaid).toHaveBeenCalledTimes(1);
+  });
+
+  test('an amount that differs from the stored payment is rejected and audited', async () => {
+    const result = await service.handleCallback('payfast', simulator.itn({ ...payment.toObject(), amount: 5.74 }), { ip: IP });
+
+    expect(result).toEqual({ accepted: false, reason: 'amount_mismatch', status: 400 });
+    expect(payment.status).toBe('pending');
+    expect(rejection()).toMatchObject({
+      resourceId: payment._id.toString(),
+      responseStatus: 400,
+      metadata: { gateway: 'payfast', reason: 'amount_mismatch', amount: 5.74 }
+    });
+  });
+
+  test('an ITN from outside PayFast is rejected and audited', async () => {
+    const result = await service.handleCallback('payfast', simulator.itn(payment), { ip: '::ffff:203.0.113.9' });
+
+    expect(result).toEqual({ accepted: false, reason: 'invalid_source', status: 403 });
+    expect(rejection()).toMatchObject({ ipAddress: '203.0.113.9', metadata: { reason: 'invalid_source' } });
+  });
+
+  test('a tampered ITN is rejected and audited', async () => {
+    const tampered = { ...simulator.itn(payment), payment_status: 'COMPLETE', amount_gross: '1.00' };
+
+    await expect(service.handleCallback('payfast', tampered, { ip: IP })).resolves.toMatchObject({ reason: 'invalid_signature', status: 400 });
+    expect(rejection().requestBody).toEqual(tampered);
+  });
+
+  test('an ITN for an unknown payment is rejected', async () => {
+    const itn = simulator.itn({ ...payment.toObject(), reference: 'CBZZZZZZ' });
+    await expect(service.handleCallback('payfast', itn, { ip: IP })).resolves.toMatchObject({ reason: 'unknown_payment', status: 404 });
+  });
+
+  test('a different transaction for a settled payment is refused', async () => {
+    await service.handleCallback('payfast', simulator.itn(payment, { pfPaymentId: '1089250' }), { ip: IP });
+
+    await expect(service.handleCallback('payfast', simulator.itn(payment, { pfPaymentId: '1089251' }), { ip: IP }))
+      .resolves.toEqual({ accepted: false, reason: 'already_settled', status: 409 });
+  });
+
+  test('an ITN for a charge settled without a transaction id fills it in', async () => {
+    payment.status = 'completed';
+
+    await expect(service.handleCallback('payfast', simulator.itn(payment, { pfPaymentId: '1089252' }), { ip: IP }))
+      .resolves.toEqual({ accepted: true, duplicate: true, status: 200 });
+    expect(payment.transactionId).toBe('1089252');
+    expect(orders.markPaid).not.toHaveBeenCalled();
+  });
+
+  test('onSettled listeners hear of final outcomes', async () => {
+    const listener = jest.fn();
+    service.onSettled(listener);
+
+    await service.handleCallback('payfast', simulator.itn(payment, { status: 'PENDING' }), { ip: IP });
+    expect(listener).not.toHaveBeenCalled();
+
+    await service.handleCallback('payfast', simulator.itn(payment), { ip: IP });
+    expect(listener).toHaveBeenCalledWith(payment, expect.objectContaining({ paymentStatus: 'completed' }));
+  });
+});
+
+describe('PaymentService.queryStatus', () => {
+  const service = new PaymentService({ orders: {}, gateways: [] });
+  const payment = new Payment({ userId: new mongoose.Types.ObjectId(), amount: 499, paymentMethod: 'fnb_eft', reference: 'CB7K3D9Q' });
+
+  beforeEach(() => {
+    jest.spyOn(Payment, 'findOne').mockImplementation(async ({ _id, userId }) =>
+      payment._id.equals(_id) && payment.userId.equals(userId) ? payment : null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('answers the payment\'s owner', async () => {
+    await expect(service.queryStatus(payment._id, payment.userId)).resolves.toMatchObject({ payment, gatewayStatus: { status: 'pending' } });
+  });
+
+  test('someone else\'s payment is not found', async () => {
+    await expect(service.queryStatus(payment._id, new mongoose.Types.ObjectId())).rejects.toMatchObject({ status: 404 });
+  });
+
+  test('a missing user is refused rather than matching any payment', async () => {
+    await expect(service.queryStatus(payment._id, undefined)).rejects.toMatchObject({ status: 400 });
+    expect(Payment.findOne).not.toHaveBeenCalled();
+  });
+});
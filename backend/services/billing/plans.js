@@ -0,0 +1,67 @@
+import { VAT_RATE, toCents, fromCents } from './catalogue.js';
+
+// Subscription plans. Prices are in rand excluding VAT per billing period of
+// `months` calendar months; each period paid keeps the plan's service active
+// until the period ends. Ids share the Payment items.type enum with products.
+export const PLANS = [
+  {
+    id: 'premium_monthly',
+    name: 'Premium Monthly',
+    description: 'Everything in Premium, billed every month',
+    price: 799,
+    months: 1,
+    service: {
+      type: 'premium',
+      features: ['cv_rewrite', 'cover_letter', 'job_matching', 'auto_apply', 'priority_support']
+    }
+  },
+  {
+    id: 'premium_quarterly',
+    name: 'Premium Quarterly',
+    description: 'Everything in Premium, billed every three months at 10% off',
+    price: 2157,
+    months: 3,
+    service: {
+      type: 'premium',
+      features: ['cv_rewrite', 'cover_letter', 'job_matching', 'auto_apply', 'priority_support']
+    }
+  },
+  {
+    id: 'enterprise_monthly',
+    name: 'Enterprise',
+    description: 'Premium for recruiters and career coaches placing several candidates, billed monthly',
+    price: 2499,
+    months: 1,
+    service: {
+      type: 'enterprise',
+      features: ['cv_rewrite', 'cover_letter', 'job_matching', 'auto_apply', 'priority_support']
+    }
+  }
+];
+
+export const PLAN_IDS = PLANS.map(plan => plan.id);
+
+const plansById = new Map(PLANS.map(plan => [plan.id, plan]));
+
+export function getPlan(id) {
+  return plansById.get(id) || null;
+}
+
+// What one billing period costs, VAT included
+export function planPrice(plan, vatRate = VAT_RATE) {
+  const cents = toCents(plan.price);
+  const vatCents = Math.round(cents * vatRate);
+  return { subtotal: plan.price, vat: fromCents(vatCents), total: fromCents(cents + vatCents) };
+}
+
+// The same day of the month `months` later, or the month's last day when it
+// is shorter (31 January + 1 month is 28 or 29 February)
+export function addMonths(date, months) {
+  const result = new Date(date);
+  const day = result.getUTCDate();
+  result.setUTCDate(1);
+  result.setUTCMonth(result.getUTCMonth() + months);
+  const lastDay = new Date(Date.UTC(result.getUTCFullYear(), result.getUTCMonth() + 1, 0)).getUTCDate();
+  result.setUTCDate(Math.min(day, lastDay));
+  return result;
+}
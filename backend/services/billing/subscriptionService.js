@@ -0,0 +1,526 @@
+import mongoose from 'mongoose';
+import Subscription from '../../models/Subscription.js';
+import Payment from '../../models/Payment.js';
+import User from '../../models/User.js';
+import paymentService from './paymentService.js';
+import notificationService from '../notifications/notificationService.js';
+import AuditLogger from '../../security/auditLogger.js';
+import { PLANS, getPlan, planPrice, addMonths } from './plans.js';
+import { VAT_RATE, CURRENCY } from './catalogue.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function subscriptionError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+const formatDate = date => date.toLocaleDateString('en-ZA', { timeZone: 'Africa/Johannesburg', day: 'numeric', month: 'long', year: 'numeric' });
+const formatAmount = amount => `R${amount.toFixed(2)}`;
+
+// Recurring plans. The first period is paid through the gateway's checkout,
+// which also gives us a token; each later period is charged against the
+// token by runBillingCycle. A failed renewal makes the subscription
+// past_due: the service stays on for graceDays past the period end while
+// the charge is retried retryDays after it, and the subscription expires
+// when the grace period runs out unpaid. Payment outcomes arrive through
+// paymentService's onSettled, whichever way the gateway reported them.
+export class SubscriptionService {
+  constructor(options = {}) {
+    this.payments = options.payments || paymentService;
+    this.notifications = options.notifications || notificationService;
+    this.vatRate = options.vatRate ?? VAT_RATE;
+    this.graceDays = options.graceDays ?? (parseInt(process.env.SUBSCRIPTION_GRACE_DAYS) || 7);
+    this.retryDays = options.retryDays ||
+      (process.env.SUBSCRIPTION_RETRY_DAYS || '1,3,5').split(',').map(days => parseInt(days)).filter(days => days > 0);
+    this.reminderDays = options.reminderDays ?? (parseInt(process.env.SUBSCRIPTION_REMINDER_DAYS) || 7);
+
+    this.payments.onSettled((payment, notification) => this.paymentSettled(payment, notification));
+  }
+
+  plans() {
+    return PLANS.map(({ service, ...plan }) => ({
+      ...plan,
+      priceInclVat: planPrice(plan, this.vatRate).total,
+      currency: CURRENCY,
+      serviceType: service.type,
+      features: service.features
+    }));
+  }
+
+  // Payment references: the subscription's reference, then -2, -3 per period
+  newPayment(subscription, plan, user, context = {}) {
+    const number = subscription.payments.length + 1;
+    return new Payment({
+      userId: subscription.userId,
+      subscriptionId: subscription._id,
+      amount: subscription.amount,
+      currency: subscription.currency,
+      paymentMethod: subscription.gateway,
+      status: 'pending',
+      reference: number === 1 ? subscription.reference : `${subscription.reference}-${number}`,
+      items: [{ name: plan.name, description: plan.description, quantity: 1, price: plan.price, type: plan.id }],
+      customer: {
+        email: user.email,
+        firstName: user.profile?.firstName,
+        lastName: user.profile?.lastName,
+        phone: user.profile?.phone
+      },
+      metadata: {
+        gateway: subscription.gateway,
+        ipAddress: context.ipAddress,
+        userAgent: context.userAgent
+      }
+    });
+  }
+
+  // Starts a subscription and its first payment. Returns the gateway's
+  // action for the browser, as paymentService.start does for orders.
+  async subscribe(userId, planId, gatewayId, context = {}) {
+    const plan = getPlan(planId);
+    if (!plan) {
+      throw subscriptionError(`Unknown plan: ${planId}`, 400);
+    }
+
+    const gateway = this.payments.gateway(gatewayId);
+    if (!gateway.supportsRecurring) {
+      throw subscriptionError(`${gateway.name} cannot be used for subscriptions`, 400);
+    }
+
+    const user = await User.findById(userId).select('email profile');
+    if (!user) {
+      throw subscriptionError('User not found', 404);
+    }
+
+    const current = await Subscription.findOne({ userId, status: { $in: ['active', 'past_due'] } });
+    if (current && !current.cancelAtPeriodEnd) {
+      throw subscriptionError('You already have a subscription; cancel it before choosing another plan', 409);
+    }
+
+    const subscription = new Subscription({
+      userId,
+      plan: plan.id,
+      reference: Subscription.generateReference(),
+      gateway: gateway.id,
+      amount: planPrice(plan, this.vatRate).total,
+      currency: CURRENCY
+    });
+    const payment = this.newPayment(subscription, plan, user, context);
+    subscription.payments.push(payment._id);
+    subscription.pendingPaymentId = payment._id;
+
+    // Stored before the gateway hears of it, so an early callback finds both
+    await subscription.save();
+    await payment.save();
+
+    const { action, paymentData = {} } = await gateway.initiate(null, payment, {
+      ...context,
+      subscription: { _id: subscription._id, reference: subscription.reference, planName: plan.name }
+    });
+    payment.paymentData = { ...payment.paymentData, ...paymentData };
+    await payment.save();
+
+    return { subscription, payment, action };
+  }
+
+  // onSettled listener. The subscription's pending payment is claimed
+  // first, so a payment is only ever applied once.
+  async paymentSettled(payment, notification) {
+    if (!payment.subscriptionId) return null;
+
+    const subscription = await Subscription.findOneAndUpdate(
+      { _id: payment.subscriptionId, pendingPaymentId: payment._id },
+      { $unset: { pendingPaymentId: 1 } },
+      { new: true }
+    );
+    if (!subscription) return null;
+    if (!['pending', 'active', 'past_due'].includes(subscription.status)) {
+      console.warn(`Payment ${payment.reference} ${payment.status} after subscription ${subscription.reference} ended`);
+      return subscription;
+    }
+
+    const now = payment.processedAt || new Date();
+    if (payment.status === 'completed') {
+      return subscription.status === 'pending'
+        ? this.activate(subscription, payment, notification?.token || payment.paymentData?.gatewayResponse?.token, now)
+        : this.renewed(subscription, payment, now);
+    }
+
+    if (subscription.status === 'pending') {
+      return this.end(subscription, 'expired', 'first_payment_failed', now);
+    }
+    const reason = notification?.reason || payment.paymentData?.gatewayResponse?.reason || `Payment ${payment.status}`;
+    return this.renewalFailed(subscription, reason, now);
+  }
+
+  async activate(subscription, payment, token, now) {
+    const plan = getPlan(subscription.plan);
+    const periodEnd = addMonths(now, plan.months);
+    const serviceId = new mongoose.Types.ObjectId();
+
+    await User.findByIdAndUpdate(subscription.userId, {
+      $push: {
+        services: {
+          _id: serviceId,
+          type: plan.service.type,
+          activatedAt: now,
+          expiresAt: periodEnd,
+          isActive: true,
+          features: plan.service.features,
+          subscriptionId: subscription._id
+        }
+      }
+    });
+
+    subscription.set({
+      status: 'active',
+      token,
+      serviceId,
+      currentPeriodStart: now,
+      currentPeriodEnd: periodEnd,
+      nextBillingAt: periodEnd
+    });
+    // Without a token there is nothing to charge; the paid period still runs
+    if (!token) {
+      console.warn(`Subscription ${subscription.reference} has no ${subscription.gateway} token and will not renew`);
+      subscription.set({ cancelAtPeriodEnd: true, nextBillingAt: undefined });
+    }
+    await subscription.save();
+
+    await this.audit('SUBSCRIPTION_STARTED', subscription, { paymentId: payment._id.toString() });
+    await this.notify(subscription, 'subscription_update', {
+      title: `Your ${plan.name} plan is active`,
+      message: token
+        ? `Thanks for subscribing. ${formatAmount(subscription.amount)} was paid and your plan renews on ${formatDate(periodEnd)}.`
+        : `Thanks for subscribing. ${formatAmount(subscription.amount)} was paid and your plan runs until ${formatDate(periodEnd)}.`
+    });
+    return subscription;
+  }
+
+  // Periods run back to back, so a retry that succeeds late does not move
+  // the billing date
+  async renewed(subscription, payment, now) {
+    const plan = getPlan(subscription.plan);
+    const periodStart = subscription.currentPeriodEnd;
+    const periodEnd = addMonths(periodStart, plan.months);
+
+    subscription.set({
+      status: 'active',
+      currentPeriodStart: periodStart,
+      currentPeriodEnd: periodEnd,
+      nextBillingAt: subscription.cancelAtPeriodEnd ? undefined : periodEnd,
+      graceUntil: undefined,
+      dunning: { attempts: 0 }
+    });
+    await subscription.save();
+    await this.extendService(subscription, periodEnd, { resetReminder: true });
+
+    await this.audit('SUBSCRIPTION_RENEWED', subscription, { paymentId: payment._id.toString(), periodEnd });
+    await this.notify(subscription, 'subscription_update', {
+      title: `Your ${plan.name} plan has renewed`,
+      message: `${formatAmount(payment.amount)} was paid (reference ${payment.reference}). Your plan now runs until ${formatDate(periodEnd)}.`
+    });
+    return subscription;
+  }
+
+  // Dunning: the subscription goes past_due and keeps its service until
+  // graceUntil; the charge is retried retryDays after the period ended
+  async renewalFailed(subscription, reason, now) {
+    const plan = getPlan(subscription.plan);
+    const attempts = subscription.dunning.attempts + 1;
+    const graceUntil = subscription.graceUntil || new Date(subscription.currentPeriodEnd.getTime() + this.graceDays * DAY);
+    const retryIn = this.retryDays[attempts - 1];
+    const nextRetryAt = retryIn && new Date(subscription.currentPeriodEnd.getTime() + retryIn * DAY);
+
+    subscription.set({
+      status: 'past_due',
+      graceUntil,
+      nextBillingAt: undefined,
+      dunning: {
+        attempts,
+        nextRetryAt: nextRetryAt && nextRetryAt < graceUntil ? nextRetryAt : undefined,
+        lastError: reason,
+        lastAttemptAt: now
+      }
+    });
+    await subscription.save();
+    await this.extendService(subscription, graceUntil);
+
+    await this.audit('SUBSCRIPTION_PAYMENT_FAILED', subscription, { attempts, reason });
+    const retry = subscription.dunning.nextRetryAt
+      ? `We will try again on ${formatDate(subscription.dunning.nextRetryAt)}.`
+      : 'We will not try again.';
+    await this.notify(subscription, 'payment_failed', {
+      title: `We could not renew your ${plan.name} plan`,
+      message: `The ${formatAmount(subscription.amount)} renewal payment failed (${reason}). ${retry} ` +
+        `Your access continues until ${formatDate(graceUntil)}; after that the plan ends unless a payment goes through.`
+    });
+    return subscription;
+  }
+
+  async extendService(subscription, expiresAt, { resetReminder = false } = {}) {
+    if (!subscription.serviceId) return;
+    await User.updateOne(
+      { _id: subscription.userId, 'services._id': subscription.serviceId },
+      {
+        $set: { 'services.$.expiresAt': expiresAt, 'services.$.isActive': true },
+        ...(resetReminder && { $unset: { 'services.$.renewalReminderSentAt': 1 } })
+      }
+    );
+  }
+
+  // Ends a subscription: cancelled on request, expired when unpaid
+  async end(subscription, status, reason, now = new Date()) {
+    const wasPending = subscription.status === 'pending';
+    subscription.set({
+      status,
+      endedAt: now,
+      endedReason: reason,
+      nextBillingAt: undefined,
+      'dunning.nextRetryAt': undefined
+    });
+    await this.releaseToken(subscription);
+    await subscription.save();
+
+    // The service of an unpaid subscription stops now; a cancelled one has
+    // been paid up to currentPeriodEnd
+    if (subscription.serviceId && status === 'expired') {
+      await User.updateOne(
+        { _id: subscription.userId, 'services._id': subscription.serviceId },
+        { $set: { 'services.$.isActive': false, 'services.$.expiresAt': now } }
+      );
+    }
+
+    await this.audit('SUBSCRIPTION_ENDED', subscription, { status, reason });
+    if (!wasPending) {
+      const plan = getPlan(subscription.plan);
+      await this.notify(subscription, 'subscription_update', {
+        title: `Your ${plan.name} plan has ended`,
+        message: reason === 'payment_failed'
+          ? `We could not collect the renewal payment, so your ${plan.name} plan has ended. You can subscribe again at any time.`
+          : `Your ${plan.name} plan has ended as you asked. You can subscribe again at any time.`
+      });
+    }
+    return subscription;
+  }
+
+  async releaseToken(subscription) {
+    if (!subscription.token) return;
+    try {
+      await this.payments.gateways.get(subscription.gateway)?.cancelToken(subscription.token);
+      subscription.token = undefined;
+    } catch (error) {
+      console.warn(`Cancelling the ${subscription.gateway} token of ${subscription.reference} failed:`, error.message);
+    }
+  }
+
+  // Stops renewals; the paid period runs out. An unpaid past_due
+  // subscription ends straight away. A pending one is left to its checkout.
+  async cancel(userId, subscriptionId) {
+    const subscription = await Subscription.findOne({ _id: subscriptionId, userId });
+    if (!subscription) {
+      throw subscriptionError('Subscription not found', 404);
+    }
+    if (subscription.status === 'pending') {
+      throw subscriptionError('Subscription has not started yet', 409);
+    }
+    if (!['active', 'past_due'].includes(subscription.status) || subscription.cancelAtPeriodEnd) {
+      throw subscriptionError(`Subscription is already ${subscription.cancelAtPeriodEnd ? 'cancelled' : subscription.status}`, 409);
+    }
+
+    const now = new Date();
+    subscription.cancelledAt = now;
+    if (subscription.status !== 'active') {
+      return this.end(subscription, 'cancelled', 'cancelled', now);
+    }
+
+    subscription.set({ cancelAtPeriodEnd: true, nextBillingAt: undefined });
+    await this.releaseToken(subscription);
+    await subscription.save();
+
+    const plan = getPlan(subscription.plan);
+    await this.audit('SUBSCRIPTION_CANCELLED', subscription, { endsAt: subscription.currentPeriodEnd });
+    await this.notify(subscription, 'subscription_update', {
+      title: `Your ${plan.name} plan will not renew`,
+      message: `You will not be charged again. Your plan stays active until ${formatDate(subscription.currentPeriodEnd)}.`
+    });
+    return subscription;
+  }
+
+  // Charges the next period. The subscription is claimed by setting
+  // pendingPaymentId, so two billing runs cannot both charge it.
+  async renew(subscription, now) {
+    const plan = getPlan(subscription.plan);
+    const user = await User.findById(subscription.userId).select('email profile');
+    if (!user) {
+      await this.end(subscription, 'expired', 'payment_failed', now);
+      return null;
+    }
+
+    const payment = this.newPayment(subscription, plan, user);
+    const claimed = await Subscription.findOneAndUpdate(
+      { _id: subscription._id, status: subscription.status, pendingPaymentId: { $exists: false } },
+      { $set: { pendingPaymentId: payment._id }, $push: { payments: payment._id } },
+      { new: true }
+    );
+    if (!claimed) return null;
+    await payment.save();
+
+    if (!claimed.token) {
+      return this.payments.settle(payment, { paymentStatus: 'failed', reason: 'No saved card to charge' }, { reason: 'no_token' });
+    }
+    const { payment: charged } = await this.payments.charge(payment, claimed.token);
+    return charged;
+  }
+
+  async processRenewals(now = new Date()) {
+    const result = { charged: 0, renewed: 0, failed: 0, ended: 0 };
+
+    // Renewal outcomes that reached another process, or arrived while this
+    // one was down
+    const waiting = await Subscription.find({ status: { $in: ['active', 'past_due'] }, pendingPaymentId: { $exists: true } });
+    for (const subscription of waiting) {
+      const payment = await Payment.findById(subscription.pendingPaymentId);
+      if (payment && ['completed', 'failed', 'cancelled'].includes(payment.status)) {
+        await this.paymentSettled(payment, null);
+      }
+    }
+
+    const due = await Subscription.find({
+      pendingPaymentId: { $exists: false },
+      $or: [
+        { status: 'active', cancelAtPeriodEnd: false, nextBillingAt: { $lte: now } },
+        { status: 'past_due', 'dunning.nextRetryAt': { $lte: now } }
+      ]
+    });
+    for (const subscription of due) {
+      try {
+        const payment = await this.renew(subscription, now);
+        if (!payment) continue;
+        result.charged += 1;
+        if (payment.status === 'completed') result.renewed += 1;
+        if (payment.status === 'failed' || payment.status === 'cancelled') result.failed += 1;
+      } catch (error) {
+        console.error(`Renewing subscription ${subscription.reference} failed:`, error);
+      }
+    }
+
+    // Past the grace period unpaid, or cancelled and at the end of the period
+    const lapsed = await Subscription.find({
+      pendingPaymentId: { $exists: false },
+      $or: [
+        { status: 'past_due', graceUntil: { $lte: now } },
+        { status: 'active', cancelAtPeriodEnd: true, currentPeriodEnd: { $lte: now } }
+      ]
+    });
+    for (const subscription of lapsed) {
+      if (subscription.status === 'past_due') {
+        await this.end(subscription, 'expired', 'payment_failed', now);
+      } else {
+        await this.end(subscription, 'cancelled', 'cancelled', now);
+      }
+      result.ended += 1;
+    }
+
+    return result;
+  }
+
+  // Turns off services whose time is up, bought once or by subscription
+  async deactivateExpiredServices(now = new Date()) {
+    const result = await User.updateMany(
+      { services: { $elemMatch: { isActive: true, expiresAt: { $lte: now } } } },
+      { $set: { 'services.$[expired].isActive': false } },
+      { arrayFilters: [{ 'expired.isActive': true, 'expired.expiresAt': { $lte: now } }] }
+    );
+    return result.modifiedCount;
+  }
+
+  // One reminder per service and period, reminderDays before it runs out:
+  // a heads-up for renewing plans and a nudge to subscribe for the rest.
+  // Past_due plans are covered by their payment_failed notices.
+  async sendRenewalReminders(now = new Date()) {
+    const horizon = new Date(now.getTime() + this.reminderDays * DAY);
+    const users = await User.findWithExpiringServices(this.reminderDays, now);
+    let sent = 0;
+
+    for (const user of users) {
+      const expiring = user.services.filter(service =>
+        service.isActive && !service.renewalReminderSentAt && service.expiresAt > now && service.expiresAt <= horizon
+      );
+
+      for (const service of expiring) {
+        const subscription = service.subscriptionId && await Subscription.findById(service.subscriptionId);
+        if (subscription?.status === 'past_due') continue;
+
+        const plan = subscription && getPlan(subscription.plan);
+        const notice = subscription?.renews
+          ? {
+            title: `Your ${plan.name} plan renews on ${formatDate(service.expiresAt)}`,
+            message: `We will charge ${formatAmount(subscription.amount)} for your next ${plan.months === 1 ? 'month' : `${plan.months} months`}. ` +
+              'Cancel before then if you do not want to continue.'
+          }
+          : {
+            title: `Your ${plan ? plan.name : `${service.type} service`} ends on ${formatDate(service.expiresAt)}`,
+            message: 'Subscribe to a plan to keep CV rewrites, job matching and automatic applications going without a break.'
+          };
+
+        await this.notifications.notify(user, {
+          type: 'renewal_reminder',
+          ...notice,
+          data: { serviceId: service._id, subscriptionId: subscription?._id }
+        });
+        await User.updateOne(
+          { _id: user._id, 'services._id': service._id },
+          { $set: { 'services.$.renewalReminderSentAt': now } }
+        );
+        sent += 1;
+      }
+    }
+
+    return sent;
+  }
+
+  async runBillingCycle(now = new Date()) {
+    const renewals = await this.processRenewals(now);
+    const deactivated = await this.deactivateExpiredServices(now);
+    const reminders = await this.sendRenewalReminders(now);
+    return { ...renewals, deactivated, reminders };
+  }
+
+  async list(userId) {
+    return Subscription.find({ userId }).sort({ createdAt: -1 }).lean();
+  }
+
+  async listAll({ status, page = 1, limit = 20 } = {}) {
+    const query = status ? { status } : {};
+    const [subscriptions, total] = await Promise.all([
+      Subscription.find(query)
+        .populate('userId', 'email profile.firstName profile.lastName')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(parseInt(limit))
+        .lean(),
+      Subscription.countDocuments(query)
+    ]);
+    return { subscriptions, total };
+  }
+
+  async notify(subscription, type, { title, message }) {
+    const user = await User.findById(subscription.userId).select('email profile preferences');
+    if (!user) return null;
+    return this.notifications.notify(user, { type, title, message, data: { subscriptionId: subscription._id } });
+  }
+
+  async audit(action, subscription, metadata = {}) {
+    await AuditLogger.log(action, {
+      resource: 'subscription',
+      resourceId: subscription._id.toString(),
+      userId: subscription.userId,
+      metadata: { plan: subscription.plan, reference: subscription.reference, status: subscription.status, ...metadata }
+    });
+  }
+}
+
+const subscriptionService = new SubscriptionService();
+export default subscriptionService;
@@ -0,0 +1,349 @@
+import os from 'os';
+import { EventEmitter } from 'events';
+import CVJob from '../models/CVJob.js';
+import User from '../models/User.js';
+import aiService from './aiServices.js';
+import cvRevisionService from './cvRevisionService.js';
+import cvParser from './cvParser.js';
+import atsScorer from './atsScorer.js';
+import { SecurityManager } from '../security/encryption.js';
+import AuditLogger from '../security/auditLogger.js';
+
+// Mongo-backed work queue for the CV pipeline. Jobs are claimed atomically with a
+// lease (lockedUntil), so several API processes can run workers side by side and a
+// crashed worker's job is picked up again once its lease expires.
+export class CVJobQueue extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.setMaxListeners(0);
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.concurrency = options.concurrency || parseInt(process.env.CV_QUEUE_CONCURRENCY) || 2;
+    this.pollInterval = options.pollInterval || 2000;
+    this.lockDuration = options.lockDuration || 5 * 60 * 1000;
+    this.retryDelay = options.retryDelay || 30 * 1000;
+    this.isRunning = false;
+    this.activeJobs = 0;
+    this.timer = null;
+
+    this.stageHandlers = {
+      extract: this.runExtract.bind(this),
+      parse: this.runParse.bind(this),
+      analyze: this.runAnalyze.bind(this),
+      enhance: this.runEnhance.bind(this),
+      ats_optimize: this.runATSOptimize.bind(this),
+      cover_letter: this.runCoverLetter.bind(this)
+    };
+  }
+
+  async enqueue({ userId, targetIndustry, file }) {
+    const job = new CVJob({
+      userId,
+      targetIndustry,
+      file: {
+        originalName: file.originalname,
+        mimeType: file.mimetype,
+        size: file.size,
+        buffer: file.buffer
+      }
+    });
+
+    await job.save();
+    this.publish(job);
+
+    // Pick the job up straight away instead of waiting for the next poll
+    if (this.isRunning) {
+      setImmediate(() => this.poll());
+    }
+
+    return job;
+  }
+
+  async getJob(jobId) {
+    return CVJob.findById(jobId);
+  }
+
+  start() {
+    if (this.isRunning) return;
+
+    this.isRunning = true;
+    this.timer = setInterval(() => this.poll(), this.pollInterval);
+    console.log(`CV job queue started (worker ${this.workerId}, concurrency ${this.concurrency})`);
+  }
+
+  async stop() {
+    this.isRunning = false;
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  async poll() {
+    while (this.isRunning && this.activeJobs < this.concurrency) {
+      let job;
+      try {
+        job = await this.claimNext();
+      } catch (error) {
+        console.error('CV job claim error:', error);
+        return;
+      }
+
+      if (!job) return;
+
+      this.activeJobs += 1;
+      this.processJob(job)
+        .catch(error => console.error(`CV job ${job._id} crashed:`, error))
+        .finally(() => {
+          this.activeJobs -= 1;
+        });
+    }
+  }
+
+  async claimNext() {
+    const now = new Date();
+
+    return CVJob.findOneAndUpdate(
+      {
+        $or: [
+          { status: 'queued', nextRunAt: { $lte: now } },
+          { status: 'processing', lockedUntil: { $lt: now } }
+        ]
+      },
+      {
+        $set: {
+          status: 'processing',
+          lockedBy: this.workerId,
+          lockedUntil: new Date(now.getTime() + this.lockDuration)
+        },
+        $inc: { attempts: 1 }
+      },
+      { new: true, sort: { nextRunAt: 1 } }
+    ).select('+file.buffer +results.originalText +results.structured');
+  }
+
+  async processJob(job) {
+    if (!job.startedAt) {
+      job.startedAt = new Date();
+    }
+    job.error = undefined;
+
+    const context = {};
+
+    for (const stage of job.stages) {
+      if (stage.status === 'completed') continue;
+
+      stage.status = 'running';
+      stage.attempts += 1;
+      stage.startedAt = new Date();
+      stage.error = undefined;
+      job.lockedUntil = new Date(Date.now() + this.lockDuration);
+      await job.save();
+      this.publish(job);
+
+      try {
+        await this.stageHandlers[stage.name](job, context);
+      } catch (error) {
+        stage.status = 'failed';
+        stage.error = error.message;
+        return this.handleFailure(job, error);
+      }
+
+      stage.status = 'completed';
+      stage.completedAt = new Date();
+      job.updateProgress();
+      await job.save();
+      this.publish(job);
+    }
+
+    return this.complete(job);
+  }
+
+  async handleFailure(job, error) {
+    const canRetry = error.retryable !== false && job.attempts < job.maxAttempts;
+
+    job.error = error.message;
+    job.lockedBy = undefined;
+    job.lockedUntil = undefined;
+
+    if (canRetry) {
+      job.status = 'queued';
+      job.nextRunAt = new Date(Date.now() + this.retryDelay * Math.pow(2, job.attempts - 1));
+      console.warn(`CV job ${job._id} failed at attempt ${job.attempts}, retrying at ${job.nextRunAt.toISOString()}:`, error.message);
+    } else {
+      job.status = 'failed';
+      job.completedAt = new Date();
+      job.file.buffer = undefined;
+      console.error(`CV job ${job._id} failed permanently:`, error.message);
+
+      await AuditLogger.log('CV_PROCESSING_FAILED', {
+        resource: 'cv',
+        resourceId: job._id.toString(),
+        userId: job.userId,
+        metadata: {
+          stage: job.currentStage,
+          attempts: job.attempts,
+          error: error.message
+        }
+      });
+    }
+
+    await job.save();
+    this.publish(job);
+    return job;
+  }
+
+  async complete(job) {
+    const { results } = job;
+
+    job.metadata = {
+      originalLength: job.metadata?.originalLength,
+      extractionMethod: results.extraction?.method,
+      ocrConfidence: results.extraction?.confidence,
+      enhancedLength: results.atsOptimizedCV?.length,
+      atsScoreBefore: results.atsReport?.before?.score,
+      atsScoreAfter: results.atsReport?.after?.score,
+      modelUsed: aiService.llm.resolveModel('quality'),
+      provider: aiService.llm.providerName,
+      processingTimeMs: Date.now() - job.startedAt
+    };
+
+    if (job.userId) {
+      const { enhanced } = await cvRevisionService.recordProcessingResult(job);
+      job.metadata.revisionId = enhanced._id;
+
+      await User.findByIdAndUpdate(job.userId, {
+        $set: {
+          'cv.original': results.originalText,
+          'cv.enhanced': results.atsOptimizedCV,
+          'cv.coverLetter': results.coverLetter,
+          'cv.structured': results.structured,
+          'cv.lastUpdated': new Date(),
+          'cv.version': enhanced.revisionNumber,
+          'cv.currentRevision': enhanced._id,
+          'profile.preferredIndustry': job.targetIndustry
+        }
+      });
+    }
+
+    job.status = 'completed';
+    job.progress = 100;
+    job.completedAt = new Date();
+    job.lockedBy = undefined;
+    job.lockedUntil = undefined;
+
+    await job.save();
+    this.publish(job);
+
+    await AuditLogger.log('CV_PROCESSING_COMPLETED', {
+      resource: 'cv',
+      resourceId: job._id.toString(),
+      userId: job.userId,
+      metadata: job.metadata
+    });
+
+    return job;
+  }
+
+  // Decrypted CV text is kept in memory only for the lifetime of one run
+  getOriginalText(job, context) {
+    if (!context.originalText) {
+      context.originalText = SecurityManager.decryptSensitiveData(job.results.originalText);
+    }
+    return context.originalText;
+  }
+
+  async runExtract(job, context) {
+    if (!job.file.buffer) {
+      const error = new Error('Uploaded file is no longer available');
+      error.retryable = false;
+      throw error;
+    }
+
+    const { text, method, ocr } = await aiService.extractDocument(job.file.buffer, job.file.mimeType);
+
+    if (!text || text.trim().length < 50) {
+      const error = new Error(method === 'ocr'
+        ? 'Could not read enough text from the scanned CV. Please upload a clearer scan or a text-based file.'
+        : 'CV text extraction failed or content too short');
+      error.retryable = false;
+      throw error;
+    }
+
+    context.originalText = text;
+    job.results.originalText = SecurityManager.encryptSensitiveData(text);
+    job.results.extraction = { method, ...ocr };
+    job.metadata = { originalLength: text.length };
+    job.file.buffer = undefined;
+  }
+
+  async runParse(job, context) {
+    job.results.structured = cvParser.parse(this.getOriginalText(job, context));
+    job.markModified('results.structured');
+  }
+
+  async runAnalyze(job, context) {
+    job.results.analysis = await aiService.analyzeCVContent(this.getOriginalText(job, context), job.targetIndustry);
+    job.markModified('results.analysis');
+  }
+
+  async runEnhance(job, context) {
+    job.results.enhancedCV = await aiService.enhanceCV(
+      this.getOriginalText(job, context),
+      job.targetIndustry,
+      job.results.analysis
+    );
+  }
+
+  async runATSOptimize(job, context) {
+    const options = { industry: job.targetIndustry };
+    const before = atsScorer.score(job.results.enhancedCV, options);
+
+    job.results.atsOptimizedCV = await aiService.optimizeForATS(job.results.enhancedCV, job.targetIndustry);
+
+    const after = atsScorer.score(job.results.atsOptimizedCV, options);
+    job.results.atsReport = {
+      sourceLayout: atsScorer.scoreLayout(this.getOriginalText(job, context)),
+      before,
+      after,
+      comparison: atsScorer.compare(before, after)
+    };
+    job.markModified('results.atsReport');
+  }
+
+  async runCoverLetter(job, context) {
+    job.results.coverLetter = await aiService.generateCoverLetterTemplate(
+      this.getOriginalText(job, context),
+      job.targetIndustry
+    );
+  }
+
+  publish(job) {
+    const progress = job.toProgress();
+    this.emit('progress', progress);
+    this.emit(`job:${job._id}`, progress);
+  }
+
+  subscribe(jobId, listener) {
+    const event = `job:${jobId}`;
+    this.on(event, listener);
+    return () => this.off(event, listener);
+  }
+
+  async getStatistics() {
+    const counts = await CVJob.aggregate([
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+
+    return {
+      workerId: this.workerId,
+      isRunning: this.isRunning,
+      activeJobs: this.activeJobs,
+      concurrency: this.concurrency,
+      jobs: Object.fromEntries(counts.map(entry => [entry._id, entry.count]))
+    };
+  }
+}
+
+// Create and export singleton instance
+const cvJobQueue = new CVJobQueue();
+export default cvJobQueue;
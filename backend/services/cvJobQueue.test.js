@@ -0,0 +1,183 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import CVJob from '../models/CVJob.js';
+import User from '../models/User.js';
+
+// security/ is outside backend/ in the repository, so its modules are virtual
+// mocks; jest 29 only finds virtual ES module mocks that are also registered
+// with jest.mock
+const AuditLogger = { log: jest.fn() };
+const SecurityManager = {
+  encryptSensitiveData: (text) => `encrypted:${text}`,
+  decryptSensitiveData: (text) => text.replace(/^encrypted:/, '')
+};
+jest.mock('../security/auditLogger.js', () => AuditLogger, { virtual: true });
+jest.unstable_mockModule('../security/auditLogger.js', () => ({ default: AuditLogger, AuditLogger }), { virtual: true });
+jest.mock('../security/encryption.js', () => ({ SecurityManager }), { virtual: true });
+jest.unstable_mockModule('../security/encryption.js', () => ({ SecurityManager }), { virtual: true });
+
+const CV_TEXT = [
+  'Thandi Nkosi',
+  'thandi@example.co.za | 082 555 0101 | Johannesburg',
+  'Experience',
+  'Software Developer, Acme (2019 - Present)',
+  '- Built React and Node.js services'
+].join('\n');
+
+const aiService = {
+  llm: { resolveModel: () => 'fixture', providerName: 'fixture' },
+  extractDocument: jest.fn(),
+  analyzeCVContent: jest.fn(),
+  enhanceCV: jest.fn(),
+  optimizeForATS: jest.fn(),
+  generateCoverLetterTemplate: jest.fn()
+};
+const cvRevisionService = { recordProcessingResult: jest.fn() };
+jest.unstable_mockModule('./aiServices.js', () => ({ default: aiService }));
+jest.unstable_mockModule('./cvRevisionService.js', () => ({ default: cvRevisionService }));
+
+const { CVJobQueue } = await import('./cvJobQueue.js');
+
+const retryable = (message) => Object.assign(new Error(message), { retryable: true });
+
+describe('CVJobQueue', () => {
+  let queue;
+  let job;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(CVJob.prototype, 'save').mockImplementation(async function() {
+      return this;
+    });
+    jest.spyOn(User, 'findByIdAndUpdate').mockResolvedValue({});
+    AuditLogger.log.mockReset();
+
+    aiService.extractDocument.mockReset().mockResolvedValue({ text: CV_TEXT, method: 'text' });
+    aiService.analyzeCVContent.mockReset().mockResolvedValue({ STRENGTHS_ANALYSIS: 'Clear progression' });
+    aiService.enhanceCV.mockReset().mockResolvedValue(`${CV_TEXT}\n- Led a team of four`);
+    aiService.optimizeForATS.mockReset().mockResolvedValue(`${CV_TEXT}\nSkills\nReact, Node.js`);
+    aiService.generateCoverLetterTemplate.mockReset().mockResolvedValue('Dear Hiring Manager');
+    cvRevisionService.recordProcessingResult.mockReset().mockResolvedValue({ enhanced: { _id: new mongoose.Types.ObjectId(), revisionNumber: 2 } });
+
+    queue = new CVJobQueue({ concurrency: 2, lockDuration: 60000, retryDelay: 1000 });
+    job = new CVJob({
+      userId: new mongoose.Types.ObjectId(),
+      targetIndustry: 'technology',
+      file: { originalName: 'cv.pdf', mimeType: 'application/pdf', size: 3, buffer: Buffer.from('pdf') },
+      status: 'processing',
+      attempts: 1
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('a job is claimed with a lease when it is due or its lease has run out', async () => {
+    const select = jest.fn().mockResolvedValue(job);
+    jest.spyOn(CVJob, 'findOneAndUpdate').mockReturnValue({ select });
+
+    await expect(queue.claimNext()).resolves.toBe(job);
+
+    const [filter, update, options] = CVJob.findOneAndUpdate.mock.calls[0];
+    const now = Date.now();
+    expect(filter.$or).toEqual([
+      { status: 'queued', nextRunAt: { $lte: expect.any(Date) } },
+      { status: 'processing', lockedUntil: { $lt: expect.any(Date) } }
+    ]);
+    expect(update).toMatchObject({ $set: { status: 'processing', lockedBy: queue.workerId }, $inc: { attempts: 1 } });
+    expect(update.$set.lockedUntil.getTime()).toBeGreaterThan(now + 59000);
+    expect(options).toMatchObject({ new: true, sort: { nextRunAt: 1 } });
+    expect(select).toHaveBeenCalledWith(expect.stringContaining('+file.buffer'));
+  });
+
+  test('a job runs every stage and completes', async () => {
+    const updates = [];
+    queue.subscribe(job._id, progress => updates.push(progress.status));
+
+    await queue.processJob(job);
+
+    expect(job).toMatchObject({ status: 'completed', progress: 100, lockedBy: undefined, lockedUntil: undefined });
+    expect(job.stages.every(stage => stage.status === 'completed' && stage.attempts === 1)).toBe(true);
+    expect(job.file.buffer).toBeUndefined();
+    expect(job.results.originalText).toBe(`encrypted:${CV_TEXT}`);
+    expect(job.results.atsReport).toHaveProperty('comparison');
+    expect(job.results.atsReport.sourceLayout).toEqual({ score: 100, findings: [] });
+    expect(updates.at(-1)).toBe('completed');
+    expect(User.findByIdAndUpdate).toHaveBeenCalledWith(job.userId, {
+      $set: expect.objectContaining({ 'cv.enhanced': expect.stringContaining('Skills'), 'cv.version': 2 })
+    });
+    expect(AuditLogger.log).toHaveBeenCalledWith('CV_PROCESSING_COMPLETED', expect.anything());
+  });
+
+  test('a retryable failure queues the job again with a growing delay', async () => {
+    aiService.enhanceCV.mockRejectedValue(retryable('rate limited'));
+
+    const before = Date.now();
+    await queue.processJob(job);
+
+    expect(job).toMatchObject({ status: 'queued', error: 'rate limited', lockedBy: undefined });
+    expect(job.getStage('enhance')).toMatchObject({ status: 'failed', error: 'rate limited' });
+    expect(job.nextRunAt.getTime()).toBeGreaterThanOrEqual(before + 1000);
+
+    job.attempts = 2;
+    await queue.processJob(job);
+    expect(job.nextRunAt.getTime()).toBeGreaterThanOrEqual(before + 2000);
+  });
+
+  test('a retried job resumes from the stage that failed', async () => {
+    aiService.enhanceCV.mockRejectedValueOnce(retryable('rate limited'));
+    await queue.processJob(job);
+
+    job.attempts = 2;
+    await queue.processJob(job);
+
+    expect(job.status).toBe('completed');
+    expect(aiService.extractDocument).toHaveBeenCalledTimes(1);
+    expect(aiService.analyzeCVContent).toHaveBeenCalledTimes(1);
+    expect(aiService.enhanceCV).toHaveBeenCalledTimes(2);
+    expect(job.getStage('enhance').attempts).toBe(2);
+  });
+
+  test('an error that will not go away fails the job at once', async () => {
+    aiService.extractDocument.mockResolvedValue({ text: 'too short', method: 'text' });
+
+    await queue.processJob(job);
+
+    expect(job).toMatchObject({ status: 'failed', error: 'CV text extraction failed or content too short' });
+    expect(job.file.buffer).toBeUndefined();
+    expect(AuditLogger.log).toHaveBeenCalledWith('CV_PROCESSING_FAILED', expect.objectContaining({
+      metadata: expect.objectContaining({ stage: 'extract', attempts: 1 })
+    }));
+  });
+
+  test('the last attempt fails the job for good', async () => {
+    aiService.analyzeCVContent.mockRejectedValue(retryable('overloaded'));
+    job.attempts = job.maxAttempts;
+
+    await queue.processJob(job);
+    expect(job.status).toBe('failed');
+  });
+
+  test('a worker takes no more jobs than its concurrency', async () => {
+    let release;
+    const running = new Promise(resolve => {
+      release = resolve;
+    });
+    jest.spyOn(queue, 'claimNext').mockResolvedValue(job);
+    jest.spyOn(queue, 'processJob').mockReturnValue(running);
+
+    queue.isRunning = true;
+    await queue.poll();
+
+    expect(queue.claimNext).toHaveBeenCalledTimes(2);
+    expect(queue.activeJobs).toBe(2);
+
+    release();
+    await running;
+    await new Promise(resolve => setImmediate(resolve));
+    expect(queue.activeJobs).toBe(0);
+    queue.isRunning = false;
+  });
+});
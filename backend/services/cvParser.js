@@ -0,0 +1,426 @@
+import gazetteer from './geo/gazetteer.js';
+
+// Rule-based parser that turns extracted CV text into the JSON Resume schema
+// (https://jsonresume.org/schema). It runs offline and deterministically so the
+// structured CV can be rebuilt at any time from a stored revision.
+export class CVParser {
+  constructor() {
+    this.version = '1.0';
+
+    this.sectionAliases = {
+      summary: ['summary', 'profile', 'professional summary', 'personal profile', 'career summary', 'career objective', 'objective', 'about me', 'professional profile'],
+      work: ['experience', 'work experience', 'employment history', 'employment', 'professional experience', 'career history', 'work history', 'relevant experience'],
+      education: ['education', 'qualifications', 'academic qualifications', 'education and training', 'academic background', 'tertiary education'],
+      skills: ['skills', 'key skills', 'technical skills', 'core competencies', 'competencies', 'computer skills', 'skills summary', 'areas of expertise'],
+      certificates: ['certifications', 'certificates', 'licences', 'licenses', 'courses', 'professional development', 'training', 'certifications and training'],
+      languages: ['languages', 'language proficiency'],
+      basics: ['personal details', 'personal information', 'contact', 'contact details', 'contact information'],
+      references: ['references', 'referees'],
+      interests: ['interests', 'hobbies', 'hobbies and interests']
+    };
+
+    this.headingLookup = new Map();
+    for (const [section, aliases] of Object.entries(this.sectionAliases)) {
+      aliases.forEach(alias => this.headingLookup.set(alias, section));
+    }
+
+    this.months = {
+      jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6,
+      jul: 7, aug: 8, sep: 9, oct: 10, nov: 11, dec: 12
+    };
+
+    const month = '(?:jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\\.?';
+    const dateToken = `(?:${month}\\s+\\d{4}|\\d{1,2}[/.-]\\d{4}|\\d{4}[/.-]\\d{1,2}|\\d{4})`;
+    const endToken = `(?:${dateToken}|present|current|now|date|to date)`;
+    this.dateRangePattern = new RegExp(`(${dateToken})\\s*(?:-|–|—|to|until)\\s*(${endToken})`, 'i');
+    this.singleDatePattern = new RegExp(`\\b(${dateToken})\\b`, 'i');
+
+    this.bulletPattern = /^(?:[-•*·▪►–]|\d+[.)])\s+/;
+    this.emailPattern = /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/;
+    this.phonePattern = /(?:\+27|0)[\s-]?\(?\d{2}\)?[\s-]?\d{3}[\s-]?\d{4}/;
+    this.urlPattern = /(?:https?:\/\/|www\.)[^\s,;]+|linkedin\.com\/[^\s,;]+|github\.com\/[^\s,;]+/gi;
+    this.institutionPattern = /\b(university|universiteit|college|school|institute|academy|unisa|tvet|technikon|polytechnic|campus)\b/i;
+    this.studyTypes = [
+      [/\bph\.?d\b|doctorate/i, 'PhD'],
+      [/\bmasters?\b|\bmba\b|\bm\.?sc\b|\bm\.?com\b/i, 'Masters'],
+      [/\bhonours\b|\bhons\b/i, 'Honours'],
+      [/\bbachelor|\bb\.?com\b|\bb\.?sc\b|\bb\.?a\b|\bb\.?tech\b|\bb\.?eng\b|\bllb\b|\bdegree\b/i, 'Bachelors'],
+      [/\bdiploma\b/i, 'Diploma'],
+      [/\bhigher certificate\b|\bcertificate\b/i, 'Certificate'],
+      [/\bmatric\b|national senior certificate|\bnsc\b|grade 12/i, 'Matric']
+    ];
+  }
+
+  normaliseHeading(line) {
+    return line.toLowerCase().replace(/[:\-–|]+$/, '').replace(/[^a-z& ]/g, '').replace(/\s+/g, ' ').trim();
+  }
+
+  // Known section names in any case, plus short all-caps lines
+  isSectionHeading(line) {
+    if (line.length > 40) return false;
+    if (this.headingLookup.has(this.normaliseHeading(line))) return true;
+
+    const words = line.replace(/:$/, '').split(/\s+/);
+    const isUpperCase = /[A-Z]/.test(line) && line === line.toUpperCase() && /^[A-Z0-9 &/,'-]+:?$/.test(line);
+    const isLabel = line.endsWith(':') && words.length <= 4 && !this.emailPattern.test(line);
+
+    return isUpperCase || isLabel;
+  }
+
+  splitLines(text) {
+    return (text || '')
+      .split(/\r?\n/)
+      .map(line => line.replace(/\s+/g, ' ').trim())
+      .filter(line => line.length > 0);
+  }
+
+  splitSections(text) {
+    const sections = { header: [] };
+    const unknown = [];
+    let current = 'header';
+
+    for (const line of this.splitLines(text)) {
+      const section = this.headingLookup.get(this.normaliseHeading(line));
+
+      // Names are often written in capitals, so the header only ends at a known section
+      if (section || (current !== 'header' && this.isSectionHeading(line))) {
+        current = section || 'other';
+        if (!section) unknown.push(line.replace(/:$/, ''));
+        sections[current] = sections[current] || [];
+        continue;
+      }
+      sections[current].push(line);
+    }
+
+    return { sections, unknown };
+  }
+
+  parse(text) {
+    const { sections, unknown } = this.splitSections(text);
+
+    const resume = {
+      basics: this.parseBasics(text, sections),
+      work: this.parseWork(sections.work || []),
+      education: this.parseEducation(sections.education || []),
+      skills: this.parseSkills(sections.skills || []),
+      certificates: this.parseCertificates(sections.certificates || []),
+      languages: this.parseLanguages(sections.languages || []),
+      interests: this.parseList(sections.interests || []).map(name => ({ name })),
+      meta: {
+        parser: 'careerboost-cv-parser',
+        version: this.version,
+        lastModified: new Date().toISOString(),
+        detectedSections: Object.keys(sections).filter(key => key !== 'header' && sections[key].length > 0),
+        unrecognisedSections: unknown
+      }
+    };
+
+    resume.meta.completeness = this.calculateCompleteness(resume);
+    return resume;
+  }
+
+  parseBasics(text, sections) {
+    const email = text.match(this.emailPattern)?.[0] || '';
+    const phone = text.match(this.phonePattern)?.[0]?.replace(/[\s()-]/g, '') || '';
+    const urls = [...new Set(text.match(this.urlPattern) || [])];
+    const headerLines = [...sections.header, ...(sections.basics || [])];
+
+    const profiles = urls
+      .filter(url => /linkedin|github/i.test(url))
+      .map(url => ({
+        network: /linkedin/i.test(url) ? 'LinkedIn' : 'GitHub',
+        url: url.startsWith('http') ? url : `https://${url}`
+      }));
+    const website = urls.find(url => !/linkedin|github/i.test(url)) || '';
+
+    return {
+      name: this.findName(headerLines),
+      label: this.findLabel(headerLines),
+      email,
+      phone,
+      url: website,
+      summary: (sections.summary || []).join(' '),
+      location: this.findLocation(headerLines),
+      profiles
+    };
+  }
+
+  isContactLine(line) {
+    return this.emailPattern.test(line) || this.phonePattern.test(line) || /https?:\/\/|www\.|linkedin/i.test(line);
+  }
+
+  findName(lines) {
+    const labelled = lines.find(line => /^(full )?name\s*:/i.test(line));
+    if (labelled) return labelled.split(':').slice(1).join(':').trim();
+
+    const candidate = lines.find(line =>
+      !this.isContactLine(line) &&
+      /^[A-Za-z'’ .-]+$/.test(line) &&
+      line.split(' ').length >= 2 &&
+      line.split(' ').length <= 4
+    );
+    return candidate ? this.toTitleCase(candidate) : '';
+  }
+
+  // The line under the name is usually the candidate's current title
+  findLabel(lines) {
+    const nameIndex = lines.findIndex(line => this.toTitleCase(line) === this.findName(lines));
+    const next = nameIndex >= 0 ? lines[nameIndex + 1] : null;
+    if (next && !this.isContactLine(next) && !next.includes(':') && next.split(' ').length <= 6) {
+      return next;
+    }
+    return '';
+  }
+
+  findLocation(lines) {
+    const labelled = lines.find(line => /^(address|location|city|residential address)\s*:/i.test(line));
+    const address = labelled
+      ? labelled.split(':').slice(1).join(':').trim()
+      : this.findUnlabelledAddress(lines);
+    const parts = address.split(',')
+      .map(part => part.trim())
+      .filter(part => part && !/^\d+$/.test(part) && !/^south africa$/i.test(part));
+
+    // Suburbs are reported as their city, towns as themselves
+    const place = gazetteer.resolve(address);
+    if (place) {
+      return {
+        address,
+        city: place.type === 'province' ? '' : place.type === 'suburb' ? place.city : place.name,
+        region: place.province,
+        countryCode: 'ZA'
+      };
+    }
+
+    return {
+      address,
+      city: parts.length > 0 ? parts[parts.length - 1] : '',
+      region: '',
+      countryCode: 'ZA'
+    };
+  }
+
+  // A header line (or part of one) made up of known places, e.g. "Sandton,
+  // Johannesburg" on its own or "082 123 4567 | Cape Town" with the contacts
+  findUnlabelledAddress(lines) {
+    for (const line of lines) {
+      if (line.length > 100 || line.includes(':')) continue;
+
+      const part = line.split(/\s*[|•·]\s*/).find(segment => {
+        if (!segment || this.isContactLine(segment)) return false;
+        const last = segment.split(',').map(piece => piece.trim()).filter(piece => piece && !/^(\d+|south africa)$/i.test(piece)).pop();
+        return gazetteer.isPlaceName(last);
+      });
+      if (part) return part.trim();
+    }
+    return '';
+  }
+
+  isBullet(line) {
+    return this.bulletPattern.test(line);
+  }
+
+  stripBullet(line) {
+    return line.replace(this.bulletPattern, '').trim();
+  }
+
+  // ISO 8601 partial dates as used by JSON Resume (YYYY-MM or YYYY)
+  parseDate(token) {
+    if (!token) return '';
+    const value = token.toLowerCase().trim();
+
+    if (/^(present|current|now|date|to date)$/.test(value)) return '';
+
+    const monthYear = value.match(/^([a-z]+)\.?\s+(\d{4})$/);
+    if (monthYear) {
+      const month = this.months[monthYear[1].substring(0, 3)];
+      return month ? `${monthYear[2]}-${String(month).padStart(2, '0')}` : monthYear[2];
+    }
+
+    const numericMonthFirst = value.match(/^(\d{1,2})[/.-](\d{4})$/);
+    if (numericMonthFirst) return `${numericMonthFirst[2]}-${numericMonthFirst[1].padStart(2, '0')}`;
+
+    const numericYearFirst = value.match(/^(\d{4})[/.-](\d{1,2})$/);
+    if (numericYearFirst) return `${numericYearFirst[1]}-${numericYearFirst[2].padStart(2, '0')}`;
+
+    const year = value.match(/^\d{4}$/);
+    return year ? year[0] : '';
+  }
+
+  extractDateRange(line) {
+    const range = line.match(this.dateRangePattern);
+    if (range) {
+      return {
+        startDate: this.parseDate(range[1]),
+        endDate: this.parseDate(range[2]),
+        isCurrent: /present|current|now|date/i.test(range[2]),
+        remainder: line.replace(range[0], '').replace(/[|,()–-]+\s*$/, '').replace(/^\s*[|,()–-]+/, '').trim()
+      };
+    }
+    return null;
+  }
+
+  // Group section lines into entries that each start at a line containing a date range
+  groupEntries(lines) {
+    const entries = [];
+    let pending = [];
+    let current = null;
+
+    for (const line of lines) {
+      const range = this.extractDateRange(line);
+
+      if (range) {
+        // At most two plain lines directly above a date belong to the new entry's header
+        const header = pending.slice(-2);
+        if (current) current.details.push(...pending.slice(0, -2));
+        current = { header: [...header, range.remainder].filter(Boolean), range, details: [] };
+        entries.push(current);
+        pending = [];
+      } else if (this.isBullet(line) && current) {
+        current.details.push(...pending, line);
+        pending = [];
+      } else {
+        pending.push(line);
+      }
+    }
+
+    if (current) {
+      current.details.push(...pending);
+    } else if (pending.length > 0) {
+      entries.push({ header: pending.slice(0, 2), range: null, details: pending.slice(2) });
+    }
+
+    return entries;
+  }
+
+  splitHeader(header) {
+    if (header.length >= 2) {
+      return [header[0], header[1]];
+    }
+
+    const line = header[0] || '';
+    const atMatch = line.match(/^(.+?)\s+at\s+(.+)$/i);
+    if (atMatch) return [atMatch[1], atMatch[2]];
+
+    const parts = line.split(/\s+[|–—-]\s+|,\s+/).map(part => part.trim()).filter(Boolean);
+    return [parts[0] || '', parts.slice(1).join(', ')];
+  }
+
+  parseWork(lines) {
+    return this.groupEntries(lines).map(entry => {
+      const [position, company] = this.splitHeader(entry.header);
+      const highlights = entry.details.filter(line => this.isBullet(line)).map(line => this.stripBullet(line));
+      const summary = entry.details.filter(line => !this.isBullet(line)).join(' ');
+
+      return {
+        name: company,
+        position,
+        startDate: entry.range?.startDate || '',
+        endDate: entry.range?.endDate || '',
+        isCurrent: entry.range?.isCurrent || false,
+        summary,
+        highlights
+      };
+    });
+  }
+
+  parseEducation(lines) {
+    return this.groupEntries(lines).map(entry => {
+      const headerText = [...entry.header, ...entry.details.filter(line => !this.isBullet(line))];
+      const institution = headerText.find(line => this.institutionPattern.test(line)) || '';
+      const qualification = headerText.find(line => line !== institution) || '';
+      const studyType = this.studyTypes.find(([pattern]) => pattern.test(qualification))?.[1] || '';
+      const area = qualification.match(/\b(?:in|of)\s+(.+)$/i)?.[1] || '';
+      const endOnly = !entry.range ? headerText.join(' ').match(this.singleDatePattern)?.[1] : null;
+
+      return {
+        institution: institution
+          .replace(this.dateRangePattern, '')
+          .replace(this.singleDatePattern, '')
+          .replace(/[\s,|()–-]+$/, '')
+          .trim(),
+        area,
+        studyType,
+        qualification,
+        startDate: entry.range?.startDate || '',
+        endDate: entry.range?.endDate || this.parseDate(endOnly),
+        courses: entry.details.filter(line => this.isBullet(line)).map(line => this.stripBullet(line))
+      };
+    });
+  }
+
+  parseList(lines) {
+    return lines
+      .flatMap(line => this.stripBullet(line).split(/\s*[,;|•]\s*/))
+      .map(item => item.trim())
+      .filter(item => item.length > 0 && item.length <= 60);
+  }
+
+  parseSkills(lines) {
+    const groups = [];
+    const ungrouped = [];
+
+    for (const line of lines) {
+      const categorised = this.stripBullet(line).match(/^([^:]{2,40}):\s*(.+)$/);
+      if (categorised) {
+        groups.push({ name: categorised[1].trim(), level: '', keywords: this.parseList([categorised[2]]) });
+      } else {
+        ungrouped.push(...this.parseList([line]));
+      }
+    }
+
+    return [
+      ...groups,
+      ...[...new Set(ungrouped)].map(name => ({ name, level: '', keywords: [] }))
+    ];
+  }
+
+  parseCertificates(lines) {
+    return lines.map(line => this.stripBullet(line)).map(line => {
+      const date = line.match(this.singleDatePattern)?.[1];
+      // Removing the year can leave the separator before it behind ("SAICA, 2019")
+      const text = line.replace(/\(?\b\d{4}\b\)?/g, '').replace(/[\s,;:|–—-]+$/, '').trim();
+      const [name, issuer] = text.split(/\s+[|–—-]\s+|,\s+/).map(part => (part || '').replace(/[\s,;:|–—-]+$/, '').trim());
+
+      return {
+        name: name || '',
+        issuer: issuer || '',
+        date: this.parseDate(date)
+      };
+    }).filter(certificate => certificate.name);
+  }
+
+  parseLanguages(lines) {
+    return this.parseList(lines).map(item => {
+      const match = item.match(/^([A-Za-z]+)\s*(?:[-–:(]\s*([A-Za-z ]+)\)?)?$/);
+      return {
+        language: match ? match[1] : item,
+        fluency: match?.[2]?.trim() || ''
+      };
+    });
+  }
+
+  calculateCompleteness(resume) {
+    const checks = [
+      Boolean(resume.basics.name),
+      Boolean(resume.basics.email),
+      Boolean(resume.basics.phone),
+      Boolean(resume.basics.summary),
+      resume.work.length > 0,
+      resume.work.some(job => job.startDate),
+      resume.education.length > 0,
+      resume.skills.length > 0
+    ];
+    return Math.round((checks.filter(Boolean).length / checks.length) * 100);
+  }
+
+  toTitleCase(value) {
+    return value
+      .toLowerCase()
+      .replace(/\b([a-z])/g, letter => letter.toUpperCase());
+  }
+}
+
+// Create and export singleton instance
+const cvParser = new CVParser();
+export default cvParser;
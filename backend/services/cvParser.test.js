@@ -0,0 +1,133 @@
+import cvParser from './cvParser.js';
+
+const CV = `THANDI NKOSI
+Senior Software Developer
+thandi.nkosi@example.co.za | 082 123 4567 | Sandton, Johannesburg
+linkedin.com/in/thandinkosi
+
+PROFESSIONAL SUMMARY
+Full stack developer with eight years of experience building payment systems.
+
+WORK EXPERIENCE
+Senior Software Developer
+Acme Payments
+Mar 2020 - Present
+- Led the move to event-driven settlement
+- Mentored four junior developers
+Software Developer at Bright Bank
+Jan 2016 - Feb 2020
+Built internet banking features.
+
+EDUCATION
+BSc in Computer Science
+University of the Witwatersrand
+2012 - 2015
+Matric, Parktown High School, 2011
+
+SKILLS
+Languages: JavaScript, TypeScript, Python
+Node.js, React, MongoDB
+
+CERTIFICATIONS
+AWS Certified Developer | Amazon | 2021
+Chartered Accountant (CA(SA)) - SAICA, 2019
+
+LANGUAGES
+English - Fluent
+isiZulu (Native)
+
+VOLUNTEERING
+Code mentor at a township coding club
+
+HOBBIES
+Running, chess`;
+
+describe('CVParser', () => {
+  const resume = cvParser.parse(CV);
+
+  test('keeps a capitalised name in the header', () => {
+    expect(resume.basics).toMatchObject({
+      name: 'Thandi Nkosi',
+      label: 'Senior Software Developer',
+      email: 'thandi.nkosi@example.co.za',
+      phone: '0821234567',
+      summary: 'Full stack developer with eight years of experience building payment systems.'
+    });
+    expect(resume.basics.location).toMatchObject({ city: 'Johannesburg', region: 'Gauteng', countryCode: 'ZA' });
+    expect(resume.basics.profiles).toEqual([{ network: 'LinkedIn', url: 'https://linkedin.com/in/thandinkosi' }]);
+  });
+
+  test('splits known and unknown sections', () => {
+    expect(resume.meta.detectedSections).toEqual(expect.arrayContaining([
+      'summary', 'work', 'education', 'skills', 'certificates', 'languages', 'interests', 'other'
+    ]));
+    expect(resume.meta.unrecognisedSections).toEqual(['VOLUNTEERING']);
+  });
+
+  test('work entries start at their date range', () => {
+    expect(resume.work).toEqual([
+      expect.objectContaining({
+        position: 'Senior Software Developer',
+        name: 'Acme Payments',
+        startDate: '2020-03',
+        endDate: '',
+        isCurrent: true,
+        highlights: ['Led the move to event-driven settlement', 'Mentored four junior developers']
+      }),
+      expect.objectContaining({
+        position: 'Software Developer',
+        name: 'Bright Bank',
+        startDate: '2016-01',
+        endDate: '2020-02',
+        isCurrent: false,
+        summary: 'Built internet banking features.'
+      })
+    ]);
+  });
+
+  test('education', () => {
+    expect(resume.education[0]).toMatchObject({
+      institution: 'University of the Witwatersrand',
+      studyType: 'Bachelors',
+      area: 'Computer Science',
+      startDate: '2012',
+      endDate: '2015'
+    });
+  });
+
+  test('skills with and without a category', () => {
+    expect(resume.skills).toEqual([
+      { name: 'Languages', level: '', keywords: ['JavaScript', 'TypeScript', 'Python'] },
+      { name: 'Node.js', level: '', keywords: [] },
+      { name: 'React', level: '', keywords: [] },
+      { name: 'MongoDB', level: '', keywords: [] }
+    ]);
+  });
+
+  test('certificates keep the issuer without the separator before the year', () => {
+    expect(resume.certificates).toEqual([
+      { name: 'AWS Certified Developer', issuer: 'Amazon', date: '2021' },
+      { name: 'Chartered Accountant (CA(SA))', issuer: 'SAICA', date: '2019' }
+    ]);
+  });
+
+  test('languages and interests', () => {
+    expect(resume.languages).toEqual([
+      { language: 'English', fluency: 'Fluent' },
+      { language: 'isiZulu', fluency: 'Native' }
+    ]);
+    expect(resume.interests).toEqual([{ name: 'Running' }, { name: 'chess' }]);
+  });
+
+  test('a labelled name wins over the first line', () => {
+    const labelled = cvParser.parse('CURRICULUM VITAE\nName: Sipho Dlamini\nPhone: 0831234567');
+    expect(labelled.basics.name).toBe('Sipho Dlamini');
+  });
+
+  test('dates', () => {
+    expect(cvParser.parseDate('Sept 2019')).toBe('2019-09');
+    expect(cvParser.parseDate('03/2018')).toBe('2018-03');
+    expect(cvParser.parseDate('2018-7')).toBe('2018-07');
+    expect(cvParser.parseDate('Present')).toBe('');
+  });
+});
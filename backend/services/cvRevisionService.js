@@ -0,0 +1,274 @@
+import CVRevision from '../models/CVRevision.js';
+import User from '../models/User.js';
+import cvParser from './cvParser.js';
+import { SecurityManager } from '../security/encryption.js';
+import AuditLogger from '../security/auditLogger.js';
+
+export class CVRevisionService {
+  constructor() {
+    // LCS diffing is quadratic; beyond this many line pairs fall back to set comparison
+    this.maxDiffCells = 4000000;
+  }
+
+  async createRevision(data, attempt = 1) {
+    try {
+      const revisionNumber = await CVRevision.nextRevisionNumber(data.userId);
+      const revision = new CVRevision({ ...data, revisionNumber });
+      return await revision.save();
+    } catch (error) {
+      // Two revisions for the same user raced for the same number
+      if (error.code === 11000 && attempt < 3) {
+        return this.createRevision(data, attempt + 1);
+      }
+      throw error;
+    }
+  }
+
+  // Store both the uploaded original and the AI rewrite produced by a CV job
+  async recordProcessingResult(job) {
+    const { results } = job;
+
+    const upload = await this.createRevision({
+      userId: job.userId,
+      kind: 'upload',
+      content: results.originalText,
+      structured: results.structured,
+      industry: job.targetIndustry,
+      source: {
+        cvJobId: job._id,
+        fileName: job.file.originalName,
+        mimeType: job.file.mimeType,
+        extractionMethod: results.extraction?.method,
+        ocrConfidence: results.extraction?.confidence
+      }
+    });
+
+    const enhanced = await this.createRevision({
+      userId: job.userId,
+      kind: 'enhanced',
+      parentRevision: upload._id,
+      content: results.atsOptimizedCV,
+      coverLetter: results.coverLetter,
+      industry: job.targetIndustry,
+      analysis: results.analysis,
+      atsReport: results.atsReport?.after,
+      aiModel: {
+        name: job.metadata?.modelUsed,
+        provider: job.metadata?.provider
+      },
+      source: { cvJobId: job._id }
+    });
+
+    return { upload, enhanced };
+  }
+
+  async listRevisions(userId, { page = 1, limit = 20 } = {}) {
+    const skip = (page - 1) * limit;
+
+    const [revisions, total] = await Promise.all([
+      CVRevision.find({ userId })
+        .sort({ revisionNumber: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      CVRevision.countDocuments({ userId })
+    ]);
+
+    return { revisions: revisions.map(revision => revision.toSummary()), total };
+  }
+
+  async getRevision(userId, revisionId) {
+    return CVRevision.findOne({ _id: revisionId, userId }).select('+content +coverLetter +structured');
+  }
+
+  getContent(revision) {
+    return SecurityManager.decryptSensitiveData(revision.content) || '';
+  }
+
+  async diffRevisions(userId, fromId, toId) {
+    const [from, to] = await Promise.all([
+      this.getRevision(userId, fromId),
+      this.getRevision(userId, toId)
+    ]);
+
+    if (!from || !to) {
+      return null;
+    }
+
+    const fromText = this.getContent(from);
+    const toText = this.getContent(to);
+
+    return {
+      from: from.toSummary(),
+      to: to.toSummary(),
+      lines: this.diffLines(fromText, toText),
+      sections: this.diffSections(fromText, toText)
+    };
+  }
+
+  async restoreRevision(userId, revisionId) {
+    const revision = await this.getRevision(userId, revisionId);
+    if (!revision) {
+      return null;
+    }
+
+    const update = {
+      'cv.currentRevision': revision._id,
+      'cv.version': revision.revisionNumber,
+      'cv.lastUpdated': new Date()
+    };
+
+    if (revision.kind === 'enhanced') {
+      const parent = revision.parentRevision
+        ? await this.getRevision(userId, revision.parentRevision)
+        : null;
+
+      update['cv.enhanced'] = revision.content;
+      update['cv.coverLetter'] = revision.coverLetter;
+      if (parent) {
+        update['cv.original'] = parent.content;
+        update['cv.structured'] = parent.structured || cvParser.parse(this.getContent(parent));
+      }
+    } else if (revision.kind === 'tailored') {
+      // A CV written for one job becomes the main CV; the upload behind it stays
+      update['cv.enhanced'] = revision.content;
+      update['cv.coverLetter'] = revision.coverLetter;
+    } else {
+      // An original upload has no rewrite of its own until it is processed again
+      update['cv.original'] = revision.content;
+      update['cv.structured'] = revision.structured || cvParser.parse(this.getContent(revision));
+      update['cv.enhanced'] = null;
+      update['cv.coverLetter'] = null;
+    }
+
+    if (revision.industry) {
+      update['profile.preferredIndustry'] = revision.industry;
+    }
+
+    await User.findByIdAndUpdate(userId, { $set: update });
+
+    revision.restoredAt.push(new Date());
+    await revision.save();
+
+    await AuditLogger.log('CV_REVISION_RESTORED', {
+      resource: 'cv',
+      resourceId: revision._id.toString(),
+      userId,
+      metadata: {
+        revisionNumber: revision.revisionNumber,
+        kind: revision.kind
+      }
+    });
+
+    return revision;
+  }
+
+  splitLines(text) {
+    return (text || '')
+      .split(/\r?\n/)
+      .map(line => line.trim())
+      .filter(line => line.length > 0);
+  }
+
+  // Line-level diff based on the longest common subsequence
+  diffLines(fromText, toText) {
+    const a = this.splitLines(fromText);
+    const b = this.splitLines(toText);
+    const operations = [];
+
+    if (a.length * b.length > this.maxDiffCells) {
+      const inB = new Set(b);
+      const inA = new Set(a);
+      a.filter(line => !inB.has(line)).forEach(line => operations.push({ type: 'removed', line }));
+      b.forEach(line => operations.push({ type: inA.has(line) ? 'unchanged' : 'added', line }));
+      return { operations, stats: this.countOperations(operations) };
+    }
+
+    const table = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+    for (let i = a.length - 1; i >= 0; i--) {
+      for (let j = b.length - 1; j >= 0; j--) {
+        table[i][j] = a[i] === b[j]
+          ? table[i + 1][j + 1] + 1
+          : Math.max(table[i + 1][j], table[i][j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+      if (a[i] === b[j]) {
+        operations.push({ type: 'unchanged', line: a[i] });
+        i++;
+        j++;
+      } else if (table[i + 1][j] >= table[i][j + 1]) {
+        operations.push({ type: 'removed', line: a[i++] });
+      } else {
+        operations.push({ type: 'added', line: b[j++] });
+      }
+    }
+    while (i < a.length) operations.push({ type: 'removed', line: a[i++] });
+    while (j < b.length) operations.push({ type: 'added', line: b[j++] });
+
+    return { operations, stats: this.countOperations(operations) };
+  }
+
+  countOperations(operations) {
+    return operations.reduce((stats, operation) => {
+      stats[operation.type] += 1;
+      return stats;
+    }, { added: 0, removed: 0, unchanged: 0 });
+  }
+
+  // Split CV text into sections keyed by their (normalised) heading
+  splitSections(text) {
+    const sections = new Map();
+    let current = { key: 'header', title: 'Header', lines: [] };
+    sections.set(current.key, current);
+
+    for (const line of this.splitLines(text)) {
+      if (cvParser.isSectionHeading(line)) {
+        const title = line.replace(/:$/, '').trim();
+        // 'Work Experience' and 'EMPLOYMENT HISTORY' compare as the same section
+        const key = cvParser.headingLookup.get(cvParser.normaliseHeading(line)) || title.toLowerCase();
+        current = sections.get(key) || { key, title, lines: [] };
+        sections.set(key, current);
+      } else {
+        current.lines.push(line);
+      }
+    }
+
+    if (sections.get('header').lines.length === 0) {
+      sections.delete('header');
+    }
+
+    return sections;
+  }
+
+  diffSections(fromText, toText) {
+    const fromSections = this.splitSections(fromText);
+    const toSections = this.splitSections(toText);
+    const keys = [...new Set([...fromSections.keys(), ...toSections.keys()])];
+
+    return keys.map(key => {
+      const before = fromSections.get(key);
+      const after = toSections.get(key);
+
+      if (!before) {
+        return { section: after.title, status: 'added', stats: { added: after.lines.length, removed: 0, unchanged: 0 } };
+      }
+      if (!after) {
+        return { section: before.title, status: 'removed', stats: { added: 0, removed: before.lines.length, unchanged: 0 } };
+      }
+
+      const { stats } = this.diffLines(before.lines.join('\n'), after.lines.join('\n'));
+      return {
+        section: after.title,
+        status: stats.added === 0 && stats.removed === 0 ? 'unchanged' : 'modified',
+        stats
+      };
+    });
+  }
+}
+
+// Create and export singleton instance
+const cvRevisionService = new CVRevisionService();
+export default cvRevisionService;
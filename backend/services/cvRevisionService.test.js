@@ -0,0 +1,166 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import CVRevision from '../models/CVRevision.js';
+import User from '../models/User.js';
+
+// security/ is outside backend/ in the repository, so its modules are virtual
+// mocks; jest 29 only finds virtual ES module mocks that are also registered
+// with jest.mock
+const AuditLogger = { log: jest.fn() };
+const SecurityManager = { decryptSensitiveData: (content) => content };
+jest.mock('../security/auditLogger.js', () => AuditLogger, { virtual: true });
+jest.unstable_mockModule('../security/auditLogger.js', () => ({ default: AuditLogger, AuditLogger }), { virtual: true });
+jest.mock('../security/encryption.js', () => ({ SecurityManager }), { virtual: true });
+jest.unstable_mockModule('../security/encryption.js', () => ({ SecurityManager }), { virtual: true });
+
+const { CVRevisionService } = await import('./cvRevisionService.js');
+
+const ORIGINAL = [
+  'Thandi Nkosi',
+  'Work Experience',
+  'Developer at Acme',
+  'Wrote code',
+  'Education',
+  'BSc, Wits'
+].join('\n');
+
+const ENHANCED = [
+  'Thandi Nkosi',
+  'Professional Summary',
+  'Developer with six years of experience',
+  'EMPLOYMENT HISTORY',
+  'Developer at Acme',
+  'Built Node.js services used by 40 000 customers',
+  'Education',
+  'BSc, Wits'
+].join('\n');
+
+describe('CVRevisionService diffs', () => {
+  const service = new CVRevisionService();
+
+  test('diffLines keeps the common lines in order and marks the rest', () => {
+    const { operations, stats } = service.diffLines('a\nb\nc\nd', 'a\nc\nx\nd');
+
+    expect(operations).toEqual([
+      { type: 'unchanged', line: 'a' },
+      { type: 'removed', line: 'b' },
+      { type: 'unchanged', line: 'c' },
+      { type: 'added', line: 'x' },
+      { type: 'unchanged', line: 'd' }
+    ]);
+    expect(stats).toEqual({ added: 1, removed: 1, unchanged: 3 });
+  });
+
+  test('blank lines and indentation do not count as changes', () => {
+    expect(service.diffLines('a\n\n  b', 'a\nb\n').stats).toEqual({ added: 0, removed: 0, unchanged: 2 });
+  });
+
+  test('very long texts are compared as sets of lines', () => {
+    const small = new CVRevisionService();
+    small.maxDiffCells = 4;
+
+    expect(small.diffLines('a\nb\nc', 'c\nb\nx').stats).toEqual({ added: 1, removed: 1, unchanged: 2 });
+  });
+
+  test('diffSections matches sections by meaning, not by heading text', () => {
+    expect(service.diffSections(ORIGINAL, ENHANCED)).toEqual([
+      { section: 'Header', status: 'unchanged', stats: { added: 0, removed: 0, unchanged: 1 } },
+      { section: 'EMPLOYMENT HISTORY', status: 'modified', stats: { added: 1, removed: 1, unchanged: 1 } },
+      { section: 'Education', status: 'unchanged', stats: { added: 0, removed: 0, unchanged: 1 } },
+      { section: 'Professional Summary', status: 'added', stats: { added: 1, removed: 0, unchanged: 0 } }
+    ]);
+  });
+});
+
+describe('CVRevisionService revisions', () => {
+  const service = new CVRevisionService();
+  const userId = new mongoose.Types.ObjectId();
+  let revisions;
+
+  const revision = (fields) => {
+    const document = new CVRevision({ userId, industry: 'technology', ...fields });
+    revisions.set(String(document._id), document);
+    return document;
+  };
+
+  beforeEach(() => {
+    revisions = new Map();
+    AuditLogger.log.mockReset();
+    jest.spyOn(CVRevision, 'findOne').mockImplementation(({ _id, userId: owner }) => ({
+      select: async () => {
+        const found = revisions.get(String(_id));
+        return found && found.userId.equals(owner) ? found : null;
+      }
+    }));
+    jest.spyOn(CVRevision.prototype, 'save').mockImplementation(async function() {
+      return this;
+    });
+    jest.spyOn(User, 'findByIdAndUpdate').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('diffRevisions compares two of the user\'s revisions', async () => {
+    const upload = revision({ kind: 'upload', revisionNumber: 1, content: ORIGINAL });
+    const enhanced = revision({ kind: 'enhanced', revisionNumber: 2, content: ENHANCED, parentRevision: upload._id });
+
+    const diff = await service.diffRevisions(userId, upload._id, enhanced._id);
+    expect(diff.from).toMatchObject({ revisionNumber: 1, kind: 'upload' });
+    expect(diff.to).toMatchObject({ revisionNumber: 2, kind: 'enhanced' });
+    expect(diff.lines.stats).toEqual({ added: 4, removed: 2, unchanged: 4 });
+  });
+
+  test('diffRevisions finds nothing for another user\'s revision', async () => {
+    const mine = revision({ kind: 'upload', revisionNumber: 1, content: ORIGINAL });
+    const theirs = revision({ kind: 'upload', revisionNumber: 1, content: ENHANCED, userId: new mongoose.Types.ObjectId() });
+
+    await expect(service.diffRevisions(userId, mine._id, theirs._id)).resolves.toBeNull();
+  });
+
+  test('restoring a rewrite brings back the upload it came from', async () => {
+    const upload = revision({ kind: 'upload', revisionNumber: 1, content: ORIGINAL, structured: { basics: { name: 'Thandi Nkosi' } } });
+    const enhanced = revision({ kind: 'enhanced', revisionNumber: 2, content: ENHANCED, coverLetter: 'Dear Hiring Manager', parentRevision: upload._id });
+
+    await service.restoreRevision(userId, enhanced._id);
+
+    expect(User.findByIdAndUpdate).toHaveBeenCalledWith(userId, {
+      $set: expect.objectContaining({
+        'cv.currentRevision': enhanced._id,
+        'cv.version': 2,
+        'cv.enhanced': ENHANCED,
+        'cv.coverLetter': 'Dear Hiring Manager',
+        'cv.original': ORIGINAL,
+        'cv.structured': { basics: { name: 'Thandi Nkosi' } },
+        'profile.preferredIndustry': 'technology'
+      })
+    });
+    expect(enhanced.restoredAt).toHaveLength(1);
+    expect(AuditLogger.log).toHaveBeenCalledWith('CV_REVISION_RESTORED', expect.objectContaining({
+      metadata: { revisionNumber: 2, kind: 'enhanced' }
+    }));
+  });
+
+  test('restoring an upload clears the rewrite and parses it again if needed', async () => {
+    const upload = revision({ kind: 'upload', revisionNumber: 1, content: ORIGINAL });
+
+    await service.restoreRevision(userId, upload._id);
+
+    const [, { $set }] = User.findByIdAndUpdate.mock.calls[0];
+    expect($set).toMatchObject({ 'cv.original': ORIGINAL, 'cv.enhanced': null, 'cv.coverLetter': null });
+    expect($set['cv.structured'].basics.name).toBe('Thandi Nkosi');
+  });
+
+  test('an unknown revision is not restored', async () => {
+    await expect(service.restoreRevision(userId, new mongoose.Types.ObjectId())).resolves.toBeNull();
+    expect(User.findByIdAndUpdate).not.toHaveBeenCalled();
+  });
+
+  test('a revision number taken by a concurrent save is retried with the next one', async () => {
+    jest.spyOn(CVRevision, 'nextRevisionNumber').mockResolvedValueOnce(3).mockResolvedValueOnce(4);
+    CVRevision.prototype.save.mockRejectedValueOnce(Object.assign(new Error('duplicate key'), { code: 11000 }));
+
+    await expect(service.createRevision({ userId, kind: 'upload', content: ORIGINAL })).resolves.toMatchObject({ revisionNumber: 4 });
+  });
+});
@@ -0,0 +1,226 @@
+import CVRevision from '../models/CVRevision.js';
+import User from '../models/User.js';
+import Job from '../models/Job.js';
+import aiService from './aiServices.js';
+import atsScorer from './atsScorer.js';
+import cvParser from './cvParser.js';
+import cvRevisionService from './cvRevisionService.js';
+import { SecurityManager } from '../security/encryption.js';
+import AuditLogger from '../security/auditLogger.js';
+
+// Submission states after which the application engine has already sent the
+// CV and letter, so a new tailored pair would misrepresent what went out
+const SENT_SUBMISSIONS = ['submitting', 'submitted'];
+
+function tailorError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Writes a CV variant and cover letter for one job. The advert is read with
+// analyzeJobDescription, its required and preferred skills are checked
+// against the CV, and the rewrite is told which ones the candidate shows and
+// which ones not to claim. The pair is kept as a 'tailored' CV revision with
+// the matched keywords (and the CV lines they appear on) and the gaps, and is
+// linked to the user's application for the job.
+export class CVTailor {
+  constructor(options = {}) {
+    this.writer = options.writer || aiService;
+    this.maxHighlightLines = 3;
+  }
+
+  jobText(job) {
+    return [job.title, job.description, ...(job.requirements || [])]
+      .filter(Boolean)
+      .join('\n');
+  }
+
+  // The analysis' skills plus the explicit skills the ATS scorer uses; a
+  // keyword is only preferred if the advert does not also require it
+  keywordsFor(job, jobAnalysis) {
+    const required = atsScorer.uniqueKeywords([
+      ...(jobAnalysis.requiredSkills || []),
+      ...atsScorer.extractJobKeywords(job)
+    ]);
+    const preferred = atsScorer.uniqueKeywords(jobAnalysis.preferredSkills || [])
+      .filter(keyword => !required.includes(keyword));
+
+    return { required, preferred };
+  }
+
+  compareKeywords(text, keywords) {
+    const lines = cvParser.splitLines(text);
+    const highlights = [];
+    const gaps = [];
+
+    for (const importance of ['required', 'preferred']) {
+      for (const keyword of keywords[importance]) {
+        const found = lines.filter(line => atsScorer.containsKeyword(line, keyword));
+        if (found.length > 0) {
+          highlights.push({ keyword, importance, lines: found.slice(0, this.maxHighlightLines) });
+        } else {
+          gaps.push({ keyword, importance });
+        }
+      }
+    }
+
+    return { highlights, gaps };
+  }
+
+  // The application a tailored pair belongs to: the one asked for, or the
+  // user's existing application for the job
+  findApplication(user, job, applicationId) {
+    const application = applicationId
+      ? user.applications.id(applicationId)
+      : user.applications.find(candidate => candidate.jobId.toString() === job._id.toString());
+
+    if (applicationId && !application) {
+      throw tailorError('Application not found', 404);
+    }
+    if (!application) return null;
+
+    if (application.jobId.toString() !== job._id.toString()) {
+      throw tailorError('Application is for a different job', 400);
+    }
+    if (SENT_SUBMISSIONS.includes(application.submission?.status)) {
+      throw tailorError('This application has already been sent', 409);
+    }
+    return application;
+  }
+
+  async tailor(userId, jobId, { applicationId } = {}) {
+    const [user, job] = await Promise.all([
+      User.findById(userId).select('+cv.enhanced +cv.original +cv.structured profile email applications'),
+      Job.findById(jobId).select('title company location description requirements skills requirementsAnalysis').lean()
+    ]);
+
+    if (!user) throw tailorError('User not found', 404);
+    if (!job) throw tailorError('Job not found', 404);
+
+    const application = this.findApplication(user, job, applicationId);
+
+    const cvText = user.cv.enhanced || (user.cv.original && SecurityManager.decryptSensitiveData(user.cv.original));
+    if (!cvText) {
+      throw tailorError('No CV available. Upload a CV first.', 404);
+    }
+
+    const jobAnalysis = await this.writer.analyzeJobDescription(this.jobText(job));
+    const keywords = this.keywordsFor(job, jobAnalysis);
+    const before = this.compareKeywords(cvText, keywords);
+
+    const content = await this.writer.tailorCVForJob(cvText, job, {
+      matched: before.highlights.map(highlight => highlight.keyword),
+      missing: before.gaps.map(gap => gap.keyword)
+    });
+    const after = this.compareKeywords(content, keywords);
+    // Only what neither version shows is a gap; a skill the rewrite left out
+    // is still the candidate's
+    const missing = new Set(before.gaps.map(gap => gap.keyword));
+    const gaps = after.gaps.filter(gap => missing.has(gap.keyword));
+
+    const applicantName = user.cv.structured?.basics?.name || `${user.profile.firstName} ${user.profile.lastName}`;
+    const coverLetter = await this.writer.generateTailoredCoverLetter(content, job, applicantName, {
+      highlights: after.highlights
+        .filter(highlight => highlight.importance === 'required')
+        .map(highlight => highlight.keyword)
+        .slice(0, 5)
+    });
+
+    const scoring = { job, keywords: [...keywords.required, ...keywords.preferred] };
+    const atsBefore = atsScorer.score(cvText, scoring);
+    const atsAfter = atsScorer.score(content, scoring);
+
+    const revision = await cvRevisionService.createRevision({
+      userId: user._id,
+      kind: 'tailored',
+      parentRevision: user.cv.currentRevision,
+      content,
+      coverLetter,
+      industry: user.profile.preferredIndustry,
+      atsReport: atsAfter,
+      jobId: job._id,
+      applicationId: application?._id,
+      tailoring: {
+        jobAnalysis,
+        keywords,
+        highlights: after.highlights,
+        gaps,
+        atsBefore: atsBefore.score
+      }
+    });
+
+    if (application) {
+      await this.linkApplication(user, application, revision);
+    }
+
+    await AuditLogger.log('CV_TAILORED', {
+      resource: 'cv',
+      resourceId: revision._id.toString(),
+      userId: user._id,
+      metadata: {
+        jobId: job._id.toString(),
+        applicationId: application?._id.toString(),
+        gaps: gaps.length
+      }
+    });
+
+    return {
+      revision,
+      job,
+      application,
+      ats: atsScorer.compare(atsBefore, atsAfter)
+    };
+  }
+
+  // Records the pair as the CV and letter used for an application; one the
+  // engine has not sent yet will go out with them
+  async linkApplication(user, application, revision) {
+    await User.updateOne(
+      { _id: user._id, 'applications._id': application._id },
+      {
+        $set: {
+          'applications.$.cvVersion': revision._id,
+          'applications.$.coverLetterUsed': revision.coverLetter
+        }
+      }
+    );
+    application.cvVersion = revision._id;
+    application.coverLetterUsed = revision.coverLetter;
+
+    if (!revision.applicationId?.equals(application._id)) {
+      revision.applicationId = application._id;
+      await revision.save();
+    }
+  }
+
+  // A tailored pair the user can link to an application they sent themselves
+  async findTailored(userId, revisionId) {
+    return CVRevision.findOne({ _id: revisionId, userId, kind: 'tailored' }).select('+coverLetter');
+  }
+
+  // Most recent tailored pair for a job, used by the application engine
+  async latestForJob(userId, jobId) {
+    return CVRevision.findOne({ userId, jobId, kind: 'tailored' })
+      .sort({ revisionNumber: -1 })
+      .select('+content +coverLetter');
+  }
+
+  async listTailored(userId, { jobId, page = 1, limit = 20 } = {}) {
+    const query = { userId, kind: 'tailored', ...(jobId && { jobId }) };
+
+    const [revisions, total] = await Promise.all([
+      CVRevision.find(query)
+        .sort({ revisionNumber: -1 })
+        .skip((page - 1) * limit)
+        .limit(parseInt(limit))
+        .populate('jobId', 'title company location'),
+      CVRevision.countDocuments(query)
+    ]);
+
+    return { revisions: revisions.map(revision => revision.toSummary()), total };
+  }
+}
+
+const cvTailor = new CVTailor();
+export default cvTailor;
@@ -0,0 +1,160 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import CVRevision from '../models/CVRevision.js';
+import User from '../models/User.js';
+import Job from '../models/Job.js';
+
+// security/ is outside backend/ in the repository, so its modules are virtual
+// mocks; jest 29 only finds virtual ES module mocks that are also registered
+// with jest.mock
+const AuditLogger = { log: jest.fn() };
+const SecurityManager = { decryptSensitiveData: (text) => text.replace(/^encrypted:/, '') };
+jest.mock('../security/auditLogger.js', () => AuditLogger, { virtual: true });
+jest.unstable_mockModule('../security/auditLogger.js', () => ({ default: AuditLogger, AuditLogger }), { virtual: true });
+jest.mock('../security/encryption.js', () => ({ SecurityManager }), { virtual: true });
+jest.unstable_mockModule('../security/encryption.js', () => ({ SecurityManager }), { virtual: true });
+
+const cvRevisionService = { createRevision: jest.fn() };
+jest.unstable_mockModule('./aiServices.js', () => ({ default: {} }));
+jest.unstable_mockModule('./cvRevisionService.js', () => ({ default: cvRevisionService }));
+
+const { CVTailor } = await import('./cvTailor.js');
+
+const CV_TEXT = [
+  'Thandi Nkosi',
+  'Software Developer, Acme (2019 - Present)',
+  '- Built React and Node.js services',
+  '- Wrote React component tests'
+].join('\n');
+
+const TAILORED = [
+  'Thandi Nkosi',
+  'Software Developer, Acme (2019 - Present)',
+  '- Built React front ends shipped in Docker images'
+].join('\n');
+
+describe('CVTailor', () => {
+  const writer = {
+    analyzeJobDescription: jest.fn(),
+    tailorCVForJob: jest.fn(),
+    generateTailoredCoverLetter: jest.fn()
+  };
+  const tailor = new CVTailor({ writer });
+  let user;
+  let job;
+
+  beforeEach(() => {
+    AuditLogger.log.mockReset();
+    writer.analyzeJobDescription.mockReset().mockResolvedValue({ requiredSkills: ['Node.js'], preferredSkills: ['Docker', 'React'] });
+    writer.tailorCVForJob.mockReset().mockResolvedValue(TAILORED);
+    writer.generateTailoredCoverLetter.mockReset().mockResolvedValue('Dear Acme');
+    cvRevisionService.createRevision.mockReset().mockImplementation(async fields => new CVRevision({ revisionNumber: 3, ...fields }));
+    jest.spyOn(CVRevision.prototype, 'save').mockImplementation(async function() {
+      return this;
+    });
+    jest.spyOn(User, 'updateOne').mockResolvedValue({});
+
+    job = { _id: new mongoose.Types.ObjectId(), title: 'Developer', company: 'Acme', description: 'Join our team.', skills: ['React', 'Kubernetes'] };
+    user = new User({
+      email: 'thandi@example.co.za',
+      profile: { firstName: 'Thandi', lastName: 'Nkosi', preferredIndustry: 'technology' },
+      cv: { enhanced: CV_TEXT, currentRevision: new mongoose.Types.ObjectId() }
+    });
+    jest.spyOn(User, 'findById').mockReturnValue({ select: async () => user });
+    jest.spyOn(Job, 'findById').mockReturnValue({ select: () => ({ lean: async () => job }) });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('a skill the advert requires is not also listed as preferred', () => {
+    expect(tailor.keywordsFor(job, { requiredSkills: ['Node.js'], preferredSkills: ['Docker', 'react'] })).toEqual({
+      required: ['node.js', 'react', 'kubernetes'],
+      preferred: ['docker']
+    });
+  });
+
+  test('matched keywords keep the CV lines they appear on', () => {
+    expect(tailor.compareKeywords(CV_TEXT, { required: ['react', 'kubernetes'], preferred: ['node.js'] })).toEqual({
+      highlights: [
+        { keyword: 'react', importance: 'required', lines: ['- Built React and Node.js services', '- Wrote React component tests'] },
+        { keyword: 'node.js', importance: 'preferred', lines: ['- Built React and Node.js services'] }
+      ],
+      gaps: [{ keyword: 'kubernetes', importance: 'required' }]
+    });
+  });
+
+  test('the rewrite is told what the CV shows and the pair is saved with its gaps', async () => {
+    const { revision, ats } = await tailor.tailor(user._id, job._id);
+
+    expect(writer.analyzeJobDescription).toHaveBeenCalledWith('Developer\nJoin our team.');
+    expect(writer.tailorCVForJob).toHaveBeenCalledWith(CV_TEXT, job, { matched: ['node.js', 'react'], missing: ['kubernetes', 'docker'] });
+    expect(writer.generateTailoredCoverLetter).toHaveBeenCalledWith(TAILORED, job, 'Thandi Nkosi', { highlights: ['react'] });
+
+    expect(cvRevisionService.createRevision).toHaveBeenCalledWith(expect.objectContaining({
+      kind: 'tailored',
+      parentRevision: user.cv.currentRevision,
+      content: TAILORED,
+      coverLetter: 'Dear Acme',
+      jobId: job._id,
+      applicationId: undefined
+    }));
+    // Node.js was dropped by the rewrite but is still the candidate's; Docker was there all along
+    expect(revision.tailoring.gaps.map(gap => gap.keyword)).toEqual(['kubernetes']);
+    expect(ats).toHaveProperty('improvement');
+    expect(AuditLogger.log).toHaveBeenCalledWith('CV_TAILORED', expect.objectContaining({ metadata: expect.objectContaining({ gaps: 1 }) }));
+  });
+
+  test('the pair is linked to the user\'s application for the job', async () => {
+    user.applications.push({ jobId: job._id, status: 'pending', submission: { status: 'awaiting_approval' } });
+    const [application] = user.applications;
+
+    const { revision } = await tailor.tailor(user._id, job._id);
+
+    expect(User.updateOne).toHaveBeenCalledWith(
+      { _id: user._id, 'applications._id': application._id },
+      { $set: { 'applications.$.cvVersion': revision._id, 'applications.$.coverLetterUsed': 'Dear Acme' } }
+    );
+    expect(application.cvVersion).toEqual(revision._id);
+    expect(revision.applicationId).toEqual(application._id);
+  });
+
+  test('an uploaded CV that was never rewritten is decrypted and used', async () => {
+    user.cv.enhanced = undefined;
+    user.cv.original = `encrypted:${CV_TEXT}`;
+
+    await tailor.tailor(user._id, job._id);
+    expect(writer.tailorCVForJob).toHaveBeenCalledWith(CV_TEXT, job, expect.anything());
+  });
+
+  test.each([
+    ['an unknown user', () => User.findById.mockReturnValue({ select: async () => null }), 404, 'User not found'],
+    ['an unknown job', () => Job.findById.mockReturnValue({ select: () => ({ lean: async () => null }) }), 404, 'Job not found'],
+    ['a user without a CV', () => {
+      user.cv.enhanced = undefined;
+    }, 404, 'No CV available. Upload a CV first.']
+  ])('refuses %s', async (_, arrange, status, message) => {
+    arrange();
+
+    await expect(tailor.tailor(user._id, job._id)).rejects.toMatchObject({ status, message });
+    expect(cvRevisionService.createRevision).not.toHaveBeenCalled();
+  });
+
+  describe('findApplication', () => {
+    test.each([
+      ['one that does not exist', () => new mongoose.Types.ObjectId(), 404, 'Application not found'],
+      ['one for another job', () => user.applications[0]._id, 400, 'Application is for a different job'],
+      ['one that was already sent', () => user.applications[1]._id, 409, 'This application has already been sent']
+    ])('refuses %s', (_, applicationId, status, message) => {
+      user.applications.push({ jobId: new mongoose.Types.ObjectId() });
+      user.applications.push({ jobId: job._id, submission: { status: 'submitted' } });
+
+      expect(() => tailor.findApplication(user, job, applicationId())).toThrow(expect.objectContaining({ status, message }));
+    });
+
+    test('no application yet is fine', () => {
+      expect(tailor.findApplication(user, job)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,76 @@
+import { getTemplate, listTemplates, DEFAULT_TEMPLATE } from './documents/templates.js';
+import { buildCVDocument, buildCoverLetterDocument } from './documents/documentModel.js';
+import { renderPDF } from './documents/pdfRenderer.js';
+import { renderDOCX } from './documents/docxRenderer.js';
+
+export const DOCUMENT_FORMATS = {
+  pdf: {
+    mimeType: 'application/pdf',
+    render: renderPDF
+  },
+  docx: {
+    mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    render: renderDOCX
+  }
+};
+
+export const DOCUMENT_TYPES = ['cv', 'cover_letter'];
+
+export class DocumentRenderer {
+  get templates() {
+    return listTemplates();
+  }
+
+  get formats() {
+    return Object.keys(DOCUMENT_FORMATS);
+  }
+
+  // Renders CV or cover letter text with one of the ATS-safe templates
+  async render({ content, basics = {}, document = 'cv', format = 'pdf', template = DEFAULT_TEMPLATE }) {
+    const output = DOCUMENT_FORMATS[format];
+    if (!output) {
+      throw new Error(`Unsupported document format: ${format}`);
+    }
+
+    const layout = getTemplate(template);
+    if (!layout) {
+      throw new Error(`Unknown template: ${template}`);
+    }
+
+    if (!DOCUMENT_TYPES.includes(document)) {
+      throw new Error(`Unknown document type: ${document}`);
+    }
+
+    if (!content || !content.trim()) {
+      throw new Error('No content to render');
+    }
+
+    const model = document === 'cover_letter'
+      ? buildCoverLetterDocument(content, { basics })
+      : buildCVDocument(content, { basics, template: layout });
+
+    const title = document === 'cover_letter' ? 'Cover Letter' : 'Curriculum Vitae';
+    const buffer = await output.render(model, layout, {
+      title: model.header.name ? `${model.header.name} - ${title}` : title
+    });
+
+    return {
+      buffer,
+      mimeType: output.mimeType,
+      extension: format,
+      fileName: this.buildFileName(model.header.name, document, format)
+    };
+  }
+
+  buildFileName(name, document, format) {
+    const slug = (name || 'careerboost')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-|-$/g, '') || 'careerboost';
+    const suffix = document === 'cover_letter' ? 'cover-letter' : 'cv';
+    return `${slug}-${suffix}.${format}`;
+  }
+}
+
+const documentRenderer = new DocumentRenderer();
+export default documentRenderer;
@@ -0,0 +1,102 @@
+import documentRenderer from './documentRenderer.js';
+import { buildCVDocument, buildCoverLetterDocument, formatHeading } from './documents/documentModel.js';
+import { getTemplate } from './documents/templates.js';
+
+const CV_TEXT = [
+  'THANDI NKOSI',
+  'thandi@example.co.za | 082 555 0101',
+  'Software developer with six years of React and Node.js experience.',
+  'Education',
+  'BSc Computer Science, Wits (2016)',
+  'Work Experience',
+  'Software Developer, Acme (2019 - Present)',
+  '- Built React and Node.js services',
+  'Skills',
+  'React, Node.js, MongoDB'
+].join('\n');
+
+const headings = (model) => model.sections.map(section => section.key);
+
+describe('buildCVDocument', () => {
+  test('splits the header from the sections and keeps bullets apart', () => {
+    const model = buildCVDocument(CV_TEXT, { template: getTemplate('classic') });
+
+    expect(model.header).toMatchObject({ contact: expect.arrayContaining(['thandi@example.co.za']) });
+    expect(model.sections.find(section => section.key === 'work').blocks).toEqual([
+      { type: 'paragraph', text: 'Software Developer, Acme (2019 - Present)' },
+      { type: 'bullet', text: 'Built React and Node.js services' }
+    ]);
+  });
+
+  test('lines under the name that are not contact details become the summary', () => {
+    const model = buildCVDocument(CV_TEXT, { template: getTemplate('classic') });
+
+    expect(model.sections[0]).toEqual({
+      key: 'summary',
+      heading: 'Professional Summary',
+      blocks: [{ type: 'paragraph', text: 'Software developer with six years of React and Node.js experience.' }]
+    });
+  });
+
+  test('sections follow the template order', () => {
+    expect(headings(buildCVDocument(CV_TEXT, { template: getTemplate('classic') }))).toEqual(['summary', 'work', 'education', 'skills']);
+    expect(headings(buildCVDocument(CV_TEXT, { template: getTemplate('graduate') }))).toEqual(['summary', 'education', 'skills', 'work']);
+  });
+
+  test('structured basics win over what was parsed from the text', () => {
+    const model = buildCVDocument(CV_TEXT, {
+      template: getTemplate('modern'),
+      basics: { name: 'Thandi Nkosi', label: 'Senior Developer', email: 'thandi@nkosi.dev' }
+    });
+
+    expect(model.header).toMatchObject({ name: 'Thandi Nkosi', subtitle: 'Senior Developer' });
+    expect(model.header.contact[0]).toBe('thandi@nkosi.dev');
+  });
+});
+
+describe('buildCoverLetterDocument', () => {
+  test('blank lines separate paragraphs and wrapped lines are joined', () => {
+    const model = buildCoverLetterDocument('Dear Hiring Manager,\n\nI am writing\nto apply.\n\n\nKind regards', {
+      basics: { name: 'Thandi Nkosi' }
+    });
+
+    expect(model.header.name).toBe('Thandi Nkosi');
+    expect(model.sections[0].blocks.map(block => block.text)).toEqual(['Dear Hiring Manager,', 'I am writing to apply.', 'Kind regards']);
+  });
+});
+
+test('formatHeading follows the template heading case', () => {
+  expect(formatHeading('work EXPERIENCE', getTemplate('classic'))).toBe('WORK EXPERIENCE');
+  expect(formatHeading('work EXPERIENCE', getTemplate('modern'))).toBe('Work Experience');
+});
+
+describe('DocumentRenderer.render', () => {
+  test.each([
+    [{ format: 'rtf' }, 'Unsupported document format: rtf'],
+    [{ template: 'fancy' }, 'Unknown template: fancy'],
+    [{ document: 'reference' }, 'Unknown document type: reference'],
+    [{ content: '  \n ' }, 'No content to render']
+  ])('refuses %o', async (options, message) => {
+    await expect(documentRenderer.render({ content: CV_TEXT, ...options })).rejects.toThrow(message);
+  });
+
+  test('renders a PDF named after the applicant', async () => {
+    const result = await documentRenderer.render({ content: CV_TEXT, basics: { name: 'Thandi Nkosi' } });
+
+    expect(result).toMatchObject({ mimeType: 'application/pdf', extension: 'pdf', fileName: 'thandi-nkosi-cv.pdf' });
+    expect(result.buffer.subarray(0, 5).toString()).toBe('%PDF-');
+  });
+
+  test('renders a Word document', async () => {
+    const result = await documentRenderer.render({ content: 'Dear Hiring Manager', document: 'cover_letter', format: 'docx' });
+
+    expect(result).toMatchObject({ extension: 'docx', fileName: 'careerboost-cover-letter.docx' });
+    expect(result.buffer.subarray(0, 2).toString()).toBe('PK');
+    expect(result.buffer.includes('word/document.xml')).toBe(true);
+  });
+
+  test('buildFileName falls back when there is no usable name', () => {
+    expect(documentRenderer.buildFileName('', 'cover_letter', 'docx')).toBe('careerboost-cover-letter.docx');
+    expect(documentRenderer.buildFileName(' Thandi  Nkosi-Mokoena! ', 'cv', 'pdf')).toBe('thandi-nkosi-mokoena-cv.pdf');
+  });
+});
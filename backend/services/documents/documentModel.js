@@ -0,0 +1,109 @@
+import cvParser from '../cvParser.js';
+
+// Turns plain CV or cover letter text into a renderer-neutral structure:
+// { header: { name, subtitle, contact[] }, sections: [{ key, heading, blocks[] }] }
+export function buildCVDocument(text, { basics = {}, template }) {
+  const lines = cvParser.splitLines(text);
+  const headerLines = [];
+  const sections = [];
+  let current = null;
+
+  for (const line of lines) {
+    const known = cvParser.headingLookup.get(cvParser.normaliseHeading(line));
+
+    // Names are often written in capitals, so the header only ends at a known section
+    if (known || (current && cvParser.isSectionHeading(line))) {
+      const heading = line.replace(/:$/, '').trim();
+      current = {
+        key: known || heading.toLowerCase(),
+        heading,
+        blocks: []
+      };
+      sections.push(current);
+    } else if (!current) {
+      headerLines.push(line);
+    } else if (cvParser.isBullet(line)) {
+      current.blocks.push({ type: 'bullet', text: cvParser.stripBullet(line) });
+    } else {
+      current.blocks.push({ type: 'paragraph', text: line });
+    }
+  }
+
+  const header = buildHeader(headerLines, basics);
+
+  // Lines above the first heading that are not the name or contact details form a summary
+  const leftover = headerLines.filter(line =>
+    line !== header.name &&
+    cvParser.toTitleCase(line) !== header.name &&
+    line !== header.subtitle &&
+    !cvParser.isContactLine(line)
+  );
+  if (leftover.length > 0 && !sections.some(section => section.key === 'summary')) {
+    sections.unshift({
+      key: 'summary',
+      heading: 'Professional Summary',
+      blocks: leftover.map(text => ({ type: 'paragraph', text }))
+    });
+  }
+
+  return {
+    type: 'cv',
+    header,
+    sections: orderSections(sections, template.sectionOrder)
+  };
+}
+
+export function buildCoverLetterDocument(text, { basics = {} }) {
+  const paragraphs = (text || '')
+    .split(/\r?\n\s*\r?\n/)
+    .map(paragraph => paragraph.replace(/\s*\r?\n\s*/g, ' ').trim())
+    .filter(Boolean);
+
+  return {
+    type: 'cover_letter',
+    header: buildHeader([], basics),
+    date: new Date().toLocaleDateString('en-ZA', { day: 'numeric', month: 'long', year: 'numeric' }),
+    sections: [{
+      key: 'letter',
+      heading: null,
+      blocks: paragraphs.map(text => ({ type: 'paragraph', text }))
+    }]
+  };
+}
+
+function buildHeader(headerLines, basics) {
+  const parsed = cvParser.parseBasics(headerLines.join('\n'), { header: headerLines });
+  const name = basics.name || parsed.name || headerLines[0] || '';
+  const contact = [
+    basics.email || parsed.email,
+    basics.phone || parsed.phone,
+    basics.location?.city || parsed.location?.city,
+    ...(basics.profiles || parsed.profiles || []).map(profile => profile.url)
+  ].filter(Boolean);
+
+  return {
+    name,
+    subtitle: basics.label || parsed.label || '',
+    contact: [...new Set(contact)]
+  };
+}
+
+// Known sections follow the template order; anything unrecognised keeps its place at the end
+function orderSections(sections, order = []) {
+  const rank = (section) => {
+    const index = order.indexOf(section.key);
+    return index === -1 ? order.length : index;
+  };
+
+  return sections
+    .map((section, index) => ({ section, index }))
+    .sort((a, b) => rank(a.section) - rank(b.section) || a.index - b.index)
+    .map(entry => entry.section);
+}
+
+export function formatHeading(heading, template) {
+  if (template.headingCase === 'upper') return heading.toUpperCase();
+  return heading
+    .toLowerCase()
+    .replace(/\b([a-z])/g, letter => letter.toUpperCase());
+}
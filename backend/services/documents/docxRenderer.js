@@ -0,0 +1,83 @@
+import { Document, Packer, Paragraph, TextRun, AlignmentType, BorderStyle } from 'docx';
+import { formatHeading } from './documentModel.js';
+
+// docx sizes are in half-points
+const halfPoints = (points) => Math.round(points * 2);
+
+export async function renderDOCX(document, template, { title } = {}) {
+  const { font, sizes, colors } = template;
+  const alignment = template.align === 'center' ? AlignmentType.CENTER : AlignmentType.LEFT;
+  const children = [];
+
+  if (document.header.name) {
+    children.push(new Paragraph({
+      alignment,
+      children: [new TextRun({ text: document.header.name, bold: true, size: halfPoints(sizes.name), color: colors.accent, font: font.docx })]
+    }));
+  }
+  if (document.header.subtitle) {
+    children.push(new Paragraph({
+      alignment,
+      children: [new TextRun({ text: document.header.subtitle, size: halfPoints(sizes.subtitle), color: colors.muted, font: font.docx })]
+    }));
+  }
+  if (document.header.contact.length > 0) {
+    children.push(new Paragraph({
+      alignment,
+      children: [new TextRun({ text: document.header.contact.join('  |  '), size: halfPoints(sizes.contact), color: colors.muted, font: font.docx })]
+    }));
+  }
+
+  if (document.date) {
+    children.push(new Paragraph({
+      spacing: { before: 360 },
+      children: [new TextRun({ text: document.date, size: halfPoints(sizes.body), font: font.docx })]
+    }));
+  }
+
+  for (const section of document.sections) {
+    if (section.heading) {
+      children.push(new Paragraph({
+        spacing: { before: 240, after: 80 },
+        ...(template.headingRule && {
+          border: { bottom: { style: BorderStyle.SINGLE, size: 6, color: colors.accent, space: 1 } }
+        }),
+        children: [new TextRun({
+          text: formatHeading(section.heading, template),
+          bold: true,
+          size: halfPoints(sizes.heading),
+          color: colors.accent,
+          font: font.docx
+        })]
+      }));
+    }
+
+    for (const block of section.blocks) {
+      const run = new TextRun({ text: block.text, size: halfPoints(sizes.body), color: colors.text, font: font.docx });
+
+      // Word's built-in bullet style keeps the list machine-readable
+      children.push(block.type === 'bullet'
+        ? new Paragraph({ bullet: { level: 0 }, spacing: { after: 40 }, children: [run] })
+        : new Paragraph({
+          spacing: { after: document.type === 'cover_letter' ? 200 : 60 },
+          alignment: document.type === 'cover_letter' ? AlignmentType.JUSTIFIED : AlignmentType.LEFT,
+          children: [run]
+        }));
+    }
+  }
+
+  const docx = new Document({
+    creator: 'CareerBoost',
+    title: title || document.header.name || 'Curriculum Vitae',
+    sections: [{
+      properties: {
+        page: { margin: { top: 1000, bottom: 1000, left: 1130, right: 1130 } }
+      },
+      children
+    }]
+  });
+
+  return Packer.toBuffer(docx);
+}
+
+export default renderDOCX;
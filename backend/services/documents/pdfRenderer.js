@@ -0,0 +1,82 @@
+import PDFDocument from 'pdfkit';
+import { formatHeading } from './documentModel.js';
+
+const hex = (color) => `#${color}`;
+
+export function renderPDF(document, template, { title } = {}) {
+  return new Promise((resolve, reject) => {
+    const pdf = new PDFDocument({
+      size: 'A4',
+      margins: { top: 50, bottom: 50, left: 56, right: 56 },
+      info: {
+        Title: title || document.header.name || 'Curriculum Vitae',
+        Author: document.header.name || '',
+        Creator: 'CareerBoost'
+      }
+    });
+
+    const chunks = [];
+    pdf.on('data', chunk => chunks.push(chunk));
+    pdf.on('end', () => resolve(Buffer.concat(chunks)));
+    pdf.on('error', reject);
+
+    const { font, sizes, colors } = template;
+    const width = pdf.page.width - pdf.page.margins.left - pdf.page.margins.right;
+
+    // Header
+    if (document.header.name) {
+      pdf.font(font.pdfBold).fontSize(sizes.name).fillColor(hex(colors.accent))
+        .text(document.header.name, { align: template.align });
+    }
+    if (document.header.subtitle) {
+      pdf.font(font.pdf).fontSize(sizes.subtitle).fillColor(hex(colors.muted))
+        .text(document.header.subtitle, { align: template.align });
+    }
+    if (document.header.contact.length > 0) {
+      pdf.font(font.pdf).fontSize(sizes.contact).fillColor(hex(colors.muted))
+        .text(document.header.contact.join('  |  '), { align: template.align });
+    }
+
+    if (document.date) {
+      pdf.moveDown(1.5);
+      pdf.font(font.pdf).fontSize(sizes.body).fillColor(hex(colors.text)).text(document.date);
+    }
+
+    for (const section of document.sections) {
+      pdf.moveDown(1);
+
+      if (section.heading) {
+        pdf.font(font.pdfBold).fontSize(sizes.heading).fillColor(hex(colors.accent))
+          .text(formatHeading(section.heading, template));
+
+        if (template.headingRule) {
+          const y = pdf.y + 2;
+          pdf.moveTo(pdf.page.margins.left, y)
+            .lineTo(pdf.page.margins.left + width, y)
+            .lineWidth(0.75)
+            .strokeColor(hex(colors.accent))
+            .stroke();
+          pdf.moveDown(0.4);
+        }
+        pdf.moveDown(0.2);
+      }
+
+      pdf.font(font.pdf).fontSize(sizes.body).fillColor(hex(colors.text));
+
+      for (const block of section.blocks) {
+        if (block.type === 'bullet') {
+          pdf.text(`•  ${block.text}`, { indent: 10, paragraphGap: 2 });
+        } else {
+          pdf.text(block.text, {
+            paragraphGap: document.type === 'cover_letter' ? 10 : 3,
+            align: document.type === 'cover_letter' ? 'justify' : 'left'
+          });
+        }
+      }
+    }
+
+    pdf.end();
+  });
+}
+
+export default renderPDF;
@@ -0,0 +1,62 @@
+// Every template is single-column with standard fonts and real text (no tables,
+// text boxes or images) so applicant tracking systems can read the output.
+export const templates = {
+  classic: {
+    name: 'Classic',
+    description: 'Traditional serif layout suited to most industries',
+    font: { pdf: 'Times-Roman', pdfBold: 'Times-Bold', docx: 'Times New Roman' },
+    sizes: { name: 22, subtitle: 12, contact: 10, heading: 13, body: 11 },
+    colors: { text: '000000', accent: '000000', muted: '444444' },
+    headingCase: 'upper',
+    headingRule: true,
+    align: 'center',
+    sectionOrder: ['summary', 'work', 'education', 'skills', 'certificates', 'languages']
+  },
+  modern: {
+    name: 'Modern',
+    description: 'Clean sans-serif layout with a coloured accent',
+    font: { pdf: 'Helvetica', pdfBold: 'Helvetica-Bold', docx: 'Calibri' },
+    sizes: { name: 24, subtitle: 13, contact: 10, heading: 13, body: 10.5 },
+    colors: { text: '222222', accent: '1F5FAD', muted: '555555' },
+    headingCase: 'title',
+    headingRule: true,
+    align: 'left',
+    sectionOrder: ['summary', 'skills', 'work', 'education', 'certificates', 'languages']
+  },
+  graduate: {
+    name: 'Graduate',
+    description: 'Leads with education for students and first-time job seekers',
+    font: { pdf: 'Helvetica', pdfBold: 'Helvetica-Bold', docx: 'Arial' },
+    sizes: { name: 22, subtitle: 12, contact: 10, heading: 12.5, body: 10.5 },
+    colors: { text: '222222', accent: '2E7D32', muted: '555555' },
+    headingCase: 'upper',
+    headingRule: false,
+    align: 'left',
+    sectionOrder: ['summary', 'education', 'skills', 'work', 'certificates', 'languages', 'interests']
+  },
+  executive: {
+    name: 'Executive',
+    description: 'Understated layout that puts leadership experience first',
+    font: { pdf: 'Times-Roman', pdfBold: 'Times-Bold', docx: 'Georgia' },
+    sizes: { name: 24, subtitle: 13, contact: 10, heading: 13, body: 11 },
+    colors: { text: '111111', accent: '3A3A3A', muted: '555555' },
+    headingCase: 'upper',
+    headingRule: true,
+    align: 'left',
+    sectionOrder: ['summary', 'work', 'certificates', 'education', 'skills', 'languages']
+  }
+};
+
+export const DEFAULT_TEMPLATE = 'classic';
+
+export function getTemplate(name = DEFAULT_TEMPLATE) {
+  return templates[name] || null;
+}
+
+export function listTemplates() {
+  return Object.entries(templates).map(([id, template]) => ({
+    id,
+    name: template.name,
+    description: template.description
+  }));
+}
@@ -0,0 +1,94 @@
+// Identifies CV uploads from their leading bytes. Browsers report whatever the
+// OS associates with the extension (often application/octet-stream), so the
+// client-provided mimetype is never used to pick an extractor.
+export const CV_FILE_TYPES = {
+  pdf: { mimeType: 'application/pdf', extension: 'pdf', label: 'PDF' },
+  docx: { mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', extension: 'docx', label: 'Word (.docx)' },
+  doc: { mimeType: 'application/msword', extension: 'doc', label: 'Word 97-2003 (.doc)' },
+  odt: { mimeType: 'application/vnd.oasis.opendocument.text', extension: 'odt', label: 'OpenDocument Text (.odt)' },
+  rtf: { mimeType: 'application/rtf', extension: 'rtf', label: 'Rich Text (.rtf)' },
+  txt: { mimeType: 'text/plain', extension: 'txt', label: 'Plain text (.txt)' },
+  // Scanned CVs and phone photos, read with OCR
+  jpg: { mimeType: 'image/jpeg', extension: 'jpg', label: 'JPEG image', image: true },
+  png: { mimeType: 'image/png', extension: 'png', label: 'PNG image', image: true }
+};
+
+export const CV_FILE_EXTENSIONS = [...Object.keys(CV_FILE_TYPES), 'jpeg'];
+
+// Every mimetype clients are known to send for the supported formats
+export const CV_CLIENT_MIME_TYPES = [
+  ...Object.values(CV_FILE_TYPES).map(type => type.mimeType),
+  'application/x-rtf',
+  'text/rtf',
+  'application/vnd.ms-word',
+  'application/octet-stream'
+];
+
+const OLE_SIGNATURE = Buffer.from([0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1]);
+const ZIP_SIGNATURE = Buffer.from([0x50, 0x4B, 0x03, 0x04]);
+const JPEG_SIGNATURE = Buffer.from([0xFF, 0xD8, 0xFF]);
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+const ODT_MIMETYPE = 'application/vnd.oasis.opendocument.text';
+
+const startsWith = (buffer, signature) =>
+  buffer.length >= signature.length && buffer.subarray(0, signature.length).equals(signature);
+
+// Zip entry names are stored uncompressed, so the package type can be read
+// straight from the archive without inflating it
+function sniffZip(buffer) {
+  // ODF requires an uncompressed "mimetype" entry first in the archive
+  if (buffer.toString('latin1', 30, 38) === 'mimetype') {
+    const mimeType = buffer.toString('latin1', 38, 38 + ODT_MIMETYPE.length);
+    if (mimeType === ODT_MIMETYPE) return CV_FILE_TYPES.odt;
+  }
+
+  if (buffer.includes('word/document.xml', 0, 'latin1')) return CV_FILE_TYPES.docx;
+  return null;
+}
+
+// Compound File Binary is shared by .doc, .xls and .ppt; Word files contain a
+// "WordDocument" stream whose name is stored as UTF-16LE in the directory
+function sniffOLE(buffer) {
+  return buffer.includes(Buffer.from('WordDocument', 'utf16le')) ? CV_FILE_TYPES.doc : null;
+}
+
+function looksLikeText(buffer) {
+  if (buffer.length === 0) return false;
+
+  // UTF-16 with a byte order mark
+  if ((buffer[0] === 0xFF && buffer[1] === 0xFE) || (buffer[0] === 0xFE && buffer[1] === 0xFF)) {
+    return true;
+  }
+
+  const sample = buffer.subarray(0, 8192);
+  let control = 0;
+  for (const byte of sample) {
+    if (byte === 0) return false;
+    if (byte < 0x20 && byte !== 0x09 && byte !== 0x0A && byte !== 0x0D && byte !== 0x0C) control++;
+  }
+  return control / sample.length < 0.02;
+}
+
+export function detectFileType(buffer) {
+  if (!buffer || buffer.length < 4) return null;
+
+  if (buffer.toString('latin1', 0, 5) === '%PDF-') return CV_FILE_TYPES.pdf;
+  if (startsWith(buffer, ZIP_SIGNATURE)) return sniffZip(buffer);
+  if (startsWith(buffer, OLE_SIGNATURE)) return sniffOLE(buffer);
+  if (buffer.toString('latin1', 0, 5) === '{\\rtf') return CV_FILE_TYPES.rtf;
+  if (startsWith(buffer, JPEG_SIGNATURE)) return CV_FILE_TYPES.jpg;
+  if (startsWith(buffer, PNG_SIGNATURE)) return CV_FILE_TYPES.png;
+
+  // Some PDF writers emit a few bytes of junk before the header
+  if (buffer.subarray(0, 1024).includes('%PDF-', 0, 'latin1')) return CV_FILE_TYPES.pdf;
+
+  if (looksLikeText(buffer)) return CV_FILE_TYPES.txt;
+  return null;
+}
+
+export function getFileExtension(fileName = '') {
+  const match = fileName.toLowerCase().match(/\.([a-z0-9]+)$/);
+  return match ? match[1] : '';
+}
+
+export default detectFileType;
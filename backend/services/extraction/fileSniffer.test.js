@@ -0,0 +1,58 @@
+import JSZip from 'jszip';
+import { detectFileType, getFileExtension } from './fileSniffer.js';
+
+const ODT_MIMETYPE = 'application/vnd.oasis.opendocument.text';
+
+const zip = async (files) => {
+  const archive = new JSZip();
+  for (const [name, content] of Object.entries(files)) {
+    archive.file(name, content);
+  }
+  return archive.generateAsync({ type: 'nodebuffer' });
+};
+
+const extensionOf = (buffer) => detectFileType(buffer)?.extension ?? null;
+
+describe('detectFileType', () => {
+  test.each([
+    ['a PDF', Buffer.from('%PDF-1.7\n%âãÏÓ'), 'pdf'],
+    ['a PDF after a few bytes of junk', Buffer.from('\r\n\0\0%PDF-1.4\n'), 'pdf'],
+    ['RTF', Buffer.from('{\\rtf1\\ansi Thandi}'), 'rtf'],
+    ['a JPEG photo', Buffer.from([0xFF, 0xD8, 0xFF, 0xE0, 0x00, 0x10]), 'jpg'],
+    ['a PNG scan', Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A, 0x00]), 'png'],
+    ['plain text', Buffer.from('Thandi Nkosi\r\nSoftware Developer\f'), 'txt'],
+    ['UTF-16 text', Buffer.from('\uFEFFThandi Nkosi', 'utf16le'), 'txt']
+  ])('recognises %s', (_, buffer, extension) => {
+    expect(extensionOf(buffer)).toBe(extension);
+  });
+
+  test('tells Word and OpenDocument packages apart', async () => {
+    expect(extensionOf(await zip({ '[Content_Types].xml': '<Types/>', 'word/document.xml': '<w:document/>' }))).toBe('docx');
+    expect(extensionOf(await zip({ mimetype: ODT_MIMETYPE, 'content.xml': '<office:document-content/>' }))).toBe('odt');
+  });
+
+  test('a zip that is not a document is refused', async () => {
+    expect(detectFileType(await zip({ 'photo.jpg': 'not a CV' }))).toBeNull();
+  });
+
+  test('only Compound File archives with a Word stream are .doc files', () => {
+    const header = Buffer.from([0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1]);
+    const word = Buffer.concat([header, Buffer.alloc(64), Buffer.from('WordDocument', 'utf16le')]);
+    const workbook = Buffer.concat([header, Buffer.alloc(64), Buffer.from('Workbook', 'utf16le')]);
+
+    expect(extensionOf(word)).toBe('doc');
+    expect(detectFileType(workbook)).toBeNull();
+  });
+
+  test('binary and tiny files are not guessed at', () => {
+    expect(detectFileType(Buffer.from([0x7F, 0x45, 0x4C, 0x46, 0x02, 0x01, 0x00]))).toBeNull();
+    expect(detectFileType(Buffer.from('abc'))).toBeNull();
+    expect(detectFileType(undefined)).toBeNull();
+  });
+});
+
+test('getFileExtension lowercases the last extension', () => {
+  expect(getFileExtension('Thandi CV.final.DOCX')).toBe('docx');
+  expect(getFileExtension('README')).toBe('');
+  expect(getFileExtension()).toBe('');
+});
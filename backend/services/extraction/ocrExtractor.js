@@ -0,0 +1,158 @@
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { mkdtemp, writeFile, readdir, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+
+const execFileAsync = promisify(execFile);
+
+// Local OCR for scanned CVs and phone photos. Uses the tesseract CLI for
+// recognition and poppler's pdftoppm to rasterise image-only PDFs, so no CV
+// ever leaves the server. Both binaries are installed in the backend image.
+export class OCRExtractor {
+  constructor(env = process.env) {
+    this.enabled = env.OCR_ENABLED !== 'false';
+    this.tesseractPath = env.TESSERACT_PATH || 'tesseract';
+    this.pdftoppmPath = env.PDFTOPPM_PATH || 'pdftoppm';
+    this.languages = env.OCR_LANGUAGES || 'eng';
+    this.dpi = parseInt(env.OCR_DPI) || 300;
+    this.maxPages = parseInt(env.OCR_MAX_PAGES) || 5;
+    this.timeout = parseInt(env.OCR_TIMEOUT_MS) || 60000;
+    this.lowConfidenceThreshold = parseInt(env.OCR_LOW_CONFIDENCE) || 70;
+    this.available = null;
+  }
+
+  async isAvailable() {
+    if (!this.enabled) return false;
+    if (this.available !== null) return this.available;
+
+    try {
+      await execFileAsync(this.tesseractPath, ['--version'], { timeout: 5000 });
+      this.available = true;
+    } catch (error) {
+      console.error('Tesseract OCR is not available:', error.message);
+      this.available = false;
+    }
+    return this.available;
+  }
+
+  async recognizeImage(buffer, extension = 'png') {
+    return this.withTempDir(async (dir) => {
+      const input = path.join(dir, `upload.${extension}`);
+      await writeFile(input, buffer);
+
+      const page = await this.runTesseract(input);
+      return this.buildResult([page]);
+    });
+  }
+
+  async recognizePDF(buffer) {
+    return this.withTempDir(async (dir) => {
+      const input = path.join(dir, 'upload.pdf');
+      await writeFile(input, buffer);
+
+      await execFileAsync(this.pdftoppmPath, [
+        '-r', String(this.dpi),
+        '-l', String(this.maxPages),
+        '-gray',
+        '-png',
+        input,
+        path.join(dir, 'page')
+      ], { timeout: this.timeout });
+
+      // pdftoppm zero-pads page numbers, so a plain sort keeps page order
+      const images = (await readdir(dir))
+        .filter(file => file.startsWith('page') && file.endsWith('.png'))
+        .sort();
+
+      if (images.length === 0) {
+        throw new Error('PDF has no pages to OCR');
+      }
+
+      const pages = [];
+      for (const image of images) {
+        pages.push(await this.runTesseract(path.join(dir, image)));
+      }
+      return this.buildResult(pages);
+    });
+  }
+
+  async runTesseract(imagePath) {
+    const { stdout } = await execFileAsync(this.tesseractPath, [
+      imagePath,
+      'stdout',
+      '-l', this.languages,
+      '--psm', '3',
+      'tsv'
+    ], { timeout: this.timeout, maxBuffer: 20 * 1024 * 1024 });
+
+    return this.parseTSV(stdout);
+  }
+
+  // Tesseract TSV has one row per layout element; level 5 rows are words with
+  // a 0-100 confidence. Words are regrouped into lines and paragraphs.
+  parseTSV(tsv) {
+    const lines = [];
+    const confidences = [];
+    let lastKey = null;
+    let lastParagraph = null;
+
+    for (const row of tsv.split('\n').slice(1)) {
+      const columns = row.split('\t');
+      if (columns.length < 12 || columns[0] !== '5') continue;
+
+      const text = columns.slice(11).join('\t').trim();
+      const confidence = parseFloat(columns[10]);
+      if (!text) continue;
+
+      const paragraph = `${columns[2]}:${columns[3]}`;
+      const key = `${paragraph}:${columns[4]}`;
+
+      if (key !== lastKey) {
+        if (lastParagraph !== null && paragraph !== lastParagraph) lines.push('');
+        lines.push(text);
+        lastKey = key;
+        lastParagraph = paragraph;
+      } else {
+        lines[lines.length - 1] += ` ${text}`;
+      }
+
+      if (confidence >= 0) {
+        confidences.push({ confidence, weight: text.length });
+      }
+    }
+
+    return { text: lines.join('\n'), confidences };
+  }
+
+  // Overall confidence is the character-weighted mean of word confidences
+  buildResult(pages) {
+    const all = pages.flatMap(page => page.confidences);
+    const totalWeight = all.reduce((sum, word) => sum + word.weight, 0);
+    const confidence = totalWeight > 0
+      ? Math.round(all.reduce((sum, word) => sum + word.confidence * word.weight, 0) / totalWeight)
+      : 0;
+
+    return {
+      text: pages.map(page => page.text).join('\n\n').trim(),
+      confidence,
+      lowConfidence: confidence < this.lowConfidenceThreshold,
+      pages: pages.length,
+      words: all.length,
+      engine: 'tesseract',
+      languages: this.languages
+    };
+  }
+
+  async withTempDir(task) {
+    const dir = await mkdtemp(path.join(tmpdir(), 'careerboost-ocr-'));
+    try {
+      return await task(dir);
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  }
+}
+
+const ocrExtractor = new OCRExtractor();
+export default ocrExtractor;
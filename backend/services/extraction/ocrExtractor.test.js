@@ -0,0 +1,92 @@
+import { jest } from '@jest/globals';
+import { existsSync } from 'fs';
+import { OCRExtractor } from './ocrExtractor.js';
+
+const HEADER = 'level\tpage_num\tblock_num\tpar_num\tline_num\tword_num\tleft\ttop\twidth\theight\tconf\ttext';
+
+// level, block, paragraph, line, confidence, text
+const tsv = (...words) => [
+  HEADER,
+  '1\t1\t0\t0\t0\t0\t0\t0\t2480\t3508\t-1\t',
+  ...words.map(([block, paragraph, line, confidence, text]) =>
+    `5\t1\t${block}\t${paragraph}\t${line}\t1\t0\t0\t10\t10\t${confidence}\t${text}`)
+].join('\n');
+
+describe('OCRExtractor', () => {
+  const ocr = new OCRExtractor({});
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('reads its settings from the environment', () => {
+    expect(new OCRExtractor({ OCR_LANGUAGES: 'eng+afr', OCR_DPI: '200', OCR_LOW_CONFIDENCE: '' })).toMatchObject({
+      languages: 'eng+afr',
+      dpi: 200,
+      maxPages: 5,
+      lowConfidenceThreshold: 70
+    });
+  });
+
+  test('parseTSV joins words into lines and leaves a blank line between paragraphs', () => {
+    const page = ocr.parseTSV(tsv(
+      [1, 1, 1, 96, 'Thandi'],
+      [1, 1, 1, 95, 'Nkosi'],
+      [1, 1, 2, 91, 'Software'],
+      [1, 1, 2, 90, 'Developer'],
+      [2, 1, 1, 88, 'Experience'],
+      [2, 1, 2, 80, '  ']
+    ));
+
+    expect(page.text).toBe('Thandi Nkosi\nSoftware Developer\n\nExperience');
+    expect(page.confidences).toHaveLength(5);
+  });
+
+  test('words without a confidence are kept but not scored', () => {
+    expect(ocr.parseTSV(tsv([1, 1, 1, -1, 'Thandi'])).confidences).toEqual([]);
+  });
+
+  test('overall confidence is weighted by word length', () => {
+    const pages = [
+      ocr.parseTSV(tsv([1, 1, 1, 90, 'Development'])),
+      ocr.parseTSV(tsv([1, 1, 1, 20, 'a']))
+    ];
+
+    expect(ocr.buildResult(pages)).toEqual({
+      text: 'Development\n\na',
+      confidence: 84,
+      lowConfidence: false,
+      pages: 2,
+      words: 2,
+      engine: 'tesseract',
+      languages: 'eng'
+    });
+  });
+
+  test('a page with no readable words has low confidence', () => {
+    expect(ocr.buildResult([ocr.parseTSV(HEADER)])).toMatchObject({ text: '', confidence: 0, lowConfidence: true });
+  });
+
+  test('an image is written to a temporary directory that is removed afterwards', async () => {
+    let input;
+    jest.spyOn(ocr, 'runTesseract').mockImplementation(async (path) => {
+      input = path;
+      expect(existsSync(path)).toBe(true);
+      return ocr.parseTSV(tsv([1, 1, 1, 93, 'Thandi']));
+    });
+
+    await expect(ocr.recognizeImage(Buffer.from('jpeg'), 'jpg')).resolves.toMatchObject({ text: 'Thandi', confidence: 93 });
+    expect(input).toMatch(/careerboost-ocr-.*upload\.jpg$/);
+    expect(existsSync(input)).toBe(false);
+  });
+
+  test('is unavailable when switched off or when tesseract cannot be run', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await expect(new OCRExtractor({ OCR_ENABLED: 'false' }).isAvailable()).resolves.toBe(false);
+
+    const missing = new OCRExtractor({ TESSERACT_PATH: '/nonexistent/tesseract' });
+    await expect(missing.isAvailable()).resolves.toBe(false);
+    expect(missing.available).toBe(false);
+  });
+});
@@ -0,0 +1,44 @@
+import JSZip from 'jszip';
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'' };
+
+const decodeEntities = (text) => text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+  if (code[0] === '#') {
+    const value = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+    return Number.isNaN(value) ? entity : String.fromCodePoint(value);
+  }
+  return ENTITIES[code] ?? entity;
+});
+
+// Reads the body text of an OpenDocument Text file from content.xml.
+// Paragraphs, headings and list items become lines; tables are flattened
+// row by row with tab-separated cells.
+export async function extractTextFromODT(buffer) {
+  const zip = await JSZip.loadAsync(buffer);
+  const content = zip.file('content.xml');
+  if (!content) {
+    throw new Error('content.xml missing from ODT package');
+  }
+
+  const xml = await content.async('string');
+  const body = xml.match(/<office:text[^>]*>([\s\S]*)<\/office:text>/)?.[1] || '';
+
+  const text = body
+    // Tracked deletions and comments are not body text
+    .replace(/<text:tracked-changes[\s\S]*?<\/text:tracked-changes>/g, '')
+    .replace(/<office:annotation[\s\S]*?<\/office:annotation>/g, '')
+    .replace(/<text:s(?: text:c="(\d+)")?\s*\/>/g, (tag, count) => ' '.repeat(parseInt(count, 10) || 1))
+    .replace(/<text:tab\s*\/>/g, '\t')
+    .replace(/<text:line-break\s*\/>/g, '\n')
+    .replace(/<\/text:p>\s*<\/table:table-cell>/g, '</table:table-cell>')
+    .replace(/<\/table:table-cell>/g, '\t')
+    .replace(/<\/(?:text:p|text:h|table:table-row)>/g, '\n')
+    .replace(/<[^>]+>/g, '');
+
+  return decodeEntities(text)
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+export default extractTextFromODT;
@@ -0,0 +1,43 @@
+import JSZip from 'jszip';
+import { extractTextFromODT } from './odtExtractor.js';
+
+const odt = async (body) => {
+  const zip = new JSZip();
+  zip.file('mimetype', 'application/vnd.oasis.opendocument.text');
+  if (body !== null) {
+    zip.file('content.xml', `<?xml version="1.0"?><office:document-content><office:body><office:text>${body}</office:text></office:body></office:document-content>`);
+  }
+  return zip.generateAsync({ type: 'nodebuffer' });
+};
+
+describe('extractTextFromODT', () => {
+  test('headings, paragraphs and list items become lines', async () => {
+    const body = [
+      '<text:h text:outline-level="1">Thandi Nkosi</text:h>',
+      '<text:p>Developer<text:tab/>Acme<text:line-break/>Johannesburg</text:p>',
+      '<text:list><text:list-item><text:p>Built Node.js services</text:p></text:list-item></text:list>'
+    ].join('');
+
+    await expect(extractTextFromODT(await odt(body))).resolves.toBe('Thandi Nkosi\nDeveloper\tAcme\nJohannesburg\nBuilt Node.js services');
+  });
+
+  test('tables are flattened row by row', async () => {
+    const cell = (text) => `<table:table-cell><text:p>${text}</text:p></table:table-cell>`;
+    const body = `<table:table><table:table-row>${cell('React')}${cell('6 years')}</table:table-row><table:table-row>${cell('Node.js')}${cell('5 years')}</table:table-row></table:table>`;
+
+    await expect(extractTextFromODT(await odt(body))).resolves.toBe('React\t6 years\nNode.js\t5 years');
+  });
+
+  test('repeated spaces and entities are restored, deletions and comments dropped', async () => {
+    const body = [
+      '<text:tracked-changes><text:changed-region><text:p>Old title</text:p></text:changed-region></text:tracked-changes>',
+      '<text:p>R&amp;D<text:s text:c="3"/>&#8211; &lt;team&gt;<office:annotation><text:p>check</text:p></office:annotation></text:p>'
+    ].join('');
+
+    await expect(extractTextFromODT(await odt(body))).resolves.toBe('R&D   – <team>');
+  });
+
+  test('a package without content.xml is refused', async () => {
+    await expect(extractTextFromODT(await odt(null))).rejects.toThrow('content.xml missing from ODT package');
+  });
+});
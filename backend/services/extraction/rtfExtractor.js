@@ -0,0 +1,149 @@
+import { decodeWindows1252Byte } from './textExtractor.js';
+
+// Minimal RTF to plain text conversion. Handles groups, paragraph and tab
+// control words, hex (\'hh) and Unicode (\uN) escapes, and skips destinations
+// that never hold body text (font tables, pictures, document info, ...).
+const SKIPPED_DESTINATIONS = new Set([
+  'fonttbl', 'colortbl', 'stylesheet', 'info', 'pict', 'object', 'header', 'footer',
+  'headerl', 'headerr', 'headerf', 'footerl', 'footerr', 'footerf', 'listtable',
+  'listoverridetable', 'rsidtbl', 'generator', 'themedata', 'colorschememapping',
+  'latentstyles', 'datastore', 'xmlnstbl', 'mmathPr', 'fldinst', 'filetbl', 'revtbl'
+]);
+
+const BREAKS = {
+  par: '\n',
+  line: '\n',
+  sect: '\n\n',
+  page: '\n\n',
+  row: '\n',
+  cell: '\t',
+  tab: '\t',
+  emdash: '—',
+  endash: '–',
+  bullet: '•',
+  lquote: '‘',
+  rquote: '’',
+  ldblquote: '“',
+  rdblquote: '”'
+};
+
+export function extractTextFromRTF(input) {
+  const rtf = Buffer.isBuffer(input) ? input.toString('latin1') : String(input);
+  const stack = [];
+  let state = { skip: false, unicodeSkip: 1 };
+  let pendingSkip = 0;
+  let output = '';
+  let i = 0;
+
+  const emit = (text) => {
+    if (state.skip) return;
+    output += text;
+  };
+
+  while (i < rtf.length) {
+    const char = rtf[i];
+
+    if (char === '{') {
+      stack.push(state);
+      state = { ...state };
+      i++;
+      continue;
+    }
+
+    if (char === '}') {
+      state = stack.pop() || state;
+      i++;
+      continue;
+    }
+
+    if (char === '\\') {
+      const next = rtf[i + 1];
+
+      // Escaped literals
+      if (next === '\\' || next === '{' || next === '}') {
+        if (pendingSkip > 0) pendingSkip--;
+        else emit(next);
+        i += 2;
+        continue;
+      }
+
+      if (next === '\'') {
+        const byte = parseInt(rtf.substr(i + 2, 2), 16);
+        if (pendingSkip > 0) pendingSkip--;
+        else if (!Number.isNaN(byte)) emit(decodeWindows1252Byte(byte));
+        i += 4;
+        continue;
+      }
+
+      // \* marks an optional destination that readers may ignore
+      if (next === '*') {
+        state.skip = true;
+        i += 2;
+        continue;
+      }
+
+      if (next === '~') {
+        emit(' ');
+        i += 2;
+        continue;
+      }
+
+      if (next === '-' || next === '_') {
+        if (next === '_') emit('-');
+        i += 2;
+        continue;
+      }
+
+      if (next === '\n' || next === '\r') {
+        emit('\n');
+        i += 2;
+        continue;
+      }
+
+      const match = /^([a-zA-Z]+)(-?\d+)? ?/.exec(rtf.slice(i + 1, i + 40));
+      if (!match) {
+        i += 2;
+        continue;
+      }
+
+      const [token, word, param] = match;
+      i += 1 + token.length;
+
+      if (SKIPPED_DESTINATIONS.has(word)) {
+        state.skip = true;
+      } else if (word === 'uc') {
+        state.unicodeSkip = parseInt(param, 10) || 0;
+      } else if (word === 'u') {
+        let code = parseInt(param, 10);
+        if (code < 0) code += 65536;
+        emit(String.fromCharCode(code));
+        pendingSkip = state.unicodeSkip;
+      } else if (BREAKS[word]) {
+        emit(BREAKS[word]);
+      }
+      continue;
+    }
+
+    if (char === '\r' || char === '\n') {
+      i++;
+      continue;
+    }
+
+    // Characters that stand in for a preceding \uN escape
+    if (pendingSkip > 0) {
+      pendingSkip--;
+      i++;
+      continue;
+    }
+
+    emit(char);
+    i++;
+  }
+
+  return output
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+export default extractTextFromRTF;
@@ -0,0 +1,34 @@
+import { extractTextFromRTF } from './rtfExtractor.js';
+
+const rtf = (body) => `{\\rtf1\\ansi\\ansicpg1252\\deff0{\\fonttbl{\\f0\\fswiss Arial;}}{\\colortbl;\\red0\\green0\\blue0;}
+{\\*\\generator Riched20 10.0.19041}\\viewkind4\\uc1
+${body}}`;
+
+describe('extractTextFromRTF', () => {
+  test('reads paragraphs and skips font tables and generator info', () => {
+    expect(extractTextFromRTF(rtf('\\pard\\f0\\fs22 Thandi Nkosi\\par\n\\b Work Experience\\b0\\par\nDeveloper\\tab Acme\\par'))).toBe(
+      'Thandi Nkosi\nWork Experience\nDeveloper\tAcme'
+    );
+  });
+
+  test('decodes hex and Unicode escapes without the fallback characters', () => {
+    expect(extractTextFromRTF(rtf('Zo\\\'eb \\u8211? Caf\\u233\\\'e9 \\\'8050\\par'))).toBe('Zoë – Café €50');
+  });
+
+  test('honours \\uc for the number of fallback characters', () => {
+    expect(extractTextFromRTF(rtf('\\uc2 \\u8212??done\\par'))).toBe('—done');
+  });
+
+  test('skips headers, footers and optional destinations', () => {
+    const text = rtf('{\\header Confidential}{\\footer Page 1}{\\*\\bkmkstart cv}Body\\par{\\pict 89504e47}');
+    expect(extractTextFromRTF(text)).toBe('Body');
+  });
+
+  test('keeps escaped braces and backslashes and turns table cells into tabs', () => {
+    expect(extractTextFromRTF(rtf('\\{C:\\\\CVs\\}\\par React\\cell 6 years\\cell\\row'))).toBe('{C:\\CVs}\nReact\t6 years');
+  });
+
+  test('accepts a buffer', () => {
+    expect(extractTextFromRTF(Buffer.from(rtf('Caf\\\'e9\\par'), 'latin1'))).toBe('Café');
+  });
+});
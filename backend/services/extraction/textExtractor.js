@@ -0,0 +1,39 @@
+// Windows-1252 bytes 0x80-0x9F that differ from Latin-1. Node's TextDecoder
+// treats windows-1252 as Latin-1, so these are mapped by hand.
+const CP1252 = {
+  0x80: '€', 0x82: '‚', 0x83: 'ƒ', 0x84: '„', 0x85: '…', 0x86: '†', 0x87: '‡',
+  0x88: 'ˆ', 0x89: '‰', 0x8A: 'Š', 0x8B: '‹', 0x8C: 'Œ', 0x8E: 'Ž', 0x91: '‘',
+  0x92: '’', 0x93: '“', 0x94: '”', 0x95: '•', 0x96: '–', 0x97: '—', 0x98: '˜',
+  0x99: '™', 0x9A: 'š', 0x9B: '›', 0x9C: 'œ', 0x9E: 'ž', 0x9F: 'Ÿ'
+};
+
+export const decodeWindows1252Byte = (byte) => CP1252[byte] || String.fromCharCode(byte);
+
+export const decodeWindows1252 = (buffer) => Array.from(buffer, decodeWindows1252Byte).join('');
+
+// Decodes plain-text uploads. UTF-8 and UTF-16 (with BOM) are detected;
+// anything that is not valid UTF-8 is treated as Windows-1252, which is what
+// Notepad on older South African Windows installs writes by default.
+export function extractTextFromTXT(buffer) {
+  let text;
+
+  if (buffer[0] === 0xFF && buffer[1] === 0xFE) {
+    text = new TextDecoder('utf-16le').decode(buffer.subarray(2));
+  } else if (buffer[0] === 0xFE && buffer[1] === 0xFF) {
+    text = new TextDecoder('utf-16be').decode(buffer.subarray(2));
+  } else {
+    try {
+      text = new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+    } catch (error) {
+      text = decodeWindows1252(buffer);
+    }
+  }
+
+  return text
+    .replace(/^\uFEFF/, '')
+    .replace(/\r\n?/g, '\n')
+    .replace(/\f/g, '\n\n')
+    .trim();
+}
+
+export default extractTextFromTXT;
@@ -0,0 +1,28 @@
+import { extractTextFromTXT, decodeWindows1252 } from './textExtractor.js';
+
+describe('extractTextFromTXT', () => {
+  test('reads UTF-8 and drops the byte order mark', () => {
+    expect(extractTextFromTXT(Buffer.from('\uFEFFThandi Nkosi\r\nSandton, Gauteng\r\n'))).toBe('Thandi Nkosi\nSandton, Gauteng');
+  });
+
+  test('reads UTF-16 in either byte order', () => {
+    const little = Buffer.concat([Buffer.from([0xFF, 0xFE]), Buffer.from('Zoë Mokoena', 'utf16le')]);
+    const big = Buffer.from(little.subarray(2)).swap16();
+
+    expect(extractTextFromTXT(little)).toBe('Zoë Mokoena');
+    expect(extractTextFromTXT(Buffer.concat([Buffer.from([0xFE, 0xFF]), big]))).toBe('Zoë Mokoena');
+  });
+
+  test('falls back to Windows-1252 when the bytes are not UTF-8', () => {
+    const notepad = Buffer.from([0x52, 0x93, 0x71, 0x75, 0x6F, 0x74, 0x65, 0x94, 0x20, 0x96, 0x20, 0x80, 0x35, 0x30, 0x20, 0xE9]);
+    expect(extractTextFromTXT(notepad)).toBe('R“quote” – €50 é');
+  });
+
+  test('form feeds become paragraph breaks', () => {
+    expect(extractTextFromTXT(Buffer.from('Page one\fPage two'))).toBe('Page one\n\nPage two');
+  });
+});
+
+test('decodeWindows1252 keeps Latin-1 bytes and maps the 0x80-0x9F block', () => {
+  expect(decodeWindows1252(Buffer.from([0x91, 0x92, 0x85, 0x81, 0xE8]))).toBe('‘’…\u0081è');
+});
@@ -0,0 +1,226 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const DEFAULT_PLACES_FILE = path.join(__dirname, 'za-places.json');
+
+const EARTH_RADIUS_KM = 6378.1;
+
+// Most specific first: a suburb beats the city it is in, a city its province
+const PRECISION = { suburb: 3, town: 2, city: 1, province: 0 };
+
+// Longest alias in words ("cape town northern suburbs")
+const MAX_ALIAS_WORDS = 4;
+
+const COUNTRY_WORDS = new Set(['south', 'africa', 'rsa', 'za']);
+
+const REMOTE = /\b(remote|work from home|wfh|anywhere|virtual)\b/i;
+
+export function normalizePlaceText(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+export function distanceKm(a, b) {
+  const toRadians = (degrees) => degrees * Math.PI / 180;
+  const dLat = toRadians(b.lat - a.lat);
+  const dLng = toRadians(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(h));
+}
+
+// Offline list of SA provinces, metros, towns and business suburbs with the
+// names boards and users write for them ("JHB", "Joburg", "PE", "Nelspruit").
+// Free-text locations resolve to the most specific place they mention, which
+// gives jobs and preferences one spelling, a province and coordinates.
+export class Gazetteer {
+  constructor(options = {}) {
+    this.file = options.file || DEFAULT_PLACES_FILE;
+    this.provinces = new Map();
+    this.places = [];
+    this.index = new Map();
+    this.load(options.data || JSON.parse(fs.readFileSync(this.file, 'utf8')));
+  }
+
+  load({ provinces = [], places = [] }) {
+    for (const province of provinces) {
+      const entry = { ...province, type: 'province', province: province.code };
+      this.provinces.set(province.code, entry);
+      this.addEntry(entry);
+    }
+    for (const place of places) {
+      this.addEntry(place);
+    }
+  }
+
+  addEntry(entry) {
+    if (entry.type !== 'province' && !this.provinces.has(entry.province)) {
+      throw new Error(`Unknown province ${entry.province} for ${entry.name}`);
+    }
+    if (entry.type !== 'province') this.places.push(entry);
+
+    for (const key of [entry.name, ...(entry.aliases || [])].map(normalizePlaceText)) {
+      if (!key) continue;
+      if (!this.index.has(key)) this.index.set(key, []);
+      this.index.get(key).push(entry);
+    }
+  }
+
+  // Public shape of a gazetteer entry; city is the metro or town the place
+  // belongs to, so Sandton and Randburg both give Johannesburg
+  describe(entry) {
+    const province = this.provinces.get(entry.province);
+    return {
+      name: entry.name,
+      type: entry.type,
+      city: entry.type === 'province' ? null : entry.city || entry.name,
+      province: province.name,
+      provinceCode: province.code,
+      lat: entry.lat,
+      lng: entry.lng
+    };
+  }
+
+  // Exact name or alias, e.g. a preference picked from a list
+  lookup(name) {
+    const entries = this.index.get(normalizePlaceText(name));
+    return entries ? this.describe(entries[0]) : null;
+  }
+
+  // Every known place mentioned in the text, longest alias first, with the
+  // position of the segment it was found in
+  mentions(text) {
+    const found = [];
+    const segments = String(text || '').split(/[,;|/()\n]|\s-\s/);
+
+    segments.forEach((segment, segmentIndex) => {
+      const tokens = normalizePlaceText(segment).split(' ').filter(Boolean);
+      const used = new Array(tokens.length).fill(false);
+
+      for (let size = Math.min(MAX_ALIAS_WORDS, tokens.length); size > 0; size--) {
+        for (let start = 0; start + size <= tokens.length; start++) {
+          if (used.slice(start, start + size).some(Boolean)) continue;
+
+          const entries = this.index.get(tokens.slice(start, start + size).join(' '));
+          if (!entries) continue;
+
+          used.fill(true, start, start + size);
+          found.push({ entries, position: segmentIndex * 100 + start, size });
+        }
+      }
+    });
+
+    return found.sort((a, b) => a.position - b.position);
+  }
+
+  // True when the text is nothing but place names ("Sea Point, Cape Town"),
+  // as opposed to a name or title that happens to contain one ("George Smith")
+  isPlaceName(text) {
+    const tokens = normalizePlaceText(text).split(' ')
+      .filter(token => token && !COUNTRY_WORDS.has(token) && !/^\d+$/.test(token));
+    if (tokens.length === 0) return false;
+
+    const covered = this.mentions(text).reduce((sum, mention) => sum + mention.size, 0);
+    return covered === tokens.length;
+  }
+
+  // { name, type, city, province, provinceCode, lat, lng, remote } for the
+  // most specific place in a free-text location; null when none is known.
+  // Provinces named alongside settle ambiguous names.
+  resolve(text) {
+    if (!text) return null;
+
+    const mentions = this.mentions(text);
+    const mentionedProvinces = new Set(mentions
+      .flatMap(mention => mention.entries)
+      .filter(entry => entry.type === 'province')
+      .map(entry => entry.province));
+
+    let best = null;
+    for (const { entries, position } of mentions) {
+      const entry = entries.find(candidate => mentionedProvinces.has(candidate.province)) || entries[0];
+      const rank = PRECISION[entry.type] * 2 + (mentionedProvinces.has(entry.province) ? 1 : 0);
+      if (!best || rank > best.rank || (rank === best.rank && position < best.position)) {
+        best = { entry, rank, position };
+      }
+    }
+
+    if (!best) return null;
+    return { ...this.describe(best.entry), remote: REMOTE.test(text) };
+  }
+
+  // One spelling per place: "Sandton, Johannesburg, Gauteng"
+  format(place) {
+    if (!place) return null;
+    if (place.type === 'province') return place.province;
+
+    const parts = [place.name];
+    if (place.city && place.city !== place.name) parts.push(place.city);
+    parts.push(place.province);
+    return parts.join(', ');
+  }
+
+  // Canonical text for a location, or the text itself when it names no known place
+  normalize(text) {
+    return this.format(this.resolve(text)) || String(text || '').trim();
+  }
+
+  normalizeList(locations = []) {
+    if (!Array.isArray(locations)) return [];
+    const normalized = locations
+      .filter(location => typeof location === 'string' && location.trim())
+      .map(location => this.normalize(location));
+    return [...new Set(normalized)];
+  }
+
+  // GeoJSON point for radius search; a province is too coarse to have one
+  toPoint(place) {
+    if (!place || place.type === 'province') return null;
+    return { type: 'Point', coordinates: [place.lng, place.lat] };
+  }
+
+  // Location fields stored on a job: the canonical location text, the
+  // matched place, legacy coordinates and the GeoJSON point
+  geocode(text) {
+    const place = this.resolve(text);
+    if (!place) return null;
+
+    const point = this.toPoint(place);
+    return {
+      // Keeps "remote" in the text so the isRemote auto-detection still sees it
+      location: place.remote ? `${this.format(place)} (Remote)` : this.format(place),
+      place: {
+        name: place.name,
+        type: place.type,
+        city: place.city,
+        province: place.province,
+        provinceCode: place.provinceCode,
+        raw: String(text).trim()
+      },
+      ...(point && {
+        coordinates: { latitude: place.lat, longitude: place.lng },
+        geo: point
+      })
+    };
+  }
+
+  // Mongo filter for points within radiusKm of a place
+  withinFilter(place, radiusKm, field = 'geo') {
+    return {
+      [field]: {
+        $geoWithin: { $centerSphere: [[place.lng, place.lat], radiusKm / EARTH_RADIUS_KM] }
+      }
+    };
+  }
+}
+
+const gazetteer = new Gazetteer();
+export default gazetteer;
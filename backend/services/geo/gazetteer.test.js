@@ -0,0 +1,98 @@
+import gazetteer, { Gazetteer, distanceKm, normalizePlaceText } from './gazetteer.js';
+
+describe('Gazetteer.resolve', () => {
+  test('board and user spellings resolve to one place', () => {
+    expect(gazetteer.resolve('JHB')).toMatchObject({ name: 'Johannesburg', provinceCode: 'GP' });
+    expect(gazetteer.resolve('Port Elizabeth')).toMatchObject({ name: 'Gqeberha', city: 'Gqeberha', province: 'Eastern Cape' });
+    expect(gazetteer.resolve('Pretoria East')).toMatchObject({ name: 'Pretoria' });
+  });
+
+  test('the most specific place mentioned wins', () => {
+    expect(gazetteer.resolve('Johannesburg, Sandton, Gauteng')).toMatchObject({ name: 'Sandton', type: 'suburb', city: 'Johannesburg' });
+    expect(gazetteer.resolve('Gauteng')).toMatchObject({ type: 'province', city: null, province: 'Gauteng' });
+  });
+
+  test('remote work is flagged and unknown places are not guessed', () => {
+    expect(gazetteer.resolve('Cape Town (Remote)')).toMatchObject({ name: 'Cape Town', remote: true });
+    expect(gazetteer.resolve('Atlantis, Nebraska')).toBeNull();
+    expect(gazetteer.resolve('')).toBeNull();
+  });
+
+  test('a province named alongside settles an ambiguous name', () => {
+    const places = new Gazetteer({
+      data: {
+        provinces: [
+          { code: 'GP', name: 'Gauteng', lat: -26.27, lng: 28.11 },
+          { code: 'WC', name: 'Western Cape', lat: -33.23, lng: 21.86 }
+        ],
+        places: [
+          { name: 'Brooklyn', type: 'suburb', province: 'GP', city: 'Pretoria', lat: -25.77, lng: 28.24 },
+          { name: 'Brooklyn', type: 'suburb', province: 'WC', city: 'Cape Town', lat: -33.89, lng: 18.48 }
+        ]
+      }
+    });
+
+    expect(places.resolve('Brooklyn').city).toBe('Pretoria');
+    expect(places.resolve('Brooklyn, Western Cape').city).toBe('Cape Town');
+  });
+
+  test('places must belong to a known province', () => {
+    expect(() => new Gazetteer({ data: { provinces: [], places: [{ name: 'Atlantis', type: 'town', province: 'XX' }] } }))
+      .toThrow('Unknown province XX for Atlantis');
+  });
+});
+
+describe('Gazetteer text', () => {
+  test('normalize gives one spelling and keeps text it does not know', () => {
+    expect(gazetteer.normalize('sandton city')).toBe('Sandton, Johannesburg, Gauteng');
+    expect(gazetteer.normalize('Stellies')).toBe('Stellenbosch, Western Cape');
+    expect(gazetteer.normalize(' Head Office ')).toBe('Head Office');
+    expect(gazetteer.normalizeList(['JHB', 'Joburg', '', 42])).toEqual(['Johannesburg, Gauteng']);
+  });
+
+  test('isPlaceName tells a place from a name that contains one', () => {
+    expect(gazetteer.isPlaceName('Sea Point, Cape Town, South Africa')).toBe(true);
+    expect(gazetteer.isPlaceName('George Smith')).toBe(false);
+    expect(gazetteer.isPlaceName('South Africa')).toBe(false);
+  });
+
+  test('normalizePlaceText strips accents and punctuation', () => {
+    expect(normalizePlaceText('  Umhlanga-Rocks & Ballito ')).toBe('umhlanga rocks and ballito');
+    expect(normalizePlaceText('Knysna Héads')).toBe('knysna heads');
+  });
+});
+
+describe('Gazetteer geography', () => {
+  test('distances are great-circle kilometres', () => {
+    const johannesburg = gazetteer.lookup('Johannesburg');
+    const pretoria = gazetteer.lookup('Pretoria');
+
+    expect(distanceKm(johannesburg, pretoria)).toBeGreaterThan(50);
+    expect(distanceKm(johannesburg, pretoria)).toBeLessThan(60);
+    expect(distanceKm(johannesburg, johannesburg)).toBe(0);
+  });
+
+  test('geocode stores the canonical location, the place and a GeoJSON point', () => {
+    expect(gazetteer.geocode('Umhlanga Ridge - remote friendly')).toEqual({
+      location: 'Umhlanga, Durban, KwaZulu-Natal (Remote)',
+      place: { name: 'Umhlanga', type: 'suburb', city: 'Durban', province: 'KwaZulu-Natal', provinceCode: 'KZN', raw: 'Umhlanga Ridge - remote friendly' },
+      coordinates: { latitude: -29.7262, longitude: 31.0818 },
+      geo: { type: 'Point', coordinates: [31.0818, -29.7262] }
+    });
+  });
+
+  test('a province has no point to search around', () => {
+    const geocoded = gazetteer.geocode('KZN');
+
+    expect(geocoded.location).toBe('KwaZulu-Natal');
+    expect(geocoded).not.toHaveProperty('geo');
+  });
+
+  test('withinFilter converts the radius to radians', () => {
+    const place = gazetteer.lookup('Johannesburg');
+    const { geo } = gazetteer.withinFilter(place, 63.781);
+
+    expect(geo.$geoWithin.$centerSphere[0]).toEqual([place.lng, place.lat]);
+    expect(geo.$geoWithin.$centerSphere[1]).toBeCloseTo(0.01);
+  });
+});
@@ -0,0 +1,272 @@
+import os from 'os';
+import Job from '../models/Job.js';
+import scrapingService from './scrapingService.js';
+import adapterRegistry from './scraping/adapterRegistry.js';
+import { parseJobDetail } from './scraping/jobDetailParser.js';
+import jobDeduplicator from './scraping/jobDeduplicator.js';
+
+// HTTP statuses that mean the ad is gone rather than temporarily unreachable
+const GONE_STATUSES = [404, 410];
+
+// Second-stage crawler: visits each scraped job's own page and fills in the
+// description, requirement/responsibility/benefit bullets, closing date,
+// reference number and contact details the listing card does not carry.
+// Progress is kept on the Job document (enrichment.*) and claimed with a lease
+// like the CV queue, so a restart picks up where the last run stopped.
+export class JobEnricher {
+  constructor(options = {}) {
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.concurrency = options.concurrency || parseInt(process.env.JOB_ENRICH_CONCURRENCY) || 2;
+    this.pollInterval = options.pollInterval || 10000;
+    this.lockDuration = options.lockDuration || 5 * 60 * 1000;
+    this.retryDelay = options.retryDelay || 10 * 60 * 1000;
+    this.maxAttempts = options.maxAttempts || 3;
+    this.fetcher = options.fetcher || scrapingService;
+    this.adapters = options.adapters || adapterRegistry;
+    this.isRunning = false;
+    this.activeJobs = 0;
+    this.timer = null;
+    this.stats = { enriched: 0, failed: 0, skipped: 0 };
+  }
+
+  start() {
+    if (this.isRunning) return;
+
+    this.isRunning = true;
+    this.timer = setInterval(() => this.poll(), this.pollInterval);
+    console.log(`Job enricher started (worker ${this.workerId}, concurrency ${this.concurrency})`);
+  }
+
+  async stop() {
+    this.isRunning = false;
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  async poll() {
+    while (this.isRunning && this.activeJobs < this.concurrency) {
+      let job;
+      try {
+        job = await this.claimNext();
+      } catch (error) {
+        console.error('Job enrichment claim error:', error);
+        return;
+      }
+
+      if (!job) return;
+
+      this.activeJobs += 1;
+      this.enrichJob(job)
+        .catch(error => console.error(`Job enrichment ${job._id} crashed:`, error))
+        .finally(() => {
+          this.activeJobs -= 1;
+        });
+    }
+  }
+
+  async claimNext() {
+    const now = new Date();
+
+    return Job.findOneAndUpdate(
+      {
+        isActive: true,
+        'source.url': { $exists: true, $ne: '' },
+        $or: [
+          { 'enrichment.status': 'pending', 'enrichment.nextRunAt': { $lte: now } },
+          // Jobs stored before enrichment existed
+          { 'enrichment.status': { $exists: false } },
+          { 'enrichment.status': 'processing', 'enrichment.lockedUntil': { $lt: now } }
+        ]
+      },
+      {
+        $set: {
+          'enrichment.status': 'processing',
+          'enrichment.lockedBy': this.workerId,
+          'enrichment.lockedUntil': new Date(now.getTime() + this.lockDuration)
+        },
+        $inc: { 'enrichment.attempts': 1 }
+      },
+      { new: true, sort: { 'enrichment.nextRunAt': 1 } }
+    );
+  }
+
+  async enrichJob(job) {
+    try {
+      await this.adapters.load();
+
+      const adapter = this.adapters.forSource(job.source);
+      if (!adapter) {
+        return this.finish(job, 'skipped', { error: `No site adapter for ${job.source.url}` });
+      }
+
+      const url = job.source.url;
+      // fetchPage applies robots.txt, the site's crawl budget and per-host rate limits
+      const html = await this.fetcher.fetchPage(adapter, url);
+      const detail = adapter.parseDetail(html, { url });
+      const parsed = parseJobDetail(html, { fields: detail.fields });
+
+      const fields = this.applyDetail(job, parsed);
+      if (fields.includes('description')) {
+        // Later postings of this vacancy are compared against the full ad text
+        job.set('dedupe.minhash', jobDeduplicator.fingerprint(job).minhash);
+      }
+      return this.finish(job, 'completed', { selectorVersion: detail.selectorVersion, fields });
+    } catch (error) {
+      return this.handleFailure(job, error);
+    }
+  }
+
+  // Fills fields the listing left empty; a longer description replaces the card summary
+  applyDetail(job, detail) {
+    const filled = [];
+    const isEmpty = (value) => !value || (Array.isArray(value) && value.length === 0);
+
+    if (detail.description && detail.description.length > (job.description || '').length) {
+      job.description = detail.description;
+      filled.push('description');
+    }
+
+    for (const field of ['requirements', 'responsibilities', 'benefits']) {
+      if (isEmpty(job[field]) && detail[field].length > 0) {
+        job[field] = detail[field].slice(0, 30);
+        filled.push(field);
+      }
+    }
+
+    if (!job.closingDate && detail.closingDate) {
+      job.closingDate = detail.closingDate;
+      filled.push('closingDate');
+    }
+    if (!job.referenceNumber && detail.referenceNumber) {
+      job.referenceNumber = detail.referenceNumber;
+      filled.push('referenceNumber');
+    }
+
+    for (const field of ['email', 'phone', 'person']) {
+      if (!job.contact?.[field] && detail.contact[field]) {
+        job.set(`contact.${field}`, detail.contact[field]);
+        filled.push(`contact.${field}`);
+      }
+    }
+    if (!job.applicationEmail && detail.contact.email) {
+      job.applicationEmail = detail.contact.email;
+    }
+
+    if ((!job.education?.required || job.education.required === 'not-specified') && detail.education.required) {
+      job.set('education.required', detail.education.required);
+      filled.push('education.required');
+    }
+    if (isEmpty(job.education?.preferred) && detail.education.preferred.length > 0) {
+      job.set('education.preferred', detail.education.preferred);
+      filled.push('education.preferred');
+    }
+
+    if (!job.salaryRange?.isDisclosed && detail.salary) {
+      const salaryRange = this.fetcher.parseSalary(detail.salary);
+      if (salaryRange.isDisclosed) {
+        job.salaryRange = salaryRange;
+        filled.push('salaryRange');
+      }
+    }
+
+    // The full ad mentions far more skills than the card summary did
+    if (filled.includes('description')) {
+      const skills = this.fetcher.extractSkills({ title: job.title, description: job.description });
+      job.skills = [...new Set([...(job.skills || []), ...skills])];
+    }
+
+    return filled;
+  }
+
+  async finish(job, status, { selectorVersion, fields = [], error } = {}) {
+    job.enrichment.status = status;
+    job.enrichment.completedAt = new Date();
+    job.enrichment.selectorVersion = selectorVersion;
+    job.enrichment.fields = fields;
+    job.enrichment.error = error;
+    job.enrichment.lockedBy = undefined;
+    job.enrichment.lockedUntil = undefined;
+
+    await job.save();
+    this.stats[status === 'completed' ? 'enriched' : 'skipped'] += 1;
+    return job;
+  }
+
+  async handleFailure(job, error) {
+    // Not the job's fault: wait for tomorrow's budget without spending an attempt
+    if (error.code === 'CRAWL_BUDGET_EXHAUSTED') {
+      job.enrichment.status = 'pending';
+      job.enrichment.attempts = Math.max(0, job.enrichment.attempts - 1);
+      job.enrichment.nextRunAt = error.retryAt;
+      job.enrichment.lockedBy = undefined;
+      job.enrichment.lockedUntil = undefined;
+      await job.save();
+      return job;
+    }
+
+    if (error.code === 'ROBOTS_DENIED') {
+      return this.finish(job, 'skipped', { error: error.message });
+    }
+
+    const status = error.status || error.response?.status;
+    const canRetry = !GONE_STATUSES.includes(status) && job.enrichment.attempts < this.maxAttempts;
+
+    job.enrichment.error = error.message;
+    job.enrichment.lockedBy = undefined;
+    job.enrichment.lockedUntil = undefined;
+
+    if (canRetry) {
+      job.enrichment.status = 'pending';
+      job.enrichment.nextRunAt = new Date(Date.now() + this.retryDelay * Math.pow(2, job.enrichment.attempts - 1));
+      console.warn(`Job enrichment ${job._id} failed at attempt ${job.enrichment.attempts}, retrying at ${job.enrichment.nextRunAt.toISOString()}:`, error.message);
+    } else {
+      job.enrichment.status = 'failed';
+      job.enrichment.completedAt = new Date();
+      this.stats.failed += 1;
+      console.error(`Job enrichment ${job._id} failed permanently:`, error.message);
+    }
+
+    await job.save();
+    return job;
+  }
+
+  // Puts failed (or all finished) jobs back in line, e.g. after fixing an adapter's detail selectors
+  async requeue({ statuses = ['failed'], adapterId } = {}) {
+    const result = await Job.updateMany(
+      {
+        isActive: true,
+        'enrichment.status': { $in: statuses },
+        ...(adapterId && { 'source.adapter': adapterId })
+      },
+      {
+        $set: {
+          'enrichment.status': 'pending',
+          'enrichment.attempts': 0,
+          'enrichment.nextRunAt': new Date()
+        },
+        $unset: { 'enrichment.error': '' }
+      }
+    );
+
+    return { requeued: result.modifiedCount };
+  }
+
+  async getStatistics() {
+    const counts = await Job.aggregate([
+      { $match: { isActive: true } },
+      { $group: { _id: { $ifNull: ['$enrichment.status', 'pending'] }, count: { $sum: 1 } } }
+    ]);
+
+    return {
+      isRunning: this.isRunning,
+      activeJobs: this.activeJobs,
+      byStatus: Object.fromEntries(counts.map(entry => [entry._id, entry.count])),
+      session: this.stats
+    };
+  }
+}
+
+const jobEnricher = new JobEnricher();
+export default jobEnricher;
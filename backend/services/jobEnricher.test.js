@@ -0,0 +1,158 @@
+import { jest } from '@jest/globals';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import Job from '../models/Job.js';
+import { AdapterRegistry, DEFAULT_ADAPTERS_DIR } from './scraping/adapterRegistry.js';
+import { parseSalary } from './salary/salaryParser.js';
+import skillTaxonomy from './skills/skillTaxonomy.js';
+
+const fetcher = {
+  fetchPage: jest.fn(),
+  parseSalary,
+  extractSkills: (job) => skillTaxonomy.extractNames(`${job.title} ${job.description}`)
+};
+jest.unstable_mockModule('./scrapingService.js', () => ({ default: fetcher }));
+
+const { JobEnricher } = await import('./jobEnricher.js');
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DETAIL_PAGE = await fs.readFile(path.join(__dirname, 'scraping/fixtures/indeed/detail.html'), 'utf8');
+
+const failure = (fields) => Object.assign(new Error(fields.message || 'request failed'), fields);
+
+describe('JobEnricher', () => {
+  let enricher;
+  let job;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(Job.prototype, 'save').mockImplementation(async function() {
+      return this;
+    });
+    fetcher.fetchPage.mockReset().mockResolvedValue(DETAIL_PAGE);
+
+    enricher = new JobEnricher({
+      fetcher,
+      adapters: new AdapterRegistry({ directories: [DEFAULT_ADAPTERS_DIR] }),
+      retryDelay: 60000
+    });
+    job = new Job({
+      title: 'Senior Node.js Developer',
+      company: 'Acme Digital',
+      location: 'Cape Town',
+      description: 'Senior developer for our Cape Town team.',
+      requirements: ['Team player'],
+      source: { website: 'Indeed South Africa', adapter: 'indeed', url: 'https://www.indeed.co.za/viewjob?jk=4f1c2a9e' },
+      enrichment: { status: 'processing', attempts: 1, lockedBy: 'worker' }
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('fills in what the listing card lacked from the job page', async () => {
+    await enricher.enrichJob(job);
+
+    expect(fetcher.fetchPage).toHaveBeenCalledWith(expect.objectContaining({ id: 'indeed' }), job.source.url);
+    expect(job.enrichment).toMatchObject({ status: 'completed', selectorVersion: '2', lockedBy: undefined });
+    expect(job.enrichment.fields).toEqual(['description', 'salaryRange']);
+    expect(job.description).toContain('5+ years of Node.js and TypeScript');
+    expect(job.requirements).toEqual(['Team player']);
+    expect(job.salaryRange).toMatchObject({ min: 55000, max: 70000, isDisclosed: true });
+    expect(job.skills).toEqual(expect.arrayContaining(['Node.js', 'TypeScript', 'AWS', 'MongoDB']));
+    expect(job.dedupe.minhash.length).toBeGreaterThan(0);
+  });
+
+  test('applyDetail never overwrites what the job already has', () => {
+    const detail = {
+      description: 'Short',
+      requirements: ['Matric'],
+      responsibilities: ['Code reviews'],
+      benefits: [],
+      closingDate: new Date('2024-06-30'),
+      referenceNumber: 'REF-9',
+      contact: { email: 'jobs@acme.co.za', phone: null, person: null },
+      education: { required: 'high-school', preferred: [] },
+      salary: null
+    };
+    job.referenceNumber = 'OWN-1';
+
+    expect(enricher.applyDetail(job, detail)).toEqual(['responsibilities', 'closingDate', 'contact.email', 'education.required']);
+    expect(job.description).toBe('Senior developer for our Cape Town team.');
+    expect(job.referenceNumber).toBe('OWN-1');
+    expect(job.applicationEmail).toBe('jobs@acme.co.za');
+  });
+
+  test('a job from a board without an adapter is skipped', async () => {
+    job.source = { url: 'https://example.com/job/1' };
+
+    await enricher.enrichJob(job);
+    expect(job.enrichment).toMatchObject({ status: 'skipped', error: 'No site adapter for https://example.com/job/1' });
+    expect(fetcher.fetchPage).not.toHaveBeenCalled();
+  });
+
+  test('a failed fetch is retried later with a growing delay', async () => {
+    fetcher.fetchPage.mockRejectedValue(failure({ status: 503 }));
+
+    const before = Date.now();
+    await enricher.enrichJob(job);
+    expect(job.enrichment).toMatchObject({ status: 'pending', error: 'request failed' });
+    expect(job.enrichment.nextRunAt.getTime()).toBeGreaterThanOrEqual(before + 60000);
+
+    job.enrichment.attempts = 2;
+    await enricher.enrichJob(job);
+    expect(job.enrichment.nextRunAt.getTime()).toBeGreaterThanOrEqual(before + 120000);
+  });
+
+  test('a page that is gone, or the last attempt, fails for good', async () => {
+    fetcher.fetchPage.mockRejectedValue(failure({ response: { status: 404 } }));
+    await enricher.enrichJob(job);
+    expect(job.enrichment.status).toBe('failed');
+
+    fetcher.fetchPage.mockRejectedValue(failure({ status: 503 }));
+    job.enrichment.attempts = 3;
+    await enricher.enrichJob(job);
+    expect(job.enrichment.status).toBe('failed');
+    expect(enricher.stats.failed).toBe(2);
+  });
+
+  test('an exhausted crawl budget waits for tomorrow without spending an attempt', async () => {
+    const retryAt = new Date(Date.now() + 3600000);
+    fetcher.fetchPage.mockRejectedValue(failure({ code: 'CRAWL_BUDGET_EXHAUSTED', retryAt }));
+
+    await enricher.enrichJob(job);
+    expect(job.enrichment).toMatchObject({ status: 'pending', attempts: 0, nextRunAt: retryAt, lockedBy: undefined });
+  });
+
+  test('a page robots.txt forbids is skipped', async () => {
+    fetcher.fetchPage.mockRejectedValue(failure({ code: 'ROBOTS_DENIED', message: 'Disallowed by robots.txt' }));
+
+    await enricher.enrichJob(job);
+    expect(job.enrichment).toMatchObject({ status: 'skipped', error: 'Disallowed by robots.txt' });
+  });
+
+  test('requeue puts finished jobs of one board back in line', async () => {
+    jest.spyOn(Job, 'updateMany').mockResolvedValue({ modifiedCount: 4 });
+
+    await expect(enricher.requeue({ statuses: ['failed', 'completed'], adapterId: 'indeed' })).resolves.toEqual({ requeued: 4 });
+    expect(Job.updateMany).toHaveBeenCalledWith(
+      { isActive: true, 'enrichment.status': { $in: ['failed', 'completed'] }, 'source.adapter': 'indeed' },
+      expect.objectContaining({ $set: expect.objectContaining({ 'enrichment.status': 'pending', 'enrichment.attempts': 0 }) })
+    );
+  });
+
+  test('claims are leased so a restarted crawler picks up where it stopped', async () => {
+    jest.spyOn(Job, 'findOneAndUpdate').mockResolvedValue(null);
+
+    await enricher.claimNext();
+    const [filter, update] = Job.findOneAndUpdate.mock.calls[0];
+    expect(filter.$or).toEqual(expect.arrayContaining([
+      { 'enrichment.status': { $exists: false } },
+      { 'enrichment.status': 'processing', 'enrichment.lockedUntil': { $lt: expect.any(Date) } }
+    ]));
+    expect(update.$inc).toEqual({ 'enrichment.attempts': 1 });
+  });
+});
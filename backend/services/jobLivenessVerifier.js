@@ -0,0 +1,351 @@
+import os from 'os';
+import * as cheerio from 'cheerio';
+import Job from '../models/Job.js';
+import scrapingService from './scrapingService.js';
+import adapterRegistry from './scraping/adapterRegistry.js';
+import { parseDateText, parseClosingDate } from './scraping/jobDetailParser.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// HTTP statuses that mean the ad has been taken down
+const GONE_STATUSES = [404, 410];
+
+// Answers that say nothing about the ad: the board is refusing crawlers,
+// rate limiting us or down for a while
+const BLOCKED_STATUSES = [403, 429, 503];
+
+// Wording boards use on ads that stay online after the vacancy closed
+const CLOSED_MARKERS = /\b(this (job|vacancy|position|role|advert|posting) (has been|is) (filled|closed|removed|no longer available)|position (has been )?filled|no longer (accepting applications|available|active)|(vacancy|job|advert|advertisement|posting) (has )?(expired|closed)|applications (are |have )?(now )?closed|job not found)\b/i;
+
+// Re-checks the source pages of active jobs so users stop seeing ads that
+// were taken down, marked filled or are past their closing date. A job that
+// cannot be reached a few times in a row is flagged staleSince and closed
+// once it has been stale for JOB_STALE_DAYS. A board that blocks or rate
+// limits us, or does not answer in time, only delays the check: live ads on
+// boards that turn crawlers away are not closed. Checks are claimed with a lease
+// like the enrichment queue, and every request goes through the crawl
+// scheduler so liveness checks share each board's budget.
+export class JobLivenessVerifier {
+  constructor(options = {}) {
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.concurrency = options.concurrency || 1;
+    this.pollInterval = options.pollInterval || 60 * 1000;
+    this.lockDuration = options.lockDuration || 5 * 60 * 1000;
+    this.checkInterval = options.checkInterval || (parseFloat(process.env.JOB_LIVENESS_INTERVAL_HOURS) || 24) * 60 * 60 * 1000;
+    this.retryDelay = options.retryDelay || 6 * 60 * 60 * 1000;
+    this.failuresBeforeStale = options.failuresBeforeStale || 3;
+    this.staleDays = options.staleDays || parseInt(process.env.JOB_STALE_DAYS) || 7;
+    this.maxSources = options.maxSources || 3;
+    this.fetcher = options.fetcher || scrapingService;
+    this.adapters = options.adapters || adapterRegistry;
+    this.isRunning = false;
+    this.activeChecks = 0;
+    this.timer = null;
+    this.stats = { checked: 0, live: 0, closed: 0, stale: 0, unverifiable: 0 };
+  }
+
+  start() {
+    if (this.isRunning) return;
+
+    this.isRunning = true;
+    this.timer = setInterval(() => this.poll(), this.pollInterval);
+    console.log(`Job liveness verifier started (worker ${this.workerId}, every ${Math.round(this.checkInterval / 3600000)}h per job)`);
+  }
+
+  async stop() {
+    this.isRunning = false;
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  async poll() {
+    try {
+      await this.closeExpired();
+    } catch (error) {
+      console.error('Closing expired jobs failed:', error);
+    }
+
+    while (this.isRunning && this.activeChecks < this.concurrency) {
+      let job;
+      try {
+        job = await this.claimNext();
+      } catch (error) {
+        console.error('Job liveness claim error:', error);
+        return;
+      }
+
+      if (!job) return;
+
+      this.activeChecks += 1;
+      this.verifyJob(job)
+        .catch(error => console.error(`Job liveness check ${job._id} crashed:`, error))
+        .finally(() => {
+          this.activeChecks -= 1;
+        });
+    }
+  }
+
+  async claimNext() {
+    const now = new Date();
+
+    return Job.findOneAndUpdate(
+      {
+        isActive: true,
+        $and: [
+          // Jobs stored before liveness checks existed have no nextCheckAt
+          { $or: [{ 'liveness.nextCheckAt': { $lte: now } }, { 'liveness.nextCheckAt': { $exists: false } }] },
+          { $or: [{ 'liveness.lockedUntil': { $exists: false } }, { 'liveness.lockedUntil': null }, { 'liveness.lockedUntil': { $lt: now } }] }
+        ]
+      },
+      {
+        $set: {
+          'liveness.lockedBy': this.workerId,
+          'liveness.lockedUntil': new Date(now.getTime() + this.lockDuration)
+        }
+      },
+      { new: true, sort: { 'liveness.nextCheckAt': 1 } }
+    );
+  }
+
+  // The closing day itself still counts as open
+  closingDatePassed(closingDate, now = new Date()) {
+    return Boolean(closingDate) && closingDate.getTime() + DAY < now.getTime();
+  }
+
+  // Jobs past their closing date need no request to know they are closed
+  async closeExpired(limit = 100) {
+    const jobs = await Job.find({ isActive: true, closingDate: { $lt: new Date(Date.now() - DAY) } }).limit(limit);
+
+    for (const job of jobs) {
+      await job.markAsFilled('closing-date');
+      this.stats.closed += 1;
+    }
+    return jobs.length;
+  }
+
+  // Primary source first, then the other boards the vacancy was clustered from
+  sourcesToCheck(job) {
+    const sources = [job.source, ...(job.sources || [])].filter(source => source?.url);
+    const seen = new Set();
+
+    return sources.filter(source => {
+      if (seen.has(source.url)) return false;
+      seen.add(source.url);
+      return true;
+    }).slice(0, this.maxSources);
+  }
+
+  // The job stays live while any of its sources is; it is only closed when
+  // every source that could be checked is gone
+  async verifyJob(job) {
+    try {
+      if (this.closingDatePassed(job.closingDate)) {
+        return this.close(job, 'closing-date');
+      }
+
+      await this.adapters.load();
+
+      let checked = 0;
+      let gone = null;
+      let failure = null;
+      let blocked = null;
+
+      for (const source of this.sourcesToCheck(job)) {
+        const adapter = this.adapters.forSource(source);
+        if (!adapter) continue;
+
+        try {
+          const html = await this.fetcher.fetchPage(adapter, source.url);
+          checked += 1;
+
+          const verdict = this.inspectPage(html, adapter, source.url);
+          if (verdict.live) {
+            return this.markLive(job, source, verdict);
+          }
+          gone = gone || verdict;
+        } catch (error) {
+          const status = error.status || error.response?.status;
+
+          // Not the ad's fault: try again once the board's budget resets
+          if (error.code === 'CRAWL_BUDGET_EXHAUSTED') {
+            return this.reschedule(job, error.retryAt);
+          }
+          if (error.code === 'ROBOTS_DENIED') continue;
+          if (this.isBlocked(error)) {
+            blocked = blocked || error;
+            continue;
+          }
+
+          checked += 1;
+          if (GONE_STATUSES.includes(status)) {
+            gone = gone || { live: false, reason: 'removed', httpStatus: status };
+          } else {
+            failure = failure || error;
+          }
+        }
+      }
+
+      // A source we could not get an answer from may still have the ad up
+      if (blocked && !failure) {
+        const status = blocked.status || blocked.response?.status;
+        job.liveness.httpStatus = status;
+        return this.reschedule(job, new Date(Date.now() + this.retryDelay), `Not checked: ${status ? `HTTP ${status}` : blocked.message}`);
+      }
+
+      if (checked === 0) {
+        // No adapter (or robots.txt) lets us look at any source
+        this.stats.unverifiable += 1;
+        return this.reschedule(job, new Date(Date.now() + this.checkInterval * 7), 'No source could be checked');
+      }
+
+      if (gone && !failure) {
+        return this.close(job, gone.reason, gone.httpStatus);
+      }
+
+      return this.markFailure(job, failure || new Error('Source page looks closed'));
+    } catch (error) {
+      return this.markFailure(job, error);
+    }
+  }
+
+  isBlocked(error) {
+    const status = error.status || error.response?.status;
+    if (BLOCKED_STATUSES.includes(status)) return true;
+    // axios and puppeteer timeouts
+    return ['ECONNABORTED', 'ETIMEDOUT'].includes(error.code) || error.name === 'TimeoutError';
+  }
+
+  // { live, reason, closingDate } from a fetched job page
+  inspectPage(html, adapter, url) {
+    const $ = cheerio.load(html);
+    $('script, style, noscript').remove();
+    const text = $('body').text().replace(/\s+/g, ' ');
+
+    if (CLOSED_MARKERS.test(text)) {
+      return { live: false, reason: 'filled-marker' };
+    }
+
+    const detail = adapter.parseDetail(html, { url });
+    const closingDate = parseDateText(detail.fields.closingDate) || parseClosingDate(text);
+    if (this.closingDatePassed(closingDate)) {
+      return { live: false, reason: 'closing-date', closingDate };
+    }
+
+    return { live: true, closingDate };
+  }
+
+  async markLive(job, source, { closingDate } = {}) {
+    // Send applicants to a board where the ad is still up
+    if (source.url !== job.source?.url) {
+      const { website, url, scrapedId, adapter, selectorVersion } = source;
+      job.source = { website, url, scrapedId, adapter, selectorVersion };
+      job.applicationUrl = url;
+    }
+    if (!job.closingDate && closingDate) {
+      job.closingDate = closingDate;
+    }
+
+    job.staleSince = undefined;
+    job.liveness.status = 'live';
+    job.liveness.consecutiveFailures = 0;
+    job.liveness.httpStatus = 200;
+    job.liveness.error = undefined;
+    this.stats.live += 1;
+    return this.finishCheck(job, new Date(Date.now() + this.checkInterval));
+  }
+
+  async close(job, reason, httpStatus) {
+    this.stats.checked += 1;
+    this.stats.closed += 1;
+    job.liveness.checks += 1;
+    job.liveness.lastCheckedAt = new Date();
+    job.liveness.httpStatus = httpStatus;
+    console.log(`Job ${job._id} closed (${reason})`);
+    return job.markAsFilled(reason);
+  }
+
+  async markFailure(job, error) {
+    const now = new Date();
+    job.liveness.consecutiveFailures += 1;
+    job.liveness.httpStatus = error.status || error.response?.status;
+    job.liveness.error = error.message;
+
+    if (job.liveness.consecutiveFailures >= this.failuresBeforeStale) {
+      if (!job.staleSince) {
+        job.staleSince = now;
+        this.stats.stale += 1;
+      }
+      job.liveness.status = 'stale';
+
+      if (now - job.staleSince >= this.staleDays * DAY) {
+        this.stats.checked += 1;
+        this.stats.closed += 1;
+        job.liveness.checks += 1;
+        job.liveness.lastCheckedAt = now;
+        console.warn(`Job ${job._id} closed after ${this.staleDays} days stale:`, error.message);
+        return job.markAsFilled('stale');
+      }
+    }
+
+    return this.finishCheck(job, new Date(now.getTime() + this.retryDelay));
+  }
+
+  // Puts the job back without counting a check
+  async reschedule(job, nextCheckAt, error) {
+    job.liveness.nextCheckAt = nextCheckAt;
+    if (error) job.liveness.error = error;
+    job.liveness.lockedBy = undefined;
+    job.liveness.lockedUntil = undefined;
+    await job.save();
+    return job;
+  }
+
+  async finishCheck(job, nextCheckAt) {
+    this.stats.checked += 1;
+    job.liveness.checks += 1;
+    job.liveness.lastCheckedAt = new Date();
+    job.liveness.nextCheckAt = nextCheckAt;
+    job.liveness.lockedBy = undefined;
+    job.liveness.lockedUntil = undefined;
+    await job.save();
+    return job;
+  }
+
+  // Checks one job right away, e.g. after a user reports a dead ad
+  async checkNow(jobId) {
+    const job = await Job.findById(jobId);
+    if (!job) return null;
+    if (!job.isActive) return job;
+    return this.verifyJob(job);
+  }
+
+  async getStatistics() {
+    const since = new Date(Date.now() - 7 * DAY);
+
+    const [byStatus, closedByReason, stale] = await Promise.all([
+      Job.aggregate([
+        { $match: { isActive: true } },
+        { $group: { _id: { $ifNull: ['$liveness.status', 'unchecked'] }, count: { $sum: 1 } } }
+      ]),
+      Job.aggregate([
+        { $match: { isActive: false, filledAt: { $gte: since } } },
+        { $group: { _id: { $ifNull: ['$liveness.closedReason', 'manual'] }, count: { $sum: 1 } } }
+      ]),
+      Job.countDocuments({ isActive: true, staleSince: { $exists: true, $ne: null } })
+    ]);
+
+    return {
+      isRunning: this.isRunning,
+      activeChecks: this.activeChecks,
+      byStatus: Object.fromEntries(byStatus.map(entry => [entry._id, entry.count])),
+      stale,
+      closedLast7Days: Object.fromEntries(closedByReason.map(entry => [entry._id, entry.count])),
+      session: this.stats
+    };
+  }
+}
+
+const jobLivenessVerifier = new JobLivenessVerifier();
+export default jobLivenessVerifier;
@@ -0,0 +1,167 @@
+import { jest } from '@jest/globals';
+import Job from '../models/Job.js';
+import { AdapterRegistry, DEFAULT_ADAPTERS_DIR } from './scraping/adapterRegistry.js';
+
+const fetcher = { fetchPage: jest.fn() };
+jest.unstable_mockModule('./scrapingService.js', () => ({ default: fetcher }));
+
+const { JobLivenessVerifier } = await import('./jobLivenessVerifier.js');
+
+const DAY = 24 * 60 * 60 * 1000;
+const PNET = 'https://www.pnet.co.za/jobs/1';
+const CAREERS24 = 'https://www.careers24.com/jobs/9';
+
+const page = (text) => `<html><body><div class="job-ad-display">${text}</div></body></html>`;
+const failure = (fields) => Object.assign(new Error(fields.message || 'request failed'), fields);
+
+describe('JobLivenessVerifier', () => {
+  let verifier;
+  let job;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(Job.prototype, 'save').mockImplementation(async function() {
+      return this;
+    });
+    fetcher.fetchPage.mockReset().mockResolvedValue(page('Senior Java developer for our payments team.'));
+
+    verifier = new JobLivenessVerifier({
+      fetcher,
+      adapters: new AdapterRegistry({ directories: [DEFAULT_ADAPTERS_DIR] }),
+      checkInterval: DAY,
+      retryDelay: 60000,
+      staleDays: 7
+    });
+    job = new Job({
+      title: 'Senior Java Developer',
+      company: 'Acme Digital',
+      location: 'Cape Town',
+      description: 'Senior Java developer',
+      source: { website: 'PNet South Africa', adapter: 'pnet', url: PNET },
+      sources: [
+        { website: 'PNet South Africa', adapter: 'pnet', url: PNET },
+        { website: 'Careers24', adapter: 'careers24', url: CAREERS24 }
+      ],
+      liveness: { lockedBy: 'worker', lockedUntil: new Date(Date.now() + 60000) }
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('a live ad is checked again after the check interval', async () => {
+    const before = Date.now();
+    await verifier.verifyJob(job);
+
+    expect(job.isActive).toBe(true);
+    expect(job.liveness).toMatchObject({ status: 'live', checks: 1, consecutiveFailures: 0, httpStatus: 200, lockedBy: undefined });
+    expect(job.liveness.nextCheckAt.getTime()).toBeGreaterThanOrEqual(before + DAY);
+    expect(fetcher.fetchPage).toHaveBeenCalledTimes(1);
+  });
+
+  test('a closing date on the page is kept, and a passed one closes the job', async () => {
+    const soon = new Date(Date.now() + 10 * DAY);
+    fetcher.fetchPage.mockResolvedValueOnce(page(`Closing date: ${soon.toISOString().slice(0, 10)}`));
+    await verifier.verifyJob(job);
+    expect(job.closingDate.toISOString().slice(0, 10)).toBe(soon.toISOString().slice(0, 10));
+
+    job.closingDate = new Date(Date.now() - 2 * DAY);
+    await verifier.verifyJob(job);
+    expect(job).toMatchObject({ isActive: false, liveness: { status: 'closed', closedReason: 'closing-date' } });
+  });
+
+  test('the job stays up while another board still has the ad, and applicants are sent there', async () => {
+    fetcher.fetchPage
+      .mockRejectedValueOnce(failure({ response: { status: 404 } }))
+      .mockResolvedValueOnce(page('Apply now'));
+
+    await verifier.verifyJob(job);
+
+    expect(job.isActive).toBe(true);
+    expect(job.source.url).toBe(CAREERS24);
+    expect(job.applicationUrl).toBe(CAREERS24);
+  });
+
+  test('the job is closed once every board has taken the ad down or marked it filled', async () => {
+    fetcher.fetchPage
+      .mockRejectedValueOnce(failure({ status: 410 }))
+      .mockResolvedValueOnce(page('Sorry, this position has been filled.'));
+
+    await verifier.verifyJob(job);
+    expect(job).toMatchObject({ isActive: false, liveness: { status: 'closed', closedReason: 'removed', httpStatus: 410 } });
+  });
+
+  test('a board that blocks or rate limits us only delays the check', async () => {
+    fetcher.fetchPage.mockRejectedValue(failure({ response: { status: 429 } }));
+
+    await verifier.verifyJob(job);
+
+    expect(job.isActive).toBe(true);
+    expect(job.liveness).toMatchObject({ consecutiveFailures: 0, checks: 0, httpStatus: 429, error: 'Not checked: HTTP 429' });
+  });
+
+  test('an exhausted crawl budget waits for the budget to reset', async () => {
+    const retryAt = new Date(Date.now() + 3600000);
+    fetcher.fetchPage.mockRejectedValue(failure({ code: 'CRAWL_BUDGET_EXHAUSTED', retryAt }));
+
+    await verifier.verifyJob(job);
+    expect(job.liveness).toMatchObject({ nextCheckAt: retryAt, checks: 0, lockedBy: undefined });
+  });
+
+  test('jobs without a checkable source are put off for a week', async () => {
+    job.source = { url: 'https://example.com/job' };
+    job.sources = [];
+    const before = Date.now();
+
+    await verifier.verifyJob(job);
+    expect(job.liveness.error).toBe('No source could be checked');
+    expect(job.liveness.nextCheckAt.getTime()).toBeGreaterThanOrEqual(before + 7 * DAY);
+    expect(fetcher.fetchPage).not.toHaveBeenCalled();
+  });
+
+  test('repeated errors flag the job stale, and it is closed after staying stale', async () => {
+    fetcher.fetchPage.mockRejectedValue(failure({ status: 500, message: 'Internal Server Error' }));
+
+    await verifier.verifyJob(job);
+    await verifier.verifyJob(job);
+    expect(job.liveness).toMatchObject({ status: 'unchecked', consecutiveFailures: 2 });
+    expect(job.staleSince).toBeUndefined();
+
+    await verifier.verifyJob(job);
+    expect(job.liveness.status).toBe('stale');
+    expect(job.staleSince).toBeInstanceOf(Date);
+
+    job.staleSince = new Date(Date.now() - 8 * DAY);
+    await verifier.verifyJob(job);
+    expect(job).toMatchObject({ isActive: false, liveness: { closedReason: 'stale' } });
+  });
+
+  test('a live check clears the stale flag', async () => {
+    job.staleSince = new Date();
+    job.liveness.status = 'stale';
+    job.liveness.consecutiveFailures = 4;
+
+    await verifier.verifyJob(job);
+    expect(job.staleSince).toBeUndefined();
+    expect(job.liveness).toMatchObject({ status: 'live', consecutiveFailures: 0 });
+  });
+
+  test('sources are checked once each, up to maxSources', () => {
+    job.sources.push(
+      { website: 'Indeed', url: 'https://www.indeed.co.za/viewjob?jk=1' },
+      { website: 'Careerjet', url: 'https://www.careerjet.co.za/job/1' }
+    );
+
+    expect(verifier.sourcesToCheck(job).map(source => source.url)).toEqual([PNET, CAREERS24, 'https://www.indeed.co.za/viewjob?jk=1']);
+  });
+
+  test('the closing day itself still counts as open', () => {
+    const now = new Date('2024-06-30T15:00:00Z');
+
+    expect(verifier.closingDatePassed(new Date('2024-06-30'), now)).toBe(false);
+    expect(verifier.closingDatePassed(new Date('2024-06-29'), now)).toBe(true);
+    expect(verifier.closingDatePassed(null, now)).toBe(false);
+  });
+});
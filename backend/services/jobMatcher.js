@@ -0,0 +1,337 @@
+import crypto from 'crypto';
+import Job from '../models/Job.js';
+import User from '../models/User.js';
+import { getEmbeddingClient } from '../ai_services/llm/index.js';
+import { VectorIndex } from './matching/vectorIndex.js';
+import {
+  collectUserSkills,
+  scoreSkills,
+  resolveUserSeniority,
+  scoreSeniority,
+  scoreLocation,
+  scoreSalary
+} from './matching/matchComponents.js';
+
+// Semantic job matching. Jobs and CVs are embedded once and the vectors are
+// stored on the documents; an in-process vector index narrows all active jobs
+// down to a candidate pool, which is then re-ranked with explainable
+// component scores (skills, seniority, location, salary).
+export class JobMatcher {
+  constructor(options = {}) {
+    this.embeddings = options.embeddingClient || getEmbeddingClient();
+    this.index = new VectorIndex();
+    this.candidatePool = options.candidatePool || parseInt(process.env.MATCH_CANDIDATE_POOL) || 500;
+    this.batchSize = options.batchSize || parseInt(process.env.EMBEDDING_BATCH_SIZE) || 32;
+    this.lastSync = null;
+    // Embedding model the indexed vectors came from
+    this.indexModel = null;
+    this.syncing = null;
+
+    // Component weights; components without data are left out and the rest re-weighted
+    this.weights = {
+      semantic: 40,
+      skills: 25,
+      seniority: 15,
+      location: 10,
+      salary: 10
+    };
+  }
+
+  get model() {
+    return this.embeddings.resolveModel('embedding');
+  }
+
+  hashText(text) {
+    return crypto.createHash('sha256').update(`${this.model}\n${text}`).digest('hex');
+  }
+
+  buildJobText(job) {
+    return [
+      job.title,
+      job.company,
+      (job.skills || []).join(', '),
+      (job.requirements || []).join('\n'),
+      (job.description || '').substring(0, 2000)
+    ].filter(Boolean).join('\n');
+  }
+
+  // Prefers the structured CV so headings and contact details do not dilute the vector
+  buildUserText(user) {
+    const resume = user.cv?.structured;
+    if (resume) {
+      const parts = [
+        resume.basics?.label,
+        resume.basics?.summary,
+        (resume.skills || []).flatMap(skill => [skill.name, ...(skill.keywords || [])]).join(', '),
+        ...(resume.work || []).map(work => [work.position, work.name, work.summary, ...(work.highlights || [])].filter(Boolean).join(' ')),
+        ...(resume.education || []).map(education => [education.studyType, education.area, education.institution].filter(Boolean).join(' '))
+      ].filter(Boolean);
+
+      if (parts.join(' ').length >= 100) {
+        return parts.join('\n').substring(0, 6000);
+      }
+    }
+
+    return (user.cv?.enhanced || '').substring(0, 6000);
+  }
+
+  async embedTexts(texts, purpose) {
+    const vectors = [];
+    for (let i = 0; i < texts.length; i += this.batchSize) {
+      const { embeddings } = await this.embeddings.embed({
+        input: texts.slice(i, i + this.batchSize),
+        purpose
+      });
+      vectors.push(...embeddings);
+    }
+    return vectors;
+  }
+
+  // Embeds active jobs that have no vector yet, were embedded by another model
+  // or changed since they were embedded
+  async embedPendingJobs({ limit = 1000 } = {}) {
+    const model = this.model;
+    const jobs = await Job.find({
+      isActive: true,
+      $or: [
+        { 'embedding.model': { $ne: model } },
+        { $expr: { $gt: ['$updatedAt', '$embedding.updatedAt'] } }
+      ]
+    })
+      .select('title company description requirements skills embedding.textHash')
+      .limit(limit)
+      .lean();
+
+    let embedded = 0;
+
+    for (let i = 0; i < jobs.length; i += this.batchSize) {
+      const batch = jobs.slice(i, i + this.batchSize).map(job => {
+        const text = this.buildJobText(job);
+        return { job, text, textHash: this.hashText(text) };
+      });
+
+      // Metadata-only edits keep their vector
+      const changed = batch.filter(entry => entry.job.embedding?.textHash !== entry.textHash);
+      const vectors = changed.length > 0
+        ? await this.embedTexts(changed.map(entry => entry.text), 'job_embedding')
+        : [];
+
+      const now = new Date();
+      const operations = batch.map(entry => {
+        const index = changed.indexOf(entry);
+        const update = index === -1
+          ? { 'embedding.updatedAt': now }
+          : {
+            embedding: {
+              vector: vectors[index],
+              model,
+              dimensions: vectors[index].length,
+              textHash: entry.textHash,
+              updatedAt: now
+            }
+          };
+
+        // An index still holding another model's vectors is rebuilt on the next sync
+        if (index !== -1 && this.indexModel === model) this.index.upsert(entry.job._id, vectors[index]);
+        return { updateOne: { filter: { _id: entry.job._id }, update: { $set: update }, timestamps: false } };
+      });
+
+      await Job.bulkWrite(operations);
+      embedded += changed.length;
+    }
+
+    return { checked: jobs.length, embedded };
+  }
+
+  // Loads new and updated job vectors into the index and drops jobs that have
+  // been deactivated since the last sync. A change of embedding model rebuilds
+  // the index, since vectors from different models cannot be compared
+  async syncIndex({ full = false } = {}) {
+    if (this.syncing) return this.syncing;
+
+    this.syncing = (async () => {
+      const startedAt = new Date();
+      const model = this.model;
+      const since = full || this.indexModel !== model ? null : this.lastSync;
+
+      if (!since) {
+        this.index.clear();
+        this.indexModel = model;
+      }
+
+      const cursor = Job.find({
+        isActive: true,
+        'embedding.model': model,
+        ...(since && { 'embedding.updatedAt': { $gte: since } })
+      })
+        .select('embedding.vector')
+        .lean()
+        .cursor();
+
+      let loaded = 0;
+      for await (const job of cursor) {
+        if (job.embedding?.vector?.length) {
+          this.index.upsert(job._id, job.embedding.vector);
+          loaded++;
+        }
+      }
+
+      let removed = 0;
+      if (since) {
+        const inactive = await Job.find({ isActive: false, updatedAt: { $gte: since } }).select('_id').lean();
+        inactive.forEach(job => this.index.remove(job._id) && removed++);
+      }
+
+      this.lastSync = startedAt;
+      return { loaded, removed, size: this.index.size };
+    })();
+
+    try {
+      return await this.syncing;
+    } finally {
+      this.syncing = null;
+    }
+  }
+
+  async ensureUserEmbedding(user) {
+    const text = this.buildUserText(user);
+    if (!text.trim()) return null;
+
+    const textHash = this.hashText(text);
+    const stored = user.cv?.embedding;
+    if (stored?.textHash === textHash && stored.vector?.length) {
+      return stored.vector;
+    }
+
+    const [vector] = await this.embedTexts([text], 'cv_embedding');
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: {
+          'cv.embedding': {
+            vector,
+            model: this.model,
+            dimensions: vector.length,
+            textHash,
+            updatedAt: new Date()
+          }
+        }
+      },
+      { timestamps: false }
+    );
+
+    return vector;
+  }
+
+  async matchJobsForUser(userId, { page = 1, limit = 10 } = {}) {
+    const user = await User.findById(userId)
+      .select('+cv.enhanced +cv.structured +cv.embedding.vector');
+    if (!user) return null;
+
+    let queryVector = null;
+    try {
+      await this.syncIndex();
+      queryVector = await this.ensureUserEmbedding(user);
+    } catch (error) {
+      // Without embeddings the rule-based components still give a usable ranking
+      console.error('Semantic matching unavailable:', error.message);
+    }
+
+    const semantic = Boolean(queryVector) && this.index.size > 0;
+    const similarities = new Map();
+    let jobs;
+
+    if (semantic) {
+      const hits = this.index.search(queryVector, { k: this.candidatePool });
+      hits.forEach(hit => similarities.set(hit.id, hit.score));
+
+      jobs = await Job.find({ _id: { $in: hits.map(hit => hit.id) }, isActive: true }).lean();
+
+      // Jobs removed by the TTL index never show up as inactive, so prune them here
+      const found = new Set(jobs.map(job => job._id.toString()));
+      hits.filter(hit => !found.has(hit.id)).forEach(hit => this.index.remove(hit.id));
+    } else {
+      jobs = await Job.find({ isActive: true })
+        .sort({ postedDate: -1 })
+        .limit(this.candidatePool)
+        .lean();
+    }
+
+    const context = {
+      skills: collectUserSkills(user),
+      seniority: resolveUserSeniority(user)
+    };
+
+    const ranked = jobs
+      .map(job => this.scoreJob(user, job, similarities.get(job._id.toString()), context))
+      .sort((a, b) => b.score - a.score);
+
+    const skip = (page - 1) * limit;
+    return {
+      matches: ranked.slice(skip, skip + parseInt(limit)),
+      total: ranked.length,
+      semantic,
+      model: semantic ? this.model : null
+    };
+  }
+
+  scoreJob(user, job, similarity, context) {
+    const components = {
+      semantic: similarity === undefined
+        ? { score: null }
+        : { score: Math.round(Math.max(0, similarity) * 100), similarity: Math.round(similarity * 1000) / 1000 },
+      skills: scoreSkills(context.skills, job),
+      seniority: scoreSeniority(context.seniority, job),
+      location: scoreLocation(user, job),
+      salary: scoreSalary(user, job)
+    };
+
+    let weighted = 0;
+    let totalWeight = 0;
+    for (const [name, component] of Object.entries(components)) {
+      component.weight = this.weights[name];
+      if (component.score === null || component.score === undefined) continue;
+      weighted += component.score * this.weights[name];
+      totalWeight += this.weights[name];
+    }
+
+    const { embedding, ...details } = job;
+    return {
+      job: details,
+      score: totalWeight > 0 ? Math.round(weighted / totalWeight) : 0,
+      components
+    };
+  }
+
+  // Ranks an arbitrary list of jobs against CV text without touching the index
+  async rankJobsForText(text, jobs, limit = 10) {
+    if (!text || jobs.length === 0) return [];
+
+    const [cvVector, ...jobVectors] = await this.embedTexts(
+      [text.substring(0, 6000), ...jobs.map(job => this.buildJobText(job))],
+      'job_matching'
+    );
+
+    const index = new VectorIndex({ dimensions: cvVector.length, initialCapacity: jobs.length });
+    jobs.forEach((job, position) => index.upsert(job._id || job.id || position, jobVectors[position]));
+
+    return index.search(cvVector, { k: limit }).map(hit => ({
+      jobId: hit.id,
+      matchScore: Math.round(Math.max(0, hit.score) * 100),
+      similarity: Math.round(hit.score * 1000) / 1000
+    }));
+  }
+
+  getStatistics() {
+    return {
+      model: this.model,
+      provider: this.embeddings.providerName,
+      indexedJobs: this.index.size,
+      dimensions: this.index.dimensions,
+      lastSync: this.lastSync
+    };
+  }
+}
+
+const jobMatcher = new JobMatcher();
+export default jobMatcher;
@@ -0,0 +1,145 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import Job from '../models/Job.js';
+import User from '../models/User.js';
+import { JobMatcher } from './jobMatcher.js';
+
+// Three-dimensional "embeddings": frontend, backend and healthcare words
+const embed = (text) => [
+  /react|frontend/i.test(text) ? 1 : 0,
+  /node|backend/i.test(text) ? 1 : 0,
+  /nurse|clinic/i.test(text) ? 1 : 0
+];
+
+const embeddingClient = (model = 'embed-v1') => ({
+  resolveModel: () => model,
+  providerName: 'stub',
+  embed: jest.fn(async ({ input }) => ({ embeddings: input.map(embed) }))
+});
+
+// Job.find(...).select().limit().lean() and .cursor() as Mongoose chains them
+const query = (results) => {
+  const chain = {
+    select: () => chain,
+    limit: () => chain,
+    sort: () => chain,
+    lean: () => chain,
+    cursor: () => results,
+    then: (resolve, reject) => Promise.resolve(results).then(resolve, reject)
+  };
+  return chain;
+};
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe('JobMatcher', () => {
+  let matcher;
+
+  beforeEach(() => {
+    matcher = new JobMatcher({ embeddingClient: embeddingClient(), batchSize: 2 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('scoreJob re-weights the components that have data', () => {
+    const match = matcher.scoreJob(
+      {},
+      { _id: id(), title: 'Developer', isRemote: true, embedding: { vector: [1] } },
+      0.8,
+      { skills: [], seniority: null }
+    );
+
+    // semantic 80 x 40 and location 100 x 10; skills, seniority and salary are unknown
+    expect(match.score).toBe(84);
+    expect(match.components.semantic).toEqual({ score: 80, similarity: 0.8, weight: 40 });
+    expect(match.components.skills).toMatchObject({ score: null, weight: 25 });
+    expect(match.job).not.toHaveProperty('embedding');
+  });
+
+  test('a job with nothing to compare scores 0', () => {
+    expect(matcher.scoreJob({}, { _id: id(), title: 'Developer' }, undefined, { skills: [], seniority: null }).score).toBe(0);
+  });
+
+  test('only jobs whose text changed are embedded again', async () => {
+    const unchanged = { _id: id(), title: 'Nurse', company: 'Clinic' };
+    unchanged.embedding = { textHash: matcher.hashText(matcher.buildJobText(unchanged)) };
+    const edited = { _id: id(), title: 'React developer', embedding: { textHash: 'stale' } };
+    const fresh = { _id: id(), title: 'Node.js developer' };
+
+    jest.spyOn(Job, 'find').mockReturnValue(query([unchanged, edited, fresh]));
+    jest.spyOn(Job, 'bulkWrite').mockResolvedValue({});
+
+    await expect(matcher.embedPendingJobs()).resolves.toEqual({ checked: 3, embedded: 2 });
+
+    const [first, second] = Job.bulkWrite.mock.calls.map(([operations]) => operations);
+    expect(first[0].updateOne.update.$set).toEqual({ 'embedding.updatedAt': expect.any(Date) });
+    expect(first[1].updateOne.update.$set.embedding).toMatchObject({ vector: [1, 0, 0], model: 'embed-v1', dimensions: 3 });
+    expect(second[0].updateOne.update.$set.embedding.vector).toEqual([0, 1, 0]);
+    expect(matcher.embeddings.embed).toHaveBeenCalledTimes(2);
+  });
+
+  test('an incremental sync adds changed jobs and drops deactivated ones', async () => {
+    const react = id();
+    const nurse = id();
+    jest.spyOn(Job, 'find')
+      .mockReturnValueOnce(query([{ _id: react, embedding: { vector: [1, 0, 0] } }, { _id: nurse, embedding: { vector: [0, 0, 1] } }]))
+      .mockReturnValueOnce(query([{ _id: id(), embedding: { vector: [0, 1, 0] } }]))
+      .mockReturnValueOnce(query([{ _id: nurse }]));
+
+    await expect(matcher.syncIndex()).resolves.toEqual({ loaded: 2, removed: 0, size: 2 });
+    await expect(matcher.syncIndex()).resolves.toEqual({ loaded: 1, removed: 1, size: 2 });
+
+    expect(Job.find.mock.calls[1][0]).toMatchObject({ 'embedding.updatedAt': { $gte: expect.any(Date) } });
+    expect(matcher.index.has(react)).toBe(true);
+    expect(matcher.index.has(nurse)).toBe(false);
+  });
+
+  test('a new embedding model rebuilds the index from scratch', async () => {
+    jest.spyOn(Job, 'find').mockReturnValue(query([{ _id: id(), embedding: { vector: [1, 0, 0] } }]));
+    await matcher.syncIndex();
+
+    matcher.embeddings = embeddingClient('embed-v2');
+    await expect(matcher.syncIndex()).resolves.toEqual({ loaded: 1, removed: 0, size: 1 });
+
+    expect(Job.find).toHaveBeenCalledTimes(2);
+    expect(Job.find.mock.calls[1][0]).toEqual({ isActive: true, 'embedding.model': 'embed-v2' });
+  });
+
+  test('a CV vector is reused until the CV text changes', async () => {
+    jest.spyOn(User, 'updateOne').mockResolvedValue({});
+    const user = { _id: id(), cv: { enhanced: 'React developer' } };
+
+    await expect(matcher.ensureUserEmbedding(user)).resolves.toEqual([1, 0, 0]);
+    const [, { $set }] = User.updateOne.mock.calls[0];
+
+    user.cv.embedding = $set['cv.embedding'];
+    await expect(matcher.ensureUserEmbedding(user)).resolves.toEqual([1, 0, 0]);
+    expect(matcher.embeddings.embed).toHaveBeenCalledTimes(1);
+  });
+
+  test('without embeddings, matching falls back to the rule-based components', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const user = { _id: id(), jobPreferences: { locations: ['Remote'] }, cv: { enhanced: 'React developer' } };
+    jest.spyOn(User, 'findById').mockReturnValue({ select: async () => user });
+    jest.spyOn(Job, 'find').mockReturnValue(query([
+      { _id: id(), title: 'Developer', location: 'Cape Town' },
+      { _id: id(), title: 'Developer', isRemote: true }
+    ]));
+    matcher.embeddings.embed.mockRejectedValue(new Error('connect ECONNREFUSED'));
+
+    const result = await matcher.matchJobsForUser(user._id);
+
+    expect(result).toMatchObject({ semantic: false, model: null, total: 2 });
+    expect(result.matches.map(match => match.score)).toEqual([100, 20]);
+  });
+
+  test('rankJobsForText ranks a list of jobs against CV text', async () => {
+    const jobs = [{ id: 'nurse', title: 'Clinic nurse' }, { id: 'react', title: 'React developer' }];
+
+    await expect(matcher.rankJobsForText('Frontend engineer', jobs, 1)).resolves.toEqual([
+      { jobId: 'react', matchScore: 100, similarity: 1 }
+    ]);
+  });
+});
@@ -0,0 +1,275 @@
+import { toMonthly } from '../salary/salaryParser.js';
+import gazetteer, { distanceKm } from '../geo/gazetteer.js';
+import skillTaxonomy from '../skills/skillTaxonomy.js';
+
+// Explainable, rule-based parts of a job match. Each scorer returns a 0-100
+// score (or null when there is nothing to compare) plus the facts behind it.
+const SENIORITY_LEVELS = ['entry', 'mid', 'senior', 'executive'];
+
+const TITLE_SENIORITY = [
+  [/\b(intern|internship|graduate|trainee|junior|learnership|entry[- ]level)\b/i, 'entry'],
+  [/\b(chief|director|head of|vice president|vp|executive|general manager|cfo|cto|ceo|coo)\b/i, 'executive'],
+  [/\b(senior|sr\.?|lead|principal|manager|specialist|architect)\b/i, 'senior']
+];
+
+const mentions = (text, term) => {
+  const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(?<![a-z0-9])${escaped}(?![a-z0-9])`, 'i').test(text);
+};
+
+// Skill keys (taxonomy ids, or normalised text for skills the taxonomy does
+// not know) from the CV's skills section and the skills its work history mentions
+export function collectUserSkills(user) {
+  const structured = user.cv?.structured || {};
+  const listed = [
+    ...(structured.skills || []).flatMap(skill => [skill.name, ...(skill.keywords || [])]),
+    ...(user.jobPreferences?.skills || [])
+  ].filter(Boolean);
+
+  const experience = [
+    structured.basics?.summary,
+    ...(structured.work || []).flatMap(entry => [entry.position, entry.summary, ...(entry.highlights || [])])
+  ].filter(Boolean).join('\n');
+
+  return [...new Set([
+    ...listed.map(skill => skillTaxonomy.keyFor(skill)),
+    ...skillTaxonomy.extract(experience).map(skill => skill.id)
+  ])];
+}
+
+// Listed job skills compared by taxonomy id. A parent skill counts as held
+// when the CV has one of its children (React covers JavaScript) and a related
+// skill earns half credit (Vue for React). Jobs without listed skills are
+// read through the same extractor.
+export function scoreSkills(userSkills, job) {
+  if (userSkills.length === 0) {
+    return { score: null, reason: 'No skills found on the CV' };
+  }
+
+  let basis = 'listed';
+  let jobSkills = [...new Set([
+    ...(job.skills || []),
+    ...(job.requirementsAnalysis?.technologies || [])
+  ].filter(Boolean).map(skill => skillTaxonomy.keyFor(skill)))];
+
+  if (jobSkills.length === 0) {
+    basis = 'description';
+    const text = [job.title, job.description, ...(job.requirements || [])].filter(Boolean).join(' ');
+    jobSkills = skillTaxonomy.extract(text).map(skill => skill.id);
+
+    // Skills the taxonomy does not know can still be spotted in the ad text
+    if (jobSkills.length === 0) {
+      const matched = userSkills.filter(skill => !skillTaxonomy.get(skill) && mentions(text, skill));
+      return {
+        score: Math.min(100, matched.length * 20),
+        basis,
+        matched,
+        missing: []
+      };
+    }
+  }
+
+  const held = new Set(userSkills.flatMap(skill => [skill, ...skillTaxonomy.ancestors(skill)]));
+  const matched = [];
+  const partial = [];
+  const missing = [];
+
+  for (const skill of jobSkills) {
+    if (held.has(skill)) {
+      matched.push(skill);
+      continue;
+    }
+    const via = skillTaxonomy.relatedTo(skill).find(related => held.has(related));
+    if (via) {
+      partial.push({ skill: skillTaxonomy.nameOf(skill), via: skillTaxonomy.nameOf(via) });
+    } else {
+      missing.push(skill);
+    }
+  }
+
+  return {
+    score: Math.round(((matched.length + partial.length * 0.5) / jobSkills.length) * 100),
+    basis,
+    matched: matched.map(skill => skillTaxonomy.nameOf(skill)),
+    partial,
+    missing: missing.map(skill => skillTaxonomy.nameOf(skill))
+  };
+}
+
+// Years of experience from the structured CV's work history
+export function estimateExperienceYears(work = [], now = new Date()) {
+  let months = 0;
+  for (const entry of work) {
+    if (!entry.startDate) continue;
+    const [startYear, startMonth = 1] = entry.startDate.split('-').map(Number);
+    const [endYear, endMonth = 12] = entry.endDate
+      ? entry.endDate.split('-').map(Number)
+      : [now.getFullYear(), now.getMonth() + 1];
+    months += Math.max(0, (endYear - startYear) * 12 + (endMonth - startMonth));
+  }
+  return Math.round((months / 12) * 10) / 10;
+}
+
+export function levelFromYears(years) {
+  if (years < 2) return 'entry';
+  if (years < 5) return 'mid';
+  if (years < 15) return 'senior';
+  return 'executive';
+}
+
+export function resolveUserSeniority(user) {
+  if (user.profile?.experienceLevel) {
+    return { level: user.profile.experienceLevel, basis: 'profile' };
+  }
+
+  const work = user.cv?.structured?.work || [];
+  if (work.length > 0) {
+    const years = estimateExperienceYears(work);
+    return { level: levelFromYears(years), basis: 'cv', years };
+  }
+
+  const preferred = user.jobPreferences?.experienceLevel?.[0];
+  return preferred ? { level: preferred, basis: 'preferences' } : null;
+}
+
+export function resolveJobSeniority(job) {
+  if (job.experienceLevel && job.experienceLevel !== 'not-specified') {
+    return { level: job.experienceLevel, basis: 'listed' };
+  }
+  const match = TITLE_SENIORITY.find(([pattern]) => pattern.test(job.title || ''));
+  return match ? { level: match[1], basis: 'title' } : null;
+}
+
+export function scoreSeniority(userSeniority, job) {
+  const jobSeniority = resolveJobSeniority(job);
+  if (!userSeniority || !jobSeniority) {
+    return { score: null, user: userSeniority?.level, job: jobSeniority?.level };
+  }
+
+  const gap = SENIORITY_LEVELS.indexOf(jobSeniority.level) - SENIORITY_LEVELS.indexOf(userSeniority.level);
+  const score = [100, 60, 20, 0][Math.min(Math.abs(gap), 3)];
+
+  return {
+    score,
+    user: userSeniority.level,
+    job: jobSeniority.level,
+    reason: gap === 0 ? 'Same level' : gap > 0 ? `Role is ${gap} level(s) above the candidate` : `Role is ${-gap} level(s) below the candidate`
+  };
+}
+
+// Places this far apart are treated as one commute
+const COMMUTE_KM = 40;
+
+// Distance between two resolved places, 0 within the same metro or town and
+// null when either is only known to province level
+function placeDistance(a, b) {
+  if (a.type === 'province' || b.type === 'province') return null;
+  return a.city === b.city ? 0 : Math.round(distanceKm(a, b));
+}
+
+export function scoreLocation(user, job) {
+  if (job.isRemote || job.jobType === 'remote') {
+    return { score: 100, reason: 'Remote role' };
+  }
+
+  const jobLocation = (job.location || '').toLowerCase();
+  const preferred = (user.jobPreferences?.locations || []).map(location => location.toLowerCase());
+  const city = user.profile?.location?.city?.toLowerCase();
+  const province = user.profile?.location?.province?.toLowerCase();
+
+  if (!jobLocation || (!city && !province && preferred.length === 0)) {
+    return { score: null, reason: 'Location unknown' };
+  }
+
+  // Places the gazetteer knows are compared by metro and distance, so a
+  // Sandton job fits a user who prefers "JHB"
+  const jobPlace = gazetteer.resolve(job.location);
+  if (jobPlace) {
+    for (const place of preferred.map(location => gazetteer.resolve(location)).filter(Boolean)) {
+      const km = placeDistance(place, jobPlace);
+      if (km === 0 || (place.type === 'province' && place.provinceCode === jobPlace.provinceCode)) {
+        return { score: 100, reason: 'In a preferred location' };
+      }
+      if (km !== null && km <= COMMUTE_KM) {
+        return { score: 90, reason: `${km} km from ${place.name}`, distanceKm: km };
+      }
+    }
+
+    const home = (city || province) ? gazetteer.resolve([city, province].filter(Boolean).join(', ')) : null;
+    if (home) {
+      const km = placeDistance(home, jobPlace);
+      if (km === 0) {
+        return { score: 100, reason: 'Same city', distanceKm: 0 };
+      }
+      if (km !== null && km <= COMMUTE_KM) {
+        return { score: 85, reason: `${km} km from ${home.name}`, distanceKm: km };
+      }
+      if (home.provinceCode === jobPlace.provinceCode) {
+        return { score: 70, reason: 'Same province' };
+      }
+    }
+  }
+
+  if (preferred.some(location => jobLocation.includes(location) || location.includes(jobLocation))) {
+    return { score: 100, reason: 'In a preferred location' };
+  }
+  if (city && jobLocation.includes(city)) {
+    return { score: 100, reason: 'Same city' };
+  }
+  if (province && jobLocation.includes(province)) {
+    return { score: 70, reason: 'Same province' };
+  }
+  if (/south africa|nationwide|various/.test(jobLocation)) {
+    return { score: 60, reason: 'Multiple or unspecified locations' };
+  }
+  return { score: 20, reason: 'Outside preferred locations' };
+}
+
+// User salary expectations are monthly ZAR. 'Market Related' jobs are
+// scored against what similar disclosed jobs pay, and say so.
+export function scoreSalary(user, job) {
+  const expected = user.jobPreferences?.salaryRange;
+  const offered = job.salaryRange;
+  const estimate = job.salaryEstimate;
+
+  if (!expected?.min && !expected?.max) {
+    return { score: null, reason: 'No salary expectation set' };
+  }
+
+  let offeredMin;
+  let offeredMax;
+  let estimated = false;
+
+  if (offered?.isDisclosed && (offered.min || offered.max)) {
+    offeredMin = toMonthly(offered.min || offered.max, offered.period);
+    offeredMax = toMonthly(offered.max || offered.min, offered.period);
+  } else if (estimate?.median) {
+    offeredMin = estimate.min || estimate.median;
+    offeredMax = estimate.max || estimate.median;
+    estimated = true;
+  } else {
+    return { score: null, reason: 'Salary not disclosed' };
+  }
+
+  const expectedMin = expected.min || expected.max;
+  const offeredMonthly = { min: Math.round(offeredMin), max: Math.round(offeredMax) };
+
+  if (offeredMax >= expectedMin) {
+    return {
+      score: 100,
+      reason: estimated ? 'Similar jobs pay enough (salary not disclosed)' : 'Offered range meets expectation',
+      offeredMonthly,
+      estimated
+    };
+  }
+
+  const shortfall = (expectedMin - offeredMax) / expectedMin;
+  return {
+    score: Math.max(0, Math.round(100 - shortfall * 200)),
+    reason: estimated
+      ? `Similar jobs pay about ${Math.round(shortfall * 100)}% below expectation`
+      : `Pays about ${Math.round(shortfall * 100)}% below expectation`,
+    offeredMonthly,
+    estimated
+  };
+}
@@ -0,0 +1,144 @@
+import {
+  collectUserSkills,
+  scoreSkills,
+  estimateExperienceYears,
+  levelFromYears,
+  resolveUserSeniority,
+  scoreSeniority,
+  scoreLocation,
+  scoreSalary
+} from './matchComponents.js';
+
+describe('skills', () => {
+  test('CV skills are collected from the skills list and the work history', () => {
+    const user = {
+      cv: {
+        structured: {
+          skills: [{ name: 'JS', keywords: ['ReactJS'] }, { name: 'Underwater Basket Weaving' }],
+          work: [{ position: 'Developer', highlights: ['Moved the billing service to Node.js'] }]
+        }
+      },
+      jobPreferences: { skills: ['Docker'] }
+    };
+
+    expect(collectUserSkills(user)).toEqual(['javascript', 'react', 'underwater basket weaving', 'docker', 'node-js']);
+  });
+
+  test('a parent skill is held through its child and a related skill earns half', () => {
+    const result = scoreSkills(['react'], { skills: ['JavaScript', 'Vue.js', 'Kubernetes'] });
+
+    expect(result).toEqual({
+      score: 50,
+      basis: 'listed',
+      matched: ['JavaScript'],
+      partial: [{ skill: 'Vue.js', via: 'React' }],
+      missing: ['Kubernetes']
+    });
+  });
+
+  test('jobs without listed skills are read from the ad text', () => {
+    expect(scoreSkills(['react'], { title: 'Frontend Developer', description: 'We use React and Kubernetes' })).toMatchObject({
+      score: 50,
+      basis: 'description',
+      matched: ['React'],
+      missing: ['Kubernetes']
+    });
+    expect(scoreSkills(['underwater basket weaving'], { description: 'Underwater basket weaving instructor' })).toMatchObject({
+      score: 20,
+      matched: ['underwater basket weaving']
+    });
+    expect(scoreSkills([], { skills: ['React'] }).score).toBeNull();
+  });
+});
+
+describe('seniority', () => {
+  const now = new Date(2024, 5, 15);
+
+  test('experience adds up every role in the work history', () => {
+    expect(estimateExperienceYears([
+      { startDate: '2017-02', endDate: '2018-12' },
+      { startDate: '2019-01', endDate: '2023-07' },
+      { endDate: '2016-12' }
+    ], now)).toBe(6.3);
+    expect(estimateExperienceYears([{ startDate: '2022-06' }], now)).toBe(2);
+  });
+
+  test.each([[0, 'entry'], [1.9, 'entry'], [2, 'mid'], [6.3, 'senior'], [15, 'executive']])('%d years is %s', (years, level) => {
+    expect(levelFromYears(years)).toBe(level);
+  });
+
+  test('the profile wins over the CV, which wins over preferences', () => {
+    const work = [{ startDate: '2010-01', endDate: '2020-01' }];
+
+    expect(resolveUserSeniority({ profile: { experienceLevel: 'mid' }, cv: { structured: { work } } })).toEqual({ level: 'mid', basis: 'profile' });
+    expect(resolveUserSeniority({ cv: { structured: { work } } })).toMatchObject({ level: 'senior', basis: 'cv', years: 10 });
+    expect(resolveUserSeniority({ jobPreferences: { experienceLevel: ['entry'] } })).toEqual({ level: 'entry', basis: 'preferences' });
+    expect(resolveUserSeniority({})).toBeNull();
+  });
+
+  test('a job level comes from the listing or else the title', () => {
+    const senior = { level: 'senior' };
+
+    expect(scoreSeniority(senior, { experienceLevel: 'senior' })).toMatchObject({ score: 100, reason: 'Same level' });
+    expect(scoreSeniority(senior, { experienceLevel: 'not-specified', title: 'Junior Developer' })).toMatchObject({
+      score: 20,
+      job: 'entry',
+      reason: 'Role is 2 level(s) below the candidate'
+    });
+    expect(scoreSeniority({ level: 'entry' }, { title: 'Head of Engineering' })).toMatchObject({ score: 0, job: 'executive' });
+    expect(scoreSeniority(senior, { title: 'Developer' })).toEqual({ score: null, user: 'senior', job: undefined });
+  });
+});
+
+describe('scoreLocation', () => {
+  const prefers = (...locations) => ({ jobPreferences: { locations } });
+  const livesIn = (city, province) => ({ profile: { location: { city, province } } });
+
+  test('a suburb fits a preference for its metro, whatever the spelling', () => {
+    expect(scoreLocation(prefers('JHB'), { location: 'Sandton, Gauteng' })).toEqual({ score: 100, reason: 'In a preferred location' });
+    expect(scoreLocation(prefers('Gauteng'), { location: 'Centurion' }).score).toBe(100);
+  });
+
+  test('nearby places score by distance, then by province', () => {
+    expect(scoreLocation(prefers('Pretoria'), { location: 'Midrand' })).toMatchObject({ score: 90, distanceKm: expect.any(Number) });
+    expect(scoreLocation(livesIn('Johannesburg'), { location: 'Pretoria' })).toMatchObject({ score: 70, reason: 'Same province' });
+    expect(scoreLocation(livesIn('Cape Town'), { location: 'Cape Town CBD' })).toMatchObject({ score: 100, reason: 'Same city' });
+    expect(scoreLocation(livesIn('Durban'), { location: 'Cape Town' })).toEqual({ score: 20, reason: 'Outside preferred locations' });
+  });
+
+  test('remote jobs fit everyone and unknown places fall back to text', () => {
+    expect(scoreLocation({}, { isRemote: true })).toEqual({ score: 100, reason: 'Remote role' });
+    expect(scoreLocation(prefers('Head Office'), { location: 'Head Office, Main Road' }).score).toBe(100);
+    expect(scoreLocation(livesIn('Durban'), { location: 'Nationwide, South Africa' }).score).toBe(60);
+    expect(scoreLocation({}, { location: 'Durban' }).score).toBeNull();
+  });
+});
+
+describe('scoreSalary', () => {
+  const user = { jobPreferences: { salaryRange: { min: 40000, max: 50000 } } };
+
+  test('a disclosed range is compared in monthly terms', () => {
+    expect(scoreSalary(user, { salaryRange: { isDisclosed: true, min: 480000, max: 600000, period: 'yearly' } })).toMatchObject({
+      score: 100,
+      offeredMonthly: { min: 40000, max: 50000 },
+      estimated: false
+    });
+    expect(scoreSalary(user, { salaryRange: { isDisclosed: true, min: 30000, max: 36000, period: 'monthly' } })).toMatchObject({
+      score: 80,
+      reason: 'Pays about 10% below expectation'
+    });
+  });
+
+  test('market related jobs are scored against the benchmark estimate', () => {
+    expect(scoreSalary(user, { salaryRange: { isDisclosed: false }, salaryEstimate: { median: 20000 } })).toMatchObject({
+      score: 0,
+      reason: 'Similar jobs pay about 50% below expectation',
+      estimated: true
+    });
+  });
+
+  test('nothing to compare leaves the component out', () => {
+    expect(scoreSalary({}, { salaryRange: { isDisclosed: true, min: 1 } }).score).toBeNull();
+    expect(scoreSalary(user, { salaryRange: { isDisclosed: false } }).score).toBeNull();
+  });
+});
@@ -0,0 +1,120 @@
+// In-memory exact nearest-neighbour index over unit-normalised vectors.
+// Vectors live in one contiguous Float32Array so a full scan of tens of
+// thousands of 384-1536 dimension embeddings takes milliseconds; freed slots
+// are reused so jobs coming and going do not fragment the buffer.
+export class VectorIndex {
+  constructor({ dimensions, initialCapacity = 1024 } = {}) {
+    this.configuredDimensions = dimensions || null;
+    this.dimensions = this.configuredDimensions;
+    this.capacity = 0;
+    this.data = null;
+    this.ids = [];
+    this.slots = new Map();
+    this.free = [];
+    this.initialCapacity = initialCapacity;
+  }
+
+  get size() {
+    return this.slots.size;
+  }
+
+  has(id) {
+    return this.slots.has(String(id));
+  }
+
+  ensureCapacity(required) {
+    if (required <= this.capacity) return;
+
+    const capacity = Math.max(required, this.capacity * 2, this.initialCapacity);
+    const data = new Float32Array(capacity * this.dimensions);
+    if (this.data) data.set(this.data);
+
+    this.data = data;
+    this.capacity = capacity;
+  }
+
+  normalise(vector) {
+    let norm = 0;
+    for (let i = 0; i < vector.length; i++) norm += vector[i] * vector[i];
+    norm = Math.sqrt(norm) || 1;
+    return Float32Array.from(vector, value => value / norm);
+  }
+
+  upsert(id, vector) {
+    if (!this.dimensions) this.dimensions = vector.length;
+    if (vector.length !== this.dimensions) {
+      throw new Error(`Vector has ${vector.length} dimensions, index expects ${this.dimensions}`);
+    }
+
+    const key = String(id);
+    let slot = this.slots.get(key);
+
+    if (slot === undefined) {
+      slot = this.free.length > 0 ? this.free.pop() : this.ids.length;
+      this.ensureCapacity(slot + 1);
+      this.slots.set(key, slot);
+      this.ids[slot] = key;
+    }
+
+    this.data.set(this.normalise(vector), slot * this.dimensions);
+  }
+
+  remove(id) {
+    const key = String(id);
+    const slot = this.slots.get(key);
+    if (slot === undefined) return false;
+
+    this.slots.delete(key);
+    this.ids[slot] = null;
+    this.free.push(slot);
+    return true;
+  }
+
+  // Also forgets a dimension count learned from the first vector, so the
+  // index can be refilled from a different embedding model
+  clear() {
+    this.dimensions = this.configuredDimensions;
+    this.data = null;
+    this.capacity = 0;
+    this.ids = [];
+    this.slots = new Map();
+    this.free = [];
+  }
+
+  // Cosine similarity of every stored vector against the query, best k first
+  search(vector, { k = 100, minScore = -1 } = {}) {
+    if (this.size === 0) return [];
+    if (vector.length !== this.dimensions) {
+      throw new Error(`Query has ${vector.length} dimensions, index expects ${this.dimensions}`);
+    }
+
+    const query = this.normalise(vector);
+    const results = [];
+    const { data, dimensions } = this;
+
+    for (let slot = 0; slot < this.ids.length; slot++) {
+      const id = this.ids[slot];
+      if (id === null || id === undefined) continue;
+
+      let score = 0;
+      const offset = slot * dimensions;
+      for (let i = 0; i < dimensions; i++) score += data[offset + i] * query[i];
+      if (score < minScore) continue;
+
+      // Keep a bounded, sorted list instead of sorting every job
+      if (results.length < k) {
+        results.push({ id, score });
+        if (results.length === k) results.sort((a, b) => b.score - a.score);
+      } else if (score > results[k - 1].score) {
+        let position = k - 1;
+        while (position > 0 && results[position - 1].score < score) position--;
+        results.splice(position, 0, { id, score });
+        results.pop();
+      }
+    }
+
+    return results.length < k ? results.sort((a, b) => b.score - a.score) : results;
+  }
+}
+
+export default VectorIndex;
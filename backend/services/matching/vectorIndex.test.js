@@ -0,0 +1,59 @@
+import { VectorIndex } from './vectorIndex.js';
+
+describe('VectorIndex', () => {
+  let index;
+
+  beforeEach(() => {
+    index = new VectorIndex({ initialCapacity: 2 });
+    index.upsert('react', [1, 0, 0]);
+    index.upsert('node', [0.8, 0.6, 0]);
+    index.upsert('nurse', [0, 0, 5]);
+  });
+
+  test('search ranks by cosine similarity, whatever the vector length', () => {
+    expect(index.search([10, 0, 0]).map(hit => hit.id)).toEqual(['react', 'node', 'nurse']);
+    expect(index.search([10, 0, 0])[1].score).toBeCloseTo(0.8);
+  });
+
+  test('search returns the best k and drops anything under minScore', () => {
+    index.upsert('vue', [0.9, 0.1, 0]);
+
+    expect(index.search([1, 0, 0], { k: 2 }).map(hit => hit.id)).toEqual(['react', 'vue']);
+    expect(index.search([0, 0, 1], { minScore: 0.5 }).map(hit => hit.id)).toEqual(['nurse']);
+  });
+
+  test('upserting an id again replaces its vector', () => {
+    index.upsert('nurse', [1, 0, 0]);
+
+    expect(index.size).toBe(3);
+    expect(index.search([1, 0, 0], { k: 2 }).map(hit => hit.score)).toEqual([1, 1]);
+  });
+
+  test('removed ids are not returned and their slot is reused', () => {
+    expect(index.remove('node')).toBe(true);
+    expect(index.remove('node')).toBe(false);
+    expect(index.search([1, 0, 0]).map(hit => hit.id)).toEqual(['react', 'nurse']);
+
+    index.upsert('vue', [0, 1, 0]);
+    expect(index.ids).toEqual(['react', 'vue', 'nurse']);
+  });
+
+  test('vectors and queries must match the dimensions of the first vector', () => {
+    expect(() => index.upsert('java', [1, 0])).toThrow('Vector has 2 dimensions, index expects 3');
+    expect(() => index.search([1, 0])).toThrow('Query has 2 dimensions, index expects 3');
+  });
+
+  test('clear forgets the learned dimensions', () => {
+    index.clear();
+
+    expect(index.search([1, 0])).toEqual([]);
+    index.upsert('java', [1, 0]);
+    expect(index.dimensions).toBe(2);
+  });
+
+  test('ids are kept as strings', () => {
+    index.upsert(42, [0, 1, 0]);
+    expect(index.has('42')).toBe(true);
+    expect(index.search([0, 1, 0], { k: 1 })).toEqual([{ id: '42', score: 1 }]);
+  });
+});
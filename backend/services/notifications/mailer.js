@@ -0,0 +1,41 @@
+import nodemailer from 'nodemailer';
+
+// One SMTP transport (SMTP_* settings) for every email the backend sends
+export class Mailer {
+  constructor(options = {}) {
+    this.from = options.from || process.env.MAIL_FROM || process.env.SMTP_USER;
+    this.transport = options.transport || null;
+  }
+
+  get configured() {
+    return Boolean(this.transport || process.env.SMTP_HOST);
+  }
+
+  getTransport() {
+    if (this.transport) return this.transport;
+
+    if (!process.env.SMTP_HOST) {
+      const error = new Error('SMTP_HOST is not configured');
+      error.code = 'SMTP_NOT_CONFIGURED';
+      error.retryable = false;
+      throw error;
+    }
+
+    this.transport = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined
+    });
+    return this.transport;
+  }
+
+  send(message) {
+    return this.getTransport().sendMail({ from: this.from, ...message });
+  }
+}
+
+const mailer = new Mailer();
+export default mailer;
@@ -0,0 +1,89 @@
+import Notification from '../../models/Notification.js';
+import mailer from './mailer.js';
+
+// Which preferences.notifications switch controls the email for a notice type
+const EMAIL_PREFERENCES = {
+  follow_up: 'applicationUpdates',
+  interview_reminder: 'applicationUpdates',
+  application_update: 'applicationUpdates'
+};
+
+// Notices about the user's plan and payments; these are always emailed
+const BILLING_TYPES = ['renewal_reminder', 'payment_failed', 'subscription_update'];
+
+// Stores a notice for the dashboard and emails it when SMTP is configured
+// and the user has not switched that kind of email off. A failed email never
+// loses the in-app notice.
+export class NotificationService {
+  constructor(options = {}) {
+    this.mailer = options.mailer || mailer;
+    this.baseUrl = options.baseUrl || process.env.FRONTEND_URL || process.env.BASE_URL || '';
+  }
+
+  async notify(user, { type, title, message, data }) {
+    const notification = await Notification.create({
+      userId: user._id,
+      type,
+      title,
+      message,
+      data,
+      channels: ['in_app']
+    });
+
+    const preference = EMAIL_PREFERENCES[type];
+    if (!this.mailer.configured || !user.email || (preference && user.preferences?.notifications?.[preference] === false)) {
+      return notification;
+    }
+
+    try {
+      await this.mailer.send({
+        to: user.email,
+        subject: title,
+        text: [
+          `Hi ${user.profile?.firstName || 'there'},`,
+          '',
+          message,
+          '',
+          BILLING_TYPES.includes(type)
+            ? `Manage your plan: ${this.baseUrl}/dashboard`
+            : `See your applications: ${this.baseUrl}/dashboard`
+        ].join('\n')
+      });
+      notification.channels.push('email');
+      notification.emailedAt = new Date();
+      await notification.save();
+    } catch (error) {
+      console.error(`Emailing ${type} notification to user ${user._id} failed:`, error.message);
+    }
+
+    return notification;
+  }
+
+  async list(userId, { unreadOnly = false, page = 1, limit = 20 } = {}) {
+    const query = { userId, ...(unreadOnly && { readAt: { $exists: false } }) };
+
+    const [notifications, total, unread] = await Promise.all([
+      Notification.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Notification.countDocuments(query),
+      Notification.countDocuments({ userId, readAt: { $exists: false } })
+    ]);
+
+    return { notifications, total, unread };
+  }
+
+  // Marks the given notices read, or all of the user's when no ids are given
+  async markRead(userId, ids) {
+    const result = await Notification.updateMany(
+      { userId, readAt: { $exists: false }, ...(ids?.length && { _id: { $in: ids } }) },
+      { $set: { readAt: new Date() } }
+    );
+    return result.modifiedCount;
+  }
+}
+
+const notificationService = new NotificationService();
+export default notificationService;
@@ -0,0 +1,56 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import Notification from '../../models/Notification.js';
+import { NotificationService } from './notificationService.js';
+
+describe('NotificationService.notify', () => {
+  const mailer = { configured: true, send: jest.fn() };
+  const service = new NotificationService({ mailer, baseUrl: 'https://careerboost.co.za' });
+  const user = { _id: new mongoose.Types.ObjectId(), email: 'thandi@example.co.za', profile: { firstName: 'Thandi' } };
+  const notice = { type: 'follow_up', title: 'Time to follow up', message: 'Ask the recruiter how it is going.' };
+
+  beforeEach(() => {
+    mailer.send.mockReset().mockResolvedValue({});
+    jest.spyOn(Notification, 'create').mockImplementation(async fields => new Notification(fields));
+    jest.spyOn(Notification.prototype, 'save').mockImplementation(async function() {
+      return this;
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('the notice is stored and emailed', async () => {
+    const notification = await service.notify(user, notice);
+
+    expect(notification.channels).toEqual(['in_app', 'email']);
+    expect(notification.emailedAt).toBeInstanceOf(Date);
+    expect(mailer.send).toHaveBeenCalledWith({
+      to: 'thandi@example.co.za',
+      subject: 'Time to follow up',
+      text: 'Hi Thandi,\n\nAsk the recruiter how it is going.\n\nSee your applications: https://careerboost.co.za/dashboard'
+    });
+  });
+
+  test('a user who switched application emails off only sees it in the app', async () => {
+    const quiet = { ...user, preferences: { notifications: { applicationUpdates: false } } };
+
+    await expect(service.notify(quiet, notice)).resolves.toMatchObject({ channels: ['in_app'] });
+    expect(mailer.send).not.toHaveBeenCalled();
+  });
+
+  test('billing notices are emailed whatever the preferences', async () => {
+    const quiet = { ...user, preferences: { notifications: { applicationUpdates: false } } };
+
+    await service.notify(quiet, { ...notice, type: 'payment_failed' });
+    expect(mailer.send.mock.calls[0][0].text).toContain('Manage your plan: https://careerboost.co.za/dashboard');
+  });
+
+  test('a failed email does not lose the notice', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    mailer.send.mockRejectedValue(new Error('connection refused'));
+
+    await expect(service.notify(user, notice)).resolves.toMatchObject({ channels: ['in_app'] });
+  });
+});
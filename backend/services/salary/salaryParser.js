@@ -0,0 +1,166 @@
+// Salary text as South African job boards write it: "R25 000 - R30 000 pm",
+// "R25k-R30k CTC", "R350 per hour", "R450 000 p.a.", "25000 - 30000",
+// "Market related" or "Negotiable". Amounts are normalised to monthly and
+// annual figures so postings with different periods can be compared.
+
+// Conversion factors to a monthly amount (SA full-time month = 173.33 hours)
+export const MONTHLY_FACTORS = {
+  hourly: 173.33,
+  daily: 21.67,
+  weekly: 4.33,
+  monthly: 1,
+  yearly: 1 / 12
+};
+
+// "per month", "a month", "p/m", "/month", "pm", "p.m." and "monthly". Every
+// marker starts and ends on a word boundary so "road" or "lead" is not "a d".
+const periodPattern = (units, letter, words) => new RegExp([
+  `\\b(?:per|an?)\\s?(?:${units})\\b`,
+  `(?:\\bp\\s?)?\\/\\s?(?:${units}${letter ? `|${letter}` : ''})\\b`,
+  ...(letter ? [`\\bp\\.?${letter}\\b`] : []),
+  `\\b(?:${words})\\b`
+].join('|'), 'g');
+
+const PERIOD_PATTERNS = [
+  ['hourly', periodPattern('hour|hr', 'h', 'hourly')],
+  ['daily', periodPattern('day', 'd', 'daily')],
+  ['weekly', periodPattern('week|wk', null, 'weekly')],
+  ['yearly', periodPattern('annum|year|yr', 'a', 'annual|annually|yearly')],
+  ['monthly', periodPattern('month|mth', 'm', 'monthly')]
+];
+
+const CURRENCIES = [
+  ['USD', /\$|\busd\b/],
+  ['EUR', /\u20ac|\beur\b|\beuro/],
+  ['GBP', /\u00a3|\bgbp\b/]
+];
+
+const NEGOTIABLE = /\b(negotiable|neg|market related|market-related|competitive|doe|dependent on experience|depending on experience|commensurate)\b/;
+const CTC = /\b(ctc|cost to company|total package|package)\b/;
+
+// R25 000, R25,000.00, 25000, 25k, R1.2m, R 350
+const AMOUNT = /(r\s?)?(\d{1,3}(?:[ ,]\d{3})+|\d+)(?:[.,](\d{1,2}))?(?:\s?(k|million|mil|m)(?![a-z]))?(?![\d%])/g;
+
+// Words after a number that make it a duration or count rather than money
+const NOT_MONEY = /^\s*(\+\s*)?((years?|yrs?|months?|days?|hours?|weeks?|positions?|vacanc\w*)\b|%|percent)/;
+
+const RANGE_JOINER = /^\s*(-|to|and|\/)\s*$/;
+
+const empty = (extra = {}) => ({ min: 0, max: 0, currency: 'ZAR', period: 'monthly', isDisclosed: false, ...extra });
+
+export function toMonthly(amount, period = 'monthly') {
+  return amount * (MONTHLY_FACTORS[period] || 1);
+}
+
+export function toAnnual(amount, period = 'monthly') {
+  return toMonthly(amount, period) * 12;
+}
+
+function readAmounts(text) {
+  const amounts = [];
+  for (const match of text.matchAll(AMOUNT)) {
+    const [whole, rand, digits, decimals, suffix] = match;
+    const end = match.index + whole.length;
+    if (NOT_MONEY.test(text.slice(end, end + 12))) continue;
+
+    let value = parseInt(digits.replace(/[ ,]/g, ''));
+    if (suffix) {
+      // Decimals only mean something with a multiplier: R1.2m, R12,5k
+      value = parseFloat(`${digits.replace(/[ ,]/g, '')}.${decimals || 0}`) * (suffix === 'k' ? 1000 : 1000000);
+    }
+
+    amounts.push({ value, rand: Boolean(rand), suffix: suffix || null, start: match.index, end });
+  }
+  return amounts;
+}
+
+// A bare amount with no period is judged by size: R150 is an hourly rate,
+// R450 000 an annual package and anything between a monthly salary
+function guessPeriod(value) {
+  if (value < 1000) return 'hourly';
+  if (value >= 200000) return 'yearly';
+  return 'monthly';
+}
+
+// The period marker nearest the amount (between from and to in the text)
+// wins, so "R25 000 per month plus annual bonus" is monthly
+export function detectPeriod(text, from = 0, to = from) {
+  let nearest = null;
+  for (const [period, pattern] of PERIOD_PATTERNS) {
+    for (const match of text.matchAll(pattern)) {
+      const end = match.index + match[0].length;
+      const distance = match.index >= to ? match.index - to : Math.max(from - end, 0);
+      if (!nearest || distance < nearest.distance) {
+        nearest = { period, distance };
+      }
+    }
+  }
+  return nearest?.period || null;
+}
+
+export function parseSalary(salaryText) {
+  if (!salaryText || typeof salaryText !== 'string') return empty();
+
+  let text = salaryText
+    .toLowerCase()
+    .replace(/[\u00a0\u2009\u202f]/g, ' ')
+    .replace(/[\u2013\u2014]/g, '-')
+    .replace(/\bzar\s?/g, 'r');
+
+  const isNegotiable = NEGOTIABLE.test(text);
+  const isCtc = CTC.test(text);
+  const currency = CURRENCIES.find(([, pattern]) => pattern.test(text))?.[0] || 'ZAR';
+  if (currency !== 'ZAR') {
+    // Read other currency markers like the rand sign
+    text = CURRENCIES.reduce((result, [, pattern]) => result.replace(new RegExp(pattern.source, 'g'), 'r'), text);
+  }
+
+  let amounts = readAmounts(text);
+  // When some numbers are marked as money, unmarked ones are only kept as
+  // the other end of a range ("R25 000 - 30 000")
+  if (amounts.some(amount => amount.rand || amount.suffix)) {
+    amounts = amounts.filter((amount, index) => {
+      if (amount.rand || amount.suffix) return true;
+      const previous = amounts[index - 1];
+      return previous && (previous.rand || previous.suffix) && RANGE_JOINER.test(text.slice(previous.end, amount.start));
+    });
+  }
+
+  if (amounts.length === 0) {
+    return empty({ isNegotiable, isCtc });
+  }
+
+  let [low, high] = amounts;
+  if (!high || !RANGE_JOINER.test(text.slice(low.end, high.start))) {
+    high = low;
+  }
+
+  let min = low.value;
+  let max = high.value;
+  // "R25 - 30k": the multiplier written once applies to both ends
+  if (high.suffix && !low.suffix && min < 1000 && max >= 1000) {
+    min *= high.suffix === 'k' ? 1000 : 1000000;
+  }
+  if (min > max) [min, max] = [max, min];
+
+  const period = detectPeriod(text, low.start, high.end) || guessPeriod(max);
+  const monthlyMin = toMonthly(min, period);
+  const monthlyMax = toMonthly(max, period);
+
+  // Anything under R500 or over R5m a month is a misread, not a salary
+  if (monthlyMax < 500 || monthlyMin > 5000000) {
+    return empty({ isNegotiable, isCtc });
+  }
+
+  return {
+    min: Math.round(min * 100) / 100,
+    max: Math.round(max * 100) / 100,
+    currency,
+    period,
+    isDisclosed: true,
+    isCtc,
+    isNegotiable,
+    monthly: { min: Math.round(monthlyMin), max: Math.round(monthlyMax) },
+    annual: { min: Math.round(monthlyMin * 12), max: Math.round(monthlyMax * 12) }
+  };
+}
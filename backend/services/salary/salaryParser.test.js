@@ -0,0 +1,85 @@
+import { parseSalary, detectPeriod, toMonthly, toAnnual } from './salaryParser.js';
+
+describe('parseSalary', () => {
+  test.each([
+    ['R25 000 - R30 000 pm', { min: 25000, max: 30000, period: 'monthly' }],
+    ['R25,000.00 - R30,000.00 per month', { min: 25000, max: 30000, period: 'monthly' }],
+    ['R25k-R30k CTC', { min: 25000, max: 30000, period: 'monthly', isCtc: true }],
+    ['R25 - 30k', { min: 25000, max: 30000, period: 'monthly' }],
+    ['R25 000 - 30 000', { min: 25000, max: 30000, period: 'monthly' }],
+    ['R30 000 to R25 000', { min: 25000, max: 30000 }],
+    ['R450 000 p.a.', { min: 450000, max: 450000, period: 'yearly' }],
+    ['R1.2m per annum', { min: 1200000, max: 1200000, period: 'yearly' }],
+    ['R350 per hour', { min: 350, max: 350, period: 'hourly' }],
+    ['ZAR 40 000 monthly', { min: 40000, max: 40000, period: 'monthly' }],
+    ['R30 000 - R35 000 per month, road allowance', { min: 30000, max: 35000, period: 'monthly' }],
+    ['R35 000 pm, team lead role', { min: 35000, max: 35000, period: 'monthly' }],
+    ['R25 000 per month plus annual bonus', { min: 25000, max: 25000, period: 'monthly' }]
+  ])('%s', (text, expected) => {
+    expect(parseSalary(text)).toMatchObject({ isDisclosed: true, currency: 'ZAR', ...expected });
+  });
+
+  test('normalises to monthly and annual figures', () => {
+    expect(parseSalary('R450 000 p.a.')).toMatchObject({
+      monthly: { min: 37500, max: 37500 },
+      annual: { min: 450000, max: 450000 }
+    });
+    expect(parseSalary('R200 per hour').monthly).toEqual({ min: 34666, max: 34666 });
+  });
+
+  test('judges a bare amount by its size', () => {
+    expect(parseSalary('25000 - 30000').period).toBe('monthly');
+    expect(parseSalary('R150').period).toBe('hourly');
+    expect(parseSalary('R600 000').period).toBe('yearly');
+  });
+
+  test('reads other currencies', () => {
+    expect(parseSalary('$4 000 - $5 000 per month')).toMatchObject({ currency: 'USD', min: 4000, max: 5000 });
+    expect(parseSalary('€50k per year')).toMatchObject({ currency: 'EUR', min: 50000, period: 'yearly' });
+  });
+
+  test('ignores years of experience and counts next to money', () => {
+    expect(parseSalary('5 years experience, R40 000 pm')).toMatchObject({ min: 40000, max: 40000 });
+    expect(parseSalary('3 positions available')).toMatchObject({ isDisclosed: false });
+  });
+
+  test('undisclosed salaries', () => {
+    expect(parseSalary('Market related')).toMatchObject({ isDisclosed: false, isNegotiable: true, min: 0, max: 0 });
+    expect(parseSalary('Negotiable, depending on experience')).toMatchObject({ isDisclosed: false, isNegotiable: true });
+    expect(parseSalary('')).toMatchObject({ isDisclosed: false });
+    expect(parseSalary(null)).toMatchObject({ isDisclosed: false });
+  });
+
+  test('implausible amounts are treated as misreads', () => {
+    expect(parseSalary('R5 per month')).toMatchObject({ isDisclosed: false });
+  });
+});
+
+describe('periods', () => {
+  test('detectPeriod', () => {
+    expect(detectPeriod('r500 p/h')).toBe('hourly');
+    expect(detectPeriod('r1 200 per day')).toBe('daily');
+    expect(detectPeriod('r6 000 weekly')).toBe('weekly');
+    expect(detectPeriod('r300 000 annually')).toBe('yearly');
+    expect(detectPeriod('r30 000 p.m.')).toBe('monthly');
+    expect(detectPeriod('r30 000')).toBeNull();
+  });
+
+  test('markers inside other words are not periods', () => {
+    expect(detectPeriod('road allowance')).toBeNull();
+    expect(detectPeriod('team lead')).toBeNull();
+    expect(detectPeriod('operating theatre')).toBeNull();
+  });
+
+  test('the marker nearest the amount wins', () => {
+    const text = 'annual bonus, r25 000 per month';
+    expect(detectPeriod(text, text.indexOf('r25'), text.indexOf(' per'))).toBe('monthly');
+    expect(detectPeriod('r450 000 p.a., paid monthly', 0, 8)).toBe('yearly');
+  });
+
+  test('toMonthly and toAnnual', () => {
+    expect(toMonthly(120000, 'yearly')).toBe(10000);
+    expect(toAnnual(10000)).toBe(120000);
+    expect(toMonthly(100, 'hourly')).toBeCloseTo(17333);
+  });
+});
@@ -0,0 +1,263 @@
+import Job from '../models/Job.js';
+import { toMonthly } from './salary/salaryParser.js';
+import { roleTokens, normalizeLocation, jaccard } from './scraping/jobDeduplicator.js';
+
+export const DIMENSIONS = ['role', 'category', 'experienceLevel', 'city'];
+
+// Buckets tried when estimating pay, most specific first
+const ESTIMATE_LEVELS = [
+  ['role', 'experienceLevel', 'city'],
+  ['role', 'experienceLevel'],
+  ['role', 'city'],
+  ['role'],
+  ['category', 'experienceLevel', 'city'],
+  ['category', 'experienceLevel'],
+  ['category']
+];
+
+// Linear interpolation between the closest ranks
+export function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  const rank = (sorted.length - 1) * p;
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+}
+
+export function summarize(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const round = (value) => (value === null ? null : Math.round(value));
+
+  return {
+    sampleSize: sorted.length,
+    p10: round(percentile(sorted, 0.1)),
+    p25: round(percentile(sorted, 0.25)),
+    median: round(percentile(sorted, 0.5)),
+    p75: round(percentile(sorted, 0.75)),
+    p90: round(percentile(sorted, 0.9)),
+    mean: sorted.length ? Math.round(sorted.reduce((sum, value) => sum + value, 0) / sorted.length) : null
+  };
+}
+
+// Market pay from the jobs we have scraped: every disclosed ZAR salary of the
+// last year, as a monthly midpoint, bucketed by role cluster (title words
+// without the level), category, experience level and city. Figures are
+// monthly ZAR and mix basic and CTC offers, as the boards do.
+export class SalaryBenchmarks {
+  constructor(options = {}) {
+    this.model = options.model || Job;
+    this.lookbackDays = options.lookbackDays || 365;
+    this.ttl = options.ttl || 60 * 60 * 1000;
+    this.minSample = options.minSample || 5;
+    this.roleSimilarity = options.roleSimilarity || 0.6;
+    this.estimateMaxAge = options.estimateMaxAge || 7 * 24 * 60 * 60 * 1000;
+    this.samples = null;
+    this.loadedAt = 0;
+    this.loading = null;
+  }
+
+  async loadSamples({ refresh = false } = {}) {
+    if (this.samples && !refresh && Date.now() - this.loadedAt < this.ttl) {
+      return this.samples;
+    }
+    if (this.loading) return this.loading;
+
+    this.loading = (async () => {
+      const since = new Date(Date.now() - this.lookbackDays * 24 * 60 * 60 * 1000);
+
+      // Filled jobs still tell us what the role paid; clustered duplicates would count twice
+      const jobs = await this.model.find({
+        'salaryRange.isDisclosed': true,
+        'salaryRange.currency': 'ZAR',
+        postedDate: { $gte: since },
+        'dedupe.duplicateOf': { $exists: false }
+      })
+        .select('title location categories experienceLevel salaryRange')
+        .lean();
+
+      this.samples = jobs.map(job => this.toSample(job)).filter(Boolean);
+      this.loadedAt = Date.now();
+      return this.samples;
+    })().finally(() => {
+      this.loading = null;
+    });
+
+    return this.loading;
+  }
+
+  toSample(job) {
+    const { min, max, period } = job.salaryRange;
+    const low = min || max;
+    const high = max || min;
+    if (!low) return null;
+
+    const monthly = toMonthly((low + high) / 2, period);
+    if (monthly < 500 || monthly > 5000000) return null;
+
+    return {
+      role: roleTokens(job.title, job.location),
+      categories: job.categories || [],
+      experienceLevel: job.experienceLevel,
+      city: normalizeLocation(job.location),
+      monthly
+    };
+  }
+
+  criteriaFor({ title, category, experienceLevel, location } = {}) {
+    const role = title ? roleTokens(title, location) : [];
+
+    return {
+      role: role.length > 0 ? role : null,
+      category: category || null,
+      experienceLevel: experienceLevel && experienceLevel !== 'not-specified' ? experienceLevel : null,
+      city: location ? normalizeLocation(location) || null : null
+    };
+  }
+
+  matches(sample, criteria, dimensions) {
+    return dimensions.every(dimension => {
+      switch (dimension) {
+        case 'role':
+          return jaccard(sample.role, criteria.role) >= this.roleSimilarity;
+        case 'category':
+          return sample.categories.includes(criteria.category);
+        default:
+          return sample[dimension] === criteria[dimension];
+      }
+    });
+  }
+
+  describeCriteria(criteria, dimensions = DIMENSIONS) {
+    return Object.fromEntries(dimensions
+      .filter(dimension => criteria[dimension])
+      .map(dimension => [dimension, dimension === 'role' ? criteria.role.join(' ') : criteria[dimension]]));
+  }
+
+  // Percentiles for every sample matching all the given criteria
+  async benchmark(query = {}) {
+    const samples = await this.loadSamples();
+    const criteria = this.criteriaFor(query);
+    const dimensions = DIMENSIONS.filter(dimension => criteria[dimension]);
+
+    const values = samples.filter(sample => this.matches(sample, criteria, dimensions)).map(sample => sample.monthly);
+    return {
+      criteria: this.describeCriteria(criteria, dimensions),
+      ...summarize(values)
+    };
+  }
+
+  // Pay for a job with the given title, category, level and location, from
+  // the most specific bucket with enough samples; null when none has
+  async estimate(query = {}) {
+    const samples = await this.loadSamples();
+    const criteria = this.criteriaFor(query);
+
+    for (const level of ESTIMATE_LEVELS) {
+      if (level.some(dimension => !criteria[dimension])) continue;
+
+      const values = samples.filter(sample => this.matches(sample, criteria, level)).map(sample => sample.monthly);
+      if (values.length >= this.minSample) {
+        return {
+          basis: level,
+          criteria: this.describeCriteria(criteria, level),
+          ...summarize(values)
+        };
+      }
+    }
+
+    return null;
+  }
+
+  // Percentiles per value of one dimension, within the other criteria
+  async breakdown(groupBy, query = {}, { limit = 20 } = {}) {
+    const samples = await this.loadSamples();
+    const criteria = this.criteriaFor(query);
+    const dimensions = DIMENSIONS.filter(dimension => dimension !== groupBy && criteria[dimension]);
+
+    const groups = new Map();
+    for (const sample of samples) {
+      if (!this.matches(sample, criteria, dimensions)) continue;
+
+      const keys = groupBy === 'category'
+        ? sample.categories
+        : [groupBy === 'role' ? sample.role.join(' ') : sample[groupBy]];
+
+      for (const key of keys.filter(Boolean)) {
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(sample.monthly);
+      }
+    }
+
+    return [...groups.entries()]
+      .filter(([, values]) => values.length >= this.minSample)
+      .map(([group, values]) => ({ group, ...summarize(values) }))
+      .sort((a, b) => b.sampleSize - a.sampleSize)
+      .slice(0, limit);
+  }
+
+  queryForJob(job) {
+    return {
+      title: job.title,
+      category: (job.categories || []).find(category => category !== 'General') || job.categories?.[0],
+      experienceLevel: job.experienceLevel,
+      location: job.location
+    };
+  }
+
+  // Middle half of similar jobs' pay, stored on 'Market Related' jobs
+  async estimateForJob(job) {
+    const estimate = await this.estimate(this.queryForJob(job));
+    if (!estimate) return null;
+
+    return {
+      min: estimate.p25,
+      median: estimate.median,
+      max: estimate.p75,
+      sampleSize: estimate.sampleSize,
+      basis: estimate.basis,
+      estimatedAt: new Date()
+    };
+  }
+
+  // Refreshes estimates on active jobs that do not disclose pay
+  async estimateUndisclosed({ limit = 500 } = {}) {
+    const jobs = await this.model.find({
+      isActive: true,
+      'salaryRange.isDisclosed': { $ne: true },
+      $or: [
+        { 'salaryEstimate.estimatedAt': { $exists: false } },
+        { 'salaryEstimate.estimatedAt': { $lt: new Date(Date.now() - this.estimateMaxAge) } }
+      ]
+    })
+      .select('title location categories experienceLevel')
+      .limit(limit)
+      .lean();
+
+    await this.loadSamples({ refresh: true });
+
+    const operations = [];
+    let estimated = 0;
+    for (const job of jobs) {
+      const estimate = await this.estimateForJob(job);
+      if (estimate) estimated += 1;
+
+      // Jobs without enough comparable data are retried with the next refresh
+      operations.push({
+        updateOne: {
+          filter: { _id: job._id },
+          update: { $set: { salaryEstimate: estimate || { sampleSize: 0, estimatedAt: new Date() } } },
+          timestamps: false
+        }
+      });
+    }
+
+    if (operations.length > 0) {
+      await this.model.bulkWrite(operations);
+    }
+
+    return { checked: jobs.length, estimated };
+  }
+}
+
+const salaryBenchmarks = new SalaryBenchmarks();
+export default salaryBenchmarks;
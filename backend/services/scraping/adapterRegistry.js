@@ -0,0 +1,130 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { SiteAdapter } from './siteAdapter.js';
+import { DomainThrottle } from './domainThrottle.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const DEFAULT_ADAPTERS_DIR = path.join(__dirname, 'adapters');
+
+// Loads every job board adapter (*.js default export or *.json) from the
+// built-in adapters directory plus any directories in SCRAPER_ADAPTERS_DIR.
+// Later directories win, so a deployment can ship patched selectors for a
+// board without touching the code. A broken adapter is reported and skipped
+// instead of taking the others down with it.
+export class AdapterRegistry {
+  constructor(options = {}) {
+    this.directories = options.directories || [
+      DEFAULT_ADAPTERS_DIR,
+      ...(process.env.SCRAPER_ADAPTERS_DIR || '').split(',').map(dir => dir.trim()).filter(Boolean)
+    ];
+    this.adapters = new Map();
+    this.errors = [];
+    this.loaded = false;
+    this.loading = null;
+  }
+
+  async load({ reload = false } = {}) {
+    if (this.loaded && !reload) return this;
+    if (this.loading) return this.loading;
+
+    this.loading = (async () => {
+      const adapters = new Map();
+      const errors = [];
+
+      for (const directory of this.directories) {
+        let files;
+        try {
+          files = (await fs.readdir(directory)).filter(file => /\.(js|mjs|json)$/.test(file)).sort();
+        } catch (error) {
+          errors.push({ source: directory, error: `Cannot read adapters directory: ${error.message}` });
+          continue;
+        }
+
+        for (const file of files) {
+          const source = path.join(directory, file);
+          try {
+            const adapter = new SiteAdapter(await this.readDefinition(source, reload), { source });
+            adapters.set(adapter.id, adapter);
+          } catch (error) {
+            console.error(`Failed to load site adapter ${source}:`, error.message);
+            errors.push({ source, error: error.message });
+          }
+        }
+      }
+
+      this.adapters = adapters;
+      this.errors = errors;
+      this.loaded = true;
+      return this;
+    })();
+
+    try {
+      return await this.loading;
+    } finally {
+      this.loading = null;
+    }
+  }
+
+  async readDefinition(file, reload) {
+    if (file.endsWith('.json')) {
+      return JSON.parse(await fs.readFile(file, 'utf8'));
+    }
+
+    // A query string forces Node to re-evaluate the module on reload
+    const url = pathToFileURL(file).href + (reload ? `?v=${Date.now()}` : '');
+    const module = await import(url);
+    return module.default || module.adapter;
+  }
+
+  get(id) {
+    return this.adapters.get(id) || null;
+  }
+
+  require(id) {
+    const adapter = this.get(id);
+    if (!adapter) {
+      throw new Error(`Unknown job site adapter: ${id}`);
+    }
+    return adapter;
+  }
+
+  list({ enabledOnly = false } = {}) {
+    const adapters = [...this.adapters.values()];
+    return enabledOnly ? adapters.filter(adapter => adapter.enabled) : adapters;
+  }
+
+  // The adapter that scraped a job source, or one whose site matches its URL
+  forSource({ adapter, url } = {}) {
+    const byId = adapter && this.get(adapter);
+    if (byId) return byId;
+
+    const domain = DomainThrottle.domainOf(url);
+    if (!domain) return null;
+    return this.list().find(candidate => DomainThrottle.domainOf(candidate.baseUrl) === domain) || null;
+  }
+
+  // SCRAPER_SITES=indeed,pnet narrows the boards a run uses without editing adapters
+  resolveSites(sites) {
+    const requested = sites?.length
+      ? sites
+      : (process.env.SCRAPER_SITES || '').split(',').map(site => site.trim()).filter(Boolean);
+
+    if (requested.length === 0) {
+      return this.list({ enabledOnly: true });
+    }
+    return requested.map(id => this.get(id)).filter(Boolean);
+  }
+
+  describe() {
+    return {
+      directories: this.directories,
+      adapters: this.list().map(adapter => adapter.describe()),
+      errors: this.errors
+    };
+  }
+}
+
+const adapterRegistry = new AdapterRegistry();
+export default adapterRegistry;
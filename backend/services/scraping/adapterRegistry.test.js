@@ -0,0 +1,68 @@
+import { jest } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { AdapterRegistry, DEFAULT_ADAPTERS_DIR } from './adapterRegistry.js';
+
+const board = (overrides = {}) => ({
+  id: 'jobmail',
+  name: 'JobMail',
+  baseUrl: 'https://www.jobmail.co.za',
+  search: { path: '/jobs', params: { q: '{keywords}' } },
+  selectors: [{ version: '1', listing: { card: '.job', fields: { title: 'h2', company: '.employer' } } }],
+  ...overrides
+});
+
+describe('AdapterRegistry', () => {
+  let directory;
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'careerboost-adapters-'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    await fs.rm(directory, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  const write = (file, content) => fs.writeFile(path.join(directory, file), typeof content === 'string' ? content : JSON.stringify(content));
+
+  test('loads the built-in boards', async () => {
+    const registry = await new AdapterRegistry({ directories: [DEFAULT_ADAPTERS_DIR] }).load();
+
+    expect(registry.list().map(adapter => adapter.id).sort()).toEqual(['careerjet', 'careers24', 'indeed', 'pnet']);
+    expect(registry.errors).toEqual([]);
+  });
+
+  test('a later directory overrides a board and broken files are reported and skipped', async () => {
+    await write('indeed.json', board({ id: 'indeed', name: 'Indeed (patched)' }));
+    await write('broken.json', '{ "id": ');
+    await write('invalid.json', board({ id: 'Bad Board' }));
+    await write('notes.txt', 'ignored');
+
+    const registry = await new AdapterRegistry({ directories: [DEFAULT_ADAPTERS_DIR, directory, '/nonexistent'] }).load();
+
+    expect(registry.require('indeed').name).toBe('Indeed (patched)');
+    expect(registry.get('pnet')).not.toBeNull();
+    expect(registry.errors.map(error => path.basename(error.source))).toEqual(['broken.json', 'invalid.json', 'nonexistent']);
+  });
+
+  test('finds the board for a job source by adapter id or by domain', async () => {
+    const registry = await new AdapterRegistry({ directories: [DEFAULT_ADAPTERS_DIR] }).load();
+
+    expect(registry.forSource({ adapter: 'pnet' }).id).toBe('pnet');
+    expect(registry.forSource({ url: 'https://indeed.co.za/viewjob?jk=1' }).id).toBe('indeed');
+    expect(registry.forSource({ url: 'https://example.com/job' })).toBeNull();
+    expect(() => registry.require('monster')).toThrow('Unknown job site adapter: monster');
+  });
+
+  test('runs use the requested boards, or every enabled one', async () => {
+    await write('jobmail.json', board());
+    await write('retired.json', board({ id: 'retired', enabled: false }));
+    const registry = await new AdapterRegistry({ directories: [directory] }).load();
+
+    expect(registry.resolveSites().map(adapter => adapter.id)).toEqual(['jobmail']);
+    expect(registry.resolveSites(['retired', 'monster']).map(adapter => adapter.id)).toEqual(['retired']);
+  });
+});
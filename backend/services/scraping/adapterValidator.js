@@ -0,0 +1,206 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import adapterRegistry from './adapterRegistry.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const DEFAULT_FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+// Runs adapters against saved HTML pages so a selector change can be checked
+// without hitting the live site. Fixtures live in <fixturesDir>/<adapterId>/:
+// listing pages as *.html, detail pages as detail*.html, each with an optional
+// <name>.json expectation such as
+//   { "url": "...", "selectorVersion": "2", "count": 3, "jobs": [{ "title": "..." }] }
+//   { "fields": { "description": { "contains": "Node.js" } } }
+export class AdapterValidator {
+  constructor(options = {}) {
+    this.registry = options.registry || adapterRegistry;
+    this.fixturesDir = options.fixturesDir || process.env.SCRAPER_FIXTURES_DIR || DEFAULT_FIXTURES_DIR;
+  }
+
+  async validate({ adapterId } = {}) {
+    await this.registry.load();
+
+    const adapters = adapterId ? [this.registry.require(adapterId)] : this.registry.list();
+    const reports = [];
+    for (const adapter of adapters) {
+      reports.push(await this.validateAdapter(adapter));
+    }
+
+    // Adapters that failed to load count as failures too
+    const loadErrors = adapterId ? [] : this.registry.errors;
+
+    return {
+      passed: reports.every(report => report.passed) && loadErrors.length === 0,
+      adapters: reports,
+      loadErrors
+    };
+  }
+
+  async validateAdapter(adapter) {
+    const directory = path.join(this.fixturesDir, adapter.id);
+    let files = [];
+    try {
+      files = (await fs.readdir(directory)).filter(file => file.endsWith('.html')).sort();
+    } catch (error) {
+      // No fixtures directory is reported below as a warning
+    }
+
+    if (files.length === 0) {
+      return {
+        adapter: adapter.id,
+        passed: true,
+        fixtures: [],
+        warnings: [`No fixtures in ${directory}`]
+      };
+    }
+
+    const fixtures = [];
+    for (const file of files) {
+      const html = await fs.readFile(path.join(directory, file), 'utf8');
+      const expected = await this.readExpectation(path.join(directory, file.replace(/\.html$/, '.json')));
+      const kind = expected.kind || (file.startsWith('detail') ? 'detail' : 'listing');
+
+      try {
+        fixtures.push(kind === 'detail'
+          ? this.checkDetail(adapter, file, html, expected)
+          : this.checkListing(adapter, file, html, expected));
+      } catch (error) {
+        fixtures.push({ file, kind, passed: false, errors: [error.message], warnings: [] });
+      }
+    }
+
+    return {
+      adapter: adapter.id,
+      passed: fixtures.every(fixture => fixture.passed),
+      fixtures,
+      warnings: []
+    };
+  }
+
+  async readExpectation(file) {
+    try {
+      return JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return {};
+      throw new Error(`Invalid fixture expectation ${path.basename(file)}: ${error.message}`);
+    }
+  }
+
+  checkListing(adapter, file, html, expected) {
+    const errors = [];
+    const warnings = [];
+    const url = expected.url || adapter.buildSearchUrl({ keywords: 'developer', location: 'South Africa' });
+    const result = adapter.parseListing(html, { url, version: expected.pinVersion });
+
+    if (result.cards === 0) {
+      errors.push('No job cards matched any selector version');
+    } else if (result.jobs.length === 0) {
+      errors.push(`${result.cards} cards matched but none had ${adapter.requiredFields.join(', ')}`);
+    }
+
+    if (expected.selectorVersion && result.selectorVersion !== String(expected.selectorVersion)) {
+      errors.push(`Expected selector version ${expected.selectorVersion}, matched ${result.selectorVersion}`);
+    } else if (!expected.selectorVersion && result.selectorVersion && result.selectorVersion !== adapter.currentVersion) {
+      warnings.push(`Matched older selector version ${result.selectorVersion} (current is ${adapter.currentVersion})`);
+    }
+
+    if (expected.count !== undefined && result.jobs.length !== expected.count) {
+      errors.push(`Expected ${expected.count} jobs, parsed ${result.jobs.length}`);
+    }
+    if (result.skipped > 0) {
+      warnings.push(`${result.skipped} cards skipped for missing required fields`);
+    }
+
+    // A field that never matches on a real page usually means a stale selector
+    const coverage = this.fieldCoverage(adapter, result);
+    Object.entries(coverage)
+      .filter(([, ratio]) => ratio === 0)
+      .forEach(([field]) => warnings.push(`Field "${field}" matched on no cards`));
+
+    (expected.jobs || []).forEach((expectedJob, position) => {
+      const job = result.jobs[position];
+      if (!job) {
+        errors.push(`Job ${position + 1} expected but not parsed`);
+        return;
+      }
+      errors.push(...this.compareFields(expectedJob, job, `Job ${position + 1}`));
+    });
+
+    return {
+      file,
+      kind: 'listing',
+      passed: errors.length === 0,
+      selectorVersion: result.selectorVersion,
+      cards: result.cards,
+      jobs: result.jobs.length,
+      coverage,
+      errors,
+      warnings,
+      sample: result.jobs[0] || null
+    };
+  }
+
+  checkDetail(adapter, file, html, expected) {
+    const errors = [];
+    const url = expected.url || adapter.baseUrl;
+    const result = adapter.parseDetail(html, { url, version: expected.pinVersion });
+
+    if (!result.selectorVersion) {
+      errors.push('No detail selectors matched');
+    }
+    if (expected.selectorVersion && result.selectorVersion !== String(expected.selectorVersion)) {
+      errors.push(`Expected selector version ${expected.selectorVersion}, matched ${result.selectorVersion}`);
+    }
+    errors.push(...this.compareFields(expected.fields || {}, result.fields, 'Detail'));
+
+    return {
+      file,
+      kind: 'detail',
+      passed: errors.length === 0,
+      selectorVersion: result.selectorVersion,
+      fields: Object.keys(result.fields).filter(field => result.fields[field]),
+      errors,
+      warnings: []
+    };
+  }
+
+  fieldCoverage(adapter, result) {
+    if (!result.selectorVersion || result.jobs.length === 0) return {};
+
+    const set = adapter.selectorSets.find(candidate => candidate.version === result.selectorVersion);
+    return Object.fromEntries(Object.keys(set.listing.fields).map(field => {
+      const filled = result.jobs.filter(job => job[field] !== null && job[field] !== undefined && job[field] !== '').length;
+      return [field, Math.round((filled / result.jobs.length) * 100) / 100];
+    }));
+  }
+
+  // Expected values match exactly, or by { contains } / { pattern } for long text
+  compareFields(expected, actual, label) {
+    const errors = [];
+
+    for (const [field, want] of Object.entries(expected)) {
+      const got = actual[field];
+
+      if (want && typeof want === 'object' && !Array.isArray(want)) {
+        if (want.contains && !String(got ?? '').includes(want.contains)) {
+          errors.push(`${label}: ${field} does not contain "${want.contains}"`);
+        }
+        if (want.pattern && !new RegExp(want.pattern).test(String(got ?? ''))) {
+          errors.push(`${label}: ${field} does not match /${want.pattern}/`);
+        }
+        continue;
+      }
+
+      if (JSON.stringify(got) !== JSON.stringify(want)) {
+        errors.push(`${label}: ${field} is ${JSON.stringify(got)}, expected ${JSON.stringify(want)}`);
+      }
+    }
+
+    return errors;
+  }
+}
+
+const adapterValidator = new AdapterValidator();
+export default adapterValidator;
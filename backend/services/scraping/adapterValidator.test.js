@@ -0,0 +1,41 @@
+import { AdapterRegistry, DEFAULT_ADAPTERS_DIR } from './adapterRegistry.js';
+import { AdapterValidator } from './adapterValidator.js';
+import { SiteAdapter } from './siteAdapter.js';
+
+const board = {
+  id: 'jobmail',
+  name: 'JobMail',
+  baseUrl: 'https://www.jobmail.co.za',
+  search: { path: '/jobs', params: { q: '{keywords}' } },
+  selectors: [{ version: '1', listing: { card: '.job', fields: { title: 'h2', company: '.employer' } } }]
+};
+
+describe('AdapterValidator', () => {
+  test('every built-in board parses its saved fixtures', async () => {
+    const registry = new AdapterRegistry({ directories: [DEFAULT_ADAPTERS_DIR] });
+    const report = await new AdapterValidator({ registry }).validate();
+
+    const failures = report.adapters.flatMap(adapter => adapter.fixtures.filter(fixture => !fixture.passed));
+    expect(failures).toEqual([]);
+    expect(report.passed).toBe(true);
+    expect(report.adapters.find(adapter => adapter.adapter === 'indeed').fixtures.map(fixture => fixture.selectorVersion)).toEqual(['2', '1', '2']);
+  });
+
+  test('stale selectors and wrong values fail the fixture', () => {
+    const validator = new AdapterValidator({ registry: new AdapterRegistry({ directories: [] }) });
+    const adapter = new SiteAdapter(board);
+    const html = '<div class="job"><h2>Bookkeeper</h2><span class="employer">Acme</span></div>';
+
+    expect(validator.checkListing(adapter, 'listing.html', '<div class="vacancy"></div>', {})).toMatchObject({
+      passed: false,
+      errors: ['No job cards matched any selector version']
+    });
+    expect(validator.checkListing(adapter, 'listing.html', html, {
+      count: 2,
+      jobs: [{ title: 'Bookkeeper', company: { contains: 'Pty' } }]
+    }).errors).toEqual([
+      'Expected 2 jobs, parsed 1',
+      'Job 1: company does not contain "Pty"'
+    ]);
+  });
+});
@@ -0,0 +1,34 @@
+export default {
+  id: 'careerjet',
+  name: 'CareerJet South Africa',
+  baseUrl: 'https://www.careerjet.co.za',
+  fetch: 'browser',
+  search: {
+    path: '/search/jobs',
+    params: { s: '{keywords}', l: '{location}' }
+  },
+  pagination: { param: 'p', start: 1, step: 1, maxPages: 2 },
+  defaults: { location: 'South Africa' },
+  selectors: [
+    {
+      version: '1',
+      listing: {
+        card: '.job',
+        fields: {
+          title: '.title a',
+          company: '.company',
+          location: '.location',
+          salary: '.salary',
+          summary: '.description',
+          datePosted: '.date',
+          link: '.title a@href'
+        }
+      },
+      detail: {
+        fields: {
+          description: { selector: 'section.content', format: 'multiline' }
+        }
+      }
+    }
+  ]
+};
@@ -0,0 +1,37 @@
+// Not part of the default rotation; pass sites: ['careers24'] or set
+// SCRAPER_SITES to include it
+export default {
+  id: 'careers24',
+  name: 'Careers24',
+  baseUrl: 'https://www.careers24.com',
+  enabled: false,
+  fetch: 'browser',
+  search: {
+    path: '/jobs',
+    params: { keywords: '{keywords}', location: '{location}' }
+  },
+  pagination: { param: 'page', start: 1, step: 1, maxPages: 2 },
+  defaults: { location: 'South Africa' },
+  selectors: [
+    {
+      version: '1',
+      listing: {
+        card: '.job-card',
+        fields: {
+          title: '.job-title a',
+          company: '.company-name',
+          location: '.job-location',
+          salary: '.salary',
+          summary: '.job-description',
+          datePosted: '.post-date',
+          link: '.job-title a@href'
+        }
+      },
+      detail: {
+        fields: {
+          description: { selector: '.v-descrip, #jobDescription', format: 'multiline' }
+        }
+      }
+    }
+  ]
+};
@@ -0,0 +1,58 @@
+// Indeed South Africa. Version 2 is the job_seen_beacon card layout; version 1
+// is the older jobsearch-SerpJobCard markup some regional mirrors still serve.
+export default {
+  id: 'indeed',
+  name: 'Indeed South Africa',
+  baseUrl: 'https://www.indeed.co.za',
+  fetch: 'browser',
+  search: {
+    path: '/jobs',
+    params: { q: '{keywords}', l: '{location}', sort: 'date' }
+  },
+  pagination: { param: 'start', start: 0, step: 10, maxPages: 2 },
+  // Indeed rate limits aggressively, so crawl it slower than the others
+  politeness: { dailyBudget: 300, minInterval: 8000 },
+  defaults: { location: 'South Africa' },
+  normalizers: {
+    link: ['absoluteUrl', 'stripTracking']
+  },
+  selectors: [
+    {
+      version: '2',
+      listing: {
+        card: 'div.job_seen_beacon',
+        fields: {
+          title: 'h2.jobTitle span[title], h2.jobTitle a',
+          company: '[data-testid="company-name"]',
+          location: '[data-testid="text-location"]',
+          salary: '.salary-snippet-container, [data-testid="attribute_snippet_testid"]',
+          summary: '.job-snippet',
+          datePosted: '[data-testid="myJobsStateDate"], .date',
+          link: 'h2.jobTitle a@href'
+        }
+      },
+      detail: {
+        fields: {
+          description: { selector: '#jobDescriptionText', format: 'multiline' },
+          salary: '#salaryInfoAndJobType',
+          company: '[data-testid="inlineHeader-companyName"]'
+        }
+      }
+    },
+    {
+      version: '1',
+      listing: {
+        card: '.jobsearch-SerpJobCard',
+        fields: {
+          title: '.title a',
+          company: '.company',
+          location: '.location',
+          salary: '.salary-snippet',
+          summary: '.summary',
+          datePosted: '.date',
+          link: '.title a@href'
+        }
+      }
+    }
+  ]
+};
@@ -0,0 +1,34 @@
+export default {
+  id: 'pnet',
+  name: 'PNet South Africa',
+  baseUrl: 'https://www.pnet.co.za',
+  fetch: 'browser',
+  search: {
+    path: '/jobs.html',
+    params: { keywords: '{keywords}', location: '{location}' }
+  },
+  pagination: { param: 'page', start: 1, step: 1, maxPages: 2 },
+  defaults: { location: 'South Africa' },
+  selectors: [
+    {
+      version: '1',
+      listing: {
+        card: '.job-element',
+        fields: {
+          title: '.job-title a',
+          company: '.company',
+          location: '.location',
+          salary: '.salary',
+          summary: '.description',
+          datePosted: '.date',
+          link: '.job-title a@href'
+        }
+      },
+      detail: {
+        fields: {
+          description: { selector: '[data-at="job-ad-content"], .job-ad-display', format: 'multiline' }
+        }
+      }
+    }
+  ]
+};
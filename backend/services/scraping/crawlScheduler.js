@@ -0,0 +1,161 @@
+import CrawlBudget from '../../models/CrawlBudget.js';
+import { RobotsCache } from './robotsTxt.js';
+import { DomainThrottle } from './domainThrottle.js';
+
+const dateFormat = new Intl.DateTimeFormat('en-CA', { timeZone: 'Africa/Johannesburg' });
+
+// Budgets reset at midnight South African time
+export function crawlDate(now = new Date()) {
+  return dateFormat.format(now);
+}
+
+export function nextCrawlDay(now = new Date()) {
+  const tomorrow = new Date(now.getTime() + 24 * 60 * 60 * 1000);
+  return new Date(`${crawlDate(tomorrow)}T00:00:00+02:00`);
+}
+
+function crawlError(message, code, extra = {}) {
+  const error = new Error(message);
+  error.code = code;
+  error.retryable = false;
+  return Object.assign(error, extra);
+}
+
+// Every page request to a job board goes through here: robots.txt is checked,
+// the day's budget for the site is charged and the request waits its turn on
+// the host (one at a time, at least minInterval or the robots crawl-delay
+// apart). 429/503 responses double the host's interval until it recovers.
+export class CrawlScheduler {
+  constructor(options = {}) {
+    this.robots = options.robots || new RobotsCache();
+    this.throttle = options.throttle || new DomainThrottle();
+    this.budgets = options.budgets || CrawlBudget;
+    this.defaultBudget = options.dailyBudget || parseInt(process.env.SCRAPER_DAILY_BUDGET) || 500;
+    this.maxBackoff = options.maxBackoff || 5 * 60 * 1000;
+    this.recentLimit = 50;
+    this.backoffs = new Map();
+    this.sites = {};
+    this.recent = [];
+  }
+
+  async request(url, { site, politeness = {} } = {}, fetch) {
+    const domain = DomainThrottle.domainOf(url);
+    const siteId = site || domain;
+    let crawlDelay = null;
+
+    if (politeness.respectRobots !== false) {
+      const robots = await this.robots.check(url);
+      if (!robots.allowed) {
+        await this.refuse(siteId, url, 'denied', `robots.txt (${robots.source})`);
+        throw crawlError(`robots.txt disallows ${url}`, 'ROBOTS_DENIED');
+      }
+      crawlDelay = robots.crawlDelay;
+    }
+
+    // Charged before queueing so requests waiting on the host cannot overspend
+    const budget = await this.budgets.consume(siteId, crawlDate(), politeness.dailyBudget || this.defaultBudget);
+    if (!budget.allowed) {
+      await this.refuse(siteId, url, 'blocked', `daily budget of ${budget.limit} requests used`);
+      throw crawlError(`Daily crawl budget for ${siteId} is used up`, 'CRAWL_BUDGET_EXHAUSTED', {
+        retryAt: nextCrawlDay()
+      });
+    }
+
+    this.applyInterval(domain, politeness.minInterval, crawlDelay);
+
+    return this.throttle.schedule(url, async () => {
+      this.count(siteId, 'requests');
+
+      try {
+        const result = await fetch();
+        this.recover(domain, politeness.minInterval, crawlDelay);
+        return result;
+      } catch (error) {
+        const status = error.status || error.response?.status;
+        if (status === 429 || status === 503) {
+          this.backOff(domain);
+          await this.note(siteId, 'rateLimited');
+        } else {
+          await this.note(siteId, 'failures');
+        }
+        throw error;
+      }
+    });
+  }
+
+  baseInterval(minInterval, crawlDelay) {
+    return Math.max(minInterval || this.throttle.minInterval, (crawlDelay || 0) * 1000);
+  }
+
+  applyInterval(domain, minInterval, crawlDelay) {
+    const base = this.baseInterval(minInterval, crawlDelay);
+    this.throttle.setDomainInterval(domain, Math.max(base, this.backoffs.get(domain) || 0));
+  }
+
+  backOff(domain) {
+    const current = this.backoffs.get(domain) || this.throttle.state(domain).interval || this.throttle.minInterval;
+    const next = Math.min(current * 2, this.maxBackoff);
+    this.backoffs.set(domain, next);
+    this.throttle.setDomainInterval(domain, next);
+    console.warn(`Rate limited by ${domain}, slowing to one request every ${Math.round(next / 1000)}s`);
+  }
+
+  // Each success halves the extra delay until the host is back to its normal pace
+  recover(domain, minInterval, crawlDelay) {
+    const backoff = this.backoffs.get(domain);
+    if (!backoff) return;
+
+    const base = this.baseInterval(minInterval, crawlDelay);
+    const next = backoff / 2;
+    if (next <= base) {
+      this.backoffs.delete(domain);
+    } else {
+      this.backoffs.set(domain, next);
+    }
+    this.throttle.setDomainInterval(domain, Math.max(base, next));
+  }
+
+  count(site, counter) {
+    const stats = this.sites[site] || { requests: 0, denied: 0, blocked: 0, rateLimited: 0, failures: 0 };
+    stats[counter] += 1;
+    this.sites[site] = stats;
+  }
+
+  async note(site, counter) {
+    this.count(site, counter);
+    try {
+      await this.budgets.record(site, crawlDate(), counter);
+    } catch (error) {
+      console.error('Crawl budget record error:', error.message);
+    }
+  }
+
+  async refuse(site, url, kind, reason) {
+    this.recent.unshift({ site, url, kind, reason, at: new Date() });
+    this.recent.length = Math.min(this.recent.length, this.recentLimit);
+    console.warn(`Crawl ${kind} for ${url}: ${reason}`);
+    await this.note(site, kind);
+  }
+
+  // Whether the site can still be crawled today, without spending anything
+  async hasBudget(site, dailyBudget) {
+    const budget = await this.budgets.findOne({ site, date: crawlDate() }).lean();
+    return !budget || budget.requests < (dailyBudget || this.defaultBudget);
+  }
+
+  async getBudgets(date = crawlDate()) {
+    return this.budgets.find({ date }).sort({ site: 1 }).lean();
+  }
+
+  getStatistics() {
+    return {
+      sites: this.sites,
+      recentRefusals: this.recent,
+      domains: this.throttle.getStatistics(),
+      robots: this.robots.getStatistics()
+    };
+  }
+}
+
+const crawlScheduler = new CrawlScheduler();
+export default crawlScheduler;
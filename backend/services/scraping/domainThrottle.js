@@ -0,0 +1,69 @@
+// Serialises requests per host and keeps a minimum gap between them, so a
+// crawl spread across many jobs never hits one board in parallel.
+export class DomainThrottle {
+  constructor(options = {}) {
+    this.minInterval = options.minInterval ?? (parseInt(process.env.SCRAPER_DOMAIN_DELAY_MS) || 5000);
+    this.jitter = options.jitter ?? 0.5;
+    this.domains = new Map();
+  }
+
+  static domainOf(url) {
+    try {
+      return new URL(url).hostname.replace(/^www\./, '').toLowerCase();
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Per-domain overrides, e.g. a slower pace after repeated errors
+  setDomainInterval(domain, interval) {
+    this.state(domain).interval = interval;
+  }
+
+  state(domain) {
+    if (!this.domains.has(domain)) {
+      this.domains.set(domain, { queue: Promise.resolve(), lastRequestAt: 0, interval: null, requests: 0 });
+    }
+    return this.domains.get(domain);
+  }
+
+  // Runs task once every earlier request to the same domain has finished and
+  // the gap since the last one has passed
+  schedule(url, task) {
+    const domain = DomainThrottle.domainOf(url) || 'unknown';
+    const state = this.state(domain);
+
+    const run = state.queue.then(async () => {
+      const interval = state.interval ?? this.minInterval;
+      const gap = interval * (1 + Math.random() * this.jitter);
+      const wait = state.lastRequestAt + gap - Date.now();
+      if (wait > 0) {
+        await new Promise(resolve => setTimeout(resolve, wait));
+      }
+
+      try {
+        return await task();
+      } finally {
+        state.lastRequestAt = Date.now();
+        state.requests += 1;
+      }
+    });
+
+    // Keep the chain alive when a task fails
+    state.queue = run.catch(() => {});
+    return run;
+  }
+
+  getStatistics() {
+    return Object.fromEntries([...this.domains.entries()].map(([domain, state]) => [
+      domain,
+      {
+        requests: state.requests,
+        lastRequestAt: state.lastRequestAt ? new Date(state.lastRequestAt) : null,
+        interval: state.interval ?? this.minInterval
+      }
+    ]));
+  }
+}
+
+export default DomainThrottle;
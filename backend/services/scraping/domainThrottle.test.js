@@ -0,0 +1,56 @@
+import { DomainThrottle } from './domainThrottle.js';
+
+const later = (value) => new Promise(resolve => setTimeout(() => resolve(value), 5));
+
+describe('DomainThrottle', () => {
+  test('domainOf ignores www and case, and rejects what is not a URL', () => {
+    expect(DomainThrottle.domainOf('https://WWW.PNet.co.za/jobs')).toBe('pnet.co.za');
+    expect(DomainThrottle.domainOf('not a url')).toBeNull();
+  });
+
+  test('requests to one domain run one at a time, with a gap between them', async () => {
+    const throttle = new DomainThrottle({ minInterval: 30, jitter: 0 });
+    const log = [];
+    const task = (name) => async () => {
+      log.push({ event: `start ${name}`, at: Date.now() });
+      await later();
+      log.push({ event: `end ${name}`, at: Date.now() });
+      return name;
+    };
+
+    const results = await Promise.all([
+      throttle.schedule('https://www.pnet.co.za/1', task('a')),
+      throttle.schedule('https://pnet.co.za/2', task('b'))
+    ]);
+
+    expect(results).toEqual(['a', 'b']);
+    expect(log.map(entry => entry.event)).toEqual(['start a', 'end a', 'start b', 'end b']);
+    expect(log[2].at - log[1].at).toBeGreaterThanOrEqual(25);
+  });
+
+  test('other domains are not held up', async () => {
+    const throttle = new DomainThrottle({ minInterval: 1000, jitter: 0 });
+    await throttle.schedule('https://pnet.co.za', () => 'first');
+
+    const started = Date.now();
+    await throttle.schedule('https://careers24.com', () => 'other');
+    expect(Date.now() - started).toBeLessThan(500);
+  });
+
+  test('a failed request does not stop the next one', async () => {
+    const throttle = new DomainThrottle({ minInterval: 0, jitter: 0 });
+
+    await expect(throttle.schedule('https://pnet.co.za', async () => {
+      throw new Error('timeout');
+    })).rejects.toThrow('timeout');
+    await expect(throttle.schedule('https://pnet.co.za', () => 'ok')).resolves.toBe('ok');
+    expect(throttle.getStatistics()['pnet.co.za']).toMatchObject({ requests: 2, interval: 0 });
+  });
+
+  test('a domain can be slowed down on its own', () => {
+    const throttle = new DomainThrottle({ minInterval: 100 });
+    throttle.setDomainInterval('indeed.co.za', 5000);
+
+    expect(throttle.getStatistics()['indeed.co.za'].interval).toBe(5000);
+  });
+});
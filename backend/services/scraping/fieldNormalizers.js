@@ -0,0 +1,102 @@
+// Named field normalizers. JSON adapters reference these by name; JS adapters
+// can mix names with their own functions. Each receives the raw value and a
+// context of { adapter, url, field } and returns the cleaned value.
+export const fieldNormalizers = {
+  text: (value) => typeof value === 'string'
+    ? value.replace(/\s+/g, ' ').trim() || null
+    : value,
+
+  multiline: (value) => typeof value === 'string'
+    ? value
+      .replace(/\u00a0/g, ' ')
+      .split(/\n/)
+      .map(line => line.replace(/[ \t]+/g, ' ').trim())
+      .join('\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim() || null
+    : value,
+
+  absoluteUrl: (value, { url }) => {
+    if (!value) return null;
+    try {
+      return new URL(value, url).href;
+    } catch (error) {
+      return null;
+    }
+  },
+
+  // Drops query strings that only carry tracking parameters
+  stripTracking: (value) => {
+    if (!value) return value;
+    try {
+      const parsed = new URL(value);
+      [...parsed.searchParams.keys()]
+        .filter(key => /^(utm_|fbclid|gclid|from|tk|vjk)/i.test(key))
+        .forEach(key => parsed.searchParams.delete(key));
+      return parsed.href;
+    } catch (error) {
+      return value;
+    }
+  },
+
+  // "Location: Sandton, Gauteng" -> "Sandton, Gauteng"
+  location: (value) => typeof value === 'string'
+    ? value.replace(/^(location|job location)\s*:?\s*/i, '').replace(/\s*,\s*/g, ', ').trim() || null
+    : value,
+
+  // "Company: Acme (Pty) Ltd" -> "Acme (Pty) Ltd"
+  company: (value) => typeof value === 'string'
+    ? value.replace(/^(company|employer|recruiter)\s*:?\s*/i, '').trim() || null
+    : value,
+
+  // "Posted 3 days ago" -> "2024-05-07"; absolute dates are left for parseDate
+  relativeDate: (value, { now = new Date() } = {}) => {
+    if (typeof value !== 'string') return value;
+    const lower = value.toLowerCase();
+
+    if (/just posted|today|new\b/.test(lower)) {
+      return now.toISOString().split('T')[0];
+    }
+    if (/yesterday/.test(lower)) {
+      return new Date(now.getTime() - 86400000).toISOString().split('T')[0];
+    }
+
+    const match = lower.match(/(\d+)\+?\s*(hour|day|week|month)s?\s+ago/);
+    if (match) {
+      const days = { hour: 0, day: 1, week: 7, month: 30 }[match[2]] * parseInt(match[1]);
+      return new Date(now.getTime() - days * 86400000).toISOString().split('T')[0];
+    }
+
+    return value.replace(/^(posted|date posted|listed)\s*:?\s*/i, '').trim();
+  },
+
+  lowercase: (value) => typeof value === 'string' ? value.toLowerCase() : value
+};
+
+// Every text field is whitespace-collapsed and links are resolved unless the
+// adapter says otherwise
+export const defaultNormalizers = {
+  title: ['text'],
+  company: ['text', 'company'],
+  location: ['text', 'location'],
+  salary: ['text'],
+  summary: ['text'],
+  description: ['multiline'],
+  datePosted: ['text', 'relativeDate'],
+  link: ['absoluteUrl']
+};
+
+export function applyNormalizers(value, normalizers = [], context = {}) {
+  const chain = Array.isArray(normalizers) ? normalizers : [normalizers];
+
+  return chain.reduce((current, normalizer) => {
+    if (current === null || current === undefined) return current;
+    const fn = typeof normalizer === 'function' ? normalizer : fieldNormalizers[normalizer];
+    if (!fn) {
+      throw new Error(`Unknown field normalizer "${normalizer}"`);
+    }
+    return Array.isArray(current)
+      ? current.map(item => fn(item, context)).filter(item => item !== null && item !== undefined)
+      : fn(current, context);
+  }, value);
+}
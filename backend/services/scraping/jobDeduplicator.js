@@ -0,0 +1,436 @@
+import Job from '../../models/Job.js';
+import gazetteer from '../geo/gazetteer.js';
+
+// Legal suffixes and filler that boards add or drop from the same employer's name
+const COMPANY_NOISE = new Set([
+  'the', 'pty', 'proprietary', 'ltd', 'limited', 'inc', 'incorporated', 'llc', 'plc', 'cc', 'npc', 'soc',
+  'holdings', 'group', 'co', 'company', 'sa', 'rsa', 'za', 'south', 'africa'
+]);
+
+// Employers hidden by recruiters share a name but not a vacancy
+const CONFIDENTIAL_COMPANY = /^(confidential|anonymous|undisclosed|private|client|company|not specified|n a|na)$/;
+
+const TITLE_ABBREVIATIONS = {
+  snr: 'senior',
+  sr: 'senior',
+  jnr: 'junior',
+  jr: 'junior',
+  intermed: 'intermediate',
+  mgr: 'manager',
+  mngr: 'manager',
+  dev: 'developer',
+  devs: 'developer',
+  eng: 'engineer',
+  engr: 'engineer',
+  asst: 'assistant',
+  admin: 'administrator',
+  exec: 'executive',
+  rep: 'representative',
+  acc: 'accountant',
+  acct: 'accountant',
+  tech: 'technician',
+  coord: 'coordinator',
+  ops: 'operations',
+  mgt: 'management',
+  mgmt: 'management'
+};
+
+// Words that say nothing about which vacancy it is: equity labels, urgency,
+// contract type and SA place abbreviations boards tack onto titles
+const TITLE_NOISE = new Set([
+  'a', 'an', 'the', 'and', 'of', 'for', 'in', 'to', 'at', 'with',
+  'ee', 'aa', 'eeaa', 'bbbee', 'm', 'f', 'mf',
+  'urgent', 'vacancy', 'position', 'post', 'job', 'opportunity', 'required', 'wanted', 'needed', 'immediate', 'start',
+  'permanent', 'perm', 'contract', 'temp', 'temporary', 'fixed', 'term', 'hybrid', 'remote', 'onsite', 'based',
+  'south', 'africa', 'sa', 'za', 'jhb', 'jozi', 'cpt', 'dbn', 'pta', 'pe', 'gp', 'wc', 'kzn', 'ec'
+]);
+
+// Titles that differ only in level are different roles
+const SENIORITY = new Set(['junior', 'intermediate', 'senior', 'lead', 'principal', 'head', 'graduate', 'intern', 'trainee', 'chief']);
+
+const PROVINCES = new Set([
+  'gauteng', 'western cape', 'eastern cape', 'northern cape', 'kwazulu natal', 'free state',
+  'limpopo', 'mpumalanga', 'north west'
+]);
+
+// Locations too vague to tell two postings apart
+const VAGUE_LOCATIONS = new Set(['', 'south africa', 'remote', 'national', 'nationwide', 'anywhere', 'various', 'multiple locations']);
+
+const SIGNATURE_SIZE = 64;
+const SHINGLE_SIZE = 3;
+const MIN_SHINGLES = 8;
+
+function words(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+    .split(' ')
+    .filter(Boolean);
+}
+
+export function normalizeCompany(name) {
+  const tokens = words(name);
+  const kept = tokens.filter(token => !COMPANY_NOISE.has(token));
+  return (kept.length > 0 ? kept : tokens).join(' ');
+}
+
+export function normalizeLocation(location) {
+  // Known places key on their metro or town, so "Sandton" and "JHB" postings meet
+  const place = gazetteer.resolve(location);
+  if (place) return words(place.city || place.province).join(' ');
+
+  const city = String(location || '').split(/[,(|]/)[0];
+  return words(city).filter(token => token !== 'south' && token !== 'africa').join(' ') ||
+    (/south africa/i.test(location || '') ? 'south africa' : '');
+}
+
+// Sorted set of meaningful title words, with abbreviations spelled out and the
+// job's own location removed ("Snr Java Dev - Cape Town" -> "developer java senior")
+export function titleTokens(title, location) {
+  const placeWords = new Set(words(location));
+
+  const tokens = words(String(title || '').replace(/\br\s?\d[\d\s,.]*k?\b/gi, ' '))
+    .map(token => TITLE_ABBREVIATIONS[token] || token)
+    .filter(token => !TITLE_NOISE.has(token) && !placeWords.has(token));
+
+  return [...new Set(tokens)].sort();
+}
+
+// Title words without the level, so "Senior Java Developer" and "Java
+// Developer" fall in the same role cluster
+export function roleTokens(title, location) {
+  return titleTokens(title, location).filter(token => !SENIORITY.has(token));
+}
+
+export function jaccard(a, b) {
+  if (a.length === 0 && b.length === 0) return 1;
+  const setB = new Set(b);
+  const shared = a.filter(token => setB.has(token)).length;
+  return shared / (a.length + b.length - shared);
+}
+
+// 32-bit FNV-1a
+function fnv1a(text, seed = 0x811c9dc5) {
+  let hash = seed;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+export function shingles(text, size = SHINGLE_SIZE) {
+  const tokens = words(text);
+  const result = new Set();
+  for (let i = 0; i + size <= tokens.length; i++) {
+    result.add(tokens.slice(i, i + size).join(' '));
+  }
+  return result;
+}
+
+// MinHash signature of the description's word shingles; the share of equal
+// positions in two signatures estimates how much of the text they have in common.
+// The permutations are derived from two base hashes (h1 + i * h2).
+export function minhash(text, size = SIGNATURE_SIZE) {
+  const shingleSet = shingles(text);
+  if (shingleSet.size < MIN_SHINGLES) return [];
+
+  const signature = new Array(size).fill(0xffffffff);
+  for (const shingle of shingleSet) {
+    const h1 = fnv1a(shingle);
+    const h2 = fnv1a(shingle, 0x9747b28c) | 1;
+    for (let i = 0; i < size; i++) {
+      const value = (h1 + Math.imul(i, h2)) >>> 0;
+      if (value < signature[i]) signature[i] = value;
+    }
+  }
+  return signature;
+}
+
+export function signatureSimilarity(a, b) {
+  if (!a?.length || !b?.length || a.length !== b.length) return null;
+  let equal = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] === b[i]) equal += 1;
+  }
+  return equal / a.length;
+}
+
+function locationsCompatible(a, b) {
+  if (VAGUE_LOCATIONS.has(a) || VAGUE_LOCATIONS.has(b)) return true;
+  if (PROVINCES.has(a) || PROVINCES.has(b)) return true;
+  return a === b;
+}
+
+// Finds postings of the same vacancy across boards (and reposts on one board)
+// and folds them into one canonical Job that lists every source. Candidates
+// are blocked on the normalised company name, then compared on title words,
+// location and a MinHash of the description.
+export class JobDeduplicator {
+  constructor(options = {}) {
+    this.model = options.model || Job;
+    this.titleThreshold = options.titleThreshold || 0.75;
+    this.descriptionThreshold = options.descriptionThreshold || 0.5;
+    this.candidateLimit = options.candidateLimit || 200;
+    this.fingerprints = new WeakMap();
+  }
+
+  // Keys stored on the Job as dedupe.*; works on scraped job data and Job documents
+  fingerprint(job) {
+    const description = job.description || job.summary || '';
+    return {
+      companyKey: normalizeCompany(job.company),
+      titleKey: titleTokens(job.title, job.location).join(' '),
+      locationKey: normalizeLocation(job.location),
+      minhash: minhash(description)
+    };
+  }
+
+  fingerprintOf(job) {
+    const stored = job.dedupe;
+    if (stored?.companyKey && stored.titleKey !== undefined && stored.minhash) {
+      return stored;
+    }
+
+    if (!this.fingerprints.has(job)) {
+      this.fingerprints.set(job, this.fingerprint(job));
+    }
+    return this.fingerprints.get(job);
+  }
+
+  // { duplicate, score, reason, title, description } for two postings
+  compare(a, b) {
+    const first = this.fingerprintOf(a);
+    const second = this.fingerprintOf(b);
+    const result = { duplicate: false, score: 0, reason: null, title: 0, description: null };
+
+    if (!first.companyKey || first.companyKey !== second.companyKey) return result;
+    if (!locationsCompatible(first.locationKey, second.locationKey)) {
+      result.reason = 'different location';
+      return result;
+    }
+
+    // The employer's own reference number is the strongest evidence there is
+    const referenceA = a.referenceNumber?.toLowerCase();
+    const referenceB = b.referenceNumber?.toLowerCase();
+    if (referenceA && referenceB) {
+      const sameReference = referenceA === referenceB;
+      return { ...result, duplicate: sameReference, score: sameReference ? 1 : 0, reason: sameReference ? 'reference number' : 'different reference number' };
+    }
+
+    const tokensA = first.titleKey ? first.titleKey.split(' ') : [];
+    const tokensB = second.titleKey ? second.titleKey.split(' ') : [];
+    const levelA = tokensA.filter(token => SENIORITY.has(token)).join(' ');
+    const levelB = tokensB.filter(token => SENIORITY.has(token)).join(' ');
+    if (levelA && levelB && levelA !== levelB) {
+      result.reason = 'different seniority';
+      return result;
+    }
+
+    result.title = jaccard(tokensA, tokensB);
+    result.description = signatureSimilarity(first.minhash, second.minhash);
+
+    const confidential = CONFIDENTIAL_COMPANY.test(first.companyKey);
+    const descriptionMatches = result.description !== null && result.description >= this.descriptionThreshold;
+
+    if (confidential) {
+      // Only the text can tell one anonymous employer's ad from another's
+      result.duplicate = result.title >= this.titleThreshold && descriptionMatches;
+    } else if (result.description === null) {
+      result.duplicate = result.title >= this.titleThreshold;
+    } else {
+      // Reworded titles are fine when the ad text is the same, and identical
+      // titles are fine unless the texts clearly describe different jobs
+      result.duplicate = (result.title >= 0.5 && descriptionMatches) ||
+        (result.title === 1 && result.description >= this.descriptionThreshold / 2);
+    }
+
+    result.score = result.description === null
+      ? result.title
+      : Math.round((result.title + result.description) / 2 * 100) / 100;
+    result.reason = result.duplicate ? 'similar posting' : 'different posting';
+    return result;
+  }
+
+  // Groups a batch of scraped jobs into clusters of the same vacancy; the
+  // first member of each cluster is the most complete posting
+  cluster(jobs) {
+    const parent = jobs.map((job, index) => index);
+    const find = (index) => {
+      while (parent[index] !== index) {
+        parent[index] = parent[parent[index]];
+        index = parent[index];
+      }
+      return index;
+    };
+
+    const blocks = new Map();
+    jobs.forEach((job, index) => {
+      const key = this.fingerprintOf(job).companyKey;
+      if (!blocks.has(key)) blocks.set(key, []);
+      blocks.get(key).push(index);
+    });
+
+    for (const members of blocks.values()) {
+      for (let i = 0; i < members.length; i++) {
+        for (let j = i + 1; j < members.length; j++) {
+          if (find(members[i]) === find(members[j])) continue;
+          if (this.compare(jobs[members[i]], jobs[members[j]]).duplicate) {
+            parent[find(members[j])] = find(members[i]);
+          }
+        }
+      }
+    }
+
+    const clusters = new Map();
+    jobs.forEach((job, index) => {
+      const root = find(index);
+      if (!clusters.has(root)) clusters.set(root, []);
+      clusters.get(root).push(job);
+    });
+
+    return [...clusters.values()].map(members => members.sort((a, b) => this.completeness(b) - this.completeness(a)));
+  }
+
+  completeness(job) {
+    const description = job.description || job.summary || '';
+    return description.length + (job.salary || job.salaryRange?.isDisclosed ? 500 : 0) + (job.datePosted ? 100 : 0);
+  }
+
+  // The stored canonical job for a scraped posting, if there is one. A known
+  // URL returns its job even when inactive, so filled vacancies stay filled.
+  async findCanonical(jobData) {
+    const urls = (jobData.sources || []).map(source => source.url).filter(Boolean);
+    if (jobData.link) urls.push(jobData.link);
+
+    if (urls.length > 0) {
+      const byUrl = await this.model.findOne({
+        $or: [{ 'sources.url': { $in: urls } }, { 'source.url': { $in: urls } }]
+      }).sort({ isActive: -1 });
+
+      if (byUrl?.dedupe?.duplicateOf) {
+        return (await this.model.findById(byUrl.dedupe.duplicateOf)) || byUrl;
+      }
+      if (byUrl) return byUrl;
+    }
+
+    const fingerprint = this.fingerprintOf(jobData);
+    if (!fingerprint.companyKey) return null;
+
+    const candidates = await this.model.find({ isActive: true, 'dedupe.companyKey': fingerprint.companyKey })
+      .select('+dedupe.minhash')
+      .sort({ createdAt: 1 })
+      .limit(this.candidateLimit);
+
+    let best = null;
+    for (const candidate of candidates) {
+      const result = this.compare(jobData, candidate);
+      if (result.duplicate && (!best || result.score > best.score)) {
+        best = { job: candidate, score: result.score };
+      }
+    }
+    return best ? best.job : null;
+  }
+
+  // Adds (or refreshes) the boards a job was seen on; true when one is new
+  addSources(job, sources) {
+    const now = new Date();
+    let added = false;
+
+    for (const source of sources) {
+      const existing = job.sources.find(entry =>
+        (source.url && entry.url === source.url) ||
+        (source.scrapedId && entry.scrapedId === source.scrapedId)
+      );
+
+      if (existing) {
+        existing.lastSeenAt = now;
+      } else {
+        job.sources.push({ ...source, firstSeenAt: source.firstSeenAt || now, lastSeenAt: source.lastSeenAt || now });
+        added = true;
+      }
+    }
+
+    if (job.dedupe) job.dedupe.clusterSize = job.sources.length;
+    return added;
+  }
+
+  // Folds stored duplicates into the canonical job. Duplicates are kept but
+  // deactivated and point at the canonical job, so links to them still resolve.
+  async mergeDuplicates(canonical, duplicates, { dryRun = false } = {}) {
+    for (const duplicate of duplicates) {
+      this.addSources(canonical, this.sourcesOf(duplicate));
+
+      for (const counter of ['matchesCount', 'applicationsCount', 'viewsCount', 'savesCount']) {
+        canonical.metadata[counter] += duplicate.metadata?.[counter] || 0;
+      }
+      if ((duplicate.description || '').length > (canonical.description || '').length) {
+        canonical.description = duplicate.description;
+        canonical.dedupe.minhash = duplicate.dedupe?.minhash?.length ? duplicate.dedupe.minhash : this.fingerprint(duplicate).minhash;
+      }
+      if (!canonical.closingDate && duplicate.closingDate) canonical.closingDate = duplicate.closingDate;
+      if (!canonical.referenceNumber && duplicate.referenceNumber) canonical.referenceNumber = duplicate.referenceNumber;
+
+      duplicate.isActive = false;
+      duplicate.dedupe.duplicateOf = canonical._id;
+      duplicate.dedupe.clusteredAt = new Date();
+    }
+
+    canonical.dedupe.clusteredAt = new Date();
+    if (!dryRun) {
+      await canonical.save();
+      await Promise.all(duplicates.map(duplicate => duplicate.save()));
+    }
+    return canonical;
+  }
+
+  // Sources of a stored job, including jobs saved before sources[] existed
+  sourcesOf(job) {
+    if (job.sources?.length > 0) {
+      return job.sources.map(source => (source.toObject ? source.toObject() : source));
+    }
+    if (!job.source?.website) return [];
+
+    const { website, url, scrapedId, adapter, selectorVersion } = job.source;
+    return [{ website, url, scrapedId, adapter, selectorVersion, firstSeenAt: job.createdAt, lastSeenAt: job.updatedAt }];
+  }
+
+  // Re-clusters the active jobs of every employer with more than one posting,
+  // oldest posting first so existing job ids stay canonical
+  async recluster({ dryRun = false } = {}) {
+    const companies = await this.model.aggregate([
+      { $match: { isActive: true, 'dedupe.companyKey': { $exists: true, $ne: '' } } },
+      { $group: { _id: '$dedupe.companyKey', count: { $sum: 1 } } },
+      { $match: { count: { $gt: 1 } } }
+    ]);
+
+    const stats = { companies: companies.length, clusters: 0, merged: 0 };
+
+    for (const { _id: companyKey } of companies) {
+      const jobs = await this.model.find({ isActive: true, 'dedupe.companyKey': companyKey })
+        .select('+dedupe.minhash')
+        .sort({ createdAt: 1 });
+
+      for (const members of this.clusterInOrder(jobs)) {
+        if (members.length < 2) continue;
+        const [canonical, ...duplicates] = members;
+        await this.mergeDuplicates(canonical, duplicates, { dryRun });
+        stats.clusters += 1;
+        stats.merged += duplicates.length;
+      }
+    }
+
+    return stats;
+  }
+
+  // Like cluster(), but keeps the input order inside each cluster
+  clusterInOrder(jobs) {
+    const position = new Map(jobs.map((job, index) => [job, index]));
+    return this.cluster(jobs).map(members => members.sort((a, b) => position.get(a) - position.get(b)));
+  }
+}
+
+const jobDeduplicator = new JobDeduplicator();
+export default jobDeduplicator;
@@ -0,0 +1,189 @@
+import { jest } from '@jest/globals';
+import Job from '../../models/Job.js';
+import {
+  JobDeduplicator,
+  normalizeCompany,
+  normalizeLocation,
+  titleTokens,
+  minhash,
+  signatureSimilarity
+} from './jobDeduplicator.js';
+
+const AD = [
+  'Acme Digital is looking for a senior Java developer to join the payments team in Cape Town.',
+  'You will build and run the card switching services that process millions of transactions a month,',
+  'work closely with product owners and mentor two junior developers.',
+  'Requirements: five years of Java and Spring Boot, experience with Kafka and PostgreSQL.'
+].join(' ');
+
+const REWORDED = `${AD} Apply with your CV and a short motivation before the end of the month.`;
+
+const NURSE_AD = [
+  'Acme Digital needs an occupational health nurse for its Cape Town campus clinic.',
+  'You will run medical surveillance, manage injury on duty cases and keep the clinic records up to date.',
+  'A diploma in nursing and SANC registration are required.'
+].join(' ');
+
+const posting = (fields) => ({
+  company: 'Acme Digital (Pty) Ltd',
+  title: 'Senior Java Developer',
+  location: 'Cape Town, Western Cape',
+  description: AD,
+  ...fields
+});
+
+describe('normalisation', () => {
+  test('company names lose legal suffixes and filler', () => {
+    expect(normalizeCompany('The Acme Digital Group (Pty) Ltd')).toBe('acme digital');
+    expect(normalizeCompany('ACME DIGITAL SA')).toBe('acme digital');
+  });
+
+  test('a name made only of filler is kept whole', () => {
+    expect(normalizeCompany('Company (Pty) Ltd')).toBe('company pty ltd');
+  });
+
+  test('titles spell out abbreviations and drop noise, pay and the job\'s own location', () => {
+    expect(titleTokens('Snr Java Dev - Cape Town (EE) R45k', 'Cape Town')).toEqual(['developer', 'java', 'senior']);
+    expect(titleTokens('URGENT: Java Developer - Permanent - JHB')).toEqual(['developer', 'java']);
+  });
+
+  test('known places key on their metro', () => {
+    expect(normalizeLocation('Sandton')).toBe(normalizeLocation('JHB'));
+  });
+
+  test('MinHash estimates shared text and ignores very short texts', () => {
+    const signature = minhash(AD);
+
+    expect(signature).toHaveLength(64);
+    expect(signatureSimilarity(signature, minhash(REWORDED))).toBeGreaterThan(0.7);
+    expect(signatureSimilarity(signature, minhash(NURSE_AD))).toBeLessThan(0.2);
+    expect(minhash('Java developer wanted')).toEqual([]);
+    expect(signatureSimilarity([], signature)).toBeNull();
+  });
+});
+
+describe('JobDeduplicator.compare', () => {
+  const deduplicator = new JobDeduplicator();
+
+  test('the same ad on two boards is a duplicate', () => {
+    const pnet = posting({});
+    const careers24 = posting({ company: 'ACME DIGITAL', title: 'Snr Java Dev', location: 'Cape Town', description: REWORDED });
+
+    expect(deduplicator.compare(pnet, careers24)).toMatchObject({ duplicate: true, reason: 'similar posting', title: 1 });
+  });
+
+  test('different employers, places or levels are never duplicates', () => {
+    expect(deduplicator.compare(posting({}), posting({ company: 'Globex' })).duplicate).toBe(false);
+    expect(deduplicator.compare(posting({}), posting({ location: 'Durban' }))).toMatchObject({ duplicate: false, reason: 'different location' });
+    expect(deduplicator.compare(posting({}), posting({ title: 'Junior Java Developer' }))).toMatchObject({ duplicate: false, reason: 'different seniority' });
+  });
+
+  test('a province or "South Africa" is compatible with a city in it', () => {
+    expect(deduplicator.compare(posting({}), posting({ location: 'South Africa' })).duplicate).toBe(true);
+  });
+
+  test('reference numbers decide when both postings have one', () => {
+    expect(deduplicator.compare(posting({ referenceNumber: 'AD-17' }), posting({ referenceNumber: 'ad-17', title: 'Payments Engineer' })))
+      .toMatchObject({ duplicate: true, reason: 'reference number' });
+    expect(deduplicator.compare(posting({ referenceNumber: 'AD-17' }), posting({ referenceNumber: 'AD-18' })))
+      .toMatchObject({ duplicate: false, reason: 'different reference number' });
+  });
+
+  test('the same title with a clearly different ad is a different vacancy', () => {
+    expect(deduplicator.compare(posting({}), posting({ description: NURSE_AD })).duplicate).toBe(false);
+  });
+
+  test('confidential employers need the ad text to match as well as the title', () => {
+    const hidden = (fields) => posting({ company: 'Confidential', ...fields });
+
+    expect(deduplicator.compare(hidden({ description: 'Java developer' }), hidden({ description: 'Java developer' })).duplicate).toBe(false);
+    expect(deduplicator.compare(hidden({}), hidden({ description: REWORDED })).duplicate).toBe(true);
+  });
+});
+
+describe('JobDeduplicator.cluster', () => {
+  const deduplicator = new JobDeduplicator();
+
+  test('groups postings of one vacancy, most complete first', () => {
+    const summary = posting({ description: undefined, summary: 'Senior Java developer for payments' });
+    const full = posting({ salary: 'R60 000 per month' });
+    const reworded = posting({ title: 'Snr Java Dev', description: REWORDED });
+    const nurse = posting({ title: 'Occupational Health Nurse', description: NURSE_AD });
+    const other = posting({ company: 'Globex' });
+
+    const clusters = deduplicator.cluster([summary, nurse, full, other, reworded]);
+
+    expect(clusters).toHaveLength(3);
+    expect(clusters[0]).toEqual([full, reworded, summary]);
+    expect(clusters.slice(1)).toEqual([[nurse], [other]]);
+  });
+
+  test('clusterInOrder keeps the oldest posting first', () => {
+    const older = posting({});
+    const newer = posting({ salary: 'R60 000 per month', description: REWORDED });
+
+    expect(deduplicator.clusterInOrder([older, newer])).toEqual([[older, newer]]);
+  });
+});
+
+describe('JobDeduplicator storage', () => {
+  const deduplicator = new JobDeduplicator();
+  const stored = (fields) => new Job({
+    ...posting({}),
+    source: { website: 'PNet South Africa', url: 'https://www.pnet.co.za/jobs/1' },
+    ...fields
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('merging keeps the canonical job and deactivates the duplicates', async () => {
+    const canonical = stored({ description: 'Senior Java developer', sources: [{ website: 'PNet South Africa', url: 'https://www.pnet.co.za/jobs/1' }] });
+    canonical.metadata.viewsCount = 3;
+    const duplicate = stored({
+      referenceNumber: 'AD-17',
+      source: { website: 'Careers24', url: 'https://www.careers24.com/jobs/9' },
+      dedupe: { minhash: minhash(REWORDED) },
+      description: REWORDED
+    });
+    duplicate.metadata.viewsCount = 2;
+
+    await deduplicator.mergeDuplicates(canonical, [duplicate], { dryRun: true });
+
+    expect(canonical.sources.map(source => source.website)).toEqual(['PNet South Africa', 'Careers24']);
+    expect(canonical).toMatchObject({ description: REWORDED, referenceNumber: 'AD-17', metadata: { viewsCount: 5 } });
+    expect(canonical.dedupe.clusterSize).toBe(2);
+    expect(duplicate.isActive).toBe(false);
+    expect(duplicate.dedupe.duplicateOf).toEqual(canonical._id);
+  });
+
+  test('a source seen again is refreshed, not added twice', () => {
+    const job = stored({ sources: [{ website: 'PNet South Africa', url: 'https://www.pnet.co.za/jobs/1', lastSeenAt: new Date(0) }] });
+
+    expect(deduplicator.addSources(job, [{ website: 'PNet South Africa', url: 'https://www.pnet.co.za/jobs/1' }])).toBe(false);
+    expect(job.sources).toHaveLength(1);
+    expect(job.sources[0].lastSeenAt.getTime()).toBeGreaterThan(0);
+  });
+
+  test('a known URL leads to the job it was folded into', async () => {
+    const canonical = stored({});
+    const folded = stored({ isActive: false, dedupe: { duplicateOf: canonical._id } });
+    jest.spyOn(Job, 'findOne').mockReturnValue({ sort: async () => folded });
+    jest.spyOn(Job, 'findById').mockResolvedValue(canonical);
+
+    await expect(deduplicator.findCanonical({ link: 'https://www.pnet.co.za/jobs/1' })).resolves.toBe(canonical);
+    expect(Job.findById).toHaveBeenCalledWith(canonical._id);
+  });
+
+  test('a new URL is matched against the employer\'s active jobs', async () => {
+    const unrelated = stored({ title: 'Occupational Health Nurse', description: NURSE_AD });
+    const match = stored({});
+    jest.spyOn(Job, 'findOne').mockReturnValue({ sort: async () => null });
+    const limit = jest.fn().mockResolvedValue([unrelated, match]);
+    jest.spyOn(Job, 'find').mockReturnValue({ select: () => ({ sort: () => ({ limit }) }) });
+
+    await expect(deduplicator.findCanonical(posting({ link: 'https://www.careers24.com/jobs/9', description: REWORDED }))).resolves.toBe(match);
+    expect(Job.find).toHaveBeenCalledWith({ isActive: true, 'dedupe.companyKey': 'acme digital' });
+  });
+});
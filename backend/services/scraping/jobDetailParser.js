@@ -0,0 +1,209 @@
+import * as cheerio from 'cheerio';
+import { htmlToText } from './siteAdapter.js';
+
+// Turns a job ad's own page into structured Job fields. Site adapters supply
+// the description (and optionally lists) through their detail selectors; when
+// a board has none, the largest content block on the page is used instead.
+const SECTION_HEADINGS = {
+  requirements: /^(minimum |key |job |essential )?(requirements|qualifications?( and experience)?|skills( and experience| required)?|experience required|what you (will )?need|what we('re| are) looking for|the ideal candidate|about you|competencies)\b/i,
+  responsibilities: /^(key |main |job |your )?(responsibilities|duties( and responsibilities)?|key performance areas|kpas?|what you('ll| will) (be )?do(ing)?|the role|role description|job description|purpose of the role)\b/i,
+  benefits: /^(benefits|what we offer|perks|remuneration( and benefits)?|package|why join us)\b/i
+};
+
+const BULLET = /^\s*(?:[-\u2022\u25cf\u25aa*\u2013\u00b7>]|\d{1,2}[.)])\s+/;
+
+const EDUCATION_LEVELS = [
+  ['phd', /\b(phd|doctorate|doctoral)\b/i],
+  ['masters', /\b(master'?s|msc|mba|mcom|ma)\b/i],
+  ['bachelors', /\b(bachelor'?s?|degree|bcom|bsc|ba|beng|btech|llb|honours|nqf ?[78])\b/i],
+  ['diploma', /\b(diploma|national diploma|n6|nqf ?[56]|higher certificate)\b/i],
+  ['high-school', /\b(matric|grade 12|nsc|senior certificate|nqf ?4)\b/i]
+];
+
+const PREFERRED = /\b(advantageous|advantage|preferred|beneficial|bonus|nice to have|an asset)\b/i;
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// The biggest block of text on the page, minus navigation and scripts
+export function extractMainText(html) {
+  const $ = cheerio.load(html);
+  $('script, style, noscript, nav, header, footer, form, iframe, svg').remove();
+
+  const candidates = $('main, article, [itemprop="description"], [class*="description"], [id*="description"], [class*="job-detail"], [class*="jobDetail"]')
+    .toArray()
+    .map(element => htmlToText($(element).html() || '', { lineBreaks: true }));
+
+  const best = candidates.sort((a, b) => b.length - a.length)[0];
+  const text = best && best.trim().length > 200
+    ? best
+    : htmlToText($('body').html() || '', { lineBreaks: true });
+
+  return cleanLines(text).join('\n').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+function cleanLines(text) {
+  return text.split('\n').map(line => line.replace(/[ \t\u00a0]+/g, ' ').trim());
+}
+
+function headingFor(line) {
+  const candidate = line.replace(/[:\-\u2013]+\s*$/, '').trim();
+  if (candidate.length > 60) return null;
+
+  for (const [section, pattern] of Object.entries(SECTION_HEADINGS)) {
+    if (pattern.test(candidate)) return section;
+  }
+  return null;
+}
+
+// Groups bullet points (or short lines) under the requirement, responsibility
+// and benefit headings they follow
+export function parseSections(text) {
+  const sections = { requirements: [], responsibilities: [], benefits: [] };
+  let current = null;
+  let sawBullet = false;
+
+  for (const line of cleanLines(text || '')) {
+    if (!line) continue;
+
+    const isBullet = BULLET.test(line);
+
+    // "Requirements: Matric and a driver's licence" carries its item inline
+    const inline = !isBullet && line.match(/^([^:]{3,60}):\s*(.{3,})$/);
+    const section = headingFor(inline ? inline[1] : line);
+
+    if (section) {
+      current = section;
+      sawBullet = false;
+      if (inline) sections[section].push(inline[2].trim());
+      continue;
+    }
+
+    // Other headings, "Closing date: ..." style fields and prose after a
+    // bullet list all end the current section
+    const otherHeading = !isBullet && /:$/.test(line) && line.length <= 60;
+    const field = inline && inline[1].split(/\s+/).length <= 4;
+    if (otherHeading || field || (sawBullet && !isBullet)) {
+      current = null;
+      continue;
+    }
+
+    if (current && line.length <= 300) {
+      const item = line.replace(BULLET, '').trim();
+      sawBullet = sawBullet || isBullet;
+      if (item.length >= 3 && !sections[current].includes(item)) {
+        sections[current].push(item);
+      }
+    }
+  }
+
+  return sections;
+}
+
+function toDate(year, month, day) {
+  const date = new Date(Date.UTC(year, month, day));
+  return date.getUTCMonth() === month && date.getUTCDate() === day ? date : null;
+}
+
+// SA ads write dates day-first: 30/06/2024, 30 June 2024, 2024-06-30
+export function parseDateText(value) {
+  if (!value) return null;
+  const text = value.trim().toLowerCase().replace(/(\d)(st|nd|rd|th)\b/, '$1');
+
+  let match = text.match(/\b(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})\b/);
+  if (match) return toDate(+match[1], +match[2] - 1, +match[3]);
+
+  match = text.match(/\b(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})\b/);
+  if (match) return toDate(+match[3], +match[2] - 1, +match[1]);
+
+  match = text.match(/\b(\d{1,2})\s+([a-z]{3,9})\.?,?\s+(\d{4})\b/);
+  if (match && MONTHS.includes(match[2].slice(0, 3))) {
+    return toDate(+match[3], MONTHS.indexOf(match[2].slice(0, 3)), +match[1]);
+  }
+
+  match = text.match(/\b([a-z]{3,9})\.?\s+(\d{1,2}),?\s+(\d{4})\b/);
+  if (match && MONTHS.includes(match[1].slice(0, 3))) {
+    return toDate(+match[3], MONTHS.indexOf(match[1].slice(0, 3)), +match[2]);
+  }
+
+  return null;
+}
+
+export function parseClosingDate(text, now = new Date()) {
+  const match = (text || '').match(/(closing date|closes|close on|applications close|deadline|apply by|apply before)[^\n\d]{0,20}([^\n]{6,40})/i);
+  const date = match ? parseDateText(match[2]) : null;
+  if (!date) return null;
+
+  // Ignore dates that are clearly not this ad's closing date
+  const days = (date - now) / 86400000;
+  return days > -60 && days < 366 ? date : null;
+}
+
+export function parseReferenceNumber(text) {
+  const match = (text || '').match(/\b(?:job\s+)?ref(?:erence)?\.?(?:\s*(?:no\.?|number|code|#))?\s*[:#-]?\s*([A-Z0-9][A-Z0-9/_.-]{2,30})/i);
+  if (!match) return null;
+  const reference = match[1].replace(/[.-]+$/, '');
+  return /\d/.test(reference) ? reference : null;
+}
+
+export function parseContact(text) {
+  const source = text || '';
+  const email = source.match(/\b[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}\b/i)?.[0];
+  const phone = source.match(/(?:\+27|\b0)(?:\s?\(0\))?[\s-]?\d{2}[\s-]?\d{3}[\s-]?\d{4}\b/)?.[0];
+  const person = source.match(/\b[Cc]ontact(?: [Pp]erson)?\s*:\s*((?:Mr|Mrs|Ms|Dr)\.?\s+)?([A-Z][a-z'-]+(?:\s+[A-Z][a-z'-]+){1,2})/)?.[2];
+
+  return {
+    email: email && !/\.(png|jpe?g|gif|svg)$/i.test(email) ? email.toLowerCase() : null,
+    phone: phone ? phone.replace(/\s+/g, ' ').trim() : null,
+    person: person || null
+  };
+}
+
+// Highest level the requirements insist on, plus any marked as an advantage
+export function parseEducation(requirements = []) {
+  const required = new Set();
+  const preferred = new Set();
+
+  for (const line of requirements) {
+    for (const [level, pattern] of EDUCATION_LEVELS) {
+      if (pattern.test(line)) {
+        (PREFERRED.test(line) ? preferred : required).add(level);
+      }
+    }
+  }
+
+  const highest = EDUCATION_LEVELS.map(([level]) => level).find(level => required.has(level));
+  return {
+    required: highest || null,
+    preferred: [...preferred]
+  };
+}
+
+export function parseJobDetail(html, { fields = {}, now } = {}) {
+  const description = fields.description || extractMainText(html);
+  const sections = parseSections(description);
+  const pageText = [description, fields.contact, fields.closingDate].filter(Boolean).join('\n');
+
+  const list = (value, fallback) => {
+    if (Array.isArray(value) && value.length > 0) return value;
+    return fallback;
+  };
+
+  const requirements = list(fields.requirements, sections.requirements);
+  const contact = parseContact(pageText);
+
+  return {
+    description,
+    requirements,
+    responsibilities: list(fields.responsibilities, sections.responsibilities),
+    benefits: list(fields.benefits, sections.benefits),
+    closingDate: parseDateText(fields.closingDate) || parseClosingDate(pageText, now),
+    referenceNumber: fields.referenceNumber || parseReferenceNumber(pageText),
+    contact: {
+      email: fields.email || contact.email,
+      phone: fields.phone || contact.phone,
+      person: fields.contactPerson || contact.person
+    },
+    education: parseEducation(requirements),
+    salary: fields.salary || null
+  };
+}
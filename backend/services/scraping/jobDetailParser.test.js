@@ -0,0 +1,110 @@
+import {
+  extractMainText,
+  parseSections,
+  parseDateText,
+  parseClosingDate,
+  parseReferenceNumber,
+  parseContact,
+  parseEducation,
+  parseJobDetail
+} from './jobDetailParser.js';
+
+const AD = [
+  'Netcare is looking for a theatre nurse for its Durban hospital.',
+  '',
+  'Minimum Requirements:',
+  '- Diploma in Nursing (NQF 6)',
+  '- Registered with SANC',
+  '- Degree in Nursing will be advantageous',
+  'Duties and Responsibilities',
+  '• Prepare the theatre for procedures',
+  '• Count instruments and swabs',
+  'Closing date: 30 June 2024',
+  'What we offer',
+  '1. Medical aid',
+  '2. Pension fund',
+  'Ref: NET/DBN-0413',
+  'Contact person: Ms Zanele Dlamini, careers@netcare.co.za, 031 555 0199'
+].join('\n');
+
+describe('parseSections', () => {
+  test('collects bullets under requirement, responsibility and benefit headings', () => {
+    expect(parseSections(AD)).toEqual({
+      requirements: ['Diploma in Nursing (NQF 6)', 'Registered with SANC', 'Degree in Nursing will be advantageous'],
+      responsibilities: ['Prepare the theatre for procedures', 'Count instruments and swabs'],
+      benefits: ['Medical aid', 'Pension fund']
+    });
+  });
+
+  test('an inline heading carries its item and prose after a list ends the section', () => {
+    expect(parseSections('Requirements: Matric and a driver\'s licence\n- Own car\nWe are an equal opportunity employer.\n- Not a requirement').requirements).toEqual([
+      'Matric and a driver\'s licence',
+      'Own car'
+    ]);
+  });
+});
+
+describe('dates', () => {
+  test.each([
+    ['30/06/2024', '2024-06-30'],
+    ['2024-06-30', '2024-06-30'],
+    ['30th June 2024', '2024-06-30'],
+    ['June 30, 2024', '2024-06-30'],
+    ['31/02/2024', null],
+    ['soon', null]
+  ])('%s', (text, iso) => {
+    expect(parseDateText(text)?.toISOString().slice(0, 10) ?? null).toBe(iso);
+  });
+
+  test('a closing date must be near the time the ad was read', () => {
+    const now = new Date('2024-06-01');
+
+    expect(parseClosingDate(AD, now).toISOString().slice(0, 10)).toBe('2024-06-30');
+    expect(parseClosingDate('Closing date: 30 June 2019', now)).toBeNull();
+    expect(parseClosingDate('Apply now', now)).toBeNull();
+  });
+});
+
+describe('references, contacts and education', () => {
+  test('reference numbers need a digit', () => {
+    expect(parseReferenceNumber(AD)).toBe('NET/DBN-0413');
+    expect(parseReferenceNumber('Job Ref #: ABC123.')).toBe('ABC123');
+    expect(parseReferenceNumber('Refer a friend')).toBeNull();
+  });
+
+  test('contact details are read from the ad text', () => {
+    expect(parseContact(AD)).toEqual({ email: 'careers@netcare.co.za', phone: '031 555 0199', person: 'Zanele Dlamini' });
+    expect(parseContact('logo@2x.png +27 82 555 0101').email).toBeNull();
+  });
+
+  test('the highest required level wins and advantages are listed separately', () => {
+    expect(parseEducation(parseSections(AD).requirements)).toEqual({ required: 'diploma', preferred: ['bachelors'] });
+    expect(parseEducation(['Matric', 'BCom Accounting'])).toEqual({ required: 'bachelors', preferred: [] });
+  });
+});
+
+describe('parseJobDetail', () => {
+  test('fields from the site adapter win over what is read from the text', () => {
+    const detail = parseJobDetail('', {
+      fields: { description: AD, referenceNumber: 'ADAPTER-1', salary: 'R30 000 per month' },
+      now: new Date('2024-06-01')
+    });
+
+    expect(detail).toMatchObject({
+      referenceNumber: 'ADAPTER-1',
+      salary: 'R30 000 per month',
+      education: { required: 'diploma' },
+      contact: { email: 'careers@netcare.co.za' }
+    });
+    expect(detail.closingDate.toISOString().slice(0, 10)).toBe('2024-06-30');
+  });
+
+  test('without detail selectors the largest content block is used', () => {
+    const body = 'Requirements\n'.padEnd(250, 'x');
+    const html = `<nav>Home Jobs Login</nav><article><p>${body}</p><ul><li>Grade 12</li></ul></article><footer>Copyright</footer>`;
+
+    const text = extractMainText(html);
+    expect(text).toContain('- Grade 12');
+    expect(text).not.toMatch(/Home Jobs|Copyright/);
+  });
+});
@@ -0,0 +1,212 @@
+import axios from 'axios';
+
+// robots.txt parsing and matching as described in RFC 9309: the most specific
+// user-agent group applies (falling back to "*"), the longest matching rule
+// wins and an allow beats a disallow of the same length.
+export class RobotsRules {
+  constructor(groups = [], { fetchedAt = new Date(), status = 200, source = 'robots.txt' } = {}) {
+    this.groups = groups;
+    this.fetchedAt = fetchedAt;
+    this.status = status;
+    this.source = source;
+  }
+
+  static allowAll(options) {
+    return new RobotsRules([], { ...options, source: 'allow-all' });
+  }
+
+  // Used while robots.txt is unreachable: crawl nothing until it can be read
+  static disallowAll(options) {
+    return new RobotsRules([{ agents: ['*'], rules: [{ allow: false, path: '/' }], crawlDelay: null }], {
+      ...options,
+      source: 'disallow-all'
+    });
+  }
+
+  static parse(text, options) {
+    const groups = [];
+    let group = null;
+    let lastWasAgent = false;
+
+    for (const rawLine of String(text || '').split(/\r?\n/)) {
+      const line = rawLine.replace(/#.*$/, '').trim();
+      const separator = line.indexOf(':');
+      if (separator === -1) continue;
+
+      const key = line.slice(0, separator).trim().toLowerCase();
+      const value = line.slice(separator + 1).trim();
+
+      if (key === 'user-agent') {
+        // Consecutive user-agent lines share one group
+        if (!group || !lastWasAgent) {
+          group = { agents: [], rules: [], crawlDelay: null };
+          groups.push(group);
+        }
+        group.agents.push(value.toLowerCase());
+        lastWasAgent = true;
+        continue;
+      }
+
+      lastWasAgent = false;
+      if (!group) continue;
+
+      if (key === 'allow' || key === 'disallow') {
+        // "Disallow:" with no path allows everything
+        if (value) group.rules.push({ allow: key === 'allow', path: value });
+      } else if (key === 'crawl-delay') {
+        const delay = parseFloat(value);
+        if (!isNaN(delay) && delay >= 0) group.crawlDelay = delay;
+      }
+    }
+
+    return new RobotsRules(groups, options);
+  }
+
+  // Rules of every group naming the most specific matching agent, or of "*"
+  groupFor(userAgent) {
+    const agent = userAgent.toLowerCase();
+    let best = null;
+
+    for (const group of this.groups) {
+      for (const name of group.agents) {
+        if (name !== '*' && agent.includes(name) && (!best || name.length > best.name.length)) {
+          best = { name };
+        }
+      }
+    }
+
+    const name = best ? best.name : '*';
+    const matching = this.groups.filter(group => group.agents.includes(name));
+    if (matching.length === 0) return null;
+
+    return {
+      rules: matching.flatMap(group => group.rules),
+      crawlDelay: matching.map(group => group.crawlDelay).find(delay => delay !== null) ?? null
+    };
+  }
+
+  static patternToRegExp(pattern) {
+    const anchored = pattern.endsWith('$');
+    const body = (anchored ? pattern.slice(0, -1) : pattern)
+      .split('*')
+      .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+      .join('.*');
+    return new RegExp(`^${body}${anchored ? '$' : ''}`);
+  }
+
+  isAllowed(url, userAgent) {
+    const group = this.groupFor(userAgent);
+    if (!group) return true;
+
+    const parsed = new URL(url);
+    const path = `${parsed.pathname}${parsed.search}`;
+    let match = null;
+
+    for (const rule of group.rules) {
+      if (!RobotsRules.patternToRegExp(rule.path).test(path)) continue;
+
+      const length = rule.path.length;
+      if (!match || length > match.length || (length === match.length && rule.allow)) {
+        match = { allow: rule.allow, length, path: rule.path };
+      }
+    }
+
+    return match ? match.allow : true;
+  }
+
+  crawlDelay(userAgent) {
+    return this.groupFor(userAgent)?.crawlDelay ?? null;
+  }
+}
+
+// Fetches robots.txt once per origin and keeps it for a day; failures are
+// cached for a shorter time so a flaky board is re-checked sooner
+export class RobotsCache {
+  constructor(options = {}) {
+    this.userAgent = options.userAgent || process.env.SCRAPER_ROBOTS_AGENT || 'CareerBoostBot';
+    this.ttl = options.ttl || parseInt(process.env.ROBOTS_CACHE_TTL_MS) || 24 * 60 * 60 * 1000;
+    this.errorTtl = options.errorTtl || 30 * 60 * 1000;
+    this.http = options.http || axios;
+    this.entries = new Map();
+    this.pending = new Map();
+  }
+
+  async get(origin) {
+    const cached = this.entries.get(origin);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.rules;
+    }
+
+    // Concurrent requests for one origin share a single fetch
+    if (!this.pending.has(origin)) {
+      this.pending.set(origin, this.fetchRules(origin).finally(() => this.pending.delete(origin)));
+    }
+    return this.pending.get(origin);
+  }
+
+  async fetchRules(origin) {
+    let rules;
+    let ttl = this.ttl;
+
+    try {
+      const response = await this.http.get(`${origin}/robots.txt`, {
+        timeout: 10000,
+        responseType: 'text',
+        maxRedirects: 5,
+        headers: { 'User-Agent': this.userAgent },
+        validateStatus: () => true
+      });
+
+      if (response.status >= 200 && response.status < 300) {
+        rules = RobotsRules.parse(response.data, { status: response.status });
+      } else if (response.status >= 400 && response.status < 500) {
+        // No robots.txt (or not ours to read) means no restrictions
+        rules = RobotsRules.allowAll({ status: response.status });
+      } else {
+        rules = RobotsRules.disallowAll({ status: response.status });
+        ttl = this.errorTtl;
+      }
+    } catch (error) {
+      console.warn(`robots.txt for ${origin} unavailable:`, error.message);
+      rules = RobotsRules.disallowAll({ status: null });
+      ttl = this.errorTtl;
+    }
+
+    this.entries.set(origin, { rules, expiresAt: Date.now() + ttl });
+    return rules;
+  }
+
+  async check(url) {
+    const origin = new URL(url).origin;
+    const rules = await this.get(origin);
+
+    return {
+      allowed: rules.isAllowed(url, this.userAgent),
+      crawlDelay: rules.crawlDelay(this.userAgent),
+      source: rules.source
+    };
+  }
+
+  clear(origin) {
+    if (origin) {
+      this.entries.delete(origin);
+    } else {
+      this.entries.clear();
+    }
+  }
+
+  getStatistics() {
+    return Object.fromEntries([...this.entries.entries()].map(([origin, { rules, expiresAt }]) => [
+      origin,
+      {
+        source: rules.source,
+        status: rules.status,
+        fetchedAt: rules.fetchedAt,
+        expiresAt: new Date(expiresAt),
+        crawlDelay: rules.crawlDelay(this.userAgent)
+      }
+    ]));
+  }
+}
+
+export default RobotsCache;
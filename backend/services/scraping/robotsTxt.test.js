@@ -0,0 +1,109 @@
+import { jest } from '@jest/globals';
+import { RobotsRules, RobotsCache } from './robotsTxt.js';
+
+const AGENT = 'Mozilla/5.0 (compatible; CareerBoostBot/1.0)';
+
+describe('RobotsRules', () => {
+  const rules = RobotsRules.parse([
+    'User-agent: *',
+    'Disallow: /private',
+    'Crawl-delay: 2',
+    '',
+    'User-agent: CareerBoostBot',
+    'User-agent: OtherBot',
+    'Disallow: /jobs/',
+    'Allow: /jobs/public',
+    'Disallow: /*.pdf$',
+    'Crawl-delay: 10'
+  ].join('\n'));
+
+  test('uses the group naming the agent instead of "*"', () => {
+    expect(rules.isAllowed('https://example.co.za/private/page', AGENT)).toBe(true);
+    expect(rules.isAllowed('https://example.co.za/private/page', 'SomeBrowser/1.0')).toBe(false);
+    expect(rules.crawlDelay(AGENT)).toBe(10);
+    expect(rules.crawlDelay('SomeBrowser/1.0')).toBe(2);
+  });
+
+  test('consecutive user-agent lines share one group', () => {
+    expect(rules.isAllowed('https://example.co.za/jobs/1', 'OtherBot')).toBe(false);
+  });
+
+  test('the longest matching rule wins', () => {
+    expect(rules.isAllowed('https://example.co.za/jobs/123', AGENT)).toBe(false);
+    expect(rules.isAllowed('https://example.co.za/jobs/public/123', AGENT)).toBe(true);
+  });
+
+  test('an allow beats a disallow of the same length', () => {
+    const tied = RobotsRules.parse('User-agent: *\nDisallow: /page\nAllow: /page\n');
+    expect(tied.isAllowed('https://example.co.za/page', AGENT)).toBe(true);
+  });
+
+  test('wildcards and end anchors', () => {
+    expect(rules.isAllowed('https://example.co.za/files/cv.pdf', AGENT)).toBe(false);
+    expect(rules.isAllowed('https://example.co.za/files/cv.pdf?download=1', AGENT)).toBe(true);
+  });
+
+  test('query strings are part of the matched path', () => {
+    const search = RobotsRules.parse('User-agent: *\nDisallow: /search?q=\n');
+    expect(search.isAllowed('https://example.co.za/search?q=developer', AGENT)).toBe(false);
+    expect(search.isAllowed('https://example.co.za/search', AGENT)).toBe(true);
+  });
+
+  test('an empty disallow and comments allow everything', () => {
+    const open = RobotsRules.parse('# crawl away\nUser-agent: *\nDisallow:\n');
+    expect(open.isAllowed('https://example.co.za/anything', AGENT)).toBe(true);
+  });
+
+  test('no group for the agent and no "*" group means no restrictions', () => {
+    const other = RobotsRules.parse('User-agent: Googlebot\nDisallow: /\n');
+    expect(other.isAllowed('https://example.co.za/', AGENT)).toBe(true);
+  });
+});
+
+describe('RobotsCache', () => {
+  const respond = (status, data = '') => ({ get: jest.fn().mockResolvedValue({ status, data }) });
+
+  test('checks URLs against the fetched rules for its agent', async () => {
+    const http = respond(200, 'User-agent: CareerBoostBot\nDisallow: /jobs\nCrawl-delay: 5\n');
+    const cache = new RobotsCache({ userAgent: 'CareerBoostBot', http });
+
+    await expect(cache.check('https://example.co.za/jobs/1')).resolves.toEqual({
+      allowed: false,
+      crawlDelay: 5,
+      source: 'robots.txt'
+    });
+    expect(http.get).toHaveBeenCalledWith('https://example.co.za/robots.txt', expect.objectContaining({
+      headers: { 'User-Agent': 'CareerBoostBot' }
+    }));
+  });
+
+  test('fetches once per origin, however many requests wait on it', async () => {
+    const http = respond(200, 'User-agent: *\nDisallow:\n');
+    const cache = new RobotsCache({ http });
+
+    await Promise.all([
+      cache.check('https://example.co.za/a'),
+      cache.check('https://example.co.za/b'),
+      cache.check('https://example.co.za/c')
+    ]);
+    await cache.check('https://example.co.za/d');
+
+    expect(http.get).toHaveBeenCalledTimes(1);
+  });
+
+  test('a missing robots.txt allows everything', async () => {
+    const cache = new RobotsCache({ http: respond(404) });
+    await expect(cache.check('https://example.co.za/jobs')).resolves.toMatchObject({ allowed: true, source: 'allow-all' });
+  });
+
+  test('server errors and unreachable hosts disallow everything for a shorter time', async () => {
+    const failing = new RobotsCache({ http: respond(503), errorTtl: 1000, ttl: 60000 });
+    await expect(failing.check('https://example.co.za/jobs')).resolves.toMatchObject({ allowed: false, source: 'disallow-all' });
+    expect(failing.entries.get('https://example.co.za').expiresAt).toBeLessThanOrEqual(Date.now() + 1000);
+
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const unreachable = new RobotsCache({ http: { get: jest.fn().mockRejectedValue(new Error('ECONNREFUSED')) } });
+    await expect(unreachable.check('https://example.co.za/jobs')).resolves.toMatchObject({ allowed: false });
+    warn.mockRestore();
+  });
+});
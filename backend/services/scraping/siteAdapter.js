@@ -0,0 +1,321 @@
+import * as cheerio from 'cheerio';
+import { applyNormalizers, defaultNormalizers } from './fieldNormalizers.js';
+
+// Block elements become line breaks (or spaces) so list items and paragraphs
+// do not run together
+export function htmlToText(html, { lineBreaks = false } = {}) {
+  const spaced = html
+    .replace(/\s+/g, ' ')
+    .replace(/<br\s*\/?>/gi, lineBreaks ? '\n' : ' ')
+    .replace(/<li[^>]*>/gi, lineBreaks ? '\n- ' : ' ')
+    .replace(/<\/(p|div|ul|ol|h[1-6]|tr|section)>/gi, lineBreaks ? '\n\n' : ' ');
+  return cheerio.load(`<div>${spaced}</div>`)('div').first().text();
+}
+
+// Wraps one job board definition (a module or JSON file in the adapters
+// directory). A definition looks like:
+//
+//   {
+//     id: 'pnet', name: 'PNet South Africa', baseUrl: 'https://www.pnet.co.za',
+//     fetch: 'browser' | 'http',
+//     search: { path: '/jobs', params: { keywords: '{keywords}', location: '{location}' } },
+//     pagination: { param: 'page', start: 1, step: 1, maxPages: 2 } | { nextSelector: 'a.next', maxPages: 2 },
+//     selectors: [
+//       { version: '2', listing: { card: '.job', fields: { title: 'h2 a', link: 'h2 a@href' } }, detail: { fields: {...} } },
+//       { version: '1', ... }
+//     ],
+//     normalizers: { salary: ['text', myFunction] },
+//     politeness: { dailyBudget: 300, minInterval: 8000 },
+//     apply: { open: 'a.apply', form: 'form#apply', fields: { email: '#email', cv: 'input[type=file]' },
+//              submit: 'button[type=submit]', success: '.thank-you', reference: '.ref' }
+//   }
+//
+// Selector sets are listed newest first. When a board changes its markup the
+// new set is added on top, and pages still served with the old markup keep
+// parsing with the older set.
+const REQUIRED_KEYS = ['id', 'name', 'baseUrl', 'selectors'];
+const FETCH_MODES = ['browser', 'http'];
+// Applicant details an application form can ask for
+export const APPLY_FIELDS = ['fullName', 'firstName', 'lastName', 'email', 'phone', 'location', 'coverLetter', 'cv'];
+
+export class SiteAdapter {
+  constructor(definition, { source } = {}) {
+    this.definition = definition;
+    this.source = source || null;
+    this.validateDefinition();
+
+    this.selectorSets = definition.selectors.map(set => ({
+      ...set,
+      version: String(set.version)
+    }));
+  }
+
+  get id() {
+    return this.definition.id;
+  }
+
+  get name() {
+    return this.definition.name;
+  }
+
+  get baseUrl() {
+    return this.definition.baseUrl;
+  }
+
+  get enabled() {
+    return this.definition.enabled !== false;
+  }
+
+  get fetchMode() {
+    return this.definition.fetch || 'browser';
+  }
+
+  get maxPages() {
+    return this.definition.pagination?.maxPages || 1;
+  }
+
+  // Crawl limits for this board: dailyBudget, minInterval (ms) and respectRobots.
+  // Unset values fall back to the crawl scheduler's defaults.
+  get politeness() {
+    return { respectRobots: true, ...this.definition.politeness };
+  }
+
+  get requiredFields() {
+    return this.definition.required || ['title', 'company'];
+  }
+
+  // How to fill in the board's own application form, or null when the
+  // application engine can only apply by email
+  get apply() {
+    return this.definition.apply || null;
+  }
+
+  get currentVersion() {
+    return this.selectorSets[0].version;
+  }
+
+  validateDefinition() {
+    const definition = this.definition;
+    const problems = REQUIRED_KEYS
+      .filter(key => !definition?.[key])
+      .map(key => `missing "${key}"`);
+
+    if (definition?.id && !/^[a-z0-9][a-z0-9-]*$/.test(definition.id)) {
+      problems.push('id must be lowercase letters, digits and dashes');
+    }
+    if (definition?.fetch && !FETCH_MODES.includes(definition.fetch)) {
+      problems.push(`fetch must be one of ${FETCH_MODES.join(', ')}`);
+    }
+    if (!definition?.search && typeof definition?.buildSearchUrl !== 'function') {
+      problems.push('needs either "search" or a buildSearchUrl function');
+    }
+    if (definition?.selectors && (!Array.isArray(definition.selectors) || definition.selectors.length === 0)) {
+      problems.push('"selectors" must be a non-empty array of versioned selector sets');
+    }
+
+    for (const key of ['dailyBudget', 'minInterval']) {
+      const value = definition?.politeness?.[key];
+      if (value !== undefined && !(Number.isFinite(value) && value > 0)) {
+        problems.push(`politeness.${key} must be a positive number`);
+      }
+    }
+
+    const apply = definition?.apply;
+    if (apply) {
+      for (const key of ['form', 'submit', 'success']) {
+        if (!apply[key]) problems.push(`apply.${key} is required`);
+      }
+      if (!apply.fields?.email) problems.push('apply.fields needs at least an email selector');
+      const unknown = Object.keys(apply.fields || {}).filter(field => !APPLY_FIELDS.includes(field));
+      if (unknown.length > 0) problems.push(`unknown apply.fields: ${unknown.join(', ')}`);
+    }
+
+    (Array.isArray(definition?.selectors) ? definition.selectors : []).forEach((set, position) => {
+      if (set.version === undefined) problems.push(`selectors[${position}] has no version`);
+      if (!set.listing?.card) problems.push(`selectors[${position}] has no listing.card selector`);
+      if (!set.listing?.fields) problems.push(`selectors[${position}] has no listing.fields`);
+    });
+
+    if (problems.length > 0) {
+      const error = new Error(`Invalid site adapter ${definition?.id || this.source || ''}: ${problems.join('; ')}`);
+      error.problems = problems;
+      throw error;
+    }
+  }
+
+  buildSearchUrl({ keywords = '', location = '', page = 1 } = {}) {
+    if (typeof this.definition.buildSearchUrl === 'function') {
+      return this.definition.buildSearchUrl({ keywords, location, page, baseUrl: this.baseUrl });
+    }
+
+    const { path = '/', params = {} } = this.definition.search;
+    const url = new URL(path, this.baseUrl);
+    const values = { keywords, location, page };
+
+    for (const [key, template] of Object.entries(params)) {
+      const value = String(template).replace(/\{(\w+)\}/g, (match, name) => values[name] ?? '');
+      if (value !== '') url.searchParams.set(key, value);
+    }
+
+    // Query-parameter pagination, e.g. Indeed's start=10, 20, ...
+    const pagination = this.definition.pagination;
+    if (pagination?.param && page > 1) {
+      const start = pagination.start ?? 0;
+      const step = pagination.step ?? 1;
+      url.searchParams.set(pagination.param, String(start + (page - 1) * step));
+    }
+
+    return url.href;
+  }
+
+  // URL of the next results page, or null when there is none or the page limit is reached
+  nextPageUrl(html, { url, page = 1, query = {} } = {}) {
+    if (page >= this.maxPages) return null;
+    const pagination = this.definition.pagination;
+    if (!pagination) return null;
+
+    if (pagination.nextSelector) {
+      const $ = cheerio.load(html);
+      const href = $(pagination.nextSelector).first().attr('href');
+      return href ? new URL(href, url).href : null;
+    }
+
+    return this.buildSearchUrl({ ...query, page: page + 1 });
+  }
+
+  // Selector sets to try, newest first unless a version is pinned
+  orderedSelectorSets(version) {
+    if (!version) return this.selectorSets;
+    const pinned = this.selectorSets.find(set => set.version === String(version));
+    if (!pinned) {
+      throw new Error(`Adapter ${this.id} has no selector version ${version}`);
+    }
+    return [pinned];
+  }
+
+  parseListing(html, { url = this.baseUrl, version } = {}) {
+    const $ = cheerio.load(html);
+
+    for (const set of this.orderedSelectorSets(version)) {
+      const cards = $(set.listing.card);
+      if (cards.length === 0) continue;
+
+      const jobs = [];
+      let skipped = 0;
+      const scrapedAt = new Date().toISOString();
+
+      cards.each((position, element) => {
+        const fields = this.extractFields($, $(element), set.listing.fields, url);
+        const record = { ...fields };
+        for (const [field, value] of Object.entries(this.definition.defaults || {})) {
+          if (!record[field]) record[field] = value;
+        }
+
+        if (this.requiredFields.some(field => !record[field])) {
+          skipped++;
+          return;
+        }
+
+        jobs.push({
+          ...record,
+          source: this.name,
+          adapter: this.id,
+          selectorVersion: set.version,
+          scrapedAt
+        });
+      });
+
+      return { jobs, cards: cards.length, skipped, selectorVersion: set.version };
+    }
+
+    return { jobs: [], cards: 0, skipped: 0, selectorVersion: null };
+  }
+
+  parseDetail(html, { url, version } = {}) {
+    const $ = cheerio.load(html);
+    const sets = this.orderedSelectorSets(version).filter(set => set.detail?.fields);
+
+    for (const set of sets) {
+      const root = set.detail.root ? $(set.detail.root).first() : $.root();
+      if (root.length === 0) continue;
+
+      const fields = this.extractFields($, root, set.detail.fields, url);
+      const found = Object.values(fields).some(value => value !== null && value !== undefined && value.length !== 0);
+      if (found) {
+        return { fields, selectorVersion: set.version };
+      }
+    }
+
+    return { fields: {}, selectorVersion: null };
+  }
+
+  extractFields($, root, fieldSpecs, url) {
+    const fields = {};
+
+    for (const [field, rawSpec] of Object.entries(fieldSpecs)) {
+      const spec = this.parseFieldSpec(rawSpec, field);
+      const value = this.extractValue($, root, spec);
+      const normalizers = spec.normalize
+        || this.definition.normalizers?.[field]
+        || defaultNormalizers[field]
+        || ['text'];
+
+      fields[field] = applyNormalizers(value, normalizers, { adapter: this.id, url, field }) ?? null;
+    }
+
+    return fields;
+  }
+
+  // 'a.title' -> text, 'a.title@href' -> attribute, objects pass through
+  parseFieldSpec(spec, field) {
+    if (typeof spec === 'string') {
+      const at = spec.lastIndexOf('@');
+      return at > 0 && !spec.slice(at).includes(']')
+        ? { selector: spec.slice(0, at).trim(), attr: spec.slice(at + 1).trim() }
+        : { selector: spec };
+    }
+    if (spec && typeof spec === 'object') {
+      return spec;
+    }
+    throw new Error(`Adapter ${this.id} has an invalid selector for "${field}"`);
+  }
+
+  extractValue($, root, { selector, attr, multiple = false, format = 'text' }) {
+    // Several comma-separated fallbacks may match, so only the first hit counts
+    let elements = selector ? root.find(selector) : root;
+    if (!multiple) elements = elements.first();
+    if (elements.length === 0) return null;
+
+    const read = (element) => {
+      const node = $(element);
+      if (attr) return node.attr(attr) ?? null;
+      if (format === 'html') return node.html();
+      return this.blockText($, node, { lineBreaks: format === 'multiline' });
+    };
+
+    return multiple ? elements.toArray().map(read) : read(elements[0]);
+  }
+
+  blockText($, node, options) {
+    return htmlToText(node.html() || '', options);
+  }
+
+  describe() {
+    return {
+      id: this.id,
+      name: this.name,
+      baseUrl: this.baseUrl,
+      enabled: this.enabled,
+      fetch: this.fetchMode,
+      maxPages: this.maxPages,
+      politeness: this.politeness,
+      selectorVersions: this.selectorSets.map(set => set.version),
+      currentVersion: this.currentVersion,
+      hasDetailSelectors: this.selectorSets.some(set => set.detail?.fields),
+      canApply: Boolean(this.apply),
+      source: this.source
+    };
+  }
+}
+
+export default SiteAdapter;
@@ -0,0 +1,127 @@
+import { SiteAdapter } from './siteAdapter.js';
+
+const definition = (overrides = {}) => ({
+  id: 'jobmail',
+  name: 'JobMail',
+  baseUrl: 'https://www.jobmail.co.za',
+  search: { path: '/jobs', params: { q: '{keywords}', where: '{location}' } },
+  pagination: { param: 'offset', start: 0, step: 20, maxPages: 3 },
+  defaults: { location: 'South Africa' },
+  selectors: [
+    {
+      version: 2,
+      listing: { card: 'article.job', fields: { title: 'h2', company: '.employer', location: '.place', link: 'h2 a@href' } },
+      detail: { root: 'main', fields: { description: { selector: '.ad', format: 'multiline' } } }
+    },
+    {
+      version: 1,
+      listing: { card: 'div.vacancy', fields: { title: '.title', company: '.company', link: 'a.title@href' } },
+      detail: { fields: { description: { selector: '#ad', format: 'multiline' } } }
+    }
+  ],
+  ...overrides
+});
+
+const CURRENT = `
+  <article class="job"><h2><a href="/jobs/1?utm_source=x">Registered   Nurse</a></h2>
+    <span class="employer">Company: Netcare</span><span class="place">Location: Durban ,KZN</span></article>
+  <article class="job"><h2><a href="/jobs/2">Pharmacist</a></h2></article>
+  <article class="job"><h2><a href="/jobs/3">Theatre Nurse</a></h2><span class="employer">Mediclinic</span></article>`;
+
+const LEGACY = `
+  <div class="vacancy"><a class="title" href="https://www.jobmail.co.za/old/9">Bookkeeper</a><span class="company">Acme</span></div>`;
+
+describe('SiteAdapter definitions', () => {
+  test.each([
+    ['an id with spaces', { id: 'Job Mail' }, 'id must be lowercase letters, digits and dashes'],
+    ['an unknown fetch mode', { fetch: 'curl' }, 'fetch must be one of browser, http'],
+    ['no way to search', { search: undefined }, 'needs either "search" or a buildSearchUrl function'],
+    ['no selector sets', { selectors: [] }, '"selectors" must be a non-empty array of versioned selector sets'],
+    ['an unversioned selector set', { selectors: [{ listing: { card: '.job' } }] }, 'selectors[0] has no version'],
+    ['a zero crawl interval', { politeness: { minInterval: 0 } }, 'politeness.minInterval must be a positive number'],
+    ['an unknown application field', { apply: { form: 'form', submit: 'button', success: '.done', fields: { email: '#email', age: '#age' } } }, 'unknown apply.fields: age']
+  ])('%s is refused', (_, overrides, problem) => {
+    expect(() => new SiteAdapter(definition(overrides))).toThrow(expect.objectContaining({
+      problems: expect.arrayContaining([problem])
+    }));
+  });
+
+  test('describe summarises the board', () => {
+    expect(new SiteAdapter(definition(), { source: 'jobmail.json' }).describe()).toMatchObject({
+      id: 'jobmail',
+      fetch: 'browser',
+      maxPages: 3,
+      politeness: { respectRobots: true },
+      selectorVersions: ['2', '1'],
+      currentVersion: '2',
+      hasDetailSelectors: true,
+      canApply: false,
+      source: 'jobmail.json'
+    });
+  });
+});
+
+describe('SiteAdapter search URLs', () => {
+  const adapter = new SiteAdapter(definition());
+
+  test('fills in the query and leaves empty parameters out', () => {
+    expect(adapter.buildSearchUrl({ keywords: 'nurse' })).toBe('https://www.jobmail.co.za/jobs?q=nurse');
+    expect(adapter.buildSearchUrl({ keywords: 'nurse', location: 'Durban', page: 3 })).toBe('https://www.jobmail.co.za/jobs?q=nurse&where=Durban&offset=40');
+  });
+
+  test('follows a next link or the page parameter until maxPages', () => {
+    const linked = new SiteAdapter(definition({ pagination: { nextSelector: 'a.next', maxPages: 2 } }));
+    const url = 'https://www.jobmail.co.za/jobs?q=nurse';
+
+    expect(linked.nextPageUrl('<a class="next" href="?q=nurse&p=2">Next</a>', { url })).toBe('https://www.jobmail.co.za/jobs?q=nurse&p=2');
+    expect(linked.nextPageUrl('<a class="next" href="?p=3">Next</a>', { url, page: 2 })).toBeNull();
+    expect(linked.nextPageUrl('<p>Last page</p>', { url })).toBeNull();
+    expect(adapter.nextPageUrl('', { page: 1, query: { keywords: 'nurse' } })).toBe('https://www.jobmail.co.za/jobs?q=nurse&offset=20');
+  });
+
+  test('a buildSearchUrl function takes over from search', () => {
+    const custom = new SiteAdapter(definition({ search: undefined, buildSearchUrl: ({ baseUrl, keywords }) => `${baseUrl}/s/${keywords}` }));
+    expect(custom.buildSearchUrl({ keywords: 'nurse' })).toBe('https://www.jobmail.co.za/s/nurse');
+  });
+});
+
+describe('SiteAdapter parsing', () => {
+  const adapter = new SiteAdapter(definition());
+  const url = 'https://www.jobmail.co.za/jobs?q=nurse';
+
+  test('reads cards with the newest selectors and normalises the fields', () => {
+    const result = adapter.parseListing(CURRENT, { url });
+
+    expect(result).toMatchObject({ cards: 3, skipped: 1, selectorVersion: '2' });
+    expect(result.jobs[0]).toMatchObject({
+      title: 'Registered Nurse',
+      company: 'Netcare',
+      location: 'Durban, KZN',
+      link: 'https://www.jobmail.co.za/jobs/1?utm_source=x',
+      source: 'JobMail',
+      adapter: 'jobmail',
+      selectorVersion: '2'
+    });
+    expect(result.jobs[1].location).toBe('South Africa');
+  });
+
+  test('pages still served with the old markup fall back to the older selectors', () => {
+    expect(adapter.parseListing(LEGACY, { url })).toMatchObject({ selectorVersion: '1', jobs: [{ title: 'Bookkeeper', company: 'Acme' }] });
+  });
+
+  test('a pinned version is the only one tried', () => {
+    expect(adapter.parseListing(LEGACY, { url, version: 2 })).toMatchObject({ cards: 0, selectorVersion: null });
+    expect(() => adapter.parseListing(LEGACY, { version: 7 })).toThrow('Adapter jobmail has no selector version 7');
+  });
+
+  test('detail pages keep their line breaks', () => {
+    const html = '<main><div class="ad"><p>Join our ICU team.</p><ul><li>SANC registered</li><li>2 years ICU</li></ul></div></main>';
+
+    expect(adapter.parseDetail(html, { url })).toEqual({
+      fields: { description: 'Join our ICU team.\n\n- SANC registered\n- 2 years ICU' },
+      selectorVersion: '2'
+    });
+    expect(adapter.parseDetail('<div id="ad">Old layout</div>', { url })).toEqual({ fields: { description: 'Old layout' }, selectorVersion: '1' });
+    expect(adapter.parseDetail('<p>Removed</p>', { url })).toEqual({ fields: {}, selectorVersion: null });
+  });
+});
@@ -1,12 +1,14 @@
-import puppeteer from 'puppeteer-extra';
-import StealthPlugin from 'puppeteer-extra-plugin-stealth';
-import cheerio from 'cheerio';
+import puppeteer from 'puppeteer';
 import axios from 'axios';
-import { Job } from '../models/Job.js';
+import Job from '../models/Job.js';
 import { SecurityManager } from '../security/encryption.js';
 import AuditLogger from '../security/auditLogger.js';
-
-puppeteer.use(StealthPlugin());
+import adapterRegistry from './scraping/adapterRegistry.js';
+import crawlScheduler from './scraping/crawlScheduler.js';
+import jobDeduplicator from './scraping/jobDeduplicator.js';
+import { parseSalary } from './salary/salaryParser.js';
+import gazetteer from './geo/gazetteer.js';
+import skillTaxonomy from './skills/skillTaxonomy.js';
 
 export class ScrapingService {
   constructor() {
@@ -19,69 +21,11 @@ export class ScrapingService {
       successRate: 0
     };
     
-    // South Africa focused job sites
-    this.jobSites = {
-      indeed: {
-        name: 'Indeed South Africa',
-        url: 'https://www.indeed.co.za',
-        searchPath: '/jobs',
-        selectors: {
-          jobCard: '.jobsearch-SerpJobCard',
-          title: '.title a',
-          company: '.company',
-          location: '.location',
-          salary: '.salary-snippet',
-          summary: '.summary',
-          date: '.date',
-          link: '.title a'
-        }
-      },
-      careerjet: {
-        name: 'CareerJet South Africa',
-        url: 'https://www.careerjet.co.za',
-        searchPath: '/search/jobs',
-        selectors: {
-          jobCard: '.job',
-          title: '.title a',
-          company: '.company',
-          location: '.location',
-          salary: '.salary',
-          summary: '.description',
-          date: '.date',
-          link: '.title a'
-        }
-      },
-      pnet: {
-        name: 'PNet South Africa',
-        url: 'https://www.pnet.co.za',
-        searchPath: '/jobs.html',
-        selectors: {
-          jobCard: '.job-element',
-          title: '.job-title a',
-          company: '.company',
-          location: '.location',
-          salary: '.salary',
-          summary: '.description',
-          date: '.date',
-          link: '.job-title a'
-        }
-      },
-      careers24: {
-        name: 'Careers24',
-        url: 'https://www.careers24.com',
-        searchPath: '/jobs',
-        selectors: {
-          jobCard: '.job-card',
-          title: '.job-title a',
-          company: '.company-name',
-          location: '.job-location',
-          salary: '.salary',
-          summary: '.job-description',
-          date: '.post-date',
-          link: '.job-title a'
-        }
-      }
-    };
+    // Job boards are site adapters loaded from services/scraping/adapters
+    this.adapters = adapterRegistry;
+    this.scheduler = crawlScheduler;
+    this.deduplicator = jobDeduplicator;
+    this.siteStats = {};
   }
 
   async initialize() {
@@ -134,37 +78,37 @@ export class ScrapingService {
     }
   }
 
-  async scrapeJobs(keywords, location = 'South Africa', limit = 50) {
-    await this.initialize();
+  async scrapeJobs(keywords, location = 'South Africa', limit = 50, { sites } = {}) {
+    await this.adapters.load();
     
     const allJobs = [];
     const errors = [];
+    const adapters = this.adapters.resolveSites(sites);
     
     try {
       console.log(`Starting job scraping for: "${keywords}" in ${location}`);
       
-      const sitesToScrape = ['indeed', 'pnet', 'careerjet'];
-      
-      for (const site of sitesToScrape) {
+      for (const adapter of adapters) {
         try {
-          console.log(`Scraping from ${this.jobSites[site].name}...`);
+          console.log(`Scraping from ${adapter.name}...`);
           
           const siteJobs = await this.scrapeSite(
-            site, 
+            adapter, 
             keywords, 
             location, 
-            Math.ceil(limit / sitesToScrape.length)
+            Math.ceil(limit / adapters.length)
           );
           
           allJobs.push(...siteJobs);
-          console.log(`Found ${siteJobs.length} jobs from ${this.jobSites[site].name}`);
+          console.log(`Found ${siteJobs.length} jobs from ${adapter.name}`);
           
           // Be respectful to websites - add delay between requests
           await this.delay(2000 + Math.random() * 3000);
           
         } catch (siteError) {
-          console.error(`Error scraping ${site}:`, siteError);
-          errors.push({ site, error: siteError.message });
+          console.error(`Error scraping ${adapter.id}:`, siteError);
+          errors.push({ site: adapter.id, error: siteError.message, code: siteError.code });
+          this.recordSiteError(adapter, siteError);
         }
       }
 
@@ -186,7 +130,7 @@ export class ScrapingService {
           totalFound: allJobs.length,
           processed: processedJobs.length,
           errors: errors.length,
-          sites: sitesToScrape,
+          sites: adapters.map(adapter => adapter.id),
           successRate: this.scrapingStats.successRate
         }
       });
@@ -223,115 +167,134 @@ export class ScrapingService {
     }
   }
 
-  async scrapeSite(site, keywords, location, limit) {
-    const siteConfig = this.jobSites[site];
+  async scrapeSite(adapter, keywords, location, limit) {
     const jobs = [];
+    let url = adapter.buildSearchUrl({ keywords, location });
+
+    for (let page = 1; url && jobs.length < limit; page++) {
+      console.log(`Navigating to: ${url}`);
+      const html = await this.fetchPage(adapter, url, { waitFor: this.cardSelector(adapter) });
+      const result = adapter.parseListing(html, { url });
+
+      this.recordSiteRun(adapter, result);
+
+      if (result.cards === 0) {
+        // An empty first page usually means the board changed its markup
+        if (page === 1) {
+          throw new Error(`No job cards matched any selector version on ${adapter.name}`);
+        }
+        break;
+      }
+
+      if (result.selectorVersion !== adapter.currentVersion) {
+        console.warn(`${adapter.name} matched older selector version ${result.selectorVersion}`);
+      }
+
+      jobs.push(...result.jobs);
+
+      // Spacing between pages is left to the crawl scheduler's per-host limits
+      url = adapter.nextPageUrl(html, { url, page, query: { keywords, location } });
+    }
     
-    try {
-      const page = await this.browser.newPage();
-      
-      // Set realistic user agent and headers
-      await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36');
-      await page.setExtraHTTPHeaders({
-        'Accept-Language': 'en-US,en;q=0.9',
-        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8'
+    return jobs.slice(0, limit);
+  }
+
+  // Fields from a job's own page (full description, salary, ...) using the adapter's detail selectors
+  async scrapeDetail(adapterId, url) {
+    await this.adapters.load();
+    const adapter = this.adapters.require(adapterId);
+
+    const html = await this.fetchPage(adapter, url);
+    return adapter.parseDetail(html, { url });
+  }
+
+  // Fetches through the crawl scheduler: robots.txt, the site's daily budget
+  // and per-host rate limits all apply
+  async fetchPage(adapter, url, options = {}) {
+    return this.scheduler.request(
+      url,
+      { site: adapter.id, politeness: adapter.politeness },
+      () => this.fetchRaw(adapter, url, options)
+    );
+  }
+
+  // Identifies as the product token robots.txt was checked for, so the rules
+  // obeyed are the ones that apply to the requests actually made
+  get userAgent() {
+    return `Mozilla/5.0 (compatible; ${this.scheduler.robots.userAgent}/1.0)`;
+  }
+
+  async fetchRaw(adapter, url, { waitFor } = {}) {
+    const { userAgent } = this;
+    const headers = {
+      'Accept-Language': 'en-US,en;q=0.9',
+      'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8'
+    };
+
+    if (adapter.fetchMode === 'http') {
+      const response = await axios.get(url, {
+        headers: { ...headers, 'User-Agent': userAgent },
+        timeout: 30000,
+        responseType: 'text'
       });
+      return response.data;
+    }
 
-      // Build search URL
-      const searchUrl = this.buildSearchUrl(siteConfig, keywords, location);
-      console.log(`Navigating to: ${searchUrl}`);
-      
-      await page.goto(searchUrl, { 
+    await this.initialize();
+    const page = await this.browser.newPage();
+
+    try {
+      await page.setUserAgent(userAgent);
+      await page.setExtraHTTPHeaders(headers);
+
+      const response = await page.goto(url, { 
         waitUntil: 'networkidle2',
         timeout: 30000 
       });
 
-      // Wait for job listings to load
-      await page.waitForSelector(siteConfig.selectors.jobCard, { timeout: 15000 });
-
-      // Extract job data
-      const siteJobs = await page.evaluate((config) => {
-        const jobElements = document.querySelectorAll(config.selectors.jobCard);
-        const jobList = [];
-
-        jobElements.forEach(element => {
-          try {
-            const getText = (selector) => {
-              const el = element.querySelector(selector);
-              return el ? el.textContent.trim() : null;
-            };
-
-            const getHref = (selector) => {
-              const el = element.querySelector(selector);
-              return el ? el.href : null;
-            };
-
-            const title = getText(config.selectors.title);
-            const company = getText(config.selectors.company);
-            const location = getText(config.selectors.location);
-            const salary = getText(config.selectors.salary);
-            const summary = getText(config.selectors.summary);
-            const date = getText(config.selectors.date);
-            let link = getHref(config.selectors.link);
-
-            // Make relative URLs absolute
-            if (link && !link.startsWith('http')) {
-              link = new URL(link, config.url).href;
-            }
-
-            if (title && company) {
-              jobList.push({
-                title,
-                company,
-                location: location || 'South Africa',
-                salary,
-                summary,
-                datePosted: date || new Date().toISOString().split('T')[0],
-                link,
-                source: config.name,
-                scrapedAt: new Date().toISOString()
-              });
-            }
-          } catch (error) {
-            console.error('Error parsing job element:', error);
-          }
-        });
+      if (response && response.status() >= 400) {
+        const error = new Error(`${url} returned HTTP ${response.status()}`);
+        error.status = response.status();
+        throw error;
+      }
 
-        return jobList;
-      }, siteConfig);
+      if (waitFor) {
+        // A timeout is not fatal here; parsing reports the missing cards
+        await page.waitForSelector(waitFor, { timeout: 15000 }).catch(() => null);
+      }
 
-      jobs.push(...siteJobs);
-      
+      return await page.content();
+    } finally {
       await page.close();
-      
-    } catch (error) {
-      console.error(`Error scraping ${site}:`, error);
-      throw error;
     }
-    
-    return jobs.slice(0, limit);
   }
 
-  buildSearchUrl(siteConfig, keywords, location) {
-    const encodedKeywords = encodeURIComponent(keywords);
-    const encodedLocation = encodeURIComponent(location);
-    
-    switch (siteConfig.name) {
-      case 'Indeed South Africa':
-        return `${siteConfig.url}${siteConfig.searchPath}?q=${encodedKeywords}&l=${encodedLocation}&sort=date`;
-      
-      case 'PNet South Africa':
-        return `${siteConfig.url}${siteConfig.searchPath}?keywords=${encodedKeywords}&location=${encodedLocation}`;
-      
-      case 'CareerJet South Africa':
-        return `${siteConfig.url}${siteConfig.searchPath}?s=${encodedKeywords}&l=${encodedLocation}`;
-      
-      case 'Careers24':
-        return `${siteConfig.url}${siteConfig.searchPath}?keywords=${encodedKeywords}&location=${encodedLocation}`;
-      
-      default:
-        return `${siteConfig.url}${siteConfig.searchPath}?q=${encodedKeywords}&l=${encodedLocation}`;
-    }
+  // Card selectors of every version, so the page wait works for old and new markup
+  cardSelector(adapter) {
+    return [...new Set(adapter.selectorSets.map(set => set.listing.card))].join(', ');
+  }
+
+  recordSiteRun(adapter, result) {
+    const stats = this.siteStats[adapter.id] || { runs: 0, jobs: 0, errors: 0 };
+    this.siteStats[adapter.id] = {
+      ...stats,
+      runs: stats.runs + 1,
+      jobs: stats.jobs + result.jobs.length,
+      lastRun: new Date(),
+      lastSelectorVersion: result.selectorVersion,
+      lastCards: result.cards,
+      lastSkipped: result.skipped
+    };
+  }
+
+  recordSiteError(adapter, error) {
+    const stats = this.siteStats[adapter.id] || { runs: 0, jobs: 0, errors: 0 };
+    this.siteStats[adapter.id] = {
+      ...stats,
+      errors: stats.errors + 1,
+      lastError: error.message,
+      lastErrorAt: new Date()
+    };
   }
 
   async processAndStoreJobs(jobs) {
@@ -339,39 +302,33 @@ export class ScrapingService {
     
     for (const jobData of jobs) {
       try {
-        // Check if job already exists
-        const existingJob = await Job.findOne({
-          title: jobData.title,
-          company: jobData.company,
-          location: jobData.location
-        });
+        // Enhance job data with additional processing
+        const enhancedJob = await this.enhanceJobData(jobData);
+        const sources = enhancedJob.sources || [this.sourceFor(enhancedJob)];
 
+        // The same vacancy may already be stored from this or another board
+        const existingJob = await this.deduplicator.findCanonical(enhancedJob);
         if (existingJob) {
-          // Update existing job if needed
           if (existingJob.isActive) {
+            await this.mergeIntoExisting(existingJob, enhancedJob, sources);
             processedJobs.push(existingJob);
           }
           continue;
         }
-
-        // Enhance job data with additional processing
-        const enhancedJob = await this.enhanceJobData(jobData);
         
         // Create new job record
         const job = new Job({
           title: enhancedJob.title,
           company: enhancedJob.company,
           description: enhancedJob.description || enhancedJob.summary || 'No description available',
-          location: enhancedJob.location,
+          ...this.locationFields(enhancedJob.location),
           salaryRange: this.parseSalary(enhancedJob.salary),
           jobType: this.detectJobType(enhancedJob),
           experienceLevel: this.detectExperienceLevel(enhancedJob),
           applicationUrl: enhancedJob.link,
-          source: {
-            website: enhancedJob.source,
-            url: enhancedJob.link,
-            scrapedId: this.generateScrapedId(enhancedJob)
-          },
+          source: sources[0],
+          sources: sources.map(source => ({ ...source, firstSeenAt: new Date(), lastSeenAt: new Date() })),
+          dedupe: { ...this.deduplicator.fingerprint(enhancedJob), clusterSize: sources.length },
           isRemote: this.isRemoteJob(enhancedJob),
           categories: this.detectCategories(enhancedJob),
           skills: this.extractSkills(enhancedJob),
@@ -396,6 +353,47 @@ export class ScrapingService {
     return processedJobs;
   }
 
+  // Records the new board on the canonical job and fills in what it was missing
+  async mergeIntoExisting(job, jobData, sources) {
+    this.deduplicator.addSources(job, sources);
+
+    const description = jobData.description || jobData.summary || '';
+    if (description.length > (job.description || '').length) {
+      job.description = description;
+      job.set('dedupe.minhash', this.deduplicator.fingerprint(jobData).minhash);
+    }
+    if (!job.salaryRange?.isDisclosed && jobData.salary) {
+      const salaryRange = this.parseSalary(jobData.salary);
+      if (salaryRange.isDisclosed) job.salaryRange = salaryRange;
+    }
+    if (!job.place?.name) {
+      const locationFields = gazetteer.geocode(jobData.location);
+      if (locationFields) job.set(locationFields);
+    }
+    if (!job.dedupe?.companyKey) {
+      job.set('dedupe', { ...this.deduplicator.fingerprint(job), clusterSize: job.sources.length });
+    }
+
+    await job.save();
+    return job;
+  }
+
+  // Canonical location text, matched place and coordinates; locations the
+  // gazetteer does not know are stored as scraped
+  locationFields(location) {
+    return gazetteer.geocode(location) || { location };
+  }
+
+  sourceFor(jobData) {
+    return {
+      website: jobData.source,
+      url: jobData.link,
+      scrapedId: this.generateScrapedId(jobData),
+      adapter: jobData.adapter,
+      selectorVersion: jobData.selectorVersion
+    };
+  }
+
   async enhanceJobData(jobData) {
     // Basic enhancement - in production, you might use AI for this
     const enhanced = { ...jobData };
@@ -408,9 +406,8 @@ export class ScrapingService {
     // Extract additional information from summary
     if (enhanced.summary) {
       enhanced.description = enhanced.summary;
-      
-      // Simple skill extraction
-      const skills = this.extractSkillsFromText(enhanced.summary);
+
+      const skills = this.extractSkills(enhanced);
       if (skills.length > 0) {
         enhanced.skills = skills;
       }
@@ -420,47 +417,7 @@ export class ScrapingService {
   }
 
   parseSalary(salaryText) {
-    if (!salaryText) {
-      return {
-        min: 0,
-        max: 0,
-        isDisclosed: false
-      };
-    }
-
-    try {
-      // Common salary formats in South Africa
-      const formats = [
-        /R\s*(\d+[\d,]*)\s*-\s*R\s*(\d+[\d,]*)/i, // R 20,000 - R 30,000
-        /R\s*(\d+[\d,]*)\s*per\s*(month|year|annum)/i, // R 25,000 per month
-        /(\d+[\d,]*)\s*-\s*(\d+[\d,]*)\s*ZAR/i // 20000 - 30000 ZAR
-      ];
-
-      for (const format of formats) {
-        const match = salaryText.match(format);
-        if (match) {
-          const min = parseInt(match[1].replace(/,/g, '')) || 0;
-          const max = parseInt(match[2]?.replace(/,/g, '')) || min;
-          const period = salaryText.toLowerCase().includes('year') || salaryText.toLowerCase().includes('annum') ? 'yearly' : 'monthly';
-
-          return {
-            min: Math.min(min, max),
-            max: Math.max(min, max),
-            currency: 'ZAR',
-            period: period,
-            isDisclosed: true
-          };
-        }
-      }
-    } catch (error) {
-      console.error('Error parsing salary:', error);
-    }
-
-    return {
-      min: 0,
-      max: 0,
-      isDisclosed: false
-    };
+    return parseSalary(salaryText);
   }
 
   detectJobType(jobData) {
@@ -496,68 +453,14 @@ export class ScrapingService {
            text.includes('anywhere');
   }
 
+  // Job categories from the title's role and the skills the ad asks for
   detectCategories(jobData) {
-    const categories = [];
-    const text = `${jobData.title} ${jobData.description}`.toLowerCase();
-    
-    // Common job categories in South Africa
-    const categoryKeywords = {
-      'IT': ['software', 'developer', 'programmer', 'IT', 'tech', 'engineer', 'system', 'network'],
-      'Finance': ['finance', 'accounting', 'bank', 'financial', 'audit', 'tax'],
-      'Marketing': ['marketing', 'digital', 'social media', 'brand', 'advertising'],
-      'Sales': ['sales', 'account manager', 'business development'],
-      'Healthcare': ['health', 'medical', 'nurse', 'doctor', 'hospital'],
-      'Education': ['education', 'teacher', 'lecturer', 'academic', 'school'],
-      'Engineering': ['engineer', 'technical', 'manufacturing', 'production']
-    };
-    
-    for (const [category, keywords] of Object.entries(categoryKeywords)) {
-      if (keywords.some(keyword => text.includes(keyword))) {
-        categories.push(category);
-      }
-    }
-    
-    return categories.length > 0 ? categories : ['General'];
+    return skillTaxonomy.categoriesFor(jobData);
   }
 
+  // Canonical names of the taxonomy skills mentioned in the title and description
   extractSkills(jobData) {
-    const skills = new Set();
-    const text = `${jobData.title} ${jobData.description}`;
-    
-    // Common skills in South African job market
-    const commonSkills = [
-      'JavaScript', 'Python', 'Java', 'C#', 'PHP', 'SQL', 'React', 'Angular', 'Vue',
-      'Node.js', 'Spring', 'Django', 'Laravel', 'AWS', 'Azure', 'Docker', 'Kubernetes',
-      'Machine Learning', 'Data Analysis', 'Project Management', 'Agile', 'Scrum',
-      'SEO', 'Digital Marketing', 'Social Media', 'Content Writing', 'Graphic Design',
-      'Accounting', 'Financial Analysis', 'Risk Management', 'Sales', 'Negotiation',
-      'Customer Service', 'Communication', 'Leadership', 'Teamwork', 'Problem Solving'
-    ];
-    
-    for (const skill of commonSkills) {
-      if (text.toLowerCase().includes(skill.toLowerCase())) {
-        skills.add(skill);
-      }
-    }
-    
-    return Array.from(skills);
-  }
-
-  extractSkillsFromText(text) {
-    const skills = [];
-    // Simple keyword matching - in production, use more sophisticated NLP
-    const skillKeywords = [
-      'javascript', 'python', 'java', 'react', 'angular', 'node', 'sql', 'aws',
-      'marketing', 'sales', 'management', 'analysis', 'development', 'design'
-    ];
-    
-    skillKeywords.forEach(skill => {
-      if (text.toLowerCase().includes(skill)) {
-        skills.push(skill.charAt(0).toUpperCase() + skill.slice(1));
-      }
-    });
-    
-    return skills;
+    return skillTaxonomy.extractNames(`${jobData.title || ''} ${jobData.description || ''}`);
   }
 
   parseDate(dateString) {
@@ -593,14 +496,12 @@ export class ScrapingService {
     return SecurityManager.generateSignature(jobData, 'scraping_salt');
   }
 
+  // One entry per vacancy: the most complete posting, carrying every board it was seen on
   deduplicateJobs(jobs) {
-    const seen = new Set();
-    return jobs.filter(job => {
-      const key = `${job.title}-${job.company}-${job.location}`.toLowerCase();
-      if (seen.has(key)) return false;
-      seen.add(key);
-      return true;
-    });
+    return this.deduplicator.cluster(jobs).map(([canonical, ...duplicates]) => ({
+      ...canonical,
+      sources: [canonical, ...duplicates].map(job => this.sourceFor(job))
+    }));
   }
 
   delay(ms) {
@@ -638,12 +539,30 @@ export class ScrapingService {
     const allJobs = [];
     const errors = [];
 
+    await this.adapters.load();
+    const adapters = this.adapters.resolveSites();
+    let stoppedEarly = false;
+
+    searches:
     for (const keyword of popularKeywords) {
       for (const location of locations) {
+        // Only sites with budget left today; stop once every site is spent
+        const sites = [];
+        for (const adapter of adapters) {
+          if (await this.scheduler.hasBudget(adapter.id, adapter.politeness.dailyBudget)) {
+            sites.push(adapter.id);
+          }
+        }
+        if (sites.length === 0) {
+          console.warn('Daily crawl budget used up for every site, stopping continuous scraping');
+          stoppedEarly = true;
+          break searches;
+        }
+
         try {
           console.log(`Continuous scraping: ${keyword} in ${location}`);
           
-          const result = await this.scrapeJobs(keyword, location, 10);
+          const result = await this.scrapeJobs(keyword, location, 10, { sites });
           if (result.success) {
             allJobs.push(...result.jobs);
           } else {
@@ -666,13 +585,15 @@ export class ScrapingService {
         totalJobs: allJobs.length,
         totalErrors: errors.length,
         keywordsScraped: popularKeywords.length,
-        locationsScraped: locations.length
+        locationsScraped: locations.length,
+        stoppedEarly
       }
     });
 
     return {
       totalJobs: allJobs.length,
       errors: errors,
+      stoppedEarly,
       statistics: this.scrapingStats
     };
   }
@@ -681,6 +602,8 @@ export class ScrapingService {
   getStatistics() {
     return {
       ...this.scrapingStats,
+      sites: this.siteStats,
+      crawl: this.scheduler.getStatistics(),
       isActive: this.isInitialized,
       uptime: process.uptime()
     };
@@ -0,0 +1,385 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import Skill from '../../models/Skill.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const DEFAULT_DATA_DIR = path.join(__dirname, 'data');
+
+// Longest synonym or role in tokens ("south african council for educators")
+const MAX_PHRASE_TOKENS = 6;
+
+// A category only seen through skills needs several of them, so one "Excel"
+// in a nursing ad does not make it a Finance job
+const MIN_CATEGORY_SKILLS = 3;
+
+// Words with the characters that make tech names: c++, c#, node.js, ci/cd, .net
+const RAW_TOKEN = /[.#]?[A-Za-z0-9][A-Za-z0-9+#.\/&-]*/g;
+
+// Splits text into { text, lower } tokens. Dots, slashes and ampersands stay
+// inside the tokens listed in keep (known names such as "asp.net" or
+// "tcp/ip") and split everything else, so "Java/Python" gives two skills;
+// hyphens always split so "front-end" and "front end" read the same.
+export function tokenize(text, keep = new Set()) {
+  const tokens = [];
+  for (const [match] of String(text || '').matchAll(RAW_TOKEN)) {
+    for (const piece of match.split('-')) {
+      const raw = piece.replace(/[.\/&]+$/, '');
+      if (!raw) continue;
+
+      const lower = raw.toLowerCase();
+      if (keep.has(lower) || !/[.\/&]/.test(lower)) {
+        tokens.push({ text: raw, lower });
+        continue;
+      }
+      for (const part of raw.split(/[.\/&]+/).filter(Boolean)) {
+        tokens.push({ text: part, lower: part.toLowerCase() });
+      }
+    }
+  }
+  return tokens;
+}
+
+const normalizeText = (text) => String(text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+
+// Managed skills taxonomy: job category > group > canonical skill, each skill
+// with synonyms, an optional parent skill (React is JavaScript) and related
+// skills. Built-in skills come from the JSON files in services/skills/data;
+// admins extend them through Skill documents, applied by loadCustom(). The
+// same extractor reads job ads and CVs, so both end up with the same skill ids.
+export class SkillTaxonomy {
+  constructor(options = {}) {
+    this.directory = options.directory || DEFAULT_DATA_DIR;
+    this.model = options.model || Skill;
+    this.definitions = options.definitions || this.readDefinitions();
+    this.overrides = [];
+    this.warnings = [];
+    this.loadedCustomAt = null;
+    this.build();
+  }
+
+  readDefinitions() {
+    return fs.readdirSync(this.directory)
+      .filter(file => file.endsWith('.json'))
+      .sort()
+      .map(file => ({ ...JSON.parse(fs.readFileSync(path.join(this.directory, file), 'utf8')), file }));
+  }
+
+  // Applies the admins' Skill documents on top of the data files
+  async loadCustom() {
+    this.overrides = await this.model.find().lean();
+    this.build();
+    this.loadedCustomAt = new Date();
+    return this.summary();
+  }
+
+  build() {
+    const skills = new Map();
+    const groups = new Map();
+    const roles = [];
+    const warnings = [];
+
+    for (const definition of this.definitions) {
+      const category = definition.category || null;
+
+      for (const role of definition.roles || []) roles.push({ phrase: role, category, general: false });
+      for (const role of definition.generalRoles || []) roles.push({ phrase: role, category, general: true });
+
+      for (const group of definition.groups || []) {
+        groups.set(group.id, { id: group.id, name: group.name, category });
+
+        for (const skill of group.skills || []) {
+          if (skills.has(skill.id)) {
+            warnings.push({ skill: skill.id, warning: `Defined again in ${definition.file}` });
+            continue;
+          }
+          skills.set(skill.id, {
+            id: skill.id,
+            name: skill.name,
+            category,
+            group: group.id,
+            parent: skill.parent || null,
+            synonyms: skill.synonyms || [],
+            caseSensitive: skill.caseSensitive || [],
+            related: skill.related || [],
+            custom: false
+          });
+        }
+      }
+    }
+
+    const builtIn = new Set(skills.keys());
+
+    for (const override of this.overrides) {
+      const existing = skills.get(override.skillId);
+      if (override.disabled) {
+        skills.delete(override.skillId);
+        continue;
+      }
+
+      if (existing) {
+        skills.set(override.skillId, {
+          ...existing,
+          name: override.name || existing.name,
+          category: override.category || existing.category,
+          group: override.group || existing.group,
+          parent: override.parent || existing.parent,
+          synonyms: [...existing.synonyms, ...(override.synonyms || [])],
+          caseSensitive: [...existing.caseSensitive, ...(override.caseSensitive || [])],
+          related: [...existing.related, ...(override.related || [])],
+          custom: true
+        });
+      } else {
+        if (override.group && !groups.has(override.group)) {
+          groups.set(override.group, { id: override.group, name: override.group, category: override.category || null });
+        }
+        skills.set(override.skillId, {
+          id: override.skillId,
+          name: override.name || override.skillId,
+          category: override.category || null,
+          group: override.group || null,
+          parent: override.parent || null,
+          synonyms: override.synonyms || [],
+          caseSensitive: override.caseSensitive || [],
+          related: override.related || [],
+          custom: true
+        });
+      }
+    }
+
+    // Related skills work both ways; references to unknown skills are dropped
+    const related = new Map([...skills.keys()].map(id => [id, new Set()]));
+    for (const skill of skills.values()) {
+      if (skill.parent && !skills.has(skill.parent)) {
+        warnings.push({ skill: skill.id, warning: `Unknown parent ${skill.parent}` });
+        skill.parent = null;
+      }
+      for (const id of skill.related) {
+        if (!skills.has(id)) {
+          warnings.push({ skill: skill.id, warning: `Unknown related skill ${id}` });
+          continue;
+        }
+        if (id === skill.id) continue;
+        related.get(skill.id).add(id);
+        related.get(id).add(skill.id);
+      }
+    }
+    for (const skill of skills.values()) {
+      skill.related = [...related.get(skill.id)];
+    }
+
+    // Names with inner dots, slashes or ampersands are kept whole by the tokenizer
+    const phrases = [...skills.values()].flatMap(skill => [skill.name, ...skill.synonyms, ...skill.caseSensitive]);
+    const keep = new Set();
+    for (const phrase of [...phrases, ...roles.map(role => role.phrase)]) {
+      for (const [match] of String(phrase).matchAll(RAW_TOKEN)) {
+        for (const piece of match.split('-')) {
+          const raw = piece.replace(/[.\/&]+$/, '').toLowerCase();
+          if (/[.\/&]/.test(raw)) keep.add(raw);
+        }
+      }
+    }
+
+    const index = new Map();
+    const addPhrase = (phrase, entry) => {
+      const tokens = tokenize(phrase, keep);
+      if (tokens.length === 0 || tokens.length > MAX_PHRASE_TOKENS) {
+        warnings.push({ skill: entry.skill?.id, warning: `Unusable phrase "${phrase}"` });
+        return;
+      }
+      const key = tokens.map(token => token.lower).join(' ');
+      const exact = entry.exact ? tokens.map(token => token.text).join(' ') : null;
+      const entries = index.get(key) || [];
+
+      const clash = entries.find(other => !other.exact && !exact && other.skill && other.skill !== entry.skill);
+      if (clash) {
+        warnings.push({ skill: entry.skill.id, warning: `"${phrase}" already means ${clash.skill.id}` });
+        return;
+      }
+      index.set(key, [...entries, { ...entry, exact }]);
+    };
+
+    for (const skill of skills.values()) {
+      const phrasesOf = [...new Set([skill.name, ...skill.synonyms].map(normalizeText))];
+      // A name that is also listed case-sensitively must not match in any casing
+      const exactForms = new Set(skill.caseSensitive.map(normalizeText));
+      for (const phrase of phrasesOf.filter(phrase => !exactForms.has(phrase))) addPhrase(phrase, { skill });
+      for (const form of skill.caseSensitive) addPhrase(form, { skill, exact: true });
+    }
+
+    const roleIndex = new Map();
+    for (const role of roles) {
+      const key = tokenize(role.phrase, keep).map(token => token.lower).join(' ');
+      if (!roleIndex.has(key)) roleIndex.set(key, []);
+      roleIndex.get(key).push({ role });
+    }
+
+    this.skills = skills;
+    this.builtIn = builtIn;
+    this.groups = groups;
+    this.keep = keep;
+    this.index = index;
+    this.roleIndex = roleIndex;
+    this.warnings = warnings;
+  }
+
+  // Longest match first, left to right; a case-sensitive form only matches
+  // with the casing it was listed with
+  scan(tokens, index) {
+    const found = [];
+    let position = 0;
+
+    while (position < tokens.length) {
+      let matched = 0;
+      for (let size = Math.min(MAX_PHRASE_TOKENS, tokens.length - position); size > 0; size--) {
+        const window = tokens.slice(position, position + size);
+        const entries = index.get(window.map(token => token.lower).join(' '));
+        const text = window.map(token => token.text).join(' ');
+        const entry = entries?.find(candidate => !candidate.exact || candidate.exact === text);
+        if (!entry) continue;
+
+        found.push({ ...entry, position });
+        matched = size;
+        break;
+      }
+      position += matched || 1;
+    }
+    return found;
+  }
+
+  get(id) {
+    return this.skills.get(id) || null;
+  }
+
+  // Shipped in the data files, as opposed to added by an admin
+  isBuiltIn(id) {
+    return this.builtIn.has(id);
+  }
+
+  describe(skill) {
+    const group = this.groups.get(skill.group);
+    return {
+      id: skill.id,
+      name: skill.name,
+      category: skill.category,
+      group: skill.group,
+      groupName: group?.name || null,
+      parent: skill.parent,
+      synonyms: skill.synonyms,
+      caseSensitive: skill.caseSensitive,
+      related: skill.related,
+      custom: skill.custom
+    };
+  }
+
+  // The skill a whole string names ("JS", "Sage Pastel"), or null. A string
+  // that is known to be a skill, like a CV's skills list entry, may match
+  // the case-sensitive forms in any casing.
+  find(text, { ignoreCase = false } = {}) {
+    const tokens = tokenize(text, this.keep);
+    const entries = this.index.get(tokens.map(token => token.lower).join(' '));
+    const exact = tokens.map(token => token.text).join(' ');
+    return entries?.find(entry => !entry.exact || ignoreCase || entry.exact === exact)?.skill || null;
+  }
+
+  // Stable key for a listed skill: the taxonomy id when the text names one
+  // skill ("JS", "JavaScript (ES6)"), otherwise the normalised text, so
+  // unknown skills still compare with each other
+  keyFor(text) {
+    const skill = this.find(text, { ignoreCase: true });
+    if (skill) return skill.id;
+
+    const mentioned = this.extract(text);
+    return mentioned.length === 1 ? mentioned[0].id : normalizeText(text);
+  }
+
+  nameOf(key) {
+    return this.skills.get(key)?.name || key;
+  }
+
+  // Skills mentioned in free text, in order of first mention
+  extract(text) {
+    const counts = new Map();
+    for (const { skill } of this.scan(tokenize(text, this.keep), this.index)) {
+      counts.set(skill.id, (counts.get(skill.id) || 0) + 1);
+    }
+    return [...counts.entries()].map(([id, mentions]) => {
+      const skill = this.skills.get(id);
+      return { id, name: skill.name, category: skill.category, group: skill.group, mentions };
+    });
+  }
+
+  extractNames(text) {
+    return this.extract(text).map(skill => skill.name);
+  }
+
+  // Parent, grandparent, ...: knowing React implies knowing JavaScript
+  ancestors(id) {
+    const chain = [];
+    let current = this.skills.get(id)?.parent;
+    while (current && !chain.includes(current) && current !== id) {
+      chain.push(current);
+      current = this.skills.get(current)?.parent;
+    }
+    return chain;
+  }
+
+  relatedTo(id) {
+    return this.skills.get(id)?.related || [];
+  }
+
+  // Job categories from the roles named in the title, plus any category the
+  // ad asks for several skills of; ['General'] when neither says anything
+  categoriesFor({ title, description } = {}) {
+    const specific = new Set();
+    const general = new Set();
+    for (const { role } of this.scan(tokenize(title, this.keep), this.roleIndex)) {
+      (role.general ? general : specific).add(role.category);
+    }
+
+    const counts = new Map();
+    for (const skill of this.extract(`${title || ''} ${description || ''}`)) {
+      if (skill.category) counts.set(skill.category, (counts.get(skill.category) || 0) + 1);
+    }
+    const bySkills = [...counts.entries()]
+      .filter(([, count]) => count >= MIN_CATEGORY_SKILLS)
+      .sort((a, b) => b[1] - a[1])
+      .map(([category]) => category);
+
+    // "Engineer" alone is an engineering job; "DevOps Engineer" is IT
+    const byTitle = specific.size > 0 ? [...specific] : [...general];
+    const categories = [...new Set([...byTitle, ...bySkills])];
+    return categories.length > 0 ? categories : ['General'];
+  }
+
+  categories() {
+    return [...new Set(this.definitions.map(definition => definition.category).filter(Boolean))];
+  }
+
+  list({ q, category, group, limit = 100 } = {}) {
+    const query = normalizeText(q);
+    return [...this.skills.values()]
+      .filter(skill => !category || skill.category === category)
+      .filter(skill => !group || skill.group === group)
+      .filter(skill => !query ||
+        skill.id.includes(query) ||
+        [skill.name, ...skill.synonyms].some(phrase => normalizeText(phrase).includes(query)))
+      .slice(0, limit)
+      .map(skill => this.describe(skill));
+  }
+
+  summary() {
+    return {
+      skills: this.skills.size,
+      groups: this.groups.size,
+      categories: this.categories(),
+      custom: this.overrides.length,
+      loadedCustomAt: this.loadedCustomAt,
+      warnings: this.warnings
+    };
+  }
+}
+
+const skillTaxonomy = new SkillTaxonomy();
+export default skillTaxonomy;
@@ -0,0 +1,121 @@
+import { jest } from '@jest/globals';
+import skillTaxonomy, { SkillTaxonomy, tokenize } from './skillTaxonomy.js';
+
+const ids = (text) => skillTaxonomy.extract(text).map(skill => skill.id);
+
+describe('tokenize', () => {
+  test('keeps known dotted names whole and splits the rest', () => {
+    const keep = new Set(['asp.net', 'node.js']);
+
+    expect(tokenize('ASP.NET, Node.js and Java/Python', keep).map(token => token.lower)).toEqual(['asp.net', 'node.js', 'and', 'java', 'python']);
+    expect(tokenize('front-end C# C++ .NET').map(token => token.text)).toEqual(['front', 'end', 'C#', 'C++', 'NET']);
+    expect(tokenize('.NET', new Set(['.net'])).map(token => token.text)).toEqual(['.NET']);
+  });
+});
+
+describe('SkillTaxonomy.extract', () => {
+  test('synonyms and spellings give one skill id, counted per mention', () => {
+    expect(skillTaxonomy.extract('ReactJS developer. React.js, Redux and vanilla JS.')).toEqual([
+      expect.objectContaining({ id: 'react', name: 'React', category: 'IT', mentions: 3 }),
+      expect.objectContaining({ id: 'javascript', mentions: 1 })
+    ]);
+  });
+
+  test('the longest phrase wins', () => {
+    expect(ids('Sage Pastel Partner and ASP.NET Core')).toEqual(['sage', 'asp-net']);
+  });
+
+  test('case-sensitive forms only match with their casing', () => {
+    expect(ids('Experience with React')).toEqual(['react']);
+    expect(ids('able to react quickly')).toEqual([]);
+    expect(ids('the sage advice')).toEqual([]);
+  });
+
+  test('extractNames returns display names', () => {
+    expect(skillTaxonomy.extractNames('vuejs and typescript')).toEqual(['Vue.js', 'TypeScript']);
+  });
+});
+
+describe('SkillTaxonomy lookups', () => {
+  test('find and keyFor name one skill or fall back to the normalised text', () => {
+    expect(skillTaxonomy.find('JS').id).toBe('javascript');
+    expect(skillTaxonomy.find('react')).toBeNull();
+    expect(skillTaxonomy.find('react', { ignoreCase: true }).id).toBe('react');
+    expect(skillTaxonomy.keyFor('JavaScript (ES6)')).toBe('javascript');
+    expect(skillTaxonomy.keyFor('  Underwater   Basket Weaving ')).toBe('underwater basket weaving');
+  });
+
+  test('parents are inherited and related skills work both ways', () => {
+    expect(skillTaxonomy.ancestors('typescript')).toEqual(['javascript']);
+    expect(skillTaxonomy.relatedTo('vue')).toEqual(expect.arrayContaining(['react', 'angular']));
+    expect(skillTaxonomy.relatedTo('angular')).toEqual(expect.arrayContaining(['vue', 'typescript']));
+    expect(skillTaxonomy.nameOf('not-a-skill')).toBe('not-a-skill');
+  });
+
+  test('categories come from the title, or from several skills in the ad', () => {
+    expect(skillTaxonomy.categoriesFor({ title: 'Senior Software Developer' })).toEqual(['IT']);
+    expect(skillTaxonomy.categoriesFor({ title: 'Registered Nurse', description: 'Excel for rosters' })).not.toContain('IT');
+    expect(skillTaxonomy.categoriesFor({ title: 'Consultant', description: 'Python, SQL, Docker and Kubernetes' })).toContain('IT');
+    expect(skillTaxonomy.categoriesFor({ title: 'Team member' })).toEqual(['General']);
+  });
+
+  test('list filters by category and text', () => {
+    const results = skillTaxonomy.list({ q: 'pastel', limit: 5 });
+    expect(results.map(skill => skill.id)).toEqual(['sage']);
+    expect(skillTaxonomy.list({ category: 'IT' }).every(skill => skill.category === 'IT')).toBe(true);
+  });
+
+  test('the shipped data files load without warnings', () => {
+    expect(skillTaxonomy.summary().warnings).toEqual([]);
+  });
+});
+
+describe('SkillTaxonomy definitions', () => {
+  const definitions = [{
+    category: 'IT',
+    file: 'it.json',
+    roles: ['developer'],
+    groups: [{
+      id: 'web',
+      name: 'Web',
+      skills: [
+        { id: 'javascript', name: 'JavaScript', synonyms: ['js'] },
+        { id: 'react', name: 'React', parent: 'javascript', related: ['vue', 'elm'] },
+        { id: 'vue', name: 'Vue', synonyms: ['js'] },
+        { id: 'jquery', name: 'jQuery', parent: 'prototype' }
+      ]
+    }]
+  }];
+
+  test('clashing synonyms and unknown references are reported and dropped', () => {
+    const taxonomy = new SkillTaxonomy({ definitions, model: {} });
+
+    expect(taxonomy.find('js').id).toBe('javascript');
+    expect(taxonomy.get('jquery').parent).toBeNull();
+    expect(taxonomy.relatedTo('vue')).toEqual(['react']);
+    expect(taxonomy.warnings).toEqual(expect.arrayContaining([
+      { skill: 'vue', warning: '"js" already means javascript' },
+      { skill: 'react', warning: 'Unknown related skill elm' },
+      { skill: 'jquery', warning: 'Unknown parent prototype' }
+    ]));
+  });
+
+  test('admin overrides add synonyms, add skills and disable skills', async () => {
+    const model = {
+      find: () => ({
+        lean: jest.fn().mockResolvedValue([
+          { skillId: 'react', synonyms: ['reactjs'] },
+          { skillId: 'svelte', name: 'Svelte', category: 'IT', group: 'frameworks', parent: 'javascript' },
+          { skillId: 'jquery', disabled: true }
+        ])
+      })
+    };
+    const taxonomy = new SkillTaxonomy({ definitions, model });
+
+    await expect(taxonomy.loadCustom()).resolves.toMatchObject({ skills: 4, custom: 3 });
+    expect(taxonomy.extract('ReactJS, Svelte and jQuery').map(skill => skill.id)).toEqual(['react', 'svelte']);
+    expect(taxonomy.get('react').custom).toBe(true);
+    expect(taxonomy.isBuiltIn('svelte')).toBe(false);
+    expect(taxonomy.ancestors('svelte')).toEqual(['javascript']);
+  });
+});
@@ -1,7 +1,22 @@
 import express from 'express';
+import multer from 'multer';
 import User from '../models/User.js';
 import Job from '../models/Job.js';
 import Payment from '../models/Payment.js';
+import Order from '../models/Order.js';
+import Coupon from '../models/Coupon.js';
+import Skill from '../models/Skill.js';
+import scrapingService from '../services/scrapingService.js';
+import jobEnricher from '../services/jobEnricher.js';
+import jobLivenessVerifier from '../services/jobLivenessVerifier.js';
+import adapterRegistry from '../services/scraping/adapterRegistry.js';
+import adapterValidator from '../services/scraping/adapterValidator.js';
+import crawlScheduler from '../services/scraping/crawlScheduler.js';
+import skillTaxonomy from '../services/skills/skillTaxonomy.js';
+import applicationEngine from '../services/applying/applicationEngine.js';
+import eftReconciliation from '../services/billing/eftReconciliation.js';
+import paymentService from '../services/billing/paymentService.js';
+import subscriptionService from '../services/billing/subscriptionService.js';
 
 const router = express.Router();
 
@@ -16,6 +31,23 @@ const authenticateAdmin = (req, res, next) => {
   next();
 };
 
+// Bank statement exports for EFT reconciliation
+const statementUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 2 * 1024 * 1024 // 2MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    if (/\.(csv|ofx|qfx|txt)$/i.test(file.originalname)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only CSV and OFX statement exports are allowed'), false);
+    }
+  }
+});
+
+const adminName = (req) => req.user?.email || 'admin';
+
 // Get dashboard statistics
 router.get('/stats', authenticateAdmin, async (req, res) => {
   try {
@@ -143,6 +175,281 @@ router.get('/payments', authenticateAdmin, async (req, res) => {
   }
 });
 
+// Subscriptions, optionally by status (active, past_due, ...)
+router.get('/subscriptions', authenticateAdmin, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status } = req.query;
+    const { subscriptions, total } = await subscriptionService.listAll({ status, page, limit });
+
+    res.json({
+      success: true,
+      subscriptions,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Admin subscriptions error:', error);
+    res.status(500).json({ error: 'Failed to fetch subscriptions' });
+  }
+});
+
+// Refund a completed payment through its gateway: { "amount": 199, "reason": "..." };
+// without an amount the whole payment is refunded
+router.post('/payments/:paymentId/refund', authenticateAdmin, async (req, res) => {
+  try {
+    const { amount, reason } = req.body;
+    const { payment, refund } = await paymentService.refund(req.params.paymentId, {
+      amount: amount === undefined ? undefined : Number(amount),
+      reason,
+      refundedBy: adminName(req)
+    });
+
+    res.json({
+      success: true,
+      payment,
+      refund
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Refund error:', error);
+    res.status(500).json({ error: 'Failed to refund payment' });
+  }
+});
+
+// Orders with their server-side totals. needsRefund=true lists cancelled
+// orders with a payment that arrived afterwards and has not been refunded.
+router.get('/orders', authenticateAdmin, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, needsRefund } = req.query;
+    const query = {
+      ...(status && { status }),
+      ...(needsRefund === 'true' && { latePayments: { $elemMatch: { refundedAt: null } } })
+    };
+
+    const [orders, total] = await Promise.all([
+      Order.find(query)
+        .populate('userId', 'email profile.firstName profile.lastName')
+        .skip((page - 1) * limit)
+        .limit(parseInt(limit))
+        .sort({ createdAt: -1 }),
+      Order.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      orders,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Admin orders error:', error);
+    res.status(500).json({ error: 'Failed to fetch orders' });
+  }
+});
+
+router.get('/coupons', authenticateAdmin, async (req, res) => {
+  try {
+    const coupons = await Coupon.find().sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      coupons
+    });
+  } catch (error) {
+    console.error('Admin coupons error:', error);
+    res.status(500).json({ error: 'Failed to fetch coupons' });
+  }
+});
+
+// Create a discount code: { "code": "LAUNCH20", "percentOff": 20, "validUntil": "2026-12-31" }
+router.post('/coupons', authenticateAdmin, async (req, res) => {
+  try {
+    const { code, description, percentOff, amountOff, products, minimumSubtotal, validFrom, validUntil, maxRedemptions } = req.body;
+
+    if (!code) {
+      return res.status(400).json({ error: 'code is required' });
+    }
+    if (await Coupon.exists({ code: code.toUpperCase() })) {
+      return res.status(409).json({ error: 'Coupon already exists' });
+    }
+
+    const coupon = await Coupon.create({
+      code, description, percentOff, amountOff, products, minimumSubtotal, validFrom, validUntil, maxRedemptions
+    });
+
+    res.status(201).json({
+      success: true,
+      coupon
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Create coupon error:', error);
+    res.status(500).json({ error: 'Failed to create coupon' });
+  }
+});
+
+// Switch a coupon off (or back on); redeemed coupons are kept for the order history
+router.patch('/coupons/:code', authenticateAdmin, async (req, res) => {
+  try {
+    const { isActive, validUntil, maxRedemptions } = req.body;
+
+    const coupon = await Coupon.findOneAndUpdate(
+      { code: req.params.code.toUpperCase() },
+      {
+        $set: {
+          ...(typeof isActive === 'boolean' && { isActive }),
+          ...(validUntil !== undefined && { validUntil }),
+          ...(maxRedemptions !== undefined && { maxRedemptions })
+        }
+      },
+      { new: true, runValidators: true }
+    );
+    if (!coupon) {
+      return res.status(404).json({ error: 'Coupon not found' });
+    }
+
+    res.json({
+      success: true,
+      coupon
+    });
+  } catch (error) {
+    console.error('Update coupon error:', error);
+    res.status(500).json({ error: 'Failed to update coupon' });
+  }
+});
+
+// Import an FNB statement export (CSV or OFX) as the "statement" file and
+// complete the EFT payments it pays; ?dryRun=true only reports the matches
+router.post('/reconciliation/statements', authenticateAdmin, statementUpload.single('statement'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No statement uploaded' });
+    }
+
+    const dryRun = req.query.dryRun === 'true';
+    const { statementImport, lines } = await eftReconciliation.importStatement(req.file.buffer.toString('utf8'), {
+      fileName: req.file.originalname,
+      importedBy: adminName(req),
+      dryRun
+    });
+
+    res.status(dryRun ? 200 : 201).json({
+      success: true,
+      dryRun,
+      statementImport,
+      lines
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Statement import error:', error);
+    res.status(500).json({ error: 'Failed to import statement' });
+  }
+});
+
+router.get('/reconciliation/statements', authenticateAdmin, async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const { imports, total } = await eftReconciliation.listImports({ page, limit });
+
+    res.json({
+      success: true,
+      imports,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Statement imports error:', error);
+    res.status(500).json({ error: 'Failed to fetch statement imports' });
+  }
+});
+
+// Statement credits that could not be matched, with the likeliest payments
+router.get('/reconciliation/review', authenticateAdmin, async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const { lines, total } = await eftReconciliation.reviewQueue({ page, limit });
+
+    res.json({
+      success: true,
+      lines,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Reconciliation review error:', error);
+    res.status(500).json({ error: 'Failed to fetch review queue' });
+  }
+});
+
+// Match a queued line to a payment: { "paymentId": "..." }
+router.post('/reconciliation/lines/:lineId/match', authenticateAdmin, async (req, res) => {
+  try {
+    const { paymentId } = req.body;
+    if (!paymentId) {
+      return res.status(400).json({ error: 'paymentId is required' });
+    }
+
+    const { line, payment } = await eftReconciliation.matchManually(req.params.lineId, paymentId, {
+      matchedBy: adminName(req)
+    });
+
+    res.json({
+      success: true,
+      line,
+      payment
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Manual reconciliation error:', error);
+    res.status(500).json({ error: 'Failed to match statement line' });
+  }
+});
+
+// Dismiss a queued line that is not a customer payment: { "note": "Bank interest" }
+router.post('/reconciliation/lines/:lineId/dismiss', authenticateAdmin, async (req, res) => {
+  try {
+    const line = await eftReconciliation.dismiss(req.params.lineId, {
+      note: req.body.note,
+      dismissedBy: adminName(req)
+    });
+
+    res.json({
+      success: true,
+      line
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Dismiss statement line error:', error);
+    res.status(500).json({ error: 'Failed to dismiss statement line' });
+  }
+});
+
 // Get system status
 router.get('/system-status', authenticateAdmin, async (req, res) => {
   try {
@@ -176,4 +483,376 @@ router.get('/system-status', authenticateAdmin, async (req, res) => {
   }
 });
 
+// Loaded job site adapters, load errors, crawl budgets and refused URLs
+router.get('/scrapers', authenticateAdmin, async (req, res) => {
+  try {
+    await adapterRegistry.load();
+
+    res.json({
+      success: true,
+      ...adapterRegistry.describe(),
+      sites: scrapingService.getStatistics().sites,
+      crawl: crawlScheduler.getStatistics(),
+      budgets: await crawlScheduler.getBudgets(),
+      enrichment: await jobEnricher.getStatistics()
+    });
+  } catch (error) {
+    console.error('Scraper adapters error:', error);
+    res.status(500).json({ error: 'Failed to fetch scraper adapters' });
+  }
+});
+
+// Re-read the adapters directories after adding or editing an adapter
+router.post('/scrapers/reload', authenticateAdmin, async (req, res) => {
+  try {
+    await adapterRegistry.load({ reload: true });
+
+    res.json({
+      success: true,
+      ...adapterRegistry.describe()
+    });
+  } catch (error) {
+    console.error('Scraper adapters reload error:', error);
+    res.status(500).json({ error: 'Failed to reload scraper adapters' });
+  }
+});
+
+// Send failed (or other) detail-page crawls back to the enrichment queue
+router.post('/scrapers/enrichment/requeue', authenticateAdmin, async (req, res) => {
+  try {
+    const { statuses = ['failed'], adapterId } = req.body;
+
+    const allowed = ['failed', 'skipped', 'completed'];
+    if (!Array.isArray(statuses) || statuses.some(status => !allowed.includes(status))) {
+      return res.status(400).json({ error: `statuses must be a list of ${allowed.join(', ')}` });
+    }
+
+    const result = await jobEnricher.requeue({ statuses, adapterId });
+
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    console.error('Enrichment requeue error:', error);
+    res.status(500).json({ error: 'Failed to requeue job enrichment' });
+  }
+});
+
+// Run one adapter (or all) against the saved HTML fixtures
+router.post('/scrapers/validate', authenticateAdmin, async (req, res) => {
+  try {
+    const { adapterId } = req.body;
+
+    await adapterRegistry.load();
+    if (adapterId && !adapterRegistry.get(adapterId)) {
+      return res.status(404).json({ error: 'Adapter not found' });
+    }
+
+    const result = await adapterValidator.validate({ adapterId });
+
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    console.error('Scraper validation error:', error);
+    res.status(500).json({ error: 'Failed to validate scraper adapters' });
+  }
+});
+
+// Active jobs by liveness status, stale jobs and recent closures by reason
+router.get('/jobs/liveness', authenticateAdmin, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      liveness: await jobLivenessVerifier.getStatistics()
+    });
+  } catch (error) {
+    console.error('Job liveness stats error:', error);
+    res.status(500).json({ error: 'Failed to fetch job liveness statistics' });
+  }
+});
+
+// Re-check one job's source pages now
+router.post('/jobs/:jobId/verify', authenticateAdmin, async (req, res) => {
+  try {
+    const job = await jobLivenessVerifier.checkNow(req.params.jobId);
+
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.json({
+      success: true,
+      isActive: job.isActive,
+      staleSince: job.staleSince,
+      liveness: job.liveness
+    });
+  } catch (error) {
+    console.error('Job verify error:', error);
+    res.status(500).json({ error: 'Failed to verify job' });
+  }
+});
+
+// Mark job as filled
+router.patch('/jobs/:jobId/filled', authenticateAdmin, async (req, res) => {
+  try {
+    const job = await Job.findById(req.params.jobId);
+
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    await job.markAsFilled('manual');
+
+    res.json({
+      success: true,
+      message: 'Job marked as filled',
+      job
+    });
+  } catch (error) {
+    console.error('Mark job filled error:', error);
+    res.status(500).json({ error: 'Failed to update job' });
+  }
+});
+
+// Application engine state and automatic applications by submission status
+router.get('/auto-apply', authenticateAdmin, async (req, res) => {
+  try {
+    const [users, submissions] = await Promise.all([
+      User.countDocuments({ 'autoApply.enabled': true, isDeleted: false }),
+      User.aggregate([
+        { $unwind: '$applications' },
+        { $match: { 'applications.submission.status': { $exists: true } } },
+        {
+          $group: {
+            _id: { status: '$applications.submission.status', channel: '$applications.submission.channel' },
+            count: { $sum: 1 }
+          }
+        }
+      ])
+    ]);
+
+    res.json({
+      success: true,
+      engine: applicationEngine.getStatistics(),
+      users,
+      submissions: submissions.map(({ _id, count }) => ({ ..._id, count }))
+    });
+  } catch (error) {
+    console.error('Auto-apply stats error:', error);
+    res.status(500).json({ error: 'Failed to fetch auto-apply statistics' });
+  }
+});
+
+// Run the application engine for one user now; { "dryRun": true } fills
+// forms and builds emails without sending or recording them, and returns
+// what would have been sent as summary.previews
+router.post('/auto-apply/users/:userId/run', authenticateAdmin, async (req, res) => {
+  try {
+    const dryRun = req.body.dryRun === undefined ? applicationEngine.dryRun : Boolean(req.body.dryRun);
+    const summary = await applicationEngine.runUserNow(req.params.userId, { dryRun });
+
+    if (!summary) {
+      return res.status(409).json({ error: 'User is not eligible for auto-apply or is being processed' });
+    }
+
+    res.json({
+      success: true,
+      summary
+    });
+  } catch (error) {
+    console.error('Auto-apply run error:', error);
+    res.status(500).json({ error: 'Failed to run auto-apply' });
+  }
+});
+
+// Problems with a skill definition sent by an admin, checked against the
+// current taxonomy so one phrase never means two skills
+const skillDefinitionErrors = (body, skillId) => {
+  const errors = [];
+
+  for (const field of ['synonyms', 'caseSensitive', 'related']) {
+    const value = body[field];
+    if (value !== undefined && (!Array.isArray(value) || value.some(item => typeof item !== 'string' || !item.trim()))) {
+      errors.push(`${field} must be a list of strings`);
+    }
+  }
+  if (errors.length > 0) return errors;
+
+  if (body.category && !skillTaxonomy.categories().includes(body.category)) {
+    errors.push(`category must be one of ${skillTaxonomy.categories().join(', ')}`);
+  }
+  if (body.parent && (body.parent === skillId || !skillTaxonomy.get(body.parent))) {
+    errors.push(`Unknown parent skill ${body.parent}`);
+  }
+  for (const id of body.related || []) {
+    if (!skillTaxonomy.get(id)) errors.push(`Unknown related skill ${id}`);
+  }
+  for (const phrase of [body.name, ...(body.synonyms || [])].filter(Boolean)) {
+    const other = skillTaxonomy.find(phrase);
+    if (other && other.id !== skillId) errors.push(`"${phrase}" already means ${other.id}`);
+  }
+  return errors;
+};
+
+// Browse the skills taxonomy
+router.get('/skills', authenticateAdmin, async (req, res) => {
+  try {
+    const { q, category, group, limit = 100 } = req.query;
+
+    res.json({
+      success: true,
+      ...skillTaxonomy.summary(),
+      skills: skillTaxonomy.list({ q, category, group, limit: parseInt(limit) })
+    });
+  } catch (error) {
+    console.error('Skills taxonomy error:', error);
+    res.status(500).json({ error: 'Failed to fetch skills' });
+  }
+});
+
+// Add a skill the data files do not have
+router.post('/skills', authenticateAdmin, async (req, res) => {
+  try {
+    const { skillId, name, category, group, parent, synonyms = [], caseSensitive = [], related = [] } = req.body;
+
+    if (!skillId || !name) {
+      return res.status(400).json({ error: 'skillId and name are required' });
+    }
+    if (skillTaxonomy.get(skillId) || await Skill.exists({ skillId })) {
+      return res.status(409).json({ error: 'Skill already exists; use PATCH to extend it' });
+    }
+
+    const errors = skillDefinitionErrors(req.body, skillId);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid skill', details: errors });
+    }
+
+    await Skill.create({ skillId, name, category, group, parent, synonyms, caseSensitive, related, updatedBy: 'admin' });
+    await skillTaxonomy.loadCustom();
+
+    res.status(201).json({
+      success: true,
+      skill: skillTaxonomy.get(skillId) && skillTaxonomy.describe(skillTaxonomy.get(skillId)),
+      warnings: skillTaxonomy.warnings.filter(warning => warning.skill === skillId)
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Add skill error:', error);
+    res.status(500).json({ error: 'Failed to add skill' });
+  }
+});
+
+// Extend a skill: extra synonyms, case-sensitive forms and related skills are
+// added to the existing ones; name, category, group and parent replace them;
+// disabled: false brings back a removed built-in skill
+router.patch('/skills/:skillId', authenticateAdmin, async (req, res) => {
+  try {
+    const { skillId } = req.params;
+    const { name, category, group, parent, synonyms = [], caseSensitive = [], related = [], disabled } = req.body;
+
+    if (!skillTaxonomy.get(skillId) && !await Skill.exists({ skillId })) {
+      return res.status(404).json({ error: 'Skill not found' });
+    }
+
+    const errors = skillDefinitionErrors(req.body, skillId);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid skill', details: errors });
+    }
+
+    await Skill.updateOne(
+      { skillId },
+      {
+        $set: {
+          updatedBy: 'admin',
+          ...(name && { name }),
+          ...(category && { category }),
+          ...(group && { group }),
+          ...(parent && { parent }),
+          ...(typeof disabled === 'boolean' && { disabled })
+        },
+        $addToSet: {
+          synonyms: { $each: synonyms },
+          caseSensitive: { $each: caseSensitive },
+          related: { $each: related }
+        }
+      },
+      { upsert: true, runValidators: true }
+    );
+    await skillTaxonomy.loadCustom();
+
+    const skill = skillTaxonomy.get(skillId);
+    res.json({
+      success: true,
+      skill: skill && skillTaxonomy.describe(skill),
+      warnings: skillTaxonomy.warnings.filter(warning => warning.skill === skillId)
+    });
+  } catch (error) {
+    console.error('Update skill error:', error);
+    res.status(500).json({ error: 'Failed to update skill' });
+  }
+});
+
+// Remove a skill; built-in skills are hidden rather than deleted
+router.delete('/skills/:skillId', authenticateAdmin, async (req, res) => {
+  try {
+    const { skillId } = req.params;
+
+    if (skillTaxonomy.isBuiltIn(skillId)) {
+      await Skill.updateOne({ skillId }, { $set: { disabled: true, updatedBy: 'admin' } }, { upsert: true });
+    } else {
+      const result = await Skill.deleteOne({ skillId });
+      if (result.deletedCount === 0) {
+        return res.status(404).json({ error: 'Skill not found' });
+      }
+    }
+    await skillTaxonomy.loadCustom();
+
+    res.json({
+      success: true,
+      message: 'Skill removed'
+    });
+  } catch (error) {
+    console.error('Remove skill error:', error);
+    res.status(500).json({ error: 'Failed to remove skill' });
+  }
+});
+
+// Re-read the admin additions, e.g. after editing Skill documents directly
+router.post('/skills/reload', authenticateAdmin, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      ...await skillTaxonomy.loadCustom()
+    });
+  } catch (error) {
+    console.error('Skills reload error:', error);
+    res.status(500).json({ error: 'Failed to reload skills' });
+  }
+});
+
+// Preview what the extractor finds in a job ad or CV text
+router.post('/skills/extract', authenticateAdmin, async (req, res) => {
+  try {
+    const { text, title = '' } = req.body;
+
+    if (!text || typeof text !== 'string') {
+      return res.status(400).json({ error: 'text is required' });
+    }
+
+    res.json({
+      success: true,
+      skills: skillTaxonomy.extract(`${title} ${text}`),
+      categories: skillTaxonomy.categoriesFor({ title, description: text })
+    });
+  } catch (error) {
+    console.error('Skill extraction error:', error);
+    res.status(500).json({ error: 'Failed to extract skills' });
+  }
+});
+
 export default router;
@@ -0,0 +1,107 @@
+import express from 'express';
+import orderService from '../services/billing/orderService.js';
+
+const router = express.Router();
+
+// Only ever the signed-in user's; a userId in the request is not trusted
+const currentUserId = (req) => req.user._id;
+
+router.use((req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+  next();
+});
+
+// Service errors carry the HTTP status to answer with
+const sendError = (res, error, fallback) => {
+  if (error.status) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error(`${fallback}:`, error);
+  res.status(500).json({ error: fallback });
+};
+
+const sendCart = async (res, cart) => {
+  res.json({
+    success: true,
+    cart: await orderService.summary(cart)
+  });
+};
+
+// Current cart priced from the catalogue
+router.get('/', async (req, res) => {
+  try {
+    await sendCart(res, await orderService.getCart(currentUserId(req)));
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch cart');
+  }
+});
+
+// Add a product: { "product": "cv_rewrite", "quantity": 1 }
+router.post('/items', async (req, res) => {
+  try {
+    const { product, quantity = 1 } = req.body;
+    const cart = await orderService.addItem(currentUserId(req), product, parseInt(quantity));
+    await sendCart(res, cart);
+  } catch (error) {
+    sendError(res, error, 'Failed to add to cart');
+  }
+});
+
+router.patch('/items/:product', async (req, res) => {
+  try {
+    const cart = await orderService.setQuantity(currentUserId(req), req.params.product, parseInt(req.body.quantity));
+    await sendCart(res, cart);
+  } catch (error) {
+    sendError(res, error, 'Failed to update cart');
+  }
+});
+
+router.delete('/items/:product', async (req, res) => {
+  try {
+    const cart = await orderService.removeItem(currentUserId(req), req.params.product);
+    await sendCart(res, cart);
+  } catch (error) {
+    sendError(res, error, 'Failed to update cart');
+  }
+});
+
+router.post('/coupon', async (req, res) => {
+  try {
+    const { code } = req.body;
+    if (!code) {
+      return res.status(400).json({ error: 'Coupon code is required' });
+    }
+
+    const cart = await orderService.applyCoupon(currentUserId(req), code);
+    await sendCart(res, cart);
+  } catch (error) {
+    sendError(res, error, 'Failed to apply coupon');
+  }
+});
+
+router.delete('/coupon', async (req, res) => {
+  try {
+    const cart = await orderService.removeCoupon(currentUserId(req));
+    await sendCart(res, cart);
+  } catch (error) {
+    sendError(res, error, 'Failed to remove coupon');
+  }
+});
+
+// Price the cart into an order; pay for it with /api/payments/* and its id
+router.post('/checkout', async (req, res) => {
+  try {
+    const order = await orderService.checkout(currentUserId(req));
+
+    res.status(201).json({
+      success: true,
+      order
+    });
+  } catch (error) {
+    sendError(res, error, 'Checkout failed');
+  }
+});
+
+export default router;
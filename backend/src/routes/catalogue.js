@@ -0,0 +1,17 @@
+import express from 'express';
+import orderService from '../services/billing/orderService.js';
+import subscriptionService from '../services/billing/subscriptionService.js';
+
+const router = express.Router();
+
+// Products and subscription plans with prices excluding and including VAT
+router.get('/', (req, res) => {
+  res.json({
+    success: true,
+    products: orderService.catalogue(),
+    plans: subscriptionService.plans(),
+    vatRate: orderService.vatRate
+  });
+});
+
+export default router;
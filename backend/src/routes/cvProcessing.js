@@ -1,8 +1,16 @@
 import express from 'express';
 import multer from 'multer';
-import { CVProcessor } from '../../ai_services/cvProcessor.js';
 import { SecurityManager } from '../security/encryption.js';
 import User from '../models/User.js';
+import Job from '../models/Job.js';
+import cvJobQueue from '../services/cvJobQueue.js';
+import cvRevisionService from '../services/cvRevisionService.js';
+import cvTailor from '../services/cvTailor.js';
+import cvParser from '../services/cvParser.js';
+import atsScorer from '../services/atsScorer.js';
+import documentRenderer, { DOCUMENT_TYPES } from '../services/documentRenderer.js';
+import { getTemplate } from '../services/documents/templates.js';
+import { detectFileType, getFileExtension, CV_FILE_EXTENSIONS, CV_CLIENT_MIME_TYPES } from '../services/extraction/fileSniffer.js';
 
 const router = express.Router();
 
@@ -13,23 +21,26 @@ const upload = multer({
   limits: {
     fileSize: 5 * 1024 * 1024, // 5MB limit
   },
+  // First pass on name and declared type only; the real type is sniffed from the bytes after upload
   fileFilter: (req, file, cb) => {
-    if (file.mimetype === 'application/pdf' || 
-        file.mimetype === 'application/msword' ||
-        file.mimetype === 'application/vnd.openxmlformats-officedocument.wordprocessingml.document') {
+    if (CV_FILE_EXTENSIONS.includes(getFileExtension(file.originalname)) ||
+        CV_CLIENT_MIME_TYPES.includes(file.mimetype)) {
       cb(null, true);
     } else {
-      cb(new Error('Only PDF and Word documents are allowed'), false);
+      cb(new Error('Only PDF, Word, OpenDocument, RTF, text and image (JPG/PNG) files are allowed'), false);
     }
   }
 });
 
-const cvProcessor = new CVProcessor();
-
-// Upload and process CV
+// Upload a CV and queue it for processing; progress is reported via /jobs/:jobId
 router.post('/upload', upload.single('cv'), async (req, res) => {
   try {
-    const { targetIndustry, userId } = req.body;
+    // The CV belongs to whoever is signed in, never to a userId in the form
+    if (!req.user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    const { targetIndustry } = req.body;
     const cvFile = req.file;
 
     if (!cvFile) {
@@ -40,45 +51,164 @@ router.post('/upload', upload.single('cv'), async (req, res) => {
       return res.status(400).json({ error: 'Target industry is required' });
     }
 
-    // Extract text from PDF
-    const extractedText = await cvProcessor.extractTextFromPDF(cvFile.buffer);
-    
-    // Encrypt sensitive data
-    const encryptedOriginalCV = SecurityManager.encryptSensitiveData(extractedText);
+    const fileType = detectFileType(cvFile.buffer);
+    if (!fileType) {
+      return res.status(415).json({
+        error: 'Unrecognised file format. Please upload a PDF, Word (.doc/.docx), OpenDocument (.odt), RTF, plain text or JPG/PNG CV.'
+      });
+    }
+
+    const job = await cvJobQueue.enqueue({
+      userId: req.user._id,
+      targetIndustry,
+      file: { ...cvFile, mimetype: fileType.mimeType }
+    });
+
+    res.status(202).json({
+      success: true,
+      jobId: job._id,
+      status: job.status,
+      statusUrl: `/api/cv/jobs/${job._id}`,
+      eventsUrl: `/api/cv/jobs/${job._id}/events`,
+      message: 'CV queued for processing'
+    });
+  } catch (error) {
+    console.error('CV upload error:', error);
+    res.status(500).json({ error: error.message || 'CV upload failed' });
+  }
+});
 
-    // Rewrite CV using AI
-    const enhancedCV = await cvProcessor.rewriteCV(extractedText, targetIndustry);
+// Only the signed-in owner (or an admin) may see a job
+const findAccessibleJob = async (req) => {
+  if (!req.user) return null;
 
-    // Generate cover letter
-    const coverLetter = await cvProcessor.generateCoverLetter(extractedText, targetIndustry);
+  const job = await cvJobQueue.getJob(req.params.jobId);
+  if (!job) return null;
 
-    // Save to user's profile if userId provided
-    if (userId) {
-      await User.findByIdAndUpdate(userId, {
-        'cv.original': encryptedOriginalCV,
-        'cv.enhanced': enhancedCV,
-        'cv.coverLetter': coverLetter,
-        'profile.preferredIndustry': targetIndustry
-      });
+  if (req.user.role !== 'admin' && !(job.userId && job.userId.equals(req.user._id))) {
+    return null;
+  }
+
+  return job;
+};
+
+// Get CV processing job status
+router.get('/jobs/:jobId', async (req, res) => {
+  try {
+    const job = await findAccessibleJob(req);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
     }
 
     res.json({
       success: true,
-      enhancedCV,
-      coverLetter,
-      message: 'CV processed successfully'
+      job: job.toProgress(),
+      ...(job.status === 'completed' && {
+        result: {
+          enhancedCV: job.results.atsOptimizedCV,
+          coverLetter: job.results.coverLetter,
+          analysis: job.results.analysis,
+          atsReport: job.results.atsReport
+        }
+      })
+    });
+  } catch (error) {
+    console.error('CV job fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch job' });
+  }
+});
+
+// Stream CV processing progress as server-sent events
+router.get('/jobs/:jobId/events', async (req, res) => {
+  try {
+    const job = await findAccessibleJob(req);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
     });
+    res.flushHeaders();
+
+    const isFinished = (progress) => ['completed', 'failed'].includes(progress.status);
+    let lastPayload = null;
+    let unsubscribe = () => {};
+    let pollTimer = null;
+
+    const cleanup = () => {
+      unsubscribe();
+      clearInterval(pollTimer);
+    };
+
+    const send = (progress) => {
+      if (res.writableEnded) return;
+      const payload = JSON.stringify(progress);
+      if (payload === lastPayload) return;
+      lastPayload = payload;
+
+      res.write(`event: ${isFinished(progress) ? progress.status : 'progress'}\n`);
+      res.write(`data: ${payload}\n\n`);
+
+      if (isFinished(progress)) {
+        cleanup();
+        res.end();
+      }
+    };
+
+    send(job.toProgress());
+    if (isFinished(job)) return;
+
+    // Local workers push updates directly; polling covers workers in other processes
+    unsubscribe = cvJobQueue.subscribe(job._id, send);
+    pollTimer = setInterval(async () => {
+      try {
+        const latest = await cvJobQueue.getJob(job._id);
+        if (latest) send(latest.toProgress());
+        // The update may have been the last one and ended the stream
+        if (!res.writableEnded) {
+          res.write(': keep-alive\n\n');
+        }
+      } catch (error) {
+        console.error('CV job poll error:', error);
+      }
+    }, 5000);
+
+    req.on('close', cleanup);
   } catch (error) {
-    console.error('CV processing error:', error);
-    res.status(500).json({ error: error.message || 'CV processing failed' });
+    console.error('CV job events error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Failed to stream job progress' });
+    }
   }
 });
 
+// List the available CV templates and download formats
+router.get('/documents/templates', (req, res) => {
+  res.json({
+    templates: documentRenderer.templates,
+    formats: documentRenderer.formats
+  });
+});
+
+// Signed-in users may only read their own CVs unless they are an admin
+const canAccessUser = (req, userId) => {
+  if (!req.user) return false;
+  return req.user.role === 'admin' || req.user._id.toString() === String(userId);
+};
+
 // Get user's CV documents
 router.get('/documents/:userId', async (req, res) => {
   try {
     const { userId } = req.params;
 
+    if (!canAccessUser(req, userId)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
     const user = await User.findById(userId).select('cv profile');
     if (!user) {
       return res.status(404).json({ error: 'User not found' });
@@ -102,4 +232,403 @@ router.get('/documents/:userId', async (req, res) => {
   }
 });
 
+// Download the enhanced CV or cover letter as a rendered PDF/DOCX
+router.get('/documents/:userId/download', async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { format = 'pdf', template = 'classic', document = 'cv', revisionId } = req.query;
+
+    if (!canAccessUser(req, userId)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    if (!documentRenderer.formats.includes(format)) {
+      return res.status(400).json({ error: `Format must be one of: ${documentRenderer.formats.join(', ')}` });
+    }
+
+    if (!getTemplate(template)) {
+      return res.status(400).json({ error: 'Unknown template' });
+    }
+
+    if (!DOCUMENT_TYPES.includes(document)) {
+      return res.status(400).json({ error: `Document must be one of: ${DOCUMENT_TYPES.join(', ')}` });
+    }
+
+    const user = await User.findById(userId).select('+cv.enhanced +cv.coverLetter +cv.structured profile email');
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    // A past or tailored revision instead of the current documents
+    let source = user.cv;
+    if (revisionId) {
+      const revision = await cvRevisionService.getRevision(userId, revisionId);
+      if (!revision) {
+        return res.status(404).json({ error: 'Revision not found' });
+      }
+      source = { enhanced: cvRevisionService.getContent(revision), coverLetter: revision.coverLetter };
+    }
+
+    const content = document === 'cover_letter' ? source.coverLetter : source.enhanced;
+    if (!content) {
+      return res.status(404).json({ error: 'No processed document available. Upload a CV first.' });
+    }
+
+    // Prefer the parsed (and possibly user-corrected) contact details over the profile
+    const parsed = user.cv.structured?.basics || {};
+    const basics = {
+      name: parsed.name || `${user.profile.firstName} ${user.profile.lastName}`,
+      label: parsed.label || user.profile.currentPosition,
+      email: parsed.email || user.email,
+      phone: parsed.phone || user.profile.phone,
+      location: { city: parsed.location?.city || user.profile.location?.city },
+      profiles: parsed.profiles
+    };
+
+    const rendered = await documentRenderer.render({ content, basics, document, format, template });
+
+    res.set({
+      'Content-Type': rendered.mimeType,
+      'Content-Length': rendered.buffer.length,
+      'Content-Disposition': `attachment; filename="${rendered.fileName}"`
+    });
+    res.send(rendered.buffer);
+  } catch (error) {
+    console.error('Document download error:', error);
+    res.status(500).json({ error: 'Failed to render document' });
+  }
+});
+
+// List CV revisions
+router.get('/revisions/:userId', async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { page = 1, limit = 20 } = req.query;
+
+    if (!canAccessUser(req, userId)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const { revisions, total } = await cvRevisionService.listRevisions(userId, { page, limit });
+
+    res.json({
+      success: true,
+      revisions,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('CV revisions fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch revisions' });
+  }
+});
+
+// Diff two CV revisions
+router.get('/revisions/:userId/diff', async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { from, to } = req.query;
+
+    if (!canAccessUser(req, userId)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    if (!from || !to) {
+      return res.status(400).json({ error: 'Both from and to revision ids are required' });
+    }
+
+    const diff = await cvRevisionService.diffRevisions(userId, from, to);
+    if (!diff) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    res.json({
+      success: true,
+      diff
+    });
+  } catch (error) {
+    console.error('CV revision diff error:', error);
+    res.status(500).json({ error: 'Failed to compare revisions' });
+  }
+});
+
+// Get a single CV revision
+router.get('/revisions/:userId/:revisionId', async (req, res) => {
+  try {
+    const { userId, revisionId } = req.params;
+
+    if (!canAccessUser(req, userId)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const revision = await cvRevisionService.getRevision(userId, revisionId);
+    if (!revision) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    res.json({
+      success: true,
+      revision: {
+        ...revision.toSummary(),
+        content: cvRevisionService.getContent(revision),
+        coverLetter: revision.coverLetter,
+        analysis: revision.analysis,
+        tailoring: revision.tailoring
+      }
+    });
+  } catch (error) {
+    console.error('CV revision fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch revision' });
+  }
+});
+
+// Restore a previous CV revision as the current CV
+router.post('/revisions/:userId/:revisionId/restore', async (req, res) => {
+  try {
+    const { userId, revisionId } = req.params;
+
+    if (!canAccessUser(req, userId)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const revision = await cvRevisionService.restoreRevision(userId, revisionId);
+    if (!revision) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    res.json({
+      success: true,
+      message: `Revision ${revision.revisionNumber} restored`,
+      revision: revision.toSummary()
+    });
+  } catch (error) {
+    console.error('CV revision restore error:', error);
+    res.status(500).json({ error: 'Failed to restore revision' });
+  }
+});
+
+// Write a CV variant and cover letter for one job, e.g. { "jobId": "...", "applicationId": "..." }.
+// Without an applicationId the pair is linked to the user's application for the job, if any.
+router.post('/tailor/:userId', async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { jobId, applicationId } = req.body;
+
+    if (!canAccessUser(req, userId)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    if (!jobId) {
+      return res.status(400).json({ error: 'jobId is required' });
+    }
+
+    let result;
+    try {
+      result = await cvTailor.tailor(userId, jobId, { applicationId });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      throw error;
+    }
+
+    const { revision, job, application, ats } = result;
+
+    res.status(201).json({
+      success: true,
+      revision: revision.toSummary(),
+      job: { id: job._id, title: job.title, company: job.company, location: job.location },
+      applicationId: application?._id || null,
+      cv: revision.content,
+      coverLetter: revision.coverLetter,
+      highlights: revision.tailoring.highlights,
+      gaps: revision.tailoring.gaps,
+      jobAnalysis: revision.tailoring.jobAnalysis,
+      ats
+    });
+  } catch (error) {
+    console.error('CV tailoring error:', error);
+    res.status(500).json({ error: 'Failed to tailor CV' });
+  }
+});
+
+// List the CVs tailored for jobs, optionally for one job (?jobId=)
+router.get('/tailor/:userId', async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { jobId, page = 1, limit = 20 } = req.query;
+
+    if (!canAccessUser(req, userId)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const { revisions, total } = await cvTailor.listTailored(userId, { jobId, page, limit });
+
+    res.json({
+      success: true,
+      revisions,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Tailored CVs fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch tailored CVs' });
+  }
+});
+
+// Get the structured (JSON Resume) version of the user's CV
+router.get('/structured/:userId', async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (!canAccessUser(req, userId)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const user = await User.findById(userId).select('+cv.structured');
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (!user.cv.structured) {
+      return res.status(404).json({ error: 'No structured CV available. Upload a CV first.' });
+    }
+
+    res.json({
+      success: true,
+      resume: user.cv.structured
+    });
+  } catch (error) {
+    console.error('Structured CV fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch structured CV' });
+  }
+});
+
+// Re-run the parser over the user's current original CV
+router.post('/structured/:userId/parse', async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (!canAccessUser(req, userId)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const user = await User.findById(userId).select('+cv.original');
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (!user.cv.original) {
+      return res.status(404).json({ error: 'No CV uploaded' });
+    }
+
+    const resume = cvParser.parse(SecurityManager.decryptSensitiveData(user.cv.original));
+    await User.findByIdAndUpdate(userId, { $set: { 'cv.structured': resume } });
+
+    res.json({
+      success: true,
+      resume
+    });
+  } catch (error) {
+    console.error('Structured CV parse error:', error);
+    res.status(500).json({ error: 'Failed to parse CV' });
+  }
+});
+
+// Save user corrections to the structured CV
+router.put('/structured/:userId', async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { resume } = req.body;
+
+    if (!canAccessUser(req, userId)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    if (!resume || typeof resume !== 'object' || !resume.basics) {
+      return res.status(400).json({ error: 'A JSON Resume object with basics is required' });
+    }
+
+    const structured = {
+      ...resume,
+      meta: {
+        ...resume.meta,
+        lastModified: new Date().toISOString(),
+        editedByUser: true
+      }
+    };
+
+    const user = await User.findByIdAndUpdate(userId, { $set: { 'cv.structured': structured } });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Structured CV updated',
+      resume: structured
+    });
+  } catch (error) {
+    console.error('Structured CV update error:', error);
+    res.status(500).json({ error: 'Failed to update structured CV' });
+  }
+});
+
+// Score CV text (or the user's current CV) for ATS compatibility against a job or industry
+router.post('/ats/score', async (req, res) => {
+  try {
+    const { text, userId, industry, jobId, jobDescription, keywords } = req.body;
+    let content = text;
+    let targetIndustry = industry;
+
+    if (!content) {
+      if (!userId) {
+        return res.status(400).json({ error: 'Provide CV text or a userId' });
+      }
+
+      if (!canAccessUser(req, userId)) {
+        return res.status(403).json({ error: 'Access denied' });
+      }
+
+      const user = await User.findById(userId).select('+cv.enhanced profile');
+      if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      if (!user.cv.enhanced) {
+        return res.status(404).json({ error: 'No processed CV available. Upload a CV first.' });
+      }
+
+      content = user.cv.enhanced;
+      targetIndustry = targetIndustry || user.profile.preferredIndustry;
+    }
+
+    let job = jobDescription;
+    if (jobId) {
+      job = await Job.findById(jobId).select('title description requirements skills requirementsAnalysis');
+      if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+      }
+    }
+
+    const report = atsScorer.score(content, { industry: targetIndustry, job, keywords });
+
+    res.json({
+      success: true,
+      report
+    });
+  } catch (error) {
+    console.error('ATS scoring error:', error);
+    res.status(500).json({ error: 'Failed to score CV' });
+  }
+});
+
 export default router;
@@ -1,10 +1,12 @@
 import express from 'express';
-import { JobScraper } from '../../ai_services/jobScraper.js';
 import Job from '../models/Job.js';
 import User from '../models/User.js';
+import jobMatcher from '../services/jobMatcher.js';
+import scrapingService from '../services/scrapingService.js';
+import salaryBenchmarks, { DIMENSIONS } from '../services/salaryBenchmarks.js';
+import gazetteer from '../services/geo/gazetteer.js';
 
 const router = express.Router();
-const jobScraper = new JobScraper();
 
 // Scrape jobs based on user preferences
 router.post('/scrape-for-user', async (req, res) => {
@@ -20,45 +22,20 @@ router.post('/scrape-for-user', async (req, res) => {
     const searchKeywords = keywords || (user?.jobPreferences?.industries?.[0]) || 'software engineer';
     const searchLocation = location || (user?.jobPreferences?.locations?.[0]) || 'South Africa';
 
-    // Scrape jobs
-    const jobs = await jobScraper.scrapeJobs(searchKeywords, searchLocation);
-
-    // Store jobs in database
-    const jobPromises = jobs.map(async (jobData) => {
-      const existingJob = await Job.findOne({
-        title: jobData.title,
-        company: jobData.company,
-        location: jobData.location
-      });
-
-      if (!existingJob) {
-        const job = new Job({
-          title: jobData.title,
-          company: jobData.company,
-          description: jobData.summary || jobData.description,
-          location: jobData.location,
-          applicationUrl: jobData.link,
-          source: {
-            website: jobData.source,
-            url: jobData.link
-          },
-          requirements: [], // Would be extracted from description
-          metadata: {
-            matchesCount: 0,
-            applicationsCount: 0
-          }
-        });
-        return job.save();
-      }
-      return existingJob;
+    // Scrape and store jobs through the site adapters
+    const result = await scrapingService.scrapeJobs(searchKeywords, searchLocation, 50, {
+      sites: req.body.sites
     });
 
-    await Promise.all(jobPromises);
+    if (!result.success) {
+      return res.status(502).json({ error: result.error, errors: result.errors });
+    }
 
     res.json({
       success: true,
-      jobsFound: jobs.length,
-      jobs: jobs.slice(0, 20) // Return first 20 jobs
+      jobsFound: result.jobsFound,
+      jobs: result.jobs.slice(0, 20), // Return first 20 jobs
+      errors: result.errors
     });
   } catch (error) {
     console.error('Job scraping error:', error);
@@ -66,48 +43,44 @@ router.post('/scrape-for-user', async (req, res) => {
   }
 });
 
-// Get matching jobs for user
+// Rank all active jobs for a user by semantic similarity plus skills,
+// seniority, location and salary fit
 router.get('/match/:userId', async (req, res) => {
   try {
     const { userId } = req.params;
     const { page = 1, limit = 10 } = req.query;
 
-    const user = await User.findById(userId);
-    if (!user) {
-      return res.status(404).json({ error: 'User not found' });
+    // Matches are worked out from the user's CV, so only they or an admin may see them
+    if (!req.user || (req.user.role !== 'admin' && req.user._id.toString() !== String(userId))) {
+      return res.status(403).json({ error: 'Access denied' });
     }
 
-    const skip = (page - 1) * limit;
+    const pageSize = Math.min(parseInt(limit) || 10, 50);
 
-    // Simple matching based on industry preference
-    const industry = user.profile.preferredIndustry;
-    let query = { isActive: true };
+    const result = await jobMatcher.matchJobsForUser(userId, {
+      page: parseInt(page),
+      limit: pageSize
+    });
 
-    if (industry) {
-      query = {
-        ...query,
-        $or: [
-          { title: { $regex: industry, $options: 'i' } },
-          { description: { $regex: industry, $options: 'i' } }
-        ]
-      };
+    if (!result) {
+      return res.status(404).json({ error: 'User not found' });
     }
 
-    const jobs = await Job.find(query)
-      .skip(skip)
-      .limit(parseInt(limit))
-      .sort({ createdAt: -1 });
-
-    const total = await Job.countDocuments(query);
-
     res.json({
       success: true,
-      jobs,
+      // Jobs keep their original shape; the ranking rides along on each one
+      jobs: result.matches.map(({ job, score, components }) => ({
+        ...job,
+        matchScore: score,
+        matchComponents: components
+      })),
+      semantic: result.semantic,
+      model: result.model,
       pagination: {
         page: parseInt(page),
-        limit: parseInt(limit),
-        total,
-        pages: Math.ceil(total / limit)
+        limit: pageSize,
+        total: result.total,
+        pages: Math.ceil(result.total / pageSize)
       }
     });
   } catch (error) {
@@ -116,13 +89,81 @@ router.get('/match/:userId', async (req, res) => {
   }
 });
 
-// Get all active jobs
+// Monthly ZAR pay percentiles for a title, category, experience level and/or
+// location, an estimate from the closest bucket with enough data, and
+// optionally a breakdown by one dimension (groupBy=role|category|experienceLevel|city).
+// Pass jobId to benchmark an existing job.
+router.get('/salary-insights', async (req, res) => {
+  try {
+    const { jobId, groupBy } = req.query;
+    let query = {
+      title: req.query.title,
+      category: req.query.category,
+      experienceLevel: req.query.experienceLevel,
+      location: req.query.location
+    };
+
+    if (groupBy && !DIMENSIONS.includes(groupBy)) {
+      return res.status(400).json({ error: `groupBy must be one of ${DIMENSIONS.join(', ')}` });
+    }
+
+    let job = null;
+    if (jobId) {
+      job = await Job.findById(jobId).select('title location categories experienceLevel salaryRange salaryEstimate').lean();
+      if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+      }
+      query = { ...salaryBenchmarks.queryForJob(job), ...Object.fromEntries(Object.entries(query).filter(([, value]) => value)) };
+    }
+
+    const [benchmark, estimate, groups] = await Promise.all([
+      salaryBenchmarks.benchmark(query),
+      salaryBenchmarks.estimate(query),
+      groupBy ? salaryBenchmarks.breakdown(groupBy, query) : null
+    ]);
+
+    res.json({
+      success: true,
+      currency: 'ZAR',
+      period: 'monthly',
+      benchmark,
+      estimate,
+      ...(groups && { groupBy, groups }),
+      ...(job && { job: { id: job._id, title: job.title, salaryRange: job.salaryRange, salaryEstimate: job.salaryEstimate } })
+    });
+  } catch (error) {
+    console.error('Salary insights error:', error);
+    res.status(500).json({ error: 'Failed to fetch salary insights' });
+  }
+});
+
+// Get all active jobs, optionally within radiusKm of a place
+// (?near=Sandton&radiusKm=30) or of a point (?lat=-26.1&lng=28.05)
 router.get('/active', async (req, res) => {
   try {
-    const { page = 1, limit = 20, search } = req.query;
+    const { page = 1, limit = 20, search, near, lat, lng } = req.query;
 
     const skip = (page - 1) * limit;
     let query = { isActive: true };
+    let center = null;
+
+    if (near || (lat && lng)) {
+      center = near
+        ? gazetteer.resolve(near)
+        : { name: `${lat},${lng}`, type: 'point', lat: parseFloat(lat), lng: parseFloat(lng) };
+
+      if (!center || Number.isNaN(center.lat) || Number.isNaN(center.lng)) {
+        return res.status(400).json({ error: `Unknown location: ${near || `${lat},${lng}`}` });
+      }
+
+      const radiusKm = Math.min(Math.max(parseFloat(req.query.radiusKm) || 30, 1), 500);
+      center.radiusKm = radiusKm;
+
+      // A province has no centre worth measuring from
+      Object.assign(query, center.type === 'province'
+        ? { 'place.provinceCode': center.provinceCode }
+        : gazetteer.withinFilter(center, radiusKm));
+    }
 
     if (search) {
       query = {
@@ -145,6 +186,7 @@ router.get('/active', async (req, res) => {
     res.json({
       success: true,
       jobs,
+      ...(center && { near: center }),
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
@@ -158,33 +200,4 @@ router.get('/active', async (req, res) => {
   }
 });
 
-// Mark job as filled
-router.patch('/:jobId/filled', async (req, res) => {
-  try {
-    const { jobId } = req.params;
-
-    const job = await Job.findByIdAndUpdate(
-      jobId,
-      { 
-        isActive: false,
-        filledAt: new Date()
-      },
-      { new: true }
-    );
-
-    if (!job) {
-      return res.status(404).json({ error: 'Job not found' });
-    }
-
-    res.json({
-      success: true,
-      message: 'Job marked as filled',
-      job
-    });
-  } catch (error) {
-    console.error('Mark job filled error:', error);
-    res.status(500).json({ error: 'Failed to update job' });
-  }
-});
-
 export default router;
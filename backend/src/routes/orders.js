@@ -0,0 +1,81 @@
+import express from 'express';
+import orderService from '../services/billing/orderService.js';
+import Order from '../models/Order.js';
+import Payment from '../models/Payment.js';
+
+const router = express.Router();
+
+// Only ever the signed-in user's; a userId in the request is not trusted
+const currentUserId = (req) => req.user._id;
+
+router.use((req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+  next();
+});
+
+// Order history
+router.get('/', async (req, res) => {
+  try {
+    const { status, page = 1, limit = 10 } = req.query;
+
+    const { orders, total } = await orderService.list(currentUserId(req), { status, page, limit });
+
+    res.json({
+      success: true,
+      orders,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Order history error:', error);
+    res.status(500).json({ error: 'Failed to fetch orders' });
+  }
+});
+
+// One order with its payment attempts
+router.get('/:orderId', async (req, res) => {
+  try {
+    const order = await Order.findOne({ _id: req.params.orderId, userId: currentUserId(req) }).lean();
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    const payments = await Payment.find({ _id: { $in: order.payments } })
+      .select('reference paymentMethod status amount processedAt createdAt')
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.json({
+      success: true,
+      order: { ...order, payments }
+    });
+  } catch (error) {
+    console.error('Order fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch order' });
+  }
+});
+
+router.post('/:orderId/cancel', async (req, res) => {
+  try {
+    const order = await orderService.cancel(currentUserId(req), req.params.orderId);
+
+    res.json({
+      success: true,
+      order
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Order cancel error:', error);
+    res.status(500).json({ error: 'Failed to cancel order' });
+  }
+});
+
+export default router;
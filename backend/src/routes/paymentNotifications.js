@@ -0,0 +1,31 @@
+import express from 'express';
+import paymentService from '../services/billing/paymentService.js';
+
+// Gateway-to-server notifications. These are mounted without user auth: the
+// gateway is the caller, and each notification is verified on its own.
+const router = express.Router();
+
+// The posted fields in their original order and unescaped: the signature and
+// the validate post-back are computed over them, and input sanitising would
+// change them
+const postedFields = (req) => req.rawBody && req.is('application/x-www-form-urlencoded')
+  ? Object.fromEntries(new URLSearchParams(req.rawBody.toString('utf8')))
+  : req.body;
+
+// Payment callbacks, e.g. PayFast's ITN at /payfast/notify. Gateways resend
+// until they get a 200, so duplicates are answered OK and a failed
+// confirmation with 503.
+router.post('/:gateway/notify', async (req, res) => {
+  try {
+    const result = await paymentService.handleCallback(req.params.gateway, postedFields(req), { ip: req.ip });
+    if (result.accepted) {
+      return res.status(200).send('OK');
+    }
+    res.status(result.status).send(result.reason);
+  } catch (error) {
+    console.error('Payment callback error:', error);
+    res.status(500).send('Error processing payment notification');
+  }
+});
+
+export default router;
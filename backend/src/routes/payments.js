@@ -1,155 +1,88 @@
 import express from 'express';
-import crypto from 'crypto';
 import Payment from '../models/Payment.js';
-import User from '../models/User.js';
+import paymentService from '../services/billing/paymentService.js';
 
 const router = express.Router();
 
-// FNB Direct EFT
-router.post('/fnb-eft', async (req, res) => {
-  try {
-    const { amount, reference, customer, items } = req.body;
-    
-    // Generate secure payment request
-    const paymentData = {
-      merchant_id: process.env.FNB_MERCHANT_ID,
-      merchant_key: process.env.FNB_MERCHANT_KEY,
-      return_url: `${process.env.BASE_URL}/payment/success`,
-      cancel_url: `${process.env.BASE_URL}/payment/cancel`,
-      amount: amount.toFixed(2),
-      item_name: 'CareerBoost CV Services',
-      custom_str1: reference,
-      email_address: customer.email
-    };
-
-    // Generate signature for security
-    const signature = generateFNBSignature(paymentData);
-    paymentData.signature = signature;
-
-    // Create payment record
-    const payment = new Payment({
-      userId: customer.userId,
-      amount,
-      currency: 'ZAR',
-      paymentMethod: 'fnb_eft',
-      status: 'pending',
-      reference,
-      items,
-      paymentData: {
-        merchantId: paymentData.merchant_id,
-        amount: paymentData.amount,
-        reference: paymentData.custom_str1
-      }
-    });
+// Only ever the signed-in user's; a userId in the request is not trusted
+const currentUserId = (req) => req.user._id;
 
-    await payment.save();
+// Admins can see anyone's payments
+const canAccessUser = (req, userId) => req.user.role === 'admin' || req.user._id.toString() === String(userId);
 
-    res.json({
-      success: true,
-      paymentUrl: 'https://fnbpay.co.za/eng/process',
-      paymentData,
-      paymentId: payment._id
-    });
-  } catch (error) {
-    console.error('FNB EFT payment error:', error);
-    res.status(500).json({ error: 'Payment processing failed' });
+const sendError = (res, error, fallback) => {
+  if (error.status) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error(`${fallback}:`, error);
+  res.status(500).json({ error: fallback });
+};
+
+// Gateways a customer can pay with
+router.get('/gateways', (req, res) => {
+  res.json({
+    success: true,
+    gateways: paymentService.listGateways()
+  });
+});
+
+// Listing gateways needs no account; everything below does
+router.use((req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Authentication required' });
   }
+  next();
 });
 
-// PayFast Integration
-router.post('/payfast', async (req, res) => {
+// Start paying an order: { "orderId": "...", "gateway": "payfast" }. The
+// amount is the order's total; the response says what the browser does next.
+// The sandbox gateway also takes "outcome": success, failure, cancel or pending.
+router.post('/', async (req, res) => {
   try {
-    const { amount, reference, customer, items } = req.body;
-    
-    const paymentData = {
-      merchant_id: process.env.PAYFAST_MERCHANT_ID,
-      merchant_key: process.env.PAYFAST_MERCHANT_KEY,
-      return_url: `${process.env.BASE_URL}/payment/success`,
-      cancel_url: `${process.env.BASE_URL}/payment/cancel`,
-      notify_url: `${process.env.BASE_URL}/api/payments/payfast/notify`,
-      m_payment_id: reference,
-      amount: amount.toFixed(2),
-      item_name: 'CareerBoost Premium Services',
-      item_description: 'CV Rewriting and Job Matching',
-      email_address: customer.email,
-      custom_str1: customer.userId
-    };
-
-    // Generate PayFast signature
-    const signature = generatePayFastSignature(paymentData);
-    paymentData.signature = signature;
-
-    // Create payment record
-    const payment = new Payment({
-      userId: customer.userId,
-      amount,
-      currency: 'ZAR',
-      paymentMethod: 'payfast',
-      status: 'pending',
-      reference,
-      items,
-      paymentData: {
-        merchantId: paymentData.merchant_id,
-        amount: paymentData.amount,
-        reference: paymentData.m_payment_id
-      }
-    });
+    const { orderId, gateway, outcome } = req.body;
+    if (!orderId || !gateway) {
+      return res.status(400).json({ error: 'orderId and gateway are required' });
+    }
 
-    await payment.save();
+    const { payment, order, action } = await paymentService.start(currentUserId(req), orderId, gateway, {
+      baseUrl: process.env.BASE_URL,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent'),
+      outcome
+    });
 
-    res.json({
+    res.status(201).json({
       success: true,
-      paymentUrl: 'https://www.payfast.co.za/eng/process',
-      paymentData,
-      paymentId: payment._id
+      paymentId: payment._id,
+      orderId: order._id,
+      reference: payment.reference,
+      amount: payment.amount,
+      gateway: payment.paymentMethod,
+      action
     });
   } catch (error) {
-    console.error('PayFast payment error:', error);
-    res.status(500).json({ error: 'PayFast processing failed' });
+    sendError(res, error, 'Payment could not be started');
   }
 });
 
-// PayFast ITN (Instant Transaction Notification) handler
-router.post('/payfast/notify', async (req, res) => {
+// Where a payment stands, asking the gateway too in case its callback is late
+router.get('/:paymentId/status', async (req, res) => {
   try {
-    const data = req.body;
-    
-    // Verify PayFast signature
-    const signature = generatePayFastSignature(data);
-    if (signature !== data.signature) {
-      return res.status(400).send('Invalid signature');
-    }
+    const { payment, gatewayStatus } = await paymentService.queryStatus(req.params.paymentId, currentUserId(req));
 
-    // Find payment
-    const payment = await Payment.findOne({ reference: data.m_payment_id });
-    if (!payment) {
-      return res.status(404).send('Payment not found');
-    }
-
-    // Update payment status
-    payment.status = data.payment_status === 'COMPLETE' ? 'completed' : 'failed';
-    payment.processedAt = new Date();
-    payment.transactionId = data.pf_payment_id;
-
-    await payment.save();
-
-    // If payment successful, activate user services
-    if (payment.status === 'completed') {
-      await User.findByIdAndUpdate(payment.userId, {
-        $push: {
-          services: {
-            type: payment.items[0]?.type || 'premium',
-            activatedAt: new Date(),
-            expiresAt: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000) // 30 days
-          }
-        }
-      });
-    }
-
-    res.status(200).send('OK');
+    res.json({
+      success: true,
+      payment: {
+        id: payment._id,
+        status: payment.status,
+        amount: payment.amount,
+        reference: payment.reference,
+        gateway: payment.paymentMethod
+      },
+      gatewayStatus: gatewayStatus.status
+    });
   } catch (error) {
-    console.error('PayFast ITN error:', error);
-    res.status(500).send('Error processing ITN');
+    sendError(res, error, 'Failed to fetch payment status');
   }
 });
 
@@ -162,6 +95,9 @@ router.get('/success/:paymentId', async (req, res) => {
     if (!payment) {
       return res.status(404).json({ error: 'Payment not found' });
     }
+    if (!canAccessUser(req, payment.userId)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
 
     res.json({
       success: true,
@@ -184,6 +120,10 @@ router.get('/history/:userId', async (req, res) => {
     const { userId } = req.params;
     const { page = 1, limit = 10 } = req.query;
 
+    if (!canAccessUser(req, userId)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
     const skip = (page - 1) * limit;
 
     const payments = await Payment.find({ userId })
@@ -209,24 +149,4 @@ router.get('/history/:userId', async (req, res) => {
   }
 });
 
-function generateFNBSignature(data) {
-  const payload = `${data.merchant_id}${data.amount}${data.reference}`;
-  return crypto.createHmac('sha512', process.env.FNB_SECRET_KEY)
-    .update(payload)
-    .digest('hex');
-}
-
-function generatePayFastSignature(data) {
-  // Remove signature from data for generating new signature
-  const { signature, ...dataWithoutSignature } = data;
-  
-  // Create parameter string
-  const payload = Object.keys(dataWithoutSignature)
-    .sort()
-    .map(key => `${key}=${encodeURIComponent(dataWithoutSignature[key]).replace(/%20/g, '+')}`)
-    .join('&');
-  
-  return crypto.createHash('md5').update(payload + `&passphrase=${process.env.PAYFAST_PASSPHRASE}`).digest('hex');
-}
-
 export default router;
@@ -0,0 +1,81 @@
+import express from 'express';
+import subscriptionService from '../services/billing/subscriptionService.js';
+
+const router = express.Router();
+
+// Only ever the signed-in user's; a userId in the request is not trusted
+const currentUserId = (req) => req.user._id;
+
+router.use((req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+  next();
+});
+
+const sendError = (res, error, fallback) => {
+  if (error.status) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error(`${fallback}:`, error);
+  res.status(500).json({ error: fallback });
+};
+
+// The user's subscriptions, newest first
+router.get('/', async (req, res) => {
+  try {
+    const subscriptions = await subscriptionService.list(currentUserId(req));
+    res.json({
+      success: true,
+      subscriptions
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch subscriptions');
+  }
+});
+
+// Subscribe to a plan: { "plan": "premium_monthly", "gateway": "payfast" }.
+// The first period is paid like an order; the response says what the
+// browser does next. The sandbox gateway also takes "outcome".
+router.post('/', async (req, res) => {
+  try {
+    const { plan, gateway, outcome } = req.body;
+    if (!plan || !gateway) {
+      return res.status(400).json({ error: 'plan and gateway are required' });
+    }
+
+    const { subscription, payment, action } = await subscriptionService.subscribe(currentUserId(req), plan, gateway, {
+      baseUrl: process.env.BASE_URL,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent'),
+      outcome
+    });
+
+    res.status(201).json({
+      success: true,
+      subscriptionId: subscription._id,
+      paymentId: payment._id,
+      reference: payment.reference,
+      amount: payment.amount,
+      gateway: payment.paymentMethod,
+      action
+    });
+  } catch (error) {
+    sendError(res, error, 'Subscription could not be started');
+  }
+});
+
+// Stop renewing; the plan stays active until the paid period ends
+router.post('/:subscriptionId/cancel', async (req, res) => {
+  try {
+    const subscription = await subscriptionService.cancel(currentUserId(req), req.params.subscriptionId);
+    res.json({
+      success: true,
+      subscription
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to cancel subscription');
+  }
+});
+
+export default router;
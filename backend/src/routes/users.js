@@ -1,9 +1,38 @@
 import express from 'express';
 import User from '../models/User.js';
+import CVRevision from '../models/CVRevision.js';
 import { SecurityManager } from '../security/encryption.js';
+import gazetteer from '../services/geo/gazetteer.js';
+import applicationEngine from '../services/applying/applicationEngine.js';
+import applicationTracker, { APPLICATION_STATUSES } from '../services/applicationTracker.js';
+import cvTailor from '../services/cvTailor.js';
+import notificationService from '../services/notifications/notificationService.js';
+import Notification from '../models/Notification.js';
+import Job from '../models/Job.js';
 
 const router = express.Router();
 
+// Preferred locations in the gazetteer's spelling, so "JHB" and "Joburg" are one place
+function normalizeJobPreferences(jobPreferences) {
+  if (!Array.isArray(jobPreferences?.locations)) return jobPreferences;
+  return { ...jobPreferences, locations: gazetteer.normalizeList(jobPreferences.locations) };
+}
+
+// Fills the province of a known home town the user left out
+function normalizeProfile(profile) {
+  const location = profile?.location;
+  if (!location?.city || location.province) return profile;
+
+  const place = gazetteer.resolve(location.city);
+  return place ? { ...profile, location: { ...location, province: place.province } } : profile;
+}
+
+// Signed-in users may only reach their own account unless they are an admin
+const canAccessUser = (req, userId) => {
+  if (!req.user) return false;
+  return req.user.role === 'admin' || req.user._id.toString() === String(userId);
+};
+
 // Get user profile
 router.get('/:userId', async (req, res) => {
   try {
@@ -34,8 +63,8 @@ router.put('/:userId', async (req, res) => {
       userId,
       {
         $set: {
-          ...(profile && { profile }),
-          ...(jobPreferences && { jobPreferences })
+          ...(profile && { profile: normalizeProfile(profile) }),
+          ...(jobPreferences && { jobPreferences: normalizeJobPreferences(jobPreferences) })
         }
       },
       { new: true }
@@ -67,7 +96,7 @@ router.patch('/:userId/preferences', async (req, res) => {
       {
         jobPreferences: {
           industries: industries || [],
-          locations: locations || [],
+          locations: gazetteer.normalizeList(locations || []),
           salaryRange: salaryRange || { min: 0, max: 0 }
         }
       },
@@ -93,7 +122,11 @@ router.patch('/:userId/preferences', async (req, res) => {
 router.get('/:userId/applications', async (req, res) => {
   try {
     const { userId } = req.params;
-    const { page = 1, limit = 10 } = req.query;
+    const { page = 1, limit = 10, status } = req.query;
+
+    if (!canAccessUser(req, userId)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
 
     const user = await User.findById(userId).populate({
       path: 'applications.jobId',
@@ -104,7 +137,11 @@ router.get('/:userId/applications', async (req, res) => {
       return res.status(404).json({ error: 'User not found' });
     }
 
-    const applications = user.applications.slice().reverse();
+    // ?status=interview,offered
+    const statuses = status ? status.split(',') : null;
+    const applications = user.applications
+      .filter(application => !statuses || statuses.includes(application.status))
+      .reverse();
     const startIndex = (page - 1) * limit;
     const endIndex = startIndex + parseInt(limit);
 
@@ -124,6 +161,474 @@ router.get('/:userId/applications', async (req, res) => {
   }
 });
 
+// Applications grouped into Kanban columns for the dashboard
+router.get('/:userId/applications/board', async (req, res) => {
+  try {
+    if (!canAccessUser(req, req.params.userId)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const user = await User.findById(req.params.userId).select('applications');
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json({
+      success: true,
+      columns: await applicationTracker.board(user)
+    });
+  } catch (error) {
+    console.error('Application board error:', error);
+    res.status(500).json({ error: 'Failed to fetch application board' });
+  }
+});
+
+// Funnel statistics: applied -> interview -> offer with conversion rates
+router.get('/:userId/applications/stats', async (req, res) => {
+  try {
+    if (!canAccessUser(req, req.params.userId)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const user = await User.findById(req.params.userId).select('applications');
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json({
+      success: true,
+      funnel: applicationTracker.funnel(user.applications)
+    });
+  } catch (error) {
+    console.error('Application stats error:', error);
+    res.status(500).json({ error: 'Failed to fetch application statistics' });
+  }
+});
+
+// Track an application the user made themselves
+router.post('/:userId/applications', async (req, res) => {
+  try {
+    if (!canAccessUser(req, req.params.userId)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const { jobId, status = 'applied', appliedAt, notes, followUpDate, tailoredRevisionId } = req.body;
+
+    if (!['pending', 'applied'].includes(status)) {
+      return res.status(400).json({ error: 'New applications start as pending or applied' });
+    }
+    if (!jobId || !(await Job.exists({ _id: jobId }))) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    const user = await User.findById(req.params.userId).select('applications');
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (user.applications.some(application => application.jobId.toString() === jobId)) {
+      return res.status(409).json({ error: 'This job is already being tracked' });
+    }
+
+    // The CV and cover letter tailored for this job, if that is what was sent
+    const tailored = tailoredRevisionId ? await cvTailor.findTailored(user._id, tailoredRevisionId) : null;
+    if (tailoredRevisionId && tailored?.jobId.toString() !== jobId) {
+      return res.status(404).json({ error: 'Tailored CV not found for this job' });
+    }
+
+    const at = appliedAt ? new Date(appliedAt) : new Date();
+    user.applications.push({
+      jobId,
+      status,
+      appliedAt: at,
+      notes,
+      applicationMethod: 'manual',
+      followUpDate: followUpDate || (status === 'applied' ? applicationTracker.followUpFrom(at) : undefined),
+      statusHistory: [applicationTracker.historyEntry(status, { at })]
+    });
+    await user.save();
+
+    const application = user.applications[user.applications.length - 1];
+    if (tailored) {
+      await cvTailor.linkApplication(user, application, tailored);
+    }
+
+    res.status(201).json({
+      success: true,
+      application
+    });
+  } catch (error) {
+    console.error('Create application error:', error);
+    res.status(500).json({ error: 'Failed to track application' });
+  }
+});
+
+// Loads a user's application for the routes below, answering 404 itself
+async function findApplication(req, res) {
+  const user = await User.findById(req.params.userId).select('applications');
+  const application = user?.applications.id(req.params.applicationId);
+  if (!application) {
+    res.status(404).json({ error: user ? 'Application not found' : 'User not found' });
+    return {};
+  }
+  return { user, application };
+}
+
+// One application with its job, status history and interviews
+router.get('/:userId/applications/:applicationId', async (req, res) => {
+  try {
+    if (!canAccessUser(req, req.params.userId)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const { application } = await findApplication(req, res);
+    if (!application) return;
+
+    const job = await Job.findById(application.jobId)
+      .select('title company location applicationUrl applicationEmail source.url isActive closingDate')
+      .lean();
+
+    res.json({
+      success: true,
+      application: {
+        ...application.toObject(),
+        statusHistory: applicationTracker.history(application),
+        job
+      }
+    });
+  } catch (error) {
+    console.error('Get application error:', error);
+    res.status(500).json({ error: 'Failed to fetch application' });
+  }
+});
+
+// Update notes or the follow-up date; a new date re-arms the reminder
+router.patch('/:userId/applications/:applicationId', async (req, res) => {
+  try {
+    if (!canAccessUser(req, req.params.userId)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const { notes, followUpDate } = req.body;
+
+    if (followUpDate && Number.isNaN(new Date(followUpDate).getTime())) {
+      return res.status(400).json({ error: 'followUpDate must be a date' });
+    }
+
+    const { user, application } = await findApplication(req, res);
+    if (!application) return;
+
+    if (notes !== undefined) application.notes = notes;
+    if (followUpDate !== undefined) {
+      application.followUpDate = followUpDate || undefined;
+      application.followUpReminderSentAt = undefined;
+    }
+    await user.save();
+
+    res.json({
+      success: true,
+      application
+    });
+  } catch (error) {
+    console.error('Update application error:', error);
+    res.status(500).json({ error: 'Failed to update application' });
+  }
+});
+
+// Move an application along the pipeline, e.g. { "status": "interview", "note": "Recruiter called" }
+router.post('/:userId/applications/:applicationId/status', async (req, res) => {
+  try {
+    if (!canAccessUser(req, req.params.userId)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const { status, note, at } = req.body;
+
+    if (!APPLICATION_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of ${APPLICATION_STATUSES.join(', ')}` });
+    }
+    if (at && (Number.isNaN(new Date(at).getTime()) || new Date(at) > new Date())) {
+      return res.status(400).json({ error: 'at must be a date that is not in the future' });
+    }
+
+    const { user, application } = await findApplication(req, res);
+    if (!application) return;
+
+    // Automatic applications are sent by the engine, not marked by hand
+    if (application.status === 'pending' && application.submission?.status && status === 'applied') {
+      return res.status(409).json({ error: 'This application is sent by the application engine' });
+    }
+
+    try {
+      applicationTracker.transition(application, status, { note, at: at ? new Date(at) : new Date() });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      throw error;
+    }
+    await user.save();
+
+    res.json({
+      success: true,
+      application
+    });
+  } catch (error) {
+    console.error('Application status error:', error);
+    res.status(500).json({ error: 'Failed to update application status' });
+  }
+});
+
+const INTERVIEW_TYPES = ['phone', 'video', 'in-person', 'assessment', 'other'];
+const INTERVIEW_OUTCOMES = ['pending', 'passed', 'unsuccessful', 'cancelled'];
+
+// Schedule an interview; the application moves to interview if it was not there yet
+router.post('/:userId/applications/:applicationId/interviews', async (req, res) => {
+  try {
+    if (!canAccessUser(req, req.params.userId)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const { scheduledAt, durationMinutes, type = 'video', location, contact, notes } = req.body;
+
+    if (!scheduledAt || Number.isNaN(new Date(scheduledAt).getTime())) {
+      return res.status(400).json({ error: 'scheduledAt must be a date' });
+    }
+    if (!INTERVIEW_TYPES.includes(type)) {
+      return res.status(400).json({ error: `type must be one of ${INTERVIEW_TYPES.join(', ')}` });
+    }
+
+    const { user, application } = await findApplication(req, res);
+    if (!application) return;
+
+    if (applicationTracker.canTransition(application.status, 'interview')) {
+      applicationTracker.transition(application, 'interview', { note: 'Interview scheduled' });
+    } else if (application.status !== 'interview') {
+      return res.status(409).json({ error: `Cannot schedule an interview for a ${application.status} application` });
+    }
+
+    application.interviews.push({ scheduledAt, durationMinutes, type, location, contact, notes });
+    await user.save();
+
+    res.status(201).json({
+      success: true,
+      interview: application.interviews[application.interviews.length - 1],
+      application
+    });
+  } catch (error) {
+    console.error('Schedule interview error:', error);
+    res.status(500).json({ error: 'Failed to schedule interview' });
+  }
+});
+
+// Reschedule an interview or record how it went
+router.patch('/:userId/applications/:applicationId/interviews/:interviewId', async (req, res) => {
+  try {
+    if (!canAccessUser(req, req.params.userId)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const { scheduledAt, durationMinutes, type, location, contact, notes, outcome } = req.body;
+
+    if (scheduledAt && Number.isNaN(new Date(scheduledAt).getTime())) {
+      return res.status(400).json({ error: 'scheduledAt must be a date' });
+    }
+    if (type && !INTERVIEW_TYPES.includes(type)) {
+      return res.status(400).json({ error: `type must be one of ${INTERVIEW_TYPES.join(', ')}` });
+    }
+    if (outcome && !INTERVIEW_OUTCOMES.includes(outcome)) {
+      return res.status(400).json({ error: `outcome must be one of ${INTERVIEW_OUTCOMES.join(', ')}` });
+    }
+
+    const { user, application } = await findApplication(req, res);
+    if (!application) return;
+
+    const interview = application.interviews.id(req.params.interviewId);
+    if (!interview) {
+      return res.status(404).json({ error: 'Interview not found' });
+    }
+
+    Object.assign(interview, Object.fromEntries(
+      Object.entries({ durationMinutes, type, location, contact, notes, outcome }).filter(([, value]) => value !== undefined)
+    ));
+    if (scheduledAt) {
+      interview.scheduledAt = scheduledAt;
+      // A moved interview gets a fresh reminder
+      interview.reminderSentAt = undefined;
+    }
+    await user.save();
+
+    res.json({
+      success: true,
+      interview
+    });
+  } catch (error) {
+    console.error('Update interview error:', error);
+    res.status(500).json({ error: 'Failed to update interview' });
+  }
+});
+
+// Reminders and application updates for the dashboard
+router.get('/:userId/notifications', async (req, res) => {
+  try {
+    if (!canAccessUser(req, req.params.userId)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const { page = 1, limit = 20, unread } = req.query;
+
+    const result = await notificationService.list(req.params.userId, {
+      unreadOnly: unread === 'true',
+      page: parseInt(page),
+      limit: Math.min(parseInt(limit), 100)
+    });
+
+    res.json({
+      success: true,
+      notifications: result.notifications,
+      unread: result.unread,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: result.total,
+        pages: Math.ceil(result.total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({ error: 'Failed to fetch notifications' });
+  }
+});
+
+// Mark notifications read: { "ids": [...] }, or all of them without ids
+router.post('/:userId/notifications/read', async (req, res) => {
+  try {
+    if (!canAccessUser(req, req.params.userId)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const { ids } = req.body;
+    if (ids !== undefined && !Array.isArray(ids)) {
+      return res.status(400).json({ error: 'ids must be an array' });
+    }
+
+    const updated = await notificationService.markRead(req.params.userId, ids);
+
+    res.json({
+      success: true,
+      updated
+    });
+  } catch (error) {
+    console.error('Mark notifications read error:', error);
+    res.status(500).json({ error: 'Failed to update notifications' });
+  }
+});
+
+// Automatic application settings and today's remaining allowance
+router.get('/:userId/auto-apply', async (req, res) => {
+  try {
+    if (!canAccessUser(req, req.params.userId)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const user = await User.findById(req.params.userId).select('autoApply services applications');
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const { lockedBy, lockedUntil, ...settings } = user.toObject().autoApply || {};
+    res.json({
+      success: true,
+      settings,
+      available: user.hasFeature('auto_apply'),
+      remainingToday: applicationEngine.remainingToday(user),
+      awaitingApproval: user.applications.filter(application => application.submission?.status === 'awaiting_approval').length
+    });
+  } catch (error) {
+    console.error('Get auto-apply settings error:', error);
+    res.status(500).json({ error: 'Failed to fetch auto-apply settings' });
+  }
+});
+
+// Update automatic application settings
+router.put('/:userId/auto-apply', async (req, res) => {
+  try {
+    if (!canAccessUser(req, req.params.userId)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const { enabled, minScore, dailyLimit, requireApproval, excludeCompanies } = req.body;
+
+    if (minScore !== undefined && !(Number.isFinite(minScore) && minScore >= 0 && minScore <= 100)) {
+      return res.status(400).json({ error: 'minScore must be a number from 0 to 100' });
+    }
+    if (dailyLimit !== undefined && !(Number.isInteger(dailyLimit) && dailyLimit >= 1 && dailyLimit <= applicationEngine.maxDaily)) {
+      return res.status(400).json({ error: `dailyLimit must be a whole number from 1 to ${applicationEngine.maxDaily}` });
+    }
+    if (excludeCompanies !== undefined && !Array.isArray(excludeCompanies)) {
+      return res.status(400).json({ error: 'excludeCompanies must be an array' });
+    }
+
+    const user = await User.findById(req.params.userId).select('services');
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (enabled && !user.hasFeature('auto_apply')) {
+      return res.status(403).json({ error: 'Automatic applications are not included in your current plan' });
+    }
+
+    const updated = await User.findByIdAndUpdate(
+      req.params.userId,
+      {
+        $set: {
+          ...(enabled !== undefined && { 'autoApply.enabled': Boolean(enabled) }),
+          ...(minScore !== undefined && { 'autoApply.minScore': minScore }),
+          ...(dailyLimit !== undefined && { 'autoApply.dailyLimit': dailyLimit }),
+          ...(requireApproval !== undefined && { 'autoApply.requireApproval': Boolean(requireApproval) }),
+          ...(excludeCompanies && { 'autoApply.excludeCompanies': excludeCompanies.filter(company => typeof company === 'string' && company.trim()) })
+        }
+      },
+      { new: true }
+    ).select('autoApply');
+
+    const { lockedBy, lockedUntil, ...settings } = updated.toObject().autoApply;
+    res.json({
+      success: true,
+      message: 'Auto-apply settings updated successfully',
+      settings
+    });
+  } catch (error) {
+    console.error('Update auto-apply settings error:', error);
+    res.status(500).json({ error: 'Failed to update auto-apply settings' });
+  }
+});
+
+// Approve or decline an application the engine queued for approval
+router.post('/:userId/applications/:applicationId/:decision(approve|decline)', async (req, res) => {
+  try {
+    const { userId, applicationId, decision } = req.params;
+
+    if (!canAccessUser(req, userId)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const changed = await applicationEngine.review(userId, applicationId, decision === 'approve');
+    if (!changed) {
+      const user = await User.findOne({ _id: userId, 'applications._id': applicationId }).select('_id');
+      return user
+        ? res.status(409).json({ error: 'Application is not awaiting approval' })
+        : res.status(404).json({ error: 'Application not found' });
+    }
+
+    res.json({
+      success: true,
+      message: decision === 'approve' ? 'Application approved and queued for sending' : 'Application declined'
+    });
+  } catch (error) {
+    console.error('Review application error:', error);
+    res.status(500).json({ error: 'Failed to update application' });
+  }
+});
+
 // Delete user account (POPIA compliance)
 router.delete('/:userId', async (req, res) => {
   try {
@@ -153,6 +658,10 @@ router.delete('/:userId', async (req, res) => {
       return res.status(404).json({ error: 'User not found' });
     }
 
+    // CV history and notifications hold personal information too
+    await CVRevision.deleteMany({ userId });
+    await Notification.deleteMany({ userId });
+
     res.json({
       success: true,
       message: 'Account deleted successfully'
@@ -6,6 +6,16 @@ import rateLimit from 'express-rate-limit';
 import dotenv from 'dotenv';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import cvJobQueue from './services/cvJobQueue.js';
+import jobMatcher from './services/jobMatcher.js';
+import jobEnricher from './services/jobEnricher.js';
+import jobLivenessVerifier from './services/jobLivenessVerifier.js';
+import salaryBenchmarks from './services/salaryBenchmarks.js';
+import skillTaxonomy from './services/skills/skillTaxonomy.js';
+import applicationEngine from './services/applying/applicationEngine.js';
+import applicationTracker from './services/applicationTracker.js';
+import subscriptionService from './services/billing/subscriptionService.js';
+import orderService from './services/billing/orderService.js';
 
 // Security configuration
 dotenv.config();
@@ -57,6 +67,73 @@ const connectDB = async () => {
       useUnifiedTopology: true,
     });
     console.log('MongoDB connected securely');
+
+    // Apply admin additions to the skills taxonomy
+    skillTaxonomy.loadCustom().catch(error => console.error('Loading custom skills failed:', error));
+
+    // Start CV processing workers once the queue collection is reachable
+    cvJobQueue.start();
+
+    // Crawl scraped jobs' own pages for the details listing cards leave out
+    if (process.env.JOB_ENRICHMENT_ENABLED !== 'false') {
+      jobEnricher.start();
+    }
+
+    // Re-check active jobs' source pages and close dead ads
+    if (process.env.JOB_LIVENESS_ENABLED !== 'false') {
+      jobLivenessVerifier.start();
+    }
+
+    // Apply to matched jobs for users with auto_apply; off unless switched on
+    if (process.env.AUTO_APPLY_ENABLED === 'true') {
+      applicationEngine.start();
+    }
+
+    // Keep job embeddings and the matching index up to date
+    setInterval(async () => {
+      try {
+        await jobMatcher.embedPendingJobs();
+        await jobMatcher.syncIndex();
+      } catch (error) {
+        console.error('Job embedding error:', error);
+      }
+    }, 15 * 60 * 1000);
+
+    // Estimate pay for 'Market Related' jobs from similar disclosed salaries
+    setInterval(async () => {
+      try {
+        await salaryBenchmarks.estimateUndisclosed();
+      } catch (error) {
+        console.error('Salary estimate error:', error);
+      }
+    }, 60 * 60 * 1000);
+
+    // Follow-up and interview reminders
+    setInterval(async () => {
+      try {
+        await applicationTracker.sendDueReminders();
+      } catch (error) {
+        console.error('Application reminder error:', error);
+      }
+    }, 60 * 60 * 1000);
+
+    // Subscription renewals, dunning retries, expired services and renewal reminders
+    setInterval(async () => {
+      try {
+        await subscriptionService.runBillingCycle();
+      } catch (error) {
+        console.error('Subscription billing error:', error);
+      }
+    }, 60 * 60 * 1000);
+
+    // Lapse unpaid orders and give back the coupon redemptions they hold
+    setInterval(async () => {
+      try {
+        await orderService.expireLapsed();
+      } catch (error) {
+        console.error('Order expiry error:', error);
+      }
+    }, 60 * 60 * 1000);
   } catch (error) {
     console.error('Database connection error:', error);
     process.exit(1);
@@ -70,6 +147,11 @@ import authRoutes from './routes/auth.js';
 import cvRoutes from './routes/cvProcessing.js';
 import jobRoutes from './routes/jobScraping.js';
 import paymentRoutes from './routes/payments.js';
+import catalogueRoutes from './routes/catalogue.js';
+import paymentNotificationRoutes from './routes/paymentNotifications.js';
+import cartRoutes from './routes/cart.js';
+import orderRoutes from './routes/orders.js';
+import subscriptionRoutes from './routes/subscriptions.js';
 import userRoutes from './routes/users.js';
 import adminRoutes from './routes/admin.js';
 
@@ -77,7 +159,12 @@ import adminRoutes from './routes/admin.js';
 app.use('/api/auth', authRoutes);
 app.use('/api/cv', cvRoutes);
 app.use('/api/jobs', jobRoutes);
+app.use('/api/catalogue', catalogueRoutes);
+app.use('/api/cart', cartRoutes);
+app.use('/api/orders', orderRoutes);
+app.use('/api/payments', paymentNotificationRoutes);
 app.use('/api/payments', paymentRoutes);
+app.use('/api/subscriptions', subscriptionRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/admin', adminRoutes);
 
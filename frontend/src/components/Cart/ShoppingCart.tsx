@@ -1,35 +1,46 @@
-import React, { useState } from 'react';
+import React, { useEffect, useState } from 'react';
 import { Link } from 'react-router-dom';
-
-interface CartItem {
-  id: string;
-  name: string;
-  price: number;
-  quantity: number;
-}
+import toast from 'react-hot-toast';
+import { Cart, getCart, setQuantity, removeFromCart, errorMessage, formatRand } from '../../services/shop';
 
 const ShoppingCart: React.FC = () => {
   const [isOpen, setIsOpen] = useState(false);
-  const [cartItems, setCartItems] = useState<CartItem[]>([
-    { id: '1', name: 'CV Rewrite + Job Matching', price: 499, quantity: 1 },
-    { id: '2', name: 'Professional Cover Letter', price: 199, quantity: 1 }
-  ]);
+  const [cart, setCart] = useState<Cart | null>(null);
+
+  useEffect(() => {
+    const refresh = (event?: Event) => {
+      const updated = (event as CustomEvent<Cart> | undefined)?.detail;
+      if (updated) {
+        setCart(updated);
+      } else {
+        getCart().then(setCart).catch(() => setCart(null));
+      }
+    };
+
+    refresh();
+    window.addEventListener('cart:updated', refresh);
+    return () => window.removeEventListener('cart:updated', refresh);
+  }, []);
 
-  const removeItem = (id: string) => {
-    setCartItems(items => items.filter(item => item.id !== id));
+  const cartItems = cart?.items ?? [];
+
+  const removeItem = async (product: string) => {
+    try {
+      setCart(await removeFromCart(product));
+    } catch (error) {
+      toast.error(errorMessage(error, 'Could not update your cart'));
+    }
   };
 
-  const updateQuantity = (id: string, newQuantity: number) => {
+  const updateQuantity = async (product: string, newQuantity: number) => {
     if (newQuantity < 1) return;
-    setCartItems(items => 
-      items.map(item => 
-        item.id === id ? { ...item, quantity: newQuantity } : item
-      )
-    );
+    try {
+      setCart(await setQuantity(product, newQuantity));
+    } catch (error) {
+      toast.error(errorMessage(error, 'Could not update your cart'));
+    }
   };
 
-  const total = cartItems.reduce((sum, item) => sum + (item.price * item.quantity), 0);
-
   return (
     <div className="relative">
       <button
@@ -67,27 +78,27 @@ const ShoppingCart: React.FC = () => {
               <>
                 <div className="max-h-64 overflow-y-auto">
                   {cartItems.map(item => (
-                    <div key={item.id} className="flex justify-between items-center mb-3 pb-3 border-b">
+                    <div key={item.product} className="flex justify-between items-center mb-3 pb-3 border-b">
                       <div className="flex-1">
                         <p className="font-medium text-sm">{item.name}</p>
-                        <p className="text-sm text-gray-600">R {item.price}</p>
+                        <p className="text-sm text-gray-600">{formatRand(item.unitPrice)}</p>
                       </div>
                       <div className="flex items-center space-x-2">
                         <button 
-                          onClick={() => updateQuantity(item.id, item.quantity - 1)}
+                          onClick={() => updateQuantity(item.product, item.quantity - 1)}
                           className="w-6 h-6 rounded-full bg-gray-200 flex items-center justify-center text-sm"
                         >
                           -
                         </button>
                         <span className="text-sm w-6 text-center">{item.quantity}</span>
                         <button 
-                          onClick={() => updateQuantity(item.id, item.quantity + 1)}
+                          onClick={() => updateQuantity(item.product, item.quantity + 1)}
                           className="w-6 h-6 rounded-full bg-gray-200 flex items-center justify-center text-sm"
                         >
                           +
                         </button>
                         <button
-                          onClick={() => removeItem(item.id)}
+                          onClick={() => removeItem(item.product)}
                           className="text-red-500 hover:text-red-700 ml-2"
                         >
                           <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
@@ -99,8 +110,8 @@ const ShoppingCart: React.FC = () => {
                   ))}
                 </div>
                 <div className="flex justify-between items-center mt-4 pt-4 border-t">
-                  <span className="font-semibold">Total:</span>
-                  <span className="font-semibold">R {total}</span>
+                  <span className="font-semibold">Total (incl. VAT):</span>
+                  <span className="font-semibold">{formatRand(cart!.total)}</span>
                 </div>
                 <Link 
                   to="/payment"
@@ -1,24 +1,79 @@
-import React, { useState } from 'react';
+import React, { useEffect, useState } from 'react';
+import toast from 'react-hot-toast';
+import {
+  Cart, Order, GatewayId, PaymentAction, getCart, getGateways, applyCoupon, checkout, startPayment,
+  getPaymentStatus, redirectToGateway, errorMessage, formatRand
+} from '../services/shop';
+
+type EftInstructions = Extract<PaymentAction, { type: 'instructions' }>;
 
 const Payment: React.FC = () => {
-  const [paymentMethod, setPaymentMethod] = useState<'fnb' | 'payfast'>('fnb');
+  const [paymentMethod, setPaymentMethod] = useState<GatewayId>('fnb_eft');
   const [isProcessing, setIsProcessing] = useState(false);
+  const [cart, setCart] = useState<Cart | null>(null);
+  const [order, setOrder] = useState<Order | null>(null);
+  const [couponCode, setCouponCode] = useState('');
+  const [eft, setEft] = useState<EftInstructions | null>(null);
+  const [sandboxAvailable, setSandboxAvailable] = useState(false);
+
+  useEffect(() => {
+    getCart()
+      .then(setCart)
+      .catch(error => toast.error(errorMessage(error, 'Could not load your cart')));
+    // The sandbox gateway is only offered outside production
+    getGateways()
+      .then(gateways => setSandboxAvailable(gateways.some(gateway => gateway.id === 'sandbox')))
+      .catch(() => setSandboxAvailable(false));
+  }, []);
 
-  const cartItems = [
-    { id: '1', name: 'CV Rewrite + Job Matching', price: 499, quantity: 1 },
-    { id: '2', name: 'Professional Cover Letter', price: 199, quantity: 1 }
-  ];
+  // Totals shown are the server's: the cart's until checkout, then the order's
+  const summary = order ?? cart;
+  const cartItems = summary?.items ?? [];
 
-  const subtotal = cartItems.reduce((sum, item) => sum + (item.price * item.quantity), 0);
-  const vat = subtotal * 0.15;
-  const total = subtotal + vat;
+  const handleCoupon = async () => {
+    try {
+      setCart(await applyCoupon(couponCode));
+      toast.success('Coupon applied');
+    } catch (error) {
+      toast.error(errorMessage(error, 'Coupon could not be applied'));
+    }
+  };
 
   const handlePayment = async () => {
     setIsProcessing(true);
-    // Simulate payment processing
-    await new Promise(resolve => setTimeout(resolve, 3000));
-    setIsProcessing(false);
-    alert('Payment processed successfully!');
+    try {
+      const placed = order ?? await checkout();
+      setOrder(placed);
+
+      if (placed.status === 'paid') {
+        toast.success('Your order is complete');
+        return;
+      }
+
+      const { action, paymentId } = await startPayment(paymentMethod, placed._id);
+      if (action.type === 'redirect') {
+        redirectToGateway(action);
+      } else if (action.type === 'instructions') {
+        setEft(action);
+        toast.success(`Order ${placed.orderNumber} placed. Pay by EFT using the reference shown.`);
+      } else if (action.settlesInMs !== null) {
+        toast(`Sandbox payment started (${action.outcome})`);
+        setTimeout(async () => {
+          const payment = await getPaymentStatus(paymentId);
+          if (payment.status === 'completed') {
+            toast.success('Sandbox payment completed');
+          } else {
+            toast.error(`Sandbox payment ${payment.status}`);
+          }
+        }, action.settlesInMs + 500);
+      } else {
+        toast('Sandbox payment left pending');
+      }
+    } catch (error) {
+      toast.error(errorMessage(error, 'Payment could not be started'));
+    } finally {
+      setIsProcessing(false);
+    }
   };
 
   return (
@@ -32,30 +87,60 @@ const Payment: React.FC = () => {
             <h2 className="text-xl font-semibold mb-4">Order Summary</h2>
             <div className="space-y-4 mb-6">
               {cartItems.map(item => (
-                <div key={item.id} className="flex justify-between items-center border-b pb-4">
+                <div key={item.product} className="flex justify-between items-center border-b pb-4">
                   <div>
                     <h3 className="font-medium">{item.name}</h3>
                     <p className="text-gray-600 text-sm">Quantity: {item.quantity}</p>
                   </div>
-                  <div className="text-lg font-semibold">R {item.price}</div>
+                  <div className="text-lg font-semibold">{formatRand(item.unitPrice * item.quantity)}</div>
                 </div>
               ))}
             </div>
             
-            <div className="space-y-2 border-t pt-4">
-              <div className="flex justify-between">
-                <span>Subtotal:</span>
-                <span>R {subtotal}</span>
+            {!order && (
+              <div className="flex space-x-2 mb-4">
+                <input
+                  type="text"
+                  value={couponCode}
+                  onChange={(e) => setCouponCode(e.target.value)}
+                  className="input-field flex-1"
+                  placeholder="Coupon code"
+                />
+                <button
+                  onClick={handleCoupon}
+                  disabled={!couponCode}
+                  className="px-4 py-2 border rounded-lg hover:bg-gray-50 disabled:opacity-50"
+                >
+                  Apply
+                </button>
               </div>
-              <div className="flex justify-between">
-                <span>VAT (15%):</span>
-                <span>R {vat.toFixed(2)}</span>
-              </div>
-              <div className="flex justify-between text-lg font-semibold border-t pt-2">
-                <span>Total:</span>
-                <span>R {total.toFixed(2)}</span>
+            )}
+            {cart?.couponError && !order && (
+              <p className="text-red-500 text-sm mb-4">{cart.couponError}</p>
+            )}
+
+            {summary && (
+              <div className="space-y-2 border-t pt-4">
+                <div className="flex justify-between">
+                  <span>Subtotal:</span>
+                  <span>{formatRand(summary.subtotal)}</span>
+                </div>
+                {summary.discount.amount > 0 && (
+                  <div className="flex justify-between text-green-700">
+                    <span>Discount ({summary.discount.code}):</span>
+                    <span>-{formatRand(summary.discount.amount)}</span>
+                  </div>
+                )}
+                <div className="flex justify-between">
+                  <span>VAT ({Math.round(summary.vatRate * 100)}%):</span>
+                  <span>{formatRand(summary.vat)}</span>
+                </div>
+                <div className="flex justify-between text-lg font-semibold border-t pt-2">
+                  <span>Total:</span>
+                  <span>{formatRand(summary.total)}</span>
+                </div>
               </div>
-            </div>
+            )}
           </div>
 
           {/* Payment Method */}
@@ -68,9 +153,9 @@ const Payment: React.FC = () => {
                   <input
                     type="radio"
                     name="payment"
-                    value="fnb"
-                    checked={paymentMethod === 'fnb'}
-                    onChange={(e) => setPaymentMethod(e.target.value as 'fnb')}
+                    value="fnb_eft"
+                    checked={paymentMethod === 'fnb_eft'}
+                    onChange={(e) => setPaymentMethod(e.target.value as GatewayId)}
                     className="text-blue-600 focus:ring-blue-500"
                   />
                   <div className="flex-1">
@@ -90,7 +175,7 @@ const Payment: React.FC = () => {
                     name="payment"
                     value="payfast"
                     checked={paymentMethod === 'payfast'}
-                    onChange={(e) => setPaymentMethod(e.target.value as 'payfast')}
+                    onChange={(e) => setPaymentMethod(e.target.value as GatewayId)}
                     className="text-blue-600 focus:ring-blue-500"
                   />
                   <div className="flex-1">
@@ -102,10 +187,29 @@ const Payment: React.FC = () => {
                   </div>
                 </label>
               </div>
+
+              {sandboxAvailable && (
+                <div className="border border-dashed rounded-lg p-4">
+                  <label className="flex items-center space-x-3 cursor-pointer">
+                    <input
+                      type="radio"
+                      name="payment"
+                      value="sandbox"
+                      checked={paymentMethod === 'sandbox'}
+                      onChange={(e) => setPaymentMethod(e.target.value as GatewayId)}
+                      className="text-blue-600 focus:ring-blue-500"
+                    />
+                    <div className="flex-1">
+                      <div className="font-medium">Sandbox</div>
+                      <div className="text-sm text-gray-600">Simulated payment for testing</div>
+                    </div>
+                  </label>
+                </div>
+              )}
             </div>
 
             {/* Payment Details */}
-            {paymentMethod === 'fnb' && (
+            {paymentMethod === 'fnb_eft' && (
               <div className="border rounded-lg p-4 bg-gray-50 mb-6">
                 <h3 className="font-semibold mb-3">FNB EFT Instructions</h3>
                 <div className="space-y-2 text-sm">
@@ -113,13 +217,29 @@ const Payment: React.FC = () => {
                     <span>Bank:</span>
                     <span className="font-mono">First National Bank</span>
                   </div>
+                  {eft && (
+                    <>
+                      <div className="flex justify-between">
+                        <span>Account Name:</span>
+                        <span className="font-mono">{eft.bankDetails.accountName}</span>
+                      </div>
+                      <div className="flex justify-between">
+                        <span>Account Number:</span>
+                        <span className="font-mono">{eft.bankDetails.accountNumber}</span>
+                      </div>
+                      <div className="flex justify-between">
+                        <span>Branch Code:</span>
+                        <span className="font-mono">{eft.bankDetails.branchCode}</span>
+                      </div>
+                    </>
+                  )}
                   <div className="flex justify-between">
                     <span>Account Type:</span>
-                    <span className="font-mono">Business Cheque</span>
+                    <span className="font-mono">{eft?.bankDetails.accountType ?? 'Business Cheque'}</span>
                   </div>
                   <div className="flex justify-between">
                     <span>Reference:</span>
-                    <span className="font-mono">CB{Date.now().toString().slice(-6)}</span>
+                    <span className="font-mono">{eft?.reference ?? order?.orderNumber ?? 'Shown once you place the order'}</span>
                   </div>
                 </div>
               </div>
@@ -143,7 +263,7 @@ const Payment: React.FC = () => {
 
             <button
               onClick={handlePayment}
-              disabled={isProcessing}
+              disabled={isProcessing || cartItems.length === 0}
               className="w-full bg-blue-600 text-white py-3 px-4 rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed font-semibold"
             >
               {isProcessing ? (
@@ -152,7 +272,7 @@ const Payment: React.FC = () => {
                   <span>Processing Payment...</span>
                 </div>
               ) : (
-                `Pay R ${total.toFixed(2)}`
+                `Pay ${formatRand(summary?.total ?? 0)}`
               )}
             </button>
 
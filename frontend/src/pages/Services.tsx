@@ -1,6 +1,7 @@
-import React, { useState } from 'react';
+import React, { useEffect, useState } from 'react';
 import { useForm } from 'react-hook-form';
 import toast from 'react-hot-toast';
+import { Product, getCatalogue, addToCart, errorMessage } from '../services/shop';
 
 interface ServiceForm {
   fullName: string;
@@ -14,6 +15,21 @@ interface ServiceForm {
 const Services: React.FC = () => {
   const { register, handleSubmit, formState: { errors } } = useForm<ServiceForm>();
   const [isUploading, setIsUploading] = useState(false);
+  const [catalogue, setCatalogue] = useState<Product[]>([]);
+
+  // Prices come from the server catalogue; the ones below are only a fallback
+  useEffect(() => {
+    getCatalogue().then(setCatalogue).catch(() => setCatalogue([]));
+  }, []);
+
+  const handleAddToCart = async (product: string, name: string) => {
+    try {
+      await addToCart(product);
+      toast.success(`${name} added to your cart`);
+    } catch (error) {
+      toast.error(errorMessage(error, 'Could not add to cart'));
+    }
+  };
 
   const onSubmit = async (data: ServiceForm) => {
     setIsUploading(true);
@@ -30,7 +46,7 @@ const Services: React.FC = () => {
 
   const services = [
     {
-      id: 'cv-rewrite',
+      id: 'cv_rewrite',
       name: 'CV Rewrite & Optimization',
       price: 499,
       features: [
@@ -41,7 +57,7 @@ const Services: React.FC = () => {
       ]
     },
     {
-      id: 'cover-letter',
+      id: 'cover_letter',
       name: 'Professional Cover Letter',
       price: 199,
       features: [
@@ -52,7 +68,7 @@ const Services: React.FC = () => {
       ]
     },
     {
-      id: 'job-matching',
+      id: 'job_matching',
       name: 'Smart Job Matching',
       price: 299,
       features: [
@@ -74,7 +90,9 @@ const Services: React.FC = () => {
           {services.map((service) => (
             <div key={service.id} className="bg-white rounded-xl shadow-lg border p-6 hover:shadow-xl transition-shadow">
               <h3 className="text-xl font-semibold mb-3 text-gray-800">{service.name}</h3>
-              <div className="text-2xl font-bold text-blue-600 mb-4">R {service.price}</div>
+              <div className="text-2xl font-bold text-blue-600 mb-4">
+                R {catalogue.find(product => product.id === service.id)?.price ?? service.price}
+              </div>
               <ul className="space-y-2 mb-6">
                 {service.features.map((feature, index) => (
                   <li key={index} className="flex items-center space-x-2 text-gray-600">
@@ -85,7 +103,10 @@ const Services: React.FC = () => {
                   </li>
                 ))}
               </ul>
-              <button className="w-full bg-blue-600 text-white py-2 px-4 rounded-lg hover:bg-blue-700 transition-colors">
+              <button
+                onClick={() => handleAddToCart(service.id, service.name)}
+                className="w-full bg-blue-600 text-white py-2 px-4 rounded-lg hover:bg-blue-700 transition-colors"
+              >
                 Add to Cart
               </button>
             </div>
@@ -191,11 +212,11 @@ const Services: React.FC = () => {
 
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-2">
-                Upload CV (PDF/DOC) *
+                Upload CV (PDF/DOC/ODT/RTF/TXT or photo) *
               </label>
               <input
                 type="file"
-                accept=".pdf,.doc,.docx"
+                accept=".pdf,.doc,.docx,.odt,.rtf,.txt,.jpg,.jpeg,.png"
                 {...register('cv', { required: 'CV file is required' })}
                 className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
               />
@@ -0,0 +1,200 @@
+import axios from 'axios';
+
+// Catalogue, cart, checkout and subscriptions. Prices, VAT and totals always
+// come from the server; the browser only says which products and how many.
+
+export interface Product {
+  id: string;
+  name: string;
+  description: string;
+  price: number;
+  priceInclVat: number;
+  maxQuantity: number;
+  features: string[];
+  durationDays: number;
+}
+
+export interface Plan {
+  id: string;
+  name: string;
+  description: string;
+  price: number;
+  priceInclVat: number;
+  months: number;
+  serviceType: string;
+  features: string[];
+}
+
+export interface CartLine {
+  product: string;
+  name: string;
+  unitPrice: number;
+  quantity: number;
+  discount: number;
+  lineTotal: number;
+}
+
+export interface Cart {
+  couponCode: string | null;
+  couponError: string | null;
+  items: CartLine[];
+  subtotal: number;
+  discount: { code?: string; description?: string; amount: number };
+  vatRate: number;
+  vat: number;
+  total: number;
+  currency: string;
+}
+
+export interface Order extends Omit<Cart, 'couponCode' | 'couponError'> {
+  _id: string;
+  orderNumber: string;
+  status: 'pending_payment' | 'paid' | 'cancelled' | 'expired' | 'refunded';
+  expiresAt: string;
+}
+
+export type GatewayId = 'fnb_eft' | 'payfast' | 'sandbox';
+
+export interface Gateway {
+  id: GatewayId;
+  name: string;
+  description: string;
+  recurring: boolean;
+}
+
+export interface BankDetails {
+  bank: string;
+  accountName: string;
+  accountNumber: string;
+  accountType: string;
+  branchCode: string;
+}
+
+export type RedirectAction = { type: 'redirect'; method: 'POST'; url: string; fields: Record<string, string> };
+
+// What to do once a payment is started, depending on the gateway
+export type PaymentAction =
+  | RedirectAction
+  | { type: 'instructions'; bankDetails: BankDetails; reference: string; amount: number; message: string }
+  | { type: 'sandbox'; outcome: string; settlesInMs: number | null };
+
+export interface PaymentRequest {
+  paymentId: string;
+  orderId: string;
+  reference: string;
+  amount: number;
+  gateway: GatewayId;
+  action: PaymentAction;
+}
+
+export interface PaymentStatus {
+  id: string;
+  status: 'pending' | 'processing' | 'completed' | 'failed' | 'cancelled' | 'refunded';
+  amount: number;
+  reference: string;
+  gateway: GatewayId;
+}
+
+export interface Subscription {
+  _id: string;
+  plan: string;
+  reference: string;
+  status: 'pending' | 'active' | 'past_due' | 'cancelled' | 'expired';
+  gateway: GatewayId;
+  amount: number;
+  currentPeriodEnd?: string;
+  nextBillingAt?: string;
+  graceUntil?: string;
+  cancelAtPeriodEnd: boolean;
+  dunning: { attempts: number; nextRetryAt?: string; lastError?: string };
+}
+
+export interface SubscriptionRequest extends Omit<PaymentRequest, 'orderId'> {
+  subscriptionId: string;
+}
+
+const api = axios.create({ baseURL: '/api' });
+
+api.interceptors.request.use(config => {
+  const token = localStorage.getItem('token');
+  if (token) {
+    config.headers.Authorization = `Bearer ${token}`;
+  }
+  return config;
+});
+
+// The header cart listens for this to refresh its badge
+const cartChanged = (cart: Cart) => {
+  window.dispatchEvent(new CustomEvent('cart:updated', { detail: cart }));
+  return cart;
+};
+
+export const errorMessage = (error: unknown, fallback: string) =>
+  axios.isAxiosError(error) && error.response?.data?.error ? error.response.data.error : fallback;
+
+export const getCatalogue = async (): Promise<Product[]> =>
+  (await api.get('/catalogue')).data.products;
+
+export const getPlans = async (): Promise<Plan[]> =>
+  (await api.get('/catalogue')).data.plans;
+
+export const getCart = async (): Promise<Cart> =>
+  (await api.get('/cart')).data.cart;
+
+export const addToCart = async (product: string, quantity = 1): Promise<Cart> =>
+  cartChanged((await api.post('/cart/items', { product, quantity })).data.cart);
+
+export const setQuantity = async (product: string, quantity: number): Promise<Cart> =>
+  cartChanged((await api.patch(`/cart/items/${product}`, { quantity })).data.cart);
+
+export const removeFromCart = async (product: string): Promise<Cart> =>
+  cartChanged((await api.delete(`/cart/items/${product}`)).data.cart);
+
+export const applyCoupon = async (code: string): Promise<Cart> =>
+  cartChanged((await api.post('/cart/coupon', { code })).data.cart);
+
+export const removeCoupon = async (): Promise<Cart> =>
+  cartChanged((await api.delete('/cart/coupon')).data.cart);
+
+export const checkout = async (): Promise<Order> => {
+  const { order } = (await api.post('/cart/checkout')).data;
+  window.dispatchEvent(new CustomEvent('cart:updated'));
+  return order;
+};
+
+export const getGateways = async (): Promise<Gateway[]> =>
+  (await api.get('/payments/gateways')).data.gateways;
+
+export const startPayment = async (gateway: GatewayId, orderId: string): Promise<PaymentRequest> =>
+  (await api.post('/payments', { gateway, orderId })).data;
+
+export const getPaymentStatus = async (paymentId: string): Promise<PaymentStatus> =>
+  (await api.get(`/payments/${paymentId}/status`)).data.payment;
+
+export const getSubscriptions = async (): Promise<Subscription[]> =>
+  (await api.get('/subscriptions')).data.subscriptions;
+
+export const subscribe = async (plan: string, gateway: GatewayId): Promise<SubscriptionRequest> =>
+  (await api.post('/subscriptions', { plan, gateway })).data;
+
+export const cancelSubscription = async (subscriptionId: string): Promise<Subscription> =>
+  (await api.post(`/subscriptions/${subscriptionId}/cancel`)).data.subscription;
+
+// PayFast expects the signed fields as a form POST from the browser
+export const redirectToGateway = ({ url, method, fields }: RedirectAction) => {
+  const form = document.createElement('form');
+  form.method = method;
+  form.action = url;
+  Object.entries(fields).forEach(([name, value]) => {
+    const input = document.createElement('input');
+    input.type = 'hidden';
+    input.name = name;
+    input.value = value;
+    form.appendChild(input);
+  });
+  document.body.appendChild(form);
+  form.submit();
+};
+
+export const formatRand = (amount: number) =>
+  `R ${amount.toLocaleString('en-ZA', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;